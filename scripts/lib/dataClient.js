@@ -0,0 +1,51 @@
+/**
+ * Data client for Node scripts
+ *
+ * Returns a Supabase client, or — with DATA_BACKEND=local (VITE_DATA_BACKEND
+ * is honoured too) — the Supabase-compatible local client persisted under
+ * LOCAL_DATA_DIR (default `.local-data/`), so seeds and migrations can run
+ * without a Supabase project.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from 'dotenv';
+import { createLocalClient } from '../../src/lib/localDb/localClient.js';
+import { createFileSystemAdapter } from '../../src/lib/localDb/fileSystemAdapter.js';
+
+// Load environment variables from .env.local
+config({ path: '.env.local' });
+
+export const DEFAULT_LOCAL_DATA_DIR = '.local-data';
+
+/**
+ * Create the client the script should use
+ * @returns {{ supabase: Object, backend: 'supabase' | 'local', description: string }}
+ */
+export function createDataClient() {
+  const backend = (process.env.DATA_BACKEND || process.env.VITE_DATA_BACKEND || 'supabase').toLowerCase();
+
+  if (backend === 'local') {
+    const dataDir = process.env.LOCAL_DATA_DIR || DEFAULT_LOCAL_DATA_DIR;
+    return {
+      supabase: createLocalClient(createFileSystemAdapter(dataDir)),
+      backend,
+      description: `local data in ${dataDir}/`,
+    };
+  }
+
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseAnonKey) {
+    console.error('❌ Missing Supabase environment variables.');
+    console.error('Please ensure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set in .env.local,');
+    console.error('or run with DATA_BACKEND=local to use the local file-system backend.');
+    process.exit(1);
+  }
+
+  return {
+    supabase: createClient(supabaseUrl, supabaseAnonKey),
+    backend: 'supabase',
+    description: supabaseUrl,
+  };
+}
@@ -3,26 +3,15 @@
  * 
  * Alternative seed script using Node.js and Supabase JS client.
  * Run with: node scripts/seed.js
+ * Without Supabase: DATA_BACKEND=local node scripts/seed.js
  * 
  * This script is IDEMPOTENT - can be re-run safely.
  */
 
-import { createClient } from '@supabase/supabase-js';
-import { config } from 'dotenv';
+import { createDataClient } from './lib/dataClient.js';
 
-// Load environment variables from .env.local
-config({ path: '.env.local' });
-
-const supabaseUrl = process.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  console.error('❌ Missing Supabase environment variables.');
-  console.error('Please ensure VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are set in .env.local');
-  process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Supabase from .env.local, or DATA_BACKEND=local for the file-system backend
+const { supabase, description } = createDataClient();
 
 // ============================================================================
 // SEED DATA DEFINITIONS
@@ -456,7 +445,7 @@ async function seedExamples(componentId) {
 // ============================================================================
 
 async function seed() {
-  console.log('\n🌱 Starting seed process...\n');
+  console.log(`\n🌱 Starting seed process (${description})...\n`);
   
   try {
     // Step 1: Cleanup existing seed data (idempotent)
@@ -2,18 +2,23 @@
  * @chunk 3.10 - AIGenerationFlow
  * 
  * Result preview component for reviewing AI-generated code.
- * Includes code editor, props display, and action buttons.
+ * Includes code editor, sandboxed live preview, props display, and action buttons.
  */
 
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { Button, Textarea } from '../../ui';
 import CodeEditor from '../../ui/CodeEditor';
+import ComponentRenderer from '../detail/ComponentRenderer';
+import { useThemeContext } from '../../../contexts/ThemeContext';
+import { useIcons } from '../../../hooks/useIcons';
+import { coercePropValues, getDefaultPropValues, getThemePreviewVariables } from '../../../lib/previewPropUtils';
 import { 
   Check, 
   RefreshCw, 
   RotateCcw, 
   AlertTriangle, 
   Code, 
+  Eye,
   Settings,
   Copy,
   CheckCheck
@@ -80,6 +85,14 @@ export default function ResultPreview({
           <Code size={16} />
           <span>Code</span>
         </button>
+        <button
+          type="button"
+          className={`result-preview-tab ${activeTab === 'preview' ? 'result-preview-tab--active' : ''}`}
+          onClick={() => setActiveTab('preview')}
+        >
+          <Eye size={16} />
+          <span>Preview</span>
+        </button>
         <button
           type="button"
           className={`result-preview-tab ${activeTab === 'props' ? 'result-preview-tab--active' : ''}`}
@@ -114,6 +127,10 @@ export default function ResultPreview({
           </div>
         )}
 
+        {activeTab === 'preview' && (
+          <LivePreview code={code} generatedProps={generatedProps} />
+        )}
+
         {activeTab === 'props' && (
           <div className="result-preview-props">
             {generatedProps.length > 0 ? (
@@ -217,4 +234,27 @@ export default function ResultPreview({
   );
 }
 
+/**
+ * Sandboxed render of the generated code with its default props in the active theme
+ */
+function LivePreview({ code, generatedProps }) {
+  const { activeTheme } = useThemeContext();
+  const { data: icons } = useIcons();
+  const cssVariables = useMemo(() => getThemePreviewVariables(activeTheme), [activeTheme]);
+  const props = useMemo(
+    () => coercePropValues(generatedProps, getDefaultPropValues(generatedProps)),
+    [generatedProps]
+  );
 
+  return (
+    <div className="result-preview-live">
+      <ComponentRenderer
+        code={code}
+        props={props}
+        icons={icons}
+        cssVariables={cssVariables}
+        title="Generated component preview"
+      />
+    </div>
+  );
+}
@@ -1,145 +1,179 @@
 /**
  * @chunk 3.13 - PreviewTab
  * @chunk B.8 - Icon Component Injection
- * 
- * Safe component renderer that evaluates component code and renders it.
- * Uses Function constructor for code evaluation (can be upgraded to iframe sandbox in production).
- * 
- * Injects an Icon component into the evaluation scope for icon prop support.
+ *
+ * Sandboxed component renderer. Compiles component code in the app and renders
+ * it inside an `allow-scripts`-only iframe (see lib/componentSandbox.js), so
+ * previewed code can't crash the app or read its storage.
+ *
+ * Props, theme CSS variables and icons are sent to the frame over postMessage;
+ * the frame injects an Icon component into the evaluation scope. A render that
+ * doesn't report back within `timeout` ms is stopped by reloading the frame.
  */
 
-import { useState, useEffect, useMemo } from 'react';
-import React from 'react';
-import { prepareComponentCodeForEval } from '../../../lib/codeSanitizer';
-import * as Babel from '@babel/standalone';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  SANDBOX_SOURCE,
+  SANDBOX_PERMISSIONS,
+  DEFAULT_RENDER_TIMEOUT,
+  compileComponentCode,
+  compileExampleCode,
+  getComponentScopeNames,
+  serializeIcons,
+  isSandboxMessage,
+  loadSandboxDocument,
+} from '../../../lib/componentSandbox';
+
+// Stable default so re-renders don't re-send the render message
+const NO_ICONS = [];
+
+const ERROR_LABELS = {
+  compile: 'Render Error',
+  runtime: 'Runtime Error',
+  timeout: 'Render Timeout',
+  sandbox: 'Preview Unavailable',
+};
 
 /**
- * Create an Icon component for use within evaluated component code.
- * Looks up icons by name/slug and renders inline SVG.
- * 
- * @param {Array} icons - Array of icon objects from the icon library
- * @returns {Function} - Icon React component
+ * @param {Object} props
+ * @param {string} props.code - Component source
+ * @param {Object} [props.props] - Props for the component (must be structured-cloneable)
+ * @param {Array|null} [props.icons] - Icon library rows for the injected Icon component
+ * @param {Object<string, string>} [props.cssVariables] - Theme CSS variables applied inside the frame
+ * @param {string} [props.example] - Usage example markup to render instead of the bare component
+ * @param {string} [props.componentName] - Component name, used to resolve the component in examples
+ * @param {number} [props.timeout] - Render timeout in ms
+ * @param {string} [props.title] - Accessible title for the iframe
  */
-function createIconComponent(icons) {
-  return function Icon({ name, size = 24, color = 'currentColor', className = '', ...rest }) {
-    // Find icon by name or slug
-    const icon = icons?.find(i => 
-      i.slug === name || 
-      i.name === name || 
-      i.name.toLowerCase().replace(/\s+/g, '-') === name
-    );
-
-    if (!icon || !icon.svg_text) {
-      // Return empty placeholder when icon not found
-      return React.createElement('span', {
-        className: `icon icon-placeholder ${className}`,
-        style: { 
-          display: 'inline-flex',
-          width: size,
-          height: size,
-          alignItems: 'center',
-          justifyContent: 'center',
-          color: color
-        },
-        title: `Icon "${name}" not found`,
-        ...rest
-      }, '?');
-    }
+export default function ComponentRenderer({
+  code,
+  props,
+  icons = NO_ICONS,
+  cssVariables,
+  example,
+  componentName,
+  timeout = DEFAULT_RENDER_TIMEOUT,
+  title = 'Component preview',
+}) {
+  const frameRef = useRef(null);
+  const timerRef = useRef(null);
+  const renderIdRef = useRef(0);
+  const [srcDoc, setSrcDoc] = useState(null);
+  const [frameKey, setFrameKey] = useState(0);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+  const [height, setHeight] = useState(0);
+  const [halted, setHalted] = useState(null);
+
+  const clearTimer = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSandboxDocument()
+      .then((doc) => !cancelled && setSrcDoc(doc))
+      .catch((e) => !cancelled && setError({ phase: 'sandbox', message: e.message }));
+    return () => { cancelled = true; };
+  }, []);
 
-    // Process SVG to make it more flexible
-    let svgContent = icon.svg_text;
-    
-    // Add currentColor support if not present
-    if (!svgContent.includes('currentColor')) {
-      svgContent = svgContent
-        .replace(/fill="[^"]*"/gi, 'fill="currentColor"')
-        .replace(/stroke="[^"]*"/gi, 'stroke="currentColor"');
+  const compiled = useMemo(() => {
+    if (!code) return null;
+    try {
+      return {
+        code: compileComponentCode(code),
+        example: example ? compileExampleCode(example) : null,
+        scope: example ? getComponentScopeNames(code, componentName) : undefined,
+      };
+    } catch (e) {
+      return { error: e.message };
     }
+  }, [code, example, componentName]);
 
-    // Return div with dangerouslySetInnerHTML
-    return React.createElement('span', {
-      className: `icon icon-${icon.slug} ${className}`,
-      style: { 
-        display: 'inline-flex',
-        width: size,
-        height: size,
-        color: color
-      },
-      dangerouslySetInnerHTML: { __html: svgContent },
-      ...rest
-    });
-  };
-}
+  const iconData = useMemo(() => serializeIcons(icons), [icons]);
 
-export default function ComponentRenderer({ code, props, icons = [] }) {
-  const [error, setError] = useState(null);
-  const [Component, setComponent] = useState(null);
+  // Frame → parent messages
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (!isSandboxMessage(event, frameRef.current?.contentWindow)) return;
+      const { type, id } = event.data;
 
-  // Memoize the Icon component creation
-  const IconComponent = useMemo(() => createIconComponent(icons), [icons]);
+      if (type === 'ready') {
+        setReady(true);
+      } else if (type === 'resize') {
+        setHeight(event.data.height);
+      } else if (id === renderIdRef.current) {
+        clearTimer();
+        setError(type === 'error' ? { phase: event.data.phase, message: event.data.message } : null);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [clearTimer]);
 
+  // Parent → frame render requests
   useEffect(() => {
-    if (!code) {
-      setComponent(null);
-      return;
-    }
+    if (!ready || !compiled || compiled.error || halted === compiled) return;
 
+    const id = ++renderIdRef.current;
     try {
-      const preparedCode = prepareComponentCodeForEval(code);
-      const compiled = Babel.transform(preparedCode, {
-        // Classic runtime so React.createElement is used (React is in scope)
-        presets: [['react', { runtime: 'classic' }]],
-        // Ensure output is plain JS that can be `new Function`'d
-        sourceType: 'script',
-        babelrc: false,
-        configFile: false,
-      }).code;
-
-      // Create component from code string using Function constructor
-      // In production, use react-live or iframe sandbox for safer evaluation
-      // Icon component is passed in alongside React hooks
-      const fn = new Function('React', 'Icon', `
-        const { useState, useEffect, useRef, useMemo, useCallback, forwardRef, createContext, useContext } = React;
-        let __defaultExport = null;
-        ${compiled}
-        return __defaultExport;
-      `);
-      
-      const ComponentFn = fn(React, IconComponent);
-      if (typeof ComponentFn === 'function') {
-        setComponent(() => ComponentFn);
-        setError(null);
-      } else {
-        setError('Code does not export a valid React component');
-        setComponent(null);
-      }
+      frameRef.current.contentWindow.postMessage({
+        source: SANDBOX_SOURCE,
+        type: 'render',
+        id,
+        code: compiled.code,
+        example: compiled.example,
+        scope: compiled.scope,
+        props: props || {},
+        cssVariables: cssVariables || {},
+        icons: iconData,
+      }, '*');
     } catch (e) {
-      setError(e.message);
-      setComponent(null);
+      setError({ phase: 'runtime', message: `Props could not be sent to the preview: ${e.message}` });
+      return;
     }
-  }, [code, IconComponent]);
-
-  if (error) {
-    return (
-      <div className="render-error">
-        <strong>Render Error:</strong>
-        <pre>{error}</pre>
-      </div>
-    );
-  }
 
-  if (!Component) {
+    clearTimer();
+    timerRef.current = setTimeout(() => {
+      // Reloading the frame discards the runaway document; the same code isn't retried
+      setHalted(compiled);
+      setReady(false);
+      setFrameKey((key) => key + 1);
+      setError({ phase: 'timeout', message: `Render did not finish within ${timeout}ms and was stopped.` });
+    }, timeout);
+  }, [ready, compiled, halted, props, cssVariables, iconData, timeout, clearTimer]);
+
+  useEffect(() => clearTimer, [clearTimer]);
+
+  if (!code) {
     return <div className="render-loading">No component to render</div>;
   }
 
-  try {
-    return <Component {...props} />;
-  } catch (e) {
-    return (
-      <div className="render-error">
-        <strong>Runtime Error:</strong>
-        <pre>{e.message}</pre>
-      </div>
-    );
-  }
+  const shownError = compiled?.error ? { phase: 'compile', message: compiled.error } : error;
+
+  return (
+    <div className="component-renderer">
+      {shownError && (
+        <div className="render-error">
+          <strong>{ERROR_LABELS[shownError.phase] || ERROR_LABELS.runtime}:</strong>
+          <pre>{shownError.message}</pre>
+        </div>
+      )}
+      {srcDoc ? (
+        <iframe
+          key={frameKey}
+          ref={frameRef}
+          title={title}
+          className="component-renderer-frame"
+          sandbox={SANDBOX_PERMISSIONS}
+          srcDoc={srcDoc}
+          style={{ height }}
+        />
+      ) : (
+        !shownError && <div className="render-loading">Loading preview…</div>
+      )}
+    </div>
+  );
 }
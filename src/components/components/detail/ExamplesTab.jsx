@@ -7,12 +7,17 @@
  * Features:
  * - List existing examples
  * - Add example form (title, description, code)
+ * - Live sandboxed preview of each example
  * - Edit/delete examples
  * - Delete confirmation (critical)
  */
 
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { componentService } from '../../../services/componentService';
+import { useThemeContext } from '../../../contexts/ThemeContext';
+import { useIcons } from '../../../hooks/useIcons';
+import { getThemePreviewVariables } from '../../../lib/previewPropUtils';
+import ComponentRenderer from './ComponentRenderer';
 import { Input, Textarea, Button, Modal } from '../../ui';
 import { PlusIcon, TrashIcon, EditIcon } from 'lucide-react';
 import { toast } from 'sonner';
@@ -20,6 +25,9 @@ import { toast } from 'sonner';
 export default function ExamplesTab({ component, onUpdate }) {
   const [showForm, setShowForm] = useState(false);
   const [editingExample, setEditingExample] = useState(null);
+  const { activeTheme } = useThemeContext();
+  const { data: icons } = useIcons();
+  const cssVariables = useMemo(() => getThemePreviewVariables(activeTheme), [activeTheme]);
 
   const handleAddExample = async (example) => {
     try {
@@ -117,6 +125,18 @@ export default function ExamplesTab({ component, onUpdate }) {
               {example.description && (
                 <p className="example-description">{example.description}</p>
               )}
+              {component.code && (
+                <div className="example-preview">
+                  <ComponentRenderer
+                    code={component.code}
+                    example={example.code}
+                    componentName={component.name}
+                    icons={icons}
+                    cssVariables={cssVariables}
+                    title={`${example.title} preview`}
+                  />
+                </div>
+              )}
               <pre className="example-code"><code>{example.code}</code></pre>
             </div>
           ))}
@@ -251,6 +271,13 @@ export default function ExamplesTab({ component, onUpdate }) {
           line-height: 1.5;
         }
 
+        .example-preview {
+          padding: var(--spacing-md);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background: var(--color-background);
+        }
+
         .example-code {
           margin: 0;
           padding: var(--spacing-md);
@@ -14,50 +14,8 @@ import { Select, SegmentedControl, Button } from '../../ui';
 import ComponentRenderer from './ComponentRenderer';
 import PropControl from './PropControl';
 import { Monitor, Tablet, Smartphone, Palette, ExternalLink } from 'lucide-react';
-import { isCompositeTypographyToken, expandCompositeTypographyToken, tokenToCssValue } from '../../../lib/cssVariableInjector';
 import { detectPropNamesFromCode } from '../../../lib/propGenerator';
-import { coercePropValues, computePreviewPropDiagnostics } from '../../../lib/previewPropUtils';
-
-function deriveSemanticColorAliases(vars) {
-  const pick = (keys) => {
-    for (const k of keys) {
-      const v = vars[k];
-      if (typeof v === 'string' && v.trim() !== '') return v;
-    }
-    return undefined;
-  };
-
-  const aliases = {};
-
-  // Backgrounds
-  aliases['--color-background'] = pick(['--color-background', '--background-white', '--background-default', '--background-neutral-subtle']);
-  aliases['--color-surface'] = pick(['--color-surface', '--background-white', '--background-default', '--color-background']);
-  aliases['--color-muted'] = pick(['--color-muted', '--background-neutral-subtle', '--background-neutral-light', '--background-neutral']);
-
-  // Foregrounds
-  aliases['--color-foreground'] = pick(['--color-foreground', '--foreground-heading', '--foreground-body']);
-  aliases['--color-muted-foreground'] = pick(['--color-muted-foreground', '--foreground-caption', '--foreground-body']);
-
-  // Borders
-  aliases['--color-border'] = pick(['--color-border', '--foreground-divider', '--foreground-stroke-default', '--foreground-table-border']);
-
-  // Primary/secondary (buttons/brand)
-  aliases['--color-primary'] = pick(['--color-primary', '--background-brand', '--button-primary-bg']);
-  aliases['--color-primary-hover'] = pick(['--color-primary-hover', '--button-primary-hover-bg', '--button-primary-pressed-bg']);
-  aliases['--color-secondary'] = pick(['--color-secondary', '--button-secondary-bg', '--background-secondary']);
-
-  // Status
-  aliases['--color-success'] = pick(['--color-success', '--foreground-feedback-success']);
-  aliases['--color-warning'] = pick(['--color-warning', '--foreground-feedback-warning']);
-  aliases['--color-error'] = pick(['--color-error', '--foreground-feedback-error']);
-
-  // Drop undefined entries
-  Object.keys(aliases).forEach((k) => {
-    if (aliases[k] === undefined) delete aliases[k];
-  });
-
-  return aliases;
-}
+import { coercePropValues, computePreviewPropDiagnostics, getThemePreviewVariables } from '../../../lib/previewPropUtils';
 
 /**
  * Get localStorage key for persisting preview theme per component
@@ -169,22 +127,10 @@ export default function PreviewTab({ component }) {
     });
   }, [component?.props, usedPropNames, component?.code]);
 
-  const scopedCssVariables = useMemo(() => {
-    if (!themeForPreview?.tokens) return {};
-
-    const rawVars = themeForPreview.tokens.reduce((vars, token) => {
-      if (!token.css_variable) return vars;
-      if (isCompositeTypographyToken(token)) {
-        Object.assign(vars, expandCompositeTypographyToken(token));
-        return vars;
-      }
-      vars[token.css_variable] = tokenToCssValue(token);
-      return vars;
-    }, {});
-
-    const aliasVars = deriveSemanticColorAliases(rawVars);
-    return { ...aliasVars, ...rawVars };
-  }, [themeForPreview]);
+  const scopedCssVariables = useMemo(
+    () => getThemePreviewVariables(themeForPreview),
+    [themeForPreview]
+  );
 
   const viewportWidth = useMemo(() => {
     switch (viewMode) {
@@ -314,7 +260,9 @@ export default function PreviewTab({ component }) {
           <ComponentRenderer
             code={component.code}
             props={coercedPropValues}
-            icons={icons || []}
+            icons={icons}
+            cssVariables={scopedCssVariables}
+            componentName={component.name}
           />
         </div>
       </div>
@@ -465,34 +413,6 @@ export default function PreviewTab({ component }) {
           background-color: var(--color-background, #ffffff);
         }
 
-        /* Render error/loading styles */
-        .render-error {
-          padding: var(--spacing-md, 16px);
-          background: var(--color-error-light, #fee2e2);
-          border: 1px solid var(--color-error, #ef4444);
-          border-radius: var(--radius-md, 6px);
-          color: var(--color-error, #ef4444);
-        }
-
-        .render-error strong {
-          display: block;
-          margin-bottom: var(--spacing-xs, 4px);
-        }
-
-        .render-error pre {
-          margin: 0;
-          font-size: var(--font-size-sm, 14px);
-          white-space: pre-wrap;
-          word-break: break-word;
-        }
-
-        .render-loading {
-          padding: var(--spacing-xl, 32px);
-          text-align: center;
-          color: var(--color-muted-foreground, #6b7280);
-          font-size: var(--font-size-sm, 14px);
-        }
-
         .prop-controls {
           padding: var(--spacing-md, 16px);
           background: var(--color-background, #ffffff);
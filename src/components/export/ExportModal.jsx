@@ -24,6 +24,10 @@ export default function ExportModal({ open, onClose }) {
   const [activeFormat, setActiveFormat] = useState('tokens');
   const [isExporting, setIsExporting] = useState(false);
   const [exportResult, setExportResult] = useState(null);
+  const [tokenOptions, setTokenOptions] = useState({ outputReferences: false, platforms: [], tailwindVersion: 'v3' });
+  const [themeVersions, setThemeVersions] = useState({});
+  const [releaseOptions, setReleaseOptions] = useState({ release: false, version: '', releaseNotes: '' });
+  const [lastRelease, setLastRelease] = useState(null);
 
   const handleExport = async () => {
     setIsExporting(true);
@@ -32,13 +36,32 @@ export default function ExportModal({ open, onClose }) {
       const result = await exportService.buildPackage({
         themes: selectedThemes,
         components: selectedComponents,
-        formats: getFormatsForTab(activeFormat)
+        formats: getFormatsForTab(activeFormat, tokenOptions),
+        options: {
+          ...tokenOptions,
+          ...(activeFormat === 'full' && releaseOptions.release && {
+            release: true,
+            version: releaseOptions.version || undefined,
+            releaseNotes: releaseOptions.releaseNotes,
+          }),
+          snapshots: pickSelected(themeVersions, selectedThemes),
+        }
       });
       
+      if (result.release) {
+        toast.success(`Released v${result.release.version}`);
+        setLastRelease(result.release);
+        setReleaseOptions({ release: false, version: '', releaseNotes: '' });
+      }
+      if (result.compileErrors?.length) {
+        toast.warning(`Not compiled: ${result.compileErrors.map(c => c.name).join(', ')} (source included)`);
+      }
       setExportResult(result);
     } catch (error) {
       console.error('Export failed:', error);
-      toast.error('Export failed');
+      toast.error(releaseOptions.release && activeFormat === 'full'
+        ? `Release failed: ${error.message}`
+        : 'Export failed');
     } finally {
       setIsExporting(false);
     }
@@ -52,6 +75,8 @@ export default function ExportModal({ open, onClose }) {
             <ThemeSelector
               selected={selectedThemes}
               onChange={setSelectedThemes}
+              versions={themeVersions}
+              onVersionChange={setThemeVersions}
             />
             <ComponentSelector
               selected={selectedComponents}
@@ -66,10 +91,21 @@ export default function ExportModal({ open, onClose }) {
             />
 
             <div className="format-content">
-              {activeFormat === 'tokens' && <TokenFormatOptions />}
+              {activeFormat === 'tokens' && (
+                <TokenFormatOptions options={tokenOptions} onChange={setTokenOptions} />
+              )}
               {activeFormat === 'ai' && <AIFormatOptions />}
               {activeFormat === 'mcp' && <MCPServerOptions />}
-              {activeFormat === 'full' && <FullPackageOptions />}
+              {activeFormat === 'full' && (
+                <FullPackageOptions
+                  themes={selectedThemes}
+                  components={selectedComponents}
+                  snapshots={pickSelected(themeVersions, selectedThemes)}
+                  options={releaseOptions}
+                  lastRelease={lastRelease}
+                  onChange={setReleaseOptions}
+                />
+              )}
             </div>
 
             <div className="export-preview">
@@ -104,9 +140,11 @@ export default function ExportModal({ open, onClose }) {
   );
 }
 
-function getFormatsForTab(tab) {
+function getFormatsForTab(tab, tokenOptions = {}) {
+  if (tab === 'tokens') {
+    return ['css', 'json', 'tailwind', 'scss', 'types', ...(tokenOptions.platforms || [])];
+  }
   const mapping = {
-    tokens: ['css', 'json', 'tailwind', 'scss'],
     ai: ['cursor', 'claude', 'project-knowledge'],
     mcp: ['mcp'],
     full: ['all'],
@@ -114,3 +152,11 @@ function getFormatsForTab(tab) {
   return mapping[tab] || ['all'];
 }
 
+/**
+ * Keep snapshot choices for themes that are still selected
+ */
+function pickSelected(versions, selectedThemes) {
+  return Object.fromEntries(
+    Object.entries(versions).filter(([themeId]) => selectedThemes.includes(themeId))
+  );
+}
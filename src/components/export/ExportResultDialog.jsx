@@ -63,6 +63,7 @@ export default function ExportResultDialog({ result, onClose }) {
           <p>
             <strong>{result.fileCount}</strong> files generated for{' '}
             <strong>{result.projectName}</strong> v{result.version}
+            {result.release && ` (released${result.release.level ? `, ${result.release.level}` : ''})`}
           </p>
         </div>
 
@@ -13,7 +13,7 @@ const FORMAT_TABS = [
     id: 'tokens', 
     label: 'Tokens', 
     icon: Code, 
-    description: 'CSS, JSON, Tailwind, SCSS' 
+    description: 'CSS, JSON, Tailwind, SCSS, TypeScript' 
   },
   { 
     id: 'ai', 
@@ -1,10 +1,82 @@
 /**
  * @chunk 5.04 - FormatTabs
- * 
- * Full package options component
+ *
+ * Full package options component. The package can be published as a
+ * semver release with a generated CHANGELOG.md; earlier releases can be
+ * downloaded again.
  */
 
-export default function FullPackageOptions() {
+import { useEffect, useState } from 'react';
+import { Download } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button, Checkbox, Input, Textarea } from '../ui';
+import { exportService } from '../../services/exportService';
+import { releaseService } from '../../services/releaseService';
+import { downloadExportZip } from '../../services/zipService';
+import { useReleases } from '../../hooks/useReleases';
+
+const LEVEL_LABELS = {
+  major: 'major — breaking changes',
+  minor: 'minor — additions',
+  patch: 'patch — changed values',
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<string>} [props.themes] - Selected theme IDs
+ * @param {Array<string>} [props.components] - Selected component IDs
+ * @param {Object<string, string>} [props.snapshots] - Theme ID → snapshot ID being exported
+ * @param {Object} [props.options] - Release options { release, version, releaseNotes, projectName }
+ * @param {Object} [props.lastRelease] - Release just recorded by the export; the list and plan are reloaded when it changes
+ * @param {Function} [props.onChange] - Called with the updated release options
+ */
+export default function FullPackageOptions({ themes = [], components = [], snapshots = {}, options = {}, lastRelease, onChange }) {
+  const update = (changes) => onChange?.({ ...options, ...changes });
+  const projectName = options.projectName || 'design-system';
+  const { data: releases, refetch } = useReleases(projectName);
+  const [plan, setPlan] = useState(null);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const selectionKey = JSON.stringify([themes, components, snapshots]);
+  const hasSelection = themes.length > 0 || components.length > 0;
+
+  // A new release changes both the list and the version the next one is compared with
+  useEffect(() => {
+    if (lastRelease) refetch();
+  }, [lastRelease, refetch]);
+
+  useEffect(() => {
+    if (!options.release || !hasSelection) {
+      setPlan(null);
+      return;
+    }
+
+    let cancelled = false;
+    exportService.planRelease({ themes, components, options: { snapshots, projectName } })
+      .then(result => { if (!cancelled) setPlan(result); })
+      .catch(error => {
+        console.error('Failed to compare with the last release:', error);
+        if (!cancelled) setPlan(null);
+      });
+    return () => { cancelled = true; };
+    // selectionKey stands in for the themes/components/snapshots arrays
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [options.release, selectionKey, projectName, lastRelease]);
+
+  const handleDownload = async (release) => {
+    setDownloadingId(release.id);
+    try {
+      const { files } = await releaseService.getRelease(release.id);
+      await downloadExportZip(files, { filename: `${release.project_name}-v${release.version}.zip` });
+      toast.success('Download started');
+    } catch (error) {
+      console.error('Release download failed:', error);
+      toast.error('Download failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   return (
     <div className="format-options">
       <h4>Full Package</h4>
@@ -12,17 +84,70 @@ export default function FullPackageOptions() {
         Download everything in a single ZIP file:
       </p>
       <ul className="format-options-list">
-        <li>All token formats (CSS, JSON, Tailwind, SCSS)</li>
+        <li>All token formats (CSS, JSON, Tailwind, SCSS, TypeScript)</li>
         <li>All AI platform files</li>
         <li>MCP server package</li>
-        <li>Component code files</li>
+        <li>Installable npm package: compiled components (ESM and CommonJS) with TypeScript types</li>
         <li>Font files (if custom fonts used)</li>
       </ul>
+
+      <h4>Release</h4>
+      <Checkbox
+        checked={!!options.release}
+        onChange={(checked) => update({ release: checked })}
+        label="Publish as a release — semver version and CHANGELOG.md"
+      />
+      {options.release && (
+        <>
+          {plan && (
+            <p className="format-options-description">
+              {plan.previousVersion
+                ? `${plan.changes.length} change(s) since v${plan.previousVersion}`
+                  + (plan.level ? ` (${LEVEL_LABELS[plan.level]})` : '')
+                  + `. Suggested version: v${plan.version}.`
+                : `First release: v${plan.version}.`}
+            </p>
+          )}
+          <Input
+            label="Version"
+            value={options.version || ''}
+            placeholder={plan?.version || '1.0.0'}
+            onChange={(e) => update({ version: e.target.value.trim() })}
+          />
+          <Textarea
+            label="Release notes"
+            value={options.releaseNotes || ''}
+            onChange={(e) => update({ releaseNotes: e.target.value })}
+            rows={3}
+          />
+        </>
+      )}
+
+      {releases.length > 0 && (
+        <>
+          <h4>Previous Releases</h4>
+          <ul className="format-options-list">
+            {releases.map(release => (
+              <li key={release.id} className="format-options-row">
+                <span>
+                  <strong>v{release.version}</strong>
+                  {' '}{release.created_at?.split('T')[0]}
+                  {release.level && ` · ${release.level}`}
+                </span>
+                <Button
+                  size="small"
+                  variant="ghost"
+                  loading={downloadingId === release.id}
+                  onClick={() => handleDownload(release)}
+                  aria-label={`Download v${release.version}`}
+                >
+                  <Download size={14} />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
     </div>
   );
 }
-
-
-
-
-
@@ -2,12 +2,47 @@
  * @chunk 5.02 - ThemeSelector (Export)
  * 
  * Multi-select theme picker for export.
+ * Selected themes can export the live rows or a published snapshot.
  */
 
 import { useThemes } from '../../hooks/useThemes';
+import { useThemeSnapshots } from '../../hooks/useThemeSnapshots';
 import { Checkbox } from '../ui';
 
-export default function ThemeSelector({ selected, onChange }) {
+/**
+ * Version picker for one selected theme ('' = live)
+ */
+function ThemeVersionSelect({ themeId, value, onChange }) {
+  const { data: snapshots } = useThemeSnapshots(themeId);
+
+  if (!snapshots.length) return null;
+
+  return (
+    <select
+      className="theme-version-select"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      onClick={(e) => e.stopPropagation()}
+      aria-label="Theme version"
+    >
+      <option value="">Live</option>
+      {snapshots.map(snapshot => (
+        <option key={snapshot.id} value={snapshot.id}>
+          v{snapshot.version}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string[]} props.selected - Selected theme IDs
+ * @param {Function} props.onChange - Called with the new selection
+ * @param {Object<string, string>} [props.versions] - Theme ID → snapshot ID to export instead of live
+ * @param {Function} [props.onVersionChange] - Called with the new versions map; omit to hide version pickers
+ */
+export default function ThemeSelector({ selected, onChange, versions = {}, onVersionChange }) {
   const { data: themes, isLoading } = useThemes();
   
   const toggleTheme = (id) => {
@@ -69,6 +104,18 @@ export default function ThemeSelector({ selected, onChange }) {
                 {theme.tokenCount || theme.tokens?.length || 0} tokens
               </span>
             </div>
+            {onVersionChange && selected.includes(theme.id) && (
+              <ThemeVersionSelect
+                themeId={theme.id}
+                value={versions[theme.id]}
+                onChange={(snapshotId) => {
+                  const next = { ...versions };
+                  if (snapshotId) next[theme.id] = snapshotId;
+                  else delete next[theme.id];
+                  onVersionChange(next);
+                }}
+              />
+            )}
             {theme.is_default && (
               <span className="default-badge">Default</span>
             )}
@@ -179,6 +226,15 @@ export default function ThemeSelector({ selected, onChange }) {
           font-weight: var(--font-weight-medium, 500);
         }
 
+        .theme-version-select {
+          padding: 2px var(--spacing-xs, 0.25rem);
+          border: 1px solid var(--color-border, #E7E5E4);
+          border-radius: var(--radius-sm, 0.25rem);
+          background-color: var(--color-background, #FFFFFF);
+          font-size: var(--font-size-xs, 0.75rem);
+          color: var(--color-foreground, #1C1917);
+        }
+
         .selection-summary {
           margin-top: var(--spacing-xs, 0.25rem);
           padding-top: var(--spacing-sm, 0.5rem);
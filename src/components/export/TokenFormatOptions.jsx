@@ -4,7 +4,39 @@
  * Token format options component
  */
 
-export default function TokenFormatOptions() {
+import { Checkbox, SegmentedControl } from '../ui';
+
+const NATIVE_PLATFORMS = [
+  { value: 'ios', label: 'iOS (Swift) — UIColor/Color extensions, CGFloat in pt' },
+  { value: 'android', label: 'Android (XML) — colors.xml and dimens.xml in dp/sp' },
+  { value: 'compose', label: 'Jetpack Compose — Color, Dp and sp objects' },
+];
+
+const STYLE_DICTIONARY_FORMATS = [
+  { value: 'dtcg', label: 'DTCG ($value)' },
+  { value: 'sd', label: 'Style Dictionary (value)' },
+];
+
+const TAILWIND_VERSIONS = [
+  { value: 'v3', label: 'v3 preset' },
+  { value: 'v4', label: 'v4 @theme' },
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.options - Current token export options
+ * @param {Function} props.onChange - Called with the updated options object
+ */
+export default function TokenFormatOptions({ options = {}, onChange }) {
+  const update = (changes) => onChange?.({ ...options, ...changes });
+  const platforms = options.platforms || [];
+
+  const togglePlatform = (platform, checked) => update({
+    platforms: checked
+      ? [...platforms, platform]
+      : platforms.filter(p => p !== platform),
+  });
+
   return (
     <div className="format-options">
       <h4>Token Formats</h4>
@@ -16,17 +48,57 @@ export default function TokenFormatOptions() {
           <strong>JSON</strong> — Nested or flat structure
         </li>
         <li>
-          <strong>Tailwind</strong> — tailwind.config.js extend
+          <strong>Tailwind</strong> — {options.tailwindVersion === 'v4'
+            ? 'tailwind.css with an @theme block'
+            : 'tailwind.config.js preset for presets: [...]'}
         </li>
         <li>
           <strong>SCSS</strong> — Variables or maps
         </li>
+        <li>
+          <strong>TypeScript</strong> — TokenPath union, typed tokens and cssVar()
+        </li>
       </ul>
+      <Checkbox
+        checked={!!options.outputReferences}
+        onChange={(checked) => update({ outputReferences: checked })}
+        label="Keep alias tokens as references (var(--…), $…, {…})"
+      />
+      <div className="format-options-row">
+        <span>Tailwind version</span>
+        <SegmentedControl
+          size="sm"
+          value={options.tailwindVersion || 'v3'}
+          onChange={(tailwindVersion) => update({ tailwindVersion })}
+          options={TAILWIND_VERSIONS}
+        />
+      </div>
+      <h4>Native Platforms</h4>
+      {NATIVE_PLATFORMS.map(({ value, label }) => (
+        <Checkbox
+          key={value}
+          checked={platforms.includes(value)}
+          onChange={(checked) => togglePlatform(value, checked)}
+          label={label}
+        />
+      ))}
+      <h4>Pipelines</h4>
+      <Checkbox
+        checked={platforms.includes('style-dictionary')}
+        onChange={(checked) => togglePlatform('style-dictionary', checked)}
+        label="Style Dictionary project — tokens/**/*.json and config.json"
+      />
+      {platforms.includes('style-dictionary') && (
+        <div className="format-options-row">
+          <span>Source format</span>
+          <SegmentedControl
+            size="sm"
+            value={options.styleDictionaryFormat || 'dtcg'}
+            onChange={(styleDictionaryFormat) => update({ styleDictionaryFormat })}
+            options={STYLE_DICTIONARY_FORMATS}
+          />
+        </div>
+      )}
     </div>
   );
 }
-
-
-
-
-
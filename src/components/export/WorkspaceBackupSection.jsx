@@ -0,0 +1,157 @@
+/**
+ * Workspace backup & restore section (Settings page).
+ * Downloads the whole workspace as a versioned ZIP and restores such an
+ * archive with a conflict strategy for existing themes, components and icons.
+ */
+
+import { useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { Archive, Download, Upload } from 'lucide-react';
+import { Button, Select } from '../ui';
+import { backupService } from '../../services/backupService';
+import { downloadBlob } from '../../services/zipService';
+
+const STRATEGY_OPTIONS = [
+  { value: 'skip', label: 'Skip existing (keep current version)' },
+  { value: 'overwrite', label: 'Overwrite existing' },
+  { value: 'rename', label: 'Import as renamed copies' },
+];
+
+function summarize(counts) {
+  return ['created', 'overwritten', 'renamed', 'skipped']
+    .filter(key => counts[key] > 0)
+    .map(key => `${counts[key]} ${key}`)
+    .join(', ') || 'none';
+}
+
+export default function WorkspaceBackupSection() {
+  const fileInputRef = useRef(null);
+  const [strategy, setStrategy] = useState('skip');
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const { blob, filename, warnings } = await backupService.exportWorkspace();
+      downloadBlob(blob, filename);
+      if (warnings.length > 0) {
+        toast.warning(`Backup downloaded with ${warnings.length} missing file${warnings.length === 1 ? '' : 's'}`);
+      } else {
+        toast.success('Workspace backup downloaded');
+      }
+    } catch (error) {
+      console.error('Failed to export workspace:', error);
+      toast.error('Failed to export workspace');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!confirm(`Restore "${file.name}" into this workspace? Existing items are handled with "${strategy}".`)) return;
+
+    setIsImporting(true);
+    setReport(null);
+    try {
+      const result = await backupService.importWorkspace(file, { strategy });
+      setReport(result);
+      toast.success('Workspace restored');
+    } catch (error) {
+      console.error('Failed to restore workspace:', error);
+      toast.error(error.message || 'Failed to restore workspace');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <section className="settings-section card">
+      <div className="section-header">
+        <Archive size={20} />
+        <div>
+          <h2>Workspace Backup</h2>
+          <p className="section-description">
+            Move themes, tokens, typography, components, icons and their files between Supabase projects
+          </p>
+        </div>
+      </div>
+      <div className="section-content">
+        <div className="form-group">
+          <Button variant="secondary" onClick={handleExport} loading={isExporting}>
+            <Download size={16} />
+            Download Backup
+          </Button>
+          <p className="form-hint">
+            A single ZIP with every table and the stored font files, images and SVGs.
+          </p>
+        </div>
+
+        <div className="form-group">
+          <Select
+            label="When an item already exists"
+            options={STRATEGY_OPTIONS}
+            value={strategy}
+            onChange={setStrategy}
+            disabled={isImporting}
+          />
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={handleFileChange}
+            hidden
+            data-testid="backup-file-input"
+          />
+          <Button onClick={() => fileInputRef.current?.click()} loading={isImporting}>
+            <Upload size={16} />
+            Restore from Backup
+          </Button>
+        </div>
+
+        {report && (
+          <div className="backup-report" role="status">
+            <ul>
+              <li><strong>Themes:</strong> {summarize(report.themes)}</li>
+              <li><strong>Components:</strong> {summarize(report.components)}</li>
+              <li><strong>Icons:</strong> {summarize(report.icons)}</li>
+              <li><strong>Files:</strong> {report.files.uploaded} uploaded{report.files.missing > 0 ? `, ${report.files.missing} missing` : ''}</li>
+            </ul>
+            {report.warnings.length > 0 && (
+              <details>
+                <summary>{report.warnings.length} warning{report.warnings.length === 1 ? '' : 's'}</summary>
+                <ul>
+                  {report.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+      </div>
+
+      <style>{`
+        .backup-report {
+          padding: var(--spacing-md);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background: var(--color-muted);
+          font-size: var(--font-size-sm);
+        }
+
+        .backup-report ul {
+          margin: 0;
+          padding-left: var(--spacing-lg);
+        }
+
+        .backup-report details {
+          margin-top: var(--spacing-sm);
+          color: var(--color-muted-foreground);
+        }
+      `}</style>
+    </section>
+  );
+}
@@ -15,4 +15,4 @@ export { default as AIFormatOptions } from './AIFormatOptions';
 export { default as MCPServerOptions } from './MCPServerOptions';
 export { default as FullPackageOptions } from './FullPackageOptions';
 export { default as ExportResultDialog } from './ExportResultDialog';
-
+export { default as WorkspaceBackupSection } from './WorkspaceBackupSection';
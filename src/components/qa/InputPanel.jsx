@@ -1,22 +1,23 @@
 /**
  * @chunk 7.17 - QA Page Shell
- * InputPanel component for image upload and URL capture with analysis trigger
+ * InputPanel component for image upload and URL capture with analysis trigger.
+ * Each analysis is saved as a QA run and compared with the previous run of the same URL.
  */
 import { useCallback, useState, useEffect } from 'react';
 import { FileDropzone } from './input/FileDropzone';
 import { UrlInput } from './input/UrlInput';
+import { QAHistory } from './history/QAHistory';
 import { useQAStore } from '../../stores/qaStore';
 import { captureInput } from '../../lib/qa/inputRouter';
-import { extractAll } from '../../lib/qa/extraction/orchestrator';
-import { matchColors } from '../../lib/qa/matching/colorMatcher';
-import { matchFonts } from '../../lib/qa/matching/fontMatcher';
-import { generateIssues } from '../../lib/qa/issues/issueGenerator';
+import { analyzeAsset } from '../../lib/qa/analysis';
 import { themeService } from '../../services/themeService';
+import { qaRunService } from '../../services/qaRunService';
 import { Loader2, Image, Globe } from 'lucide-react';
+import { toast } from 'sonner';
 import '../../styles/qa.css';
 
 export function InputPanel() {
-  const { setAsset, setIssues, setIsAnalyzing, isAnalyzing } = useQAStore();
+  const { setAsset, setIssues, setRun, setCoverage, setIsAnalyzing, isAnalyzing } = useQAStore();
   const [error, setError] = useState(null);
   const [defaultThemeId, setDefaultThemeId] = useState(null);
   const [activeTab, setActiveTab] = useState('image');
@@ -52,28 +53,39 @@ export function InputPanel() {
     setIsAnalyzing(true);
 
     try {
-      // Run extraction
-      const { colors, fonts } = await extractAll(asset);
+      // Extract colors, fonts and box styles, match them to the theme's tokens
+      // and generate issues with marker positions and the token coverage report
+      const { extraction, issues, coverage } = await analyzeAsset(asset, defaultThemeId);
 
-      // Match colors against design tokens (with themeId)
-      const colorMatches = await matchColors(colors, defaultThemeId);
-
-      // Match fonts against typography tokens
-      const fontMatches = await matchFonts(fonts, defaultThemeId);
-
-      // Generate issues with marker positions
-      const issues = generateIssues(colorMatches, fontMatches);
+      // Save the run and compare it with the previous run of the same URL
+      let run = null;
+      let comparison = null;
+      try {
+        run = await qaRunService.saveRun({
+          asset,
+          themeId: defaultThemeId,
+          extraction,
+          issues,
+          coverage,
+        });
+        comparison = await qaRunService.compareWithPrevious(run);
+      } catch (saveError) {
+        console.error('Failed to save QA run:', saveError);
+        toast.error('QA run could not be saved to history');
+      }
 
       // Update store
       setAsset(asset);
       setIssues(issues);
+      setCoverage(coverage);
+      setRun(run, comparison);
     } catch (err) {
       console.error('Analysis failed:', err);
       setError(err.message || 'Analysis failed');
     } finally {
       setIsAnalyzing(false);
     }
-  }, [setAsset, setIssues, setIsAnalyzing, defaultThemeId]);
+  }, [setAsset, setIssues, setRun, setCoverage, setIsAnalyzing, defaultThemeId]);
 
   const handleImageSelect = useCallback(async (fileData) => {
     if (!fileData) {
@@ -93,6 +105,9 @@ export function InputPanel() {
       },
       domElements: null,
       capturedAt: new Date(),
+      metadata: {
+        name: fileData.file?.name,
+      },
     };
 
     await runAnalysis(asset);
@@ -123,6 +138,11 @@ export function InputPanel() {
     }
   }, [runAnalysis, defaultThemeId, setIsAnalyzing]);
 
+  const handleRerun = useCallback((url) => {
+    setActiveTab('url');
+    handleUrlCapture(url);
+  }, [handleUrlCapture]);
+
   if (isAnalyzing) {
     return (
       <div className="qa-input-panel">
@@ -184,6 +204,8 @@ export function InputPanel() {
           {error}
         </div>
       )}
+
+      <QAHistory onRerun={handleRerun} />
     </div>
   );
 }
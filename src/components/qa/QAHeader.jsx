@@ -2,15 +2,24 @@
  * @chunk 7.17 - QA Page Shell
  * Header component for Visual QA page with mode toggle
  */
+import { useState } from 'react';
 import { useQAStore } from '../../stores/qaStore';
-import { Scan, GitCompare } from 'lucide-react';
+import { ExportButton } from './export/ExportButton';
+import { FixPatchModal } from './patches/FixPatchModal';
+import { CoverageBadge } from './score/CoverageBadge';
+import { QASettingsModal } from './settings/QASettingsModal';
+import { Scan, GitCompare, Layers, Wrench, SlidersHorizontal } from 'lucide-react';
 
 export function QAHeader() {
-  const { mode, setMode, asset, setAsset, setIssues } = useQAStore();
+  const { mode, setMode, asset, issues, coverage, setAsset, setIssues, setRun, setCoverage } = useQAStore();
+  const [isPatchOpen, setIsPatchOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
 
   const handleReset = () => {
     setAsset(null);
     setIssues([]);
+    setRun(null);
+    setCoverage(null);
   };
 
   return (
@@ -18,7 +27,7 @@ export function QAHeader() {
       <div className="flex items-center gap-4">
         <h1 className="font-semibold">Visual QA</h1>
 
-        {asset && (
+        {mode === 'single' && asset && (
           <button
             onClick={handleReset}
             className="text-sm text-gray-500 hover:text-gray-700"
@@ -28,24 +37,58 @@ export function QAHeader() {
         )}
       </div>
 
-      <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
-        <button
-          onClick={() => setMode('single')}
-          className={`px-3 py-1.5 rounded-md flex items-center gap-2 text-sm transition-colors
-            ${mode === 'single' ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
-        >
-          <Scan size={16} />
-          Single
-        </button>
+      <div className="flex items-center gap-3">
+        {mode === 'single' && asset && coverage && <CoverageBadge coverage={coverage} />}
+        {mode === 'single' && asset && (
+          <button
+            onClick={() => setIsPatchOpen(true)}
+            disabled={!issues.some(issue => issue.suggestion)}
+            className="px-3 py-1.5 border rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Wrench size={16} />
+            Fix patch
+          </button>
+        )}
+        {mode === 'single' && asset && <ExportButton />}
         <button
-          onClick={() => setMode('compare')}
-          className={`px-3 py-1.5 rounded-md flex items-center gap-2 text-sm transition-colors
-            ${mode === 'compare' ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+          onClick={() => setIsSettingsOpen(true)}
+          className="p-2 border rounded-lg text-gray-600 hover:bg-gray-50"
+          title="QA settings"
+          aria-label="QA settings"
         >
-          <GitCompare size={16} />
-          Compare
+          <SlidersHorizontal size={16} />
         </button>
+
+        <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+          <button
+            onClick={() => setMode('single')}
+            className={`px-3 py-1.5 rounded-md flex items-center gap-2 text-sm transition-colors
+              ${mode === 'single' ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+          >
+            <Scan size={16} />
+            Single
+          </button>
+          <button
+            onClick={() => setMode('compare')}
+            className={`px-3 py-1.5 rounded-md flex items-center gap-2 text-sm transition-colors
+              ${mode === 'compare' ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+          >
+            <GitCompare size={16} />
+            Compare
+          </button>
+          <button
+            onClick={() => setMode('batch')}
+            className={`px-3 py-1.5 rounded-md flex items-center gap-2 text-sm transition-colors
+              ${mode === 'batch' ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+          >
+            <Layers size={16} />
+            Batch
+          </button>
+        </div>
       </div>
+
+      <FixPatchModal open={isPatchOpen} onClose={() => setIsPatchOpen(false)} />
+      <QASettingsModal open={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} />
     </header>
   );
 }
@@ -0,0 +1,104 @@
+/**
+ * BatchDashboard
+ * Aggregate view of a batch QA run: totals, worst pages and the most common
+ * off-token colors and fonts across pages.
+ */
+
+function OffTokenList({ title, values, renderSwatch }) {
+  return (
+    <section className="bg-white border rounded-lg p-4">
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+      {values.length === 0 ? (
+        <p className="text-sm text-gray-400">None found</p>
+      ) : (
+        <ul className="space-y-1 text-sm">
+          {values.map(entry => (
+            <li key={entry.value} className="flex items-center gap-2">
+              {renderSwatch?.(entry.value)}
+              <code className="flex-1 truncate" title={entry.value}>{entry.value}</code>
+              {entry.suggestion && (
+                <code className="text-xs text-gray-500 truncate">→ {entry.suggestion.cssVariable}</code>
+              )}
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {entry.pages} {entry.pages === 1 ? 'page' : 'pages'} · {entry.count}×
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export function BatchDashboard({ summary, onOpenPage }) {
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-4 gap-4">
+        {[
+          ['Captures', summary.total],
+          ['Completed', summary.done],
+          ['Failed', summary.failed],
+          ['Issues', summary.totalIssues],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white border rounded-lg p-4">
+            <div className="text-2xl font-semibold">{value}</div>
+            <div className="text-sm text-gray-500">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      <section className="bg-white border rounded-lg p-4">
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Worst pages</h3>
+        {summary.worstPages.length === 0 ? (
+          <p className="text-sm text-gray-400">No issues found yet</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium py-1">Page</th>
+                <th className="font-medium py-1">Viewport</th>
+                <th className="font-medium py-1 text-right">Fail</th>
+                <th className="font-medium py-1 text-right">Warn</th>
+                <th className="font-medium py-1 text-right">Coverage</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {summary.worstPages.map(result => (
+                <tr key={result.job.id} className="border-t">
+                  <td className="py-1 truncate max-w-xs" title={result.job.url}>{result.job.url}</td>
+                  <td className="py-1 text-gray-500">{result.job.viewport.label}</td>
+                  <td className="py-1 text-right text-red-600">{result.stats.fail}</td>
+                  <td className="py-1 text-right text-yellow-600">{result.stats.warn}</td>
+                  <td className="py-1 text-right text-gray-600">
+                    {result.coverage?.score != null ? `${Math.round(result.coverage.score)}%` : '–'}
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onOpenPage(result)}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Open
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <div className="grid grid-cols-2 gap-4">
+        <OffTokenList
+          title="Most common off-token colors"
+          values={summary.topColors}
+          renderSwatch={(hex) => (
+            <span className="w-4 h-4 rounded border flex-shrink-0" style={{ backgroundColor: hex }} />
+          )}
+        />
+        <OffTokenList title="Most common off-token fonts" values={summary.topFonts} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+/**
+ * BatchWorkspace
+ * Batch QA across many URLs and viewports.
+ * Features:
+ * - URL list (pasted) or sitemap XML upload
+ * - Viewport presets and a concurrency limit for the capture queue
+ * - Per-page progress with cancel
+ * - Aggregate dashboard (BatchDashboard); any page opens in Single mode
+ */
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Loader2, Play, Square, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { BatchDashboard } from './BatchDashboard';
+import { useQAStore } from '../../../stores/qaStore';
+import { themeService } from '../../../services/themeService';
+import { parseSitemap, parseUrlList } from '../../../lib/qa/batch/urlSources';
+import {
+  VIEWPORT_PRESETS,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  buildBatchJobs,
+  runBatch,
+  aggregateBatch,
+} from '../../../lib/qa/batch/batchRunner';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Capturing…',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+export function BatchWorkspace() {
+  const { batchResults, setBatchResults, setMode, setAsset, setIssues, setRun, setCoverage } = useQAStore();
+  const [urlText, setUrlText] = useState('');
+  const [viewportIds, setViewportIds] = useState(['desktop']);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [themeId, setThemeId] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const abortRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    async function loadDefaultTheme() {
+      try {
+        const defaultTheme = await themeService.getDefaultTheme();
+        if (defaultTheme) {
+          setThemeId(defaultTheme.id);
+        } else {
+          const themes = await themeService.getThemes();
+          if (themes?.length > 0) setThemeId(themes[0].id);
+        }
+      } catch (err) {
+        console.error('Failed to load default theme:', err);
+      }
+    }
+    loadDefaultTheme();
+  }, []);
+
+  // Cancel a running batch when leaving the workspace
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const { urls, invalid } = useMemo(() => parseUrlList(urlText), [urlText]);
+  const viewports = VIEWPORT_PRESETS.filter(viewport => viewportIds.includes(viewport.id));
+  const summary = useMemo(() => aggregateBatch(batchResults), [batchResults]);
+
+  const toggleViewport = (id) => {
+    setViewportIds(ids => (ids.includes(id) ? ids.filter(v => v !== id) : [...ids, id]));
+  };
+
+  const handleSitemap = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const sitemap = parseSitemap(await file.text());
+      if (sitemap.urls.length === 0) {
+        toast.error(
+          sitemap.sitemaps.length > 0
+            ? `${file.name} is a sitemap index; upload one of its ${sitemap.sitemaps.length} child sitemaps`
+            : `${file.name} lists no page URLs`
+        );
+        return;
+      }
+      setUrlText(sitemap.urls.join('\n'));
+      toast.success(`Loaded ${sitemap.urls.length} URLs from ${file.name}`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRun = useCallback(async () => {
+    if (!themeId) {
+      toast.error('No theme available for matching. Please create a theme first.');
+      return;
+    }
+
+    const jobs = buildBatchJobs(urls, viewports);
+    const results = jobs.map(job => ({ job, status: 'queued', issues: [], stats: null }));
+    setBatchResults(results);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsRunning(true);
+
+    try {
+      await runBatch(jobs, {
+        themeId,
+        concurrency,
+        signal: controller.signal,
+        onUpdate: (result, index) => {
+          results[index] = result;
+          setBatchResults([...results]);
+        },
+      });
+    } catch (err) {
+      console.error('Batch QA failed:', err);
+      toast.error(err.message || 'Batch QA failed');
+    } finally {
+      abortRef.current = null;
+      setIsRunning(false);
+    }
+  }, [themeId, urls, viewports, concurrency, setBatchResults]);
+
+  const handleOpenPage = useCallback((result) => {
+    setAsset(result.asset);
+    setIssues(result.issues);
+    setCoverage(result.coverage || null);
+    setRun(null);
+    setMode('single');
+  }, [setAsset, setIssues, setRun, setCoverage, setMode]);
+
+  const jobCount = urls.length * viewports.length;
+  const finished = batchResults.filter(result => result.status !== 'queued' && result.status !== 'running').length;
+
+  return (
+    <div className="flex-1 flex overflow-hidden">
+      <div className="w-96 border-r bg-white flex flex-col overflow-hidden">
+        <div className="p-4 space-y-4 border-b">
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label htmlFor="qa-batch-urls" className="text-sm font-medium text-gray-700">URLs</label>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isRunning}
+                className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1 disabled:opacity-50"
+              >
+                <Upload size={12} />
+                Load sitemap.xml
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".xml,application/xml,text/xml"
+                onChange={handleSitemap}
+                className="hidden"
+                data-testid="qa-batch-sitemap"
+              />
+            </div>
+            <textarea
+              id="qa-batch-urls"
+              value={urlText}
+              onChange={(e) => setUrlText(e.target.value)}
+              disabled={isRunning}
+              rows={6}
+              placeholder={'https://example.com/\nhttps://example.com/pricing'}
+              className="w-full border rounded-md p-2 text-sm font-mono"
+            />
+            {invalid.length > 0 && (
+              <p className="text-xs text-red-600 mt-1">
+                Ignoring {invalid.length} invalid {invalid.length === 1 ? 'entry' : 'entries'}: {invalid.slice(0, 3).join(', ')}
+              </p>
+            )}
+          </div>
+
+          <fieldset>
+            <legend className="text-sm font-medium text-gray-700 mb-1">Viewports</legend>
+            <div className="flex gap-3">
+              {VIEWPORT_PRESETS.map(viewport => (
+                <label key={viewport.id} className="flex items-center gap-1 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={viewportIds.includes(viewport.id)}
+                    onChange={() => toggleViewport(viewport.id)}
+                    disabled={isRunning}
+                  />
+                  {viewport.label}
+                  <span className="text-xs text-gray-400">{viewport.width}px</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <label className="flex items-center justify-between text-sm text-gray-700">
+            Parallel captures
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              disabled={isRunning}
+              className="border rounded-md px-2 py-1"
+            >
+              {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={() => abortRef.current?.abort()}
+              className="w-full px-3 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center justify-center gap-2 text-sm"
+            >
+              <Square size={14} />
+              Cancel ({finished}/{batchResults.length})
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleRun}
+              disabled={jobCount === 0}
+              className="w-full px-3 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 flex items-center justify-center gap-2 text-sm"
+            >
+              <Play size={14} />
+              Run {jobCount} {jobCount === 1 ? 'capture' : 'captures'}
+            </button>
+          )}
+        </div>
+
+        <ul className="flex-1 overflow-auto divide-y text-sm" aria-label="Batch pages">
+          {batchResults.map(result => (
+            <li key={result.job.id} className="px-4 py-2 flex items-center gap-2">
+              {result.status === 'running' && <Loader2 size={14} className="animate-spin text-gray-400" />}
+              <div className="flex-1 min-w-0">
+                <div className="truncate" title={result.job.url}>{result.job.url}</div>
+                <div className="text-xs text-gray-500">
+                  {result.job.viewport.label} · {STATUS_LABELS[result.status]}
+                  {result.status === 'done' && ` · ${result.stats.fail} fail, ${result.stats.warn} warn`}
+                  {result.error && <span className="text-red-600"> · {result.error}</span>}
+                </div>
+              </div>
+              {result.status === 'done' && (
+                <button
+                  type="button"
+                  onClick={() => handleOpenPage(result)}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  Open
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4">
+        {batchResults.length > 0 ? (
+          <BatchDashboard summary={summary} onOpenPage={handleOpenPage} />
+        ) : (
+          <div className="h-full flex items-center justify-center text-gray-400 text-sm">
+            Add URLs and run a batch to see the worst pages and most common off-token values
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,67 @@
 /**
  * @chunk 7.28 - ComparisonWorkspace
- * Full comparison mode UI with synchronized side-by-side viewers.
+ * Full comparison mode UI with synchronized side-by-side viewers and a pixel diff.
  * Features:
- * - Two SplitImageViewers for source and target
+ * - Two SplitImageViewers for source and target (with image dropzones)
  * - Sync toggle to link/unlink zoom and pan
  * - Uses useViewSync hook for state synchronization
+ * - Heatmap, onion-skin and swipe overlays of the aligned images (usePixelDiff)
+ * - Changed regions listed as issues in an IssueLog
+ * - Figma frame vs. live page: layers paired with DOM elements and their
+ *   discrepancies listed as issues (Layers view)
  */
-import { useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { SplitImageViewer } from './SplitImageViewer';
+import { DiffOverlayViewer } from './DiffOverlayViewer';
+import { FigmaPageCompare } from './FigmaPageCompare';
+import { CorrespondencePanel } from './CorrespondencePanel';
+import { IssueLog } from '../issues/IssueLog';
 import { useQAStore } from '../../../stores/qaStore';
 import { useViewSync } from '../../../hooks/useViewSync';
-import { Link2, Link2Off } from 'lucide-react';
+import { usePixelDiff } from '../../../hooks/usePixelDiff';
+import { Link2, Link2Off, Loader2 } from 'lucide-react';
+
+const VIEW_MODES = [
+  { value: 'side-by-side', label: 'Side by side' },
+  { value: 'heatmap', label: 'Heatmap' },
+  { value: 'onion', label: 'Onion skin' },
+  { value: 'swipe', label: 'Swipe' },
+  { value: 'layers', label: 'Layers' },
+];
+
+function fileToAsset(fileData, label) {
+  if (!fileData) return null;
+
+  return {
+    id: `qa-${label}-${Date.now()}`,
+    inputType: 'image',
+    image: {
+      url: fileData.preview,
+      blob: fileData.file,
+      width: fileData.width,
+      height: fileData.height,
+    },
+    capturedAt: new Date(),
+    metadata: {
+      name: fileData.file?.name,
+    },
+  };
+}
 
 export function ComparisonWorkspace() {
-  const { sourceAsset, targetAsset } = useQAStore();
+  const {
+    sourceAsset,
+    targetAsset,
+    setSourceAsset,
+    setTargetAsset,
+    diffIssues,
+    setDiffIssues,
+    correspondence,
+    setCorrespondence,
+  } = useQAStore();
   const [syncEnabled, setSyncEnabled] = useState(true);
+  const [viewMode, setViewMode] = useState('side-by-side');
+  const [amount, setAmount] = useState(50);
   const {
     leftView,
     rightView,
@@ -23,41 +70,153 @@ export function ComparisonWorkspace() {
     setRightScale,
     setRightPosition,
   } = useViewSync(syncEnabled);
+  const { status: diffStatus, result: diff, error: diffError } = usePixelDiff(sourceAsset, targetAsset);
+
+  useEffect(() => {
+    setDiffIssues(diff?.issues || []);
+  }, [diff, setDiffIssues]);
+
+  // Layer pairs only describe the captured Figma frame and page
+  const setSource = useCallback((asset) => {
+    setSourceAsset(asset);
+    setCorrespondence(null);
+  }, [setSourceAsset, setCorrespondence]);
+  const setTarget = useCallback((asset) => {
+    setTargetAsset(asset);
+    setCorrespondence(null);
+  }, [setTargetAsset, setCorrespondence]);
+
+  const handleSourceSelect = useCallback(
+    (fileData) => setSource(fileToAsset(fileData, 'source')),
+    [setSource]
+  );
+  const handleTargetSelect = useCallback(
+    (fileData) => setTarget(fileToAsset(fileData, 'target')),
+    [setTarget]
+  );
+
+  const hasBoth = Boolean(sourceAsset && targetAsset);
+  const isLayers = viewMode === 'layers' && Boolean(correspondence);
+  const isOverlay = viewMode !== 'side-by-side' && viewMode !== 'layers';
 
   return (
     <div className="flex-1 flex flex-col overflow-hidden">
-      <div className="p-2 border-b bg-white flex items-center justify-center gap-2">
-        <button
-          onClick={() => setSyncEnabled(!syncEnabled)}
-          className={`px-3 py-1.5 rounded flex items-center gap-2 text-sm
-            ${syncEnabled ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-600'}`}
-        >
-          {syncEnabled ? <Link2 size={16} /> : <Link2Off size={16} />}
-          {syncEnabled ? 'Sync On' : 'Sync Off'}
-        </button>
-      </div>
+      <div className="p-2 border-b bg-white flex items-center justify-center gap-4">
+        <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1" role="tablist" aria-label="Comparison view">
+          {VIEW_MODES.map(mode => (
+            <button
+              key={mode.value}
+              type="button"
+              role="tab"
+              aria-selected={viewMode === mode.value}
+              disabled={mode.value === 'layers' ? !correspondence : mode.value !== 'side-by-side' && !hasBoth}
+              onClick={() => setViewMode(mode.value)}
+              className={`px-3 py-1 rounded-md text-sm transition-colors disabled:opacity-40
+                ${viewMode === mode.value ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        {viewMode === 'side-by-side' && (
+          <button
+            onClick={() => setSyncEnabled(!syncEnabled)}
+            className={`px-3 py-1.5 rounded flex items-center gap-2 text-sm
+              ${syncEnabled ? 'bg-blue-100 text-blue-700' : 'bg-gray-100 text-gray-600'}`}
+          >
+            {syncEnabled ? <Link2 size={16} /> : <Link2Off size={16} />}
+            {syncEnabled ? 'Sync On' : 'Sync Off'}
+          </button>
+        )}
 
-      <div className="flex-1 flex gap-2 p-2">
-        <SplitImageViewer
-          asset={sourceAsset}
-          label="Source"
-          scale={leftView.scale}
-          position={leftView.position}
-          onScaleChange={setLeftScale}
-          onPositionChange={setLeftPosition}
-          syncEnabled={syncEnabled}
-        />
-
-        <SplitImageViewer
-          asset={targetAsset}
-          label="Target"
-          scale={rightView.scale}
-          position={rightView.position}
-          onScaleChange={setRightScale}
-          onPositionChange={setRightPosition}
-          syncEnabled={syncEnabled}
-        />
+        {(viewMode === 'onion' || viewMode === 'swipe') && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            {viewMode === 'onion' ? 'Target opacity' : 'Split'}
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={amount}
+              onChange={(e) => setAmount(Number(e.target.value))}
+            />
+          </label>
+        )}
+
+        {diffStatus === 'computing' && (
+          <span className="flex items-center gap-2 text-sm text-gray-500">
+            <Loader2 size={16} className="animate-spin" />
+            Computing diff…
+          </span>
+        )}
+        {diffStatus === 'ready' && (
+          <span className="text-sm text-gray-500">
+            {(diff.changedRatio * 100).toFixed(2)}% of pixels changed
+          </span>
+        )}
+        {diffStatus === 'error' && (
+          <span className="text-sm text-red-600" role="alert">{diffError}</span>
+        )}
       </div>
+
+      <FigmaPageCompare onCompared={() => setViewMode('layers')} />
+
+      {isLayers ? (
+        <div className="flex-1 flex overflow-hidden">
+          <div className="flex-1 p-2 overflow-hidden">
+            <CorrespondencePanel correspondence={correspondence} />
+          </div>
+          <div className="w-96 border-l bg-white overflow-hidden">
+            <IssueLog issues={correspondence.issues} />
+          </div>
+        </div>
+      ) : isOverlay && hasBoth ? (
+        <div className="flex-1 flex overflow-hidden">
+          <div className="flex-1 p-2">
+            {diff ? (
+              <DiffOverlayViewer
+                sourceUrl={sourceAsset.image.url}
+                diff={diff}
+                mode={viewMode}
+                amount={amount}
+              />
+            ) : (
+              <div className="h-full flex items-center justify-center text-gray-400">
+                {diffStatus === 'error' ? 'Diff unavailable' : 'Computing diff…'}
+              </div>
+            )}
+          </div>
+          <div className="w-96 border-l bg-white overflow-hidden">
+            <IssueLog issues={diffIssues} />
+          </div>
+        </div>
+      ) : (
+        <div className="flex-1 flex gap-2 p-2">
+          <SplitImageViewer
+            asset={sourceAsset}
+            label="Source"
+            scale={leftView.scale}
+            position={leftView.position}
+            onScaleChange={setLeftScale}
+            onPositionChange={setLeftPosition}
+            syncEnabled={syncEnabled}
+            onSelect={handleSourceSelect}
+            onClear={() => setSource(null)}
+          />
+
+          <SplitImageViewer
+            asset={targetAsset}
+            label="Target"
+            scale={rightView.scale}
+            position={rightView.position}
+            onScaleChange={setRightScale}
+            onPositionChange={setRightPosition}
+            syncEnabled={syncEnabled}
+            onSelect={handleTargetSelect}
+            onClear={() => setTarget(null)}
+          />
+        </div>
+      )}
     </div>
   );
 }
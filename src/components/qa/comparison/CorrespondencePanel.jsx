@@ -0,0 +1,67 @@
+/**
+ * CorrespondencePanel
+ * Figma layers paired with DOM elements: match score and the discrepancies
+ * found per pair, plus the layers and elements left without a counterpart.
+ */
+
+function DiscrepancyList({ discrepancies }) {
+  if (discrepancies.length === 0) {
+    return <span className="text-green-600">Matches design</span>;
+  }
+  return (
+    <ul className="space-y-0.5">
+      {discrepancies.map(d => (
+        <li key={d.property} className={d.status === 'fail' ? 'text-red-600' : 'text-yellow-700'}>
+          {d.property}: <code>{d.actual}</code> <span className="text-gray-400">(design {d.expected})</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function CorrespondencePanel({ correspondence }) {
+  const { pairs, unmatchedLayers, unmatchedElements, scale } = correspondence;
+
+  return (
+    <div className="h-full overflow-auto bg-white border rounded-lg p-4 space-y-4 text-sm">
+      <p className="text-gray-600">
+        {pairs.length} paired layers · {unmatchedLayers.length} Figma layers and {unmatchedElements.length} page
+        elements without a counterpart
+        {Math.abs(scale - 1) > 0.01 && ` · frame scaled ${scale.toFixed(2)}× to the page width`}
+      </p>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="font-medium py-1">Figma layer</th>
+            <th className="font-medium py-1">Page element</th>
+            <th className="font-medium py-1 text-right">Match</th>
+            <th className="font-medium py-1 pl-4">Discrepancies</th>
+          </tr>
+        </thead>
+        <tbody>
+          {pairs.map(({ layer, element, score, discrepancies }) => (
+            <tr key={layer.id} className="border-t align-top">
+              <td className="py-1">
+                <div>{layer.name}</div>
+                <div className="text-xs text-gray-400">{layer.type}</div>
+              </td>
+              <td className="py-1 font-mono text-xs truncate max-w-xs" title={element.selector}>{element.selector}</td>
+              <td className="py-1 text-right text-gray-600">{Math.round(score * 100)}%</td>
+              <td className="py-1 pl-4 text-xs"><DiscrepancyList discrepancies={discrepancies} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {unmatchedLayers.length > 0 && (
+        <section>
+          <h3 className="text-xs font-semibold text-gray-500 uppercase mb-1">Figma layers not found on the page</h3>
+          <p className="text-xs text-gray-600">
+            {unmatchedLayers.map(layer => layer.name).join(', ')}
+          </p>
+        </section>
+      )}
+    </div>
+  );
+}
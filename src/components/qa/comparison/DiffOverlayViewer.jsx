@@ -0,0 +1,129 @@
+/**
+ * DiffOverlayViewer
+ * Overlay views of the pixel diff between source and (aligned) target:
+ * - heatmap: source dimmed with the ΔE heatmap on top
+ * - onion: target blended over source at an adjustable opacity
+ * - swipe: target revealed over source up to an adjustable split
+ * Changed regions are shown as markers synced with the IssueLog.
+ */
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { ZoomPanContainer } from '../viewer/ZoomPanContainer';
+import { MarkerOverlay } from '../viewer/MarkerOverlay';
+import { ViewerToolbar } from '../viewer/ViewerToolbar';
+import { useQAStore } from '../../../stores/qaStore';
+
+export function DiffOverlayViewer({ sourceUrl, diff, mode, amount }) {
+  const containerRef = useRef(null);
+  const { setActiveIssue, setPanToIssueHandler, scrollToIssueHandler } = useQAStore();
+  const [scale, setScale] = useState(1);
+  const [position, setPosition] = useState({ x: 0, y: 0 });
+
+  const handleFitToView = useCallback(() => {
+    if (!containerRef.current) return;
+
+    const container = containerRef.current;
+    const fitScale = Math.min(container.clientWidth / diff.width, container.clientHeight / diff.height) * 0.9;
+
+    setScale(fitScale);
+    setPosition({
+      x: (container.clientWidth - diff.width * fitScale) / 2,
+      y: (container.clientHeight - diff.height * fitScale) / 2,
+    });
+  }, [diff.width, diff.height]);
+
+  useEffect(() => {
+    handleFitToView();
+  }, [handleFitToView]);
+
+  // Register pan handler for bidirectional sync with the IssueLog
+  useEffect(() => {
+    const panToIssue = (issueId) => {
+      const issue = diff.issues.find((i) => i.id === issueId);
+      if (!issue || !containerRef.current) return;
+
+      const container = containerRef.current;
+      setPosition({
+        x: container.clientWidth / 2 - issue.marker.x * scale,
+        y: container.clientHeight / 2 - issue.marker.y * scale,
+      });
+    };
+
+    setPanToIssueHandler(panToIssue);
+    return () => setPanToIssueHandler(null);
+  }, [diff.issues, scale, setPanToIssueHandler]);
+
+  const handleMarkerClick = useCallback(
+    (issueId) => {
+      setActiveIssue(issueId);
+      scrollToIssueHandler?.(issueId);
+    },
+    [setActiveIssue, scrollToIssueHandler]
+  );
+
+  const size = { width: diff.width, height: diff.height };
+  const layerClass = 'absolute inset-0 pointer-events-none';
+
+  return (
+    <div
+      ref={containerRef}
+      data-qa-viewer
+      className="relative w-full h-full bg-gray-100 rounded-lg overflow-hidden"
+    >
+      <ZoomPanContainer
+        scale={scale}
+        position={position}
+        onScaleChange={setScale}
+        onPositionChange={setPosition}
+      >
+        <div className="relative" style={size}>
+          <img
+            src={sourceUrl}
+            alt="Source"
+            style={{ ...size, opacity: mode === 'heatmap' ? 0.35 : 1 }}
+            draggable={false}
+          />
+
+          {mode === 'heatmap' && (
+            <img src={diff.heatmapUrl} alt="Difference heatmap" className={layerClass} style={size} draggable={false} />
+          )}
+
+          {mode === 'onion' && (
+            <img
+              src={diff.alignedTargetUrl}
+              alt="Target"
+              className={layerClass}
+              style={{ ...size, opacity: amount / 100 }}
+              draggable={false}
+            />
+          )}
+
+          {mode === 'swipe' && (
+            <>
+              <img
+                src={diff.alignedTargetUrl}
+                alt="Target"
+                className={layerClass}
+                style={{ ...size, clipPath: `inset(0 0 0 ${amount}%)` }}
+                draggable={false}
+              />
+              <div
+                className="absolute top-0 bottom-0 w-0.5 bg-blue-500 pointer-events-none"
+                style={{ left: `${amount}%` }}
+              />
+            </>
+          )}
+
+          <MarkerOverlay issues={diff.issues} onMarkerClick={handleMarkerClick} />
+        </div>
+      </ZoomPanContainer>
+
+      <ViewerToolbar
+        scale={scale}
+        onZoomIn={() => setScale((s) => Math.min(5, s * 1.2))}
+        onZoomOut={() => setScale((s) => Math.max(0.1, s / 1.2))}
+        onFitToView={handleFitToView}
+        onActualSize={() => setScale(1)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+/**
+ * FigmaPageCompare
+ * Captures a Figma frame and a live page, loads them as source and target
+ * and pairs the Figma layers with the page's DOM elements.
+ * The Figma token defaults to the one saved in Settings.
+ */
+import { useState } from 'react';
+import { Figma, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useQAStore } from '../../../stores/qaStore';
+import { captureInput } from '../../../lib/qa/inputRouter';
+import { isValidFigmaUrl } from '../../../lib/qa/figmaParser';
+import { isHttpUrl } from '../../../lib/qa/batch/urlSources';
+import { compareFigmaToPage } from '../../../lib/qa/comparison/nodeCorrespondence';
+
+const FIGMA_TOKEN_KEY = 'ds-admin-figma-token';
+
+export function FigmaPageCompare({ onCompared }) {
+  const { setSourceAsset, setTargetAsset, setCorrespondence } = useQAStore();
+  const [figmaUrl, setFigmaUrl] = useState('');
+  const [pageUrl, setPageUrl] = useState('');
+  const [figmaToken, setFigmaToken] = useState(() => localStorage.getItem(FIGMA_TOKEN_KEY) || '');
+  const [isComparing, setIsComparing] = useState(false);
+
+  const canCompare = isValidFigmaUrl(figmaUrl) && isHttpUrl(pageUrl) && figmaToken.trim() && !isComparing;
+
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    setIsComparing(true);
+    try {
+      const [figmaAsset, pageAsset] = await Promise.all([
+        captureInput({ type: 'figma', figmaUrl, figmaToken: figmaToken.trim() }),
+        captureInput({ type: 'url', url: pageUrl }),
+      ]);
+      const result = compareFigmaToPage(figmaAsset, pageAsset);
+
+      setSourceAsset(figmaAsset);
+      setTargetAsset(pageAsset);
+      setCorrespondence(result);
+      toast.success(`Paired ${result.pairs.length} layers · ${result.issues.length} discrepancies`);
+      onCompared?.();
+    } catch (err) {
+      console.error('Figma comparison failed:', err);
+      toast.error(err.message || 'Figma comparison failed');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleCompare} className="p-2 border-b bg-white flex items-center gap-2 text-sm">
+      <Figma size={16} className="text-gray-500 flex-shrink-0" />
+      <input
+        type="url"
+        value={figmaUrl}
+        onChange={(e) => setFigmaUrl(e.target.value)}
+        placeholder="Figma frame URL"
+        aria-label="Figma frame URL"
+        className="flex-1 border rounded-md px-2 py-1"
+        disabled={isComparing}
+      />
+      <input
+        type="url"
+        value={pageUrl}
+        onChange={(e) => setPageUrl(e.target.value)}
+        placeholder="https://example.com/page"
+        aria-label="Page URL"
+        className="flex-1 border rounded-md px-2 py-1"
+        disabled={isComparing}
+      />
+      <input
+        type="password"
+        value={figmaToken}
+        onChange={(e) => setFigmaToken(e.target.value)}
+        placeholder="Figma token"
+        aria-label="Figma token"
+        className="w-36 border rounded-md px-2 py-1"
+        disabled={isComparing}
+      />
+      <button
+        type="submit"
+        disabled={!canCompare}
+        className="px-3 py-1 bg-gray-900 text-white rounded-md hover:bg-gray-800 disabled:opacity-50 flex items-center gap-2"
+      >
+        {isComparing && <Loader2 size={14} className="animate-spin" />}
+        Compare with Figma
+      </button>
+    </form>
+  );
+}
@@ -1,8 +1,11 @@
 /**
  * @chunk 7.25 - SplitImageViewer
  * Side-by-side viewer for comparison mode with zoom/pan support.
+ * Shows an image dropzone while no asset is selected.
  */
+import { X } from 'lucide-react';
 import { ZoomPanContainer } from '../viewer/ZoomPanContainer';
+import { FileDropzone } from '../input/FileDropzone';
 
 export function SplitImageViewer({
   asset,
@@ -12,11 +15,23 @@ export function SplitImageViewer({
   onScaleChange,
   onPositionChange,
   syncEnabled,
+  onSelect,
+  onClear,
 }) {
   return (
     <div className="flex-1 flex flex-col border rounded-lg overflow-hidden bg-gray-100">
-      <div className="px-3 py-2 bg-white border-b text-sm font-medium">
+      <div className="px-3 py-2 bg-white border-b text-sm font-medium flex items-center justify-between">
         {label}
+        {asset && onClear && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="p-1 text-gray-400 hover:text-gray-700 rounded"
+            aria-label={`Clear ${label.toLowerCase()} image`}
+          >
+            <X size={14} />
+          </button>
+        )}
       </div>
 
       <div className="flex-1 relative">
@@ -34,6 +49,12 @@ export function SplitImageViewer({
               draggable={false}
             />
           </ZoomPanContainer>
+        ) : onSelect ? (
+          <div className="absolute inset-0 flex items-center justify-center p-4">
+            <div className="w-full max-w-sm">
+              <FileDropzone onSelect={onSelect} />
+            </div>
+          </div>
         ) : (
           <div className="absolute inset-0 flex items-center justify-center text-gray-400">
             No image selected
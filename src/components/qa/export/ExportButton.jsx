@@ -1,35 +1,86 @@
 /**
  * @chunk 7.24 - Export PDF
- * Button component for exporting annotated image as PDF
+ * Export menu for the current QA capture: annotated PDF, structured JSON,
+ * self-contained HTML and SARIF (for code-scanning tools)
  */
-import { useState } from 'react';
-import { Download, Loader2 } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { ChevronDown, Download, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
 import { exportToPdf } from '../../../lib/qa/export/pdfExport';
+import { exportToJson } from '../../../lib/qa/export/jsonExport';
+import { exportToHtml } from '../../../lib/qa/export/htmlExport';
+import { exportToSarif } from '../../../lib/qa/export/sarifExport';
 import { useQAStore } from '../../../stores/qaStore';
 
+const FORMATS = [
+  { value: 'pdf', label: 'PDF', description: 'Annotated image and issue list', run: (asset, issues) => exportToPdf(asset, issues) },
+  { value: 'html', label: 'HTML', description: 'Self-contained report with issue table', run: exportToHtml },
+  { value: 'json', label: 'JSON', description: 'Structured report data', run: exportToJson },
+  { value: 'sarif', label: 'SARIF', description: 'For code-scanning tools', run: exportToSarif },
+];
+
 export function ExportButton() {
   const [isExporting, setIsExporting] = useState(false);
-  const { asset, issues } = useQAStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { asset, issues, run } = useQAStore();
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
 
-  const handleExport = async () => {
+  const handleExport = async (format) => {
+    setIsOpen(false);
     if (!asset) return;
 
     setIsExporting(true);
     try {
-      await exportToPdf(asset, issues);
+      await format.run(asset, issues, run);
+    } catch (err) {
+      console.error(`${format.label} export failed:`, err);
+      toast.error(`${format.label} export failed: ${err.message}`);
     } finally {
       setIsExporting(false);
     }
   };
 
   return (
-    <button
-      onClick={handleExport}
-      disabled={!asset || isExporting}
-      className="px-3 py-1.5 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 flex items-center gap-2"
-    >
-      {isExporting ? <Loader2 className="animate-spin" size={16} /> : <Download size={16} />}
-      Export PDF
-    </button>
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!asset || isExporting}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="px-3 py-1.5 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 flex items-center gap-2 text-sm"
+      >
+        {isExporting ? <Loader2 className="animate-spin" size={16} /> : <Download size={16} />}
+        Export
+        <ChevronDown size={14} />
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-1 w-64 bg-white border rounded-lg shadow-lg py-1 z-20"
+        >
+          {FORMATS.map(format => (
+            <button
+              key={format.value}
+              role="menuitem"
+              onClick={() => handleExport(format)}
+              className="w-full text-left px-3 py-2 hover:bg-gray-50"
+            >
+              <span className="block text-sm font-medium text-gray-900">{format.label}</span>
+              <span className="block text-xs text-gray-500">{format.description}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
   );
 }
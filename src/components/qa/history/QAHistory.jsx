@@ -0,0 +1,122 @@
+/**
+ * QAHistory
+ * Saved QA runs: open a past run, re-run a saved URL, or delete a run
+ */
+import { useCallback, useEffect, useState } from 'react';
+import { History, RotateCw, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useQAStore } from '../../../stores/qaStore';
+import { qaRunService, runToAsset } from '../../../services/qaRunService';
+
+function formatRunDate(value) {
+  return new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export function QAHistory({ onRerun }) {
+  const { setAsset, setIssues, setRun, setCoverage } = useQAStore();
+  const [runs, setRuns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await qaRunService.getRuns());
+    } catch (err) {
+      console.error('Failed to load QA history:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const handleOpen = async (runId) => {
+    try {
+      const run = await qaRunService.getRun(runId);
+      if (!run) {
+        toast.error('QA run not found');
+        loadRuns();
+        return;
+      }
+      const comparison = await qaRunService.compareWithPrevious(run);
+
+      setAsset(runToAsset(run, qaRunService.getImageUrl(run.image_path)));
+      setIssues(run.issues);
+      setCoverage(run.coverage || null);
+      setRun(run, comparison);
+    } catch (err) {
+      console.error('Failed to open QA run:', err);
+      toast.error('Failed to open QA run');
+    }
+  };
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`Delete the QA run for "${run.name || run.input_type}"?`)) return;
+
+    try {
+      await qaRunService.deleteRun(run.id);
+      setRuns(prev => prev.filter(r => r.id !== run.id));
+    } catch (err) {
+      console.error('Failed to delete QA run:', err);
+      toast.error('Failed to delete QA run');
+    }
+  };
+
+  if (isLoading) return null;
+
+  return (
+    <section className="qa-history" aria-label="QA history">
+      <h3 className="qa-history-title">
+        <History size={16} />
+        History
+      </h3>
+
+      {runs.length === 0 ? (
+        <p className="qa-history-empty">Saved runs will appear here.</p>
+      ) : (
+        <ul className="qa-history-list">
+          {runs.map(run => (
+            <li key={run.id} className="qa-history-item">
+              <button type="button" className="qa-history-open" onClick={() => handleOpen(run.id)}>
+                <p className="qa-history-name" title={run.name || undefined}>
+                  {run.name || `${run.input_type} capture`}
+                </p>
+                <p className="qa-history-meta">
+                  {formatRunDate(run.created_at)}
+                  {' · '}
+                  <span className="text-red-600">{run.fail_count} errors</span>
+                  {' · '}
+                  <span className="text-yellow-600">{run.warn_count} warnings</span>
+                  {run.coverage_score != null && ` · ${Math.round(run.coverage_score)}% coverage`}
+                  {run.themes?.name && ` · ${run.themes.name}`}
+                </p>
+              </button>
+
+              {run.source_url && (
+                <button
+                  type="button"
+                  className="qa-icon-button"
+                  onClick={() => onRerun(run.source_url)}
+                  title="Re-run this URL"
+                  aria-label={`Re-run ${run.source_url}`}
+                >
+                  <RotateCw size={16} />
+                </button>
+              )}
+              <button
+                type="button"
+                className="qa-icon-button"
+                onClick={() => handleDelete(run)}
+                title="Delete run"
+                aria-label={`Delete run ${run.name || run.id}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
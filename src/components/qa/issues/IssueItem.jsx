@@ -1,9 +1,11 @@
 /**
  * @chunk 7.22 - IssueItem
- * Individual issue item with status-based styling
+ * Individual issue item with status-based styling, triage badge and an
+ * optional detail area (children, e.g. triage controls)
  */
 import { cn } from '../../../lib/utils';
 import { AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+import { triageLabel } from '../../../lib/qa/issues/triage';
 
 const STATUS_CONFIG = {
   fail: { icon: AlertCircle, color: 'text-red-500', bg: 'bg-red-50 border-red-200' },
@@ -11,7 +13,13 @@ const STATUS_CONFIG = {
   pass: { icon: CheckCircle, color: 'text-green-500', bg: 'bg-green-50 border-green-200' },
 };
 
-export function IssueItem({ issue, isActive, onClick }) {
+const TRIAGE_BADGES = {
+  accepted: 'text-gray-700 bg-gray-200',
+  fixed: 'text-green-700 bg-green-100',
+  wont_fix: 'text-gray-600 bg-gray-100',
+};
+
+export function IssueItem({ issue, isActive, isNew = false, onClick, children }) {
   const config = STATUS_CONFIG[issue.status];
   const Icon = config.icon;
 
@@ -34,6 +42,19 @@ export function IssueItem({ issue, isActive, onClick }) {
           <div className="flex items-center gap-2">
             <span className="font-medium">#{issue.number}</span>
             <span className="text-sm text-gray-500 capitalize">{issue.type}</span>
+            {isNew && (
+              <span className="text-xs font-medium text-blue-700 bg-blue-100 rounded px-1.5 py-0.5">
+                New
+              </span>
+            )}
+            {issue.triage && issue.triage.state !== 'open' && (
+              <span className={cn('text-xs font-medium rounded px-1.5 py-0.5', TRIAGE_BADGES[issue.triage.state])}>
+                {triageLabel(issue.triage.state)}
+              </span>
+            )}
+            {issue.triage?.assignee && (
+              <span className="ml-auto text-xs text-gray-500 truncate">@{issue.triage.assignee}</span>
+            )}
           </div>
 
           <p className="text-sm text-gray-700 mt-1">
@@ -60,6 +81,8 @@ export function IssueItem({ issue, isActive, onClick }) {
               </code>
             </div>
           )}
+
+          {children}
         </div>
       </div>
     </div>
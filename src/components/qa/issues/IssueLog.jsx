@@ -1,14 +1,25 @@
 /**
  * @chunk 7.22 - IssueLog
- * Scrollable list of issues with bidirectional sync to markers
+ * Scrollable list of issues with bidirectional sync to markers.
+ * When the run has a previous run of the same URL, issues are marked new or
+ * unchanged and resolved issues are listed below.
+ * With `triage`, issues can be filtered by triage state and the active issue
+ * shows triage controls.
  */
-import { useRef, useEffect } from 'react';
+import { useRef, useEffect, useMemo, useState } from 'react';
 import { IssueItem } from './IssueItem';
+import { IssueTriagePanel } from './IssueTriagePanel';
 import { useQAStore } from '../../../stores/qaStore';
+import { TRIAGE_STATES, getTriage, summarizeTriage } from '../../../lib/qa/issues/triage';
 
-export function IssueLog({ issues }) {
+export function IssueLog({ issues, comparison = null, triage = false }) {
   const listRef = useRef(null);
+  const [triageFilter, setTriageFilter] = useState('all');
   const { activeIssueId, setActiveIssue, panToIssueHandler, setScrollToIssueHandler } = useQAStore();
+  const newIssueIds = useMemo(
+    () => new Set(comparison?.new.map(issue => issue.id) || []),
+    [comparison]
+  );
 
   // Register scroll handler
   useEffect(() => {
@@ -29,6 +40,10 @@ export function IssueLog({ issues }) {
 
   const failCount = issues.filter(i => i.status === 'fail').length;
   const warnCount = issues.filter(i => i.status === 'warn').length;
+  const triageCounts = useMemo(() => summarizeTriage(issues), [issues]);
+  const visibleIssues = triage && triageFilter !== 'all'
+    ? issues.filter(issue => getTriage(issue).state === triageFilter)
+    : issues;
 
   return (
     <div className="h-full flex flex-col">
@@ -38,21 +53,65 @@ export function IssueLog({ issues }) {
           <span className="text-red-600">{failCount} errors</span>
           <span className="text-yellow-600">{warnCount} warnings</span>
         </div>
+        {comparison && (
+          <p className="mt-2 text-xs text-gray-500">
+            vs. run of {new Date(comparison.previousRun.created_at).toLocaleString()}:{' '}
+            <span className="text-blue-600">{comparison.new.length} new</span>
+            {' · '}
+            <span className="text-green-600">{comparison.resolved.length} resolved</span>
+            {' · '}
+            {comparison.unchanged.length} unchanged
+          </p>
+        )}
+        {triage && issues.length > 0 && (
+          <select
+            value={triageFilter}
+            onChange={(e) => setTriageFilter(e.target.value)}
+            aria-label="Filter by triage status"
+            className="mt-2 w-full border rounded-md px-2 py-1 text-sm bg-white"
+          >
+            <option value="all">All issues ({issues.length})</option>
+            {TRIAGE_STATES.map(({ value, label }) => (
+              <option key={value} value={value}>{label} ({triageCounts[value]})</option>
+            ))}
+          </select>
+        )}
       </div>
 
       <div ref={listRef} className="flex-1 overflow-y-auto p-2 space-y-2">
-        {issues.map(issue => (
+        {visibleIssues.map(issue => (
           <IssueItem
             key={issue.id}
             issue={issue}
             isActive={activeIssueId === issue.id}
+            isNew={newIssueIds.has(issue.id)}
             onClick={() => handleIssueClick(issue.id)}
-          />
+          >
+            {triage && activeIssueId === issue.id && <IssueTriagePanel issue={issue} />}
+          </IssueItem>
         ))}
 
-        {issues.length === 0 && (
+        {visibleIssues.length === 0 && (
           <div className="text-center text-gray-500 py-8">
-            No issues found
+            {issues.length === 0 ? 'No issues found' : 'No issues with this status'}
+          </div>
+        )}
+
+        {comparison?.resolved.length > 0 && (
+          <div className="pt-2">
+            <h3 className="px-1 pb-2 text-sm font-medium text-gray-600">
+              Resolved since previous run ({comparison.resolved.length})
+            </h3>
+            <ul className="space-y-1">
+              {comparison.resolved.map(issue => (
+                <li
+                  key={`resolved-${issue.id}`}
+                  className="px-3 py-2 rounded-lg border border-green-200 bg-green-50 text-sm text-gray-600 line-through"
+                >
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
           </div>
         )}
       </div>
@@ -0,0 +1,108 @@
+/**
+ * IssueTriagePanel
+ * Triage controls for the active issue: state, assignee and notes.
+ * Changes are saved with the run (when it was saved). Accepting an issue
+ * adds its deviation to the site's allowlist so later runs suppress it;
+ * moving it out of "accepted" removes it again.
+ */
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { useQAStore } from '../../../stores/qaStore';
+import { qaRunService } from '../../../services/qaRunService';
+import { qaAllowlistService } from '../../../services/qaAllowlistService';
+import { TRIAGE_STATES, getTriage, siteKey } from '../../../lib/qa/issues/triage';
+
+export function IssueTriagePanel({ issue }) {
+  const { asset, run, setIssueTriage } = useQAStore();
+  const triage = getTriage(issue);
+  const [assignee, setAssignee] = useState(triage.assignee || '');
+  const [notes, setNotes] = useState(triage.notes || '');
+  const site = asset?.inputType === 'url' ? siteKey(asset.metadata?.source) : null;
+
+  useEffect(() => {
+    setAssignee(triage.assignee || '');
+    setNotes(triage.notes || '');
+  }, [issue.id, triage.assignee, triage.notes]);
+
+  const saveTriage = async (changes) => {
+    const next = {
+      state: triage.state,
+      ...(assignee.trim() && { assignee: assignee.trim() }),
+      ...(notes.trim() && { notes: notes.trim() }),
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+    if (!next.assignee) delete next.assignee;
+    if (!next.notes) delete next.notes;
+
+    setIssueTriage(issue.id, next);
+
+    try {
+      if (run) {
+        await qaRunService.updateIssueTriage(run.id, issue.number, next);
+      }
+      if (site && next.state === 'accepted') {
+        await qaAllowlistService.addIssue(site, issue, next.notes);
+      } else if (site && triage.state === 'accepted') {
+        await qaAllowlistService.removeIssue(site, issue);
+      }
+    } catch (err) {
+      console.error('Failed to save triage:', err);
+      toast.error('Triage could not be saved');
+    }
+  };
+
+  const handleStateChange = (state) => {
+    saveTriage({ state });
+    if (state === 'accepted') {
+      toast.success(site ? `Allowlisted for ${site}` : 'Accepted (not a URL capture, so no site allowlist)');
+    }
+  };
+
+  const handleBlur = () => {
+    if (assignee.trim() !== (triage.assignee || '') || notes.trim() !== (triage.notes || '')) {
+      saveTriage({});
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-2" onClick={(e) => e.stopPropagation()}>
+      <div className="flex gap-2">
+        <label className="flex-1 text-xs text-gray-600">
+          Status
+          <select
+            value={triage.state}
+            onChange={(e) => handleStateChange(e.target.value)}
+            className="mt-0.5 w-full border rounded-md px-2 py-1 text-sm bg-white"
+          >
+            {TRIAGE_STATES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex-1 text-xs text-gray-600">
+          Assignee
+          <input
+            type="text"
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            onBlur={handleBlur}
+            placeholder="Unassigned"
+            className="mt-0.5 w-full border rounded-md px-2 py-1 text-sm"
+          />
+        </label>
+      </div>
+      <label className="block text-xs text-gray-600">
+        Notes
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          onBlur={handleBlur}
+          rows={2}
+          placeholder={triage.state === 'accepted' ? 'Why is this deviation intentional?' : 'Add a note'}
+          className="mt-0.5 w-full border rounded-md px-2 py-1 text-sm"
+        />
+      </label>
+    </div>
+  );
+}
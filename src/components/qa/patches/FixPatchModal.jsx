@@ -0,0 +1,220 @@
+/**
+ * FixPatchModal
+ * Maps the current issues to hardcoded values in uploaded source files and
+ * builds a unified-diff patch that swaps them for the suggested tokens.
+ * Features:
+ * - Upload CSS/JSX files, a folder or a project .zip
+ * - Per-occurrence checkboxes (file and line) to choose what goes in the patch
+ * - Patch preview, copy and .patch download
+ */
+import { useMemo, useRef, useState } from 'react';
+import { Copy, Download, FileCode, FolderOpen, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import Modal from '../../ui/Modal';
+import { useQAStore } from '../../../stores/qaStore';
+import { readSourceBundle } from '../../../lib/qa/patches/sourceBundle';
+import { locateIssueValues, buildPatch } from '../../../lib/qa/patches/patchGenerator';
+import { downloadBlob } from '../../../services/zipService';
+
+const KIND_LABELS = { css: 'CSS', style: 'Inline style', tailwind: 'Tailwind' };
+
+function editKey(edit) {
+  return `${edit.path}:${edit.line}:${edit.column}`;
+}
+
+export function FixPatchModal({ open, onClose }) {
+  const { issues } = useQAStore();
+  const [files, setFiles] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const [tailwindPrefix, setTailwindPrefix] = useState('');
+  const [excluded, setExcluded] = useState(() => new Set());
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const { edits, unmapped } = useMemo(
+    () => locateIssueValues(issues, files, { tailwindPrefix: tailwindPrefix.trim() }),
+    [issues, files, tailwindPrefix]
+  );
+  const selected = useMemo(() => edits.filter(edit => !excluded.has(editKey(edit))), [edits, excluded]);
+  const patch = useMemo(() => buildPatch(files, selected), [files, selected]);
+
+  const editsByFile = useMemo(() => {
+    const grouped = new Map();
+    for (const edit of edits) {
+      grouped.set(edit.path, [...(grouped.get(edit.path) || []), edit]);
+    }
+    return [...grouped.entries()];
+  }, [edits]);
+
+  const handleUpload = async (e) => {
+    const uploads = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (uploads.length === 0) return;
+
+    setIsReading(true);
+    try {
+      const sourceFiles = await readSourceBundle(uploads);
+      if (sourceFiles.length === 0) {
+        toast.error('No CSS, JS/TS or JSX files found');
+        return;
+      }
+      setFiles(sourceFiles);
+      setExcluded(new Set());
+    } catch (err) {
+      console.error('Failed to read source files:', err);
+      toast.error(`Failed to read source files: ${err.message}`);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const toggleEdit = (edit) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      const key = editKey(edit);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(patch);
+      toast.success('Patch copied to clipboard');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(new Blob([patch], { type: 'text/x-diff' }), 'qa-token-fixes.patch');
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} size="large" title="Fix patch">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Upload the source files behind this page. Hardcoded values from the issues are
+          located by file and line and replaced with their suggested tokens.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isReading}
+            className="px-3 py-1.5 border rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FileCode size={16} />
+            Files or .zip
+          </button>
+          <button
+            type="button"
+            onClick={() => folderInputRef.current?.click()}
+            disabled={isReading}
+            className="px-3 py-1.5 border rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FolderOpen size={16} />
+            Folder
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".css,.scss,.sass,.less,.pcss,.js,.jsx,.ts,.tsx,.mjs,.cjs,.vue,.svelte,.astro,.html,.zip"
+            onChange={handleUpload}
+            className="hidden"
+            data-testid="qa-patch-files"
+          />
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            onChange={handleUpload}
+            className="hidden"
+          />
+          <label className="ml-auto flex items-center gap-2 text-sm text-gray-600">
+            Tailwind prefix
+            <input
+              type="text"
+              value={tailwindPrefix}
+              onChange={(e) => setTailwindPrefix(e.target.value)}
+              placeholder="none"
+              className="border rounded-md px-2 py-1 w-24"
+            />
+          </label>
+        </div>
+
+        {isReading && (
+          <p className="text-sm text-gray-500 flex items-center gap-2">
+            <Loader2 size={14} className="animate-spin" />
+            Reading source files…
+          </p>
+        )}
+
+        {files.length > 0 && (
+          <>
+            <p className="text-sm text-gray-600">
+              {files.length} source {files.length === 1 ? 'file' : 'files'} · {edits.length}{' '}
+              {edits.length === 1 ? 'occurrence' : 'occurrences'} found
+              {unmapped.length > 0 && (
+                <> · not found for issues {unmapped.map(issue => `#${issue.number}`).join(', ')}</>
+              )}
+            </p>
+
+            <div className="max-h-56 overflow-y-auto border rounded-lg divide-y">
+              {editsByFile.map(([path, fileEdits]) => (
+                <div key={path} className="p-2">
+                  <div className="text-xs font-mono text-gray-500 mb-1">{path}</div>
+                  {fileEdits.map(edit => (
+                    <label key={editKey(edit)} className="flex items-center gap-2 text-sm py-0.5">
+                      <input
+                        type="checkbox"
+                        checked={!excluded.has(editKey(edit))}
+                        onChange={() => toggleEdit(edit)}
+                      />
+                      <span className="text-gray-400 w-12 text-right">L{edit.line}</span>
+                      <span className="text-xs text-gray-500 w-20">{KIND_LABELS[edit.kind]}</span>
+                      <code className="text-red-600 truncate">{edit.original}</code>
+                      <span className="text-gray-400">→</span>
+                      <code className="text-green-700 truncate">{edit.replacement}</code>
+                      <span className="ml-auto text-xs text-gray-400">#{edit.issueNumber}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            {patch && (
+              <pre className="max-h-64 overflow-auto bg-gray-900 text-gray-100 text-xs p-3 rounded-lg" aria-label="Patch preview">
+                {patch}
+              </pre>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={handleCopy}
+                disabled={!patch}
+                className="px-3 py-1.5 border rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Copy size={16} />
+                Copy
+              </button>
+              <button
+                type="button"
+                onClick={handleDownload}
+                disabled={!patch}
+                className="px-3 py-1.5 bg-gray-900 text-white rounded-lg text-sm flex items-center gap-2 hover:bg-gray-800 disabled:opacity-50"
+              >
+                <Download size={16} />
+                Download .patch
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * CoverageBadge
+ * Token coverage score of the current capture, shown in the QA header.
+ * Features:
+ * - Overall score, colored by band
+ * - Popover with typography / color / box style coverage and off-system counts
+ * - Per-region breakdown (landmarks for URL captures, bands for images)
+ * - Score trend across saved runs of the same URL
+ */
+import { useEffect, useRef, useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { useQAStore } from '../../../stores/qaStore';
+import { qaRunService } from '../../../services/qaRunService';
+
+function scoreColor(score) {
+  if (score == null) return 'text-gray-500';
+  if (score >= 90) return 'text-green-700';
+  if (score >= 70) return 'text-yellow-700';
+  return 'text-red-700';
+}
+
+function formatPercent(value) {
+  return value == null ? '–' : `${Math.round(value)}%`;
+}
+
+function Trend({ history }) {
+  if (history.length < 2) {
+    return <p className="text-xs text-gray-400">Re-run this URL to track the score over time.</p>;
+  }
+
+  const width = 200;
+  const height = 40;
+  const step = width / (history.length - 1);
+  const points = history
+    .map((run, i) => `${Math.round(i * step)},${Math.round(height - (run.coverage_score / 100) * height)}`)
+    .join(' ');
+  const change = history[history.length - 1].coverage_score - history[0].coverage_score;
+
+  return (
+    <div>
+      <svg width={width} height={height} className="overflow-visible" aria-label="Coverage trend">
+        <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" className="text-blue-600" />
+      </svg>
+      <p className="text-xs text-gray-500 mt-1">
+        {change >= 0 ? '+' : ''}{change.toFixed(1)} points over {history.length} runs
+      </p>
+    </div>
+  );
+}
+
+export function CoverageBadge({ coverage }) {
+  const { run } = useQAStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const popoverRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !run?.source_url) {
+      setHistory([]);
+      return;
+    }
+
+    let cancelled = false;
+    qaRunService.getCoverageHistory(run.source_url)
+      .then(runs => { if (!cancelled) setHistory(runs); })
+      .catch(err => console.error('Failed to load coverage history:', err));
+    return () => { cancelled = true; };
+  }, [isOpen, run?.source_url]);
+
+  const { offSystem } = coverage;
+
+  return (
+    <div className="relative" ref={popoverRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+        title="Token coverage"
+        className="px-3 py-1.5 border rounded-lg text-sm flex items-center gap-2 hover:bg-gray-50"
+      >
+        <Gauge size={16} />
+        <span className={`font-semibold ${scoreColor(coverage.score)}`}>{formatPercent(coverage.score)}</span>
+        coverage
+      </button>
+
+      {isOpen && (
+        <div
+          role="dialog"
+          aria-label="Token coverage"
+          className="absolute right-0 mt-1 w-96 bg-white border rounded-lg shadow-lg z-20 p-4 space-y-4 text-sm"
+        >
+          <div className="grid grid-cols-3 gap-2">
+            {[
+              ['Typography', coverage.typography.percent, `${coverage.typography.onToken}/${coverage.typography.total} text nodes`],
+              ['Color', coverage.color.percent, 'of painted area'],
+              ['Spacing & shape', coverage.boxStyles.percent, `${coverage.boxStyles.onToken}/${coverage.boxStyles.total} values`],
+            ].map(([label, value, detail]) => (
+              <div key={label} className="border rounded-md p-2">
+                <div className={`text-lg font-semibold ${scoreColor(value)}`}>{formatPercent(value)}</div>
+                <div className="text-xs text-gray-700">{label}</div>
+                <div className="text-xs text-gray-400">{detail}</div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">
+              Off-system values ({offSystem.total})
+            </h4>
+            <p className="text-gray-600">
+              {offSystem.color} colors · {offSystem.font} fonts · {offSystem.spacing} spacing ·{' '}
+              {offSystem.radius} radius · {offSystem.shadow} shadows
+            </p>
+          </div>
+
+          {coverage.regions.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="font-medium py-1">Region</th>
+                  <th className="font-medium py-1 text-right">Score</th>
+                  <th className="font-medium py-1 text-right">Off-system</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coverage.regions.map(region => (
+                  <tr key={`${region.name}-${region.bounds.x}-${region.bounds.y}`} className="border-t">
+                    <td className="py-1 font-mono truncate max-w-[12rem]" title={region.name}>{region.name}</td>
+                    <td className={`py-1 text-right ${scoreColor(region.score)}`}>{formatPercent(region.score)}</td>
+                    <td className="py-1 text-right text-gray-600">{region.offSystem.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {run?.source_url && (
+            <div>
+              <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Trend</h4>
+              <Trend history={history} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
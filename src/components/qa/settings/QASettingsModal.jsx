@@ -0,0 +1,281 @@
+/**
+ * QASettingsModal
+ * Per-theme matching settings for Visual QA.
+ * Features:
+ * - ΔE formula and pass/warn thresholds for colors
+ * - Font-size tolerance in px or % of the token size
+ * - Ignored colors and regions, which can be picked from the current
+ *   analysis (e.g. the region of a photo found by region detection)
+ * - Minimum color region size for image captures
+ */
+import { useEffect, useState } from 'react';
+import { Loader2, X } from 'lucide-react';
+import { toast } from 'sonner';
+import Modal from '../../ui/Modal';
+import { useQAStore } from '../../../stores/qaStore';
+import { themeService } from '../../../services/themeService';
+import { qaSettingsService } from '../../../services/qaSettingsService';
+import { DELTA_E_FORMULAS, normalizeQASettings } from '../../../lib/qa/qaSettings';
+
+function regionLabel(region) {
+  return `${region.width}×${region.height} at ${region.x}, ${region.y}`;
+}
+
+function NumberField({ label, value, onChange, step = 1, suffix }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      {label}
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+        className="border rounded-md px-2 py-1 w-20"
+      />
+      {suffix}
+    </label>
+  );
+}
+
+export function QASettingsModal({ open, onClose }) {
+  const { issues } = useQAStore();
+  const [themes, setThemes] = useState([]);
+  const [themeId, setThemeId] = useState(null);
+  const [settings, setSettings] = useState(() => normalizeQASettings());
+  const [newColor, setNewColor] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    themeService.getThemes()
+      .then((list) => {
+        setThemes(list || []);
+        setThemeId(current => current || (list?.find(t => t.is_default) || list?.[0])?.id || null);
+      })
+      .catch((err) => console.error('Failed to load themes:', err));
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !themeId) return;
+    setIsLoading(true);
+    qaSettingsService.getSettings(themeId)
+      .then(setSettings)
+      .catch((err) => {
+        console.error('Failed to load QA settings:', err);
+        toast.error('Failed to load QA settings');
+      })
+      .finally(() => setIsLoading(false));
+  }, [open, themeId]);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const addColor = (hex) => {
+    const next = normalizeQASettings({ ...settings, ignoredColors: [...settings.ignoredColors, hex] });
+    if (next.ignoredColors.length === settings.ignoredColors.length) {
+      toast.error('Enter a hex color such as #1a2b3c');
+      return;
+    }
+    update({ ignoredColors: next.ignoredColors });
+    setNewColor('');
+  };
+
+  const addRegion = (bounds) => {
+    const exists = settings.ignoredRegions.some(r => ['x', 'y', 'width', 'height'].every(k => r[k] === bounds[k]));
+    if (!exists) update({ ignoredRegions: [...settings.ignoredRegions, { ...bounds }] });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await qaSettingsService.saveSettings(themeId, settings);
+      setSettings(saved);
+      toast.success('QA settings saved. They apply to the next analysis.');
+      onClose();
+    } catch (err) {
+      console.error('Failed to save QA settings:', err);
+      toast.error(`Failed to save QA settings: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const colorIssues = issues.filter(issue => issue.type === 'color');
+
+  return (
+    <Modal open={open} onClose={onClose} size="large" title="QA settings">
+      <div className="space-y-5 text-sm">
+        <label className="flex items-center gap-2 text-gray-600">
+          Theme
+          <select
+            value={themeId || ''}
+            onChange={(e) => setThemeId(e.target.value)}
+            className="border rounded-md px-2 py-1"
+          >
+            {themes.map(theme => (
+              <option key={theme.id} value={theme.id}>{theme.name}</option>
+            ))}
+          </select>
+          {isLoading && <Loader2 size={14} className="animate-spin" />}
+        </label>
+
+        <section className="space-y-2">
+          <h3 className="font-medium text-gray-900">Colors</h3>
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2 text-gray-600">
+              ΔE formula
+              <select
+                value={settings.deltaEFormula}
+                onChange={(e) => update({ deltaEFormula: e.target.value })}
+                className="border rounded-md px-2 py-1"
+              >
+                {DELTA_E_FORMULAS.map(formula => (
+                  <option key={formula.value} value={formula.value}>{formula.label}</option>
+                ))}
+              </select>
+            </label>
+            <NumberField
+              label="Pass ≤"
+              step={0.5}
+              value={settings.colorThresholds.pass}
+              onChange={(pass) => update({ colorThresholds: { ...settings.colorThresholds, pass } })}
+            />
+            <NumberField
+              label="Warn ≤"
+              step={0.5}
+              value={settings.colorThresholds.warn}
+              onChange={(warn) => update({ colorThresholds: { ...settings.colorThresholds, warn } })}
+            />
+          </div>
+          <NumberField
+            label="Minimum region size"
+            step={0.05}
+            value={settings.minRegionPercent}
+            onChange={(minRegionPercent) => update({ minRegionPercent })}
+            suffix="% of the image (image and Figma captures)"
+          />
+        </section>
+
+        <section className="space-y-2">
+          <h3 className="font-medium text-gray-900">Typography</h3>
+          <div className="flex items-center gap-2">
+            <NumberField
+              label="Font-size tolerance"
+              step={0.5}
+              value={settings.fontSizeTolerance.value}
+              onChange={(value) => update({ fontSizeTolerance: { ...settings.fontSizeTolerance, value } })}
+            />
+            <select
+              value={settings.fontSizeTolerance.unit}
+              onChange={(e) => update({ fontSizeTolerance: { ...settings.fontSizeTolerance, unit: e.target.value } })}
+              aria-label="Font-size tolerance unit"
+              className="border rounded-md px-2 py-1"
+            >
+              <option value="px">px</option>
+              <option value="%">% of token size</option>
+            </select>
+          </div>
+        </section>
+
+        <section className="space-y-2">
+          <h3 className="font-medium text-gray-900">Ignored</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            {settings.ignoredColors.map(hex => (
+              <span key={hex} className="flex items-center gap-1 border rounded-full pl-1 pr-2 py-0.5">
+                <span className="w-4 h-4 rounded-full border" style={{ backgroundColor: hex }} />
+                <code>{hex}</code>
+                <button
+                  type="button"
+                  onClick={() => update({ ignoredColors: settings.ignoredColors.filter(c => c !== hex) })}
+                  aria-label={`Stop ignoring ${hex}`}
+                  className="text-gray-400 hover:text-gray-700"
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+            <form
+              onSubmit={(e) => { e.preventDefault(); addColor(newColor); }}
+              className="flex items-center gap-1"
+            >
+              <input
+                type="text"
+                value={newColor}
+                onChange={(e) => setNewColor(e.target.value)}
+                placeholder="#hex"
+                aria-label="Color to ignore"
+                className="border rounded-md px-2 py-1 w-24"
+              />
+              <button type="submit" className="px-2 py-1 border rounded-md hover:bg-gray-50">Add</button>
+            </form>
+          </div>
+
+          {settings.ignoredRegions.length > 0 && (
+            <ul className="space-y-1">
+              {settings.ignoredRegions.map((region, index) => (
+                <li key={index} className="flex items-center gap-2 text-gray-600">
+                  Region {regionLabel(region)}
+                  <button
+                    type="button"
+                    onClick={() => update({ ignoredRegions: settings.ignoredRegions.filter((_, i) => i !== index) })}
+                    aria-label="Stop ignoring region"
+                    className="text-gray-400 hover:text-gray-700"
+                  >
+                    <X size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {colorIssues.length > 0 && (
+            <div className="border rounded-lg max-h-40 overflow-y-auto divide-y">
+              <p className="px-2 py-1 text-xs text-gray-500">Colors in the current analysis</p>
+              {colorIssues.map(issue => (
+                <div key={issue.id} className="flex items-center gap-2 px-2 py-1">
+                  <span className="w-4 h-4 rounded border" style={{ backgroundColor: issue.source.value }} />
+                  <code>{issue.source.value}</code>
+                  <span className="text-xs text-gray-400">{regionLabel(issue.bounds)}</span>
+                  <button
+                    type="button"
+                    onClick={() => addColor(issue.source.value)}
+                    className="ml-auto text-xs text-blue-600 hover:underline"
+                  >
+                    Ignore color
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => addRegion(issue.bounds)}
+                    className="text-xs text-blue-600 hover:underline"
+                  >
+                    Ignore region
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => setSettings(normalizeQASettings())}
+            className="px-3 py-1.5 border rounded-lg hover:bg-gray-50"
+          >
+            Reset to defaults
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!themeId || isSaving || isLoading}
+            className="px-3 py-1.5 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50 flex items-center gap-2"
+          >
+            {isSaving && <Loader2 size={14} className="animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -2,7 +2,8 @@
  * @chunk 2.03 - CreateThemeModal
  * 
  * Modal for creating new themes with options for blank or import.
- * Two creation paths: "Start from Scratch" or "Import from JSON"
+ * Three creation paths: "Start from Scratch", "Import from JSON" or
+ * "Extend a Theme" (child theme that inherits the parent's tokens)
  */
 
 import { useState } from 'react';
@@ -12,13 +13,16 @@ import Modal from '../ui/Modal';
 import Input from '../ui/Input';
 import Textarea from '../ui/Textarea';
 import Button from '../ui/Button';
-import { Sparkles, Upload } from 'lucide-react';
+import Select from '../ui/Select';
+import { useThemes } from '../../hooks/useThemes';
+import { Sparkles, Upload, GitBranch } from 'lucide-react';
 import { toast } from 'sonner';
 
 export default function CreateThemeModal({ open, onClose }) {
-  const [mode, setMode] = useState(null); // null, 'scratch', 'import'
+  const [mode, setMode] = useState(null); // null, 'scratch', 'import', 'extend'
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
+  const [parentThemeId, setParentThemeId] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const navigate = useNavigate();
 
@@ -26,6 +30,7 @@ export default function CreateThemeModal({ open, onClose }) {
     setMode(null);
     setName('');
     setDescription('');
+    setParentThemeId('');
   };
 
   const handleClose = () => {
@@ -36,13 +41,15 @@ export default function CreateThemeModal({ open, onClose }) {
   const handleCreate = async (e) => {
     e.preventDefault();
     if (!name.trim()) return;
+    if (mode === 'extend' && !parentThemeId) return;
     
     setIsCreating(true);
     try {
       const theme = await themeService.createTheme({
         name: name.trim(),
         description: description.trim() || null,
-        source: mode === 'import' ? 'import' : 'manual'
+        source: mode === 'import' ? 'import' : 'manual',
+        ...(mode === 'extend' && { parent_theme_id: parentThemeId })
       });
       
       toast.success('Theme created successfully');
@@ -72,6 +79,8 @@ export default function CreateThemeModal({ open, onClose }) {
           setName={setName}
           description={description}
           setDescription={setDescription}
+          parentThemeId={parentThemeId}
+          setParentThemeId={setParentThemeId}
           isCreating={isCreating}
           onBack={() => setMode(null)}
           onSubmit={handleCreate}
@@ -96,6 +105,12 @@ function ModeSelection({ onSelect }) {
         description="Import tokens from Figma Variables export"
         onClick={() => onSelect('import')}
       />
+      <ModeCard
+        icon={GitBranch}
+        title="Extend a Theme"
+        description="Inherit every token from a parent theme and override only what differs"
+        onClick={() => onSelect('extend')}
+      />
     </div>
   );
 }
@@ -120,12 +135,17 @@ function ThemeForm({
   setName, 
   description, 
   setDescription, 
+  parentThemeId,
+  setParentThemeId,
   isCreating,
   onBack,
   onSubmit 
 }) {
   return (
     <form onSubmit={onSubmit} className="theme-form">
+      {mode === 'extend' && (
+        <ParentThemeSelect value={parentThemeId} onChange={setParentThemeId} />
+      )}
       <Input
         label="Theme Name"
         value={name}
@@ -150,7 +170,7 @@ function ThemeForm({
         <Button 
           type="submit" 
           loading={isCreating} 
-          disabled={!name.trim()}
+          disabled={!name.trim() || (mode === 'extend' && !parentThemeId)}
         >
           {mode === 'import' ? 'Continue to Import' : 'Create Theme'}
         </Button>
@@ -160,3 +180,19 @@ function ThemeForm({
 }
 
 
+
+function ParentThemeSelect({ value, onChange }) {
+  const { data: themes, isLoading } = useThemes();
+  const options = (themes || []).map(theme => ({ value: theme.id, label: theme.name }));
+
+  return (
+    <Select
+      label="Parent Theme"
+      options={options}
+      value={value}
+      onChange={onChange}
+      placeholder={isLoading ? 'Loading themes...' : 'Select a theme'}
+      disabled={isLoading}
+    />
+  );
+}
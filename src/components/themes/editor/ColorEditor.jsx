@@ -3,10 +3,11 @@
  * 
  * Editor component for color tokens with HEX/RGB/HSL inputs and opacity.
  * Features multiple format support, live preview, and color picker.
+ * Can generate a 50–950 scale from the current color.
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { Copy, Check } from 'lucide-react';
+import { Copy, Check, Layers } from 'lucide-react';
 import { Input, Button } from '../../ui';
 import Slider from '../../ui/Slider';
 import { 
@@ -19,6 +20,7 @@ import {
   formatColor
 } from '../../../lib/colorUtils';
 import { cn } from '../../../lib/utils';
+import ColorScaleGenerator from './ColorScaleGenerator';
 
 /**
  * Parse token value to extract color data
@@ -70,16 +72,29 @@ function initializeColor(tokenValue) {
   };
 }
 
+/**
+ * Default path prefix for a scale generated from a token:
+ * "color/brand/500" -> "color/brand", "color/primary" -> "color/primary"
+ */
+function getScaleBasePath(path) {
+  if (!path) return 'color/scale';
+  return path.replace(/\/\d+$/, '');
+}
+
 /**
  * ColorEditor component
  * @param {Object} props
  * @param {Object} props.token - Token being edited
  * @param {Function} props.onUpdate - Callback when color changes
+ * @param {string} [props.themeId] - Theme ID (enables the scale generator)
+ * @param {Array} [props.tokens] - All tokens in the theme (to skip existing scale steps)
+ * @param {Function} [props.onTokensCreated] - Called with tokens created by the scale generator
  */
-export default function ColorEditor({ token, onUpdate }) {
+export default function ColorEditor({ token, onUpdate, themeId, tokens = [], onTokensCreated }) {
   const [format, setFormat] = useState('hex');
   const [color, setColor] = useState(() => initializeColor(token?.value));
   const [copied, setCopied] = useState(false);
+  const [showScaleGenerator, setShowScaleGenerator] = useState(false);
   
   // Reset color when token changes
   useEffect(() => {
@@ -312,7 +327,30 @@ export default function ColorEditor({ token, onUpdate }) {
           <span className="label">CSS Variable:</span>
           <code>{token?.css_variable}</code>
         </div>
+        {themeId && (
+          <Button
+            variant="secondary"
+            size="small"
+            onClick={() => setShowScaleGenerator(true)}
+            disabled={!isValidHex(color.hex)}
+          >
+            <Layers size={14} />
+            Generate Scale
+          </Button>
+        )}
       </div>
+
+      {showScaleGenerator && (
+        <ColorScaleGenerator
+          open={showScaleGenerator}
+          onClose={() => setShowScaleGenerator(false)}
+          themeId={themeId}
+          baseColor={color.hex}
+          basePath={getScaleBasePath(token?.path)}
+          tokens={tokens}
+          onCreated={onTokensCreated}
+        />
+      )}
     </div>
   );
 }
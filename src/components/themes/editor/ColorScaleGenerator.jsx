@@ -0,0 +1,143 @@
+/**
+ * Color scale generator modal.
+ * Generates a 50–950 ramp from a base color (OKLCH or HSL interpolation,
+ * lightness curve and chroma easing), previews each step with its contrast
+ * against white and black, and bulk-creates the steps as color tokens.
+ */
+
+import { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { Modal, Button, Input, Select, ColorInput } from '../../ui';
+import { tokenService } from '../../../services/tokenService';
+import { generateColorScale, scaleToTokens } from '../../../lib/colorScale';
+import { isValidHex } from '../../../lib/colorUtils';
+import { cn } from '../../../lib/utils';
+
+const SPACE_OPTIONS = [
+  { value: 'oklch', label: 'OKLCH (perceptual)' },
+  { value: 'hsl', label: 'HSL' },
+];
+
+const CURVE_OPTIONS = [
+  { value: 'ease-in-out', label: 'Ease in-out' },
+  { value: 'linear', label: 'Linear' },
+  { value: 'ease-in', label: 'Ease in' },
+  { value: 'ease-out', label: 'Ease out' },
+];
+
+const CHROMA_OPTIONS = [
+  { value: 'smooth', label: 'Smooth falloff' },
+  { value: 'linear', label: 'Linear falloff' },
+  { value: 'constant', label: 'Constant' },
+];
+
+/**
+ * Short contrast label for a swatch: the better of white/black text
+ */
+function contrastLabel({ white, black }) {
+  const [ratio, on] = white >= black ? [white, 'W'] : [black, 'B'];
+  const level = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA18' : '—';
+  return { text: `${on} ${ratio.toFixed(1)}`, level, color: on === 'W' ? '#ffffff' : '#000000' };
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.themeId - Theme to create the tokens in
+ * @param {string} props.baseColor - Initial base color (hex)
+ * @param {string} props.basePath - Initial path prefix for the steps (e.g. 'color/brand')
+ * @param {Array} [props.tokens] - Existing tokens (steps with taken paths are skipped)
+ * @param {Function} [props.onCreated] - Called with the created token rows
+ */
+export default function ColorScaleGenerator({ open, onClose, themeId, baseColor, basePath, tokens = [], onCreated }) {
+  const [base, setBase] = useState(baseColor || '#3b82f6');
+  const [path, setPath] = useState(basePath || 'color/brand');
+  const [space, setSpace] = useState('oklch');
+  const [curve, setCurve] = useState('ease-in-out');
+  const [chroma, setChroma] = useState('smooth');
+  const [isCreating, setIsCreating] = useState(false);
+
+  const scale = useMemo(
+    () => (isValidHex(base) ? generateColorScale(base, { space, curve, chroma }) : []),
+    [base, space, curve, chroma]
+  );
+
+  const existingPaths = useMemo(
+    () => new Set(tokens.map(t => t.path?.toLowerCase())),
+    [tokens]
+  );
+  const scaleTokens = useMemo(() => scaleToTokens(scale, path.trim()), [scale, path]);
+  const newTokens = scaleTokens.filter(t => !existingPaths.has(t.path.toLowerCase()));
+  const skipped = scaleTokens.length - newTokens.length;
+
+  const handleCreate = async () => {
+    if (newTokens.length === 0) return;
+    setIsCreating(true);
+    try {
+      const created = await tokenService.bulkCreateTokens(themeId, newTokens);
+      toast.success(`Created ${created.length} color tokens`);
+      onCreated?.(created);
+      onClose();
+    } catch (err) {
+      console.error('Failed to create color scale:', err);
+      toast.error('Failed to create color scale');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} size="large" title="Generate Color Scale">
+      <div className="color-scale-generator">
+        <div className="color-scale-controls">
+          <ColorInput label="Base color" value={base} onChange={setBase} />
+          <Input
+            label="Token path"
+            value={path}
+            onChange={(e) => setPath(e.target.value)}
+            placeholder="color/brand"
+          />
+          <Select label="Interpolation" options={SPACE_OPTIONS} value={space} onChange={setSpace} />
+          <Select label="Lightness curve" options={CURVE_OPTIONS} value={curve} onChange={setCurve} />
+          <Select label="Chroma easing" options={CHROMA_OPTIONS} value={chroma} onChange={setChroma} />
+        </div>
+
+        <ol className="color-scale-ramp" aria-label="Scale preview">
+          {scale.map((swatch, i) => {
+            const label = contrastLabel(swatch.contrast);
+            const exists = existingPaths.has(scaleTokens[i]?.path.toLowerCase());
+            return (
+              <li
+                key={swatch.step}
+                className={cn('color-scale-swatch', { base: swatch.isBase, exists })}
+                style={{ backgroundColor: swatch.hex, color: label.color }}
+                title={exists ? `${scaleTokens[i].path} already exists` : scaleTokens[i]?.path}
+              >
+                <span className="color-scale-step">{swatch.step}</span>
+                <span className="color-scale-hex">{swatch.hex}</span>
+                <span className="color-scale-contrast">{label.text} · {label.level}</span>
+              </li>
+            );
+          })}
+        </ol>
+
+        <div className="modal-actions">
+          {skipped > 0 && (
+            <span className="color-scale-note">
+              {skipped} step{skipped === 1 ? '' : 's'} already exist and will be skipped
+            </span>
+          )}
+          <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          <Button
+            onClick={handleCreate}
+            loading={isCreating}
+            disabled={newTokens.length === 0 || !path.trim()}
+          >
+            Create {newTokens.length} Tokens
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
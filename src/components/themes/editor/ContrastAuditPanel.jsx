@@ -0,0 +1,183 @@
+/**
+ * Contrast audit for the theme editor.
+ * Lists foreground/background color pairs with their WCAG 2.x ratio and
+ * APCA Lc in every mode, and flags pairs that fail the chosen level.
+ * Pairs that token names don't reveal (e.g. text on surface) can be
+ * declared here; they are saved on the theme and also checked on publish.
+ */
+
+import { useState, useMemo } from 'react';
+import { X, Check, AlertTriangle, Plus } from 'lucide-react';
+import { SegmentedControl } from '../../ui';
+import { auditThemeContrast } from '../../../lib/contrastAudit';
+import { formatModeLabel } from '../../../lib/tokenModes';
+import { cn } from '../../../lib/utils';
+
+const LEVEL_OPTIONS = [
+  { value: 'AA', label: 'AA' },
+  { value: 'AAA', label: 'AAA' },
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.theme - Theme (for its modes)
+ * @param {Array} props.tokens - Current (unresolved) token rows
+ * @param {Array<{ foreground: string, background: string }>} [props.pairs] - Declared pairs by token path
+ * @param {Function} [props.onPairsChange] - Called with the new declared pairs; omit to hide pair editing
+ * @param {Function} [props.onSelectToken] - Called with the foreground token of a clicked pair
+ * @param {Function} props.onClose - Close handler
+ */
+export default function ContrastAuditPanel({ theme, tokens, pairs = [], onPairsChange, onSelectToken, onClose }) {
+  const [level, setLevel] = useState('AA');
+  const [draft, setDraft] = useState({ foreground: '', background: '' });
+
+  const audit = useMemo(
+    () => auditThemeContrast({ ...theme, tokens }, { level, pairs }),
+    [theme, tokens, level, pairs]
+  );
+  const colorPaths = useMemo(
+    () => tokens.filter(t => t.category === 'color').map(t => t.path).sort(),
+    [tokens]
+  );
+  const total = audit.modes.reduce((sum, { results }) => sum + results.length, 0);
+  const showModes = audit.modes.length > 1;
+
+  const handleSelect = (path) => {
+    const token = tokens.find(t => t.path === path);
+    if (token) onSelectToken?.(token);
+  };
+
+  const canAddPair = draft.foreground && draft.background && draft.foreground !== draft.background
+    && !pairs.some(p => p.foreground === draft.foreground && p.background === draft.background);
+
+  const handleAddPair = () => {
+    if (!canAddPair) return;
+    onPairsChange([...pairs, draft]);
+    setDraft({ foreground: '', background: '' });
+  };
+
+  return (
+    <aside className="contrast-audit-panel" aria-label="Contrast audit">
+      <div className="contrast-audit-header">
+        <h3>Contrast Audit</h3>
+        <SegmentedControl size="sm" options={LEVEL_OPTIONS} value={level} onChange={setLevel} />
+        <button
+          type="button"
+          className="btn btn-ghost btn-icon btn-sm"
+          onClick={onClose}
+          aria-label="Close contrast audit"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <p className={cn('contrast-audit-summary', { failing: !audit.passed })}>
+        {total === 0
+          ? 'No foreground/background pairs found. Name tokens like "primary-foreground" or "on-primary" to pair them with "primary", or declare pairs below.'
+          : audit.passed
+            ? `All ${total} pairs pass WCAG ${level}`
+            : `${audit.failures.length} of ${total} pairs fail WCAG ${level}`}
+      </p>
+
+      {onPairsChange && (
+        <section className="contrast-audit-declared" aria-label="Declared pairs">
+          <h4 className="contrast-audit-mode-title">Declared pairs</h4>
+          {pairs.length > 0 && (
+            <ul className="contrast-audit-list">
+              {pairs.map(pair => (
+                <li key={`${pair.foreground}|${pair.background}`} className="contrast-audit-declared-pair">
+                  <span className="contrast-audit-pair">
+                    <code>{pair.foreground}</code>
+                    <span className="contrast-audit-on">on <code>{pair.background}</code></span>
+                  </span>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-icon btn-sm"
+                    onClick={() => onPairsChange(pairs.filter(p => p !== pair))}
+                    aria-label={`Remove ${pair.foreground} on ${pair.background}`}
+                  >
+                    <X size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="contrast-audit-declare">
+            <select
+              className="form-input"
+              value={draft.foreground}
+              onChange={(e) => setDraft({ ...draft, foreground: e.target.value })}
+              aria-label="Foreground token"
+            >
+              <option value="">Foreground…</option>
+              {colorPaths.map(path => <option key={path} value={path}>{path}</option>)}
+            </select>
+            <select
+              className="form-input"
+              value={draft.background}
+              onChange={(e) => setDraft({ ...draft, background: e.target.value })}
+              aria-label="Background token"
+            >
+              <option value="">Background…</option>
+              {colorPaths.map(path => <option key={path} value={path}>{path}</option>)}
+            </select>
+            <button
+              type="button"
+              className="btn btn-secondary btn-icon btn-sm"
+              onClick={handleAddPair}
+              disabled={!canAddPair}
+              aria-label="Add pair"
+            >
+              <Plus size={14} />
+            </button>
+          </div>
+        </section>
+      )}
+
+      {audit.modes.map(({ mode, results }) => results.length > 0 && (
+        <section key={mode} className="contrast-audit-mode">
+          {showModes && <h4 className="contrast-audit-mode-title">{formatModeLabel(mode)}</h4>}
+          <ul className="contrast-audit-list">
+            {results.map(result => (
+              <li key={`${result.foreground}|${result.background}`}>
+                <button
+                  type="button"
+                  className={cn('contrast-audit-item', { failing: !result.pass })}
+                  onClick={() => handleSelect(result.foreground)}
+                >
+                  <span
+                    className="contrast-audit-sample"
+                    style={{ color: result.foregroundColor, backgroundColor: result.backgroundColor }}
+                    aria-hidden="true"
+                  >
+                    Aa
+                  </span>
+                  <span className="contrast-audit-pair">
+                    <code>{result.foreground}</code>
+                    <span className="contrast-audit-on">on <code>{result.background}</code></span>
+                  </span>
+                  <span className="contrast-audit-scores">
+                    <span className="contrast-audit-ratio">
+                      {result.pass ? <Check size={12} /> : <AlertTriangle size={12} />}
+                      {result.ratio.toFixed(2)}:1
+                    </span>
+                    <span className="contrast-audit-badges">
+                      <span className={cn('contrast-audit-badge', { pass: result.aa })}>AA</span>
+                      <span className={cn('contrast-audit-badge', { pass: result.aaa })}>AAA</span>
+                      <span
+                        className={cn('contrast-audit-badge', { pass: result.apcaLevel !== 'fail' })}
+                        title={`APCA: sufficient for ${result.apcaLevel === 'fail' ? 'nothing' : `${result.apcaLevel} text`}`}
+                      >
+                        Lc {Math.abs(result.apca).toFixed(0)}
+                      </span>
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </aside>
+  );
+}
@@ -6,9 +6,12 @@
 
 import { useState, useRef, useEffect } from 'react';
 import { Link, NavLink, useLocation, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Save, Eye, EyeOff, MoreHorizontal, Palette, Type, Copy, Trash2, Download, CheckCircle } from 'lucide-react';
+import { ArrowLeft, Save, Eye, EyeOff, MoreHorizontal, Palette, Type, Copy, Trash2, Download, CheckCircle, Upload, Undo2, History, Contrast } from 'lucide-react';
 import { toast } from 'sonner';
 import { themeService } from '../../../services/themeService';
+import ModeSwitcher from './ModeSwitcher';
+import ThemeHistoryModal from '../history/ThemeHistoryModal';
+import { CONTRAST_AUDIT_ERROR } from '../../../lib/contrastAudit';
 
 /**
  * Theme editor header with navigation and controls
@@ -18,13 +21,27 @@ import { themeService } from '../../../services/themeService';
  * @param {boolean} props.showPreview - Whether preview panel is visible
  * @param {Function} props.onTogglePreview - Toggle preview visibility
  * @param {Function} props.onSave - Save handler (optional)
+ * @param {string[]} props.modes - Theme modes, default first (optional)
+ * @param {string} props.activeMode - Mode being edited (optional)
+ * @param {Function} props.onModeChange - Mode switch handler (optional; hides the switcher when omitted)
+ * @param {Function} props.onAddMode - Add-mode handler (optional)
+ * @param {Function} props.onThemeUpdated - Called after publish/restore so the page can refetch (optional)
+ * @param {boolean} props.showContrastAudit - Whether the contrast audit panel is visible
+ * @param {Function} props.onToggleContrastAudit - Toggle the contrast audit panel (optional; hides the button when omitted)
  */
 export default function EditorHeader({
   theme,
   hasChanges = false,
   showPreview = true,
   onTogglePreview,
-  onSave
+  onSave,
+  modes = [],
+  activeMode,
+  onModeChange,
+  onAddMode,
+  onThemeUpdated,
+  showContrastAudit = false,
+  onToggleContrastAudit
 }) {
   const location = useLocation();
   const navigate = useNavigate();
@@ -33,6 +50,7 @@ export default function EditorHeader({
 
   // Dropdown menu state
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
   const menuRef = useRef(null);
 
   // Close menu when clicking outside
@@ -87,6 +105,42 @@ export default function EditorHeader({
     }
   };
 
+  const handlePublish = async (options = {}) => {
+    setIsMenuOpen(false);
+    try {
+      const published = await themeService.publishTheme(themeId, options);
+      toast.success(`Published v${published.snapshot.version}`);
+      onThemeUpdated?.();
+    } catch (error) {
+      if (error.code === CONTRAST_AUDIT_ERROR) {
+        if (!showContrastAudit) onToggleContrastAudit?.();
+        if (confirm(`${error.message}. Publish anyway?`)) {
+          await handlePublish({ skipContrastAudit: true });
+        }
+        return;
+      }
+      console.error('Failed to publish theme:', error);
+      toast.error('Failed to publish theme');
+    }
+  };
+
+  const handleUnpublish = async () => {
+    setIsMenuOpen(false);
+    try {
+      await themeService.unpublishTheme(themeId);
+      toast.success('Theme moved back to draft');
+      onThemeUpdated?.();
+    } catch (error) {
+      console.error('Failed to unpublish theme:', error);
+      toast.error('Failed to unpublish theme');
+    }
+  };
+
+  const handleOpenHistory = () => {
+    setIsMenuOpen(false);
+    setIsHistoryOpen(true);
+  };
+
   const handleExport = () => {
     setIsMenuOpen(false);
     // Navigate to export or trigger export modal
@@ -119,6 +173,15 @@ export default function EditorHeader({
                 {theme.source}
               </span>
             )}
+            {theme?.parent_chain?.length > 0 && (
+              <Link
+                to={`/themes/${theme.parent_chain[0].id}`}
+                className="source-badge parent-theme-badge"
+                title={theme.parent_chain.map(parent => parent.name).join(' → ')}
+              >
+                Extends {theme.parent_chain[0].name}
+              </Link>
+            )}
           </div>
         </div>
         
@@ -149,6 +212,27 @@ export default function EditorHeader({
       </div>
 
       <div className="editor-header-right">
+        {onModeChange && (
+          <ModeSwitcher
+            modes={modes}
+            activeMode={activeMode}
+            onModeChange={onModeChange}
+            onAddMode={onAddMode}
+          />
+        )}
+
+        {onToggleContrastAudit && (
+          <button
+            className={`btn btn-ghost btn-icon ${showContrastAudit ? 'active' : ''}`}
+            onClick={onToggleContrastAudit}
+            title="Contrast Audit"
+            aria-label="Contrast Audit"
+            aria-pressed={showContrastAudit}
+          >
+            <Contrast size={18} />
+          </button>
+        )}
+
         <button 
           className="btn btn-ghost btn-icon"
           onClick={onTogglePreview}
@@ -172,6 +256,21 @@ export default function EditorHeader({
 
           {isMenuOpen && (
             <div className="editor-header-dropdown">
+              <button onClick={() => handlePublish()} className="dropdown-item">
+                <Upload size={16} />
+                {theme?.status === 'published' ? 'Publish New Version' : 'Publish Theme'}
+              </button>
+              {theme?.status === 'published' && (
+                <button onClick={handleUnpublish} className="dropdown-item">
+                  <Undo2 size={16} />
+                  Unpublish
+                </button>
+              )}
+              <button onClick={handleOpenHistory} className="dropdown-item">
+                <History size={16} />
+                Version History
+              </button>
+              <div className="dropdown-divider" />
               <button onClick={handleDuplicate} className="dropdown-item">
                 <Copy size={16} />
                 Duplicate Theme
@@ -204,6 +303,15 @@ export default function EditorHeader({
           </button>
         )}
       </div>
+
+      {isHistoryOpen && (
+        <ThemeHistoryModal
+          open={isHistoryOpen}
+          onClose={() => setIsHistoryOpen(false)}
+          theme={theme}
+          onRestored={() => onThemeUpdated?.()}
+        />
+      )}
     </header>
   );
 }
@@ -0,0 +1,99 @@
+/**
+ * Theme mode switcher for the editor header.
+ * Picks which mode (light/dark/high-contrast) token values are shown and
+ * edited in, and lets the user add a new mode to the theme.
+ */
+
+import { useState } from 'react';
+import { Plus, Check, X } from 'lucide-react';
+import { formatModeLabel, normalizeModeName } from '../../../lib/tokenModes';
+
+/**
+ * @param {Object} props
+ * @param {string[]} props.modes - Theme modes, default first
+ * @param {string} props.activeMode - Mode currently being edited
+ * @param {Function} props.onModeChange - Called with the selected mode slug
+ * @param {Function} [props.onAddMode] - Called with a new mode slug; omit to hide "add"
+ */
+export default function ModeSwitcher({ modes = [], activeMode, onModeChange, onAddMode }) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [newMode, setNewMode] = useState('');
+
+  const slug = normalizeModeName(newMode);
+  const canAdd = slug && !modes.includes(slug);
+
+  const handleAdd = () => {
+    if (!canAdd) return;
+    onAddMode?.(slug);
+    setNewMode('');
+    setIsAdding(false);
+  };
+
+  const handleCancel = () => {
+    setNewMode('');
+    setIsAdding(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') handleAdd();
+    if (e.key === 'Escape') handleCancel();
+  };
+
+  return (
+    <div className="mode-switcher">
+      {modes.length > 1 && (
+        <div className="segmented-control segmented-control-sm" role="group" aria-label="Theme mode">
+          {modes.map((mode, i) => (
+            <button
+              key={mode}
+              className={`segmented-option ${activeMode === mode ? 'selected' : ''}`}
+              onClick={() => onModeChange?.(mode)}
+              title={i === 0 ? `${formatModeLabel(mode)} (default mode)` : `${formatModeLabel(mode)} mode`}
+            >
+              {formatModeLabel(mode)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {onAddMode && (isAdding ? (
+        <div className="mode-switcher-add">
+          <input
+            type="text"
+            className="token-name-input"
+            value={newMode}
+            onChange={(e) => setNewMode(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={modes.length > 1 ? 'e.g. high-contrast' : 'e.g. dark'}
+            aria-label="New mode name"
+            autoFocus
+          />
+          <button
+            className="btn btn-ghost btn-icon btn-xs"
+            onClick={handleAdd}
+            disabled={!canAdd}
+            title="Add mode"
+          >
+            <Check size={14} />
+          </button>
+          <button
+            className="btn btn-ghost btn-icon btn-xs"
+            onClick={handleCancel}
+            title="Cancel"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ) : (
+        <button
+          className="btn btn-ghost btn-sm"
+          onClick={() => setIsAdding(true)}
+          title="Add a mode (e.g. dark, high-contrast)"
+        >
+          <Plus size={14} />
+          {modes.length > 1 ? 'Mode' : 'Add mode'}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * Token alias picker for the token editor panel.
+ * Lets a token reference another token in the same theme instead of holding
+ * its own value (e.g. button-bg → brand-500).
+ */
+
+import { useMemo } from 'react';
+import { Link2 } from 'lucide-react';
+import { Select } from '../../ui';
+import { tokenToCssValue } from '../../../lib/cssVariableInjector';
+import {
+  buildTokenIndex,
+  followAliasChain,
+  getAliasCandidates,
+  isAliasToken,
+} from '../../../lib/tokenAliases';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.token - Token being edited (with pending changes merged)
+ * @param {Array} props.tokens - All tokens in the theme
+ * @param {Function} props.onUpdate - Local change handler
+ */
+export default function TokenAliasField({ token, tokens = [], onUpdate }) {
+  const candidates = useMemo(() => getAliasCandidates(tokens, token), [tokens, token]);
+
+  const resolution = useMemo(() => {
+    if (!isAliasToken(token)) return null;
+    // Resolve against the theme tokens with this token's pending alias applied
+    const withPending = tokens.map(t => (t.id === token.id ? token : t));
+    if (!withPending.some(t => t.id === token.id)) withPending.push(token);
+    return followAliasChain(token, buildTokenIndex(withPending));
+  }, [tokens, token]);
+
+  const options = [
+    { value: '', label: 'None (own value)' },
+    ...candidates.map(t => ({ value: t.path, label: `${t.path} (${t.css_variable})` })),
+  ];
+
+  // Keep a dangling target selectable so the current state is visible
+  if (isAliasToken(token) && !candidates.some(t => t.path === token.alias_path)) {
+    options.push({ value: token.alias_path, label: `${token.alias_path} (missing)` });
+  }
+
+  const handleChange = (targetPath) => {
+    if (!targetPath) {
+      onUpdate({ alias_path: null });
+      return;
+    }
+    const target = candidates.find(t => t.path === targetPath);
+    if (!target) return;
+    const { target: concrete } = followAliasChain(target, buildTokenIndex(tokens));
+    onUpdate({
+      alias_path: target.path,
+      ...(concrete && { value: concrete.value }),
+    });
+  };
+
+  return (
+    <div className="token-editor-content token-alias-field">
+      <div className="token-editor-field">
+        <label className="token-editor-label">
+          <Link2 size={12} /> Alias of
+        </label>
+        <Select
+          size="sm"
+          options={options}
+          value={token.alias_path || ''}
+          onChange={handleChange}
+          placeholder="None (own value)"
+        />
+      </div>
+
+      {resolution?.error && (
+        <div className="token-editor-placeholder-notice token-alias-error">
+          <p style={{ margin: 0 }}>{resolution.error.message}</p>
+        </div>
+      )}
+
+      {resolution?.target && (
+        <div className="token-editor-field">
+          <label className="token-editor-label">Resolved value</label>
+          <input
+            type="text"
+            className="token-editor-input"
+            value={tokenToCssValue(resolution.target)}
+            disabled
+            readOnly
+          />
+          {resolution.chain.length > 2 && (
+            <p className="token-alias-chain">{resolution.chain.join(' → ')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -19,6 +19,9 @@ import SpacingEditor from './SpacingEditor';
 import ShadowEditor from './ShadowEditor';
 import RadiusEditor from './RadiusEditor';
 import GridEditor from './GridEditor';
+import TokenAliasField from './TokenAliasField';
+import { isAliasToken } from '../../../lib/tokenAliases';
+import { formatModeLabel } from '../../../lib/tokenModes';
 
 /**
  * Panel for editing the selected token
@@ -28,10 +31,28 @@ import GridEditor from './GridEditor';
  * @param {Object} props.token - Selected token to edit
  * @param {string} props.category - Token category
  * @param {string} props.themeId - Theme ID for fetching typefaces
+ * @param {Array} props.tokens - All tokens in the theme (alias targets)
+ * @param {string} [props.mode] - Non-default mode being edited (omit for the default mode)
+ * @param {string} [props.defaultMode] - The theme's default mode
+ * @param {boolean} [props.hasModeOverride] - Whether the token has its own value in `mode`
+ * @param {Function} [props.onResetMode] - Drop the token's value for `mode`
  * @param {Function} props.onUpdate - Update handler (saves to DB)
+ * @param {Function} [props.onTokensCreated] - Called with tokens created from the editor (color scales)
  * @param {Function} props.onClose - Close handler for mobile view
  */
-export default function TokenEditorPanel({ token, category, themeId, onUpdate, onClose }) {
+export default function TokenEditorPanel({
+  token,
+  category,
+  themeId,
+  tokens = [],
+  mode,
+  defaultMode,
+  hasModeOverride = false,
+  onResetMode,
+  onUpdate,
+  onTokensCreated,
+  onClose
+}) {
   const [isEditingName, setIsEditingName] = useState(false);
   const [editedName, setEditedName] = useState('');
   
@@ -40,13 +61,13 @@ export default function TokenEditorPanel({ token, category, themeId, onUpdate, o
   const [hasChanges, setHasChanges] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
 
-  // Reset editing state and pending changes when token changes
+  // Reset editing state and pending changes when token or mode changes
   useEffect(() => {
     setIsEditingName(false);
     setEditedName(token?.name || '');
     setPendingChanges({});
     setHasChanges(false);
-  }, [token?.id]);
+  }, [token?.id, mode]);
 
   // Warn user before leaving with unsaved changes
   useEffect(() => {
@@ -164,9 +185,20 @@ export default function TokenEditorPanel({ token, category, themeId, onUpdate, o
 
   // Render category-specific editor - uses handleLocalChange for pending changes
   const renderEditor = () => {
+    // Alias tokens take their value from the target token
+    if (isAliasToken(displayToken)) return null;
+
     switch (category) {
       case 'color':
-        return <ColorEditor token={displayToken} onUpdate={handleLocalChange} />;
+        return (
+          <ColorEditor
+            token={displayToken}
+            onUpdate={handleLocalChange}
+            themeId={themeId}
+            tokens={tokens}
+            onTokensCreated={onTokensCreated}
+          />
+        );
       case 'typography':
         // Role-derived composite tokens are generated from Typography Scale (typography_roles).
         // Treat them as read-only in the token editor to prevent drift/confusion.
@@ -425,6 +457,27 @@ export default function TokenEditorPanel({ token, category, themeId, onUpdate, o
         <span className="token-editor-type">{displayToken.type || category}</span>
       </div>
       
+      {!isGeneratedTypographyRoleToken && (
+        <TokenAliasField token={displayToken} tokens={tokens} onUpdate={handleLocalChange} />
+      )}
+
+      {mode && !isAliasToken(displayToken) && !isGeneratedTypographyRoleToken && (
+        <div className="token-editor-placeholder-notice token-mode-notice">
+          <p>
+            Editing the <strong>{formatModeLabel(mode)}</strong> value.{' '}
+            {hasModeOverride
+              ? `Overrides ${formatModeLabel(defaultMode)}.`
+              : `Uses the ${formatModeLabel(defaultMode)} value until changed.`}
+          </p>
+          {hasModeOverride && onResetMode && (
+            <button className="btn btn-ghost btn-xs" onClick={onResetMode}>
+              <RotateCcw size={12} />
+              Reset
+            </button>
+          )}
+        </div>
+      )}
+
       {renderEditor()}
       
       {/* Save/Cancel buttons - shown when there are pending changes */}
@@ -54,6 +54,7 @@ function fontSizeToPx(token) {
  * @param {Function} props.onSelectToken - Token selection handler
  * @param {Function} props.onAddToken - Add new token handler
  * @param {Function} props.onDeleteToken - Delete token handler
+ * @param {Function} [props.onResetToken] - Drop a child theme's override (reset to parent)
  */
 export default function TokenList({ 
   tokens = [], 
@@ -62,7 +63,8 @@ export default function TokenList({
   selectedToken, 
   onSelectToken,
   onAddToken,
-  onDeleteToken 
+  onDeleteToken,
+  onResetToken
 }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [showAddModal, setShowAddModal] = useState(false);
@@ -188,7 +190,8 @@ export default function TokenList({
               token={token}
               isSelected={selectedToken?.id === token.id}
               onSelect={() => onSelectToken?.(token)}
-              onDelete={isTypographyPreview ? undefined : () => onDeleteToken?.(token.id)}
+              onDelete={isTypographyPreview || token.inherited ? undefined : () => onDeleteToken?.(token.id)}
+              onResetToParent={token.overrides_parent && onResetToken ? () => onResetToken(token) : undefined}
             />
           ))}
         </ul>
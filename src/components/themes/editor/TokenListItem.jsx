@@ -3,9 +3,10 @@
  * 
  * Individual token item in the token list.
  * Displays token preview, name, path, and delete action.
+ * In child themes, inherited and overridden tokens are badged.
  */
 
-import { MoreHorizontal, Trash2, Copy } from 'lucide-react';
+import { MoreHorizontal, Trash2, Copy, RotateCcw } from 'lucide-react';
 import { DropdownMenu } from '../../ui';
 import { cn } from '../../../lib/utils';
 
@@ -111,8 +112,9 @@ async function copyToClipboard(text) {
  * @param {boolean} props.isSelected - Whether this token is selected
  * @param {Function} props.onSelect - Selection handler
  * @param {Function} props.onDelete - Delete handler
+ * @param {Function} [props.onResetToParent] - Drop the override and use the parent's value
  */
-export default function TokenListItem({ token, isSelected, onSelect, onDelete }) {
+export default function TokenListItem({ token, isSelected, onSelect, onDelete, onResetToParent }) {
   const handleCopyVariable = (e) => {
     e.stopPropagation();
     copyToClipboard(`var(${token.css_variable})`);
@@ -133,6 +135,11 @@ export default function TokenListItem({ token, isSelected, onSelect, onDelete })
     }
   };
 
+  const handleResetToParent = (e) => {
+    e.stopPropagation();
+    onResetToParent?.();
+  };
+
   const isDeletable = typeof onDelete === 'function';
 
   return (
@@ -146,7 +153,15 @@ export default function TokenListItem({ token, isSelected, onSelect, onDelete })
           {getTokenPreview(token)}
         </div>
         <div className="token-list-item-info">
-          <span className="token-list-item-name">{token.name}</span>
+          <span className="token-list-item-name">
+            {token.name}
+            {token.inherited && (
+              <span className="token-inheritance-badge">Inherited</span>
+            )}
+            {token.overrides_parent && (
+              <span className="token-inheritance-badge token-inheritance-badge--override">Overridden</span>
+            )}
+          </span>
           <span className="token-list-item-path">{token.css_variable}</span>
         </div>
       </button>
@@ -170,6 +185,11 @@ export default function TokenListItem({ token, isSelected, onSelect, onDelete })
           <DropdownMenu.Item onClick={handleCopyValue}>
             <Copy size={14} /> Copy Value
           </DropdownMenu.Item>
+          {onResetToParent && (
+            <DropdownMenu.Item onClick={handleResetToParent}>
+              <RotateCcw size={14} /> Reset to Parent
+            </DropdownMenu.Item>
+          )}
           {isDeletable && (
             <>
               <DropdownMenu.Separator />
@@ -12,13 +12,17 @@
  */
 
 export { default as EditorHeader } from './EditorHeader';
+export { default as ModeSwitcher } from './ModeSwitcher';
 export { default as CategorySidebar } from './CategorySidebar';
 export { default as TokenList } from './TokenList';
 export { default as TokenListItem } from './TokenListItem';
 export { default as AddTokenModal } from './AddTokenModal';
 export { default as TokenEditorPanel } from './TokenEditorPanel';
+export { default as TokenAliasField } from './TokenAliasField';
+export { default as ContrastAuditPanel } from './ContrastAuditPanel';
 export { default as EditorSkeleton } from './EditorSkeleton';
 export { default as ColorEditor } from './ColorEditor';
+export { default as ColorScaleGenerator } from './ColorScaleGenerator';
 export { default as TypographyEditor } from './TypographyEditor';
 export { default as CompositeTypographyEditor } from './CompositeTypographyEditor';
 export { default as SpacingEditor } from './SpacingEditor';
@@ -0,0 +1,100 @@
+/**
+ * Token-level diff between two theme versions.
+ * Lists added, removed and changed tokens and typography roles.
+ */
+
+import { Plus, Minus, PenLine } from 'lucide-react';
+import { tokenToCssValue } from '../../../lib/cssVariableInjector';
+
+/**
+ * Short display string for a token's value
+ */
+function formatTokenValue(token) {
+  if (!token) return '';
+  if (token.alias_path) return `→ ${token.alias_path}`;
+  try {
+    const css = tokenToCssValue(token);
+    return css || JSON.stringify(token.value);
+  } catch {
+    return JSON.stringify(token.value);
+  }
+}
+
+/**
+ * Short display string for a changed field
+ */
+function formatField(record, field, isToken) {
+  if (isToken && field === 'value') return formatTokenValue({ ...record, alias_path: null });
+  const value = record?.[field];
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function DiffSection({ title, diff, isToken }) {
+  const { added, removed, changed } = diff;
+  const label = (record) => (isToken ? record.path : record.role_name);
+
+  if (added.length + removed.length + changed.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="snapshot-diff-section">
+      <h4 className="snapshot-diff-title">{title}</h4>
+      <ul className="snapshot-diff-list">
+        {added.map(record => (
+          <li key={`added-${label(record)}`} className="snapshot-diff-item snapshot-diff-item--added">
+            <Plus size={12} />
+            <code>{label(record)}</code>
+            {isToken && <span className="snapshot-diff-value">{formatTokenValue(record)}</span>}
+          </li>
+        ))}
+        {removed.map(record => (
+          <li key={`removed-${label(record)}`} className="snapshot-diff-item snapshot-diff-item--removed">
+            <Minus size={12} />
+            <code>{label(record)}</code>
+            {isToken && <span className="snapshot-diff-value">{formatTokenValue(record)}</span>}
+          </li>
+        ))}
+        {changed.map(({ key, before, after, fields }) => (
+          <li key={`changed-${key}`} className="snapshot-diff-item snapshot-diff-item--changed">
+            <PenLine size={12} />
+            <code>{key}</code>
+            <div className="snapshot-diff-fields">
+              {fields.map(field => (
+                <div key={field} className="snapshot-diff-field">
+                  <span className="snapshot-diff-field-name">{field}</span>
+                  <span className="snapshot-diff-before">{formatField(before, field, isToken)}</span>
+                  <span aria-hidden="true">→</span>
+                  <span className="snapshot-diff-after">{formatField(after, field, isToken)}</span>
+                </div>
+              ))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.diff - Result of diffThemes(before, after)
+ */
+export default function SnapshotDiff({ diff }) {
+  if (!diff) return null;
+
+  if (!diff.hasChanges) {
+    return <p className="snapshot-diff-empty">No token or typography role changes.</p>;
+  }
+
+  return (
+    <div className="snapshot-diff">
+      <p className="snapshot-diff-summary">
+        {diff.summary.added} added · {diff.summary.removed} removed · {diff.summary.changed} changed
+      </p>
+      <DiffSection title="Tokens" diff={diff.tokens} isToken />
+      <DiffSection title="Typography roles" diff={diff.typographyRoles} isToken={false} />
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * Version history for a theme: lists the snapshots taken on publish, shows a
+ * diff against the live theme or the previous version, and restores any
+ * snapshot in one action.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { toast } from 'sonner';
+import { Modal, Button, SegmentedControl } from '../../ui';
+import { useThemeSnapshots } from '../../../hooks/useThemeSnapshots';
+import { snapshotService, snapshotToTheme } from '../../../services/snapshotService';
+import { diffThemes } from '../../../lib/themeDiff';
+import SnapshotDiff from './SnapshotDiff';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.theme - Live theme with tokens and typography_roles
+ * @param {Function} [props.onRestored] - Called after a snapshot has been restored
+ */
+export default function ThemeHistoryModal({ open, onClose, theme, onRestored }) {
+  const { data: snapshots, isLoading, error } = useThemeSnapshots(open ? theme?.id : null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState('live');
+  const [loaded, setLoaded] = useState({});
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const selectedIndex = snapshots.findIndex(s => s.id === selectedId);
+  const selected = selectedIndex >= 0 ? snapshots[selectedIndex] : null;
+  const previous = selectedIndex >= 0 ? snapshots[selectedIndex + 1] : null;
+
+  // Default to the newest snapshot
+  useEffect(() => {
+    if (!selectedId && snapshots.length > 0) {
+      setSelectedId(snapshots[0].id);
+    }
+  }, [snapshots, selectedId]);
+
+  // Load snapshot data for the selected version (and its predecessor when comparing)
+  useEffect(() => {
+    const needed = [selected?.id, compareTo === 'previous' ? previous?.id : null]
+      .filter(id => id && !loaded[id]);
+    if (needed.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(needed.map(id => snapshotService.getSnapshot(id)))
+      .then(rows => {
+        if (cancelled) return;
+        setLoaded(prev => {
+          const next = { ...prev };
+          rows.forEach(row => { next[row.id] = snapshotToTheme(row); });
+          return next;
+        });
+      })
+      .catch(err => {
+        console.error('Failed to load snapshot:', err);
+        toast.error('Failed to load snapshot');
+      });
+
+    return () => { cancelled = true; };
+  }, [selected?.id, previous?.id, compareTo, loaded]);
+
+  const diff = useMemo(() => {
+    const snapshotTheme = selected ? loaded[selected.id] : null;
+    if (!snapshotTheme) return null;
+
+    if (compareTo === 'live') {
+      return diffThemes(snapshotTheme, theme);
+    }
+    // Oldest version: compare against an empty theme (everything added)
+    const before = previous ? loaded[previous.id] : { tokens: [], typography_roles: [] };
+    return before ? diffThemes(before, snapshotTheme) : null;
+  }, [selected, previous, loaded, compareTo, theme]);
+
+  const handleRestore = async () => {
+    if (!selected) return;
+    if (!confirm(`Restore v${selected.version}? Current tokens and typography roles will be replaced.`)) return;
+
+    setIsRestoring(true);
+    try {
+      await snapshotService.restoreSnapshot(selected.id);
+      toast.success(`Restored v${selected.version}`);
+      onRestored?.(selected);
+      onClose();
+    } catch (err) {
+      console.error('Failed to restore snapshot:', err);
+      toast.error('Failed to restore snapshot');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} size="large" title="Version History">
+      <div className="theme-history">
+        <aside className="theme-history-list">
+          {isLoading && <p className="theme-history-empty">Loading versions...</p>}
+          {error && <p className="theme-history-empty">Failed to load versions</p>}
+          {!isLoading && !error && snapshots.length === 0 && (
+            <p className="theme-history-empty">
+              No versions yet. A snapshot is saved every time the theme is published.
+            </p>
+          )}
+          {snapshots.map(snapshot => (
+            <button
+              key={snapshot.id}
+              type="button"
+              className={`theme-history-item ${snapshot.id === selectedId ? 'selected' : ''}`}
+              onClick={() => setSelectedId(snapshot.id)}
+            >
+              <span className="theme-history-version">
+                <History size={14} />
+                v{snapshot.version}
+              </span>
+              <span className="theme-history-meta">
+                {new Date(snapshot.created_at).toLocaleString()} · {snapshot.token_count} tokens
+              </span>
+              {snapshot.note && <span className="theme-history-note">{snapshot.note}</span>}
+            </button>
+          ))}
+        </aside>
+
+        <div className="theme-history-detail">
+          {selected && (
+            <>
+              <div className="theme-history-toolbar">
+                <SegmentedControl
+                  size="sm"
+                  options={[
+                    { value: 'live', label: `v${selected.version} → current` },
+                    { value: 'previous', label: previous ? `v${previous.version} → v${selected.version}` : `Initial → v${selected.version}` },
+                  ]}
+                  value={compareTo}
+                  onChange={setCompareTo}
+                />
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={handleRestore}
+                  loading={isRestoring}
+                >
+                  <RotateCcw size={14} />
+                  Restore v{selected.version}
+                </Button>
+              </div>
+
+              {diff ? <SnapshotDiff diff={diff} /> : <p className="theme-history-empty">Loading diff...</p>}
+            </>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
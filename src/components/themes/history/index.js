@@ -0,0 +1,6 @@
+/**
+ * Theme version history components barrel export.
+ */
+
+export { default as ThemeHistoryModal } from './ThemeHistoryModal';
+export { default as SnapshotDiff } from './SnapshotDiff';
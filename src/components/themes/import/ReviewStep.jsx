@@ -65,17 +65,21 @@ export default function ReviewStep({ data, onUpdate, onNext, onBack }) {
     setImportError(null);
     
     try {
+      // Modes found in the file (multi-mode Style Dictionary collections)
+      const modes = data.metadata?.modes?.length > 1 ? data.metadata.modes : undefined;
+
       // Create theme if not already created
       let themeId = data.themeId;
       if (!themeId) {
         const theme = await themeService.createTheme({
           name: themeName.trim(),
-          source: 'import'
+          source: 'import',
+          modes
         });
         themeId = theme.id;
       } else {
         // Update theme name if changed
-        await themeService.updateTheme(themeId, { name: themeName.trim() });
+        await themeService.updateTheme(themeId, { name: themeName.trim(), ...(modes && { modes }) });
       }
 
       // Prepare tokens with final mappings
@@ -85,6 +89,8 @@ export default function ReviewStep({ data, onUpdate, onNext, onBack }) {
         category: data.mappings[token.path] || token.category,
         type: token.type,
         value: token.value,
+        ...(token.alias_path && { alias_path: token.alias_path }),
+        ...(token.mode_values && { mode_values: token.mode_values }),
         css_variable: token.css_variable,
         description: token.description
       }));
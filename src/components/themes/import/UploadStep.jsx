@@ -2,12 +2,14 @@
  * @chunk 2.08 - UploadStep
  * 
  * File upload step with drag-and-drop and JSON validation.
- * Accepts .json files only, max size 5MB.
+ * Accepts .json files only, max size 5MB each.
+ * Several files (e.g. the tokens/ folder of a Style Dictionary project) are
+ * merged into one token tree before parsing.
  * Validates and parses token files before proceeding.
  */
 
 import { useState, useRef } from 'react';
-import { parseTokenFile } from '../../../lib/tokenParser';
+import { parseTokenFile, mergeTokenFiles } from '../../../lib/tokenParser';
 import { UploadCloud, AlertCircle, Loader2, FileJson, CheckCircle } from 'lucide-react';
 import { cn } from '../../../lib/utils';
 import { toast } from 'sonner';
@@ -21,19 +23,19 @@ export default function UploadStep({ data, onUpdate, onNext }) {
   const fileInputRef = useRef(null);
 
   /**
-   * Validate and process the uploaded file
+   * Validate and process the uploaded files
    */
-  const handleFile = async (file) => {
-    if (!file) return;
+  const handleFiles = async (files) => {
+    if (!files.length) return;
 
     // Validate file type
-    if (!file.name.endsWith('.json')) {
+    if (files.some(file => !file.name.endsWith('.json'))) {
       setError('Please upload a JSON file');
       return;
     }
 
     // Validate file size (5MB)
-    if (file.size > MAX_FILE_SIZE) {
+    if (files.some(file => file.size > MAX_FILE_SIZE)) {
       setError('File size must be under 5MB');
       return;
     }
@@ -42,16 +44,18 @@ export default function UploadStep({ data, onUpdate, onNext }) {
     setError(null);
 
     try {
-      const text = await file.text();
-      let json;
-      
-      try {
-        json = JSON.parse(text);
-      } catch (parseError) {
-        setError('Invalid JSON file: ' + parseError.message);
-        setIsProcessing(false);
-        return;
+      const jsons = [];
+      for (const file of files) {
+        const text = await file.text();
+        try {
+          jsons.push(JSON.parse(text));
+        } catch (parseError) {
+          setError(`Invalid JSON file${files.length > 1 ? ` ${file.name}` : ''}: ${parseError.message}`);
+          setIsProcessing(false);
+          return;
+        }
       }
+      const json = jsons.length === 1 ? jsons[0] : mergeTokenFiles(jsons);
 
       const { tokens, errors, warnings, metadata } = parseTokenFile(json);
 
@@ -74,7 +78,8 @@ export default function UploadStep({ data, onUpdate, onNext }) {
       }, {});
 
       onUpdate({
-        file,
+        file: files[0],
+        files,
         parsedTokens: tokens,
         warnings,
         metadata,
@@ -102,8 +107,7 @@ export default function UploadStep({ data, onUpdate, onNext }) {
     e.stopPropagation();
     setIsDragging(false);
     
-    const file = e.dataTransfer.files[0];
-    if (file) handleFile(file);
+    handleFiles(Array.from(e.dataTransfer.files || []));
   };
 
   /**
@@ -137,8 +141,7 @@ export default function UploadStep({ data, onUpdate, onNext }) {
    * Handle file input change
    */
   const handleInputChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) handleFile(file);
+    handleFiles(Array.from(e.target.files || []));
     // Reset input to allow re-selecting same file
     e.target.value = '';
   };
@@ -169,6 +172,7 @@ export default function UploadStep({ data, onUpdate, onNext }) {
           ref={fileInputRef}
           type="file"
           accept=".json"
+          multiple
           onChange={handleInputChange}
           hidden
           aria-hidden="true"
@@ -185,7 +189,7 @@ export default function UploadStep({ data, onUpdate, onNext }) {
               <UploadCloud size={48} />
             </div>
             <p className="drop-zone__primary-text">
-              Drag and drop your JSON file here
+              Drag and drop your JSON file (or files) here
             </p>
             <p className="drop-zone__secondary-text">or click to browse</p>
           </>
@@ -202,7 +206,11 @@ export default function UploadStep({ data, onUpdate, onNext }) {
       {data.file && !error && (
         <div className="upload-success">
           <CheckCircle size={16} />
-          <span>File uploaded: {data.file.name}</span>
+          <span>
+            {data.files?.length > 1
+              ? `Files uploaded: ${data.files.map(f => f.name).join(', ')}`
+              : `File uploaded: ${data.file.name}`}
+          </span>
         </div>
       )}
 
@@ -213,7 +221,7 @@ export default function UploadStep({ data, onUpdate, onNext }) {
         </h4>
         <ul className="format-help__list">
           <li>Figma Variables JSON export (DTCG format)</li>
-          <li>Style Dictionary format</li>
+          <li>Style Dictionary format (select all files in tokens/ to import a project)</li>
           <li>Flat token JSON (key-value pairs)</li>
         </ul>
         <p className="format-help__hint">
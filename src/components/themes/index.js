@@ -9,5 +9,6 @@ export { default as ThemeCard } from './ThemeCard';
 // Re-export from subdirectories
 export * from './typography';
 export * from './import';
+export * from './history';
 
 
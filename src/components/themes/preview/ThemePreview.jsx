@@ -8,7 +8,7 @@
  * - Collapsible floating panel (bottom-right when collapsed)
  * - Expandable to full modal view
  * - Viewport width controls (mobile/tablet/desktop)
- * - Dark/light mode preview toggle
+ * - Dark/light mode preview toggle (theme mode switcher for multi-mode themes)
  * - Multiple preview sections (typography, colors, buttons, cards, forms)
  */
 
@@ -20,6 +20,7 @@ import PreviewButtons from './PreviewButtons';
 import PreviewCard from './PreviewCard';
 import PreviewForm from './PreviewForm';
 import { isCompositeTypographyToken, expandCompositeTypographyToken, tokenToCssValue } from '../../../lib/cssVariableInjector';
+import { applyTokenMode, getThemeModes, getModeColorScheme, formatModeLabel } from '../../../lib/tokenModes';
 import '../../../styles/theme-preview.css';
 
 // Viewport width presets
@@ -59,12 +60,32 @@ export default function ThemePreview({
   theme,
   initialCollapsed = false,
   initialViewport = 'desktop',
-  showControls = true 
+  showControls = true,
+  mode,
+  onModeChange
 }) {
   const [isCollapsed, setIsCollapsed] = useState(initialCollapsed);
   const [isExpanded, setIsExpanded] = useState(false);
   const [viewport, setViewport] = useState(initialViewport);
-  const [darkMode, setDarkMode] = useState(false);
+  const [darkModeToggle, setDarkMode] = useState(false);
+
+  // Theme modes (light/dark/high-contrast); the first is the default
+  const modes = useMemo(() => getThemeModes(theme), [theme]);
+  const hasModes = modes.length > 1;
+  const [previewMode, setPreviewMode] = useState(mode);
+
+  // Follow the editor's mode when it changes
+  useEffect(() => {
+    setPreviewMode(mode);
+  }, [mode]);
+
+  const activeMode = modes.includes(previewMode) ? previewMode : modes[0];
+  const darkMode = hasModes ? getModeColorScheme(activeMode) === 'dark' : darkModeToggle;
+
+  const handleModeChange = useCallback((nextMode) => {
+    setPreviewMode(nextMode);
+    onModeChange?.(nextMode);
+  }, [onModeChange]);
 
   /**
    * Convert theme tokens to CSS variable object for scoped injection
@@ -74,8 +95,8 @@ export default function ThemePreview({
     
     const vars = {};
     
-    // Convert all tokens to CSS variables
-    theme.tokens.forEach(token => {
+    // Convert all tokens to CSS variables (active mode applied, aliases resolved)
+    applyTokenMode(theme.tokens, activeMode, modes[0]).forEach(token => {
       if (token.css_variable) {
         // Composite typography tokens expand into multiple variables
         if (isCompositeTypographyToken(token)) {
@@ -107,7 +128,7 @@ export default function ThemePreview({
     }
     
     return vars;
-  }, [theme]);
+  }, [theme, activeMode, modes]);
 
   /**
    * Handle escape key to close expanded view
@@ -313,31 +334,51 @@ export default function ThemePreview({
               ))}
             </div>
 
-            {/* Dark/Light Mode Toggle */}
-            <div className="segmented-control segmented-control-sm">
-              <button
-                className={`segmented-option ${!darkMode ? 'selected' : ''}`}
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setDarkMode(false);
-                }}
-                title="Light mode"
-                aria-label="Light mode preview"
-              >
-                <Sun size={14} />
-              </button>
-              <button
-                className={`segmented-option ${darkMode ? 'selected' : ''}`}
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setDarkMode(true);
-                }}
-                title="Dark mode"
-                aria-label="Dark mode preview"
-              >
-                <Moon size={14} />
-              </button>
-            </div>
+            {hasModes ? (
+              /* Theme Mode Switcher */
+              <div className="segmented-control segmented-control-sm" role="group" aria-label="Theme mode">
+                {modes.map(m => (
+                  <button
+                    key={m}
+                    className={`segmented-option ${activeMode === m ? 'selected' : ''}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleModeChange(m);
+                    }}
+                    title={`${formatModeLabel(m)} mode`}
+                    aria-label={`${formatModeLabel(m)} mode preview`}
+                  >
+                    {formatModeLabel(m)}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              /* Dark/Light Mode Toggle */
+              <div className="segmented-control segmented-control-sm">
+                <button
+                  className={`segmented-option ${!darkMode ? 'selected' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setDarkMode(false);
+                  }}
+                  title="Light mode"
+                  aria-label="Light mode preview"
+                >
+                  <Sun size={14} />
+                </button>
+                <button
+                  className={`segmented-option ${darkMode ? 'selected' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setDarkMode(true);
+                  }}
+                  title="Dark mode"
+                  aria-label="Dark mode preview"
+                >
+                  <Moon size={14} />
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -348,6 +389,7 @@ export default function ThemePreview({
             <div 
               className="theme-preview-viewport"
               style={viewportStyleWithVars}
+              data-mode={hasModes ? activeMode : undefined}
             >
               {renderPreviewSections()}
             </div>
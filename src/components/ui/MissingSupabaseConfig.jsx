@@ -35,6 +35,10 @@ export default function MissingSupabaseConfig({ missingKeys = [] }) {
           <p style={{ marginTop: 'var(--spacing-md)' }}>
             Note: localStorage overrides are disabled in production, so Vercel must provide these.
           </p>
+          <p style={{ marginTop: 'var(--spacing-md)' }}>
+            To run without Supabase (demos, offline), set <code>VITE_DATA_BACKEND=local</code> instead;
+            data is then kept in each browser's IndexedDB.
+          </p>
         </div>
       </div>
     </div>
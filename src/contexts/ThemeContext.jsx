@@ -3,12 +3,17 @@
  * 
  * Global theme state management and CSS variable injection.
  * Provides active theme, tokens, and font loading state to the entire app.
+ * Multi-mode themes inject the active mode's values and mirror the mode
+ * as `data-mode` on <html>.
  */
 
 import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { themeService } from '../services/themeService';
 import { loadThemeFonts } from '../lib/fontLoader';
 import { buildResponsiveTypographyCss } from '../lib/cssVariableInjector';
+import { applyTokenMode, getThemeModes, getModeMediaQuery } from '../lib/tokenModes';
+
+const MODE_STORAGE_KEY = 'ds-admin-theme-mode';
 
 const ThemeContext = createContext(null);
 
@@ -22,6 +27,13 @@ export function ThemeProvider({ children }) {
   const [fontsLoaded, setFontsLoaded] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [preferredMode, setPreferredMode] = useState(() => {
+    try {
+      return localStorage.getItem(MODE_STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  });
 
   // Load initial theme on mount
   useEffect(() => {
@@ -130,6 +142,37 @@ export function ThemeProvider({ children }) {
     }
   }, [activeTheme?.id]);
 
+  /**
+   * Switch the active mode (persisted; ignored by themes that lack the mode)
+   */
+  const setMode = useCallback((mode) => {
+    setPreferredMode(mode);
+    try {
+      if (mode) {
+        localStorage.setItem(MODE_STORAGE_KEY, mode);
+      } else {
+        localStorage.removeItem(MODE_STORAGE_KEY);
+      }
+    } catch (e) {
+      // ignore storage failures
+    }
+  }, []);
+
+  // Modes of the active theme; the first is the default
+  const modes = useMemo(() => getThemeModes(activeTheme), [activeTheme]);
+
+  // Explicit choice wins; otherwise follow the OS preference, then the default mode
+  const activeMode = useMemo(() => {
+    if (preferredMode && modes.includes(preferredMode)) return preferredMode;
+    return pickSystemMode(modes) || modes[0];
+  }, [modes, preferredMode]);
+
+  // Tokens with the active mode's values applied and aliases resolved
+  const modeTokens = useMemo(
+    () => applyTokenMode(activeTheme?.tokens || [], activeMode, modes[0]),
+    [activeTheme, activeMode, modes]
+  );
+
   /**
    * Clear active theme
    */
@@ -143,7 +186,7 @@ export function ThemeProvider({ children }) {
   const cssVariables = useMemo(() => {
     if (!activeTheme?.tokens) return {};
     
-    const rawVars = activeTheme.tokens.reduce((vars, token) => {
+    const rawVars = modeTokens.reduce((vars, token) => {
       if (token.css_variable) {
         // Check if this is a composite typography token
         if (isCompositeTypographyToken(token)) {
@@ -165,7 +208,7 @@ export function ThemeProvider({ children }) {
 
     // Ensure explicit tokens always win over derived aliases.
     return { ...aliasVars, ...rawVars };
-  }, [activeTheme]);
+  }, [activeTheme, modeTokens]);
 
   // Inject CSS variables into :root
   useEffect(() => {
@@ -174,6 +217,13 @@ export function ThemeProvider({ children }) {
     const root = document.documentElement;
     const failedVariables = [];
 
+    // Expose the mode for `[data-mode]` selectors in exported/consumer CSS
+    if (modes.length > 1) {
+      root.setAttribute('data-mode', activeMode);
+    } else {
+      root.removeAttribute('data-mode');
+    }
+
     // Set new variables with error handling
     Object.entries(cssVariables).forEach(([key, value]) => {
       try {
@@ -203,7 +253,7 @@ export function ThemeProvider({ children }) {
     // Inject responsive typography overrides (media queries) as a style tag.
     // This allows Desktop/Tablet/Mobile font sizes to adapt without trying to
     // express media queries via inline styles.
-    const responsiveCss = buildResponsiveTypographyCss(activeTheme.tokens || [], { selector: ':root' });
+    const responsiveCss = buildResponsiveTypographyCss(modeTokens, { selector: ':root' });
     const styleId = 'theme-typography-responsive';
     let styleEl = document.getElementById(styleId);
     if (responsiveCss) {
@@ -233,8 +283,10 @@ export function ThemeProvider({ children }) {
       } catch (err) {
         // ignore
       }
+
+      root.removeAttribute('data-mode');
     };
-  }, [cssVariables, activeTheme]);
+  }, [cssVariables, activeTheme, modeTokens, modes, activeMode]);
 
   const value = {
     // State
@@ -244,12 +296,15 @@ export function ThemeProvider({ children }) {
     fontsLoaded,
     isLoading,
     error,
+    modes,
+    activeMode,
     
     // Actions
     setActiveTheme: loadTheme,
     loadTheme,
     refreshTheme,
     clearTheme,
+    setMode,
   };
 
   return (
@@ -271,6 +326,19 @@ export function useThemeContext() {
   return context;
 }
 
+/**
+ * Helper: Pick the non-default mode matching the OS preference, if any
+ * @param {string[]} modes - Theme modes, default first
+ * @returns {string|null}
+ */
+function pickSystemMode(modes) {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return null;
+  return modes.slice(1).find(mode => {
+    const query = getModeMediaQuery(mode);
+    return query ? window.matchMedia(query).matches : false;
+  }) || null;
+}
+
 /**
  * Helper: Group tokens by category
  * @param {Array} tokens - Flat array of tokens
@@ -0,0 +1,101 @@
+/**
+ * Hook to compute the pixel diff between the compare-mode source and target
+ * assets. Recomputes when either asset changes and exposes object URLs for
+ * the aligned target and the heatmap (revoked on change/unmount).
+ */
+import { useEffect, useState } from 'react';
+import { CapturedAsset, Issue } from '../types/qa';
+import { diffImages, DiffRegion, PixelDiff } from '../lib/qa/comparison/pixelDiff';
+import { loadPixelImage, pixelImageToUrl } from '../lib/qa/comparison/imageLoader';
+
+export interface PixelDiffResult {
+  width: number;
+  height: number;
+  alignedTargetUrl: string;
+  heatmapUrl: string;
+  scale: number;
+  offset: { x: number; y: number };
+  changedRatio: PixelDiff['changedRatio'];
+  regions: DiffRegion[];
+  issues: Issue[];
+}
+
+interface PixelDiffState {
+  status: 'idle' | 'computing' | 'ready' | 'error';
+  result: PixelDiffResult | null;
+  error: string | null;
+}
+
+export function usePixelDiff(
+  sourceAsset: CapturedAsset | null,
+  targetAsset: CapturedAsset | null
+): PixelDiffState {
+  const [state, setState] = useState<PixelDiffState>({ status: 'idle', result: null, error: null });
+
+  useEffect(() => {
+    if (!sourceAsset || !targetAsset) {
+      setState({ status: 'idle', result: null, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    const urls: string[] = [];
+    setState({ status: 'computing', result: null, error: null });
+
+    (async () => {
+      try {
+        const [source, target] = await Promise.all([
+          loadPixelImage(sourceAsset.image.blob || sourceAsset.image.url),
+          loadPixelImage(targetAsset.image.blob || targetAsset.image.url),
+        ]);
+        if (cancelled) return;
+
+        // Let the spinner paint before the synchronous diff
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        const { aligned, diff, heatmap, regions, issues } = diffImages(source, target);
+
+        const [alignedTargetUrl, heatmapUrl] = await Promise.all([
+          pixelImageToUrl(aligned.target),
+          pixelImageToUrl(heatmap),
+        ]);
+        if (cancelled) {
+          URL.revokeObjectURL(alignedTargetUrl);
+          URL.revokeObjectURL(heatmapUrl);
+          return;
+        }
+        urls.push(alignedTargetUrl, heatmapUrl);
+
+        setState({
+          status: 'ready',
+          error: null,
+          result: {
+            width: aligned.width,
+            height: aligned.height,
+            alignedTargetUrl,
+            heatmapUrl,
+            scale: aligned.scale,
+            offset: aligned.offset,
+            changedRatio: diff.changedRatio,
+            regions,
+            issues,
+          },
+        });
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Pixel diff failed:', err);
+        setState({
+          status: 'error',
+          result: null,
+          error: err instanceof Error ? err.message : 'Pixel diff failed',
+        });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [sourceAsset, targetAsset]);
+
+  return state;
+}
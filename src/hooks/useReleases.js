@@ -0,0 +1,45 @@
+/**
+ * Custom hook for fetching the recorded releases of the export package.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { releaseService } from '../services/releaseService';
+
+/**
+ * Hook for fetching a project's releases, newest first
+ * @param {string} projectName - Package project name
+ * @returns {Object} - { data, isLoading, error, refetch }
+ */
+export function useReleases(projectName) {
+  const [data, setData] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReleases = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const releases = await releaseService.getReleases(projectName);
+      setData(releases || []);
+    } catch (err) {
+      console.error('Failed to fetch releases:', err);
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectName]);
+
+  useEffect(() => {
+    fetchReleases();
+  }, [fetchReleases]);
+
+  return {
+    data,
+    isLoading,
+    error,
+    refetch: fetchReleases
+  };
+}
+
+export default useReleases;
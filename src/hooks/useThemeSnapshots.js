@@ -0,0 +1,51 @@
+/**
+ * Custom hook for fetching a theme's published snapshots (version history).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { snapshotService } from '../services/snapshotService';
+
+/**
+ * Hook for fetching snapshots of a theme, newest first
+ * @param {string} themeId - Theme UUID (skips fetching when falsy)
+ * @returns {Object} - { data, isLoading, error, refetch }
+ */
+export function useThemeSnapshots(themeId) {
+  const [data, setData] = useState([]);
+  const [isLoading, setIsLoading] = useState(!!themeId);
+  const [error, setError] = useState(null);
+
+  const fetchSnapshots = useCallback(async () => {
+    if (!themeId) {
+      setData([]);
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const snapshots = await snapshotService.getSnapshots(themeId);
+      setData(snapshots || []);
+    } catch (err) {
+      console.error('Failed to fetch theme snapshots:', err);
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [themeId]);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  return {
+    data,
+    isLoading,
+    error,
+    refetch: fetchSnapshots
+  };
+}
+
+export default useThemeSnapshots;
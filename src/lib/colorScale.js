@@ -0,0 +1,177 @@
+/**
+ * Color Scale Generator
+ *
+ * Builds a 50–950 ramp from a single base color. Lightness runs from near
+ * white to near black along an easing curve, hue is held constant, and
+ * chroma (or saturation, in HSL) is eased away from the base color. The base
+ * color is pinned to the step whose lightness it is closest to.
+ *
+ * OKLCH interpolation is perceptually even; HSL matches the editor's sliders.
+ * OKLCH colors outside sRGB are brought into gamut by reducing chroma.
+ */
+
+import {
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  hslToRgb,
+  rgbToOklch,
+  oklchToRgb,
+  isOklchInGamut,
+  getContrastRatio,
+} from './colorUtils.js';
+import { generateCssVariable } from './tokenParser.js';
+
+/**
+ * Steps of the generated scale
+ */
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/**
+ * Interpolation color spaces
+ */
+export const SCALE_COLOR_SPACES = ['oklch', 'hsl'];
+
+/**
+ * Lightness easing curves, t in [0, 1] from the light end to the dark end
+ */
+export const LIGHTNESS_CURVES = {
+  linear: t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => 1 - (1 - t) * (1 - t),
+  'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+};
+
+/**
+ * Chroma easing: how much of the base chroma a step keeps, from its
+ * distance to the base step (0 at the base, 1 at the far end of the scale)
+ */
+export const CHROMA_EASINGS = {
+  constant: () => 1,
+  linear: d => 1 - 0.6 * d,
+  smooth: d => 1 - 0.6 * d * d,
+};
+
+// Lightness of the lightest and darkest step per color space
+const LIGHTNESS_RANGE = {
+  oklch: { light: 0.97, dark: 0.27 },
+  hsl: { light: 96, dark: 12 },
+};
+
+/**
+ * Base color lightness/chroma/hue in the chosen space
+ */
+function toSpace(rgb, space) {
+  if (space === 'hsl') {
+    const { h, s, l } = rgbToHsl(rgb.r, rgb.g, rgb.b);
+    return { l, c: s, h };
+  }
+  return rgbToOklch(rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * Largest chroma (up to `c`) that fits in sRGB at this lightness and hue
+ */
+function fitChroma(l, c, h) {
+  if (isOklchInGamut(l, c, h)) return c;
+  let low = 0;
+  let high = c;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (isOklchInGamut(l, mid, h)) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Convert a step's lightness/chroma/hue back to RGB
+ */
+function fromSpace({ l, c, h }, space) {
+  if (space === 'hsl') {
+    return hslToRgb(Math.round(h), Math.round(c), Math.round(l));
+  }
+  return oklchToRgb(l, fitChroma(l, c, h), h);
+}
+
+const toHex = ({ r, g, b }) => rgbToHex(r, g, b);
+
+/**
+ * Generate a color scale
+ * @param {string} baseHex - Base color
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - 'oklch' | 'hsl'
+ * @param {string} [options.curve='ease-in-out'] - Key of LIGHTNESS_CURVES
+ * @param {string} [options.chroma='smooth'] - Key of CHROMA_EASINGS
+ * @param {number[]} [options.steps=SCALE_STEPS] - Step names
+ * @returns {Array<{ step: number, hex: string, isBase: boolean, contrast: { white: number, black: number } }>}
+ */
+export function generateColorScale(baseHex, {
+  space = 'oklch',
+  curve = 'ease-in-out',
+  chroma = 'smooth',
+  steps = SCALE_STEPS,
+} = {}) {
+  const ease = LIGHTNESS_CURVES[curve] || LIGHTNESS_CURVES.linear;
+  const chromaEase = CHROMA_EASINGS[chroma] || CHROMA_EASINGS.constant;
+  const { light, dark } = LIGHTNESS_RANGE[space] || LIGHTNESS_RANGE.oklch;
+  const base = toSpace(hexToRgb(baseHex), space);
+  const last = steps.length - 1;
+
+  // Pin the base color to the step with the closest lightness on the curve
+  const curveLightness = steps.map((_, i) => light + (dark - light) * ease(last ? i / last : 0));
+  const anchor = curveLightness.reduce((best, l, i) => (
+    Math.abs(l - base.l) < Math.abs(curveLightness[best] - base.l) ? i : best
+  ), 0);
+
+  return steps.map((step, i) => {
+    let l;
+    if (i === anchor) {
+      l = base.l;
+    } else if (i < anchor) {
+      l = light + (base.l - light) * ease(i / anchor);
+    } else {
+      l = base.l + (dark - base.l) * ease((i - anchor) / (last - anchor));
+    }
+
+    const span = i < anchor ? anchor : last - anchor;
+    const distance = span ? Math.abs(i - anchor) / span : 0;
+    const hex = i === anchor
+      ? toHex(hexToRgb(baseHex))
+      : toHex(fromSpace({ l, c: base.c * chromaEase(distance), h: base.h }, space));
+
+    return {
+      step,
+      hex,
+      isBase: i === anchor,
+      contrast: {
+        white: getContrastRatio(hex, '#ffffff'),
+        black: getContrastRatio(hex, '#000000'),
+      },
+    };
+  });
+}
+
+/**
+ * Turn a generated scale into token rows for tokenService.bulkCreateTokens
+ * @param {Array} scale - Result of generateColorScale
+ * @param {string} basePath - Path prefix (e.g. 'color/brand'); steps are appended
+ * @returns {Array<Object>} - Token payloads
+ */
+export function scaleToTokens(scale, basePath) {
+  const prefix = String(basePath || 'color/scale').replace(/\/+$/, '');
+  const name = prefix.split('/').pop();
+
+  return scale.map(({ step, hex }) => {
+    const rgb = hexToRgb(hex);
+    const path = `${prefix}/${step}`;
+    return {
+      name: `${name}-${step}`,
+      path,
+      category: 'color',
+      type: 'color',
+      value: { hex, rgb, hsl: rgbToHsl(rgb.r, rgb.g, rgb.b), opacity: 1 },
+      css_variable: generateCssVariable(path),
+    };
+  });
+}
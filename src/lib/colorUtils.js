@@ -1,7 +1,8 @@
 /**
  * @chunk 2.15 - ColorEditor
  * 
- * Color conversion utilities for HEX, RGB, and HSL formats.
+ * Color conversion utilities for HEX, RGB, HSL and OKLab/OKLCH formats,
+ * plus WCAG 2.x contrast ratio and APCA lightness contrast (Lc).
  */
 
 /**
@@ -153,6 +154,121 @@ export function hslToHex(h, s, l) {
   return rgbToHex(rgb.r, rgb.g, rgb.b);
 }
 
+/**
+ * sRGB transfer function: gamma-encoded channel to linear light
+ * @param {number} c - Channel (0-1)
+ * @returns {number} Linear channel (0-1)
+ */
+export function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Inverse sRGB transfer function: linear light to gamma-encoded channel
+ * @param {number} c - Linear channel (0-1)
+ * @returns {number} Channel (0-1)
+ */
+export function linearToSrgb(c) {
+  return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{ l: number, a: number, b: number }} OKLab (l: 0-1, a/b: about -0.4-0.4)
+ */
+export function rgbToOklab(r, g, b) {
+  const lr = srgbToLinear(r / 255);
+  const lg = srgbToLinear(g / 255);
+  const lb = srgbToLinear(b / 255);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Convert OKLab to linear sRGB (unclamped, so out-of-gamut colors can be detected)
+ * @param {number} L - Lightness (0-1)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {{ r: number, g: number, b: number }} Linear RGB (0-1 when in gamut)
+ */
+function oklabToLinearRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return {
+    r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  };
+}
+
+/**
+ * Convert OKLab to RGB (clamped to the sRGB gamut)
+ * @param {number} L - Lightness (0-1)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {{ r: number, g: number, b: number }} RGB object (0-255)
+ */
+export function oklabToRgb(L, a, b) {
+  const linear = oklabToLinearRgb(L, a, b);
+  const channel = (c) => Math.round(Math.max(0, Math.min(1, linearToSrgb(Math.max(0, c)))) * 255);
+  return { r: channel(linear.r), g: channel(linear.g), b: channel(linear.b) };
+}
+
+/**
+ * Convert RGB to OKLCH
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {{ l: number, c: number, h: number }} OKLCH (l: 0-1, c: 0-~0.37, h: 0-360)
+ */
+export function rgbToOklch(r, g, b) {
+  const lab = rgbToOklab(r, g, b);
+  const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+  let h = Math.atan2(lab.b, lab.a) * (180 / Math.PI);
+  if (h < 0) h += 360;
+  // Hue is meaningless for achromatic colors
+  return { l: lab.l, c, h: c < 0.0001 ? 0 : h };
+}
+
+/**
+ * Convert OKLCH to RGB (clamped to the sRGB gamut)
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {{ r: number, g: number, b: number }} RGB object (0-255)
+ */
+export function oklchToRgb(l, c, h) {
+  const rad = (h * Math.PI) / 180;
+  return oklabToRgb(l, c * Math.cos(rad), c * Math.sin(rad));
+}
+
+/**
+ * Check whether an OKLCH color fits in the sRGB gamut
+ * @param {number} l - Lightness (0-1)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @returns {boolean}
+ */
+export function isOklchInGamut(l, c, h) {
+  const rad = (h * Math.PI) / 180;
+  const { r, g, b } = oklabToLinearRgb(l, c * Math.cos(rad), c * Math.sin(rad));
+  const epsilon = 0.0001;
+  return [r, g, b].every(v => v >= -epsilon && v <= 1 + epsilon);
+}
+
 /**
  * Parse any color string to RGB
  * @param {string} color - Color string (hex, rgb(), hsl())
@@ -213,6 +329,96 @@ export function getContrastColor(hex) {
   return luminance > 0.5 ? '#000000' : '#ffffff';
 }
 
+/**
+ * Normalize a color string or RGB object to RGB
+ * @param {string|{ r: number, g: number, b: number }} color
+ * @returns {{ r: number, g: number, b: number } | null}
+ */
+function toRgb(color) {
+  if (color && typeof color === 'object') return color;
+  return parseColor(color);
+}
+
+/**
+ * WCAG 2.x relative luminance
+ * @param {string|{ r: number, g: number, b: number }} color - Color string or RGB object
+ * @returns {number} Luminance (0-1)
+ */
+export function getRelativeLuminance(color) {
+  const rgb = toRgb(color);
+  if (!rgb) return 0;
+
+  return 0.2126 * srgbToLinear(rgb.r / 255)
+    + 0.7152 * srgbToLinear(rgb.g / 255)
+    + 0.0722 * srgbToLinear(rgb.b / 255);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colors (order does not matter)
+ * @param {string|Object} foreground - Color string or RGB object
+ * @param {string|Object} background - Color string or RGB object
+ * @returns {number} Ratio from 1 to 21
+ */
+export function getContrastRatio(foreground, background) {
+  const l1 = getRelativeLuminance(foreground);
+  const l2 = getRelativeLuminance(background);
+  const [lighter, darker] = l1 > l2 ? [l1, l2] : [l2, l1];
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  offset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005,
+};
+
+/**
+ * APCA screen luminance with the soft black clamp applied
+ */
+function getApcaLuminance(rgb) {
+  const y = APCA.sRco * Math.pow(rgb.r / 255, APCA.mainTRC)
+    + APCA.sGco * Math.pow(rgb.g / 255, APCA.mainTRC)
+    + APCA.sBco * Math.pow(rgb.b / 255, APCA.mainTRC);
+  return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background.
+ * Positive for dark text on light backgrounds, negative for light on dark.
+ * @param {string|Object} text - Text color string or RGB object
+ * @param {string|Object} background - Background color string or RGB object
+ * @returns {number} Lc value (roughly -108 to 106)
+ */
+export function getApcaContrast(text, background) {
+  const textRgb = toRgb(text);
+  const bgRgb = toRgb(background);
+  if (!textRgb || !bgRgb) return 0;
+
+  const yText = getApcaLuminance(textRgb);
+  const yBg = getApcaLuminance(bgRgb);
+  if (Math.abs(yBg - yText) < APCA.deltaYmin) return 0;
+
+  if (yBg > yText) {
+    const sapc = (Math.pow(yBg, APCA.normBG) - Math.pow(yText, APCA.normTXT)) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+  }
+
+  const sapc = (Math.pow(yBg, APCA.revBG) - Math.pow(yText, APCA.revTXT)) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
 /**
  * Format color value for display
  * @param {Object} color - Color object with hex, rgb, hsl
@@ -238,9 +444,19 @@ export default {
   hslToRgb,
   hexToHsl,
   hslToHex,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToOklab,
+  oklabToRgb,
+  rgbToOklch,
+  oklchToRgb,
+  isOklchInGamut,
   parseColor,
   isValidHex,
   getContrastColor,
+  getRelativeLuminance,
+  getContrastRatio,
+  getApcaContrast,
   formatColor
 };
 
@@ -0,0 +1,170 @@
+/**
+ * Component preview sandbox (parent side).
+ *
+ * Previews run in an `<iframe sandbox="allow-scripts">` without
+ * `allow-same-origin`, so the component code gets an opaque origin: it cannot
+ * read the app's localStorage (where the Claude API key lives), touch the
+ * admin's DOM, or make network requests (blocked by the frame's CSP).
+ *
+ * Code is compiled here with Babel — compiling never executes it — and only
+ * the compiled source, props, theme CSS variables and icon SVGs cross into
+ * the frame over postMessage. The frame document inlines the React UMD
+ * builds and the runtime from sandboxRuntime.js.
+ */
+
+import * as Babel from '@babel/standalone';
+import { prepareComponentCodeForEval } from './codeSanitizer';
+import { sandboxRuntime } from './sandboxRuntime';
+
+/** Tag on every message of the sandbox protocol */
+export const SANDBOX_SOURCE = 'ds-component-sandbox';
+
+/** `sandbox` attribute of the preview iframe (never add allow-same-origin) */
+export const SANDBOX_PERMISSIONS = 'allow-scripts';
+
+/** Milliseconds a render may take before the frame is torn down */
+export const DEFAULT_RENDER_TIMEOUT = 3000;
+
+const SANDBOX_CSP = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline' 'unsafe-eval'",
+  "style-src 'unsafe-inline'",
+  'img-src data: blob: https:',
+  'font-src data: https:',
+].join('; ');
+
+function transform(code) {
+  return Babel.transform(code, {
+    // Classic runtime so React.createElement is used (React is in scope)
+    presets: [['react', { runtime: 'classic' }]],
+    // Ensure output is plain JS that can be `new Function`'d
+    sourceType: 'script',
+    babelrc: false,
+    configFile: false,
+  }).code;
+}
+
+/**
+ * Compile component source into a script that assigns `__defaultExport`
+ * @param {string} code - Component source (JSX, optionally TypeScript)
+ * @returns {string} - Compiled script
+ * @throws {Error} - On syntax errors
+ */
+export function compileComponentCode(code) {
+  return transform(prepareComponentCodeForEval(code));
+}
+
+/**
+ * Compile a usage example (JSX markup) into a script whose default export
+ * renders the markup. Import lines are dropped; the component is injected
+ * into scope under the names from getComponentScopeNames.
+ * @param {string} example - Example source, e.g. `<Button variant="primary">Save</Button>`
+ * @returns {string} - Compiled script
+ * @throws {Error} - On syntax errors
+ */
+export function compileExampleCode(example) {
+  const markup = String(example || '')
+    .replace(/^\s*import\s[^;]*?from\s+['"][^'"]+['"];?\s*$/gm, '')
+    .trim();
+  return transform(`__defaultExport = function Example() {\n  return (<React.Fragment>\n${markup}\n</React.Fragment>);\n};`);
+}
+
+/**
+ * Identifiers an example may use to refer to the component: the name the code
+ * declares for its default export and the PascalCased component name
+ * @param {string} code - Component source
+ * @param {string} [componentName] - Component display name
+ * @returns {string[]}
+ */
+export function getComponentScopeNames(code, componentName) {
+  const src = String(code || '');
+  const declared = src.match(/export\s+default\s+function\s+(\w+)/)?.[1]
+    || src.match(/export\s+default\s+(\w+)\s*;?\s*$/m)?.[1]
+    || src.match(/(?:function|const)\s+([A-Z]\w*)/)?.[1];
+  const pascal = String(componentName || '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  const names = [declared, pascal].filter(name => name && /^[A-Z][\w]*$/.test(name));
+  return names.length > 0 ? [...new Set(names)] : ['Component'];
+}
+
+/**
+ * Reduce icon records to what the sandbox Icon component needs
+ * @param {Array} icons - Icon rows
+ * @returns {Array<{ name: string, slug: string, svg_text: string }>}
+ */
+export function serializeIcons(icons) {
+  return (icons || [])
+    .filter(icon => icon?.svg_text)
+    .map(({ name, slug, svg_text }) => ({ name, slug, svg_text }));
+}
+
+/**
+ * Whether a window message belongs to the sandbox protocol and comes from the given frame
+ * @param {MessageEvent} event
+ * @param {Window|null} frameWindow - The preview iframe's contentWindow
+ * @returns {boolean}
+ */
+export function isSandboxMessage(event, frameWindow) {
+  return !!frameWindow
+    && event.source === frameWindow
+    && event.data?.source === SANDBOX_SOURCE;
+}
+
+/**
+ * Build the sandbox document (used as the iframe's srcdoc)
+ * @param {Object} scripts
+ * @param {string} scripts.react - React UMD source
+ * @param {string} scripts.reactDom - ReactDOM UMD source
+ * @returns {string} - HTML document
+ */
+export function buildSandboxDocument({ react, reactDom }) {
+  // Keep inline scripts from closing the <script> element early
+  const inline = (source) => source.replace(/<\/script/gi, '<\\/script');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">
+<style>
+  html, body { margin: 0; padding: 0; background: transparent; }
+  body {
+    font-family: var(--font-family-sans, system-ui, -apple-system, sans-serif);
+    color: var(--color-foreground, inherit);
+  }
+  #root { display: flow-root; }
+</style>
+</head>
+<body>
+<div id="root"></div>
+<script>${inline(react)}</script>
+<script>${inline(reactDom)}</script>
+<script>(${sandboxRuntime.toString()})(${JSON.stringify(SANDBOX_SOURCE)});</script>
+</body>
+</html>`;
+}
+
+let sandboxDocument = null;
+
+/**
+ * Load the sandbox document; the React UMD sources are fetched once as a separate chunk
+ * @returns {Promise<string>}
+ */
+export function loadSandboxDocument() {
+  if (!sandboxDocument) {
+    sandboxDocument = Promise.all([
+      import('react-umd/react.production.min.js?raw'),
+      import('react-dom-umd/react-dom.production.min.js?raw'),
+    ])
+      .then(([react, reactDom]) => buildSandboxDocument({ react: react.default, reactDom: reactDom.default }))
+      .catch((error) => {
+        sandboxDocument = null;
+        throw error;
+      });
+  }
+  return sandboxDocument;
+}
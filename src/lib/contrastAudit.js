@@ -0,0 +1,229 @@
+/**
+ * Contrast Audit
+ *
+ * Checks foreground/background color token pairs against WCAG 2.x contrast
+ * ratios and reports the APCA lightness contrast (Lc) alongside.
+ *
+ * Pairs are found from token naming conventions and can be declared
+ * explicitly as well:
+ * - `foreground` on its sibling `background` (or on its parent, e.g. `primary/foreground` on `primary`)
+ * - `primary-foreground` on `primary`
+ * - `on-primary` on `primary`
+ *
+ * Tokens are audited per theme mode, after aliases are resolved. Alpha is
+ * ignored: colors are compared as if fully opaque.
+ */
+
+import { getContrastRatio, getApcaContrast, parseColor } from './colorUtils.js';
+import { tokenToCssValue } from './cssVariableInjector.js';
+import { buildTokenIndex, findAliasTarget } from './tokenAliases.js';
+import { applyTokenMode, getThemeModes } from './tokenModes.js';
+
+/**
+ * Minimum WCAG 2.x contrast ratios per level
+ */
+export const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+/**
+ * Minimum APCA Lc (absolute) per use, from the APCA "bronze" guidelines
+ */
+export const APCA_THRESHOLDS = [
+  { level: 'body', min: 75 },
+  { level: 'content', min: 60 },
+  { level: 'large', min: 45 },
+  { level: 'non-text', min: 30 },
+];
+
+/**
+ * Error code set on the error thrown by assertThemeContrast
+ */
+export const CONTRAST_AUDIT_ERROR = 'CONTRAST_AUDIT_FAILED';
+
+/**
+ * Background paths a foreground token is checked against, most specific first
+ * @param {string} path - Foreground token path
+ * @returns {string[]}
+ */
+function getBackgroundCandidates(path) {
+  const parts = String(path || '').split('/');
+  const last = parts.pop() || '';
+  const parent = parts.join('/');
+  const sibling = (name) => (parent ? `${parent}/${name}` : name);
+
+  if (/^foreground$/i.test(last)) {
+    return [sibling('background'), parent, parent && `${parent}/default`].filter(Boolean);
+  }
+
+  const suffix = last.match(/^(.+?)[-_ ]?foreground$/i);
+  if (suffix) return [sibling(suffix[1])];
+
+  const prefix = last.match(/^on[-_ ](.+)$/i);
+  if (prefix) return [sibling(prefix[1])];
+
+  return [];
+}
+
+/**
+ * Clean up declared pairs: both paths set and different, no duplicates
+ * @param {Array} pairs - Pairs as stored on the theme (themes.contrast_pairs)
+ * @returns {Array<{ foreground: string, background: string }>}
+ */
+export function normalizeContrastPairs(pairs) {
+  const seen = new Set();
+  const normalized = [];
+  for (const pair of Array.isArray(pairs) ? pairs : []) {
+    const foreground = typeof pair?.foreground === 'string' ? pair.foreground.trim() : '';
+    const background = typeof pair?.background === 'string' ? pair.background.trim() : '';
+    const key = `${foreground}|${background}`;
+    if (!foreground || !background || foreground === background || seen.has(key)) continue;
+    seen.add(key);
+    normalized.push({ foreground, background });
+  }
+  return normalized;
+}
+
+/**
+ * Find foreground/background pairs among color tokens
+ * @param {Array} tokens - Theme tokens
+ * @param {Array<{ foreground: string, background: string }>} [declared] - Extra pairs by token path
+ * @returns {Array<{ foreground: Object, background: Object }>}
+ */
+export function findContrastPairs(tokens, declared = []) {
+  const colors = (tokens || []).filter(t => t.category === 'color');
+  const index = buildTokenIndex(colors);
+  const pairs = [];
+  const seen = new Set();
+
+  const add = (foreground, background) => {
+    if (!foreground || !background || foreground === background) return;
+    const key = `${foreground.path}|${background.path}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    pairs.push({ foreground, background });
+  };
+
+  for (const pair of declared) {
+    add(findAliasTarget(index, pair.foreground), findAliasTarget(index, pair.background));
+  }
+
+  for (const token of colors) {
+    const background = getBackgroundCandidates(token.path)
+      .map(path => findAliasTarget(index, path))
+      .find(Boolean);
+    add(token, background);
+  }
+
+  return pairs;
+}
+
+/**
+ * Highest APCA use an Lc value is sufficient for
+ * @param {number} lc - APCA Lc (sign is ignored)
+ * @returns {string} - 'body' | 'content' | 'large' | 'non-text' | 'fail'
+ */
+export function getApcaLevel(lc) {
+  const abs = Math.abs(lc);
+  return APCA_THRESHOLDS.find(t => abs >= t.min)?.level || 'fail';
+}
+
+/**
+ * Parse a color token's current value to RGB
+ */
+function getTokenRgb(token) {
+  try {
+    return parseColor(tokenToCssValue(token));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Measure one foreground/background pair
+ * @param {Object} foreground - Resolved foreground token
+ * @param {Object} background - Resolved background token
+ * @param {string} [level='AA'] - Required WCAG level ('AA' | 'AAA')
+ * @returns {Object|null} - Result, or null when either value is not a plain color
+ */
+export function measurePair(foreground, background, level = 'AA') {
+  const fg = getTokenRgb(foreground);
+  const bg = getTokenRgb(background);
+  if (!fg || !bg) return null;
+
+  const ratio = getContrastRatio(fg, bg);
+  const apca = getApcaContrast(fg, bg);
+  const threshold = WCAG_THRESHOLDS[level] || WCAG_THRESHOLDS.AA;
+
+  return {
+    foreground: foreground.path,
+    background: background.path,
+    foregroundColor: tokenToCssValue(foreground),
+    backgroundColor: tokenToCssValue(background),
+    ratio: Math.round(ratio * 100) / 100,
+    apca: Math.round(apca * 10) / 10,
+    apcaLevel: getApcaLevel(apca),
+    aa: ratio >= WCAG_THRESHOLDS.AA.normal,
+    aaLarge: ratio >= WCAG_THRESHOLDS.AA.large,
+    aaa: ratio >= WCAG_THRESHOLDS.AAA.normal,
+    aaaLarge: ratio >= WCAG_THRESHOLDS.AAA.large,
+    pass: ratio >= threshold.normal,
+  };
+}
+
+/**
+ * Audit token pairs in a single set of (mode-applied, alias-resolved) tokens
+ * @param {Array} tokens - Resolved tokens
+ * @param {Object} [options]
+ * @param {string} [options.level='AA'] - Required WCAG level
+ * @param {Array} [options.pairs] - Declared pairs by path
+ * @returns {Array<Object>} - Results from measurePair
+ */
+export function auditContrast(tokens, { level = 'AA', pairs = [] } = {}) {
+  return findContrastPairs(tokens, pairs)
+    .map(pair => measurePair(pair.foreground, pair.background, level))
+    .filter(Boolean);
+}
+
+/**
+ * Audit a theme's pairs in every mode
+ * @param {Object} theme - Theme with tokens (and optional modes)
+ * @param {Object} [options]
+ * @param {string} [options.level='AA'] - Required WCAG level
+ * @param {Array} [options.pairs] - Declared pairs by path
+ * @returns {{ level: string, modes: Array<{ mode: string, results: Array }>, failures: Array, passed: boolean }}
+ */
+export function auditThemeContrast(theme, { level = 'AA', pairs = [] } = {}) {
+  const themeModes = getThemeModes(theme);
+  const defaultMode = themeModes[0];
+
+  const modes = themeModes.map(mode => ({
+    mode,
+    results: auditContrast(applyTokenMode(theme?.tokens || [], mode, defaultMode), { level, pairs }),
+  }));
+
+  const failures = modes.flatMap(({ mode, results }) => (
+    results.filter(result => !result.pass).map(result => ({ ...result, mode }))
+  ));
+
+  return { level, modes, failures, passed: failures.length === 0 };
+}
+
+/**
+ * Audit a theme and throw when any pair fails (used to block publishing)
+ * @param {Object} theme - Theme with tokens
+ * @param {Object} [options] - Same as auditThemeContrast
+ * @returns {Object} - The audit, when it passes
+ * @throws {Error} - With `code` CONTRAST_AUDIT_ERROR and the `audit` attached
+ */
+export function assertThemeContrast(theme, options = {}) {
+  const audit = auditThemeContrast(theme, options);
+  if (audit.passed) return audit;
+
+  const count = audit.failures.length;
+  const error = new Error(`${count} color pair${count === 1 ? '' : 's'} fail WCAG ${audit.level} contrast`);
+  error.code = CONTRAST_AUDIT_ERROR;
+  error.audit = audit;
+  throw error;
+}
@@ -6,6 +6,7 @@
  */
 
 import { TYPOGRAPHY_BREAKPOINTS } from './typographyRoleRegistry';
+import { resolveTokenAliases } from './tokenAliases';
 
 /**
  * Inject CSS variables into a target element
@@ -23,7 +24,8 @@ export function injectCssVariables(tokens, options = {}) {
 
   const variables = {};
 
-  tokens.forEach(token => {
+  // Alias tokens store a fallback value; always inject the current target value.
+  resolveTokenAliases(tokens).tokens.forEach(token => {
     const varName = token.css_variable;
     if (!varName) return;
 
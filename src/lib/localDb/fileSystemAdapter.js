@@ -0,0 +1,124 @@
+/**
+ * File-system persistence adapter for the local client (Node scripts only)
+ *
+ * Layout under the data directory:
+ *   tables/{table}.json        - rows as a JSON array
+ *   storage/{bucket}/{path}    - stored files
+ *
+ * Not imported by the app bundle; scripts create it via scripts/lib/dataClient.js.
+ */
+
+import { mkdir, readFile, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import { dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const MIME_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+function contentTypeFor(path) {
+  return MIME_TYPES[extname(path).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const nested = await Promise.all(entries.map(entry => (
+    entry.isDirectory() ? walk(join(dir, entry.name)) : [join(dir, entry.name)]
+  )));
+  return nested.flat();
+}
+
+/**
+ * Create an adapter that persists to a directory
+ * @param {string} rootDir - Data directory (created on first write)
+ * @returns {Object} - Adapter
+ */
+export function createFileSystemAdapter(rootDir) {
+  const root = resolve(rootDir);
+  const tablePath = (table) => join(root, 'tables', `${table}.json`);
+  const bucketDir = (bucket) => join(root, 'storage', bucket);
+
+  function filePath(bucket, path) {
+    const full = resolve(bucketDir(bucket), path);
+    if (!full.startsWith(bucketDir(bucket) + sep)) {
+      throw new Error(`Invalid storage path: ${path}`);
+    }
+    return full;
+  }
+
+  async function describe(bucket, full) {
+    const info = await stat(full);
+    return {
+      path: relative(bucketDir(bucket), full).split(sep).join('/'),
+      contentType: contentTypeFor(full),
+      size: info.size,
+      created_at: info.birthtime.toISOString(),
+      updated_at: info.mtime.toISOString(),
+    };
+  }
+
+  return {
+    name: 'filesystem',
+
+    async readTable(table) {
+      try {
+        return JSON.parse(await readFile(tablePath(table), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async writeTable(table, rows) {
+      await mkdir(dirname(tablePath(table)), { recursive: true });
+      await writeFile(tablePath(table), JSON.stringify(rows, null, 2));
+    },
+
+    async readFile(bucket, path) {
+      const full = filePath(bucket, path);
+      try {
+        const meta = await describe(bucket, full);
+        return { ...meta, blob: new Blob([await readFile(full)], { type: meta.contentType }) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async writeFile(bucket, path, file) {
+      const full = filePath(bucket, path);
+      await mkdir(dirname(full), { recursive: true });
+      await writeFile(full, Buffer.from(await file.blob.arrayBuffer()));
+    },
+
+    async deleteFile(bucket, path) {
+      await rm(filePath(bucket, path), { force: true });
+    },
+
+    async listFiles(bucket) {
+      const paths = await walk(bucketDir(bucket));
+      return Promise.all(paths.map(full => describe(bucket, full)));
+    },
+
+    getPublicUrl(bucket, path) {
+      return pathToFileURL(filePath(bucket, path)).href;
+    },
+  };
+}
+
+export default createFileSystemAdapter;
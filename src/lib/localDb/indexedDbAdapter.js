@@ -0,0 +1,112 @@
+/**
+ * IndexedDB persistence adapter for the local client (browser)
+ *
+ * Each table is stored as one record in the `tables` store; files live in
+ * the `files` store keyed by `bucket/path`. Files are loaded into memory when
+ * the database opens so getPublicUrl can hand out object URLs synchronously —
+ * every query awaits the open, so URLs for rows it returns are always ready.
+ */
+
+import { createObjectUrlCache } from './memoryAdapter.js';
+
+export const LOCAL_DB_NAME = 'ds-admin-local';
+const DB_VERSION = 1;
+const TABLES_STORE = 'tables';
+const FILES_STORE = 'files';
+
+const fileKey = (bucket, path) => `${bucket}/${path}`;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Create an adapter backed by IndexedDB
+ * @param {Object} [options]
+ * @param {string} [options.name] - Database name
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation
+ * @returns {Object} - Adapter
+ */
+export function createIndexedDbAdapter({ name = LOCAL_DB_NAME, indexedDB = globalThis.indexedDB } = {}) {
+  const files = new Map();
+  const urls = createObjectUrlCache();
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      const request = indexedDB.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(TABLES_STORE);
+        request.result.createObjectStore(FILES_STORE);
+      };
+      dbPromise = promisify(request).then(async (db) => {
+        const records = await promisify(db.transaction(FILES_STORE).objectStore(FILES_STORE).getAll());
+        records.forEach(record => files.set(fileKey(record.bucket, record.path), record));
+        return db;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function write(storeName, apply) {
+    const db = await open();
+    const transaction = db.transaction(storeName, 'readwrite');
+    apply(transaction.objectStore(storeName));
+    await transactionDone(transaction);
+  }
+
+  return {
+    name: 'indexeddb',
+
+    async readTable(table) {
+      const db = await open();
+      return (await promisify(db.transaction(TABLES_STORE).objectStore(TABLES_STORE).get(table))) || [];
+    },
+
+    async writeTable(table, rows) {
+      await write(TABLES_STORE, store => store.put(rows, table));
+    },
+
+    async readFile(bucket, path) {
+      await open();
+      return files.get(fileKey(bucket, path)) || null;
+    },
+
+    async writeFile(bucket, path, file) {
+      const record = { ...file, bucket, path };
+      await write(FILES_STORE, store => store.put(record, fileKey(bucket, path)));
+      urls.revoke(bucket, path);
+      files.set(fileKey(bucket, path), record);
+    },
+
+    async deleteFile(bucket, path) {
+      await write(FILES_STORE, store => store.delete(fileKey(bucket, path)));
+      urls.revoke(bucket, path);
+      files.delete(fileKey(bucket, path));
+    },
+
+    async listFiles(bucket) {
+      await open();
+      return [...files.values()]
+        .filter(record => record.bucket === bucket)
+        .map(({ path, contentType, size, created_at, updated_at }) => ({ path, contentType, size, created_at, updated_at }));
+    },
+
+    getPublicUrl(bucket, path) {
+      return urls.get(bucket, path, files.get(fileKey(bucket, path))?.blob);
+    },
+  };
+}
+
+export default createIndexedDbAdapter;
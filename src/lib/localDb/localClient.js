@@ -0,0 +1,769 @@
+/**
+ * Local Supabase-compatible client
+ *
+ * Implements the subset of the supabase-js query builder and storage API the
+ * services use — select with embedded relations, filters, ordering, ranges,
+ * single/maybeSingle, insert/update/upsert/delete with `.select()` returning,
+ * and bucket uploads — on top of a pluggable persistence adapter
+ * (IndexedDB in the browser, the file system in Node scripts, memory in tests).
+ *
+ * Results use the same `{ data, error, count }` shape and PostgREST error
+ * codes (PGRST116 for single() misses, 23505/23503 for constraint violations),
+ * so services behave identically against either backend. Operations are
+ * serialized and each mutation commits atomically.
+ */
+
+import { LOCAL_BUCKETS, LOCAL_SCHEMA, getReferencingKeys, getTableSchema } from './schema.js';
+
+function createError(message, code, details = null) {
+  return { message, code, details, hint: null };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function newId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+// ============================================================================
+// Select parsing & projection
+// ============================================================================
+
+/**
+ * Split on commas that are not inside parentheses
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.filter(Boolean);
+}
+
+/**
+ * Parse a PostgREST select string, e.g. `*, token_count:tokens(count)`
+ * @param {string} columns
+ * @returns {Array<Object>} - Field descriptors
+ */
+export function parseSelect(columns = '*') {
+  return splitTopLevel(String(columns).replace(/\s+/g, '')).map((item) => {
+    if (item === '*') return { type: 'star' };
+
+    const match = item.match(/^(?:(\w+):)?(\w+)(?:!\w+)?(?:\((.*)\))?$/);
+    if (!match) {
+      throw createError(`failed to parse select parameter (${columns})`, 'PGRST100');
+    }
+
+    const [, alias, name, inner] = match;
+    if (inner !== undefined) {
+      return { type: 'embed', alias: alias || name, table: name, fields: parseSelect(inner || '*') };
+    }
+    return { type: 'column', alias: alias || name, name };
+  });
+}
+
+function isCountOnly(fields) {
+  return fields.length === 1 && fields[0].type === 'column' && fields[0].name === 'count';
+}
+
+function projectRow(tables, table, row, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (field.type === 'star') {
+      Object.assign(result, clone(row));
+    } else if (field.type === 'column') {
+      result[field.alias] = row[field.name] === undefined ? null : clone(row[field.name]);
+    } else {
+      result[field.alias] = embedRelation(tables, table, row, field);
+    }
+  }
+  return result;
+}
+
+function embedRelation(tables, table, row, field) {
+  const related = field.table;
+  const childKey = related !== table
+    && getTableSchema(related)?.references.find(ref => ref.table === table);
+  const parentKey = getTableSchema(table)?.references.find(ref => ref.table === related);
+
+  // One-to-many: the related table points at this row
+  if (childKey) {
+    const children = tables.get(related).filter(child => child[childKey.column] === row.id);
+    if (isCountOnly(field.fields)) return [{ count: children.length }];
+    return children.map(child => projectRow(tables, related, child, field.fields));
+  }
+
+  // Many-to-one: this row points at the related table
+  if (parentKey) {
+    const parent = tables.get(related).find(candidate => candidate.id === row[parentKey.column]);
+    return parent ? projectRow(tables, related, parent, field.fields) : null;
+  }
+
+  throw createError(
+    `Could not find a relationship between '${table}' and '${related}' in the schema cache`,
+    'PGRST200'
+  );
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const left = typeof a === 'object' ? JSON.stringify(a) : String(a);
+  const right = typeof b === 'object' ? JSON.stringify(b) : String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, `${flags}s`);
+}
+
+// jsonb @> / array @> semantics
+function containsValue(container, value) {
+  if (container === null || container === undefined) return false;
+  if (Array.isArray(value)) {
+    return Array.isArray(container)
+      && value.every(item => container.some(candidate => containsValue(candidate, item)));
+  }
+  if (value && typeof value === 'object') {
+    return typeof container === 'object'
+      && Object.entries(value).every(([key, item]) => containsValue(container[key], item));
+  }
+  return valuesEqual(container, value);
+}
+
+const OPERATORS = {
+  eq: (a, b) => valuesEqual(a, b),
+  neq: (a, b) => a !== null && a !== undefined && !valuesEqual(a, b),
+  gt: (a, b) => a !== null && a !== undefined && compareValues(a, b) > 0,
+  gte: (a, b) => a !== null && a !== undefined && compareValues(a, b) >= 0,
+  lt: (a, b) => a !== null && a !== undefined && compareValues(a, b) < 0,
+  lte: (a, b) => a !== null && a !== undefined && compareValues(a, b) <= 0,
+  like: (a, b) => a !== null && a !== undefined && likeToRegExp(b, '').test(String(a)),
+  ilike: (a, b) => a !== null && a !== undefined && likeToRegExp(b, 'i').test(String(a)),
+  is: (a, b) => (b === null ? a === null || a === undefined : a === b),
+  in: (a, list) => list.some(item => valuesEqual(a, item)),
+  contains: (a, b) => containsValue(a, b),
+  containedBy: (a, b) => containsValue(b, a),
+  overlaps: (a, b) => Array.isArray(a) && a.some(item => b.some(other => valuesEqual(item, other))),
+};
+
+// Short operator names used in filter strings (or/not/filter)
+const OPERATOR_ALIASES = { cs: 'contains', cd: 'containedBy', ov: 'overlaps' };
+
+function parseList(text) {
+  return splitTopLevel(text.replace(/^[({]|[)}]$/g, ''))
+    .map(item => item.replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Convert a filter value written in PostgREST string syntax to a JS value
+ */
+function parseFilterValue(operator, raw) {
+  if (typeof raw !== 'string') return raw;
+  if (operator === 'in' || operator === 'contains' || operator === 'containedBy' || operator === 'overlaps') {
+    return /^[({]/.test(raw) ? parseList(raw) : raw;
+  }
+  if (operator === 'is') {
+    const literals = { null: null, true: true, false: false };
+    return raw.toLowerCase() in literals ? literals[raw.toLowerCase()] : raw;
+  }
+  if (operator === 'like' || operator === 'ilike') return raw.replace(/\*/g, '%');
+  return raw;
+}
+
+function createPredicate(column, operator, value) {
+  const name = OPERATOR_ALIASES[operator] || operator;
+  const test = OPERATORS[name];
+  if (!test) throw createError(`Unsupported filter operator: ${operator}`, 'PGRST100');
+  const expected = parseFilterValue(name, value);
+  return (row) => test(row[column], expected);
+}
+
+/**
+ * Parse a logic-tree filter string, e.g. `path.ilike.%x%,and(a.eq.1,b.is.null)`
+ */
+function parseLogicFilter(text, combine = 'or') {
+  const predicates = splitTopLevel(text).map((item) => {
+    const group = item.match(/^(not\.)?(and|or)\((.*)\)$/);
+    if (group) {
+      const predicate = parseLogicFilter(group[3], group[2]);
+      return group[1] ? (row) => !predicate(row) : predicate;
+    }
+
+    const match = item.match(/^([\w]+)\.(not\.)?(\w+)\.(.*)$/);
+    if (!match) throw createError(`failed to parse logic tree (${text})`, 'PGRST100');
+    const [, column, negate, operator, value] = match;
+    const predicate = createPredicate(column, operator, value);
+    return negate ? (row) => !predicate(row) : predicate;
+  });
+
+  return combine === 'and'
+    ? (row) => predicates.every(predicate => predicate(row))
+    : (row) => predicates.some(predicate => predicate(row));
+}
+
+function sortRows(rows, orders) {
+  if (orders.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+      const left = a[column];
+      const right = b[column];
+      const leftNull = left === null || left === undefined;
+      const rightNull = right === null || right === undefined;
+      if (leftNull || rightNull) {
+        if (leftNull && rightNull) continue;
+        return leftNull === nullsFirst ? -1 : 1;
+      }
+      const diff = compareValues(left, right);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+// ============================================================================
+// Constraints
+// ============================================================================
+
+function checkUnique(table, schema, rows) {
+  for (const columns of [['id'], ...schema.unique]) {
+    const seen = new Set();
+    for (const row of rows) {
+      const values = columns.map(column => row[column]);
+      if (values.some(value => value === null || value === undefined)) continue;
+      const key = JSON.stringify(values);
+      if (seen.has(key)) {
+        return createError(
+          `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+          '23505',
+          `Key (${columns.join(', ')})=(${values.join(', ')}) already exists.`
+        );
+      }
+      seen.add(key);
+    }
+  }
+  return null;
+}
+
+function checkReferences(table, schema, rows, tables) {
+  for (const ref of schema.references) {
+    const parentIds = new Set(tables.get(ref.table).map(parent => parent.id));
+    const orphan = rows.find(row => row[ref.column] !== null && row[ref.column] !== undefined
+      && !parentIds.has(row[ref.column]));
+    if (orphan) {
+      return createError(
+        `insert or update on table "${table}" violates foreign key constraint "${table}_${ref.column}_fkey"`,
+        '23503',
+        `Key (${ref.column})=(${orphan[ref.column]}) is not present in table "${ref.table}".`
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove rows and apply ON DELETE behaviour to referencing tables
+ */
+function deleteCascade(tables, table, ids) {
+  if (ids.size === 0) return;
+  tables.set(table, tables.get(table).filter(row => !ids.has(row.id)));
+
+  for (const ref of getReferencingKeys(table)) {
+    const rows = tables.get(ref.table);
+    if (ref.onDelete === 'cascade') {
+      const childIds = new Set(rows.filter(row => ids.has(row[ref.column])).map(row => row.id));
+      deleteCascade(tables, ref.table, childIds);
+    } else {
+      tables.set(ref.table, rows.map(row => (
+        ids.has(row[ref.column]) ? { ...row, [ref.column]: null } : row
+      )));
+    }
+  }
+}
+
+// ============================================================================
+// Query builder
+// ============================================================================
+
+class LocalQueryBuilder {
+  constructor(engine, table) {
+    this.engine = engine;
+    this.table = table;
+    this.operation = 'select';
+    this.fields = parseSelect('*');
+    this.returning = false;
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.cardinality = null;
+    this.countOption = null;
+    this.head = false;
+    this.parseError = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    try {
+      this.fields = parseSelect(columns);
+    } catch (error) {
+      this.parseError = error;
+    }
+    if (this.operation === 'select') {
+      this.countOption = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values, options = {}) {
+    this.operation = 'insert';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.operation = 'upsert';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  update(values, options = {}) {
+    this.operation = 'update';
+    this.payload = values;
+    this.options = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.operation = 'delete';
+    this.options = options;
+    return this;
+  }
+
+  addFilter(column, operator, value) {
+    try {
+      this.filters.push(createPredicate(column, operator, value));
+    } catch (error) {
+      this.parseError = error;
+    }
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  contains(column, value) { return this.addFilter(column, 'contains', value); }
+  containedBy(column, value) { return this.addFilter(column, 'containedBy', value); }
+  overlaps(column, value) { return this.addFilter(column, 'overlaps', value); }
+  filter(column, operator, value) { return this.addFilter(column, operator, value); }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    try {
+      const predicate = createPredicate(column, operator, value);
+      this.filters.push(row => !predicate(row));
+    } catch (error) {
+      this.parseError = error;
+    }
+    return this;
+  }
+
+  or(expression) {
+    try {
+      this.filters.push(parseLogicFilter(expression, 'or'));
+    } catch (error) {
+      this.parseError = error;
+    }
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst, referencedTable, foreignTable } = {}) {
+    // Ordering embedded resources isn't supported; leave their natural order
+    if (referencedTable || foreignTable) return this;
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    if (!this.promise) this.promise = this.engine.execute(this);
+    return this.promise.then(onFulfilled, onRejected);
+  }
+}
+
+function matchesAll(filters, row) {
+  return filters.every(predicate => predicate(row));
+}
+
+function prepareInsertRow(schema, values, now) {
+  return {
+    id: newId(),
+    ...clone(schema.defaults),
+    created_at: now,
+    ...(schema.updatedAt ? { updated_at: now } : {}),
+    ...clone(values),
+  };
+}
+
+/**
+ * Run a mutation against copies of the tables; returns affected rows
+ */
+function applyMutation(query, tables) {
+  const { table, operation, payload, options, filters } = query;
+  const schema = getTableSchema(table);
+  const now = new Date().toISOString();
+  const rows = tables.get(table);
+
+  if (operation === 'insert') {
+    const inserted = [].concat(payload).map(values => prepareInsertRow(schema, values, now));
+    tables.set(table, [...rows, ...inserted]);
+    return inserted;
+  }
+
+  if (operation === 'upsert') {
+    const conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+    const affected = [];
+    let next = [...rows];
+    for (const values of [].concat(payload)) {
+      const index = next.findIndex(row => conflictColumns.every(column => valuesEqual(row[column], values[column])));
+      if (index === -1) {
+        const row = prepareInsertRow(schema, values, now);
+        next.push(row);
+        affected.push(row);
+      } else if (!options.ignoreDuplicates) {
+        const row = { ...next[index], ...clone(values), ...(schema.updatedAt ? { updated_at: now } : {}) };
+        next[index] = row;
+        affected.push(row);
+      }
+    }
+    tables.set(table, next);
+    return affected;
+  }
+
+  if (operation === 'update') {
+    const affected = [];
+    tables.set(table, rows.map((row) => {
+      if (!matchesAll(filters, row)) return row;
+      const updated = { ...row, ...clone(payload), ...(schema.updatedAt ? { updated_at: now } : {}) };
+      affected.push(updated);
+      return updated;
+    }));
+    return affected;
+  }
+
+  const deleted = rows.filter(row => matchesAll(filters, row));
+  deleteCascade(tables, table, new Set(deleted.map(row => row.id)));
+  return deleted;
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+function toBlob(body, contentType) {
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body;
+  return new Blob([body], contentType ? { type: contentType } : undefined);
+}
+
+function storageError(message, statusCode) {
+  return { message, statusCode: String(statusCode), error: message };
+}
+
+function createBucketApi(engine, bucket) {
+  const { adapter } = engine;
+  const unknownBucket = !LOCAL_BUCKETS.includes(bucket);
+  const run = (fn) => (unknownBucket
+    ? Promise.resolve({ data: null, error: storageError('Bucket not found', 404) })
+    : engine.serialize(fn));
+
+  const writeObject = async (path, blob, contentType, existing) => {
+    const now = new Date().toISOString();
+    await adapter.writeFile(bucket, path, {
+      blob,
+      contentType: contentType || blob.type || 'application/octet-stream',
+      size: blob.size,
+      created_at: existing?.created_at || now,
+      updated_at: now,
+    });
+    return { data: { id: path, path, fullPath: `${bucket}/${path}` }, error: null };
+  };
+
+  return {
+    upload(path, body, { upsert = false, contentType } = {}) {
+      return run(async () => {
+        const existing = await adapter.readFile(bucket, path);
+        if (existing && !upsert) return { data: null, error: storageError('The resource already exists', 409) };
+        return writeObject(path, toBlob(body, contentType), contentType, existing);
+      });
+    },
+
+    update(path, body, { contentType } = {}) {
+      return run(async () => {
+        const existing = await adapter.readFile(bucket, path);
+        if (!existing) return { data: null, error: storageError('Object not found', 404) };
+        return writeObject(path, toBlob(body, contentType), contentType, existing);
+      });
+    },
+
+    download(path) {
+      return run(async () => {
+        const file = await adapter.readFile(bucket, path);
+        return file
+          ? { data: file.blob, error: null }
+          : { data: null, error: storageError('Object not found', 404) };
+      });
+    },
+
+    remove(paths) {
+      return run(async () => {
+        const removed = [];
+        for (const path of paths) {
+          if (await adapter.readFile(bucket, path)) {
+            await adapter.deleteFile(bucket, path);
+            removed.push({ name: path, bucket_id: bucket });
+          }
+        }
+        return { data: removed, error: null };
+      });
+    },
+
+    list(folder = '', { limit = 100, offset = 0, sortBy = { column: 'name', order: 'asc' }, search } = {}) {
+      return run(async () => {
+        const prefix = folder ? `${folder.replace(/\/+$/, '')}/` : '';
+        const entries = new Map();
+        for (const file of await adapter.listFiles(bucket)) {
+          if (!file.path.startsWith(prefix)) continue;
+          const [name, ...rest] = file.path.slice(prefix.length).split('/');
+          if (entries.has(name)) continue;
+          entries.set(name, rest.length > 0
+            ? { name, id: null, created_at: null, updated_at: null, metadata: null }
+            : {
+              name,
+              id: file.path,
+              created_at: file.created_at,
+              updated_at: file.updated_at,
+              metadata: { size: file.size, mimetype: file.contentType },
+            });
+        }
+
+        const listed = sortRows(
+          [...entries.values()].filter(entry => !search || entry.name.includes(search)),
+          [{ column: sortBy.column, ascending: sortBy.order !== 'desc', nullsFirst: false }]
+        );
+        return { data: listed.slice(offset, offset + limit), error: null };
+      });
+    },
+
+    move(fromPath, toPath) {
+      return run(async () => {
+        const file = await adapter.readFile(bucket, fromPath);
+        if (!file) return { data: null, error: storageError('Object not found', 404) };
+        await adapter.writeFile(bucket, toPath, file);
+        await adapter.deleteFile(bucket, fromPath);
+        return { data: { message: 'Successfully moved' }, error: null };
+      });
+    },
+
+    copy(fromPath, toPath) {
+      return run(async () => {
+        const file = await adapter.readFile(bucket, fromPath);
+        if (!file) return { data: null, error: storageError('Object not found', 404) };
+        await adapter.writeFile(bucket, toPath, file);
+        return { data: { path: toPath }, error: null };
+      });
+    },
+
+    getPublicUrl(path) {
+      return { data: { publicUrl: adapter.getPublicUrl(bucket, path) } };
+    },
+  };
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Create a Supabase-compatible client backed by a local adapter
+ * @param {Object} adapter - Persistence adapter (see memoryAdapter.js for the interface)
+ * @returns {Object} - Client exposing `from(table)` and `storage.from(bucket)`
+ */
+export function createLocalClient(adapter) {
+  let tables = null;
+  let queue = Promise.resolve();
+
+  const engine = {
+    adapter,
+
+    /**
+     * Run operations one at a time so read-modify-write cycles never interleave
+     */
+    serialize(fn) {
+      const result = queue.then(fn);
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    async loadTables() {
+      if (!tables) {
+        const names = Object.keys(LOCAL_SCHEMA);
+        const loaded = await Promise.all(names.map(name => adapter.readTable(name)));
+        tables = new Map(names.map((name, i) => [name, loaded[i] || []]));
+      }
+      return tables;
+    },
+
+    execute(query) {
+      return engine.serialize(async () => {
+        if (!getTableSchema(query.table)) {
+          return respond(null, createError(
+            `Could not find the table 'public.${query.table}' in the schema cache`,
+            'PGRST205'
+          ), 404);
+        }
+        if (query.parseError) return respond(null, query.parseError, 400);
+
+        const current = await engine.loadTables();
+        try {
+          if (query.operation === 'select') return selectRows(query, current);
+          return await mutateRows(query, current);
+        } catch (error) {
+          if (error?.code) return respond(null, error, 400);
+          throw error;
+        }
+      });
+    },
+  };
+
+  async function mutateRows(query, current) {
+    const working = new Map(current);
+    const affected = applyMutation(query, working);
+
+    if (query.operation !== 'delete') {
+      const schema = getTableSchema(query.table);
+      const constraintError = checkUnique(query.table, schema, working.get(query.table))
+        || checkReferences(query.table, schema, affected, working);
+      if (constraintError) return respond(null, constraintError, 409);
+    }
+
+    const changed = [...working.keys()].filter(name => working.get(name) !== current.get(name));
+    for (const name of changed) {
+      await adapter.writeTable(name, working.get(name));
+    }
+    changed.forEach(name => current.set(name, working.get(name)));
+
+    if (!query.returning) return respond(null, null, query.operation === 'insert' ? 201 : 204);
+    const data = affected.map(row => projectRow(current, query.table, row, query.fields));
+    return withCardinality(query, data, query.operation === 'insert' ? 201 : 200);
+  }
+
+  return {
+    __isLocal: true,
+    adapter,
+    from(table) {
+      return new LocalQueryBuilder(engine, table);
+    },
+    storage: {
+      from(bucket) {
+        return createBucketApi(engine, bucket);
+      },
+    },
+  };
+}
+
+function respond(data, error, status, count = null) {
+  return { data, error, count, status, statusText: error ? 'Error' : 'OK' };
+}
+
+function selectRows(query, tables) {
+  const matched = sortRows(
+    tables.get(query.table).filter(row => matchesAll(query.filters, row)),
+    query.orders
+  );
+  const count = query.countOption ? matched.length : null;
+  if (query.head) return respond(null, null, 200, count);
+
+  const end = query.rangeTo === null ? undefined : query.rangeTo + 1;
+  const data = matched
+    .slice(query.rangeFrom, end)
+    .map(row => projectRow(tables, query.table, row, query.fields));
+  return withCardinality(query, data, 200, count);
+}
+
+function withCardinality(query, data, status, count = null) {
+  if (!query.cardinality) return respond(data, null, status, count);
+  if (data.length === 1) return respond(data[0], null, status, count);
+  if (data.length === 0 && query.cardinality === 'maybeSingle') return respond(null, null, status, count);
+  return respond(null, createError(
+    'JSON object requested, multiple (or no) rows returned',
+    'PGRST116',
+    `The result contains ${data.length} rows`
+  ), 406);
+}
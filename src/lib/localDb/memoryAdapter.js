@@ -0,0 +1,90 @@
+/**
+ * In-memory persistence adapter for the local client
+ *
+ * Also documents the adapter interface every backend implements:
+ * - readTable(table) / writeTable(table, rows): whole-table reads and writes
+ * - readFile(bucket, path) / writeFile(bucket, path, file) / deleteFile(bucket, path)
+ *   where file is `{ blob, contentType, size, created_at, updated_at }`
+ * - listFiles(bucket): `[{ path, contentType, size, created_at, updated_at }]`
+ * - getPublicUrl(bucket, path): synchronous URL for a stored file
+ */
+
+const fileKey = (bucket, path) => `${bucket}/${path}`;
+
+/**
+ * Public URLs for blobs held in memory. Uses object URLs where the platform
+ * supports them and a stable `local://` URL otherwise (Node, jsdom).
+ * @returns {{ get: Function, revoke: Function }}
+ */
+export function createObjectUrlCache() {
+  const urls = new Map();
+  const canCreate = typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+
+  return {
+    get(bucket, path, blob) {
+      const key = fileKey(bucket, path);
+      if (!canCreate || !blob) return `local://${bucket}/${encodeURI(path)}`;
+      if (!urls.has(key)) urls.set(key, URL.createObjectURL(blob));
+      return urls.get(key);
+    },
+
+    revoke(bucket, path) {
+      const key = fileKey(bucket, path);
+      if (urls.has(key)) {
+        URL.revokeObjectURL(urls.get(key));
+        urls.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * Create an adapter that keeps everything in memory (tests, demos, fallback)
+ * @param {Object} [seed]
+ * @param {Object<string, Array>} [seed.tables] - Initial rows per table
+ * @returns {Object} - Adapter
+ */
+export function createMemoryAdapter({ tables = {} } = {}) {
+  const rows = new Map(Object.entries(tables));
+  const files = new Map();
+  const urls = createObjectUrlCache();
+
+  return {
+    name: 'memory',
+
+    async readTable(table) {
+      return rows.get(table) || [];
+    },
+
+    async writeTable(table, tableRows) {
+      rows.set(table, tableRows);
+    },
+
+    async readFile(bucket, path) {
+      return files.get(fileKey(bucket, path)) || null;
+    },
+
+    async writeFile(bucket, path, file) {
+      urls.revoke(bucket, path);
+      files.set(fileKey(bucket, path), file);
+    },
+
+    async deleteFile(bucket, path) {
+      urls.revoke(bucket, path);
+      files.delete(fileKey(bucket, path));
+    },
+
+    async listFiles(bucket) {
+      const prefix = `${bucket}/`;
+      return [...files.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, { blob, ...meta }]) => ({ path: key.slice(prefix.length), ...meta }));
+    },
+
+    getPublicUrl(bucket, path) {
+      return urls.get(bucket, path, files.get(fileKey(bucket, path))?.blob);
+    },
+  };
+}
+
+export default createMemoryAdapter;
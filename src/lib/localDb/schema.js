@@ -0,0 +1,132 @@
+/**
+ * Local database schema
+ *
+ * Mirrors supabase/migrations so the local backend enforces the same column
+ * defaults, unique constraints and foreign keys (including ON DELETE
+ * behaviour) as Postgres. Keep this in sync when adding a migration.
+ */
+
+/** Storage buckets created by the migrations */
+export const LOCAL_BUCKETS = ['fonts', 'component-images', 'icons', 'qa-captures'];
+
+/**
+ * Table definitions
+ * - defaults: column defaults applied on insert
+ * - unique: column sets with a UNIQUE constraint (the primary key `id` is implicit)
+ * - references: foreign keys `{ column, table, onDelete: 'cascade' | 'set null' }`
+ * - updatedAt: whether an update trigger maintains `updated_at`
+ */
+export const LOCAL_SCHEMA = {
+  themes: {
+    defaults: { status: 'draft', is_default: false, source: 'manual', modes: ['light'], parent_theme_id: null, contrast_pairs: [], qa_settings: {} },
+    unique: [['slug']],
+    references: [{ column: 'parent_theme_id', table: 'themes', onDelete: 'set null' }],
+    updatedAt: true,
+  },
+  tokens: {
+    defaults: { sort_order: 0, alias_path: null, mode_values: {} },
+    unique: [['theme_id', 'path']],
+    references: [{ column: 'theme_id', table: 'themes', onDelete: 'cascade' }],
+    updatedAt: true,
+  },
+  typefaces: {
+    defaults: { fallback: 'sans-serif', weights: [400], is_variable: false },
+    unique: [['theme_id', 'role']],
+    references: [{ column: 'theme_id', table: 'themes', onDelete: 'cascade' }],
+  },
+  font_files: {
+    defaults: { style: 'normal' },
+    unique: [],
+    references: [{ column: 'typeface_id', table: 'typefaces', onDelete: 'cascade' }],
+  },
+  typography_roles: {
+    defaults: { font_weight: 400, line_height: '1.5', letter_spacing: 'normal' },
+    unique: [['theme_id', 'role_name']],
+    references: [{ column: 'theme_id', table: 'themes', onDelete: 'cascade' }],
+  },
+  components: {
+    defaults: { status: 'draft', props: [], variants: [], linked_tokens: [] },
+    unique: [['slug']],
+    references: [],
+    updatedAt: true,
+  },
+  component_images: {
+    defaults: {},
+    unique: [],
+    references: [{ column: 'component_id', table: 'components', onDelete: 'cascade' }],
+  },
+  component_examples: {
+    defaults: { sort_order: 0 },
+    unique: [],
+    references: [{ column: 'component_id', table: 'components', onDelete: 'cascade' }],
+  },
+  figma_imports: {
+    defaults: { component_count: 0, status: 'pending' },
+    unique: [],
+    references: [],
+    updatedAt: true,
+  },
+  figma_import_components: {
+    defaults: {},
+    unique: [],
+    references: [{ column: 'import_id', table: 'figma_imports', onDelete: 'cascade' }],
+  },
+  figma_import_images: {
+    defaults: {},
+    unique: [],
+    references: [{ column: 'import_id', table: 'figma_imports', onDelete: 'cascade' }],
+  },
+  icons: {
+    defaults: { tags: [], style: 'outline', source: 'custom', viewbox: '0 0 24 24', width: 24, height: 24 },
+    unique: [['slug']],
+    references: [],
+    updatedAt: true,
+  },
+  theme_snapshots: {
+    defaults: { token_count: 0 },
+    unique: [['theme_id', 'version']],
+    references: [{ column: 'theme_id', table: 'themes', onDelete: 'cascade' }],
+  },
+  qa_runs: {
+    defaults: { asset: {}, extraction: {}, issue_count: 0, fail_count: 0, warn_count: 0, coverage: null, coverage_score: null },
+    unique: [],
+    references: [{ column: 'theme_id', table: 'themes', onDelete: 'set null' }],
+  },
+  qa_run_issues: {
+    defaults: { triage_state: 'open', assignee: null, notes: null, triaged_at: null },
+    unique: [['run_id', 'number']],
+    references: [{ column: 'run_id', table: 'qa_runs', onDelete: 'cascade' }],
+  },
+  qa_allowlist: {
+    defaults: { property: null, notes: null },
+    unique: [['site', 'fingerprint']],
+    references: [],
+  },
+  releases: {
+    defaults: { level: null, notes: null, changes: [], file_count: 0 },
+    unique: [['project_name', 'version']],
+    references: [],
+  },
+};
+
+/**
+ * Get a table definition; unknown tables behave like PostgREST's missing relation
+ * @param {string} table
+ * @returns {Object|null}
+ */
+export function getTableSchema(table) {
+  return LOCAL_SCHEMA[table] || null;
+}
+
+/**
+ * Foreign keys in other tables that point at the given table
+ * @param {string} table
+ * @returns {Array<{ table: string, column: string, onDelete: string }>}
+ */
+export function getReferencingKeys(table) {
+  return Object.entries(LOCAL_SCHEMA).flatMap(([name, def]) =>
+    def.references
+      .filter(ref => ref.table === table)
+      .map(ref => ({ table: name, column: ref.column, onDelete: ref.onDelete }))
+  );
+}
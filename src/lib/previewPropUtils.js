@@ -4,8 +4,11 @@
  * Utilities for making Preview tab interactions coherent:
  * - Coerce prop values based on prop definitions (boolean/number/etc)
  * - Compute a simple diagnostics report about which props are referenced by code
+ * - Resolve a theme into the CSS variables the preview sandbox applies
  */
 
+import { isCompositeTypographyToken, expandCompositeTypographyToken, tokenToCssValue } from './cssVariableInjector';
+
 const DEFAULT_IGNORED_PROP_NAMES = new Set(['children', 'className', 'style', 'ref', 'key']);
 
 function isBooleanString(v) {
@@ -98,4 +101,85 @@ export function computePreviewPropDiagnostics({ propDefs, usedPropNames, code })
   };
 }
 
+/**
+ * Default values from prop definitions
+ * @param {Array} propDefs
+ * @returns {Object}
+ */
+export function getDefaultPropValues(propDefs) {
+  const defaults = {};
+  (Array.isArray(propDefs) ? propDefs : []).forEach((prop) => {
+    if (prop?.name && prop.default !== undefined) {
+      defaults[prop.name] = prop.default;
+    }
+  });
+  return defaults;
+}
+
+/**
+ * Map common token variable names onto the semantic `--color-*` variables
+ * generated components tend to use
+ */
+function deriveSemanticColorAliases(vars) {
+  const pick = (keys) => {
+    for (const k of keys) {
+      const v = vars[k];
+      if (typeof v === 'string' && v.trim() !== '') return v;
+    }
+    return undefined;
+  };
+
+  const aliases = {};
 
+  // Backgrounds
+  aliases['--color-background'] = pick(['--color-background', '--background-white', '--background-default', '--background-neutral-subtle']);
+  aliases['--color-surface'] = pick(['--color-surface', '--background-white', '--background-default', '--color-background']);
+  aliases['--color-muted'] = pick(['--color-muted', '--background-neutral-subtle', '--background-neutral-light', '--background-neutral']);
+
+  // Foregrounds
+  aliases['--color-foreground'] = pick(['--color-foreground', '--foreground-heading', '--foreground-body']);
+  aliases['--color-muted-foreground'] = pick(['--color-muted-foreground', '--foreground-caption', '--foreground-body']);
+
+  // Borders
+  aliases['--color-border'] = pick(['--color-border', '--foreground-divider', '--foreground-stroke-default', '--foreground-table-border']);
+
+  // Primary/secondary (buttons/brand)
+  aliases['--color-primary'] = pick(['--color-primary', '--background-brand', '--button-primary-bg']);
+  aliases['--color-primary-hover'] = pick(['--color-primary-hover', '--button-primary-hover-bg', '--button-primary-pressed-bg']);
+  aliases['--color-secondary'] = pick(['--color-secondary', '--button-secondary-bg', '--background-secondary']);
+
+  // Status
+  aliases['--color-success'] = pick(['--color-success', '--foreground-feedback-success']);
+  aliases['--color-warning'] = pick(['--color-warning', '--foreground-feedback-warning']);
+  aliases['--color-error'] = pick(['--color-error', '--foreground-feedback-error']);
+
+  // Drop undefined entries
+  Object.keys(aliases).forEach((k) => {
+    if (aliases[k] === undefined) delete aliases[k];
+  });
+
+  return aliases;
+}
+
+/**
+ * CSS variables for previewing components in a theme: every token variable
+ * plus the semantic `--color-*` aliases components commonly reference.
+ * @param {Object} theme - Theme with tokens
+ * @returns {Object<string, string>}
+ */
+export function getThemePreviewVariables(theme) {
+  if (!theme?.tokens) return {};
+
+  const rawVars = theme.tokens.reduce((vars, token) => {
+    if (!token.css_variable) return vars;
+    if (isCompositeTypographyToken(token)) {
+      Object.assign(vars, expandCompositeTypographyToken(token));
+      return vars;
+    }
+    vars[token.css_variable] = tokenToCssValue(token);
+    return vars;
+  }, {});
+
+  const aliasVars = deriveSemanticColorAliases(rawVars);
+  return { ...aliasVars, ...rawVars };
+}
@@ -0,0 +1,103 @@
+/**
+ * QA Analysis
+ *
+ * Runs extraction and token matching on a captured asset and turns the
+ * matches into issues and a token coverage report. Shared by single-page
+ * analysis and batch QA. Deviations on the captured site's allowlist
+ * (accepted during triage) do not become issues, and the theme's QA settings
+ * (ΔE formula, thresholds, tolerances, ignored colors and regions) apply to
+ * extraction, matching and issue generation.
+ */
+
+import { CapturedAsset, Issue } from '../../types/qa';
+import { extractAll, ExtractionResult } from './extraction/orchestrator';
+import { matchColors } from './matching/colorMatcher';
+import { matchFonts } from './matching/fontMatcher';
+import { matchBoxStyles } from './matching/boxStyleMatcher';
+import { generateIssues } from './issues/issueGenerator';
+import { calculateCoverage, CoverageReport } from './score/coverageScore';
+import { siteKey } from './issues/triage';
+import { QASettings, normalizeQASettings } from './qaSettings';
+
+/**
+ * Result of analyzing one asset
+ */
+export interface AnalysisResult {
+  extraction: ExtractionResult;
+  issues: Issue[];
+  coverage: CoverageReport;
+}
+
+/**
+ * Options for analyzeAsset
+ */
+export interface AnalysisOptions {
+  /** Fingerprints to suppress (defaults to the allowlist of the asset's site) */
+  allowlist?: string[];
+  /** QA settings (defaults to the settings saved on the theme) */
+  settings?: Partial<QASettings>;
+}
+
+/**
+ * Allowlisted fingerprints for the site an asset was captured from
+ */
+async function loadAllowlist(asset: CapturedAsset): Promise<string[]> {
+  const site = asset.inputType === 'url' ? siteKey(asset.metadata?.source) : null;
+  if (!site) return [];
+
+  try {
+    const { qaAllowlistService } = await import('../../services/qaAllowlistService');
+    return await qaAllowlistService.getFingerprints(site);
+  } catch (error) {
+    console.error('Failed to load QA allowlist:', error);
+    return [];
+  }
+}
+
+/**
+ * QA settings saved on a theme
+ */
+async function loadSettings(themeId: string): Promise<QASettings> {
+  try {
+    const { qaSettingsService } = await import('../../services/qaSettingsService');
+    return await qaSettingsService.getSettings(themeId);
+  } catch (error) {
+    console.error('Failed to load QA settings:', error);
+    return normalizeQASettings();
+  }
+}
+
+/**
+ * Extract colors, fonts and box styles from an asset and match them to the
+ * theme's tokens
+ *
+ * @param asset - Captured asset
+ * @param themeId - Theme whose tokens are matched against
+ * @param options - Allowlist and settings overrides
+ * @returns Extraction, the generated issues and the token coverage report
+ */
+export async function analyzeAsset(
+  asset: CapturedAsset,
+  themeId: string,
+  options: AnalysisOptions = {}
+): Promise<AnalysisResult> {
+  const settings = options.settings ? normalizeQASettings(options.settings) : await loadSettings(themeId);
+  const extraction = await extractAll(asset, settings);
+
+  const [colorMatches, fontMatches, boxStyleMatches, allowlist] = await Promise.all([
+    matchColors(extraction.colors, themeId, settings),
+    matchFonts(extraction.fonts, themeId, settings),
+    matchBoxStyles(extraction.boxStyles, themeId),
+    options.allowlist ?? loadAllowlist(asset),
+  ]);
+
+  return {
+    extraction,
+    issues: generateIssues(colorMatches, fontMatches, boxStyleMatches, { allowlist, settings }),
+    coverage: calculateCoverage(asset, { colorMatches, fontMatches, boxStyleMatches }),
+  };
+}
+
+export default {
+  analyzeAsset,
+};
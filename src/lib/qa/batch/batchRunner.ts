@@ -0,0 +1,252 @@
+/**
+ * Batch Runner
+ *
+ * Captures a set of URLs at a set of viewports through a bounded queue, runs
+ * extraction and matching on each page, and aggregates the results for the
+ * batch dashboard (worst pages, most common off-token colors and fonts).
+ *
+ * Pages are captured with the capture-with-dom edge function unless a
+ * capturePage stand-in is passed (see localCapture.ts).
+ */
+
+import { CapturedAsset, Issue } from '../../../types/qa';
+import { captureInput, CapturePage } from '../inputRouter';
+import { analyzeAsset } from '../analysis';
+import { calculateIssueStats } from '../issues/issueGenerator';
+import { CoverageReport } from '../score/coverageScore';
+
+/**
+ * Viewport a batch captures each URL at
+ */
+export interface BatchViewport {
+  id: string;
+  label: string;
+  width: number;
+  height: number;
+}
+
+export const VIEWPORT_PRESETS: BatchViewport[] = [
+  { id: 'desktop', label: 'Desktop', width: 1440, height: 900 },
+  { id: 'tablet', label: 'Tablet', width: 768, height: 1024 },
+  { id: 'mobile', label: 'Mobile', width: 375, height: 812 },
+];
+
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 6;
+
+/**
+ * One URL at one viewport
+ */
+export interface BatchJob {
+  id: string;
+  url: string;
+  viewport: BatchViewport;
+}
+
+export type BatchPageStatus = 'queued' | 'running' | 'done' | 'error' | 'cancelled';
+
+/**
+ * Outcome of one batch job
+ */
+export interface BatchPageResult {
+  job: BatchJob;
+  status: BatchPageStatus;
+  asset?: CapturedAsset;
+  issues: Issue[];
+  stats: ReturnType<typeof calculateIssueStats>;
+  coverage?: CoverageReport;
+  error?: string;
+}
+
+/**
+ * Off-token value seen across the batch
+ */
+export interface OffTokenValue {
+  value: string;
+  /** Number of issues with this value */
+  count: number;
+  /** Number of distinct URLs it appears on */
+  pages: number;
+  /** Suggested token (from the most recent issue) */
+  suggestion?: Issue['suggestion'];
+}
+
+/**
+ * Aggregate view of a batch
+ */
+export interface BatchSummary {
+  total: number;
+  done: number;
+  failed: number;
+  totalIssues: number;
+  worstPages: BatchPageResult[];
+  topColors: OffTokenValue[];
+  topFonts: OffTokenValue[];
+}
+
+/**
+ * Options for runBatch
+ */
+export interface BatchOptions {
+  themeId: string;
+  concurrency?: number;
+  /** Page capture (defaults to the capture-with-dom edge function) */
+  capturePage?: CapturePage;
+  /** Called whenever a job changes status */
+  onUpdate?: (result: BatchPageResult, index: number) => void;
+  signal?: AbortSignal;
+}
+
+/**
+ * Build one job per URL and viewport
+ *
+ * @param urls - Page URLs (duplicates are dropped)
+ * @param viewports - Viewports to capture each URL at
+ * @returns Jobs in URL-major order
+ */
+export function buildBatchJobs(urls: string[], viewports: BatchViewport[]): BatchJob[] {
+  return [...new Set(urls)].flatMap((url) =>
+    viewports.map((viewport) => ({ id: `${url}@${viewport.id}`, url, viewport }))
+  );
+}
+
+/**
+ * Run a worker over items with at most `limit` in flight
+ *
+ * Items not started when the signal aborts are skipped (their result is undefined).
+ *
+ * @param items - Work items
+ * @param limit - Maximum concurrent workers
+ * @param worker - Async worker
+ * @param signal - Optional abort signal
+ * @returns Results in item order
+ */
+export async function runWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  worker: (item: T, index: number) => Promise<R>,
+  signal?: AbortSignal
+): Promise<Array<R | undefined>> {
+  const results: Array<R | undefined> = new Array(items.length).fill(undefined);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Capture and analyze every job
+ *
+ * Failures are recorded per page and do not stop the batch.
+ *
+ * @param jobs - Jobs from buildBatchJobs
+ * @param options - Theme, concurrency, capture stand-in, progress callback and abort signal
+ * @returns One result per job, in job order
+ */
+export async function runBatch(jobs: BatchJob[], options: BatchOptions): Promise<BatchPageResult[]> {
+  const { themeId, capturePage, onUpdate, signal } = options;
+  const concurrency = Math.min(Math.max(1, options.concurrency || DEFAULT_CONCURRENCY), MAX_CONCURRENCY);
+  const emptyStats = calculateIssueStats([]);
+
+  const results = await runWithConcurrency(
+    jobs,
+    concurrency,
+    async (job, index): Promise<BatchPageResult> => {
+      onUpdate?.({ job, status: 'running', issues: [], stats: emptyStats }, index);
+
+      let result: BatchPageResult;
+      try {
+        const asset = await captureInput(
+          { type: 'url', url: job.url, viewport: { width: job.viewport.width, height: job.viewport.height } },
+          { capturePage }
+        );
+        const { issues, coverage } = await analyzeAsset(asset, themeId);
+        result = { job, status: 'done', asset, issues, stats: calculateIssueStats(issues), coverage };
+      } catch (err) {
+        result = {
+          job,
+          status: 'error',
+          issues: [],
+          stats: emptyStats,
+          error: err instanceof Error ? err.message : String(err),
+        };
+      }
+
+      onUpdate?.(result, index);
+      return result;
+    },
+    signal
+  );
+
+  return results.map((result, index) => {
+    if (result) return result;
+    const cancelled: BatchPageResult = { job: jobs[index], status: 'cancelled', issues: [], stats: emptyStats };
+    onUpdate?.(cancelled, index);
+    return cancelled;
+  });
+}
+
+/**
+ * Count off-token values of one issue type across pages
+ */
+function countOffTokenValues(results: BatchPageResult[], type: Issue['type'], limit: number): OffTokenValue[] {
+  const counts = new Map<string, OffTokenValue & { urls: Set<string> }>();
+
+  for (const result of results) {
+    for (const issue of result.issues) {
+      if (issue.type !== type || issue.status === 'pass') continue;
+      const value = type === 'color' ? issue.source.value.toLowerCase() : issue.source.value;
+      const entry = counts.get(value) || { value, count: 0, pages: 0, urls: new Set<string>() };
+      entry.count++;
+      entry.urls.add(result.job.url);
+      entry.suggestion = issue.suggestion || entry.suggestion;
+      counts.set(value, entry);
+    }
+  }
+
+  return [...counts.values()]
+    .map(({ urls, ...entry }) => ({ ...entry, pages: urls.size }))
+    .sort((a, b) => b.pages - a.pages || b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Aggregate batch results for the dashboard
+ *
+ * @param results - Page results (any status)
+ * @param limit - Maximum entries per ranked list
+ * @returns Totals, worst pages (most failures, then warnings) and the most
+ *   common off-token colors and fonts
+ */
+export function aggregateBatch(results: BatchPageResult[], limit = 10): BatchSummary {
+  const done = results.filter((result) => result.status === 'done');
+
+  return {
+    total: results.length,
+    done: done.length,
+    failed: results.filter((result) => result.status === 'error').length,
+    totalIssues: done.reduce((sum, result) => sum + result.issues.length, 0),
+    worstPages: done
+      .filter((result) => result.issues.length > 0)
+      .sort((a, b) => b.stats.fail - a.stats.fail || b.stats.warn - a.stats.warn)
+      .slice(0, limit),
+    topColors: countOffTokenValues(done, 'color', limit),
+    topFonts: countOffTokenValues(done, 'font', limit),
+  };
+}
+
+export default {
+  buildBatchJobs,
+  runWithConcurrency,
+  runBatch,
+  aggregateBatch,
+  VIEWPORT_PRESETS,
+};
@@ -0,0 +1,54 @@
+/**
+ * Local Capture
+ *
+ * Stand-in for the capture-with-dom edge function: serves DOM elements from
+ * fixtures instead of rendering the page, so batch QA runs without Supabase
+ * (tests, local data backend).
+ */
+
+import { CaptureResult, DOMElement, Viewport } from '../../../services/screenshotService';
+import { CapturePage } from '../inputRouter';
+
+/** 1x1 transparent PNG used as the screenshot */
+const BLANK_PNG =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const DEFAULT_VIEWPORT: Viewport = { width: 1440, height: 900 };
+
+/**
+ * Fixture for one page: its elements, or a function of the viewport
+ */
+export type LocalPageFixture = DOMElement[] | ((viewport: Viewport) => DOMElement[]);
+
+/**
+ * Create a capture function that serves pages from fixtures
+ *
+ * @param pages - Fixtures keyed by URL
+ * @param options.delayMs - Simulated capture latency
+ * @returns CapturePage for captureInput/runBatch; unknown URLs reject like a failed capture
+ */
+export function createLocalCapture(
+  pages: Record<string, LocalPageFixture>,
+  options: { delayMs?: number } = {}
+): CapturePage {
+  return async (url: string, viewport: Viewport = DEFAULT_VIEWPORT): Promise<CaptureResult> => {
+    if (options.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, options.delayMs));
+    }
+
+    const fixture = pages[url];
+    if (!fixture) {
+      throw new Error(`Failed to capture page: no local fixture for ${url}`);
+    }
+
+    return {
+      screenshot: BLANK_PNG,
+      viewport,
+      elements: typeof fixture === 'function' ? fixture(viewport) : fixture,
+    };
+  };
+}
+
+export default {
+  createLocalCapture,
+};
@@ -0,0 +1,89 @@
+/**
+ * Batch URL Sources
+ *
+ * Parses the page lists batch QA accepts: a pasted list of URLs or a
+ * sitemap XML file (urlset or sitemap index).
+ */
+
+/**
+ * Parsed sitemap
+ */
+export interface SitemapContents {
+  /** Page URLs from a <urlset> */
+  urls: string[];
+  /** Child sitemap URLs from a <sitemapindex> (not fetched) */
+  sitemaps: string[];
+}
+
+const XML_ENTITIES: Record<string, string> = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+/**
+ * Check that a string is an absolute http(s) URL
+ */
+export function isHttpUrl(value: string): boolean {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Extract the <loc> values inside every <tag> element
+ */
+function extractLocs(xml: string, tag: 'url' | 'sitemap'): string[] {
+  const blocks = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>[\\s\\S]*?</(?:\\w+:)?${tag}>`, 'gi')) || [];
+  return blocks
+    .map((block) => block.match(/<(?:\w+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:\w+:)?loc>/i)?.[1])
+    .filter((loc): loc is string => Boolean(loc))
+    .map((loc) => loc.trim().replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity]));
+}
+
+/**
+ * Parse a sitemap XML document
+ *
+ * @param xml - Sitemap file contents
+ * @returns Page URLs and child sitemaps, deduplicated in document order
+ * @throws If the document is not a urlset or sitemap index
+ */
+export function parseSitemap(xml: string): SitemapContents {
+  if (!/<(?:\w+:)?(urlset|sitemapindex)\b/i.test(xml)) {
+    throw new Error('Not a sitemap: expected a <urlset> or <sitemapindex> element');
+  }
+
+  return {
+    urls: [...new Set(extractLocs(xml, 'url').filter(isHttpUrl))],
+    sitemaps: [...new Set(extractLocs(xml, 'sitemap').filter(isHttpUrl))],
+  };
+}
+
+/**
+ * Parse a pasted list of URLs (one per line, or separated by spaces or commas)
+ *
+ * @param text - Raw list
+ * @returns Valid http(s) URLs (deduplicated) and the entries that were rejected
+ */
+export function parseUrlList(text: string): { urls: string[]; invalid: string[] } {
+  const entries = text
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return {
+    urls: [...new Set(entries.filter(isHttpUrl))],
+    invalid: entries.filter((entry) => !isHttpUrl(entry)),
+  };
+}
+
+export default {
+  parseSitemap,
+  parseUrlList,
+  isHttpUrl,
+};
@@ -0,0 +1,123 @@
+/**
+ * Figma Layers
+ *
+ * Flattens a Figma node tree (REST API document) into layers with
+ * frame-relative bounds and the style values Visual QA compares against the
+ * live page: fill, text style, corner radius and auto-layout spacing.
+ * Container layers carry the text of their text descendants, mirroring DOM
+ * textContent, so a button frame can be matched by its label.
+ */
+
+import { FigmaNode } from '../../../types/qa';
+
+type Bounds = { x: number; y: number; width: number; height: number };
+
+/**
+ * Flattened Figma layer
+ */
+export interface FigmaLayer {
+  id: string;
+  name: string;
+  type: string;
+  /** Bounds relative to the root frame, in design px */
+  bounds: Bounds;
+  /** Characters of a text layer, or the joined text of a container's text layers */
+  text: string;
+  /** First visible solid fill as hex */
+  fill?: string;
+  fontFamily?: string;
+  fontSize?: number;
+  fontWeight?: number;
+  cornerRadius?: number;
+  padding?: { top: number; right: number; bottom: number; left: number };
+  itemSpacing?: number;
+}
+
+/**
+ * Convert a Figma color (0-1 channels) to hex
+ *
+ * @param color - Figma RGBA color
+ * @returns Hex color, e.g. "#2563eb"
+ */
+export function figmaColorToHex(color: { r: number; g: number; b: number }): string {
+  return `#${[color.r, color.g, color.b]
+    .map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * First visible solid fill of a node
+ */
+function solidFill(node: FigmaNode): string | undefined {
+  const fill = node.fills?.find((f) => f.type === 'SOLID' && f.visible !== false && f.color && f.opacity !== 0);
+  return fill?.color ? figmaColorToHex(fill.color) : undefined;
+}
+
+/**
+ * Text of a node: its characters, or its text descendants joined
+ */
+function nodeText(node: FigmaNode): string {
+  if (node.type === 'TEXT') return (node.characters || '').trim();
+  return (node.children || [])
+    .filter((child) => child.visible !== false)
+    .map(nodeText)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Flatten a Figma node tree into layers (the root frame itself is left out)
+ *
+ * Hidden nodes and nodes without a bounding box are skipped.
+ *
+ * @param root - Root frame or component node
+ * @returns Layers in document order
+ */
+export function flattenFigmaNode(root: FigmaNode): FigmaLayer[] {
+  const origin = root.absoluteBoundingBox || { x: 0, y: 0 };
+  const layers: FigmaLayer[] = [];
+
+  const visit = (node: FigmaNode) => {
+    if (node.visible === false) return;
+
+    const box = node.absoluteBoundingBox;
+    if (node !== root && box) {
+      const hasPadding = ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].some(
+        (key) => node[key as keyof FigmaNode] !== undefined
+      );
+      layers.push({
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        bounds: { x: box.x - origin.x, y: box.y - origin.y, width: box.width, height: box.height },
+        text: nodeText(node),
+        fill: solidFill(node),
+        ...(node.type === 'TEXT' && node.style && {
+          fontFamily: node.style.fontFamily,
+          fontSize: node.style.fontSize,
+          fontWeight: node.style.fontWeight,
+        }),
+        ...(node.cornerRadius !== undefined && { cornerRadius: node.cornerRadius }),
+        ...(hasPadding && {
+          padding: {
+            top: node.paddingTop || 0,
+            right: node.paddingRight || 0,
+            bottom: node.paddingBottom || 0,
+            left: node.paddingLeft || 0,
+          },
+        }),
+        ...(node.itemSpacing !== undefined && { itemSpacing: node.itemSpacing }),
+      });
+    }
+
+    node.children?.forEach(visit);
+  };
+
+  visit(root);
+  return layers;
+}
+
+export default {
+  figmaColorToHex,
+  flattenFigmaNode,
+};
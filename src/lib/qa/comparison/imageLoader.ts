@@ -0,0 +1,67 @@
+/**
+ * Image Loader - Compare workspace image diff
+ * Browser helpers to turn images into RGBA buffers and back for pixelDiff.
+ */
+
+import { PixelImage } from './pixelDiff';
+
+/**
+ * Create a 2D canvas (OffscreenCanvas where available)
+ */
+function createCanvas(width: number, height: number): OffscreenCanvas | HTMLCanvasElement {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Decode an image into an RGBA buffer
+ *
+ * @param source - Image blob or URL
+ * @returns Pixel image
+ */
+export async function loadPixelImage(source: Blob | string): Promise<PixelImage> {
+  const blob = typeof source === 'string' ? await fetch(source).then((r) => r.blob()) : source;
+  const bitmap = await createImageBitmap(blob);
+
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d') as CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+  ctx.drawImage(bitmap, 0, 0);
+  const { data, width, height } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  bitmap.close?.();
+
+  return { data, width, height };
+}
+
+/**
+ * Encode an RGBA buffer as a PNG object URL
+ *
+ * @param image - Pixel image
+ * @returns Object URL (revoke with URL.revokeObjectURL when done)
+ */
+export async function pixelImageToUrl(image: PixelImage): Promise<string> {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d') as CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+  ctx.putImageData(new ImageData(new Uint8ClampedArray(image.data), image.width, image.height), 0, 0);
+
+  const blob =
+    'convertToBlob' in canvas
+      ? await canvas.convertToBlob({ type: 'image/png' })
+      : await new Promise<Blob>((resolve, reject) =>
+          (canvas as HTMLCanvasElement).toBlob(
+            (b) => (b ? resolve(b) : reject(new Error('Failed to encode image'))),
+            'image/png'
+          )
+        );
+
+  return URL.createObjectURL(blob);
+}
+
+export default {
+  loadPixelImage,
+  pixelImageToUrl,
+};
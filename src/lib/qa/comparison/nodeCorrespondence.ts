@@ -0,0 +1,357 @@
+/**
+ * Node Correspondence
+ *
+ * Pairs the layers of a Figma frame with the DOM elements of the captured
+ * page and reports where the build differs from the design.
+ *
+ * Pairing scores each layer/element pair on:
+ * - text: same or overlapping words (layers and elements with text only pair
+ *   with each other)
+ * - position: distance between centers once the frame is scaled to the page width
+ * - size: width and height ratio
+ * and assigns the best-scoring pairs greedily, one element per layer.
+ *
+ * Each pair is then compared on color, font (family, size, weight), size,
+ * spacing (padding, gap) and corner radius. Text layers with no counterpart
+ * on the page are reported as missing.
+ */
+
+import { CapturedAsset, DOMElement, Issue } from '../../../types/qa';
+import { FigmaLayer, flattenFigmaNode } from './figmaLayers';
+import { parseColor } from '../extraction/domExtractor';
+import { deltaE2000Hex } from '../matching/deltaE';
+import { BOX_STYLE_THRESHOLDS, parseLengthPx } from '../matching/boxStyleMatcher';
+
+type Bounds = { x: number; y: number; width: number; height: number };
+type Status = Issue['status'];
+
+/** Score weights; missing components (e.g. text when neither side has any) are left out */
+export const CORRESPONDENCE_WEIGHTS = {
+  text: 0.5,
+  position: 0.3,
+  size: 0.2,
+};
+
+/** Pairs scoring below this are not considered the same node */
+export const MIN_PAIR_SCORE = 0.6;
+
+/** Center distance (as a share of the page width) at which the position score reaches 0 */
+const POSITION_FALLOFF = 0.25;
+
+/** ΔE2000 thresholds for color discrepancies (same as token matching) */
+const COLOR_THRESHOLDS = { PASS: 3, WARN: 10 };
+
+/** Pixel thresholds for width / height discrepancies */
+const SIZE_THRESHOLDS = { PASS: 2, WARN: 8 };
+
+/**
+ * Layer paired with an element
+ */
+export interface NodePair {
+  layer: FigmaLayer;
+  element: DOMElement;
+  score: number;
+}
+
+/**
+ * One difference between a layer and its element
+ */
+export interface Discrepancy {
+  type: Issue['type'];
+  property: string;
+  /** Value in the design */
+  expected: string;
+  /** Value on the page */
+  actual: string;
+  status: Exclude<Status, 'pass'>;
+}
+
+/**
+ * Result of comparing a Figma frame with a captured page
+ */
+export interface CorrespondenceResult {
+  /** Frame-to-page scale used for positions */
+  scale: number;
+  pairs: Array<NodePair & { discrepancies: Discrepancy[] }>;
+  unmatchedLayers: FigmaLayer[];
+  unmatchedElements: DOMElement[];
+  issues: Issue[];
+}
+
+function normalizeText(text: string): string {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text similarity: 1 for equal text, otherwise the Dice coefficient of the words
+ */
+export function textSimilarity(a: string, b: string): number {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftWords = left.split(' ');
+  const rightWords = new Set(right.split(' '));
+  const shared = leftWords.filter((word) => rightWords.has(word)).length;
+  return (2 * shared) / (leftWords.length + rightWords.size);
+}
+
+function scaleBounds(bounds: Bounds, scale: number): Bounds {
+  return {
+    x: bounds.x * scale,
+    y: bounds.y * scale,
+    width: bounds.width * scale,
+    height: bounds.height * scale,
+  };
+}
+
+function ratio(a: number, b: number): number {
+  return a <= 0 || b <= 0 ? 0 : Math.min(a, b) / Math.max(a, b);
+}
+
+/**
+ * Score how likely a layer and an element are the same node
+ *
+ * @param layer - Figma layer
+ * @param element - DOM element
+ * @param scale - Frame-to-page scale
+ * @param pageWidth - Page width in px
+ * @returns Score in 0-1, or 0 when only one side has text
+ */
+export function pairScore(layer: FigmaLayer, element: DOMElement, scale: number, pageWidth: number): number {
+  const elementText = element.textContent.trim();
+  if (Boolean(layer.text) !== Boolean(elementText)) return 0;
+
+  const bounds = scaleBounds(layer.bounds, scale);
+  const distance = Math.hypot(
+    bounds.x + bounds.width / 2 - (element.bounds.x + element.bounds.width / 2),
+    bounds.y + bounds.height / 2 - (element.bounds.y + element.bounds.height / 2)
+  );
+
+  const parts: Array<[number, number]> = [
+    [Math.max(0, 1 - distance / (POSITION_FALLOFF * pageWidth)), CORRESPONDENCE_WEIGHTS.position],
+    [ratio(bounds.width, element.bounds.width) * ratio(bounds.height, element.bounds.height), CORRESPONDENCE_WEIGHTS.size],
+  ];
+  if (layer.text) {
+    parts.push([textSimilarity(layer.text, elementText), CORRESPONDENCE_WEIGHTS.text]);
+  }
+
+  const weight = parts.reduce((sum, [, w]) => sum + w, 0);
+  return parts.reduce((sum, [value, w]) => sum + value * w, 0) / weight;
+}
+
+/**
+ * Pair layers with elements (best scores first, each side used once)
+ *
+ * @param layers - Figma layers
+ * @param elements - DOM elements
+ * @param scale - Frame-to-page scale
+ * @param pageWidth - Page width in px
+ * @returns Pairs in layer order
+ */
+export function matchNodes(layers: FigmaLayer[], elements: DOMElement[], scale: number, pageWidth: number): NodePair[] {
+  const candidates: NodePair[] = [];
+  for (const layer of layers) {
+    for (const element of elements) {
+      const score = pairScore(layer, element, scale, pageWidth);
+      if (score >= MIN_PAIR_SCORE) candidates.push({ layer, element, score });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  const usedLayers = new Set<FigmaLayer>();
+  const usedElements = new Set<DOMElement>();
+  const pairs: NodePair[] = [];
+  for (const candidate of candidates) {
+    if (usedLayers.has(candidate.layer) || usedElements.has(candidate.element)) continue;
+    usedLayers.add(candidate.layer);
+    usedElements.add(candidate.element);
+    pairs.push(candidate);
+  }
+
+  return pairs.sort((a, b) => layers.indexOf(a.layer) - layers.indexOf(b.layer));
+}
+
+function pxStatus(difference: number, thresholds: { PASS: number; WARN: number }): Status {
+  if (difference <= thresholds.PASS) return 'pass';
+  if (difference <= thresholds.WARN) return 'warn';
+  return 'fail';
+}
+
+/**
+ * Expand a 1-4 value box shorthand ("8px 16px") to top, right, bottom, left
+ */
+function expandBox(value: string | undefined): [number, number, number, number] | null {
+  if (!value) return null;
+  const parts = value.trim().split(/\s+/).map((part) => parseLengthPx(part));
+  if (parts.length === 0 || parts.length > 4 || parts.some((part) => part === null)) return null;
+  const [top, right = top, bottom = top, left = right] = parts as number[];
+  return [top, right, bottom, left];
+}
+
+function compareLength(
+  discrepancies: Discrepancy[],
+  type: Issue['type'],
+  property: string,
+  expected: number,
+  actual: number | null,
+  thresholds: { PASS: number; WARN: number }
+) {
+  if (actual === null) return;
+  const status = pxStatus(Math.abs(expected - actual), thresholds);
+  if (status !== 'pass') {
+    discrepancies.push({ type, property, expected: `${expected}px`, actual: `${actual}px`, status });
+  }
+}
+
+/**
+ * Compare a layer with its element
+ *
+ * @param layer - Figma layer
+ * @param element - DOM element
+ * @returns Discrepancies (empty when the element matches the design)
+ */
+export function compareNodePair(layer: FigmaLayer, element: DOMElement): Discrepancy[] {
+  const discrepancies: Discrepancy[] = [];
+  const isText = layer.type === 'TEXT';
+
+  // Color: text fill against text color, other fills against the background
+  if (layer.fill) {
+    const property = isText ? 'color' : 'background-color';
+    const actual = parseColor(isText ? element.styles.color : element.styles.backgroundColor);
+    if (!actual) {
+      discrepancies.push({ type: 'color', property, expected: layer.fill, actual: 'transparent', status: 'fail' });
+    } else {
+      const status = pxStatus(deltaE2000Hex(layer.fill, actual.hex), COLOR_THRESHOLDS);
+      if (status !== 'pass') {
+        discrepancies.push({ type: 'color', property, expected: layer.fill, actual: actual.hex, status });
+      }
+    }
+  }
+
+  // Font
+  if (isText) {
+    const family = element.styles.fontFamily?.replace(/["']/g, '').split(',')[0].trim();
+    if (layer.fontFamily && family && layer.fontFamily.toLowerCase() !== family.toLowerCase()) {
+      discrepancies.push({ type: 'font', property: 'font-family', expected: layer.fontFamily, actual: family, status: 'fail' });
+    }
+    if (layer.fontSize !== undefined) {
+      compareLength(discrepancies, 'font', 'font-size', layer.fontSize, parseLengthPx(element.styles.fontSize), BOX_STYLE_THRESHOLDS);
+    }
+    if (layer.fontWeight !== undefined && element.styles.fontWeight && Number(element.styles.fontWeight) !== layer.fontWeight) {
+      discrepancies.push({
+        type: 'font',
+        property: 'font-weight',
+        expected: String(layer.fontWeight),
+        actual: element.styles.fontWeight,
+        status: 'warn',
+      });
+    }
+  }
+
+  // Size (text boxes depend on line-height and wrapping, so only containers)
+  if (!isText) {
+    compareLength(discrepancies, 'other', 'width', layer.bounds.width, element.bounds.width, SIZE_THRESHOLDS);
+    compareLength(discrepancies, 'other', 'height', layer.bounds.height, element.bounds.height, SIZE_THRESHOLDS);
+  }
+
+  // Spacing
+  const padding = expandBox(element.styles.padding);
+  if (layer.padding && padding) {
+    (['top', 'right', 'bottom', 'left'] as const).forEach((side, i) => {
+      compareLength(discrepancies, 'spacing', `padding-${side}`, layer.padding![side], padding[i], BOX_STYLE_THRESHOLDS);
+    });
+  }
+  if (layer.itemSpacing !== undefined && element.styles.gap) {
+    compareLength(discrepancies, 'spacing', 'gap', layer.itemSpacing, parseLengthPx(element.styles.gap.split(/\s+/)[0]), BOX_STYLE_THRESHOLDS);
+  }
+
+  // Radius
+  const radius = expandBox(element.styles.borderRadius?.split('/')[0]);
+  if (layer.cornerRadius !== undefined && radius) {
+    compareLength(discrepancies, 'radius', 'border-radius', layer.cornerRadius, radius[0], BOX_STYLE_THRESHOLDS);
+  }
+
+  return discrepancies;
+}
+
+const STATUS_ORDER: Record<Status, number> = { fail: 0, warn: 1, pass: 2 };
+
+function centerOf(bounds: Bounds) {
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Compare a Figma capture with a page capture
+ *
+ * @param figmaAsset - Figma capture (figmaNodes[0] is the frame)
+ * @param pageAsset - URL capture with DOM elements
+ * @returns Pairs with their discrepancies, unmatched nodes and issues
+ *   positioned on the page
+ */
+export function compareFigmaToPage(figmaAsset: CapturedAsset, pageAsset: CapturedAsset): CorrespondenceResult {
+  const frame = figmaAsset.figmaNodes?.[0];
+  if (!frame) throw new Error('Figma capture has no node data');
+  if (!pageAsset.domElements?.length) throw new Error('Page capture has no DOM data');
+
+  const layers = flattenFigmaNode(frame);
+  const elements = pageAsset.domElements;
+  const pageWidth = pageAsset.image.width;
+  const frameWidth = frame.absoluteBoundingBox?.width || pageWidth;
+  const scale = frameWidth > 0 ? pageWidth / frameWidth : 1;
+
+  const pairs = matchNodes(layers, elements, scale, pageWidth).map((pair) => ({
+    ...pair,
+    discrepancies: compareNodePair(pair.layer, pair.element),
+  }));
+  const pairedLayers = new Set(pairs.map((pair) => pair.layer));
+  const pairedElements = new Set(pairs.map((pair) => pair.element));
+  const unmatchedLayers = layers.filter((layer) => !pairedLayers.has(layer));
+
+  const issues: Omit<Issue, 'id' | 'number'>[] = [];
+  for (const { layer, element, discrepancies } of pairs) {
+    for (const discrepancy of discrepancies) {
+      issues.push({
+        type: discrepancy.type,
+        status: discrepancy.status,
+        property: discrepancy.property,
+        message: `${element.selector} (Figma "${layer.name}"): ${discrepancy.property} is ${discrepancy.actual}, design has ${discrepancy.expected}`,
+        marker: centerOf(element.bounds),
+        bounds: element.bounds,
+        source: { value: discrepancy.actual },
+      });
+    }
+  }
+  for (const layer of unmatchedLayers) {
+    if (layer.type !== 'TEXT' || !layer.text) continue;
+    const bounds = scaleBounds(layer.bounds, scale);
+    issues.push({
+      type: 'other',
+      status: 'warn',
+      property: 'content',
+      message: `Text "${layer.text.slice(0, 60)}" from Figma layer "${layer.name}" not found on the page`,
+      marker: centerOf(bounds),
+      bounds,
+      source: { value: layer.text },
+    });
+  }
+
+  return {
+    scale,
+    pairs,
+    unmatchedLayers,
+    unmatchedElements: elements.filter((element) => !pairedElements.has(element)),
+    issues: issues
+      .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status])
+      .map((issue, index) => ({ ...issue, id: `issue-${index + 1}`, number: index + 1 })),
+  };
+}
+
+export default {
+  textSimilarity,
+  pairScore,
+  matchNodes,
+  compareNodePair,
+  compareFigmaToPage,
+};
@@ -0,0 +1,490 @@
+/**
+ * Pixel Diff - Compare workspace image diff
+ *
+ * Pixel-level comparison of a source and target image:
+ * - Auto-alignment: the target is scaled to the source width (e.g. 2x vs 1x
+ *   screenshots) and shifted by the offset that best lines it up
+ * - Per-pixel perceptual difference using ΔE2000
+ * - Heatmap rendering of the difference
+ * - Clustering of changed pixels into regions that become reviewable issues
+ *
+ * All functions work on plain RGBA buffers (ImageData-compatible) so they run
+ * without a canvas; see imageLoader.ts for the browser helpers.
+ */
+
+import { Issue } from '../../../types/qa';
+import { deltaE2000, rgbToLab, LAB } from '../matching/deltaE';
+
+/**
+ * RGBA pixel buffer (compatible with ImageData)
+ */
+export interface PixelImage {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
+/**
+ * Source and target lined up in the source's coordinate space
+ */
+export interface AlignedImages {
+  width: number;
+  height: number;
+  source: PixelImage;
+  /** Target resampled and shifted; pixels outside the target are transparent */
+  target: PixelImage;
+  /** Factor the target was scaled by */
+  scale: number;
+  /** Shift applied to the scaled target, in source pixels */
+  offset: { x: number; y: number };
+}
+
+/**
+ * Per-pixel difference between two aligned images
+ */
+export interface PixelDiff {
+  width: number;
+  height: number;
+  /** ΔE2000 per pixel (MISSING_DELTA_E where only one image has content) */
+  deltas: Float32Array;
+  threshold: number;
+  changedPixels: number;
+  changedRatio: number;
+  maxDeltaE: number;
+}
+
+/**
+ * Cluster of changed pixels
+ */
+export interface DiffRegion {
+  bounds: { x: number; y: number; width: number; height: number };
+  centroid: { x: number; y: number };
+  pixelCount: number;
+  meanDeltaE: number;
+  maxDeltaE: number;
+}
+
+/**
+ * Thresholds for the pixel diff
+ */
+export const DIFF_THRESHOLDS = {
+  /** ΔE2000 below this is not a visible change (just noticeable difference) */
+  CHANGED: 2.3,
+  /** Regions with a mean ΔE above this are errors, the rest warnings */
+  FAIL: 10,
+} as const;
+
+/** Difference assigned to pixels present in only one of the images */
+export const MISSING_DELTA_E = 100;
+
+/**
+ * Resample an image with bilinear filtering
+ *
+ * @param image - Source image
+ * @param width - Target width
+ * @param height - Target height
+ * @returns Resized image
+ */
+export function resizeImage(image: PixelImage, width: number, height: number): PixelImage {
+  if (image.width === width && image.height === height) return image;
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(image.height - 1, y0 + 1);
+    const fy = sy - y0;
+
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(image.width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(image.width - 1, x0 + 1);
+      const fx = sx - x0;
+
+      for (let c = 0; c < 4; c++) {
+        const top = image.data[(y0 * image.width + x0) * 4 + c] * (1 - fx) + image.data[(y0 * image.width + x1) * 4 + c] * fx;
+        const bottom = image.data[(y1 * image.width + x0) * 4 + c] * (1 - fx) + image.data[(y1 * image.width + x1) * 4 + c] * fx;
+        data[(y * width + x) * 4 + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Downsampled grayscale copy used for offset estimation
+ */
+function toGray(image: PixelImage, factor: number): { data: Float32Array; width: number; height: number } {
+  const width = Math.max(1, Math.floor(image.width / factor));
+  const height = Math.max(1, Math.floor(image.height / factor));
+  const data = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * factor * image.width + x * factor) * 4;
+      data[y * width + x] = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Find the shift of the target that best matches the source
+ * (lowest mean absolute grayscale difference over the overlap)
+ *
+ * @param source - Source image
+ * @param target - Target image at the source's scale
+ * @param maxShift - Largest shift to try in each direction, in source pixels
+ * @returns Offset to apply to the target
+ */
+export function estimateOffset(
+  source: PixelImage,
+  target: PixelImage,
+  maxShift = 32
+): { x: number; y: number } {
+  const factor = Math.max(1, Math.floor(Math.max(source.width, source.height) / 400));
+  const a = toGray(source, factor);
+  const b = toGray(target, factor);
+  const range = Math.max(0, Math.round(maxShift / factor));
+
+  let best = { x: 0, y: 0 };
+  let bestScore = Infinity;
+
+  for (let dy = -range; dy <= range; dy++) {
+    for (let dx = -range; dx <= range; dx++) {
+      const x0 = Math.max(0, dx);
+      const y0 = Math.max(0, dy);
+      const x1 = Math.min(a.width, b.width + dx);
+      const y1 = Math.min(a.height, b.height + dy);
+      const overlap = (x1 - x0) * (y1 - y0);
+
+      // Require most of the source to overlap so tiny overlaps don't win
+      if (x1 <= x0 || y1 <= y0 || overlap < a.width * a.height * 0.5) continue;
+
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += Math.abs(a.data[y * a.width + x] - b.data[(y - dy) * b.width + (x - dx)]);
+        }
+      }
+
+      // Prefer the smaller shift on ties
+      const score = sum / overlap + (Math.abs(dx) + Math.abs(dy)) * 1e-6;
+      if (score < bestScore) {
+        bestScore = score;
+        best = { x: dx * factor, y: dy * factor };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Line up a target image with a source image
+ *
+ * @param source - Source image (defines the coordinate space)
+ * @param target - Target image, any size
+ * @param options.maxShift - Largest shift to search, in source pixels (0 disables)
+ * @returns Aligned images at the source's size
+ */
+export function alignImages(
+  source: PixelImage,
+  target: PixelImage,
+  { maxShift = 32 }: { maxShift?: number } = {}
+): AlignedImages {
+  const scale = source.width / target.width;
+  const scaled = resizeImage(target, source.width, Math.max(1, Math.round(target.height * scale)));
+  const offset = maxShift > 0 ? estimateOffset(source, scaled, maxShift) : { x: 0, y: 0 };
+
+  const data = new Uint8ClampedArray(source.width * source.height * 4);
+  for (let y = 0; y < source.height; y++) {
+    const ty = y - offset.y;
+    if (ty < 0 || ty >= scaled.height) continue;
+    for (let x = 0; x < source.width; x++) {
+      const tx = x - offset.x;
+      if (tx < 0 || tx >= scaled.width) continue;
+      const from = (ty * scaled.width + tx) * 4;
+      data.set(scaled.data.subarray(from, from + 4), (y * source.width + x) * 4);
+    }
+  }
+
+  return {
+    width: source.width,
+    height: source.height,
+    source,
+    target: { data, width: source.width, height: source.height },
+    scale,
+    offset,
+  };
+}
+
+/**
+ * Compute the per-pixel ΔE2000 between two images of the same size
+ *
+ * @param source - Source image
+ * @param target - Target image (aligned to the source)
+ * @param options.threshold - ΔE at which a pixel counts as changed
+ * @returns Pixel diff
+ */
+export function computePixelDiff(
+  source: PixelImage,
+  target: PixelImage,
+  { threshold = DIFF_THRESHOLDS.CHANGED }: { threshold?: number } = {}
+): PixelDiff {
+  if (source.width !== target.width || source.height !== target.height) {
+    throw new Error('Images must be aligned to the same size before diffing');
+  }
+
+  const { width, height } = source;
+  const deltas = new Float32Array(width * height);
+  const labCache = new Map<number, LAB>();
+  const toLab = (data: Uint8ClampedArray, i: number): LAB => {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let lab = labCache.get(key);
+    if (!lab) {
+      lab = rgbToLab({ r: data[i], g: data[i + 1], b: data[i + 2] });
+      labCache.set(key, lab);
+    }
+    return lab;
+  };
+
+  let changedPixels = 0;
+  let maxDeltaE = 0;
+
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    const sourceVisible = source.data[i + 3] >= 128;
+    const targetVisible = target.data[i + 3] >= 128;
+
+    let delta = 0;
+    if (sourceVisible !== targetVisible) {
+      delta = MISSING_DELTA_E;
+    } else if (
+      sourceVisible &&
+      (source.data[i] !== target.data[i] ||
+        source.data[i + 1] !== target.data[i + 1] ||
+        source.data[i + 2] !== target.data[i + 2])
+    ) {
+      delta = deltaE2000(toLab(source.data, i), toLab(target.data, i));
+    }
+
+    deltas[p] = delta;
+    if (delta >= threshold) changedPixels++;
+    if (delta > maxDeltaE) maxDeltaE = delta;
+  }
+
+  return {
+    width,
+    height,
+    deltas,
+    threshold,
+    changedPixels,
+    changedRatio: width * height > 0 ? changedPixels / (width * height) : 0,
+    maxDeltaE,
+  };
+}
+
+/**
+ * Render a diff as a heatmap (transparent where unchanged, yellow to red by ΔE)
+ *
+ * @param diff - Pixel diff
+ * @returns RGBA heatmap image
+ */
+export function createHeatmap(diff: PixelDiff): PixelImage {
+  const data = new Uint8ClampedArray(diff.width * diff.height * 4);
+
+  for (let p = 0; p < diff.deltas.length; p++) {
+    const delta = diff.deltas[p];
+    if (delta < diff.threshold) continue;
+
+    const t = Math.min(1, (delta - diff.threshold) / 40);
+    const i = p * 4;
+    data[i] = 255 - 35 * t;
+    data[i + 1] = 220 * (1 - t);
+    data[i + 2] = 0;
+    data[i + 3] = 160 + 80 * t;
+  }
+
+  return { data, width: diff.width, height: diff.height };
+}
+
+/**
+ * Group changed pixels into regions. Pixels are binned into a grid and
+ * neighbouring cells (including diagonals, up to `gap` cells apart) merge.
+ *
+ * @param diff - Pixel diff
+ * @param options.cellSize - Grid cell size in pixels
+ * @param options.gap - Empty cells allowed between merged cells
+ * @param options.minPixels - Smallest region to report
+ * @returns Regions, largest first
+ */
+export function clusterChangedRegions(
+  diff: PixelDiff,
+  { cellSize = 16, gap = 1, minPixels = 4 }: { cellSize?: number; gap?: number; minPixels?: number } = {}
+): DiffRegion[] {
+  const cols = Math.ceil(diff.width / cellSize);
+  const rows = Math.ceil(diff.height / cellSize);
+  const cells = new Map<number, { count: number; sum: number; max: number; minX: number; minY: number; maxX: number; maxY: number }>();
+
+  for (let y = 0; y < diff.height; y++) {
+    for (let x = 0; x < diff.width; x++) {
+      const delta = diff.deltas[y * diff.width + x];
+      if (delta < diff.threshold) continue;
+
+      const key = Math.floor(y / cellSize) * cols + Math.floor(x / cellSize);
+      const cell = cells.get(key);
+      if (cell) {
+        cell.count++;
+        cell.sum += delta;
+        cell.max = Math.max(cell.max, delta);
+        cell.minX = Math.min(cell.minX, x);
+        cell.minY = Math.min(cell.minY, y);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.maxY = Math.max(cell.maxY, y);
+      } else {
+        cells.set(key, { count: 1, sum: delta, max: delta, minX: x, minY: y, maxX: x, maxY: y });
+      }
+    }
+  }
+
+  const regions: DiffRegion[] = [];
+  const visited = new Set<number>();
+
+  for (const start of cells.keys()) {
+    if (visited.has(start)) continue;
+
+    const region = { count: 0, sum: 0, max: 0, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const stack = [start];
+    visited.add(start);
+
+    while (stack.length) {
+      const key = stack.pop()!;
+      const cell = cells.get(key)!;
+      region.count += cell.count;
+      region.sum += cell.sum;
+      region.max = Math.max(region.max, cell.max);
+      region.minX = Math.min(region.minX, cell.minX);
+      region.minY = Math.min(region.minY, cell.minY);
+      region.maxX = Math.max(region.maxX, cell.maxX);
+      region.maxY = Math.max(region.maxY, cell.maxY);
+
+      const row = Math.floor(key / cols);
+      const col = key % cols;
+      for (let dy = -gap - 1; dy <= gap + 1; dy++) {
+        for (let dx = -gap - 1; dx <= gap + 1; dx++) {
+          const r = row + dy;
+          const c = col + dx;
+          if (r < 0 || c < 0 || r >= rows || c >= cols) continue;
+          const neighbour = r * cols + c;
+          if (cells.has(neighbour) && !visited.has(neighbour)) {
+            visited.add(neighbour);
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    if (region.count < minPixels) continue;
+
+    const bounds = {
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+    };
+    regions.push({
+      bounds,
+      centroid: { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 },
+      pixelCount: region.count,
+      meanDeltaE: region.sum / region.count,
+      maxDeltaE: region.max,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixelCount - a.pixelCount);
+}
+
+/**
+ * Convert changed regions to numbered issues (errors first)
+ *
+ * @param regions - Changed regions
+ * @returns Issues with markers at the region centers
+ */
+export function regionsToIssues(regions: DiffRegion[]): Issue[] {
+  const issues: Issue[] = regions.map((region) => {
+    const { width, height } = region.bounds;
+    const missing = region.meanDeltaE >= MISSING_DELTA_E;
+
+    return {
+      id: '',
+      number: 0,
+      type: 'visual',
+      status: region.meanDeltaE > DIFF_THRESHOLDS.FAIL ? 'fail' : 'warn',
+      message: missing
+        ? `Content missing in ${width}×${height} region`
+        : `Visual change in ${width}×${height} region (mean ΔE: ${region.meanDeltaE.toFixed(1)}, max ΔE: ${region.maxDeltaE.toFixed(1)})`,
+      marker: region.centroid,
+      bounds: region.bounds,
+      source: {
+        value: `${region.pixelCount} px changed`,
+      },
+    };
+  });
+
+  issues.sort((a, b) => (a.status === b.status ? 0 : a.status === 'fail' ? -1 : 1));
+  issues.forEach((issue, index) => {
+    issue.number = index + 1;
+    issue.id = `issue-${index + 1}`;
+  });
+
+  return issues;
+}
+
+/**
+ * Full pipeline: align, diff, heatmap and issues
+ *
+ * @param source - Source image
+ * @param target - Target image
+ * @param options.threshold - ΔE at which a pixel counts as changed
+ * @param options.maxShift - Largest alignment shift to search
+ * @returns Aligned images, diff, heatmap, regions and issues
+ */
+export function diffImages(
+  source: PixelImage,
+  target: PixelImage,
+  { threshold, maxShift }: { threshold?: number; maxShift?: number } = {}
+): {
+  aligned: AlignedImages;
+  diff: PixelDiff;
+  heatmap: PixelImage;
+  regions: DiffRegion[];
+  issues: Issue[];
+} {
+  const aligned = alignImages(source, target, { maxShift });
+  const diff = computePixelDiff(aligned.source, aligned.target, { threshold });
+  const regions = clusterChangedRegions(diff);
+
+  return {
+    aligned,
+    diff,
+    heatmap: createHeatmap(diff),
+    regions,
+    issues: regionsToIssues(regions),
+  };
+}
+
+export default {
+  alignImages,
+  computePixelDiff,
+  createHeatmap,
+  clusterChangedRegions,
+  regionsToIssues,
+  diffImages,
+  DIFF_THRESHOLDS,
+};
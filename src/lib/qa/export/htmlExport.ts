@@ -0,0 +1,162 @@
+/**
+ * HTML Export
+ *
+ * Self-contained HTML report: the captured image (inlined as a data URL) with
+ * numbered markers at each issue, followed by an issue table with selectors,
+ * suggested fixes and triage (state, assignee, notes). No external assets,
+ * so the file can be attached to a PR.
+ */
+
+import { CapturedAsset, Issue, QARun } from '../../../types/qa';
+import { QAReport, buildQAReport, reportFileStem } from './qaReport';
+import { downloadBlob } from '../../../services/zipService';
+import { TRIAGE_STATES, getTriage, triageLabel } from '../issues/triage';
+
+const STATUS_COLORS = { fail: '#ef4444', warn: '#eab308', pass: '#22c55e' } as const;
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read a blob as a data URL
+ *
+ * @param blob - Image blob
+ * @returns data: URL
+ */
+export function blobToDataUrl(blob: Blob): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Triage table cell: state, assignee and notes
+ */
+function triageCell(triage: ReturnType<typeof getTriage>): string {
+  return [
+    escapeHtml(triageLabel(triage.state)),
+    triage.assignee && `@${escapeHtml(triage.assignee)}`,
+    triage.notes && `<em>${escapeHtml(triage.notes)}</em>`,
+  ]
+    .filter(Boolean)
+    .join('<br>');
+}
+
+/**
+ * Build the HTML report
+ *
+ * @param report - Structured QA report
+ * @param imageDataUrl - Captured image as a data URL (omitted when null)
+ * @returns Complete HTML document
+ */
+export function buildHtmlReport(report: QAReport, imageDataUrl: string | null): string {
+  const { width, height } = report.source.image;
+  const title = report.source.url || report.source.name || 'Visual QA capture';
+  const { summary } = report;
+
+  const markers = report.issues
+    .map((issue) => {
+      const left = width ? (issue.marker.x / width) * 100 : 0;
+      const top = height ? (issue.marker.y / height) * 100 : 0;
+      return `<a class="marker" href="#issue-${issue.number}" style="left:${left.toFixed(3)}%;top:${top.toFixed(3)}%;background:${STATUS_COLORS[issue.status]}">${issue.number}</a>`;
+    })
+    .join('\n        ');
+
+  const rows = report.issues
+    .map(
+      (issue) => `<tr id="issue-${issue.number}">
+          <td>${issue.number}</td>
+          <td><span class="status" style="background:${STATUS_COLORS[issue.status]}">${escapeHtml(issue.status)}</span></td>
+          <td>${escapeHtml(issue.type)}</td>
+          <td>${escapeHtml(issue.message)}</td>
+          <td>${issue.selector ? `<code>${escapeHtml(issue.selector)}</code>` : ''}</td>
+          <td>${issue.suggestion ? `<code>${escapeHtml(issue.suggestion.cssVariable)}</code>` : ''}</td>
+          <td>${issue.fix ? `<pre>${escapeHtml(issue.fix.cssCode)}</pre>` : ''}</td>
+          <td>${triageCell(getTriage(issue))}</td>
+        </tr>`
+    )
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Visual QA Report – ${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; margin: 2rem; color: #111827; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+    .meta { color: #6b7280; margin: 0 0 1.5rem; }
+    .summary { display: flex; gap: 1.5rem; margin-bottom: 1.5rem; }
+    .summary strong { display: block; font-size: 1.25rem; }
+    .capture { position: relative; display: inline-block; max-width: 100%; border: 1px solid #e5e7eb; }
+    .capture img { display: block; max-width: 100%; height: auto; }
+    .marker { position: absolute; transform: translate(-50%, -50%); width: 22px; height: 22px; border-radius: 50%;
+      color: #fff; font-size: 11px; font-weight: 600; line-height: 22px; text-align: center; text-decoration: none;
+      box-shadow: 0 0 0 2px #fff; }
+    table { border-collapse: collapse; width: 100%; margin-top: 2rem; font-size: 0.875rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f9fafb; }
+    tr:target { background: #eff6ff; }
+    .status { color: #fff; border-radius: 4px; padding: 0 6px; text-transform: uppercase; font-size: 0.75rem; }
+    pre { margin: 0; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>Visual QA Report</h1>
+  <p class="meta">${escapeHtml(title)} · captured ${escapeHtml(report.source.capturedAt)} · generated ${escapeHtml(report.generatedAt)}</p>
+
+  <div class="summary">
+    <div><strong>${summary.total}</strong>issues</div>
+    <div><strong style="color:${STATUS_COLORS.fail}">${summary.fail}</strong>errors</div>
+    <div><strong style="color:${STATUS_COLORS.warn}">${summary.warn}</strong>warnings</div>
+    ${TRIAGE_STATES.map(({ value, label }) => `<div><strong>${summary.triage[value]}</strong>${escapeHtml(label.toLowerCase())}</div>`).join('\n    ')}
+  </div>
+${
+  imageDataUrl
+    ? `
+  <div class="capture">
+    <img src="${imageDataUrl}" alt="Captured page" width="${width}" height="${height}">
+        ${markers}
+  </div>
+`
+    : ''
+}
+  <table>
+    <thead>
+      <tr><th>#</th><th>Status</th><th>Type</th><th>Message</th><th>Selector</th><th>Token</th><th>Fix</th><th>Triage</th></tr>
+    </thead>
+    <tbody>
+        ${rows || '<tr><td colspan="8">No issues found</td></tr>'}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+export async function exportToHtml(asset: CapturedAsset, issues: Issue[], run: QARun | null = null) {
+  const report = buildQAReport(asset, issues, run);
+  const imageBlob = asset.image.blob || (await fetch(asset.image.url).then((res) => res.blob()));
+  const html = buildHtmlReport(report, await blobToDataUrl(imageBlob));
+  downloadBlob(new Blob([html], { type: 'text/html' }), `${reportFileStem(report)}.html`);
+  return report;
+}
+
+export default {
+  buildHtmlReport,
+  blobToDataUrl,
+  exportToHtml,
+};
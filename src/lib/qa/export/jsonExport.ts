@@ -0,0 +1,20 @@
+/**
+ * JSON Export
+ *
+ * Downloads the structured QA report (see qaReport.ts) as pretty-printed JSON.
+ */
+
+import { CapturedAsset, Issue, QARun } from '../../../types/qa';
+import { buildQAReport, reportFileStem } from './qaReport';
+import { downloadBlob } from '../../../services/zipService';
+
+export function exportToJson(asset: CapturedAsset, issues: Issue[], run: QARun | null = null) {
+  const report = buildQAReport(asset, issues, run);
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${reportFileStem(report)}.json`);
+  return report;
+}
+
+export default {
+  exportToJson,
+};
@@ -5,6 +5,7 @@
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 import { CapturedAsset, Issue } from '../../../types/qa';
+import { getTriage, triageLabel } from '../issues/triage';
 
 export async function exportToPdf(asset: CapturedAsset, issues: Issue[]) {
   // Capture the viewer element
@@ -49,12 +50,25 @@ export async function exportToPdf(asset: CapturedAsset, issues: Issue[]) {
     pdf.setTextColor('#000000');
     pdf.text(issue.message, 40, y + 16);
 
+    let lineY = y + 32;
+    pdf.setTextColor('#666666');
     if (issue.suggestion) {
-      pdf.setTextColor('#666666');
-      pdf.text(`Fix: ${issue.suggestion.cssVariable}`, 40, y + 32);
+      pdf.text(`Fix: ${issue.suggestion.cssVariable}`, 40, lineY);
+      lineY += 16;
     }
 
-    y += 60;
+    const triage = getTriage(issue);
+    if (issue.triage) {
+      const assignee = triage.assignee ? ` · @${triage.assignee}` : '';
+      pdf.text(`Triage: ${triageLabel(triage.state)}${assignee}`, 40, lineY);
+      lineY += 16;
+      if (triage.notes) {
+        pdf.text(`Notes: ${triage.notes}`, 40, lineY);
+        lineY += 16;
+      }
+    }
+
+    y = Math.max(lineY, y + 48) + 12;
   }
 
   pdf.save(`qa-report-${Date.now()}.pdf`);
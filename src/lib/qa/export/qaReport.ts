@@ -0,0 +1,105 @@
+/**
+ * QA Report - structured report data shared by the JSON, HTML and SARIF exports
+ *
+ * Combines the captured asset, the issues and the CSS fixes from
+ * fixGenerator (which carry the DOM selector of each issue) into one
+ * serializable object. Issues carry their triage state, assignee and notes;
+ * the summary counts issues per triage state.
+ */
+
+import { CapturedAsset, Issue, QARun } from '../../../types/qa';
+import { generateFixes, Fix } from '../issues/fixGenerator';
+import { calculateIssueStats } from '../issues/issueGenerator';
+import { summarizeTriage } from '../issues/triage';
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const REPORT_TOOL_NAME = 'Design System Admin Visual QA';
+
+/**
+ * Issue with its suggested fix
+ */
+export interface ReportIssue extends Issue {
+  selector?: string;
+  fix?: Omit<Fix, 'issueId'>;
+}
+
+/**
+ * Structured QA report
+ */
+export interface QAReport {
+  schemaVersion: number;
+  tool: string;
+  generatedAt: string;
+  source: {
+    inputType: CapturedAsset['inputType'];
+    url: string | null;
+    name: string | null;
+    capturedAt: string;
+    image: { width: number; height: number };
+  };
+  run: { id: string; themeId: string | null; createdAt: string } | null;
+  summary: ReturnType<typeof calculateIssueStats> & {
+    byType: Record<string, number>;
+    triage: ReturnType<typeof summarizeTriage>;
+  };
+  issues: ReportIssue[];
+}
+
+/**
+ * Build the structured report for a QA capture
+ *
+ * @param asset - Captured asset
+ * @param issues - Issues found in the asset
+ * @param run - Saved run, when the capture was persisted
+ * @returns Report object (JSON-serializable)
+ */
+export function buildQAReport(asset: CapturedAsset, issues: Issue[], run: QARun | null = null): QAReport {
+  const fixes = new Map(generateFixes(issues, asset.domElements).map((fix) => [fix.issueId, fix]));
+  const byType: Record<string, number> = {};
+  for (const issue of issues) {
+    byType[issue.type] = (byType[issue.type] || 0) + 1;
+  }
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: REPORT_TOOL_NAME,
+    generatedAt: new Date().toISOString(),
+    source: {
+      inputType: asset.inputType,
+      url: asset.metadata?.source || null,
+      name: asset.metadata?.name || null,
+      capturedAt: new Date(asset.capturedAt).toISOString(),
+      image: { width: asset.image.width, height: asset.image.height },
+    },
+    run: run ? { id: run.id, themeId: run.theme_id, createdAt: run.created_at } : null,
+    summary: { ...calculateIssueStats(issues), byType, triage: summarizeTriage(issues) },
+    issues: issues.map((issue) => {
+      const fix = fixes.get(issue.id);
+      if (!fix) return { ...issue };
+      const { issueId: _issueId, ...fixFields } = fix;
+      return { ...issue, ...(fix.selector && { selector: fix.selector }), fix: fixFields };
+    }),
+  };
+}
+
+/**
+ * File name stem for a report download
+ *
+ * @param report - QA report
+ * @returns e.g. "qa-report-example-com-2026-01-01"
+ */
+export function reportFileStem(report: QAReport): string {
+  const label = (report.source.url || report.source.name || report.source.inputType)
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase()
+    .slice(0, 60);
+  return `qa-report-${label}-${report.generatedAt.slice(0, 10)}`;
+}
+
+export default {
+  buildQAReport,
+  reportFileStem,
+};
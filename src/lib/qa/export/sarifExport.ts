@@ -0,0 +1,160 @@
+/**
+ * SARIF Export
+ *
+ * SARIF 2.1.0 log for code-scanning tools. Each issue becomes a result whose
+ * location is the captured page (artifact) plus the DOM selector from
+ * fixGenerator as a logical location, so tools can group findings by element.
+ * Partial fingerprints use the same issue identity as saved QA runs, so
+ * findings are tracked across captures. Issues triaged as accepted or
+ * won't fix are reported as suppressed, with the triage notes as justification.
+ */
+
+import { CapturedAsset, Issue, QARun } from '../../../types/qa';
+import { QAReport, REPORT_TOOL_NAME, buildQAReport, reportFileStem } from './qaReport';
+import { issueFingerprint } from '../issues/issueGenerator';
+import { getTriage } from '../issues/triage';
+import { downloadBlob } from '../../../services/zipService';
+
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Rule metadata per issue type
+ */
+const RULES: Record<string, { name: string; description: string }> = {
+  color: { name: 'OffTokenColor', description: 'Color does not match a design token' },
+  font: { name: 'OffTokenFont', description: 'Font does not match a typography role' },
+  spacing: { name: 'OffScaleSpacing', description: 'Padding, margin or gap is off the spacing scale' },
+  radius: { name: 'OffScaleRadius', description: 'Border radius is off the radius scale' },
+  shadow: { name: 'OffTokenShadow', description: 'Box shadow does not match a shadow token' },
+  visual: { name: 'VisualChange', description: 'Pixels changed between source and target' },
+  typography: { name: 'OffTokenTypography', description: 'Typography does not match a typography role' },
+  other: { name: 'DesignSystemDeviation', description: 'Deviation from the design system' },
+};
+
+const LEVELS = { fail: 'error', warn: 'warning', pass: 'note' } as const;
+
+/** Triage states reported as SARIF suppressions */
+const SUPPRESSED_STATES = ['accepted', 'wont_fix'];
+
+/**
+ * SARIF suppressions for an issue's triage state
+ */
+function suppressionsFor(issue: Issue) {
+  const triage = getTriage(issue);
+  if (!SUPPRESSED_STATES.includes(triage.state)) return undefined;
+  return [
+    {
+      kind: 'external',
+      status: 'accepted',
+      ...(triage.notes && { justification: triage.notes }),
+    },
+  ];
+}
+
+/**
+ * Rule id for an issue type (e.g. "qa/color")
+ */
+function ruleId(type: string): string {
+  return `qa/${type}`;
+}
+
+/**
+ * Build a SARIF 2.1.0 log from a QA report
+ *
+ * @param report - Structured QA report
+ * @param version - Tool version
+ * @returns SARIF log object
+ */
+export function buildSarifReport(report: QAReport, version = '1.0.0') {
+  const artifactUri = report.source.url || report.source.name || `capture.${report.source.inputType}`;
+  const types = [...new Set(report.issues.map((issue) => issue.type))];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: REPORT_TOOL_NAME,
+            version,
+            rules: types.map((type) => {
+              const rule = RULES[type] || RULES.other;
+              return {
+                id: ruleId(type),
+                name: rule.name,
+                shortDescription: { text: rule.description },
+              };
+            }),
+          },
+        },
+        artifacts: [{ location: { uri: artifactUri } }],
+        invocations: [
+          {
+            executionSuccessful: true,
+            endTimeUtc: report.generatedAt,
+          },
+        ],
+        results: report.issues.map((issue) => ({
+          ruleId: ruleId(issue.type),
+          ruleIndex: types.indexOf(issue.type),
+          level: LEVELS[issue.status],
+          message: {
+            text: issue.suggestion
+              ? `${issue.message}. Use ${issue.suggestion.cssVariable}`
+              : issue.message,
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: artifactUri, index: 0 },
+              },
+              ...(issue.selector && {
+                logicalLocations: [
+                  {
+                    name: issue.selector,
+                    fullyQualifiedName: `${artifactUri}#${issue.selector}`,
+                    kind: 'element',
+                  },
+                ],
+              }),
+            },
+          ],
+          partialFingerprints: {
+            'qaIssue/v1': issueFingerprint(issue),
+          },
+          ...(suppressionsFor(issue) && { suppressions: suppressionsFor(issue) }),
+          properties: {
+            issueNumber: issue.number,
+            bounds: issue.bounds,
+            sourceValue: issue.source.value,
+            ...(issue.suggestion && { suggestion: issue.suggestion }),
+            ...(issue.fix && { fix: issue.fix.cssCode }),
+            triage: getTriage(issue),
+          },
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Download the QA report as a SARIF file
+ *
+ * @param asset - Captured asset
+ * @param issues - Issues found in the asset
+ * @param run - Saved run, when the capture was persisted
+ * @returns SARIF log object that was downloaded
+ */
+export function exportToSarif(asset: CapturedAsset, issues: Issue[], run: QARun | null = null) {
+  const report = buildQAReport(asset, issues, run);
+  const sarif = buildSarifReport(report);
+  const blob = new Blob([JSON.stringify(sarif, null, 2)], { type: 'application/sarif+json' });
+  downloadBlob(blob, `${reportFileStem(report)}.sarif`);
+  return sarif;
+}
+
+export default {
+  buildSarifReport,
+  exportToSarif,
+};
@@ -5,6 +5,7 @@
  * This module takes DOM elements captured from a webpage and extracts:
  * - Background colors with their locations
  * - Text styles (font family, size, weight, color) with their locations
+ * - Spacing (padding, margin, gap), border radius and box shadow values
  */
 
 /**
@@ -32,16 +33,107 @@
  * @typedef {Object} DOMElement
  * @property {string} selector - CSS selector
  * @property {{x: number, y: number, width: number, height: number}} bounds - Element bounds
- * @property {{color: string, backgroundColor: string, fontFamily: string, fontSize: string, fontWeight: string}} styles
+ * @property {{color: string, backgroundColor: string, fontFamily: string, fontSize: string, fontWeight: string, padding?: string, margin?: string, gap?: string, borderRadius?: string, boxShadow?: string}} styles
  * @property {string} textContent - Element text content
  */
 
+/**
+ * @typedef {Object} LocatedBoxStyle
+ * @property {'spacing' | 'radius' | 'shadow'} kind - Token category the value is checked against
+ * @property {string} property - CSS property (e.g. "padding", "margin-top", "border-top-left-radius")
+ * @property {string} value - Computed CSS value (e.g. "12px")
+ * @property {string} selector - CSS selector for the element
+ * @property {{x: number, y: number, width: number, height: number}} bounds - Bounding box
+ * @property {{x: number, y: number}} centroid - Center point
+ */
+
+const BOX_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Expand a 1-4 value CSS shorthand to its four sides (top, right, bottom, left)
+ * @param {string | undefined} shorthand - Computed shorthand value (e.g. "8px 16px")
+ * @returns {string[]} Four values, or an empty array for an empty value
+ */
+function expandShorthand(shorthand) {
+  const parts = shorthand?.trim().split(/\s+/).filter(Boolean) || [];
+  if (parts.length === 0) return [];
+  const [top, right = top, bottom = top, left = right] = parts;
+  return [top, right, bottom, left];
+}
+
+/**
+ * Whether a computed length can be checked against the scale
+ * (zero, auto and percentages are always allowed)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isCheckableLength(value) {
+  return /^-?[\d.]+px$/.test(value) && parseFloat(value) !== 0;
+}
+
+/**
+ * Split a shorthand into checkable properties. Equal sides collapse back
+ * into the shorthand so uniform padding produces a single entry.
+ * @param {string} shorthand - Shorthand property name (e.g. "padding")
+ * @param {string[]} longhands - Longhand names in shorthand order
+ * @param {string[]} values - Expanded values in the same order
+ * @returns {Array<{property: string, value: string}>}
+ */
+function splitBoxValues(shorthand, longhands, values) {
+  if (values.length > 0 && values.every((v) => v === values[0])) {
+    return isCheckableLength(values[0]) ? [{ property: shorthand, value: values[0] }] : [];
+  }
+  return values
+    .map((value, i) => ({ property: longhands[i], value }))
+    .filter(({ value }) => isCheckableLength(value));
+}
+
+/**
+ * Collect the spacing, radius and shadow values of one element
+ * @param {DOMElement['styles']} styles - Computed styles of the element
+ * @returns {Array<{kind: LocatedBoxStyle['kind'], property: string, value: string}>}
+ */
+function getBoxStyleValues(styles) {
+  const values = [];
+
+  for (const shorthand of ['padding', 'margin']) {
+    const longhands = BOX_SIDES.map((side) => `${shorthand}-${side}`);
+    for (const entry of splitBoxValues(shorthand, longhands, expandShorthand(styles[shorthand]))) {
+      values.push({ kind: 'spacing', ...entry });
+    }
+  }
+
+  if (styles.gap && styles.gap !== 'normal') {
+    const [row, column = row] = styles.gap.trim().split(/\s+/);
+    for (const entry of splitBoxValues('gap', ['row-gap', 'column-gap'], [row, column])) {
+      values.push({ kind: 'spacing', ...entry });
+    }
+  }
+
+  if (styles.borderRadius) {
+    // Elliptical radii ("4px / 8px") are checked on their horizontal radius
+    const corners = expandShorthand(styles.borderRadius.split('/')[0]);
+    const longhands = ['top-left', 'top-right', 'bottom-right', 'bottom-left'].map(
+      (corner) => `border-${corner}-radius`
+    );
+    for (const entry of splitBoxValues('border-radius', longhands, corners)) {
+      values.push({ kind: 'radius', ...entry });
+    }
+  }
+
+  if (styles.boxShadow && styles.boxShadow !== 'none') {
+    values.push({ kind: 'shadow', property: 'box-shadow', value: styles.boxShadow });
+  }
+
+  return values;
+}
+
 /**
  * Parse a CSS color string (rgb/rgba) to hex and RGB values
  * @param {string} cssColor - CSS color string
  * @returns {{hex: string, rgb: {r: number, g: number, b: number}} | null}
  */
-function parseColor(cssColor) {
+export function parseColor(cssColor) {
   if (!cssColor || cssColor === 'transparent' || cssColor === 'rgba(0, 0, 0, 0)') {
     return null;
   }
@@ -62,15 +154,17 @@ function parseColor(cssColor) {
 }
 
 /**
- * Extract colors and fonts from captured DOM elements
+ * Extract colors, fonts and box styles from captured DOM elements
  * @param {DOMElement[]} elements - Array of captured DOM elements
- * @returns {{colors: LocatedColor[], fonts: LocatedFont[]}}
+ * @returns {{colors: LocatedColor[], fonts: LocatedFont[], boxStyles: LocatedBoxStyle[]}}
  */
 export function extractFromDOM(elements) {
   /** @type {Map<string, LocatedColor>} */
   const colorMap = new Map();
   /** @type {LocatedFont[]} */
   const fonts = [];
+  /** @type {Map<string, LocatedBoxStyle>} */
+  const boxStyleMap = new Map();
 
   for (const el of elements) {
     // Extract background colors
@@ -111,11 +205,33 @@ export function extractFromDOM(elements) {
         },
       });
     }
+
+    // Extract spacing, radius and shadow values (one per selector/property/value)
+    for (const { kind, property, value } of getBoxStyleValues(el.styles)) {
+      const key = `${el.selector}|${property}|${value}`;
+      const existing = boxStyleMap.get(key);
+      const elArea = el.bounds.width * el.bounds.height;
+
+      if (!existing || elArea > existing.bounds.width * existing.bounds.height) {
+        boxStyleMap.set(key, {
+          kind,
+          property,
+          value,
+          selector: el.selector,
+          bounds: el.bounds,
+          centroid: {
+            x: el.bounds.x + el.bounds.width / 2,
+            y: el.bounds.y + el.bounds.height / 2,
+          },
+        });
+      }
+    }
   }
 
   return {
     colors: Array.from(colorMap.values()),
     fonts,
+    boxStyles: Array.from(boxStyleMap.values()),
   };
 }
 
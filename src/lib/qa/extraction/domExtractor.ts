@@ -1,6 +1,6 @@
 /**
  * DOM Extractor - Chunk 7.09
- * Convert captured DOM elements to LocatedColor and LocatedFont.
+ * Convert captured DOM elements to LocatedColor, LocatedFont and LocatedBoxStyle.
  */
 
 import { DOMElement } from '../../../types/qa';
@@ -20,12 +20,111 @@ export interface LocatedFont {
   centroid: { x: number; y: number };
 }
 
+/**
+ * Spacing, radius or shadow value with position information
+ */
+export interface LocatedBoxStyle {
+  kind: 'spacing' | 'radius' | 'shadow';
+  /** CSS property, e.g. "padding", "margin-top", "border-top-left-radius" */
+  property: string;
+  /** Computed CSS value, e.g. "12px" */
+  value: string;
+  selector: string;
+  bounds: { x: number; y: number; width: number; height: number };
+  centroid: { x: number; y: number };
+}
+
+const BOX_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Expand a 1-4 value CSS shorthand to its four sides (top, right, bottom, left)
+ * @param shorthand - Computed shorthand value (e.g. "8px 16px")
+ * @returns Four values, or an empty array for an empty value
+ */
+function expandShorthand(shorthand: string | undefined): string[] {
+  const parts = shorthand?.trim().split(/\s+/).filter(Boolean) || [];
+  if (parts.length === 0) return [];
+  const [top, right = top, bottom = top, left = right] = parts;
+  return [top, right, bottom, left];
+}
+
+/**
+ * Whether a computed length can be checked against the scale
+ * (zero, auto and percentages are always allowed)
+ */
+function isCheckableLength(value: string): boolean {
+  return /^-?[\d.]+px$/.test(value) && parseFloat(value) !== 0;
+}
+
+/**
+ * Split a shorthand into checkable properties. Equal sides collapse back
+ * into the shorthand so uniform padding produces a single entry.
+ * @param shorthand - Shorthand property name (e.g. "padding")
+ * @param longhands - Longhand names in shorthand order
+ * @param values - Expanded values in the same order
+ * @returns Property/value pairs worth checking
+ */
+function splitBoxValues(
+  shorthand: string,
+  longhands: string[],
+  values: string[]
+): Array<{ property: string; value: string }> {
+  if (values.length > 0 && values.every((v) => v === values[0])) {
+    return isCheckableLength(values[0]) ? [{ property: shorthand, value: values[0] }] : [];
+  }
+  return values
+    .map((value, i) => ({ property: longhands[i], value }))
+    .filter(({ value }) => isCheckableLength(value));
+}
+
+/**
+ * Collect the spacing, radius and shadow values of one element
+ * @param styles - Computed styles of the element
+ * @returns Box style values without location data
+ */
+function getBoxStyleValues(
+  styles: DOMElement['styles']
+): Array<{ kind: LocatedBoxStyle['kind']; property: string; value: string }> {
+  const values: Array<{ kind: LocatedBoxStyle['kind']; property: string; value: string }> = [];
+
+  for (const shorthand of ['padding', 'margin'] as const) {
+    const longhands = BOX_SIDES.map((side) => `${shorthand}-${side}`);
+    for (const entry of splitBoxValues(shorthand, longhands, expandShorthand(styles[shorthand]))) {
+      values.push({ kind: 'spacing', ...entry });
+    }
+  }
+
+  if (styles.gap && styles.gap !== 'normal') {
+    const [row, column = row] = styles.gap.trim().split(/\s+/);
+    for (const entry of splitBoxValues('gap', ['row-gap', 'column-gap'], [row, column])) {
+      values.push({ kind: 'spacing', ...entry });
+    }
+  }
+
+  if (styles.borderRadius) {
+    // Elliptical radii ("4px / 8px") are checked on their horizontal radius
+    const corners = expandShorthand(styles.borderRadius.split('/')[0]);
+    const longhands = ['top-left', 'top-right', 'bottom-right', 'bottom-left'].map(
+      (corner) => `border-${corner}-radius`
+    );
+    for (const entry of splitBoxValues('border-radius', longhands, corners)) {
+      values.push({ kind: 'radius', ...entry });
+    }
+  }
+
+  if (styles.boxShadow && styles.boxShadow !== 'none') {
+    values.push({ kind: 'shadow', property: 'box-shadow', value: styles.boxShadow });
+  }
+
+  return values;
+}
+
 /**
  * Parse a CSS color string to hex and RGB
  * @param cssColor - CSS color string (e.g., 'rgb(255, 0, 0)' or 'rgba(255, 0, 0, 1)')
  * @returns Parsed color or null if invalid/transparent
  */
-function parseColor(cssColor: string): { hex: string; rgb: { r: number; g: number; b: number } } | null {
+export function parseColor(cssColor: string): { hex: string; rgb: { r: number; g: number; b: number } } | null {
   if (!cssColor || cssColor === 'transparent' || cssColor === 'rgba(0, 0, 0, 0)') {
     return null;
   }
@@ -42,16 +141,18 @@ function parseColor(cssColor: string): { hex: string; rgb: { r: number; g: numbe
 }
 
 /**
- * Extract colors and fonts from DOM elements
+ * Extract colors, fonts and box styles from DOM elements
  * @param elements - Array of DOM elements with styles and bounds
- * @returns Object containing arrays of located colors and fonts
+ * @returns Object containing arrays of located colors, fonts and box styles
  */
 export function extractFromDOM(elements: DOMElement[]): {
   colors: LocatedColor[];
   fonts: LocatedFont[];
+  boxStyles: LocatedBoxStyle[];
 } {
   const colorMap = new Map<string, LocatedColor>();
   const fonts: LocatedFont[] = [];
+  const boxStyleMap = new Map<string, LocatedBoxStyle>();
 
   for (const el of elements) {
     // Extract background colors
@@ -89,11 +190,31 @@ export function extractFromDOM(elements: DOMElement[]): {
         },
       });
     }
+
+    // Extract spacing, radius and shadow values (one per selector/property/value)
+    for (const { kind, property, value } of getBoxStyleValues(el.styles)) {
+      const key = `${el.selector}|${property}|${value}`;
+      const existing = boxStyleMap.get(key);
+      if (!existing || el.bounds.width * el.bounds.height > existing.bounds.width * existing.bounds.height) {
+        boxStyleMap.set(key, {
+          kind,
+          property,
+          value,
+          selector: el.selector,
+          bounds: el.bounds,
+          centroid: {
+            x: el.bounds.x + el.bounds.width / 2,
+            y: el.bounds.y + el.bounds.height / 2,
+          },
+        });
+      }
+    }
   }
 
   return {
     colors: Array.from(colorMap.values()),
     fonts,
+    boxStyles: Array.from(boxStyleMap.values()),
   };
 }
 
@@ -6,47 +6,63 @@
 import { CapturedAsset } from '../../../types/qa';
 import { extractUniqueColors } from './colorExtractor';
 import { locateColorsOptimized, LocatedColor } from './regionDetector';
-import { extractFromDOM, LocatedFont } from './domExtractor';
+import { extractFromDOM, LocatedFont, LocatedBoxStyle } from './domExtractor';
 import { extractFonts } from './fontExtractor';
+import { QASettings } from '../qaSettings';
 
 /**
- * Result of extraction containing colors and fonts with location data
+ * Result of extraction containing colors, fonts and box styles with location data
  */
 export interface ExtractionResult {
   colors: LocatedColor[];
   fonts: LocatedFont[];
+  /** Spacing, radius and shadow values (DOM captures only) */
+  boxStyles: LocatedBoxStyle[];
 }
 
 /**
- * Extract all colors and fonts from a captured asset
+ * Extract all colors, fonts and box styles from a captured asset
  *
- * For URL captures: Uses DOM data with precise bounds
- * For image/Figma captures: Uses canvas extraction with region detection
+ * For URL captures: Uses DOM data with precise bounds (including spacing,
+ * radius and shadow values)
+ * For image/Figma captures: Uses canvas extraction with region detection;
+ * with QA settings, colors without a region of the minimum size are dropped
  *
  * @param asset - Captured asset to extract from
+ * @param settings - QA settings (minimum region size)
  * @returns Extraction result with located colors and fonts
  */
-export async function extractAll(asset: CapturedAsset): Promise<ExtractionResult> {
+export async function extractAll(
+  asset: CapturedAsset,
+  settings?: Pick<QASettings, 'minRegionPercent'>
+): Promise<ExtractionResult> {
   let colors: LocatedColor[] = [];
   let fonts: LocatedFont[] = [];
+  let boxStyles: LocatedBoxStyle[] = [];
 
   // For URL captures, we have DOM data with precise bounds
   if (asset.inputType === 'url' && asset.domElements) {
     const domResult = extractFromDOM(asset.domElements);
     colors = domResult.colors;
     fonts = domResult.fonts;
+    boxStyles = domResult.boxStyles;
   }
   // For image/Figma, use canvas extraction
   else if (asset.image.blob) {
     const rawColors = await extractUniqueColors(asset.image.blob);
-    colors = await locateColorsOptimized(asset.image.blob, rawColors);
+    colors = await locateColorsOptimized(
+      asset.image.blob,
+      rawColors,
+      undefined,
+      settings ? { minRegionPercent: settings.minRegionPercent, dropUnlocated: true } : {}
+    );
 
     if (asset.domElements) {
       fonts = extractFonts(asset.domElements);
     }
   }
 
-  return { colors, fonts };
+  return { colors, fonts, boxStyles };
 }
 
 export default {
@@ -33,6 +33,11 @@
  * @property {number} [minRegionPercent=0.1] - Min region size as % of image
  */
 
+/**
+ * @typedef {DetectOptions & {dropUnlocated?: boolean}} LocateOptions
+ * dropUnlocated leaves out colors without a region of minRegionPercent (default: false)
+ */
+
 /**
  * ITERATIVE flood-fill to avoid stack overflow on large regions
  * @param {Uint8Array} mask - Binary mask of matching pixels
@@ -134,28 +139,34 @@ export function detectColorRegions(imageData, targetRgb, options = {}) {
  * Add bounds + centroid to extracted colors
  * @param {ImageData} imageData - The image data to analyze
  * @param {Array<{hex: string, rgb: {r: number, g: number, b: number}, percentage: number}>} colors - Colors to locate
+ * @param {LocateOptions} [options] - Detection options
  * @returns {LocatedColor[]} Colors with location information
  */
-export function locateColors(imageData, colors) {
-  return colors.map((color) => {
-    const regions = detectColorRegions(imageData, color.rgb);
+export function locateColors(imageData, colors, options = {}) {
+  const { dropUnlocated = false, ...detectOptions } = options;
+  const located = [];
+
+  for (const color of colors) {
+    const regions = detectColorRegions(imageData, color.rgb, detectOptions);
     const largest = regions[0];
 
     if (largest) {
-      return {
+      located.push({
         ...color,
         bounds: largest.bounds,
         centroid: largest.centroid,
-      };
+      });
+    } else if (!dropUnlocated) {
+      // Fallback: center of image
+      located.push({
+        ...color,
+        bounds: { x: 0, y: 0, width: imageData.width, height: imageData.height },
+        centroid: { x: imageData.width / 2, y: imageData.height / 2 },
+      });
     }
+  }
 
-    // Fallback: center of image
-    return {
-      ...color,
-      bounds: { x: 0, y: 0, width: imageData.width, height: imageData.height },
-      centroid: { x: imageData.width / 2, y: imageData.height / 2 },
-    };
-  });
+  return located;
 }
 
 /**
@@ -163,9 +174,10 @@ export function locateColors(imageData, colors) {
  * @param {Blob} imageBlob - The image blob to analyze
  * @param {Array<{hex: string, rgb: {r: number, g: number, b: number}, percentage: number}>} colors - Colors to locate
  * @param {number} [maxDimension=500] - Maximum dimension for downscaled processing
+ * @param {LocateOptions} [options] - Detection options passed to locateColors
  * @returns {Promise<LocatedColor[]>} Colors with location information (scaled to original size)
  */
-export async function locateColorsOptimized(imageBlob, colors, maxDimension = 500) {
+export async function locateColorsOptimized(imageBlob, colors, maxDimension = 500, options = {}) {
   const img = await createImageBitmap(imageBlob);
 
   // Downscale if needed
@@ -178,7 +190,7 @@ export async function locateColorsOptimized(imageBlob, colors, maxDimension = 50
   ctx.drawImage(img, 0, 0, w, h);
   const imageData = ctx.getImageData(0, 0, w, h);
 
-  const located = locateColors(imageData, colors);
+  const located = locateColors(imageData, colors, options);
 
   // Scale bounds back to original size
   const invScale = 1 / scale;
@@ -34,11 +34,18 @@ export interface LocatedColor {
 /**
  * Options for region detection
  */
-interface DetectOptions {
+export interface DetectOptions {
   tolerance?: number;        // Color distance tolerance (default: 10)
   minRegionPercent?: number; // Min region size as % of image (default: 0.1)
 }
 
+/**
+ * Options for locating colors
+ */
+export interface LocateOptions extends DetectOptions {
+  dropUnlocated?: boolean;   // Leave out colors without a region of minRegionPercent (default: false)
+}
+
 /**
  * ITERATIVE flood-fill to avoid stack overflow on large regions
  */
@@ -137,31 +144,38 @@ export function detectColorRegions(
  * Add bounds + centroid to extracted colors
  * @param imageData - ImageData from canvas
  * @param colors - Array of extracted colors
+ * @param options - Detection options; dropUnlocated leaves out colors without a large enough region
  * @returns Array of located colors with position information
  */
 export function locateColors(
   imageData: ImageData,
-  colors: Array<{ hex: string; rgb: { r: number; g: number; b: number }; percentage: number }>
+  colors: Array<{ hex: string; rgb: { r: number; g: number; b: number }; percentage: number }>,
+  options: LocateOptions = {}
 ): LocatedColor[] {
-  return colors.map(color => {
-    const regions = detectColorRegions(imageData, color.rgb);
+  const { dropUnlocated = false, ...detectOptions } = options;
+  const located: LocatedColor[] = [];
+
+  for (const color of colors) {
+    const regions = detectColorRegions(imageData, color.rgb, detectOptions);
     const largest = regions[0];
 
     if (largest) {
-      return {
+      located.push({
         ...color,
         bounds: largest.bounds,
         centroid: largest.centroid,
-      };
+      });
+    } else if (!dropUnlocated) {
+      // Fallback: center of image
+      located.push({
+        ...color,
+        bounds: { x: 0, y: 0, width: imageData.width, height: imageData.height },
+        centroid: { x: imageData.width / 2, y: imageData.height / 2 },
+      });
     }
+  }
 
-    // Fallback: center of image
-    return {
-      ...color,
-      bounds: { x: 0, y: 0, width: imageData.width, height: imageData.height },
-      centroid: { x: imageData.width / 2, y: imageData.height / 2 },
-    };
-  });
+  return located;
 }
 
 /**
@@ -169,12 +183,14 @@ export function locateColors(
  * @param imageBlob - Image blob to analyze
  * @param colors - Array of extracted colors
  * @param maxDimension - Maximum dimension for downscaling (default: 500)
+ * @param options - Detection options passed to locateColors
  * @returns Array of located colors with position information (scaled back to original size)
  */
 export async function locateColorsOptimized(
   imageBlob: Blob,
   colors: Array<{ hex: string; rgb: { r: number; g: number; b: number }; percentage: number }>,
-  maxDimension = 500
+  maxDimension = 500,
+  options: LocateOptions = {}
 ): Promise<LocatedColor[]> {
   const img = await createImageBitmap(imageBlob);
 
@@ -188,7 +204,7 @@ export async function locateColorsOptimized(
   ctx.drawImage(img, 0, 0, w, h);
   const imageData = ctx.getImageData(0, 0, w, h);
 
-  const located = locateColors(imageData, colors);
+  const located = locateColors(imageData, colors, options);
 
   // Scale bounds back to original size
   const invScale = 1 / scale;
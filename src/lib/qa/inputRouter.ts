@@ -6,10 +6,23 @@
  */
 
 import { QAInput, CapturedAsset, InputType, FigmaNode } from '../../types/qa';
-import { captureWithDom, DOMElement } from '../../services/screenshotService';
+import { captureWithDom, CaptureResult, DOMElement, Viewport } from '../../services/screenshotService';
 import { FigmaService } from '../../services/figmaService';
 import { parseFigmaUrl } from './figmaParser';
 
+/**
+ * Page capture function (the capture-with-dom edge function by default)
+ */
+export type CapturePage = (url: string, viewport?: Viewport) => Promise<CaptureResult>;
+
+/**
+ * Options for captureInput
+ */
+export interface CaptureOptions {
+  /** Replaces captureWithDom for URL inputs (e.g. a local stand-in in tests) */
+  capturePage?: CapturePage;
+}
+
 /**
  * Generate a unique ID for captured assets
  */
@@ -20,14 +33,17 @@ function generateId(): string {
 /**
  * Route input to appropriate handler and return normalized CapturedAsset
  */
-export async function captureInput(input: QAInput): Promise<CapturedAsset> {
+export async function captureInput(
+  input: QAInput,
+  options: CaptureOptions = {}
+): Promise<CapturedAsset> {
   const id = generateId();
 
   switch (input.type) {
     case 'image':
       return captureFromImage(id, input);
     case 'url':
-      return captureFromUrl(id, input);
+      return captureFromUrl(id, input, options.capturePage || captureWithDom);
     case 'figma':
       return captureFromFigma(id, input);
     default:
@@ -53,18 +69,25 @@ async function captureFromImage(id: string, input: QAInput): Promise<CapturedAss
       height: input.height || 0,
     },
     capturedAt: new Date(),
+    metadata: {
+      name: input.file.name,
+    },
   };
 }
 
 /**
  * Handle URL capture input - takes screenshot and extracts DOM elements
  */
-async function captureFromUrl(id: string, input: QAInput): Promise<CapturedAsset> {
+async function captureFromUrl(
+  id: string,
+  input: QAInput,
+  capturePage: CapturePage
+): Promise<CapturedAsset> {
   if (!input.url) {
     throw new Error('Missing URL for URL input');
   }
 
-  const result = await captureWithDom(input.url);
+  const result = await capturePage(input.url, input.viewport);
 
   // Convert base64 screenshot to blob
   const blob = await fetch(`data:image/png;base64,${result.screenshot}`).then((r) =>
@@ -82,6 +105,9 @@ async function captureFromUrl(id: string, input: QAInput): Promise<CapturedAsset
     },
     domElements: result.elements as DOMElement[],
     capturedAt: new Date(),
+    metadata: {
+      source: input.url,
+    },
   };
 }
 
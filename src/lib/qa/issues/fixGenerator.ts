@@ -7,6 +7,7 @@
  * Features:
  * - Generates CSS fixes for color issues (background-color, color)
  * - Generates CSS fixes for font issues (font-family, font-size, font-weight)
+ * - Generates CSS fixes for spacing, radius and shadow issues (the issue's property)
  * - Links fixes to DOM selectors when available
  * - Produces copy-pasteable CSS code snippets
  */
@@ -39,6 +40,11 @@ export interface Fix {
  * @returns CSS property name
  */
 function determineProperty(issue: Issue, domElement?: DOMElement): string {
+  // Spacing, radius and shadow issues know their exact property (e.g. padding-top)
+  if (issue.property) {
+    return issue.property;
+  }
+
   if (issue.type === 'font') {
     return 'font';
   }
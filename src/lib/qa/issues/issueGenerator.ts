@@ -1,33 +1,49 @@
 /**
  * Issue Generator - Chunk 7.14
  *
- * Convert color and font matches into numbered issues with marker positions.
+ * Convert color, font and box style matches into numbered issues with marker positions.
  * Issues are sorted by severity (fail first, then warn) and re-numbered.
  *
  * Each issue contains:
  * - Unique ID and display number
- * - Type (color or font)
+ * - Type (color, font, spacing, radius or shadow)
  * - Status (pass, warn, fail)
  * - Human-readable message
  * - Marker position for overlay
  * - Bounds for highlighting
  * - Source value and suggestion for fix
+ *
+ * Issues whose fingerprint is on the site's allowlist (deviations accepted
+ * during triage) are left out, as are issues in regions and colors ignored
+ * by the theme's QA settings.
  */
 
 import { ColorMatch } from '../matching/colorMatcher';
 import { FontMatch } from '../matching/fontMatcher';
+import { BoxStyleMatch } from '../matching/boxStyleMatcher';
 import { Issue } from '../../../types/qa';
+import { QASettings, normalizeQASettings, isInIgnoredRegion, isIgnoredColor } from '../qaSettings';
 
 /**
  * Issue type discriminator
  */
-export type IssueType = 'color' | 'font';
+export type IssueType = 'color' | 'font' | 'spacing' | 'radius' | 'shadow' | 'visual';
 
 /**
  * Issue status levels
  */
 export type IssueStatus = 'pass' | 'warn' | 'fail';
 
+/**
+ * Options for generateIssues / generateAllIssues
+ */
+export interface IssueGeneratorOptions {
+  /** Fingerprints of accepted deviations to suppress */
+  allowlist?: Iterable<string>;
+  /** QA settings whose ignored colors and regions are suppressed */
+  settings?: Partial<QASettings>;
+}
+
 /**
  * Sort order for issue statuses (lower = higher priority)
  */
@@ -72,6 +88,29 @@ function generateFontMessage(match: FontMatch): string {
   return `Font ${match.source.fontFamily} ${match.source.fontSize} detected`;
 }
 
+/**
+ * Generate a human-readable message for a spacing, radius or shadow issue
+ *
+ * @param match - Box style match result
+ * @returns Issue message string
+ */
+function generateBoxStyleMessage(match: BoxStyleMatch): string {
+  const { property, value, kind } = match.source;
+
+  if (match.status === 'fail') {
+    return match.token
+      ? `${property} ${value} is off the ${kind} scale (nearest: ${match.token.path} ${match.token.value})`
+      : `${property} ${value} is off the ${kind} scale`;
+  }
+  if (match.status === 'warn' && match.token) {
+    return `${property} ${value} close to ${match.token.path} (${match.token.value})`;
+  }
+  if (match.token) {
+    return `${property} ${value} matches ${match.token.path}`;
+  }
+  return `${property} ${value} detected`;
+}
+
 /**
  * Convert a color match to an Issue object
  *
@@ -132,20 +171,86 @@ function fontMatchToIssue(match: FontMatch, number: number): Issue {
 }
 
 /**
- * Generate issues from color and font matches
+ * Convert a box style match to an Issue object
+ *
+ * @param match - Box style match result
+ * @param number - Issue number for display
+ * @returns Issue object
+ */
+function boxStyleMatchToIssue(match: BoxStyleMatch, number: number): Issue {
+  return {
+    id: `issue-${number}`,
+    number,
+    type: match.source.kind,
+    status: match.status,
+    message: generateBoxStyleMessage(match),
+    marker: match.source.centroid,
+    bounds: match.source.bounds,
+    property: match.source.property,
+    source: {
+      value: match.source.value,
+    },
+    suggestion: match.token
+      ? {
+          tokenName: match.token.path,
+          cssVariable: match.token.cssVariable,
+          value: match.token.value,
+        }
+      : undefined,
+  };
+}
+
+/**
+ * Identity of an issue across runs: type, property and source value
+ * (issue numbers and positions change between runs)
+ *
+ * @param issue - Issue
+ * @returns Fingerprint string
+ */
+export function issueFingerprint(issue: Pick<Issue, 'type' | 'property' | 'source'>): string {
+  return [issue.type, issue.property || '', issue.source?.value ?? ''].join('|');
+}
+
+/**
+ * Drop issues whose fingerprint is allowlisted
+ */
+function suppressAllowlisted(issues: Issue[], allowlist?: Iterable<string>): Issue[] {
+  if (!allowlist) return issues;
+  const suppressed = new Set(allowlist);
+  return suppressed.size ? issues.filter((issue) => !suppressed.has(issueFingerprint(issue))) : issues;
+}
+
+/**
+ * Drop issues in ignored regions and color issues for ignored colors
+ */
+function suppressIgnored(issues: Issue[], settings?: Partial<QASettings>): Issue[] {
+  if (!settings) return issues;
+  const resolved = normalizeQASettings(settings);
+  return issues.filter((issue) => {
+    if (isInIgnoredRegion(issue.marker, resolved)) return false;
+    return !(issue.type === 'color' && isIgnoredColor({ hex: issue.source.value }, resolved));
+  });
+}
+
+/**
+ * Generate issues from color, font and box style matches
  *
  * Filters out passing matches (only warn and fail become issues),
  * sorts by severity (fail first), and assigns sequential numbers.
  *
  * @param colorMatches - Array of color match results
  * @param fontMatches - Array of font match results
+ * @param boxStyleMatches - Array of spacing, radius and shadow match results
+ * @param options - Allowlist of accepted deviations and QA settings
  * @returns Array of issues sorted by severity and numbered
  */
 export function generateIssues(
   colorMatches: ColorMatch[],
-  fontMatches: FontMatch[]
+  fontMatches: FontMatch[],
+  boxStyleMatches: BoxStyleMatch[] = [],
+  options: IssueGeneratorOptions = {}
 ): Issue[] {
-  const issues: Issue[] = [];
+  let issues: Issue[] = [];
   let tempNumber = 1;
 
   // Process color matches (fail and warn only)
@@ -162,6 +267,15 @@ export function generateIssues(
     tempNumber++;
   }
 
+  // Process spacing, radius and shadow matches (fail and warn only)
+  for (const match of boxStyleMatches) {
+    if (match.status === 'pass') continue;
+    issues.push(boxStyleMatchToIssue(match, tempNumber));
+    tempNumber++;
+  }
+
+  issues = suppressIgnored(suppressAllowlisted(issues, options.allowlist), options.settings);
+
   // Sort by severity (fail first, then warn)
   issues.sort((a, b) => {
     return STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
@@ -184,13 +298,17 @@ export function generateIssues(
  *
  * @param colorMatches - Array of color match results
  * @param fontMatches - Array of font match results
+ * @param boxStyleMatches - Array of spacing, radius and shadow match results
+ * @param options - Allowlist of accepted deviations and QA settings
  * @returns Array of all issues (including passes) sorted by severity
  */
 export function generateAllIssues(
   colorMatches: ColorMatch[],
-  fontMatches: FontMatch[]
+  fontMatches: FontMatch[],
+  boxStyleMatches: BoxStyleMatch[] = [],
+  options: IssueGeneratorOptions = {}
 ): Issue[] {
-  const issues: Issue[] = [];
+  let issues: Issue[] = [];
   let tempNumber = 1;
 
   // Process all color matches
@@ -205,6 +323,14 @@ export function generateAllIssues(
     tempNumber++;
   }
 
+  // Process all spacing, radius and shadow matches
+  for (const match of boxStyleMatches) {
+    issues.push(boxStyleMatchToIssue(match, tempNumber));
+    tempNumber++;
+  }
+
+  issues = suppressIgnored(suppressAllowlisted(issues, options.allowlist), options.settings);
+
   // Sort by severity (fail first, then warn, then pass)
   issues.sort((a, b) => {
     return STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
@@ -284,6 +410,7 @@ export function getActionableIssues(issues: Issue[]): Issue[] {
 }
 
 export default {
+  issueFingerprint,
   generateIssues,
   generateAllIssues,
   calculateIssueStats,
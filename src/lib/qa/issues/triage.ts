@@ -0,0 +1,77 @@
+/**
+ * Issue Triage
+ *
+ * Triage states for QA issues and the helpers shared by the issue log, the
+ * saved runs and the report exports. Issues without triage data are open.
+ * Deviations accepted as intentional go on a per-site allowlist (keyed by
+ * host) so they are suppressed in later runs of the same site.
+ */
+
+import { Issue, IssueTriage, TriageState } from '../../../types/qa';
+
+export const TRIAGE_STATES: Array<{ value: TriageState; label: string }> = [
+  { value: 'open', label: 'Open' },
+  { value: 'accepted', label: 'Accepted (intentional)' },
+  { value: 'fixed', label: 'Fixed' },
+  { value: 'wont_fix', label: "Won't fix" },
+];
+
+export const DEFAULT_TRIAGE: IssueTriage = { state: 'open' };
+
+/**
+ * Triage of an issue (open when never triaged)
+ *
+ * @param issue - Issue
+ * @returns Triage data
+ */
+export function getTriage(issue: Pick<Issue, 'triage'>): IssueTriage {
+  return issue.triage || DEFAULT_TRIAGE;
+}
+
+/**
+ * Display label of a triage state
+ *
+ * @param state - Triage state
+ * @returns Label, e.g. "Won't fix"
+ */
+export function triageLabel(state: TriageState): string {
+  return TRIAGE_STATES.find((entry) => entry.value === state)?.label || state;
+}
+
+/**
+ * Count issues per triage state
+ *
+ * @param issues - Issues
+ * @returns Count for every state
+ */
+export function summarizeTriage(issues: Issue[]): Record<TriageState, number> {
+  const counts = Object.fromEntries(TRIAGE_STATES.map(({ value }) => [value, 0])) as Record<TriageState, number>;
+  for (const issue of issues) {
+    counts[getTriage(issue).state]++;
+  }
+  return counts;
+}
+
+/**
+ * Allowlist key of a captured URL (its host, so all pages of a site share one list)
+ *
+ * @param url - Captured page URL
+ * @returns Host, or null for captures without a valid http(s) URL
+ */
+export function siteKey(url: string | null | undefined): string | null {
+  if (!url) return null;
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? host.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  TRIAGE_STATES,
+  getTriage,
+  triageLabel,
+  summarizeTriage,
+  siteKey,
+};
@@ -0,0 +1,333 @@
+/**
+ * Box Style Matcher
+ *
+ * Match extracted spacing (padding, margin, gap), border-radius and
+ * box-shadow values to the theme's spacing, radius and shadow tokens.
+ *
+ * Spacing and radius are compared by their pixel difference to the nearest
+ * token on the scale; shadows by the summed pixel difference of their
+ * offsets, blur and spread (plus a small penalty for a different color).
+ *
+ * Status thresholds:
+ * - pass: On the scale (≤0.5px difference)
+ * - warn: Near a token (≤2px for spacing/radius, ≤4px for shadows)
+ * - fail: Off the scale
+ *
+ * Values whose category has no tokens in the theme are not checked.
+ */
+
+import { LocatedBoxStyle } from '../extraction/domExtractor';
+import { tokenToCssValue } from '../../cssVariableInjector';
+
+/**
+ * Token category a box style is checked against
+ */
+export type BoxStyleKind = LocatedBoxStyle['kind'];
+
+/**
+ * Spacing, radius or shadow token from the design system
+ */
+export interface BoxStyleToken {
+  path: string;
+  category: BoxStyleKind;
+  /** CSS value of the token (e.g. "16px", "0px 1px 2px 0px rgba(0, 0, 0, 0.05)") */
+  value: string;
+  cssVariable: string;
+}
+
+/**
+ * Token match information for box styles
+ */
+export interface BoxStyleTokenInfo {
+  path: string;
+  value: string;
+  cssVariable: string;
+}
+
+/**
+ * Result of matching a box style value to tokens
+ */
+export interface BoxStyleMatch {
+  source: LocatedBoxStyle;
+  token?: BoxStyleTokenInfo;
+  /** Distance to the nearest token in px */
+  difference: number;
+  status: 'pass' | 'warn' | 'fail';
+}
+
+/**
+ * Parsed shadow layer
+ */
+interface ShadowLayer {
+  inset: boolean;
+  lengths: number[];
+  color: [number, number, number, number];
+}
+
+/**
+ * Pixel thresholds for determining match status
+ */
+export const BOX_STYLE_THRESHOLDS = {
+  PASS: 0.5,
+  WARN: 2,
+  SHADOW_WARN: 4,
+  /** Added to a shadow's distance when its color differs from the token's */
+  SHADOW_COLOR_PENALTY: 1,
+} as const;
+
+/** Root font size used to resolve rem/em token values */
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Parse a CSS length to pixels
+ *
+ * @param value - CSS length (e.g. "12px", "0.75rem", "12")
+ * @returns Pixel value, or null for values that are not absolute lengths
+ */
+export function parseLengthPx(value: string | number): number | null {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * ROOT_FONT_SIZE : number;
+}
+
+/**
+ * Parse a CSS color into RGBA channels
+ *
+ * @param color - rgb(), rgba() or hex color
+ * @returns [r, g, b, a] with alpha in 0-1
+ */
+function parseShadowColor(color: string | undefined): [number, number, number, number] {
+  if (!color) return [0, 0, 0, 1];
+
+  const rgb = color.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?\s*\)/);
+  if (rgb) {
+    return [+rgb[1], +rgb[2], +rgb[3], rgb[4] !== undefined ? +rgb[4] : 1];
+  }
+
+  const hex = color.match(/^#([a-f\d]{6})([a-f\d]{2})?$/i);
+  if (hex) {
+    const n = parseInt(hex[1], 16);
+    const alpha = hex[2] ? parseInt(hex[2], 16) / 255 : 1;
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255, alpha];
+  }
+
+  return [0, 0, 0, 1];
+}
+
+/**
+ * Parse a box-shadow value into layers
+ * Accepts both the computed order (color first) and the authored order (color last).
+ *
+ * @param value - CSS box-shadow value
+ * @returns Shadow layers, empty for "none"
+ */
+export function parseShadow(value: string): ShadowLayer[] {
+  if (!value || value.trim() === 'none') return [];
+
+  // Split on commas outside of color functions
+  const layers = value.split(/,(?![^(]*\))/).map((layer) => layer.trim()).filter(Boolean);
+
+  return layers.map((layer) => {
+    const colorMatch = layer.match(/rgba?\([^)]*\)|#[a-f\d]{3,8}\b/i);
+    const rest = colorMatch ? layer.replace(colorMatch[0], ' ') : layer;
+    const lengths = rest
+      .split(/\s+/)
+      .map((part) => parseLengthPx(part))
+      .filter((n): n is number => n !== null);
+
+    while (lengths.length < 4) lengths.push(0);
+
+    return {
+      inset: /\binset\b/.test(rest),
+      lengths: lengths.slice(0, 4),
+      color: parseShadowColor(colorMatch?.[0]),
+    };
+  });
+}
+
+/**
+ * Distance between two box-shadow values in px
+ *
+ * @param a - First box-shadow value
+ * @param b - Second box-shadow value
+ * @returns Summed length difference (Infinity when the layers don't line up)
+ */
+export function shadowDistance(a: string, b: string): number {
+  const layersA = parseShadow(a);
+  const layersB = parseShadow(b);
+  if (layersA.length !== layersB.length) return Infinity;
+
+  let distance = 0;
+  layersA.forEach((layer, i) => {
+    const other = layersB[i];
+    if (layer.inset !== other.inset) {
+      distance = Infinity;
+      return;
+    }
+    layer.lengths.forEach((length, j) => {
+      distance += Math.abs(length - other.lengths[j]);
+    });
+    const sameColor =
+      layer.color.slice(0, 3).every((channel, j) => Math.abs(channel - other.color[j]) <= 2) &&
+      Math.abs(layer.color[3] - other.color[3]) <= 0.02;
+    if (!sameColor) distance += BOX_STYLE_THRESHOLDS.SHADOW_COLOR_PENALTY;
+  });
+
+  return distance;
+}
+
+/**
+ * Determine match status from the distance to the nearest token
+ *
+ * @param kind - Box style kind
+ * @param difference - Distance in px
+ * @returns Match status
+ */
+function getStatus(kind: BoxStyleKind, difference: number): 'pass' | 'warn' | 'fail' {
+  if (difference <= BOX_STYLE_THRESHOLDS.PASS) return 'pass';
+  const warn = kind === 'shadow' ? BOX_STYLE_THRESHOLDS.SHADOW_WARN : BOX_STYLE_THRESHOLDS.WARN;
+  if (difference <= warn) return 'warn';
+  return 'fail';
+}
+
+/**
+ * Distance between a source value and a token value
+ *
+ * @param kind - Box style kind
+ * @param source - Source CSS value
+ * @param token - Token CSS value
+ * @returns Distance in px (Infinity when not comparable)
+ */
+function valueDistance(kind: BoxStyleKind, source: string, token: string): number {
+  if (kind === 'shadow') return shadowDistance(source, token);
+
+  const sourcePx = parseLengthPx(source);
+  const tokenPx = parseLengthPx(token);
+  if (sourcePx === null || tokenPx === null) return Infinity;
+
+  // Negative margins use the positive step of the scale
+  return Math.abs(Math.abs(sourcePx) - tokenPx);
+}
+
+/**
+ * Match box style values synchronously when tokens are already available
+ *
+ * @param values - Located box style values from extraction
+ * @param tokens - Pre-fetched spacing, radius and shadow tokens
+ * @returns Array of box style matches (values without tokens of their kind are skipped)
+ */
+export function matchBoxStylesSync(
+  values: LocatedBoxStyle[],
+  tokens: BoxStyleToken[]
+): BoxStyleMatch[] {
+  const matches: BoxStyleMatch[] = [];
+
+  for (const value of values) {
+    const candidates = tokens.filter((token) => token.category === value.kind);
+    if (candidates.length === 0) continue;
+
+    let bestToken: BoxStyleToken | undefined;
+    let bestDifference = Infinity;
+
+    for (const token of candidates) {
+      const difference = valueDistance(value.kind, value.value, token.value);
+      if (difference < bestDifference) {
+        bestDifference = difference;
+        bestToken = token;
+      }
+    }
+
+    matches.push({
+      source: value,
+      token: bestToken
+        ? { path: bestToken.path, value: bestToken.value, cssVariable: bestToken.cssVariable }
+        : undefined,
+      difference: bestDifference,
+      status: getStatus(value.kind, bestDifference),
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Match extracted box style values to spacing, radius and shadow tokens
+ *
+ * @param values - Located box style values from extraction
+ * @param themeId - Theme ID to fetch tokens for
+ * @returns Array of box style matches with nearest-token suggestions
+ */
+export async function matchBoxStyles(
+  values: LocatedBoxStyle[],
+  themeId: string
+): Promise<BoxStyleMatch[]> {
+  if (values.length === 0) return [];
+  const tokens = await fetchBoxStyleTokens(themeId);
+  return matchBoxStylesSync(values, tokens);
+}
+
+/**
+ * Generate CSS variable name from token path
+ * @param path - Token path (e.g., "Spacing/MD")
+ * @returns CSS variable (e.g., "var(--spacing-md)")
+ */
+function pathToCssVariable(path: string): string {
+  const normalized = path
+    .replace(/\//g, '-')
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+  return `var(--${normalized})`;
+}
+
+/**
+ * Convert raw tokens (as stored) to box style tokens
+ *
+ * @param tokens - Tokens with category, path, value and css_variable
+ * @returns Box style tokens with CSS values
+ */
+export function toBoxStyleTokens(
+  tokens: Array<{ path: string; category: string; value: unknown; css_variable?: string }>
+): BoxStyleToken[] {
+  return tokens
+    .filter((t) => t.category === 'spacing' || t.category === 'radius' || t.category === 'shadow')
+    .map((t) => ({
+      path: t.path,
+      category: t.category as BoxStyleKind,
+      value: tokenToCssValue(t),
+      cssVariable: t.css_variable ? `var(${t.css_variable})` : pathToCssVariable(t.path),
+    }));
+}
+
+/**
+ * Fetch spacing, radius and shadow tokens for a theme from the token service
+ *
+ * @param themeId - Theme UUID
+ * @returns Array of box style tokens
+ */
+async function fetchBoxStyleTokens(themeId: string): Promise<BoxStyleToken[]> {
+  try {
+    // Dynamic import to avoid circular dependencies
+    const { tokenService } = await import('../../../services/tokenService');
+    const tokensByCategory = await tokenService.getTokensByTheme(themeId);
+
+    return toBoxStyleTokens([
+      ...(tokensByCategory?.spacing || []),
+      ...(tokensByCategory?.radius || []),
+      ...(tokensByCategory?.shadow || []),
+    ]);
+  } catch (error) {
+    console.error('Failed to fetch spacing, radius and shadow tokens:', error);
+    return [];
+  }
+}
+
+export default {
+  matchBoxStyles,
+  matchBoxStylesSync,
+  toBoxStyleTokens,
+  parseShadow,
+  shadowDistance,
+  BOX_STYLE_THRESHOLDS,
+};
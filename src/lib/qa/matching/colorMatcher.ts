@@ -3,14 +3,18 @@
  *
  * Match extracted colors to design tokens using perceptual ΔE2000 color distance.
  *
- * Thresholds:
+ * Default thresholds:
  * - pass (≤3): Colors are perceptually identical
  * - warn (≤10): Colors are close but noticeably different
  * - fail (>10): Colors are significantly different
+ *
+ * The formula, thresholds and ignored colors/regions can be overridden per
+ * theme through QA settings; ignored colors are left out of the matches.
  */
 
-import { rgbToLab, deltaE2000, hexToRgb } from './deltaE';
+import { rgbToLab, deltaE, hexToRgb, DeltaEFormula } from './deltaE';
 import { LocatedColor } from '../extraction/regionDetector';
+import { QASettings, normalizeQASettings, isIgnoredColor } from '../qaSettings';
 
 /**
  * Match status based on ΔE2000 thresholds
@@ -55,13 +59,17 @@ const THRESHOLDS = {
 } as const;
 
 /**
- * Determine match status based on ΔE2000 value
- * @param deltaE - ΔE2000 color difference
+ * Determine match status based on ΔE value
+ * @param dE - ΔE color difference
+ * @param thresholds - Pass/warn thresholds (default: THRESHOLDS)
  * @returns Match status (pass, warn, or fail)
  */
-function getStatus(deltaE: number): MatchStatus {
-  if (deltaE <= THRESHOLDS.PASS) return 'pass';
-  if (deltaE <= THRESHOLDS.WARN) return 'warn';
+function getStatus(
+  dE: number,
+  thresholds: { pass: number; warn: number } = { pass: THRESHOLDS.PASS, warn: THRESHOLDS.WARN }
+): MatchStatus {
+  if (dE <= thresholds.pass) return 'pass';
+  if (dE <= thresholds.warn) return 'warn';
   return 'fail';
 }
 
@@ -97,112 +105,90 @@ function getTokenHex(token: ColorToken): string {
  * Match extracted colors to design system tokens
  * @param colors - Array of located colors from extraction
  * @param themeId - Theme ID to fetch tokens for
+ * @param settings - QA settings (formula, thresholds, ignored colors)
  * @returns Array of color matches with token suggestions
  */
 export async function matchColors(
   colors: LocatedColor[],
-  themeId: string
+  themeId: string,
+  settings?: Partial<QASettings>
 ): Promise<ColorMatch[]> {
   // Fetch color tokens for the theme
   const tokens = await fetchColorTokens(themeId);
-
-  // Pre-compute LAB values for all tokens (optimization)
-  const tokenLabs = tokens.map((token) => ({
-    token,
-    lab: rgbToLab(hexToRgb(getTokenHex(token))),
-  }));
-
-  return colors.map((color) => {
-    const sourceLab = rgbToLab(color.rgb);
-    let bestMatch: TokenInfo | undefined;
-    let bestDeltaE = Infinity;
-
-    // Find the closest matching token
-    for (const { token, lab: tokenLab } of tokenLabs) {
-      const dE = deltaE2000(sourceLab, tokenLab);
-
-      if (dE < bestDeltaE) {
-        bestDeltaE = dE;
-        const hex = getTokenHex(token);
-        bestMatch = {
-          path: token.path,
-          hex,
-          cssVariable: pathToCssVariable(token.path),
-        };
-      }
-    }
-
-    return {
-      source: color,
-      token: bestMatch,
-      deltaE: bestDeltaE,
-      status: getStatus(bestDeltaE),
-    };
-  });
+  return matchColorsSync(colors, tokens, settings);
 }
 
 /**
  * Match colors synchronously when tokens are already available
  * @param colors - Array of located colors
  * @param tokens - Pre-fetched color tokens
+ * @param settings - QA settings (formula, thresholds, ignored colors)
  * @returns Array of color matches
  */
 export function matchColorsSync(
   colors: LocatedColor[],
-  tokens: ColorToken[]
+  tokens: ColorToken[],
+  settings?: Partial<QASettings>
 ): ColorMatch[] {
-  // Pre-compute LAB values for all tokens
+  const resolved = normalizeQASettings(settings);
+
+  // Pre-compute LAB values for all tokens (optimization)
   const tokenLabs = tokens.map((token) => ({
     token,
     lab: rgbToLab(hexToRgb(getTokenHex(token))),
   }));
 
-  return colors.map((color) => {
-    const sourceLab = rgbToLab(color.rgb);
-    let bestMatch: TokenInfo | undefined;
-    let bestDeltaE = Infinity;
+  return colors
+    .filter((color) => !isIgnoredColor(color, resolved))
+    .map((color) => {
+      const sourceLab = rgbToLab(color.rgb);
+      let bestMatch: TokenInfo | undefined;
+      let bestDeltaE = Infinity;
 
-    for (const { token, lab: tokenLab } of tokenLabs) {
-      const dE = deltaE2000(sourceLab, tokenLab);
+      // Find the closest matching token
+      for (const { token, lab: tokenLab } of tokenLabs) {
+        const dE = deltaE(tokenLab, sourceLab, resolved.deltaEFormula);
 
-      if (dE < bestDeltaE) {
-        bestDeltaE = dE;
-        const hex = getTokenHex(token);
-        bestMatch = {
-          path: token.path,
-          hex,
-          cssVariable: pathToCssVariable(token.path),
-        };
+        if (dE < bestDeltaE) {
+          bestDeltaE = dE;
+          const hex = getTokenHex(token);
+          bestMatch = {
+            path: token.path,
+            hex,
+            cssVariable: pathToCssVariable(token.path),
+          };
+        }
       }
-    }
 
-    return {
-      source: color,
-      token: bestMatch,
-      deltaE: bestDeltaE,
-      status: getStatus(bestDeltaE),
-    };
-  });
+      return {
+        source: color,
+        token: bestMatch,
+        deltaE: bestDeltaE,
+        status: getStatus(bestDeltaE, resolved.colorThresholds),
+      };
+    });
 }
 
 /**
  * Find all tokens within a ΔE threshold of a color
  * @param color - Source color to match
  * @param tokens - Available tokens
- * @param maxDeltaE - Maximum ΔE2000 threshold (default: 10)
+ * @param maxDeltaE - Maximum ΔE threshold (default: 10)
+ * @param formula - ΔE formula (default: 2000)
  * @returns Array of matching tokens sorted by ΔE
  */
 export function findMatchingTokens(
   color: { rgb: { r: number; g: number; b: number } },
   tokens: ColorToken[],
-  maxDeltaE = 10
+  maxDeltaE = 10,
+  formula: DeltaEFormula = '2000'
 ): Array<{ token: TokenInfo; deltaE: number }> {
   const sourceLab = rgbToLab(color.rgb);
   const matches: Array<{ token: TokenInfo; deltaE: number }> = [];
 
   for (const token of tokens) {
     const tokenLab = rgbToLab(hexToRgb(getTokenHex(token)));
-    const dE = deltaE2000(sourceLab, tokenLab);
+    const dE = deltaE(tokenLab, sourceLab, formula);
 
     if (dE <= maxDeltaE) {
       matches.push({
@@ -2,9 +2,13 @@
  * Delta E2000 Color Matcher - Chunk 7.12
  *
  * Convert RGB to LAB color space and calculate CIEDE2000 (ΔE2000) distance.
- * ΔE2000 is the industry-standard perceptual color difference formula.
+ * ΔE2000 is the industry-standard perceptual color difference formula;
+ * the older CIE76 and CIE94 formulas are available for QA settings that
+ * need to reproduce results from other tools.
  */
 
+import { srgbToLinear, linearToSrgb } from '../../colorUtils';
+
 /**
  * LAB color space representation
  */
@@ -23,21 +27,21 @@ export interface RGB {
   b: number;
 }
 
+/**
+ * Supported ΔE formulas
+ */
+export type DeltaEFormula = '76' | '94' | '2000';
+
 /**
  * Convert RGB to LAB color space via XYZ
  * @param rgb - RGB color (0-255 range)
  * @returns LAB color
  */
 export function rgbToLab(rgb: RGB): LAB {
-  // RGB to XYZ (sRGB with D65 illuminant)
-  let r = rgb.r / 255;
-  let g = rgb.g / 255;
-  let b = rgb.b / 255;
-
-  // Apply gamma correction
-  r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-  g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-  b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
+  // RGB to XYZ (sRGB with D65 illuminant), after gamma correction
+  const r = srgbToLinear(rgb.r / 255);
+  const g = srgbToLinear(rgb.g / 255);
+  const b = srgbToLinear(rgb.b / 255);
 
   // Convert to XYZ with D65 reference white
   const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
@@ -86,9 +90,9 @@ export function labToRgb(lab: LAB): RGB {
   let b = x * 0.0557 + y * -0.204 + z * 1.057;
 
   // Apply gamma correction
-  r = r > 0.0031308 ? 1.055 * Math.pow(r, 1 / 2.4) - 0.055 : 12.92 * r;
-  g = g > 0.0031308 ? 1.055 * Math.pow(g, 1 / 2.4) - 0.055 : 12.92 * g;
-  b = b > 0.0031308 ? 1.055 * Math.pow(b, 1 / 2.4) - 0.055 : 12.92 * b;
+  r = linearToSrgb(r);
+  g = linearToSrgb(g);
+  b = linearToSrgb(b);
 
   // Clamp to valid range
   return {
@@ -197,6 +201,53 @@ export function deltaE2000(lab1: LAB, lab2: LAB): number {
   );
 }
 
+/**
+ * Calculate CIE76 (ΔE76) color difference: Euclidean distance in LAB
+ *
+ * @param lab1 - First LAB color
+ * @param lab2 - Second LAB color
+ * @returns ΔE76 value
+ */
+export function deltaE76(lab1: LAB, lab2: LAB): number {
+  return Math.sqrt((lab2.L - lab1.L) ** 2 + (lab2.a - lab1.a) ** 2 + (lab2.b - lab1.b) ** 2);
+}
+
+/**
+ * Calculate CIE94 (ΔE94) color difference with graphic arts weights
+ * (kL = 1, K1 = 0.045, K2 = 0.015), using lab1 as the reference color
+ *
+ * @param lab1 - Reference LAB color
+ * @param lab2 - Sample LAB color
+ * @returns ΔE94 value
+ */
+export function deltaE94(lab1: LAB, lab2: LAB): number {
+  const dL = lab1.L - lab2.L;
+  const c1 = Math.sqrt(lab1.a ** 2 + lab1.b ** 2);
+  const c2 = Math.sqrt(lab2.a ** 2 + lab2.b ** 2);
+  const dC = c1 - c2;
+  // ΔH² can come out slightly negative from rounding
+  const dH2 = Math.max(0, (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2 - dC ** 2);
+
+  const sc = 1 + 0.045 * c1;
+  const sh = 1 + 0.015 * c1;
+
+  return Math.sqrt(dL ** 2 + (dC / sc) ** 2 + dH2 / sh ** 2);
+}
+
+/**
+ * Calculate color difference with the given formula
+ *
+ * @param lab1 - First (reference) LAB color
+ * @param lab2 - Second LAB color
+ * @param formula - ΔE formula (default: 2000)
+ * @returns ΔE value
+ */
+export function deltaE(lab1: LAB, lab2: LAB, formula: DeltaEFormula = '2000'): number {
+  if (formula === '76') return deltaE76(lab1, lab2);
+  if (formula === '94') return deltaE94(lab1, lab2);
+  return deltaE2000(lab1, lab2);
+}
+
 /**
  * Convert hex color to RGB
  * @param hex - Hex color string (with or without #)
@@ -257,6 +308,9 @@ export default {
   rgbToLab,
   labToRgb,
   deltaE2000,
+  deltaE76,
+  deltaE94,
+  deltaE,
   hexToRgb,
   rgbToHex,
   deltaE2000Hex,
@@ -5,7 +5,7 @@
  *
  * Matching criteria:
  * - Font family (exact match after normalization)
- * - Font size (within 2px tolerance)
+ * - Font size (within 2px tolerance by default; px or % per QA settings)
  * - Font weight (exact match)
  *
  * Status thresholds:
@@ -15,6 +15,7 @@
  */
 
 import { LocatedFont } from '../extraction/domExtractor';
+import { QASettings, FontSizeTolerance, normalizeQASettings, fontSizeTolerancePx } from '../qaSettings';
 
 /**
  * Typography token from the design system
@@ -47,9 +48,9 @@ export interface FontMatch {
 }
 
 /**
- * Font size tolerance in pixels for matching
+ * Default font size tolerance in pixels for matching
  */
-const FONT_SIZE_TOLERANCE = 2;
+const FONT_SIZE_TOLERANCE: FontSizeTolerance = { value: 2, unit: 'px' };
 
 /**
  * Normalize a font family string for comparison
@@ -79,15 +80,37 @@ function parseFontSize(fontSize: string): number {
   return match ? parseFloat(match[1]) : 0;
 }
 
+/**
+ * Whether source and token font sizes are within tolerance
+ *
+ * @param font - Source font
+ * @param token - Typography token
+ * @param tolerance - Font size tolerance
+ * @returns True when the sizes match
+ */
+function sizeWithinTolerance(
+  font: LocatedFont,
+  token: TypographyToken,
+  tolerance: FontSizeTolerance
+): boolean {
+  const tokenSize = parseFontSize(token.fontSize);
+  return Math.abs(parseFontSize(font.fontSize) - tokenSize) <= fontSizeTolerancePx(tokenSize, tolerance);
+}
+
 /**
  * Calculate match score between source font and typography token
  * Higher score = better match
  *
  * @param font - Source font
  * @param token - Typography token to compare against
+ * @param tolerance - Font size tolerance
  * @returns Score value (0-6)
  */
-function calculateMatchScore(font: LocatedFont, token: TypographyToken): number {
+function calculateMatchScore(
+  font: LocatedFont,
+  token: TypographyToken,
+  tolerance: FontSizeTolerance = FONT_SIZE_TOLERANCE
+): number {
   let score = 0;
 
   // Check font family (3 points for exact match)
@@ -98,9 +121,7 @@ function calculateMatchScore(font: LocatedFont, token: TypographyToken): number
   }
 
   // Check font size (2 points if within tolerance)
-  const srcSize = parseFontSize(font.fontSize);
-  const tokenSize = parseFontSize(token.fontSize);
-  if (Math.abs(srcSize - tokenSize) <= FONT_SIZE_TOLERANCE) {
+  if (sizeWithinTolerance(font, token, tolerance)) {
     score += 2;
   }
 
@@ -128,11 +149,13 @@ function roleToCssVariable(role: string): string {
  *
  * @param font - Source font
  * @param token - Matched token (or undefined)
+ * @param tolerance - Font size tolerance
  * @returns Array of issue descriptions
  */
 function generateIssues(
   font: LocatedFont,
-  token: TypographyToken | undefined
+  token: TypographyToken | undefined,
+  tolerance: FontSizeTolerance = FONT_SIZE_TOLERANCE
 ): string[] {
   const issues: string[] = [];
 
@@ -149,9 +172,7 @@ function generateIssues(
   }
 
   // Check font size
-  const srcSize = parseFontSize(font.fontSize);
-  const tokenSize = parseFontSize(token.fontSize);
-  if (Math.abs(srcSize - tokenSize) > FONT_SIZE_TOLERANCE) {
+  if (!sizeWithinTolerance(font, token, tolerance)) {
     issues.push(`Font size mismatch: ${font.fontSize} vs ${token.fontSize}`);
   }
 
@@ -180,46 +201,16 @@ function getStatus(issues: string[]): 'pass' | 'warn' | 'fail' {
  *
  * @param fonts - Array of located fonts from extraction
  * @param themeId - Theme ID to fetch tokens for
+ * @param settings - QA settings (font size tolerance)
  * @returns Array of font matches with token suggestions
  */
 export async function matchFonts(
   fonts: LocatedFont[],
-  themeId: string
+  themeId: string,
+  settings?: Partial<QASettings>
 ): Promise<FontMatch[]> {
   const typographyTokens = await fetchTypographyTokens(themeId);
-
-  return fonts.map((font) => {
-    const issues: string[] = [];
-    let bestMatch: FontTokenInfo | undefined;
-    let bestToken: TypographyToken | undefined;
-    let bestScore = 0;
-
-    // Find the best matching token
-    for (const token of typographyTokens) {
-      const score = calculateMatchScore(font, token);
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestToken = token;
-        bestMatch = {
-          role: token.role,
-          fontFamily: token.fontFamily,
-          fontSize: token.fontSize,
-          cssVariable: roleToCssVariable(token.role),
-        };
-      }
-    }
-
-    // Generate issues based on the best match
-    const matchIssues = generateIssues(font, bestToken);
-
-    return {
-      source: font,
-      token: bestMatch,
-      status: getStatus(matchIssues),
-      issues: matchIssues,
-    };
-  });
+  return matchFontsSync(fonts, typographyTokens, settings);
 }
 
 /**
@@ -227,19 +218,24 @@ export async function matchFonts(
  *
  * @param fonts - Array of located fonts
  * @param tokens - Pre-fetched typography tokens
+ * @param settings - QA settings (font size tolerance)
  * @returns Array of font matches
  */
 export function matchFontsSync(
   fonts: LocatedFont[],
-  tokens: TypographyToken[]
+  tokens: TypographyToken[],
+  settings?: Partial<QASettings>
 ): FontMatch[] {
+  const tolerance = normalizeQASettings(settings).fontSizeTolerance;
+
   return fonts.map((font) => {
     let bestMatch: FontTokenInfo | undefined;
     let bestToken: TypographyToken | undefined;
     let bestScore = 0;
 
+    // Find the best matching token
     for (const token of tokens) {
-      const score = calculateMatchScore(font, token);
+      const score = calculateMatchScore(font, token, tolerance);
 
       if (score > bestScore) {
         bestScore = score;
@@ -253,7 +249,8 @@ export function matchFontsSync(
       }
     }
 
-    const matchIssues = generateIssues(font, bestToken);
+    // Generate issues based on the best match
+    const matchIssues = generateIssues(font, bestToken, tolerance);
 
     return {
       source: font,
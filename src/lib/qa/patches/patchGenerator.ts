@@ -0,0 +1,439 @@
+/**
+ * Patch Generator
+ *
+ * Maps QA issues back to the source: finds each offending hardcoded value in
+ * CSS (including CSS modules), inline style objects and Tailwind arbitrary
+ * classes, and generates a unified diff that swaps it for the suggested token
+ * (`var(--…)` in CSS and styles, the matching class from tailwindGenerator for
+ * Tailwind).
+ *
+ * Only issues with a suggestion are mapped. Colors match any color-valued
+ * property; spacing, radius and shadow values only match their own property
+ * family (a 13px gap is not a 13px padding).
+ */
+
+import { Issue } from '../../../types/qa';
+import { tokenNameToTailwind } from '../../../services/generators/tailwindGenerator.js';
+import { parseLengthPx, shadowDistance } from '../matching/boxStyleMatcher';
+
+/**
+ * Source file in the uploaded bundle
+ */
+export interface SourceFile {
+  /** Path relative to the project root (used in the patch headers) */
+  path: string;
+  content: string;
+}
+
+/** Where the value was found */
+export type EditKind = 'css' | 'style' | 'tailwind';
+
+/**
+ * One replacement of a hardcoded value
+ */
+export interface SourceEdit {
+  issueId: string;
+  issueNumber: number;
+  path: string;
+  /** 1-based line number */
+  line: number;
+  /** 1-based column of the replaced text */
+  column: number;
+  original: string;
+  replacement: string;
+  kind: EditKind;
+}
+
+/**
+ * Options for locating values
+ */
+export interface LocateOptions {
+  /** Prefix passed to the Tailwind generator (class names are `${prefix}-${name}`) */
+  tailwindPrefix?: string;
+}
+
+export const CSS_FILE_PATTERN = /\.(css|scss|sass|less|pcss)$/i;
+export const SCRIPT_FILE_PATTERN = /\.(jsx?|tsx?|mjs|cjs|vue|svelte|astro|html?)$/i;
+
+const PATCHABLE_TYPES = new Set(['color', 'spacing', 'radius', 'shadow']);
+
+const TAILWIND_FAMILIES: Array<[RegExp, string]> = [
+  [/^(p|px|py|pt|pr|pb|pl|ps|pe)$/, 'padding'],
+  [/^(m|mx|my|mt|mr|mb|ml|ms|me)$/, 'margin'],
+  [/^(gap|gap-x|gap-y|space-x|space-y)$/, 'gap'],
+  [/^rounded(-(t|r|b|l|s|e|tl|tr|br|bl|ss|se|es|ee))?$/, 'radius'],
+  [/^shadow$/, 'shadow'],
+  [
+    /^(bg|text|border(-[trblxyse])?|ring|ring-offset|outline|fill|stroke|from|via|to|decoration|accent|caret|divide|placeholder)$/,
+    'color',
+  ],
+];
+
+/** CSS declaration: `property: value` up to `;`, `}` or end of line */
+const CSS_DECLARATION = /(^|[{;\s])([a-zA-Z-]+)\s*:\s*([^;{}]+)/g;
+/** Style object entry: `property: 'value'` */
+const STYLE_ENTRY = /\b([a-zA-Z-]+)\s*:\s*(['"`])([^'"`\n]*)\2/g;
+/** Tailwind arbitrary value class: `bg-[#2564eb]`, `-mt-[13px]` */
+const TAILWIND_ARBITRARY = /(^|[\s"'`:{])(-?)([a-z]+(?:-[a-z]+)*)-\[([^\]\s"'`]+)\]/g;
+/** Template-literal CSS line in a script file (styled-components etc.) */
+const TEMPLATE_CSS_LINE = /^\s*[a-z-]+\s*:\s*[^'"`]+;\s*$/;
+
+interface Range {
+  start: number;
+  end: number;
+  negative?: boolean;
+}
+
+/**
+ * Finds one issue's value in source text
+ */
+interface ValueMatcher {
+  issue: Issue;
+  family: string;
+  /** Occurrences inside a declaration value */
+  find(value: string): Range[];
+  /** Whether a whole Tailwind arbitrary value is this value */
+  matchesArbitrary(raw: string, negative: boolean): boolean;
+}
+
+/**
+ * Property family used to pair values with issues
+ *
+ * @param property - CSS property (kebab or camel case)
+ * @returns "padding", "margin", "gap", "radius", "shadow" or "color"
+ */
+export function propertyFamily(property: string): string {
+  const kebab = property.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`).toLowerCase();
+  if (kebab.startsWith('padding')) return 'padding';
+  if (kebab.startsWith('margin')) return 'margin';
+  if (kebab === 'gap' || kebab === 'row-gap' || kebab === 'column-gap') return 'gap';
+  if (kebab.includes('radius')) return 'radius';
+  if (kebab === 'box-shadow') return 'shadow';
+  return 'color';
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hexToRgb(hex: string): { r: number; g: number; b: number } | null {
+  const match = hex.match(/^#([a-f\d]{6})$/i);
+  if (!match) return null;
+  const n = parseInt(match[1], 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+/**
+ * Regex for every way a color is commonly written (hex, short hex, rgb/rgba)
+ */
+function colorPattern(issue: Issue): RegExp | null {
+  const hex = issue.source.value.toLowerCase();
+  const rgb = issue.source.rgb || hexToRgb(hex);
+  if (!rgb) return null;
+
+  const alternatives = [`${escapeRegExp(hex)}(?:ff)?(?![\\da-f])`];
+  if (/^#([\da-f])\1([\da-f])\2([\da-f])\3$/.test(hex)) {
+    alternatives.push(`#${hex[1]}${hex[3]}${hex[5]}(?![\\da-f])`);
+  }
+  const sep = '\\s*[,\\s]\\s*';
+  alternatives.push(
+    `rgba?\\(\\s*${rgb.r}${sep}${rgb.g}${sep}${rgb.b}(?:\\s*[,/]\\s*(?:1(?:\\.0+)?|100%))?\\s*\\)`
+  );
+
+  return new RegExp(alternatives.join('|'), 'gi');
+}
+
+/**
+ * Build the matcher for an issue, or null when it can't be located
+ */
+function createMatcher(issue: Issue): ValueMatcher | null {
+  if (issue.type === 'color') {
+    const pattern = colorPattern(issue);
+    if (!pattern) return null;
+    const find = (value: string) =>
+      [...value.matchAll(pattern)].map((m) => ({ start: m.index!, end: m.index! + m[0].length }));
+    return {
+      issue,
+      family: 'color',
+      find,
+      matchesArbitrary: (raw) => {
+        const ranges = find(raw);
+        return ranges.length === 1 && ranges[0].start === 0 && ranges[0].end === raw.length;
+      },
+    };
+  }
+
+  if (issue.type === 'shadow') {
+    const same = (value: string) => shadowDistance(value, issue.source.value) < 0.01;
+    return {
+      issue,
+      family: 'shadow',
+      find: (value) => {
+        const trimmed = value.replace(/\s*!important\s*$/, '').trimEnd();
+        const start = trimmed.length - trimmed.trimStart().length;
+        return trimmed.trim() && same(trimmed) ? [{ start, end: trimmed.length }] : [];
+      },
+      matchesArbitrary: (raw) => same(raw.replace(/_/g, ' ')),
+    };
+  }
+
+  const px = parseLengthPx(issue.source.value);
+  if (px === null || px === 0) return null;
+  const magnitude = Math.abs(px);
+  const spellings = [`${magnitude}px`];
+  const rem = magnitude / 16;
+  if (Number.isInteger(rem * 10000)) spellings.push(`${rem}rem`);
+  const pattern = new RegExp(
+    `(?<![\\w.-])(-?)(?:${spellings.map((s) => escapeRegExp(s).replace(/^0\\./, '0?\\.')).join('|')})(?![\\w%])`,
+    'g'
+  );
+
+  return {
+    issue,
+    family: issue.property ? propertyFamily(issue.property) : issue.type,
+    find: (value) =>
+      [...value.matchAll(pattern)]
+        .filter((m) => (m[1] === '-') === px < 0)
+        .map((m) => ({ start: m.index!, end: m.index! + m[0].length, negative: px < 0 })),
+    matchesArbitrary: (raw, negative) => {
+      const rawPx = parseLengthPx(raw);
+      return rawPx !== null && (negative ? -rawPx : rawPx) === px;
+    },
+  };
+}
+
+/**
+ * CSS value replacing a hardcoded one
+ */
+function cssReplacement(issue: Issue, negative?: boolean): string {
+  const variable = issue.suggestion!.cssVariable;
+  return negative ? `calc(${variable} * -1)` : variable;
+}
+
+/**
+ * Tailwind class replacing an arbitrary-value class
+ * Uses the generated theme key when the token is known, otherwise an
+ * arbitrary value referencing the CSS variable.
+ */
+function tailwindReplacement(issue: Issue, negative: string, utility: string, options: LocateOptions): string {
+  const { tokenName, cssVariable } = issue.suggestion!;
+  const name = tokenName ? tokenNameToTailwind(tokenName, options.tailwindPrefix || '') : '';
+  return name ? `${negative}${utility}-${name}` : `${negative}${utility}-[${cssVariable}]`;
+}
+
+function tailwindFamily(utility: string): string | null {
+  return TAILWIND_FAMILIES.find(([pattern]) => pattern.test(utility))?.[1] || null;
+}
+
+/**
+ * Locate issues' hardcoded values in source files
+ *
+ * @param issues - QA issues (issues without a suggestion are ignored)
+ * @param files - Source files
+ * @param options - Tailwind prefix
+ * @returns Edits sorted by file and position, and the patchable issues that were not found
+ */
+export function locateIssueValues(
+  issues: Issue[],
+  files: SourceFile[],
+  options: LocateOptions = {}
+): { edits: SourceEdit[]; unmapped: Issue[] } {
+  const matchers = issues
+    .filter((issue) => issue.status !== 'pass' && issue.suggestion?.cssVariable && PATCHABLE_TYPES.has(issue.type))
+    .map(createMatcher)
+    .filter((matcher): matcher is ValueMatcher => matcher !== null);
+
+  const edits = new Map<string, SourceEdit>();
+  const mapped = new Set<string>();
+
+  const addEdit = (edit: SourceEdit) => {
+    mapped.add(edit.issueId);
+    const key = `${edit.path}:${edit.line}:${edit.column}`;
+    if (!edits.has(key)) edits.set(key, edit);
+  };
+
+  for (const file of files) {
+    const isCss = CSS_FILE_PATTERN.test(file.path);
+    const isScript = SCRIPT_FILE_PATTERN.test(file.path);
+    if (!isCss && !isScript) continue;
+
+    file.content.split('\n').forEach((text, lineIndex) => {
+      const line = lineIndex + 1;
+
+      const scanDeclaration = (property: string, value: string, valueStart: number, kind: EditKind) => {
+        if (property.startsWith('--')) return; // token definitions
+        const family = propertyFamily(property);
+        for (const matcher of matchers) {
+          if (matcher.family !== family) continue;
+          for (const range of matcher.find(value)) {
+            addEdit({
+              issueId: matcher.issue.id,
+              issueNumber: matcher.issue.number,
+              path: file.path,
+              line,
+              column: valueStart + range.start + 1,
+              original: value.slice(range.start, range.end),
+              replacement: cssReplacement(matcher.issue, range.negative),
+              kind,
+            });
+          }
+        }
+      };
+
+      if (isCss || TEMPLATE_CSS_LINE.test(text)) {
+        for (const m of text.matchAll(CSS_DECLARATION)) {
+          const valueStart = m.index! + m[0].length - m[3].length;
+          scanDeclaration(m[2], m[3], valueStart, 'css');
+        }
+        return;
+      }
+
+      for (const m of text.matchAll(STYLE_ENTRY)) {
+        const valueStart = m.index! + m[0].length - m[3].length - 1;
+        scanDeclaration(m[1], m[3], valueStart, 'style');
+      }
+
+      for (const m of text.matchAll(TAILWIND_ARBITRARY)) {
+        const [, lead, negative, utility, raw] = m;
+        const family = tailwindFamily(utility);
+        if (!family) continue;
+        const start = m.index! + lead.length;
+        for (const matcher of matchers) {
+          if (matcher.family !== family || !matcher.matchesArbitrary(raw, negative === '-')) continue;
+          addEdit({
+            issueId: matcher.issue.id,
+            issueNumber: matcher.issue.number,
+            path: file.path,
+            line,
+            column: start + 1,
+            original: m[0].slice(lead.length),
+            replacement: tailwindReplacement(matcher.issue, negative, utility, options),
+            kind: 'tailwind',
+          });
+        }
+      }
+    });
+  }
+
+  return {
+    edits: [...edits.values()].sort(
+      (a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.column - b.column
+    ),
+    unmapped: matchers.map((matcher) => matcher.issue).filter((issue) => !mapped.has(issue.id)),
+  };
+}
+
+/**
+ * Apply edits to a file's content
+ *
+ * @param content - Original content
+ * @param edits - Edits for this file (other files' edits are ignored by the caller)
+ * @returns New content
+ */
+export function applyEdits(content: string, edits: SourceEdit[]): string {
+  const lines = content.split('\n');
+  const byLine = new Map<number, SourceEdit[]>();
+  for (const edit of edits) {
+    byLine.set(edit.line, [...(byLine.get(edit.line) || []), edit]);
+  }
+
+  for (const [line, lineEdits] of byLine) {
+    let text = lines[line - 1];
+    // Right to left so earlier columns stay valid; skip overlapping edits
+    let limit = Infinity;
+    for (const edit of [...lineEdits].sort((a, b) => b.column - a.column)) {
+      const start = edit.column - 1;
+      const end = start + edit.original.length;
+      if (end > limit || text.slice(start, end) !== edit.original) continue;
+      text = text.slice(0, start) + edit.replacement + text.slice(end);
+      limit = start;
+    }
+    lines[line - 1] = text;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Unified diff of one file (edits never add or remove lines)
+ *
+ * @param path - File path for the headers
+ * @param before - Original content
+ * @param after - New content
+ * @param context - Context lines around changes
+ * @returns git-style diff, empty when nothing changed
+ */
+export function createUnifiedDiff(path: string, before: string, after: string, context = 3): string {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const endsWithNewline = before.endsWith('\n');
+  if (endsWithNewline) {
+    oldLines.pop();
+    newLines.pop();
+  }
+
+  const changed = oldLines.map((line, i) => line !== newLines[i]);
+  const hunks: Array<[number, number]> = [];
+  changed.forEach((isChanged, i) => {
+    if (!isChanged) return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(oldLines.length, i + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last[1]) last[1] = end;
+    else hunks.push([start, end]);
+  });
+
+  if (hunks.length === 0) return '';
+
+  const noNewline = (line: number) => !endsWithNewline && line === oldLines.length - 1;
+  const out = [`diff --git a/${path} b/${path}`, `--- a/${path}`, `+++ b/${path}`];
+  for (const [start, end] of hunks) {
+    const length = end - start;
+    out.push(`@@ -${start + 1},${length} +${start + 1},${length} @@`);
+    for (let i = start; i < end; ) {
+      if (!changed[i]) {
+        out.push(` ${oldLines[i]}`);
+        if (noNewline(i)) out.push('\\ No newline at end of file');
+        i++;
+        continue;
+      }
+
+      // A run of changed lines: removals first, then additions
+      let runEnd = i;
+      while (runEnd < end && changed[runEnd]) runEnd++;
+      for (const [prefix, lines] of [['-', oldLines], ['+', newLines]] as const) {
+        for (let j = i; j < runEnd; j++) {
+          out.push(`${prefix}${lines[j]}`);
+          if (noNewline(j)) out.push('\\ No newline at end of file');
+        }
+      }
+      i = runEnd;
+    }
+  }
+
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Build a patch for a set of edits
+ *
+ * @param files - Source files the edits refer to
+ * @param edits - Edits (e.g. the selected subset of locateIssueValues().edits)
+ * @returns Unified diff for all changed files (apply with `git apply`)
+ */
+export function buildPatch(files: SourceFile[], edits: SourceEdit[]): string {
+  return files
+    .map((file) => {
+      const fileEdits = edits.filter((edit) => edit.path === file.path);
+      if (fileEdits.length === 0) return '';
+      return createUnifiedDiff(file.path, file.content, applyEdits(file.content, fileEdits));
+    })
+    .join('');
+}
+
+export default {
+  locateIssueValues,
+  applyEdits,
+  createUnifiedDiff,
+  buildPatch,
+};
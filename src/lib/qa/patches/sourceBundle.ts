@@ -0,0 +1,70 @@
+/**
+ * Source Bundle
+ *
+ * Reads the source files QA maps issues back to: individual CSS/JSX files, a
+ * picked folder, or a .zip of the project. Dependency and build folders are
+ * skipped, and a single top-level folder (as in most zips) is stripped so
+ * paths in the patch are relative to the project root.
+ */
+
+import JSZip from 'jszip';
+import { SourceFile, CSS_FILE_PATTERN, SCRIPT_FILE_PATTERN } from './patchGenerator';
+
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|dist|build|\.git|\.next|coverage)\//;
+
+/** Skip files larger than this (minified bundles, generated code) */
+export const MAX_SOURCE_FILE_BYTES = 512 * 1024;
+
+/**
+ * Whether a path is a source file QA can patch
+ */
+export function isSourcePath(path: string): boolean {
+  return (CSS_FILE_PATTERN.test(path) || SCRIPT_FILE_PATTERN.test(path)) && !IGNORED_DIRECTORIES.test(path);
+}
+
+/**
+ * Remove a top-level folder shared by every path
+ */
+export function stripCommonRoot(files: SourceFile[]): SourceFile[] {
+  const roots = new Set(files.map((file) => (file.path.includes('/') ? file.path.split('/')[0] : '')));
+  if (roots.size !== 1 || roots.has('')) return files;
+  const [root] = roots;
+  return files.map((file) => ({ ...file, path: file.path.slice(root.length + 1) }));
+}
+
+/**
+ * Read uploaded files into source files
+ *
+ * @param uploads - Files from an input or drop (folder picks keep webkitRelativePath)
+ * @returns Source files sorted by path
+ */
+export async function readSourceBundle(uploads: File[]): Promise<SourceFile[]> {
+  const files: SourceFile[] = [];
+
+  for (const upload of uploads) {
+    if (/\.zip$/i.test(upload.name)) {
+      const zip = await JSZip.loadAsync(upload);
+      const entries = Object.values(zip.files).filter((entry) => !entry.dir && isSourcePath(entry.name));
+      for (const entry of entries) {
+        const content = await entry.async('string');
+        if (content.length <= MAX_SOURCE_FILE_BYTES) {
+          files.push({ path: entry.name.replace(/^\.?\//, ''), content });
+        }
+      }
+      continue;
+    }
+
+    const path = upload.webkitRelativePath || upload.name;
+    if (isSourcePath(path) && upload.size <= MAX_SOURCE_FILE_BYTES) {
+      files.push({ path, content: await upload.text() });
+    }
+  }
+
+  return stripCommonRoot(files).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+export default {
+  readSourceBundle,
+  isSourcePath,
+  stripCommonRoot,
+};
@@ -0,0 +1,164 @@
+/**
+ * QA Settings
+ *
+ * Per-theme matching settings for Visual QA: the ΔE formula and pass/warn
+ * thresholds for colors, the font-size tolerance (px or % of the token
+ * size), colors and regions to ignore (e.g. photos, whose colors are not
+ * meant to come from the palette) and the minimum size of a color region.
+ *
+ * Settings are stored as JSON on the theme; missing or invalid fields fall
+ * back to the defaults, which reproduce the built-in matcher behavior.
+ */
+
+import { DeltaEFormula } from './matching/deltaE';
+
+type Bounds = { x: number; y: number; width: number; height: number };
+
+/**
+ * Font-size tolerance, absolute or relative to the token's size
+ */
+export interface FontSizeTolerance {
+  value: number;
+  unit: 'px' | '%';
+}
+
+/**
+ * QA matching settings
+ */
+export interface QASettings {
+  deltaEFormula: DeltaEFormula;
+  /** ΔE up to `pass` passes, up to `warn` warns, above fails */
+  colorThresholds: { pass: number; warn: number };
+  fontSizeTolerance: FontSizeTolerance;
+  /** Hex colors that are never reported */
+  ignoredColors: string[];
+  /** Image regions (e.g. photos) whose colors and issues are not reported */
+  ignoredRegions: Bounds[];
+  /** Smallest color region reported, as % of the image */
+  minRegionPercent: number;
+}
+
+/**
+ * ΔE formulas offered in the settings panel
+ */
+export const DELTA_E_FORMULAS: Array<{ value: DeltaEFormula; label: string }> = [
+  { value: '2000', label: 'CIEDE2000' },
+  { value: '94', label: 'CIE94' },
+  { value: '76', label: 'CIE76' },
+];
+
+/**
+ * Defaults, matching the built-in matcher thresholds
+ */
+export const DEFAULT_QA_SETTINGS: QASettings = {
+  deltaEFormula: '2000',
+  colorThresholds: { pass: 3, warn: 10 },
+  fontSizeTolerance: { value: 2, unit: 'px' },
+  ignoredColors: [],
+  ignoredRegions: [],
+  minRegionPercent: 0.1,
+};
+
+/**
+ * Finite non-negative number, or the fallback
+ */
+function nonNegative(value: unknown, fallback: number): number {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Lowercase 6-digit hex, or null for anything else
+ */
+function normalizeHex(value: unknown): string | null {
+  const match = String(value ?? '').trim().match(/^#?([a-f\d]{3}|[a-f\d]{6})$/i);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+/**
+ * Whether a value is a bounds rectangle
+ */
+function isBounds(value: unknown): value is Bounds {
+  const b = value as Bounds;
+  return !!b && ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(b[key as keyof Bounds]));
+}
+
+/**
+ * Fill in defaults and drop invalid values
+ *
+ * @param raw - Stored or partial settings
+ * @returns Complete settings (warn threshold is never below pass)
+ */
+export function normalizeQASettings(raw?: Partial<QASettings> | null): QASettings {
+  const settings = raw || {};
+  const formula = DELTA_E_FORMULAS.some((f) => f.value === settings.deltaEFormula)
+    ? (settings.deltaEFormula as DeltaEFormula)
+    : DEFAULT_QA_SETTINGS.deltaEFormula;
+
+  const pass = nonNegative(settings.colorThresholds?.pass, DEFAULT_QA_SETTINGS.colorThresholds.pass);
+  const warn = nonNegative(settings.colorThresholds?.warn, DEFAULT_QA_SETTINGS.colorThresholds.warn);
+  const unit = settings.fontSizeTolerance?.unit === '%' ? '%' : 'px';
+
+  return {
+    deltaEFormula: formula,
+    colorThresholds: { pass, warn: Math.max(pass, warn) },
+    fontSizeTolerance: {
+      value: nonNegative(settings.fontSizeTolerance?.value, DEFAULT_QA_SETTINGS.fontSizeTolerance.value),
+      unit,
+    },
+    ignoredColors: [
+      ...new Set((settings.ignoredColors || []).map(normalizeHex).filter((hex): hex is string => !!hex)),
+    ],
+    ignoredRegions: (settings.ignoredRegions || []).filter(isBounds),
+    minRegionPercent: nonNegative(settings.minRegionPercent, DEFAULT_QA_SETTINGS.minRegionPercent),
+  };
+}
+
+/**
+ * Font-size tolerance in px for a token size
+ *
+ * @param tokenSizePx - Token font size in px
+ * @param tolerance - Tolerance setting
+ * @returns Allowed difference in px
+ */
+export function fontSizeTolerancePx(tokenSizePx: number, tolerance: FontSizeTolerance): number {
+  return tolerance.unit === '%' ? (tokenSizePx * tolerance.value) / 100 : tolerance.value;
+}
+
+/**
+ * Whether a point lies inside one of the ignored regions
+ *
+ * @param point - Marker or centroid position
+ * @param settings - QA settings
+ */
+export function isInIgnoredRegion(point: { x: number; y: number } | undefined, settings: QASettings): boolean {
+  if (!point) return false;
+  return settings.ignoredRegions.some(
+    (r) => point.x >= r.x && point.x <= r.x + r.width && point.y >= r.y && point.y <= r.y + r.height
+  );
+}
+
+/**
+ * Whether a located color is ignored, by its value or its position
+ *
+ * @param color - Color with hex and centroid
+ * @param settings - QA settings
+ */
+export function isIgnoredColor(
+  color: { hex: string; centroid?: { x: number; y: number } },
+  settings: QASettings
+): boolean {
+  return settings.ignoredColors.includes(normalizeHex(color.hex) ?? '') || isInIgnoredRegion(color.centroid, settings);
+}
+
+export default {
+  DEFAULT_QA_SETTINGS,
+  DELTA_E_FORMULAS,
+  normalizeQASettings,
+  fontSizeTolerancePx,
+  isInIgnoredRegion,
+  isIgnoredColor,
+};
@@ -0,0 +1,283 @@
+/**
+ * Token Coverage Score
+ *
+ * One "design-system adherence" number for a QA capture, built from the
+ * extraction (orchestrator.extractAll) and the token matches:
+ * - typography: share of text nodes whose font matches a theme role
+ * - color: share of painted area (element backgrounds for DOM captures,
+ *   sampled pixels for images) in token colors
+ * - box styles: share of spacing, radius and shadow values on the scale
+ * plus counts of off-system values, overall and per component region.
+ *
+ * Regions are landmark elements (header, nav, main, section, footer…) and
+ * elements with an id for DOM captures, and top / middle / bottom bands for
+ * images.
+ */
+
+import { CapturedAsset } from '../../../types/qa';
+import { parseColor } from '../extraction/domExtractor';
+import { ColorMatch, calculateMatchStats } from '../matching/colorMatcher';
+import { FontMatch, calculateFontMatchStats } from '../matching/fontMatcher';
+import { BoxStyleMatch } from '../matching/boxStyleMatcher';
+
+type Bounds = { x: number; y: number; width: number; height: number };
+
+/**
+ * Off-system value counts (colors are distinct values, the rest occurrences)
+ */
+export interface OffSystemCounts {
+  color: number;
+  font: number;
+  spacing: number;
+  radius: number;
+  shadow: number;
+  total: number;
+}
+
+/**
+ * Coverage of one part of the page
+ */
+export interface CoverageBreakdown {
+  typography: { total: number; onToken: number; percent: number | null };
+  color: { area: number; tokenArea: number; percent: number | null };
+  boxStyles: { total: number; onToken: number; percent: number | null };
+  offSystem: OffSystemCounts;
+  score: number | null;
+}
+
+/**
+ * Coverage of a component region
+ */
+export interface CoverageRegion extends CoverageBreakdown {
+  name: string;
+  bounds: Bounds;
+}
+
+/**
+ * Coverage report for a capture
+ */
+export interface CoverageReport extends CoverageBreakdown {
+  colorStats: ReturnType<typeof calculateMatchStats>;
+  fontStats: ReturnType<typeof calculateFontMatchStats>;
+  regions: CoverageRegion[];
+}
+
+/**
+ * Matches the report is built from
+ */
+export interface CoverageMatches {
+  colorMatches: ColorMatch[];
+  fontMatches: FontMatch[];
+  boxStyleMatches: BoxStyleMatch[];
+}
+
+/** Weight of each component in the overall score (missing components are left out) */
+export const COVERAGE_WEIGHTS = {
+  typography: 0.4,
+  color: 0.4,
+  boxStyles: 0.2,
+};
+
+const REGION_SELECTOR = /^(header|nav|main|footer|aside|section|article|form)$|^#/i;
+/** Region candidates must cover at least this share of the page, and less than the max */
+const MIN_REGION_SHARE = 0.02;
+const MAX_REGION_SHARE = 0.9;
+
+interface Sample {
+  centroid: { x: number; y: number };
+  kind: 'text' | 'paint' | 'box';
+  onToken: boolean;
+  /** Painted area (paint samples) */
+  area?: number;
+  /** Off-system value for distinct counting */
+  value?: string;
+  boxKind?: 'spacing' | 'radius' | 'shadow';
+}
+
+function percent(part: number, whole: number): number | null {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function contains(bounds: Bounds, point: { x: number; y: number }): boolean {
+  return (
+    point.x >= bounds.x &&
+    point.x <= bounds.x + bounds.width &&
+    point.y >= bounds.y &&
+    point.y <= bounds.y + bounds.height
+  );
+}
+
+function centroidOf(bounds: Bounds): { x: number; y: number } {
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Weighted mean of the available component percentages
+ */
+function overallScore(parts: Array<[number | null, number]>): number | null {
+  const available = parts.filter(([value]) => value !== null) as Array<[number, number]>;
+  const weight = available.reduce((sum, [, w]) => sum + w, 0);
+  if (weight === 0) return null;
+  return Math.round((available.reduce((sum, [value, w]) => sum + value * w, 0) / weight) * 10) / 10;
+}
+
+/**
+ * Summarize a set of samples
+ */
+function summarize(samples: Sample[]): CoverageBreakdown {
+  const text = samples.filter((s) => s.kind === 'text');
+  const paint = samples.filter((s) => s.kind === 'paint');
+  const box = samples.filter((s) => s.kind === 'box');
+
+  const area = paint.reduce((sum, s) => sum + (s.area || 0), 0);
+  const tokenArea = paint.filter((s) => s.onToken).reduce((sum, s) => sum + (s.area || 0), 0);
+  const textOnToken = text.filter((s) => s.onToken).length;
+  const boxOnToken = box.filter((s) => s.onToken).length;
+
+  const offBox = (kind: Sample['boxKind']) => box.filter((s) => s.boxKind === kind && !s.onToken).length;
+  const offSystem = {
+    color: new Set(paint.filter((s) => !s.onToken).map((s) => s.value)).size,
+    font: text.length - textOnToken,
+    spacing: offBox('spacing'),
+    radius: offBox('radius'),
+    shadow: offBox('shadow'),
+    total: 0,
+  };
+  offSystem.total = offSystem.color + offSystem.font + offSystem.spacing + offSystem.radius + offSystem.shadow;
+
+  const typography = { total: text.length, onToken: textOnToken, percent: percent(textOnToken, text.length) };
+  const color = { area, tokenArea, percent: percent(tokenArea, area) };
+  const boxStyles = { total: box.length, onToken: boxOnToken, percent: percent(boxOnToken, box.length) };
+
+  return {
+    typography,
+    color,
+    boxStyles,
+    offSystem,
+    score: overallScore([
+      [typography.percent, COVERAGE_WEIGHTS.typography],
+      [color.percent, COVERAGE_WEIGHTS.color],
+      [boxStyles.percent, COVERAGE_WEIGHTS.boxStyles],
+    ]),
+  };
+}
+
+/**
+ * Painted-area samples: element backgrounds for DOM captures, sampled pixel
+ * share for images
+ */
+function paintSamples(asset: CapturedAsset, colorMatches: ColorMatch[]): Sample[] {
+  if (asset.inputType === 'url' && asset.domElements) {
+    const onTokenByHex = new Map(colorMatches.map((match) => [match.source.hex, match.status === 'pass']));
+    return asset.domElements.flatMap((element) => {
+      const background = parseColor(element.styles.backgroundColor);
+      const onToken = background ? onTokenByHex.get(background.hex) : undefined;
+      if (!background || onToken === undefined) return [];
+      return [{
+        kind: 'paint' as const,
+        centroid: centroidOf(element.bounds),
+        area: element.bounds.width * element.bounds.height,
+        onToken,
+        value: background.hex,
+      }];
+    });
+  }
+
+  const imageArea = asset.image.width * asset.image.height;
+  return colorMatches.map((match) => ({
+    kind: 'paint' as const,
+    centroid: match.source.centroid,
+    area: (match.source.percentage / 100) * imageArea,
+    onToken: match.status === 'pass',
+    value: match.source.hex,
+  }));
+}
+
+/**
+ * Component regions of a capture
+ */
+function detectRegions(asset: CapturedAsset): Array<{ name: string; bounds: Bounds }> {
+  const { width, height } = asset.image;
+  const pageArea = width * height;
+
+  if (asset.domElements?.length) {
+    const seen = new Set<string>();
+    return asset.domElements
+      .filter((element) => {
+        const share = pageArea > 0 ? (element.bounds.width * element.bounds.height) / pageArea : 0;
+        const key = `${element.selector}|${element.bounds.x},${element.bounds.y}`;
+        if (!REGION_SELECTOR.test(element.selector) || share < MIN_REGION_SHARE || share >= MAX_REGION_SHARE) {
+          return false;
+        }
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map((element) => ({ name: element.selector, bounds: element.bounds }));
+  }
+
+  const band = height / 3;
+  return ['Top', 'Middle', 'Bottom'].map((name, i) => ({
+    name,
+    bounds: { x: 0, y: Math.round(band * i), width, height: Math.round(band) },
+  }));
+}
+
+/**
+ * Calculate the coverage report for a capture
+ *
+ * @param asset - Captured asset
+ * @param matches - Color, font and box style matches for the asset's extraction
+ * @returns Overall coverage, off-system counts and per-region breakdown
+ */
+export function calculateCoverage(
+  asset: CapturedAsset,
+  { colorMatches, fontMatches, boxStyleMatches }: CoverageMatches
+): CoverageReport {
+  const samples: Sample[] = [
+    ...fontMatches.map((match) => ({
+      kind: 'text' as const,
+      centroid: match.source.centroid,
+      onToken: match.status === 'pass',
+    })),
+    ...paintSamples(asset, colorMatches),
+    ...boxStyleMatches.map((match) => ({
+      kind: 'box' as const,
+      centroid: match.source.centroid,
+      onToken: match.status === 'pass',
+      boxKind: match.source.kind,
+    })),
+  ];
+
+  // Smallest containing region wins; the rest belongs to the page
+  const regions = detectRegions(asset).sort(
+    (a, b) => a.bounds.width * a.bounds.height - b.bounds.width * b.bounds.height
+  );
+  const byRegion = new Map<string, { name: string; bounds: Bounds; samples: Sample[] }>();
+  for (const sample of samples) {
+    const region = regions.find((r) => contains(r.bounds, sample.centroid));
+    const name = region?.name || 'Rest of page';
+    const key = region ? `${region.name}|${region.bounds.x},${region.bounds.y}` : name;
+    const entry = byRegion.get(key) || {
+      name,
+      bounds: region?.bounds || { x: 0, y: 0, width: asset.image.width, height: asset.image.height },
+      samples: [],
+    };
+    entry.samples.push(sample);
+    byRegion.set(key, entry);
+  }
+
+  return {
+    ...summarize(samples),
+    colorStats: calculateMatchStats(colorMatches),
+    fontStats: calculateFontMatchStats(fontMatches),
+    regions: [...byRegion.values()]
+      .map(({ name, bounds, samples: regionSamples }) => ({ name, bounds, ...summarize(regionSamples) }))
+      .sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x),
+  };
+}
+
+export default {
+  calculateCoverage,
+  COVERAGE_WEIGHTS,
+};
@@ -0,0 +1,231 @@
+/**
+ * Release Diff
+ *
+ * Compares the themes and components of an export against the last release
+ * and classifies each change for semantic versioning:
+ * - major: a token, component or prop was removed or renamed, or a prop became required
+ * - minor: a token, component or optional prop was added
+ * - patch: a token value or prop definition changed
+ *
+ * Releases store a manifest (the compared state only) so the next release
+ * can be diffed without keeping the full rows around. Tokens are keyed by
+ * theme slug and path, components by slug and props by name. A removed key
+ * whose definition matches exactly one added key is reported as a rename.
+ */
+
+import { isSameValue } from './themeDiff.js';
+
+/** Severity order of change levels */
+export const RELEASE_LEVELS = ['patch', 'minor', 'major'];
+
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+
+/**
+ * Build the release manifest for themes and components
+ * @param {Array} themes - Full themes (with tokens)
+ * @param {Array} components - Full components (with props)
+ * @returns {{ themes: Object, components: Object }}
+ */
+export function buildReleaseManifest(themes = [], components = []) {
+  const manifest = { themes: {}, components: {} };
+
+  for (const theme of themes) {
+    const tokens = {};
+    for (const token of theme.tokens || []) {
+      if (!token.path) continue;
+      tokens[token.path] = {
+        type: token.type ?? null,
+        value: token.value ?? null,
+        alias_path: token.alias_path ?? null,
+        mode_values: token.mode_values ?? null,
+      };
+    }
+    manifest.themes[theme.slug || theme.id] = { name: theme.name, tokens };
+  }
+
+  for (const component of components) {
+    const props = {};
+    for (const prop of component.props || []) {
+      if (!prop?.name) continue;
+      props[prop.name] = {
+        type: prop.type ?? null,
+        required: !!prop.required,
+        default: prop.default ?? null,
+        options: prop.options ?? null,
+      };
+    }
+    manifest.components[component.slug || component.id] = { name: component.name, props };
+  }
+
+  return manifest;
+}
+
+/**
+ * Diff two keyed maps, pairing removed and added keys with identical definitions as renames
+ * @param {Object} before - Key → definition
+ * @param {Object} after - Key → definition
+ * @param {Function} [compared] - Part of a definition to compare (default: all of it)
+ * @returns {{ added: string[], removed: string[], renamed: Array<{ from: string, to: string }>, changed: string[] }}
+ */
+function diffKeyed(before = {}, after = {}, compared = (definition) => definition) {
+  const same = (a, b) => isSameValue(compared(a), compared(b));
+  const added = Object.keys(after).filter(key => !(key in before)).sort();
+  const removed = Object.keys(before).filter(key => !(key in after)).sort();
+  const changed = Object.keys(after).filter(key => key in before && !same(before[key], after[key])).sort();
+
+  // Only unambiguous pairs count as renames
+  const renamed = [];
+  for (const from of removed) {
+    const matches = added.filter(to => same(before[from], after[to]));
+    const rivals = removed.filter(other => matches.length === 1 && same(before[other], after[matches[0]]));
+    if (matches.length === 1 && rivals.length === 1) renamed.push({ from, to: matches[0] });
+  }
+
+  return {
+    added: added.filter(key => !renamed.some(r => r.to === key)),
+    removed: removed.filter(key => !renamed.some(r => r.from === key)),
+    renamed,
+    changed,
+  };
+}
+
+/**
+ * Diff two release manifests
+ * @param {Object|null} before - Manifest of the last release (null for the first release)
+ * @param {Object} after - Manifest of the current state
+ * @returns {{ changes: Array<{ level: string, kind: string, action: string, scope?: string, key: string, from?: string }>, level: string|null }}
+ *   changes are sorted major → patch; level is the highest change level (null when nothing changed)
+ */
+export function diffReleaseManifests(before, after) {
+  const changes = [];
+  const add = (level, kind, action, key, extra = {}) => changes.push({ level, kind, action, key, ...extra });
+
+  const themeSlugs = new Set([...Object.keys(before?.themes || {}), ...Object.keys(after?.themes || {})]);
+  for (const scope of [...themeSlugs].sort()) {
+    const diff = diffKeyed(before?.themes?.[scope]?.tokens, after?.themes?.[scope]?.tokens);
+    diff.removed.forEach(key => add('major', 'token', 'removed', key, { scope }));
+    diff.renamed.forEach(({ from, to }) => add('major', 'token', 'renamed', to, { scope, from }));
+    diff.added.forEach(key => add('minor', 'token', 'added', key, { scope }));
+    diff.changed.forEach(key => add('patch', 'token', 'changed', key, { scope }));
+  }
+
+  const componentDiff = diffKeyed(before?.components, after?.components, component => component.props);
+  componentDiff.removed.forEach(key => add('major', 'component', 'removed', before.components[key].name || key));
+  componentDiff.renamed.forEach(({ from, to }) => add('major', 'component', 'renamed', after.components[to].name || to, {
+    from: before.components[from].name || from,
+  }));
+  componentDiff.added.forEach(key => add('minor', 'component', 'added', after.components[key].name || key));
+
+  for (const slug of componentDiff.changed) {
+    const scope = after.components[slug].name || slug;
+    const beforeProps = before.components[slug].props;
+    const afterProps = after.components[slug].props;
+    const diff = diffKeyed(beforeProps, afterProps);
+    diff.removed.forEach(key => add('major', 'prop', 'removed', key, { scope }));
+    diff.renamed.forEach(({ from, to }) => add('major', 'prop', 'renamed', to, { scope, from }));
+    diff.added.forEach(key => add(afterProps[key].required ? 'major' : 'minor', 'prop', 'added', key, { scope }));
+    diff.changed.forEach(key => add(
+      afterProps[key].required && !beforeProps[key].required ? 'major' : 'patch',
+      'prop',
+      'changed',
+      key,
+      { scope }
+    ));
+  }
+
+  const rank = (level) => RELEASE_LEVELS.indexOf(level);
+  changes.sort((a, b) => rank(b.level) - rank(a.level));
+  return { changes, level: changes[0]?.level || null };
+}
+
+/**
+ * Whether a string is a plain MAJOR.MINOR.PATCH version
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isValidVersion(version) {
+  return SEMVER_PATTERN.test(String(version || ''));
+}
+
+/**
+ * Compare two versions
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative when a < b, 0 when equal, positive when a > b
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).match(SEMVER_PATTERN)?.slice(1).map(Number) || [0, 0, 0];
+  const pb = String(b).match(SEMVER_PATTERN)?.slice(1).map(Number) || [0, 0, 0];
+  return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+}
+
+/**
+ * Suggest the next version
+ * @param {string|null} previous - Last released version (null for the first release)
+ * @param {string|null} level - Highest change level; nothing changed counts as a patch
+ * @returns {string}
+ */
+export function suggestNextVersion(previous, level) {
+  if (!previous || !isValidVersion(previous)) return '1.0.0';
+  const [major, minor, patch] = previous.split('.').map(Number);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * One changelog line for a change
+ * @param {Object} change - Change from diffReleaseManifests
+ * @returns {string}
+ */
+function describeChange(change) {
+  const name = (key) => (change.kind === 'component' ? key : `\`${key}\``);
+  const where = change.kind === 'token' ? ` (${change.scope})` : change.kind === 'prop' ? ` of ${change.scope}` : '';
+
+  if (change.action === 'renamed') {
+    return `Renamed ${change.kind} ${name(change.from)} to ${name(change.key)}${where}`;
+  }
+  if (change.kind === 'prop' && change.level === 'major') {
+    return change.action === 'added'
+      ? `Added required prop ${name(change.key)}${where}`
+      : `Made prop ${name(change.key)}${where} required`;
+  }
+  const verb = change.action.charAt(0).toUpperCase() + change.action.slice(1);
+  return `${verb} ${change.kind} ${name(change.key)}${where}`;
+}
+
+/**
+ * Generate CHANGELOG.md from releases
+ * @param {Array<{ version: string, created_at?: string, notes?: string, changes?: Array }>} releases - Newest first
+ * @param {Object} options
+ * @param {string} options.projectName - Project name for the heading
+ * @returns {string} - Markdown
+ */
+export function generateChangelog(releases = [], options = {}) {
+  const { projectName = 'design-system' } = options;
+  const sections = [
+    ['major', 'Breaking changes'],
+    ['minor', 'Added'],
+    ['patch', 'Changed'],
+  ];
+
+  let md = `# Changelog\n\nAll notable changes to ${projectName}. Versions follow [Semantic Versioning](https://semver.org).\n`;
+
+  releases.forEach((release, index) => {
+    const date = (release.created_at || new Date().toISOString()).split('T')[0];
+    md += `\n## ${release.version} - ${date}\n`;
+    if (release.notes) md += `\n${release.notes}\n`;
+
+    const changes = release.changes || [];
+    if (!changes.length) {
+      md += index === releases.length - 1 ? '\nInitial release.\n' : '\nNo token or component changes.\n';
+      return;
+    }
+    for (const [level, heading] of sections) {
+      const lines = changes.filter(change => change.level === level).map(describeChange);
+      if (lines.length) md += `\n### ${heading}\n\n${lines.map(line => `- ${line}`).join('\n')}\n`;
+    }
+  });
+
+  return md;
+}
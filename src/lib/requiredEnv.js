@@ -6,13 +6,27 @@
  * - unit test the logic without relying on `import.meta.env` in tests
  */
 
+export const DATA_BACKENDS = ['supabase', 'local'];
+
+/**
+ * Resolve the data backend: `VITE_DATA_BACKEND=local` runs the app on
+ * browser storage (IndexedDB) instead of a Supabase project.
+ */
+export function getDataBackend(env) {
+  const backend = String(env?.VITE_DATA_BACKEND || '').trim().toLowerCase();
+  return DATA_BACKENDS.includes(backend) ? backend : 'supabase';
+}
+
 export function getSupabaseEnvStatus(env) {
   const supabaseUrl = env?.VITE_SUPABASE_URL;
   const supabaseAnonKey = env?.VITE_SUPABASE_ANON_KEY;
 
+  // The local backend needs no Supabase credentials
   const missingKeys = [];
-  if (!supabaseUrl) missingKeys.push('VITE_SUPABASE_URL');
-  if (!supabaseAnonKey) missingKeys.push('VITE_SUPABASE_ANON_KEY');
+  if (getDataBackend(env) === 'supabase') {
+    if (!supabaseUrl) missingKeys.push('VITE_SUPABASE_URL');
+    if (!supabaseAnonKey) missingKeys.push('VITE_SUPABASE_ANON_KEY');
+  }
 
   return {
     supabaseUrl,
@@ -0,0 +1,173 @@
+/**
+ * Component preview sandbox runtime.
+ *
+ * `sandboxRuntime` is never called in the app's window: its source is
+ * serialized into the sandboxed preview iframe (see componentSandbox.js),
+ * where it runs next to the React/ReactDOM UMD globals. It must therefore
+ * stay self-contained — no imports and no references to module scope.
+ *
+ * Protocol (every message carries `source`):
+ *   parent → frame  { type: 'render', id, code, example, props, cssVariables, icons, scope }
+ *   frame → parent  { type: 'ready' }
+ *                   { type: 'rendered', id }
+ *                   { type: 'error', id, phase: 'compile' | 'runtime', message }
+ *                   { type: 'resize', height }
+ *
+ * @param {string} SOURCE - Message source tag shared with the parent
+ */
+export function sandboxRuntime(SOURCE) {
+  /* global React, ReactDOM */
+  const container = document.getElementById('root');
+  const root = ReactDOM.createRoot(container);
+  const post = (message) => window.parent.postMessage({ source: SOURCE, ...message }, '*');
+
+  let currentId = null;
+  let currentIcons = [];
+  let appliedVariables = [];
+  const evaluated = { code: null, example: null, Component: null, Example: null };
+
+  // Reads the latest icon list at render time, so icon changes don't require re-evaluating code
+  function Icon({ name, size = 24, color = 'currentColor', className = '', ...rest }) {
+    const icon = currentIcons.find(i =>
+      i.slug === name ||
+      i.name === name ||
+      String(i.name).toLowerCase().replace(/\s+/g, '-') === name
+    );
+
+    if (!icon || !icon.svg_text) {
+      return React.createElement('span', {
+        className: `icon icon-placeholder ${className}`,
+        style: { display: 'inline-flex', width: size, height: size, alignItems: 'center', justifyContent: 'center', color },
+        title: `Icon "${name}" not found`,
+        ...rest,
+      }, '?');
+    }
+
+    let svgContent = icon.svg_text;
+    if (!svgContent.includes('currentColor')) {
+      svgContent = svgContent
+        .replace(/fill="[^"]*"/gi, 'fill="currentColor"')
+        .replace(/stroke="[^"]*"/gi, 'stroke="currentColor"');
+    }
+
+    return React.createElement('span', {
+      className: `icon icon-${icon.slug} ${className}`,
+      style: { display: 'inline-flex', width: size, height: size, color },
+      dangerouslySetInnerHTML: { __html: svgContent },
+      ...rest,
+    });
+  }
+
+  function evaluate(compiled, scope) {
+    const names = Object.keys(scope);
+    const fn = new Function(...names, `
+      const { useState, useEffect, useRef, useMemo, useCallback, forwardRef, createContext, useContext } = React;
+      let __defaultExport = null;
+      ${compiled}
+      return __defaultExport;
+    `);
+    return fn(...names.map(name => scope[name]));
+  }
+
+  class ErrorBoundary extends React.Component {
+    constructor(props) {
+      super(props);
+      this.state = { failed: false };
+    }
+
+    static getDerivedStateFromError() {
+      return { failed: true };
+    }
+
+    componentDidUpdate(prevProps) {
+      if (prevProps.id !== this.props.id && this.state.failed) {
+        this.setState({ failed: false });
+      }
+    }
+
+    componentDidCatch(error) {
+      post({ type: 'error', id: this.props.id, phase: 'runtime', message: error?.message || String(error) });
+    }
+
+    render() {
+      return this.state.failed ? null : this.props.children;
+    }
+  }
+
+  function Rendered({ id, children }) {
+    React.useEffect(() => {
+      post({ type: 'rendered', id });
+    }, [id]);
+    return children;
+  }
+
+  function applyVariables(cssVariables) {
+    const style = document.documentElement.style;
+    appliedVariables.forEach(name => style.removeProperty(name));
+    appliedVariables = Object.keys(cssVariables || {});
+    appliedVariables.forEach(name => style.setProperty(name, cssVariables[name]));
+  }
+
+  function render(message) {
+    const { id, code, example, props, cssVariables, icons, scope } = message;
+    currentId = id;
+    currentIcons = icons || [];
+    applyVariables(cssVariables);
+
+    try {
+      // Re-evaluate only when the code changes so component state survives prop edits
+      if (evaluated.code !== code) {
+        const Component = evaluate(code, { React, Icon });
+        if (typeof Component !== 'function' && typeof Component?.render !== 'function') {
+          throw new Error('Code does not export a valid React component');
+        }
+        Object.assign(evaluated, { code, example: null, Component, Example: null });
+      }
+      if (example && evaluated.example !== example) {
+        const exampleScope = { React, Icon };
+        (scope || ['Component']).forEach(name => { exampleScope[name] = evaluated.Component; });
+        evaluated.Example = evaluate(example, exampleScope);
+        evaluated.example = example;
+      }
+    } catch (error) {
+      root.render(null);
+      post({ type: 'error', id, phase: 'compile', message: error?.message || String(error) });
+      return;
+    }
+
+    const element = example
+      ? React.createElement(evaluated.Example)
+      : React.createElement(evaluated.Component, props || {});
+
+    root.render(
+      React.createElement(ErrorBoundary, { id },
+        React.createElement(Rendered, { id }, element))
+    );
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent) return;
+    const data = event.data;
+    if (!data || data.source !== SOURCE || data.type !== 'render') return;
+    render(data);
+  });
+
+  window.addEventListener('error', (event) => {
+    post({ type: 'error', id: currentId, phase: 'runtime', message: event.message });
+  });
+
+  window.addEventListener('unhandledrejection', (event) => {
+    post({ type: 'error', id: currentId, phase: 'runtime', message: event.reason?.message || String(event.reason) });
+  });
+
+  let lastHeight = 0;
+  new ResizeObserver(() => {
+    const height = Math.ceil(container.getBoundingClientRect().height);
+    if (height !== lastHeight) {
+      lastHeight = height;
+      post({ type: 'resize', height });
+    }
+  }).observe(container);
+
+  post({ type: 'ready' });
+}
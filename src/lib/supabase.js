@@ -3,9 +3,17 @@
  * 
  * Initializes the Supabase client for database and storage operations.
  * No RLS policies are used (single-user tool).
+ *
+ * With `VITE_DATA_BACKEND=local` (or the Settings override) `supabase` is a
+ * Supabase-compatible client over IndexedDB instead, so the app runs without
+ * a Supabase project. Services don't need to know which one they talk to.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { getDataBackend } from './requiredEnv';
+import { createLocalClient } from './localDb/localClient';
+import { createIndexedDbAdapter } from './localDb/indexedDbAdapter';
+import { createMemoryAdapter } from './localDb/memoryAdapter';
 
 function safeLocalStorageGet(key) {
   try {
@@ -27,10 +35,16 @@ const supabaseAnonKey = allowOverrides
   ? safeLocalStorageGet('ds-admin-supabase-key') || import.meta.env.VITE_SUPABASE_ANON_KEY
   : import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-const missingMsg = 'Missing Supabase configuration. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.';
+export const dataBackend = getDataBackend({
+  VITE_DATA_BACKEND: (allowOverrides && safeLocalStorageGet('ds-admin-data-backend'))
+    || import.meta.env.VITE_DATA_BACKEND,
+});
+export const isLocalBackend = dataBackend === 'local';
+
+const missingMsg = 'Missing Supabase configuration. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY, or VITE_DATA_BACKEND=local.';
 
 export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseAnonKey);
-export const supabaseConfigError = isSupabaseConfigured ? null : missingMsg;
+export const supabaseConfigError = isSupabaseConfigured || isLocalBackend ? null : missingMsg;
 
 function createMissingSupabaseProxy(message) {
   return new Proxy(
@@ -48,14 +62,25 @@ function createMissingSupabaseProxy(message) {
   );
 }
 
-if (!isSupabaseConfigured) {
+function createBrowserLocalClient() {
+  // IndexedDB is missing in some embedded browsers; keep the session usable in memory
+  const adapter = typeof indexedDB !== 'undefined' ? createIndexedDbAdapter() : createMemoryAdapter();
+  return createLocalClient(adapter);
+}
+
+if (supabaseConfigError) {
   // Never hard-crash the whole app at import-time — show a helpful UI instead.
   // (App-level guard renders a config screen in production.)
   console.error(missingMsg);
 }
 
-export const supabase = isSupabaseConfigured
-  ? createClient(supabaseUrl, supabaseAnonKey)
-  : createMissingSupabaseProxy(missingMsg);
+function createDataClient() {
+  if (isLocalBackend) return createBrowserLocalClient();
+  return isSupabaseConfigured
+    ? createClient(supabaseUrl, supabaseAnonKey)
+    : createMissingSupabaseProxy(missingMsg);
+}
+
+export const supabase = createDataClient();
 
 
@@ -0,0 +1,128 @@
+/**
+ * Theme Diff
+ *
+ * Compares two versions of a theme (live rows or snapshots) and reports
+ * added, removed and changed tokens and typography roles. Tokens are matched
+ * by path and typography roles by role_name, so re-created rows with new IDs
+ * still line up.
+ */
+
+/**
+ * Token fields compared between versions
+ */
+export const TOKEN_DIFF_FIELDS = [
+  'name',
+  'category',
+  'type',
+  'value',
+  'alias_path',
+  'mode_values',
+  'css_variable',
+  'description',
+];
+
+/**
+ * Typography role fields compared between versions
+ */
+export const ROLE_DIFF_FIELDS = [
+  'typeface_role',
+  'font_size',
+  'font_size_tablet',
+  'font_size_mobile',
+  'font_weight',
+  'line_height',
+  'letter_spacing',
+];
+
+/**
+ * Compare two values structurally (JSONB-style; key order ignored)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function isSameValue(a, b) {
+  return stableStringify(normalizeEmpty(a)) === stableStringify(normalizeEmpty(b));
+}
+
+/**
+ * Diff two lists of records keyed by `key`
+ * @param {Array} before - Records in the older version
+ * @param {Array} after - Records in the newer version
+ * @param {string} key - Field used to match records
+ * @param {string[]} fields - Fields to compare
+ * @returns {{ added: Array, removed: Array, changed: Array<{ key: string, before: Object, after: Object, fields: string[] }> }}
+ */
+export function diffRecords(before = [], after = [], key, fields) {
+  const beforeMap = new Map(before.map(r => [r[key], r]));
+  const afterMap = new Map(after.map(r => [r[key], r]));
+
+  const added = after.filter(r => !beforeMap.has(r[key]));
+  const removed = before.filter(r => !afterMap.has(r[key]));
+  const changed = [];
+
+  for (const next of after) {
+    const prev = beforeMap.get(next[key]);
+    if (!prev) continue;
+
+    const changedFields = fields.filter(field => !isSameValue(prev[field], next[field]));
+    if (changedFields.length > 0) {
+      changed.push({ key: next[key], before: prev, after: next, fields: changedFields });
+    }
+  }
+
+  const byKey = (a, b) => String(a[key] ?? a.key).localeCompare(String(b[key] ?? b.key));
+  return {
+    added: added.sort(byKey),
+    removed: removed.sort(byKey),
+    changed: changed.sort(byKey),
+  };
+}
+
+/**
+ * Diff two theme versions
+ * @param {Object} before - Older theme (with tokens and typography_roles)
+ * @param {Object} after - Newer theme (with tokens and typography_roles)
+ * @returns {{ tokens: Object, typographyRoles: Object, hasChanges: boolean, summary: { added: number, removed: number, changed: number } }}
+ */
+export function diffThemes(before, after) {
+  const tokens = diffRecords(before?.tokens || [], after?.tokens || [], 'path', TOKEN_DIFF_FIELDS);
+  const typographyRoles = diffRecords(
+    before?.typography_roles || [],
+    after?.typography_roles || [],
+    'role_name',
+    ROLE_DIFF_FIELDS
+  );
+
+  const summary = {
+    added: tokens.added.length + typographyRoles.added.length,
+    removed: tokens.removed.length + typographyRoles.removed.length,
+    changed: tokens.changed.length + typographyRoles.changed.length,
+  };
+
+  return {
+    tokens,
+    typographyRoles,
+    hasChanges: summary.added + summary.removed + summary.changed > 0,
+    summary,
+  };
+}
+
+/**
+ * Treat null, undefined and empty objects as the same "unset" value
+ * (e.g. a missing `mode_values` vs the column default `{}`)
+ */
+function normalizeEmpty(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return null;
+  return value;
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
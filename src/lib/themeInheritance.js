@@ -0,0 +1,118 @@
+/**
+ * Theme Inheritance
+ *
+ * A child theme (`themes.parent_theme_id`) stores only the tokens it
+ * overrides; everything else resolves from the parent chain. Tokens are
+ * matched by path, typography roles by role_name and typefaces by role.
+ *
+ * Merged records are annotated so the editor can tell them apart:
+ * - `inherited: true` + `inherited_from` (theme id) on records that come from an ancestor
+ * - `overrides_parent: true` on the child's own records that shadow an ancestor's
+ * These annotations are not columns and must be stripped before writing rows.
+ */
+
+import { getThemeModes } from './tokenModes.js';
+
+/**
+ * Deepest parent chain followed before giving up (guards against bad data)
+ */
+export const MAX_INHERITANCE_DEPTH = 10;
+
+/**
+ * Annotation fields added by mergeThemeChain
+ */
+export const INHERITANCE_FIELDS = ['inherited', 'inherited_from', 'overrides_parent'];
+
+// Row identity fields that must not be copied into an override
+const ROW_FIELDS = ['id', 'theme_id', 'created_at', 'updated_at'];
+
+/**
+ * Check if a record comes from an ancestor theme
+ * @param {Object} record - Token / typography role / typeface
+ * @returns {boolean}
+ */
+export function isInherited(record) {
+  return record?.inherited === true;
+}
+
+/**
+ * Remove inheritance annotations from a record
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function stripInheritanceFields(record) {
+  const copy = { ...record };
+  for (const field of INHERITANCE_FIELDS) delete copy[field];
+  return copy;
+}
+
+/**
+ * Merge records from a theme chain, nearest theme winning
+ * @param {Array<Object>} chain - [theme, parent, grandparent, ...]
+ * @param {string} relation - Theme field holding the records (e.g. 'tokens')
+ * @param {string} key - Field used to match records across themes
+ * @returns {Array}
+ */
+function mergeRecords(chain, relation, key) {
+  const [own, ...ancestors] = chain;
+  const ancestorKeys = new Set();
+  const merged = [];
+  const seen = new Set();
+
+  for (const record of own[relation] || []) {
+    seen.add(record[key]);
+    merged.push(record);
+  }
+
+  for (const ancestor of ancestors) {
+    for (const record of ancestor[relation] || []) {
+      ancestorKeys.add(record[key]);
+      if (seen.has(record[key])) continue;
+      seen.add(record[key]);
+      merged.push({ ...record, inherited: true, inherited_from: ancestor.id });
+    }
+  }
+
+  return merged.map(record => (
+    !isInherited(record) && ancestorKeys.has(record[key])
+      ? { ...record, overrides_parent: true }
+      : record
+  ));
+}
+
+/**
+ * Build the effective theme from a theme and its ancestors
+ * @param {Object} theme - Theme with its own tokens, typography_roles and typefaces
+ * @param {Array<Object>} ancestors - Parent first, then grandparent, ...
+ * @returns {Object} - Theme with merged relations and `parent_chain` [{ id, name }]
+ */
+export function mergeThemeChain(theme, ancestors = []) {
+  if (!ancestors.length) return theme;
+
+  const chain = [theme, ...ancestors];
+
+  // Modes: the root's order first, then any modes added further down
+  const modes = [...new Set([...chain].reverse().flatMap(t => getThemeModes(t)))];
+
+  return {
+    ...theme,
+    modes,
+    tokens: mergeRecords(chain, 'tokens', 'path'),
+    typography_roles: mergeRecords(chain, 'typography_roles', 'role_name'),
+    typefaces: mergeRecords(chain, 'typefaces', 'role'),
+    parent_chain: ancestors.map(({ id, name }) => ({ id, name })),
+  };
+}
+
+/**
+ * Build the row to insert when a child overrides an inherited token
+ * @param {Object} token - Inherited token (from the merged set)
+ * @param {string} themeId - Child theme id
+ * @param {Object} updates - Fields being changed
+ * @returns {Object} - Token payload for tokenService.createToken
+ */
+export function toOverrideToken(token, themeId, updates = {}) {
+  const base = stripInheritanceFields(token);
+  for (const field of ROW_FIELDS) delete base[field];
+  return { ...base, ...updates, theme_id: themeId };
+}
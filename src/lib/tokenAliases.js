@@ -0,0 +1,233 @@
+/**
+ * Token Alias Resolution
+ *
+ * Alias tokens point at another token instead of holding their own value
+ * (e.g. `button/bg` → `color/brand/500`). The target is stored as a token path
+ * in `alias_path`; `value` keeps the last resolved value so consumers that do
+ * not resolve aliases still get something sensible.
+ *
+ * References in imported files use the DTCG curly-brace syntax
+ * (`{color.brand.500}`) and are matched against token paths case-insensitively,
+ * treating `.` and `/` as equivalent separators.
+ *
+ * Exports combine the tokens of several themes in one list. There each token
+ * carries `alias_scope` (the exported theme's id) and aliases only resolve to
+ * tokens of the same scope, so a theme keeps its own alias targets.
+ */
+
+/**
+ * Matches a DTCG alias reference such as `{color.brand.primary}`
+ */
+export const ALIAS_REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+
+/**
+ * Check if a raw value is a DTCG alias reference string
+ * @param {*} value - Raw token value
+ * @returns {boolean}
+ */
+export function isAliasReference(value) {
+  return typeof value === 'string' && ALIAS_REFERENCE_PATTERN.test(value.trim());
+}
+
+/**
+ * Convert a DTCG reference to a token path
+ * "{color.brand.primary}" -> "color/brand/primary"
+ * @param {string} reference - Alias reference
+ * @returns {string|null} - Token path or null if not a reference
+ */
+export function referenceToPath(reference) {
+  if (!isAliasReference(reference)) return null;
+  const inner = reference.trim().match(ALIAS_REFERENCE_PATTERN)[1];
+  return inner.split('.').map(part => part.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * Convert a token path to a DTCG reference
+ * "color/brand/primary" -> "{color.brand.primary}"
+ * @param {string} path - Token path
+ * @returns {string} - Alias reference
+ */
+export function pathToReference(path) {
+  return `{${String(path || '').split('/').filter(Boolean).join('.')}}`;
+}
+
+/**
+ * Check if a token is an alias of another token
+ * @param {Object} token - Token object
+ * @returns {boolean}
+ */
+export function isAliasToken(token) {
+  return typeof token?.alias_path === 'string' && token.alias_path.length > 0;
+}
+
+/**
+ * Normalize a path or reference into a lookup key
+ * @param {string} path - Token path or alias path
+ * @param {string} [scope] - alias_scope of the token
+ * @returns {string}
+ */
+function toLookupKey(path, scope) {
+  const key = String(path || '')
+    .split(/[/.]/)
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .join('.');
+  return scope ? `${scope}:${key}` : key;
+}
+
+/**
+ * Build a lookup index of tokens keyed by normalized path
+ * @param {Array} tokens - Array of token objects
+ * @returns {Map<string, Object>}
+ */
+export function buildTokenIndex(tokens) {
+  const index = new Map();
+  for (const token of tokens || []) {
+    if (!token?.path) continue;
+    index.set(toLookupKey(token.path, token.alias_scope), token);
+  }
+  return index;
+}
+
+/**
+ * Find the token an alias path points at
+ * @param {Map<string, Object>} index - Index from buildTokenIndex
+ * @param {string} aliasPath - Alias path (slash or dot separated)
+ * @param {string} [scope] - alias_scope of the referencing token
+ * @returns {Object|null}
+ */
+export function findAliasTarget(index, aliasPath, scope) {
+  if (!aliasPath) return null;
+  return index.get(toLookupKey(aliasPath, scope)) || null;
+}
+
+/**
+ * Follow an alias chain to its concrete token
+ * @param {Object} token - Starting token
+ * @param {Map<string, Object>} index - Index from buildTokenIndex
+ * @returns {{ target: Object|null, chain: string[], error: Object|null }}
+ */
+export function followAliasChain(token, index) {
+  const chain = [token.path];
+  const seen = new Set([toLookupKey(token.path, token.alias_scope)]);
+  let current = token;
+
+  while (isAliasToken(current)) {
+    const next = findAliasTarget(index, current.alias_path, current.alias_scope);
+    if (!next) {
+      return {
+        target: null,
+        chain,
+        error: {
+          type: 'dangling',
+          path: token.path,
+          reference: current.alias_path,
+          message: `${token.path} references missing token ${current.alias_path}`,
+        },
+      };
+    }
+
+    const key = toLookupKey(next.path, next.alias_scope);
+    chain.push(next.path);
+    if (seen.has(key)) {
+      return {
+        target: null,
+        chain,
+        error: {
+          type: 'cycle',
+          path: token.path,
+          reference: current.alias_path,
+          message: `Circular reference: ${chain.join(' → ')}`,
+        },
+      };
+    }
+    seen.add(key);
+    current = next;
+  }
+
+  return { target: current, chain, error: null };
+}
+
+/**
+ * Resolve alias tokens to their concrete values
+ * Tokens that are not aliases are returned unchanged. Aliases that cannot be
+ * resolved keep their stored value and are reported in `errors`.
+ *
+ * @param {Array} tokens - Array of token objects
+ * @returns {{ tokens: Array, errors: Array<{ type: 'cycle'|'dangling', path: string, reference: string, message: string }> }}
+ */
+export function resolveTokenAliases(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return { tokens: tokens || [], errors: [] };
+  }
+
+  const index = buildTokenIndex(tokens);
+  const errors = [];
+
+  const resolved = tokens.map(token => {
+    if (!isAliasToken(token)) return token;
+
+    const { target, error } = followAliasChain(token, index);
+    if (error) {
+      errors.push(error);
+      return token;
+    }
+
+    return { ...token, value: target.value };
+  });
+
+  return { tokens: resolved, errors };
+}
+
+/**
+ * Check whether pointing `tokenPath` at `targetPath` would create a cycle
+ * @param {Array} tokens - Array of token objects
+ * @param {string} tokenPath - Path of the token being edited
+ * @param {string} targetPath - Proposed alias target path
+ * @returns {boolean}
+ */
+export function wouldCreateAliasCycle(tokens, tokenPath, targetPath) {
+  const index = buildTokenIndex(tokens);
+  const start = toLookupKey(tokenPath);
+  let current = findAliasTarget(index, targetPath);
+  const seen = new Set();
+
+  if (toLookupKey(targetPath) === start) return true;
+
+  while (current) {
+    const key = toLookupKey(current.path);
+    if (key === start) return true;
+    if (seen.has(key) || !isAliasToken(current)) return false;
+    seen.add(key);
+    current = findAliasTarget(index, current.alias_path);
+  }
+
+  return false;
+}
+
+/**
+ * Get tokens that a token may alias (same category, no self-reference, no cycles)
+ * @param {Array} tokens - All tokens in the theme
+ * @param {Object} token - Token being edited
+ * @returns {Array} - Candidate target tokens sorted by path
+ */
+export function getAliasCandidates(tokens, token) {
+  if (!token) return [];
+  return (tokens || [])
+    .filter(t => t.path && t.path !== token.path)
+    .filter(t => t.category === token.category)
+    .filter(t => !wouldCreateAliasCycle(tokens, token.path, t.path))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Get tokens that directly alias the given token
+ * @param {Array} tokens - All tokens in the theme
+ * @param {Object} token - Target token
+ * @returns {Array}
+ */
+export function getAliasDependents(tokens, token) {
+  if (!token?.path) return [];
+  const key = toLookupKey(token.path);
+  return (tokens || []).filter(t => isAliasToken(t) && toLookupKey(t.alias_path) === key);
+}
@@ -0,0 +1,190 @@
+/**
+ * Token Modes
+ *
+ * A theme can hold several modes (light/dark/high-contrast) over one token set.
+ * The theme lists its modes in `themes.modes`; the first entry is the default
+ * mode and its values live in `token.value`. Every other mode only stores the
+ * values that differ, in `token.mode_values[mode]`. Tokens without an entry
+ * for a mode fall back to the default value.
+ *
+ * Aliases are mode-independent: `alias_path` applies to every mode, and the
+ * alias picks up whatever value its target has in the active mode.
+ */
+
+import { resolveTokenAliases } from './tokenAliases.js';
+
+/**
+ * Modes used when a theme has never declared any
+ */
+export const DEFAULT_MODES = ['light'];
+
+/**
+ * Normalize a mode name into the slug stored on themes and tokens
+ * @param {string} name - Display or imported mode name (e.g. "High Contrast")
+ * @returns {string} - Slug (e.g. "high-contrast"), or '' when nothing usable is left
+ */
+export function normalizeModeName(name) {
+  return String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Format a mode slug for display
+ * @param {string} mode - Mode slug
+ * @returns {string} - e.g. "high-contrast" → "High Contrast"
+ */
+export function formatModeLabel(mode) {
+  return String(mode || '')
+    .split('-')
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+/**
+ * Get the ordered list of modes for a theme
+ * @param {Object} theme - Theme object
+ * @returns {string[]} - Mode slugs, default mode first
+ */
+export function getThemeModes(theme) {
+  const modes = Array.isArray(theme?.modes)
+    ? theme.modes.map(normalizeModeName).filter(Boolean)
+    : [];
+  const unique = [...new Set(modes)];
+  return unique.length > 0 ? unique : [...DEFAULT_MODES];
+}
+
+/**
+ * Get the default mode for a theme (the one stored in `token.value`)
+ * @param {Object} theme - Theme object
+ * @returns {string}
+ */
+export function getDefaultMode(theme) {
+  return getThemeModes(theme)[0];
+}
+
+/**
+ * Check whether a token has its own value for a mode
+ * @param {Object} token - Token object
+ * @param {string} mode - Mode slug
+ * @returns {boolean}
+ */
+export function hasModeValue(token, mode) {
+  const values = token?.mode_values;
+  return !!values && typeof values === 'object' &&
+    Object.prototype.hasOwnProperty.call(values, mode) &&
+    values[mode] !== null && values[mode] !== undefined;
+}
+
+/**
+ * Get a token's own (unresolved) value for a mode
+ * @param {Object} token - Token object
+ * @param {string} mode - Mode slug
+ * @param {string} defaultMode - The theme's default mode
+ * @returns {*} - Mode value, falling back to `token.value`
+ */
+export function getTokenValueForMode(token, mode, defaultMode) {
+  if (!token) return undefined;
+  if (!mode || mode === defaultMode || !hasModeValue(token, mode)) {
+    return token.value;
+  }
+  return token.mode_values[mode];
+}
+
+/**
+ * Get the tokens as they appear in a mode, with aliases resolved
+ * @param {Array} tokens - Array of token objects
+ * @param {string} mode - Mode slug
+ * @param {string} defaultMode - The theme's default mode
+ * @returns {Array} - Tokens with `value` set to the mode value
+ */
+export function applyTokenMode(tokens, mode, defaultMode) {
+  if (!Array.isArray(tokens)) return [];
+
+  const withMode = !mode || mode === defaultMode
+    ? tokens
+    : tokens.map(token => (
+      hasModeValue(token, mode)
+        ? { ...token, value: token.mode_values[mode] }
+        : token
+    ));
+
+  return resolveTokenAliases(withMode).tokens;
+}
+
+/**
+ * Get the tokens whose resolved value in a mode differs from the default mode
+ * @param {Array} tokens - Array of token objects
+ * @param {string} mode - Mode slug
+ * @param {string} defaultMode - The theme's default mode
+ * @returns {Array} - Mode-applied tokens that change in this mode (includes aliases of changed tokens)
+ */
+export function getModeOverrideTokens(tokens, mode, defaultMode) {
+  if (!mode || mode === defaultMode) return [];
+
+  const base = applyTokenMode(tokens, defaultMode, defaultMode);
+  const inMode = applyTokenMode(tokens, mode, defaultMode);
+
+  return inMode.filter((token, i) => (
+    JSON.stringify(token.value) !== JSON.stringify(base[i].value)
+  ));
+}
+
+/**
+ * Translate an editor update into the fields to persist for the active mode.
+ * Value edits in a non-default mode are written into `mode_values[mode]`;
+ * everything else (name, alias, description) is shared across modes.
+ * @param {Object} token - Token being edited (stored form)
+ * @param {Object} updates - Fields changed in the editor
+ * @param {string} mode - Active mode slug
+ * @param {string} defaultMode - The theme's default mode
+ * @returns {Object} - Updates to send to tokenService.updateToken
+ */
+export function toModeUpdates(token, updates, mode, defaultMode) {
+  if (!mode || mode === defaultMode || !('value' in updates)) {
+    return updates;
+  }
+
+  const { value, ...rest } = updates;
+  return {
+    ...rest,
+    mode_values: { ...(token?.mode_values || {}), [mode]: value },
+  };
+}
+
+/**
+ * Remove a token's override for a mode so it falls back to the default value
+ * @param {Object} token - Token object
+ * @param {string} mode - Mode slug
+ * @returns {Object} - Updates to send to tokenService.updateToken
+ */
+export function clearModeValue(token, mode) {
+  const { [mode]: _removed, ...rest } = token?.mode_values || {};
+  return { mode_values: rest };
+}
+
+/**
+ * Media query that should select a mode automatically, if any.
+ * Used for `prefers-color-scheme` / `prefers-contrast` fallbacks in CSS output.
+ * @param {string} mode - Mode slug
+ * @returns {string|null}
+ */
+export function getModeMediaQuery(mode) {
+  const slug = normalizeModeName(mode);
+  if (/contrast/.test(slug)) return '(prefers-contrast: more)';
+  if (/(^|-)dark($|-)/.test(slug)) return '(prefers-color-scheme: dark)';
+  if (/(^|-)light($|-)/.test(slug)) return '(prefers-color-scheme: light)';
+  return null;
+}
+
+/**
+ * Color scheme (for `color-scheme` / preview chrome) implied by a mode
+ * @param {string} mode - Mode slug
+ * @returns {'light'|'dark'}
+ */
+export function getModeColorScheme(mode) {
+  return /(^|-)dark($|-)/.test(normalizeModeName(mode)) ? 'dark' : 'light';
+}
@@ -5,8 +5,34 @@
  * - Figma Variables (DTCG format with $type, $value, $extensions)
  * - Style Dictionary (collections/modes/variables)
  * - Flat JSON (nested objects with value keys)
+ *
+ * Alias references (`{color.brand.primary}`) are kept as `alias_path` and
+ * resolved against the parsed set once the whole file has been read.
+ *
+ * Style Dictionary modes are merged into one token per path: the first mode
+ * of a collection supplies `value`, later modes land in `mode_values`.
+ *
+ * Files written by our Style Dictionary export carry what the formats cannot
+ * express (category, exact type, collection, mode values, stored color fields) in
+ * `$extensions["com.design-system-admin"]` (DTCG) or in `type` / `attributes`
+ * (Style Dictionary JSON), so they re-import as the same token set.
  */
 
+import { isAliasReference, referenceToPath, buildTokenIndex, findAliasTarget, followAliasChain } from './tokenAliases.js';
+import { normalizeModeName } from './tokenModes.js';
+
+/**
+ * DTCG `$extensions` key for token data the format has no place for
+ */
+export const TOKEN_EXTENSION_KEY = 'com.design-system-admin';
+
+const TOKEN_CATEGORIES = ['color', 'typography', 'spacing', 'shadow', 'radius', 'grid', 'other'];
+
+const TOKEN_TYPES = [
+  'color', 'dimension', 'fontFamily', 'fontWeight', 'duration', 'cubicBezier', 'number', 'string',
+  'boolean', 'shadow', 'gradient', 'typography', 'typography-composite', 'border', 'transition',
+];
+
 // =============================================================================
 // Format Detection
 // =============================================================================
@@ -113,7 +139,7 @@ export function parseTokens(json) {
         parseFigmaVariables(json, '', tokens, errors, warnings);
         break;
       case 'style-dictionary':
-        parseStyleDictionary(json, tokens, errors, warnings);
+        parseStyleDictionary(json, tokens, errors, warnings, metadata);
         break;
       case 'flat':
         parseFlat(json, '', tokens, errors, warnings);
@@ -122,6 +148,9 @@ export function parseTokens(json) {
         errors.push('Unable to detect token file format. Expected figma-variables, style-dictionary, or flat JSON.');
     }
 
+    restoreRelocatedPaths(tokens);
+    linkParsedAliases(tokens, warnings);
+
     // Calculate metadata
     metadata.totalParsed = tokens.length;
     metadata.totalSkipped = warnings.filter(w => w.includes('Skipped')).length;
@@ -138,6 +167,33 @@ export function parseTokens(json) {
   return { tokens, errors, warnings, metadata };
 }
 
+/**
+ * Merge several token files into one object for parseTokens
+ * (e.g. the `tokens/**\/*.json` files of a Style Dictionary project).
+ * Groups are merged deeply; a token defined in several files keeps the last one.
+ * @param {Array<object>} jsons - Parsed JSON files
+ * @returns {object} - Merged token tree
+ */
+export function mergeTokenFiles(jsons) {
+  const isGroup = (value) => value && typeof value === 'object' && !Array.isArray(value)
+    && value.$value === undefined && value.value === undefined;
+
+  const merge = (target, source) => {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (isGroup(value) && isGroup(target[key])) {
+        merge(target[key], value);
+      } else if (isGroup(value)) {
+        target[key] = merge({}, value);
+      } else {
+        target[key] = value;
+      }
+    }
+    return target;
+  };
+
+  return (jsons || []).reduce((merged, json) => merge(merged, json), {});
+}
+
 /**
  * Parse token file (alias for parseTokens for backward compatibility)
  */
@@ -189,32 +245,70 @@ function parseFigmaVariables(obj, prefix, tokens, errors, warnings, depth = 0) {
 /**
  * Parse a single DTCG token
  */
-function parseDTCGToken(path, tokenData) {
-  const type = mapDTCGType(tokenData.$type);
-  const value = convertDTCGValue(tokenData.$type, tokenData.$value);
-  const category = detectCategory(path, type);
+function parseDTCGToken(location, tokenData) {
+  const { [TOKEN_EXTENSION_KEY]: own = {}, ...extensions } = tokenData.$extensions || {};
+  const path = typeof own.path === 'string' && own.path ? own.path : location;
+  const type = TOKEN_TYPES.includes(own.type) ? own.type : mapDTCGType(tokenData.$type);
+  const isAlias = isAliasReference(tokenData.$value);
+  const convert = (v) => pickColorFields(convertDTCGValue(tokenData.$type, v), own.colorFields);
+  const value = isAlias ? null : convert(tokenData.$value);
+  const category = TOKEN_CATEGORIES.includes(own.category) ? own.category : detectCategory(path, type);
+  const modeValues = parseModeValues(own.modes, convert);
 
   // Extract Figma variable ID from extensions
-  const figmaId = tokenData.$extensions?.['com.figma.variableId'] || null;
-  const figmaMode = tokenData.$extensions?.['com.figma.modeName'] || null;
+  const figmaId = extensions['com.figma.variableId'] || null;
+  const figmaMode = extensions['com.figma.modeName'] || null;
 
   return {
-    name: formatName(path),
+    name: own.name || formatName(path),
     path,
     category,
     type,
     value,
-    css_variable: generateCssVariable(path),
+    ...(isAlias && { alias_path: referenceToPath(tokenData.$value) }),
+    ...(modeValues && { mode_values: modeValues }),
+    css_variable: own.cssVariable || generateCssVariable(path),
     description: tokenData.$description || '',
     metadata: {
       figma_id: figmaId,
       figma_mode: figmaMode,
       original_type: tokenData.$type,
-      extensions: tokenData.$extensions || {}
+      extensions,
+      ...(own.collection && { collection: own.collection }),
+      ...(path !== location && { source_path: location }),
+      ...(isAlias && { reference: tokenData.$value.trim() })
     }
   };
 }
 
+/**
+ * Read per-mode values written by our export
+ * @param {object} modes - Mode slug → value in the file's format
+ * @param {Function} convert - Converts a file value to our format
+ * @returns {object|null} - mode_values, or null when there are none
+ */
+function parseModeValues(modes, convert) {
+  if (!modes || typeof modes !== 'object') return null;
+  const entries = Object.entries(modes)
+    .map(([mode, value]) => [normalizeModeName(mode), convert(value)])
+    .filter(([mode]) => mode);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Give a converted color the fields our export listed for the stored value
+ * Converting a written color adds rgb (and colorSpace) the token may not have
+ * had; rgba() strings drop the color space, which is always sRGB.
+ * @param {*} value - Converted value
+ * @param {string[]} [fields] - Stored fields (`colorFields` in the extension data)
+ * @returns {*}
+ */
+function pickColorFields(value, fields) {
+  if (!Array.isArray(fields) || !value || typeof value !== 'object') return value;
+  const converted = { colorSpace: 'srgb', ...value };
+  return Object.fromEntries(fields.filter(field => field in converted).map(field => [field, converted[field]]));
+}
+
 /**
  * Map DTCG $type to our type system
  */
@@ -284,7 +378,7 @@ function convertDTCGValue(type, value) {
       return { value, unit: 'px' };
     }
     if (typeof value === 'string') {
-      const match = value.match(/^([\d.]+)(\w+)?$/);
+      const match = value.match(/^(-?[\d.]+)([a-z%]+)?$/i);
       if (match) {
         return { value: parseFloat(match[1]), unit: match[2] || 'px' };
       }
@@ -314,12 +408,14 @@ function convertDTCGValue(type, value) {
 /**
  * Parse Style Dictionary format (collections/modes/variables)
  */
-function parseStyleDictionary(json, tokens, errors, warnings) {
+function parseStyleDictionary(json, tokens, errors, warnings, metadata) {
   if (!Array.isArray(json.collections)) {
     errors.push('Style Dictionary format requires collections array');
     return;
   }
 
+  const modeNames = [];
+
   for (const collection of json.collections) {
     const collectionName = collection.name || 'Default';
 
@@ -328,17 +424,41 @@ function parseStyleDictionary(json, tokens, errors, warnings) {
       continue;
     }
 
-    for (const mode of collection.modes) {
-      parseStyleDictionaryMode(collectionName, mode, tokens, errors, warnings);
+    // The first mode of a collection holds the base values; later modes are
+    // merged into those tokens as mode_values instead of duplicating paths.
+    const byPath = new Map();
+    const [baseMode, ...otherModes] = collection.modes;
+    const baseSlug = normalizeModeName(baseMode?.name || 'Default') || 'default';
+
+    if (baseMode) {
+      parseStyleDictionaryMode(collectionName, baseMode, tokens, errors, warnings, byPath);
+    }
+
+    for (const mode of otherModes) {
+      parseStyleDictionaryMode(collectionName, mode, tokens, errors, warnings, byPath, baseSlug);
+    }
+
+    // Single-mode collections (e.g. primitives) apply to every mode
+    if (otherModes.length > 0) {
+      modeNames.push(baseSlug, ...otherModes.map(m => normalizeModeName(m.name || 'Default') || 'default'));
     }
   }
+
+  // Theme modes in first-seen order, so the first multi-mode collection's base mode is the default
+  if (metadata) {
+    metadata.modes = [...new Set(modeNames)];
+  }
 }
 
 /**
  * Parse a Style Dictionary mode
+ * @param {Map} byPath - Tokens already parsed for this collection, keyed by path
+ * @param {string} [baseSlug] - Slug of the collection's base mode; when set, values
+ *   are merged into existing tokens' mode_values rather than added as new tokens
  */
-function parseStyleDictionaryMode(collectionName, mode, tokens, errors, warnings) {
+function parseStyleDictionaryMode(collectionName, mode, tokens, errors, warnings, byPath, baseSlug) {
   const modeName = mode.name || 'Default';
+  const modeSlug = normalizeModeName(modeName) || 'default';
 
   if (!Array.isArray(mode.variables)) {
     warnings.push(`Mode ${modeName} in ${collectionName} has no variables`);
@@ -348,9 +468,25 @@ function parseStyleDictionaryMode(collectionName, mode, tokens, errors, warnings
   for (const variable of mode.variables) {
     try {
       const token = parseStyleDictionaryVariable(collectionName, modeName, variable);
-      if (token) {
-        tokens.push(token);
+      if (!token) continue;
+
+      const existing = byPath.get(token.path);
+      if (baseSlug && modeSlug !== baseSlug && existing) {
+        existing.mode_values = { ...existing.mode_values, [modeSlug]: token.value };
+        continue;
       }
+      if (existing) {
+        warnings.push(`Skipped ${token.path}: duplicate variable in ${collectionName}/${modeName}`);
+        continue;
+      }
+
+      // Only defined in a non-base mode: keep it, using this mode's value as the base
+      if (baseSlug && modeSlug !== baseSlug) {
+        token.mode_values = { [modeSlug]: token.value };
+      }
+
+      byPath.set(token.path, token);
+      tokens.push(token);
     } catch (e) {
       warnings.push(`Skipped ${variable.name}: ${e.message}`);
     }
@@ -439,6 +575,10 @@ function parseFlat(obj, prefix, tokens, errors, warnings, depth = 0) {
     if (typeof value !== 'object' || value === null) {
       // Primitive value at leaf
       try {
+        if (isAliasReference(value)) {
+          tokens.push(createFlatAliasToken(path, value, {}));
+          continue;
+        }
         const type = detectType(value);
         tokens.push({
           name: formatName(path),
@@ -459,20 +599,31 @@ function parseFlat(obj, prefix, tokens, errors, warnings, depth = 0) {
     // Check if this is a token object (has 'value' property)
     if (value.value !== undefined) {
       try {
-        const type = detectType(value.value);
+        if (isAliasReference(value.value)) {
+          tokens.push(createFlatAliasToken(path, value.value, value));
+          continue;
+        }
+        const type = TOKEN_TYPES.includes(value.type) ? value.type : detectType(value.value);
+        const attributes = value.attributes || {};
+        const tokenPath = attributes.path || path;
+        const convert = (v) => pickColorFields(normalizeValue(type, v), attributes.colorFields);
+        const modeValues = parseModeValues(attributes.modes, convert);
         tokens.push({
-          name: formatName(path),
-          path,
-          category: detectCategory(path, type),
+          name: attributes.name || formatName(tokenPath),
+          path: tokenPath,
+          category: TOKEN_CATEGORIES.includes(attributes.category) ? attributes.category : detectCategory(tokenPath, type),
           type,
-          value: normalizeValue(type, value.value),
-          css_variable: value.cssVariable || generateCssVariable(path),
+          value: convert(value.value),
+          ...(modeValues && { mode_values: modeValues }),
+          css_variable: value.cssVariable || generateCssVariable(tokenPath),
           description: value.description || '',
           metadata: {
             ...value,
             value: undefined,
             cssVariable: undefined,
-            description: undefined
+            description: undefined,
+            ...(attributes.collection && { collection: attributes.collection }),
+            ...(tokenPath !== path && { source_path: path })
           }
         });
       } catch (e) {
@@ -485,6 +636,98 @@ function parseFlat(obj, prefix, tokens, errors, warnings, depth = 0) {
   }
 }
 
+/**
+ * Create an unresolved alias token from a flat-format reference
+ */
+function createFlatAliasToken(location, reference, tokenData) {
+  const type = TOKEN_TYPES.includes(tokenData.type) ? tokenData.type : 'string';
+  const category = tokenData.attributes?.category;
+  const path = tokenData.attributes?.path || location;
+  return {
+    name: tokenData.attributes?.name || formatName(path),
+    path,
+    category: TOKEN_CATEGORIES.includes(category) ? category : detectCategory(path, type),
+    type,
+    value: null,
+    alias_path: referenceToPath(reference),
+    css_variable: tokenData.cssVariable || generateCssVariable(path),
+    description: tokenData.description || '',
+    metadata: {
+      ...tokenData,
+      value: undefined,
+      cssVariable: undefined,
+      description: undefined,
+      ...(tokenData.attributes?.collection && { collection: tokenData.attributes.collection }),
+      ...(path !== location && { source_path: location }),
+      reference: reference.trim()
+    }
+  };
+}
+
+// =============================================================================
+// Alias Linking
+// =============================================================================
+
+/**
+ * Point references at relocated tokens back to their original paths.
+ * Our Style Dictionary export writes a token that sits below another token
+ * under a sibling key and keeps its path in the extension data; references
+ * use the written key (metadata.source_path while parsing).
+ */
+function restoreRelocatedPaths(tokens) {
+  const relocated = new Map();
+  for (const token of tokens) {
+    if (!token.metadata?.source_path) continue;
+    relocated.set(token.metadata.source_path, token.path);
+    delete token.metadata.source_path;
+  }
+  if (!relocated.size) return;
+
+  for (const token of tokens) {
+    if (token.alias_path && relocated.has(token.alias_path)) {
+      token.alias_path = relocated.get(token.alias_path);
+    }
+  }
+}
+
+/**
+ * Resolve alias tokens against the parsed set (mutates tokens in place)
+ * - alias_path is rewritten to the exact path of the target token
+ * - value is set to the resolved concrete value
+ * - untyped (flat) aliases inherit the target's type and category
+ * Dangling and circular references are skipped with a warning.
+ */
+function linkParsedAliases(tokens, warnings) {
+  if (!tokens.some(t => t.alias_path)) return;
+
+  const index = buildTokenIndex(tokens);
+  const linked = [];
+
+  for (const token of tokens) {
+    if (!token.alias_path) {
+      linked.push(token);
+      continue;
+    }
+
+    const { target, error } = followAliasChain(token, index);
+    if (error) {
+      warnings.push(`Skipped ${token.path}: ${error.message}`);
+      continue;
+    }
+
+    const direct = findAliasTarget(index, token.alias_path);
+    token.alias_path = direct.path;
+    token.value = target.value;
+    if (token.type === 'string' && target.type !== 'string') {
+      token.type = target.type;
+      token.category = detectCategory(token.path, target.type);
+    }
+    linked.push(token);
+  }
+
+  tokens.splice(0, tokens.length, ...linked);
+}
+
 // =============================================================================
 // Utility Functions
 // =============================================================================
@@ -620,7 +863,7 @@ function normalizeValue(type, value) {
 
   if (type === 'dimension') {
     if (typeof value === 'string') {
-      const match = value.match(/^(-?[\d.]+)(\w+)?$/);
+      const match = value.match(/^(-?[\d.]+)([a-z%]+)?$/i);
       if (match) {
         return { value: parseFloat(match[1]), unit: match[2] || 'px' };
       }
@@ -655,7 +898,7 @@ function isTokenValue(obj) {
 /**
  * Format token name from path (human-readable)
  */
-function formatName(path) {
+export function formatName(path) {
   const parts = path.split('/');
   const last = parts[parts.length - 1];
   return last
@@ -683,6 +926,7 @@ export const __testing = {
   parseStyleDictionary,
   parseFlat,
   parseDTCGToken,
+  linkParsedAliases,
   normalizeValue,
   rgbToHex,
   formatName,
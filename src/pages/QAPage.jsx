@@ -8,9 +8,10 @@ import { InputPanel } from '../components/qa/InputPanel';
 import { AnnotatedImageViewer } from '../components/qa/viewer/AnnotatedImageViewer';
 import { IssueLog } from '../components/qa/issues/IssueLog';
 import { ComparisonWorkspace } from '../components/qa/comparison/ComparisonWorkspace';
+import { BatchWorkspace } from '../components/qa/batch/BatchWorkspace';
 
 export default function QAPage() {
-  const { mode, asset, issues } = useQAStore();
+  const { mode, asset, issues, runComparison } = useQAStore();
 
   return (
     <div className="h-screen flex flex-col bg-gray-50">
@@ -28,13 +29,15 @@ export default function QAPage() {
                 <AnnotatedImageViewer />
               </div>
               <div className="w-96 border-l bg-white overflow-hidden">
-                <IssueLog issues={issues} />
+                <IssueLog issues={issues} comparison={runComparison} triage />
               </div>
             </>
           )}
         </div>
-      ) : (
+      ) : mode === 'compare' ? (
         <ComparisonWorkspace />
+      ) : (
+        <BatchWorkspace />
       )}
     </div>
   );
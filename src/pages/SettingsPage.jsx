@@ -6,6 +6,7 @@ import { useState, useEffect } from 'react';
 import { Save, Key, Database, Palette, Check, AlertCircle } from 'lucide-react';
 import { toast } from 'sonner';
 import { useThemes } from '../hooks/useThemes';
+import WorkspaceBackupSection from '../components/export/WorkspaceBackupSection';
 
 // Storage keys for localStorage
 const STORAGE_KEYS = {
@@ -13,6 +14,7 @@ const STORAGE_KEYS = {
   CLAUDE_KEY: 'ds-admin-claude-key',
   SUPABASE_URL: 'ds-admin-supabase-url',
   SUPABASE_KEY: 'ds-admin-supabase-key',
+  DATA_BACKEND: 'ds-admin-data-backend',
   DEFAULT_THEME: 'ds-admin-default-theme',
 };
 
@@ -25,6 +27,7 @@ function loadSettings() {
     claudeKey: localStorage.getItem(STORAGE_KEYS.CLAUDE_KEY) || '',
     supabaseUrl: localStorage.getItem(STORAGE_KEYS.SUPABASE_URL) || '',
     supabaseKey: localStorage.getItem(STORAGE_KEYS.SUPABASE_KEY) || '',
+    dataBackend: localStorage.getItem(STORAGE_KEYS.DATA_BACKEND) || '',
     defaultTheme: localStorage.getItem(STORAGE_KEYS.DEFAULT_THEME) || '',
   };
 }
@@ -37,6 +40,7 @@ function saveSettings(settings) {
   localStorage.setItem(STORAGE_KEYS.CLAUDE_KEY, settings.claudeKey);
   localStorage.setItem(STORAGE_KEYS.SUPABASE_URL, settings.supabaseUrl);
   localStorage.setItem(STORAGE_KEYS.SUPABASE_KEY, settings.supabaseKey);
+  localStorage.setItem(STORAGE_KEYS.DATA_BACKEND, settings.dataBackend);
   localStorage.setItem(STORAGE_KEYS.DEFAULT_THEME, settings.defaultTheme);
 }
 
@@ -204,6 +208,22 @@ export default function SettingsPage() {
               </div>
             </div>
             <div className="section-content">
+              <div className="form-group">
+                <label htmlFor="data-backend">Data Backend</label>
+                <select
+                  id="data-backend"
+                  className="form-input"
+                  value={settings.dataBackend}
+                  onChange={(e) => updateSetting('dataBackend', e.target.value)}
+                >
+                  <option value="">Default (from environment)</option>
+                  <option value="supabase">Supabase</option>
+                  <option value="local">Local (this browser's IndexedDB)</option>
+                </select>
+                <p className="form-hint">
+                  Local keeps all data in this browser, for demos and offline work. Reload the page after saving to switch.
+                </p>
+              </div>
               <div className="form-group">
                 <label htmlFor="supabase-url">Supabase URL</label>
                 <input
@@ -267,6 +287,9 @@ export default function SettingsPage() {
             </div>
           </section>
 
+          {/* Workspace Backup Section */}
+          <WorkspaceBackupSection />
+
           {/* Storage Info */}
           <section className="settings-section card settings-section--muted">
             <div className="section-header">
@@ -6,20 +6,29 @@
  * - Token list (center/main)
  * - Modal panel for editing (opens when token selected)
  * - Preview panel (bottom, collapsible)
+ * - Mode switcher (header) for multi-mode themes; values are shown and
+ *   edited in the active mode
+ * - Child themes: editing an inherited token creates an override row,
+ *   which can be reset back to the parent's value
+ * - Contrast audit panel (right) for foreground/background color pairs
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
 import { toast } from 'sonner';
 
 import { useTheme } from '../hooks/useThemes';
 import { useThemeContext } from '../contexts';
 import { tokenService } from '../services/tokenService';
+import { themeService } from '../services/themeService';
+import { applyTokenMode, getThemeModes, hasModeValue, toModeUpdates, clearModeValue, formatModeLabel } from '../lib/tokenModes';
+import { isInherited, toOverrideToken } from '../lib/themeInheritance';
 import { 
   EditorHeader, 
   CategorySidebar, 
   TokenList, 
   TokenEditorPanel,
+  ContrastAuditPanel,
   EditorSkeleton 
 } from '../components/themes/editor';
 import { ThemePreview } from '../components/themes/preview';
@@ -38,7 +47,9 @@ export default function ThemeEditorPage() {
   const [activeCategory, setActiveCategory] = useState('color');
   const [selectedToken, setSelectedToken] = useState(null);
   const [showPreview, setShowPreview] = useState(true);
+  const [showContrastAudit, setShowContrastAudit] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
+  const [selectedMode, setSelectedMode] = useState(null);
   
   // Local tokens state for optimistic updates
   const [tokens, setTokens] = useState([]);
@@ -55,17 +66,59 @@ export default function ThemeEditorPage() {
   // The admin shell should remain on the user's selected/default theme.
   // Theme-specific previews are handled via scoped CSS variables (ThemePreview).
 
+  // Modes: the first is the default and is stored in token.value
+  const modes = useMemo(() => getThemeModes(theme), [theme]);
+  const defaultMode = modes[0];
+  const activeMode = modes.includes(selectedMode) ? selectedMode : defaultMode;
+
+  // Tokens as they appear in the active mode (aliases resolved)
+  const modeTokens = useMemo(
+    () => applyTokenMode(tokens, activeMode, defaultMode),
+    [tokens, activeMode, defaultMode]
+  );
+
   // Get tokens for active category
-  const categoryTokens = tokens.filter(t => t.category === activeCategory);
+  const categoryTokens = modeTokens.filter(t => t.category === activeCategory);
+  const storedSelectedToken = selectedToken
+    ? tokens.find(t => t.id === selectedToken.id) || selectedToken
+    : null;
+  const selectedModeToken = selectedToken
+    ? modeTokens.find(t => t.id === selectedToken.id) || selectedToken
+    : null;
 
   /**
    * Update a token's value
    */
-  const handleTokenUpdate = useCallback(async (tokenId, updates) => {
+  const handleTokenUpdate = useCallback(async (tokenId, changes) => {
     // Store previous state for rollback
     const previousTokens = tokens;
     const previousSelectedToken = selectedToken;
 
+    // Value edits outside the default mode go into mode_values
+    const current = tokens.find(t => t.id === tokenId);
+    const updates = toModeUpdates(current, changes, activeMode, defaultMode);
+
+    // Inherited tokens belong to an ancestor: the edit becomes an override in this theme
+    if (isInherited(current)) {
+      try {
+        const created = await tokenService.createToken(id, toOverrideToken(current, id, updates));
+        const override = { ...created, overrides_parent: true };
+        setTokens(prev => prev.map(t => (t.id === tokenId ? override : t)));
+        if (selectedToken?.id === tokenId) {
+          setSelectedToken(override);
+        }
+        setHasChanges(true);
+        if (activeTheme?.id === id) {
+          await refreshTheme();
+        }
+        toast.success('Token overridden');
+      } catch (err) {
+        console.error('Failed to override token:', err);
+        toast.error('Failed to override token');
+      }
+      return;
+    }
+
     // Optimistic update
     setTokens(prev => prev.map(t =>
       t.id === tokenId ? { ...t, ...updates } : t
@@ -93,7 +146,49 @@ export default function ThemeEditorPage() {
       setTokens(previousTokens);
       setSelectedToken(previousSelectedToken);
     }
-  }, [tokens, selectedToken, refreshTheme, activeTheme?.id, id]);
+  }, [tokens, selectedToken, refreshTheme, activeTheme?.id, id, activeMode, defaultMode]);
+
+  /**
+   * Reload after publish or snapshot restore
+   */
+  const handleThemeUpdated = useCallback(async () => {
+    setSelectedToken(null);
+    await refetch();
+    if (activeTheme?.id === id) {
+      await refreshTheme();
+    }
+  }, [refetch, refreshTheme, activeTheme?.id, id]);
+
+  /**
+   * Add a new mode to the theme
+   */
+  const handleAddMode = useCallback(async (mode) => {
+    try {
+      await themeService.updateTheme(id, { modes: [...modes, mode] });
+      await refetch();
+      setSelectedMode(mode);
+      if (activeTheme?.id === id) {
+        await refreshTheme();
+      }
+      toast.success(`Added ${formatModeLabel(mode)} mode`);
+    } catch (err) {
+      console.error('Failed to add mode:', err);
+      toast.error('Failed to add mode');
+    }
+  }, [id, modes, refetch, refreshTheme, activeTheme?.id]);
+
+  /**
+   * Save the foreground/background pairs declared in the contrast audit
+   */
+  const handleContrastPairsChange = useCallback(async (pairs) => {
+    try {
+      await themeService.updateContrastPairs(id, pairs);
+      await refetch();
+    } catch (err) {
+      console.error('Failed to save contrast pairs:', err);
+      toast.error('Failed to save contrast pairs');
+    }
+  }, [id, refetch]);
 
   /**
    * Add a new token
@@ -125,6 +220,17 @@ export default function ThemeEditorPage() {
     }
   }, [id, refreshTheme, activeTheme?.id]);
 
+  /**
+   * Add tokens created in bulk (e.g. a generated color scale)
+   */
+  const handleTokensCreated = useCallback(async (created) => {
+    setTokens(prev => [...prev, ...created]);
+    setHasChanges(true);
+    if (activeTheme?.id === id) {
+      await refreshTheme();
+    }
+  }, [refreshTheme, activeTheme?.id, id]);
+
   /**
    * Delete a token
    */
@@ -157,6 +263,26 @@ export default function ThemeEditorPage() {
     }
   }, [tokens, selectedToken, refreshTheme, activeTheme?.id, id]);
 
+  /**
+   * Drop a child theme's override so the token resolves from the parent again
+   */
+  const handleResetToken = useCallback(async (token) => {
+    try {
+      await tokenService.deleteToken(token.id);
+      if (selectedToken?.id === token.id) {
+        setSelectedToken(null);
+      }
+      await refetch();
+      if (activeTheme?.id === id) {
+        await refreshTheme();
+      }
+      toast.success('Token reset to parent');
+    } catch (err) {
+      console.error('Failed to reset token:', err);
+      toast.error('Failed to reset token');
+    }
+  }, [selectedToken, refetch, refreshTheme, activeTheme?.id, id]);
+
   /**
    * Select a token for editing
    */
@@ -233,6 +359,13 @@ export default function ThemeEditorPage() {
         showPreview={showPreview}
         onTogglePreview={() => setShowPreview(!showPreview)}
         onSave={handleSave}
+        modes={modes}
+        activeMode={activeMode}
+        onModeChange={setSelectedMode}
+        onAddMode={handleAddMode}
+        onThemeUpdated={handleThemeUpdated}
+        showContrastAudit={showContrastAudit}
+        onToggleContrastAudit={() => setShowContrastAudit(!showContrastAudit)}
       />
 
       <div className="editor-body">
@@ -251,8 +384,23 @@ export default function ThemeEditorPage() {
             onSelectToken={handleSelectToken}
             onAddToken={handleAddToken}
             onDeleteToken={handleDeleteToken}
+            onResetToken={handleResetToken}
           />
         </div>
+
+        {showContrastAudit && (
+          <ContrastAuditPanel
+            theme={theme}
+            tokens={tokens}
+            pairs={theme.contrast_pairs || []}
+            onPairsChange={handleContrastPairsChange}
+            onSelectToken={(token) => {
+              setActiveCategory('color');
+              handleSelectToken(token);
+            }}
+            onClose={() => setShowContrastAudit(false)}
+          />
+        )}
       </div>
 
       {/* Token Editor Modal - shown when token is selected */}
@@ -264,21 +412,32 @@ export default function ThemeEditorPage() {
             aria-hidden="true"
           />
           <TokenEditorPanel
-            token={selectedToken}
+            token={selectedModeToken}
             category={activeCategory}
             themeId={id}
+            tokens={modeTokens}
+            mode={activeMode !== defaultMode ? activeMode : undefined}
+            defaultMode={defaultMode}
+            hasModeOverride={hasModeValue(storedSelectedToken, activeMode)}
+            onResetMode={() => handleTokenUpdate(selectedToken.id, clearModeValue(storedSelectedToken, activeMode))}
             onUpdate={(updates) => {
               if (selectedToken) {
                 handleTokenUpdate(selectedToken.id, updates);
               }
             }}
+            onTokensCreated={handleTokensCreated}
             onClose={handleCloseEditor}
           />
         </>
       )}
 
       {showPreview && (
-        <ThemePreview theme={{ ...theme, tokens }} initialCollapsed={true} />
+        <ThemePreview
+          theme={{ ...theme, tokens }}
+          initialCollapsed={true}
+          mode={activeMode}
+          onModeChange={setSelectedMode}
+        />
       )}
     </div>
   );
@@ -0,0 +1,475 @@
+/**
+ * Workspace Backup Service
+ *
+ * Exports the whole workspace — themes, tokens, typefaces with their font
+ * files, typography roles, components with examples and images, and icons —
+ * to a single versioned ZIP that includes the storage blobs, and restores
+ * such an archive into any Supabase project.
+ *
+ * Archive layout:
+ *   manifest.json              { format, version, exportedAt, counts }
+ *   data/{table}.json          Rows of each table, as stored
+ *   storage/{bucket}/{path}    Font files, component images and icon SVGs
+ *
+ * Restoring gives every imported row a new ID and rewrites foreign keys and
+ * ID-prefixed storage paths. Themes, components and icons whose slug already
+ * exists are resolved with a conflict strategy: skip, overwrite or rename.
+ * There is no transaction across tables, so a failed restore can leave the
+ * rows imported up to that point.
+ */
+
+import JSZip from 'jszip';
+import { supabase } from '../lib/supabase';
+import { createExportZip } from './zipService';
+
+export const BACKUP_FORMAT = 'design-system-workspace';
+export const BACKUP_VERSION = 1;
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+/** Tables in the archive, in restore order */
+export const BACKUP_TABLES = [
+  'themes',
+  'tokens',
+  'typefaces',
+  'font_files',
+  'typography_roles',
+  'components',
+  'component_examples',
+  'component_images',
+  'icons',
+];
+
+/** Tables whose rows point at a storage blob (`storage_path`) */
+const STORAGE_BUCKETS = {
+  font_files: 'fonts',
+  component_images: 'component-images',
+  icons: 'icons',
+};
+
+const MIME_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+const PAGE_SIZE = 1000;
+const INSERT_CHUNK_SIZE = 500;
+
+// Columns the target database regenerates
+const GENERATED_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+function omitGenerated(row) {
+  const copy = { ...row };
+  GENERATED_COLUMNS.forEach(column => delete copy[column]);
+  return copy;
+}
+
+function createId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Archive path of a storage blob
+ * @param {string} bucket - Storage bucket
+ * @param {string} path - Storage path
+ * @returns {string}
+ */
+export function getBlobArchivePath(bucket, path) {
+  return `storage/${bucket}/${path}`;
+}
+
+/**
+ * Build the archive files map (see zipService.createExportZip)
+ * @param {Object<string, Array>} data - Rows by table
+ * @param {Object} options
+ * @param {string} options.exportedAt - ISO timestamp
+ * @param {Function} options.getPublicUrl - (bucket, path) => URL of the stored blob
+ * @returns {Object} - Files map; blobs are `{ url, type: 'binary' }` entries
+ */
+export function buildBackupFiles(data, { exportedAt, getPublicUrl }) {
+  const counts = Object.fromEntries(BACKUP_TABLES.map(table => [table, (data[table] || []).length]));
+  const files = {
+    'manifest.json': JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt, counts }, null, 2),
+  };
+
+  for (const table of BACKUP_TABLES) {
+    files[`data/${table}.json`] = JSON.stringify(data[table] || [], null, 2);
+  }
+
+  for (const [table, bucket] of Object.entries(STORAGE_BUCKETS)) {
+    for (const row of data[table] || []) {
+      const url = row.storage_path && getPublicUrl(bucket, row.storage_path);
+      if (url) {
+        files[getBlobArchivePath(bucket, row.storage_path)] = { url, type: 'binary' };
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * First free slug for an imported copy ("brand" -> "brand-imported", "brand-imported-2", …)
+ * @param {string} slug - Original slug
+ * @param {Set<string>} taken - Slugs already in use
+ * @returns {string}
+ */
+export function uniqueSlug(slug, taken) {
+  let candidate = `${slug}-imported`;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${slug}-imported-${n}`;
+  }
+  return candidate;
+}
+
+/**
+ * Move an ID-prefixed storage path ("{id}/…") to the new ID
+ * @param {string} path - Storage path
+ * @param {string} oldId - ID the path is prefixed with
+ * @param {string} newId - Replacement ID
+ * @returns {string}
+ */
+export function remapStoragePath(path, oldId, newId) {
+  return path.startsWith(`${oldId}/`) ? `${newId}${path.slice(oldId.length)}` : path;
+}
+
+/**
+ * Decide what to do with each slugged row of an archive
+ * @param {Array} rows - Archive rows (themes, components or icons)
+ * @param {Map<string, string>} existing - Slug → ID of rows already in the database
+ * @param {string} strategy - One of CONFLICT_STRATEGIES
+ * @param {Function} [newId] - ID generator
+ * @returns {{ entries: Array<{ row: Object, action: string, id: string, slug: string }>, idMap: Map<string, string> }}
+ *   Actions are create, skip, overwrite or rename; idMap maps archive IDs to database IDs
+ */
+export function planImport(rows, existing, strategy, newId = createId) {
+  const taken = new Set(existing.keys());
+  const idMap = new Map();
+
+  const entries = (rows || []).map((row) => {
+    const existingId = existing.get(row.slug);
+    let entry;
+
+    if (existingId === undefined) {
+      entry = { row, action: 'create', id: newId(), slug: row.slug };
+    } else if (strategy === 'skip' || strategy === 'overwrite') {
+      entry = { row, action: strategy, id: existingId, slug: row.slug };
+    } else {
+      entry = { row, action: 'rename', id: newId(), slug: uniqueSlug(row.slug, taken) };
+    }
+
+    taken.add(entry.slug);
+    idMap.set(row.id, entry.id);
+    return entry;
+  });
+
+  return { entries, idMap };
+}
+
+function createReport() {
+  const counts = () => ({ created: 0, overwritten: 0, renamed: 0, skipped: 0 });
+  return {
+    themes: counts(),
+    components: counts(),
+    icons: counts(),
+    rows: {},
+    files: { uploaded: 0, missing: 0 },
+    warnings: [],
+  };
+}
+
+function countAction(counts, action) {
+  const key = { create: 'created', overwrite: 'overwritten', rename: 'renamed', skip: 'skipped' }[action];
+  counts[key]++;
+}
+
+async function fetchAll(table, columns = '*') {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function insertRows(table, rows, report) {
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase.from(table).insert(rows.slice(i, i + INSERT_CHUNK_SIZE));
+    if (error) throw error;
+  }
+  report.rows[table] = (report.rows[table] || 0) + rows.length;
+}
+
+async function saveEntry(table, entry, values) {
+  const { error } = entry.action === 'overwrite'
+    ? await supabase.from(table).update(values).eq('id', entry.id)
+    : await supabase.from(table).insert({ id: entry.id, ...values });
+
+  if (error) throw error;
+}
+
+/**
+ * Upload a blob from the archive, or the fallback when the archive doesn't
+ * contain it; returns false when neither is available
+ */
+async function restoreBlob(zip, bucket, archivePath, targetPath, report, fallback = null) {
+  const file = zip.file(getBlobArchivePath(bucket, archivePath));
+  if (!file && !fallback) {
+    report.files.missing++;
+    report.warnings.push(`Missing file in archive: ${bucket}/${archivePath}`);
+    return false;
+  }
+
+  const blob = file ? await file.async('blob') : fallback;
+  const extension = targetPath.split('.').pop().toLowerCase();
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(targetPath, blob, { contentType: MIME_TYPES[extension], upsert: true });
+
+  if (error) throw error;
+  report.files.uploaded++;
+  return true;
+}
+
+async function removeBlobs(bucket, paths) {
+  if (paths.length > 0) {
+    await supabase.storage.from(bucket).remove(paths);
+  }
+}
+
+/**
+ * Delete the tokens, typefaces (with font files) and roles of a theme being overwritten
+ */
+async function clearTheme(themeId) {
+  const { data: typefaces } = await supabase
+    .from('typefaces')
+    .select('id, font_files(storage_path)')
+    .eq('theme_id', themeId);
+
+  await removeBlobs('fonts', (typefaces || []).flatMap(t => (t.font_files || []).map(f => f.storage_path)));
+
+  for (const table of ['tokens', 'typefaces', 'typography_roles']) {
+    const { error } = await supabase.from(table).delete().eq('theme_id', themeId);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Delete the examples and images of a component being overwritten
+ */
+async function clearComponent(componentId) {
+  const { data: images } = await supabase
+    .from('component_images')
+    .select('storage_path')
+    .eq('component_id', componentId);
+
+  await removeBlobs('component-images', (images || []).map(image => image.storage_path));
+
+  for (const table of ['component_examples', 'component_images']) {
+    const { error } = await supabase.from(table).delete().eq('component_id', componentId);
+    if (error) throw error;
+  }
+}
+
+async function importThemes(data, zip, strategy, report) {
+  const existing = await fetchAll('themes', 'id, slug, is_default');
+  const hasDefault = existing.some(theme => theme.is_default);
+  const { entries, idMap } = planImport(data.themes, new Map(existing.map(t => [t.slug, t.id])), strategy);
+  const imported = new Map();
+
+  for (const entry of entries) {
+    countAction(report.themes, entry.action);
+    if (entry.action === 'skip') continue;
+
+    const { parent_theme_id: _parent, is_default: isDefault, ...fields } = omitGenerated(entry.row);
+    const values = { ...fields, slug: entry.slug };
+    if (entry.action === 'rename') values.name = `${fields.name} (imported)`;
+    if (entry.action !== 'overwrite') values.is_default = !hasDefault && !!isDefault;
+
+    if (entry.action === 'overwrite') await clearTheme(entry.id);
+    await saveEntry('themes', entry, values);
+    imported.set(entry.row.id, entry.id);
+  }
+
+  // Parents may come later in the archive, so link them once every theme exists
+  for (const entry of entries) {
+    if (entry.action === 'skip' || !entry.row.parent_theme_id) continue;
+    const { error } = await supabase
+      .from('themes')
+      .update({ parent_theme_id: idMap.get(entry.row.parent_theme_id) ?? null })
+      .eq('id', entry.id);
+    if (error) throw error;
+  }
+
+  const byTheme = (rows) => (rows || []).filter(row => imported.has(row.theme_id));
+  const withTheme = (row) => ({ ...omitGenerated(row), id: createId(), theme_id: imported.get(row.theme_id) });
+
+  await insertRows('tokens', byTheme(data.tokens).map(withTheme), report);
+  await insertRows('typography_roles', byTheme(data.typography_roles).map(withTheme), report);
+
+  const typefaces = new Map();
+  const typefaceRows = byTheme(data.typefaces).map((row) => {
+    const copy = withTheme(row);
+    typefaces.set(row.id, { id: copy.id, oldThemeId: row.theme_id, themeId: copy.theme_id });
+    return copy;
+  });
+  await insertRows('typefaces', typefaceRows, report);
+
+  const fontFiles = [];
+  for (const row of (data.font_files || []).filter(f => typefaces.has(f.typeface_id))) {
+    const typeface = typefaces.get(row.typeface_id);
+    const storagePath = remapStoragePath(row.storage_path, typeface.oldThemeId, typeface.themeId);
+    if (await restoreBlob(zip, 'fonts', row.storage_path, storagePath, report)) {
+      fontFiles.push({ ...omitGenerated(row), id: createId(), typeface_id: typeface.id, storage_path: storagePath });
+    }
+  }
+  await insertRows('font_files', fontFiles, report);
+}
+
+async function importComponents(data, zip, strategy, report) {
+  const existing = await fetchAll('components', 'id, slug');
+  const { entries } = planImport(data.components, new Map(existing.map(c => [c.slug, c.id])), strategy);
+  const imported = new Map();
+
+  for (const entry of entries) {
+    countAction(report.components, entry.action);
+    if (entry.action === 'skip') continue;
+
+    const values = { ...omitGenerated(entry.row), slug: entry.slug };
+    if (entry.action === 'rename') values.name = `${entry.row.name} (imported)`;
+
+    if (entry.action === 'overwrite') await clearComponent(entry.id);
+    await saveEntry('components', entry, values);
+    imported.set(entry.row.id, entry.id);
+  }
+
+  const examples = (data.component_examples || [])
+    .filter(row => imported.has(row.component_id))
+    .map(row => ({ ...omitGenerated(row), id: createId(), component_id: imported.get(row.component_id) }));
+  await insertRows('component_examples', examples, report);
+
+  const images = [];
+  for (const row of (data.component_images || []).filter(i => imported.has(i.component_id))) {
+    const componentId = imported.get(row.component_id);
+    const storagePath = remapStoragePath(row.storage_path, row.component_id, componentId);
+    if (await restoreBlob(zip, 'component-images', row.storage_path, storagePath, report)) {
+      images.push({ ...omitGenerated(row), id: createId(), component_id: componentId, storage_path: storagePath });
+    }
+  }
+  await insertRows('component_images', images, report);
+}
+
+async function importIcons(data, zip, strategy, report) {
+  const existing = await fetchAll('icons', 'id, slug');
+  const { entries } = planImport(data.icons, new Map(existing.map(i => [i.slug, i.id])), strategy);
+
+  for (const entry of entries) {
+    countAction(report.icons, entry.action);
+    if (entry.action === 'skip') continue;
+
+    const values = { ...omitGenerated(entry.row), slug: entry.slug };
+    if (entry.action === 'rename') {
+      values.name = `${entry.row.name} (imported)`;
+      values.storage_path = `${entry.row.source || 'custom'}/${entry.slug}.svg`;
+    }
+
+    // Icons cache their SVG, so a missing blob can be rebuilt from svg_text
+    const fallback = values.svg_text ? new Blob([values.svg_text], { type: 'image/svg+xml' }) : null;
+    await restoreBlob(zip, 'icons', entry.row.storage_path, values.storage_path, report, fallback);
+
+    await saveEntry('icons', entry, values);
+  }
+}
+
+export const backupService = {
+  /**
+   * Export the whole workspace to a ZIP archive
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Progress callback (0-100) while files are packed
+   * @returns {Promise<{ blob: Blob, filename: string, counts: Object, warnings: string[] }>}
+   */
+  async exportWorkspace({ onProgress } = {}) {
+    const data = {};
+    for (const table of BACKUP_TABLES) {
+      data[table] = await fetchAll(table);
+    }
+
+    const exportedAt = new Date().toISOString();
+    const files = buildBackupFiles(data, {
+      exportedAt,
+      getPublicUrl: (bucket, path) => supabase.storage.from(bucket).getPublicUrl(path).data?.publicUrl,
+    });
+    const filename = `workspace-backup-${exportedAt.split('T')[0]}.zip`;
+    const { blob, warnings } = await createExportZip(files, { filename, onProgress });
+    const counts = Object.fromEntries(BACKUP_TABLES.map(table => [table, data[table].length]));
+
+    return { blob, filename, counts, warnings };
+  },
+
+  /**
+   * Open and validate a backup archive
+   * @param {Blob|ArrayBuffer|Uint8Array} file - ZIP archive
+   * @returns {Promise<{ manifest: Object, data: Object<string, Array>, zip: JSZip }>}
+   */
+  async readBackup(file) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(file);
+    } catch {
+      throw new Error('Backup file is not a valid ZIP archive');
+    }
+
+    const manifestFile = zip.file('manifest.json');
+    const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : null;
+    if (manifest?.format !== BACKUP_FORMAT) {
+      throw new Error('Archive is not a workspace backup');
+    }
+    if (!(manifest.version <= BACKUP_VERSION)) {
+      throw new Error(`Backup version ${manifest.version} is newer than this app supports (${BACKUP_VERSION})`);
+    }
+
+    const data = {};
+    for (const table of BACKUP_TABLES) {
+      const tableFile = zip.file(`data/${table}.json`);
+      data[table] = tableFile ? JSON.parse(await tableFile.async('string')) : [];
+    }
+
+    return { manifest, data, zip };
+  },
+
+  /**
+   * Restore a backup archive into the current workspace
+   * @param {Blob|ArrayBuffer|Uint8Array} file - ZIP archive from exportWorkspace
+   * @param {Object} [options]
+   * @param {string} [options.strategy='skip'] - What to do when a theme, component or icon slug exists:
+   *   'skip' keeps the existing one, 'overwrite' replaces it and its children, 'rename' imports a copy
+   * @returns {Promise<Object>} - Report with per-entity action counts, row counts, file counts and warnings
+   */
+  async importWorkspace(file, { strategy = 'skip' } = {}) {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown conflict strategy: ${strategy}`);
+    }
+
+    const { data, zip } = await this.readBackup(file);
+    const report = createReport();
+
+    await importThemes(data, zip, strategy, report);
+    await importComponents(data, zip, strategy, report);
+    await importIcons(data, zip, strategy, report);
+
+    return report;
+  },
+};
+
+export default backupService;
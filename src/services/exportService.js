@@ -2,13 +2,17 @@
  * @chunk 5.19 - Package Builder
  * 
  * Orchestrates all generators and creates complete export folder structure.
- * Handles format mapping, font files, and package metadata.
+ * Handles format mapping, font files, and package metadata. Components are
+ * compiled into an installable library (ESM, CJS and type declarations).
  */
 
 import { generateMultiThemeCSS } from './generators/cssGenerator.js';
 import { generateJSON } from './generators/jsonGenerator.js';
-import { generateTailwind } from './generators/tailwindGenerator.js';
+import { generateTailwind, generateTailwindV4 } from './generators/tailwindGenerator.js';
 import { generateSCSS } from './generators/scssGenerator.js';
+import { generateSwift } from './generators/swiftGenerator.js';
+import { generateAndroidResources } from './generators/androidGenerator.js';
+import { generateCompose } from './generators/composeGenerator.js';
 import { generateFontFaceCss, getFontFilesToInclude } from './generators/fontFaceGenerator.js';
 import { generateLLMSTxt } from './generators/llmsTxtGenerator.js';
 import { generateCursorRules } from './generators/cursorRulesGenerator.js';
@@ -16,9 +20,22 @@ import { generateClaudeMd } from './generators/claudeMdGenerator.js';
 import { generateProjectKnowledge } from './generators/projectKnowledgeGenerator.js';
 import { generateMCPServer } from './generators/mcpServerGenerator.js';
 import { generateClaudeSkill } from './generators/claudeSkillGenerator.js';
+import { generateComponentLibrary, generatePackageJson, compileModule, toPackageName } from './generators/npmPackageGenerator.js';
+import { generateTokenTypes, generateComponentPropTypes } from './generators/typesGenerator.js';
+import { generateStyleDictionary } from './generators/styleDictionaryGenerator.js';
 import { themeService } from './themeService.js';
+import { snapshotService } from './snapshotService.js';
 import { componentService } from './componentService.js';
 import { typefaceService } from './typefaceService.js';
+import { releaseService } from './releaseService.js';
+import {
+  buildReleaseManifest,
+  diffReleaseManifests,
+  suggestNextVersion,
+  isValidVersion,
+  compareVersions,
+  generateChangelog,
+} from '../lib/releaseDiff.js';
 
 export const exportService = {
   /**
@@ -26,48 +43,27 @@ export const exportService = {
    * @param {Object} params - Package parameters
    * @param {Array<string>} params.themes - Array of theme IDs
    * @param {Array<string>} params.components - Array of component IDs
-   * @param {Array<string>} params.formats - Array of format strings (css, json, tailwind, scss, cursor, claude, mcp, skill, all, components, fonts)
+   * @param {Array<string>} params.formats - Array of format strings (css, json, tailwind, scss, types, style-dictionary, ios, android, compose, cursor, claude, mcp, skill, all, components, fonts)
    * @param {Object} params.options - Additional options
    * @param {string} params.options.projectName - Project name (default: 'design-system')
-   * @param {string} params.options.version - Version string (default: '1.0.0')
-   * @returns {Promise<Object>} - Package object with files map, projectName, version, fileCount
+   * @param {string} params.options.version - Version string (default: '1.0.0'; for releases the suggested next version)
+   * @param {boolean} params.options.release - Record the export as a release and write CHANGELOG.md (default: false)
+   * @param {string} params.options.releaseNotes - Notes for the release's changelog entry
+   * @param {boolean} params.options.outputReferences - Keep alias tokens as references in token outputs (default: false)
+   * @param {'v3'|'v4'} params.options.tailwindVersion - Tailwind output: v3 preset or v4 @theme CSS (default: 'v3'; the full package includes both)
+   * @param {'dtcg'|'sd'} params.options.styleDictionaryFormat - Token source format of the Style Dictionary project (default: 'dtcg')
+   * @param {Object<string, string>} params.options.snapshots - Map of theme ID → snapshot ID to export a published version instead of the live theme
+   * @returns {Promise<Object>} - Package object with files map, projectName, version, fileCount,
+   *   compileErrors (components whose code could not be compiled) and release (the recorded release row, if any)
    */
   async buildPackage({ themes, components, formats, options = {} }) {
-    // Fetch full data for selected items with error handling
-    const themeResults = await Promise.allSettled(
-      themes.map(id => themeService.getTheme(id))
-    );
-
-    const componentResults = await Promise.allSettled(
-      components.map(id => componentService.getComponent(id))
-    );
-
-    // Filter successful results and log failures
-    const fullThemes = [];
-    themeResults.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        fullThemes.push(result.value);
-      } else {
-        console.warn(`Failed to fetch theme ${themes[index]}:`, result.reason || 'Theme not found');
-      }
-    });
-
-    const fullComponents = [];
-    componentResults.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        fullComponents.push(result.value);
-      } else {
-        console.warn(`Failed to fetch component ${components[index]}:`, result.reason || 'Component not found');
-      }
-    });
-
-    // Ensure we have at least some data to export
-    if (fullThemes.length === 0 && fullComponents.length === 0) {
-      throw new Error('No valid themes or components found for export');
-    }
+    const { fullThemes, fullComponents } = await loadExportData(themes, components, options.snapshots);
 
     const projectName = options.projectName || 'design-system';
-    const version = options.version || '1.0.0';
+    const plan = options.release ? await prepareRelease(fullThemes, fullComponents, projectName, options.version) : null;
+    const version = plan?.version || options.version || '1.0.0';
+    const outputReferences = options.outputReferences === true;
+    const tailwindVersion = options.tailwindVersion === 'v4' ? 'v4' : 'v3';
     
     const files = {};
 
@@ -79,7 +75,7 @@ export const exportService = {
 
     // Token formats
     if (formats.includes('css') || includeAll) {
-      files['dist/tokens.css'] = generateMultiThemeCSS(fullThemes);
+      files['dist/tokens.css'] = generateMultiThemeCSS(fullThemes, { outputReferences });
       
       // Include font-face CSS if there are typefaces
       const allTypefaces = fullThemes.flatMap(t => t.typefaces || []);
@@ -89,20 +85,64 @@ export const exportService = {
     }
 
     if (formats.includes('json') || includeAll) {
-      const allTokens = fullThemes.flatMap(t => t.tokens || []);
-      files['dist/tokens.json'] = generateJSON(allTokens, { format: 'nested', includeMetadata: true });
-      files['dist/tokens.flat.json'] = generateJSON(allTokens, { format: 'flat' });
+      const allTokens = flattenThemeTokens(fullThemes);
+      files['dist/tokens.json'] = generateJSON(allTokens, { format: 'nested', includeMetadata: true, outputReferences });
+      files['dist/tokens.flat.json'] = generateJSON(allTokens, { format: 'flat', outputReferences });
     }
 
     if (formats.includes('tailwind') || includeAll) {
-      const allTokens = fullThemes.flatMap(t => t.tokens || []);
-      files['dist/tailwind.config.js'] = generateTailwind(allTokens);
+      if (tailwindVersion === 'v3' || includeAll) {
+        const allTokens = flattenThemeTokens(fullThemes);
+        files['dist/tailwind.config.js'] = generateTailwind(allTokens, { outputReferences });
+      }
+      if (tailwindVersion === 'v4' || includeAll) {
+        files['dist/tailwind.css'] = generateTailwindV4(fullThemes, { outputReferences });
+      }
     }
 
     if (formats.includes('scss') || includeAll) {
-      const allTokens = fullThemes.flatMap(t => t.tokens || []);
-      files['dist/_tokens.scss'] = generateSCSS(allTokens, { useMaps: false });
-      files['dist/_tokens-maps.scss'] = generateSCSS(allTokens, { useMaps: true });
+      const allTokens = flattenThemeTokens(fullThemes);
+      files['dist/_tokens.scss'] = generateSCSS(allTokens, { useMaps: false, outputReferences });
+      files['dist/_tokens-maps.scss'] = generateSCSS(allTokens, { useMaps: true, outputReferences });
+    }
+
+    if (formats.includes('types') || includeAll) {
+      const allTokens = flattenThemeTokens(fullThemes);
+      const tokenModule = generateTokenTypes(allTokens);
+      files['src/tokens.ts'] = tokenModule;
+      files['dist/tokens.mjs'] = compileModule(tokenModule, 'esm');
+      files['dist/tokens.cjs'] = compileModule(tokenModule, 'cjs');
+      files['dist/tokens.d.ts'] = generateTokenTypes(allTokens, { declaration: true });
+    }
+
+    // Style Dictionary project (one per theme when several are exported)
+    if (formats.includes('style-dictionary') || includeAll) {
+      for (const theme of fullThemes) {
+        const root = fullThemes.length > 1 ? `style-dictionary/${theme.slug}` : 'style-dictionary';
+        const projectFiles = generateStyleDictionary(theme.tokens || [], { format: options.styleDictionaryFormat });
+        for (const [path, content] of Object.entries(projectFiles)) {
+          files[`${root}/${path}`] = content;
+        }
+      }
+    }
+
+    // Native platform formats
+    if (formats.includes('ios') || includeAll) {
+      const allTokens = flattenThemeTokens(fullThemes);
+      files['ios/DesignTokens.swift'] = generateSwift(allTokens, { outputReferences });
+    }
+
+    if (formats.includes('android') || includeAll) {
+      const allTokens = flattenThemeTokens(fullThemes);
+      const resources = generateAndroidResources(allTokens, { outputReferences });
+      for (const [name, content] of Object.entries(resources)) {
+        files[`android/res/values/${name}`] = content;
+      }
+    }
+
+    if (formats.includes('compose') || includeAll) {
+      const allTokens = flattenThemeTokens(fullThemes);
+      files['android/compose/DesignTokens.kt'] = generateCompose(allTokens, { outputReferences });
     }
 
     // AI platform formats
@@ -135,14 +175,22 @@ export const exportService = {
       }
     }
 
-    // Component code
+    // Component code: sources plus the compiled library
+    let componentNames = [];
+    let compileErrors = [];
     if (formats.includes('components') || includeAll) {
       for (const component of fullComponents) {
         if (component.code) {
           const slug = component.slug || component.name.toLowerCase().replace(/\s+/g, '-');
-          files[`components/${slug}.jsx`] = component.code;
+          files[`src/components/${slug}.jsx`] = component.code;
         }
       }
+      files['src/components/types.ts'] = generateComponentPropTypes(fullComponents);
+
+      const library = generateComponentLibrary(fullComponents);
+      Object.assign(files, library.files);
+      componentNames = library.exported.map(c => c.name);
+      compileErrors = library.failed;
     }
 
     // Font files (reference for ZIP)
@@ -155,39 +203,151 @@ export const exportService = {
       }
     }
 
-    // Add package.json
-    files['package.json'] = JSON.stringify({
-      name: projectName,
-      version,
-      description: `${projectName} design system`,
-      exports: {
-        './tokens.css': './dist/tokens.css',
-        './tokens.json': './dist/tokens.json',
-        './tailwind.config': './dist/tailwind.config.js',
-      },
-    }, null, 2);
+    // Changelog: this release followed by the recorded ones
+    if (plan) {
+      const previous = await releaseService.getReleases(projectName);
+      files['CHANGELOG.md'] = generateChangelog(
+        [{ version, notes: options.releaseNotes, changes: plan.changes }, ...previous],
+        { projectName }
+      );
+    }
+
+    // Add package.json (exports and files whitelist follow the generated files)
+    files['package.json'] = generatePackageJson(files, { projectName, version });
 
     // Add README
-    files['README.md'] = generateReadme(projectName, version, formats);
+    files['README.md'] = generateReadme(projectName, version, formats, componentNames, files);
+
+    const release = plan
+      ? await releaseService.createRelease({
+        version,
+        level: plan.level,
+        notes: options.releaseNotes,
+        projectName,
+        changes: plan.changes,
+        manifest: plan.manifest,
+        files,
+      })
+      : null;
 
     return {
       projectName,
       version,
       files,
       fileCount: Object.keys(files).length,
+      compileErrors,
+      release,
     };
-  }
+  },
+
+  /**
+   * Compare the selected themes and components with the project's last release
+   * @param {Object} params - Same themes, components, options.snapshots and options.projectName as buildPackage
+   * @returns {Promise<Object>} - { version (suggested), previousVersion, level, changes }
+   */
+  async planRelease({ themes, components, options = {} }) {
+    const { fullThemes, fullComponents } = await loadExportData(themes, components, options.snapshots);
+    const projectName = options.projectName || 'design-system';
+    const { manifest, ...plan } = await prepareRelease(fullThemes, fullComponents, projectName);
+    return plan;
+  },
 };
 
+/**
+ * Tokens of all exported themes as one list for the single-file generators.
+ * Each token is scoped to its theme so aliases resolve within that theme.
+ * @param {Array} fullThemes - Full themes
+ * @returns {Array} - Tokens with alias_scope set to the theme id
+ */
+function flattenThemeTokens(fullThemes) {
+  return fullThemes.flatMap(theme => (theme.tokens || []).map(token => ({ ...token, alias_scope: theme.id })));
+}
+
+/**
+ * Fetch full themes (live or snapshot) and components, skipping any that fail
+ * @param {Array<string>} themes - Theme IDs
+ * @param {Array<string>} components - Component IDs
+ * @param {Object<string, string>} [snapshots] - Theme ID → snapshot ID
+ * @returns {Promise<{ fullThemes: Array, fullComponents: Array }>}
+ */
+async function loadExportData(themes, components, snapshots = {}) {
+  const themeResults = await Promise.allSettled(
+    themes.map(id => (snapshots[id]
+      ? snapshotService.getSnapshotTheme(snapshots[id])
+      : themeService.getTheme(id)))
+  );
+
+  const componentResults = await Promise.allSettled(
+    components.map(id => componentService.getComponent(id))
+  );
+
+  // Filter successful results and log failures
+  const fullThemes = [];
+  themeResults.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value) {
+      fullThemes.push(result.value);
+    } else {
+      console.warn(`Failed to fetch theme ${themes[index]}:`, result.reason || 'Theme not found');
+    }
+  });
+
+  const fullComponents = [];
+  componentResults.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value) {
+      fullComponents.push(result.value);
+    } else {
+      console.warn(`Failed to fetch component ${components[index]}:`, result.reason || 'Component not found');
+    }
+  });
+
+  // Ensure we have at least some data to export
+  if (fullThemes.length === 0 && fullComponents.length === 0) {
+    throw new Error('No valid themes or components found for export');
+  }
+
+  return { fullThemes, fullComponents };
+}
+
+/**
+ * Diff against the project's last release and pick the version.
+ * The first release has no changes to list; it starts at 1.0.0.
+ * @param {Array} fullThemes - Full themes
+ * @param {Array} fullComponents - Full components
+ * @param {string} projectName - Project whose releases are compared
+ * @param {string} [requestedVersion] - Version chosen by the user (default: the suggested one)
+ * @returns {Promise<Object>} - { version, previousVersion, level, changes, manifest }
+ */
+async function prepareRelease(fullThemes, fullComponents, projectName, requestedVersion) {
+  const latest = await releaseService.getLatestRelease(projectName);
+  const manifest = buildReleaseManifest(fullThemes, fullComponents);
+  const { changes, level } = latest
+    ? diffReleaseManifests(latest.manifest, manifest)
+    : { changes: [], level: null };
+  const version = requestedVersion || suggestNextVersion(latest?.version || null, level);
+
+  if (!isValidVersion(version)) {
+    throw new Error(`Invalid release version "${version}" (expected MAJOR.MINOR.PATCH)`);
+  }
+  if (latest && compareVersions(version, latest.version) <= 0) {
+    throw new Error(`Release version ${version} must be greater than the last release (${latest.version})`);
+  }
+
+  return { version, previousVersion: latest?.version || null, level, changes, manifest };
+}
+
 /**
  * Generate README.md content for the export package
  * @param {string} projectName - Project name
  * @param {string} version - Version string
  * @param {Array<string>} formats - Selected formats
+ * @param {Array<string>} [componentNames] - Names exported by the compiled component library
+ * @param {Object<string, *>} [files] - Export files map (decides which Tailwind usage to show)
  * @returns {string} - README content
  */
-function generateReadme(projectName, version, formats) {
+function generateReadme(projectName, version, formats, componentNames = [], files = {}) {
   const includeAll = formats.includes('all');
+  const hasComponents = componentNames.length > 0;
+  const packageName = toPackageName(projectName);
   
   let contents = '';
   
@@ -201,14 +361,40 @@ function generateReadme(projectName, version, formats) {
     contents += '- `dist/tokens.flat.json` - JSON token data (flat)\n';
   }
   
-  if (formats.includes('tailwind') || includeAll) {
-    contents += '- `dist/tailwind.config.js` - Tailwind configuration\n';
+  if (files['dist/tailwind.config.js']) {
+    contents += '- `dist/tailwind.config.js` - Tailwind v3 preset\n';
+  }
+
+  if (files['dist/tailwind.css']) {
+    contents += '- `dist/tailwind.css` - Tailwind v4 theme (`@theme`)\n';
   }
   
   if (formats.includes('scss') || includeAll) {
     contents += '- `dist/_tokens.scss` - SCSS variables\n';
     contents += '- `dist/_tokens-maps.scss` - SCSS maps\n';
   }
+
+  if (formats.includes('types') || includeAll) {
+    contents += '- `dist/tokens.mjs`, `dist/tokens.cjs`, `dist/tokens.d.ts` - Typed tokens (`TokenPath`, `tokens`, `cssVar`)\n';
+    contents += '- `src/tokens.ts` - Typed tokens source\n';
+  }
+
+  if (formats.includes('style-dictionary') || includeAll) {
+    contents += '- `style-dictionary/` - Style Dictionary project (`tokens/**/*.json` and `config.json`); run `npx style-dictionary build` inside it\n';
+  }
+
+  if (formats.includes('ios') || includeAll) {
+    contents += '- `ios/DesignTokens.swift` - iOS UIColor/SwiftUI Color extensions and CGFloat constants\n';
+  }
+
+  if (formats.includes('android') || includeAll) {
+    contents += '- `android/res/values/colors.xml` - Android color resources\n';
+    contents += '- `android/res/values/dimens.xml` - Android dimension resources (dp/sp)\n';
+  }
+
+  if (formats.includes('compose') || includeAll) {
+    contents += '- `android/compose/DesignTokens.kt` - Jetpack Compose tokens\n';
+  }
   
   if (formats.includes('mcp') || includeAll) {
     contents += '- `mcp-server/` - MCP server for Claude Desktop\n';
@@ -219,7 +405,9 @@ function generateReadme(projectName, version, formats) {
   }
   
   if (formats.includes('components') || includeAll) {
-    contents += '- `components/` - React component code\n';
+    contents += '- `dist/index.mjs`, `dist/index.cjs`, `dist/index.d.ts` - Compiled React components (ESM, CommonJS, types)\n';
+    contents += '- `src/components/` - React component source\n';
+    contents += '- `src/components/types.ts` - Component prop interfaces\n';
   }
   
   if (formats.includes('fonts') || includeAll) {
@@ -227,6 +415,10 @@ function generateReadme(projectName, version, formats) {
   }
   
   contents += '- `LLMS.txt` - AI-readable documentation\n';
+
+  if (files['CHANGELOG.md']) {
+    contents += '- `CHANGELOG.md` - Release history\n';
+  }
   
   if (formats.includes('cursor') || includeAll) {
     contents += '- `.cursor/rules/design-system.mdc` - Cursor AI rules\n';
@@ -251,13 +443,40 @@ ${contents}
 
 ## Usage
 
+### npm
+\`\`\`bash
+unzip design-system-export.zip -d ${projectName}
+npm install ./${projectName}
+\`\`\`
+${hasComponents ? `
+\`\`\`jsx
+import { ${componentNames[0]} } from '${packageName}';
+import '${packageName}/tokens.css';
+\`\`\`
+` : ''}
+${formats.includes('types') || includeAll ? `
+### TypeScript
+\`\`\`ts
+import { cssVar, type TokenPath } from '${packageName}/tokens';
+
+// Token paths autocomplete; a typo is a type error
+const accent: TokenPath = 'color/primary';
+element.style.color = cssVar(accent);
+\`\`\`
+` : ''}
 ### CSS
 \`\`\`html
 <link rel="stylesheet" href="./dist/tokens.css">
 <link rel="stylesheet" href="./dist/fonts.css">
 \`\`\`
 
-### Tailwind
+${files['dist/tailwind.css'] ? `### Tailwind v4
+\`\`\`css
+@import "tailwindcss";
+@import "./dist/tailwind.css";
+\`\`\`
+
+` : ''}${files['dist/tailwind.config.js'] ? `### Tailwind v3
 \`\`\`js
 // tailwind.config.js
 module.exports = {
@@ -265,7 +484,7 @@ module.exports = {
 }
 \`\`\`
 
-### SCSS
+` : ''}### SCSS
 \`\`\`scss
 @import './dist/tokens';
 @import './dist/tokens-maps';
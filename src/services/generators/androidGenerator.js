@@ -0,0 +1,76 @@
+/**
+ * Android Resource Generator
+ *
+ * Generates `res/values/colors.xml` and `res/values/dimens.xml` from tokens.
+ * Colors are #AARRGGBB, spacing and radius are dp and font sizes are sp.
+ * CSS px map 1:1 to dp/sp; rem/em are converted with the base font size.
+ */
+
+import { collectNativeTokens, orderForReferences, toSnakeName, formatNativeSize } from './nativeTokenUtils.js';
+
+const DIMEN_UNITS = {
+  spacing: 'dp',
+  radius: 'dp',
+  fontSize: 'sp',
+};
+
+const GROUP_LABELS = {
+  spacing: 'Spacing',
+  radius: 'Radius',
+  fontSize: 'Font Sizes',
+};
+
+/**
+ * Generate Android resource XML files from tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options - Generation options
+ * @param {number} options.baseFontSize - dp per rem/em (default: 16)
+ * @param {boolean} options.includeHeader - Include generation header comment (default: true)
+ * @param {boolean} options.outputReferences - Emit alias tokens as @color/@dimen references (default: false)
+ * @returns {{ 'colors.xml': string, 'dimens.xml': string }} - File contents by file name
+ */
+export function generateAndroidResources(tokens, options = {}) {
+  const {
+    baseFontSize = 16,
+    includeHeader = true,
+    outputReferences = false,
+  } = options;
+
+  const groups = collectNativeTokens(tokens, { toName: toSnakeName, baseFontSize, outputReferences });
+  const header = includeHeader
+    ? `<!-- Design System Tokens - Generated: ${new Date().toISOString().split('T')[0]} -->\n`
+    : '';
+
+  let colors = '';
+  for (const { name, value, reference } of orderForReferences(groups.color)) {
+    colors += `    <color name="${name}">${reference ? `@color/${reference}` : formatArgb(value)}</color>\n`;
+  }
+
+  const sections = Object.keys(DIMEN_UNITS)
+    .filter(group => groups[group].length > 0)
+    .map(group => {
+      let section = `    <!-- ${GROUP_LABELS[group]} -->\n`;
+      for (const { name, value, reference } of orderForReferences(groups[group])) {
+        const content = reference ? `@dimen/${reference}` : `${formatNativeSize(value)}${DIMEN_UNITS[group]}`;
+        section += `    <dimen name="${name}">${content}</dimen>\n`;
+      }
+      return section;
+    });
+
+  return {
+    'colors.xml': wrapResources(colors, header),
+    'dimens.xml': wrapResources(sections.join('\n'), header),
+  };
+}
+
+function wrapResources(body, header) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n${header}<resources>\n${body}</resources>\n`;
+}
+
+/**
+ * Format RGBA as an Android #AARRGGBB color
+ */
+function formatArgb({ r, g, b, a }) {
+  const hex = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+  return `#${hex(a * 255)}${hex(r)}${hex(g)}${hex(b)}`.toUpperCase();
+}
@@ -0,0 +1,81 @@
+/**
+ * Jetpack Compose Generator
+ *
+ * Generates a Kotlin file with one object per token group: `Color` values
+ * for colors, `Dp` for spacing and radius, and `TextUnit` (sp) for font sizes.
+ * CSS px map 1:1 to dp/sp; rem/em are converted with the base font size.
+ */
+
+import { collectNativeTokens, orderForReferences, toPascalName, formatNativeSize } from './nativeTokenUtils.js';
+
+const GROUP_OBJECTS = {
+  color: 'Colors',
+  spacing: 'Spacing',
+  radius: 'Radius',
+  fontSize: 'FontSizes',
+};
+
+const GROUP_UNITS = {
+  spacing: 'dp',
+  radius: 'dp',
+  fontSize: 'sp',
+};
+
+/**
+ * Generate Compose Kotlin source from tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options - Generation options
+ * @param {string} options.packageName - Kotlin package (default: 'com.designsystem.tokens')
+ * @param {string} options.objectName - Top-level object name (default: 'DesignTokens')
+ * @param {number} options.baseFontSize - dp per rem/em (default: 16)
+ * @param {boolean} options.includeHeader - Include generation header comment (default: true)
+ * @param {boolean} options.outputReferences - Emit alias tokens as references to their target (default: false)
+ * @returns {string} - Kotlin source
+ */
+export function generateCompose(tokens, options = {}) {
+  const {
+    packageName = 'com.designsystem.tokens',
+    objectName = 'DesignTokens',
+    baseFontSize = 16,
+    includeHeader = true,
+    outputReferences = false,
+  } = options;
+
+  const groups = collectNativeTokens(tokens, { toName: toPascalName, baseFontSize, outputReferences });
+  let kotlin = '';
+
+  if (includeHeader) {
+    const date = new Date().toISOString().split('T')[0];
+    kotlin += `// Design System Tokens\n// Generated: ${date}\n\n`;
+  }
+
+  kotlin += `package ${packageName}\n\n`;
+  kotlin += 'import androidx.compose.ui.graphics.Color\n';
+  kotlin += 'import androidx.compose.ui.unit.dp\n';
+  kotlin += 'import androidx.compose.ui.unit.sp\n\n';
+
+  const objects = Object.keys(GROUP_OBJECTS)
+    .filter(group => groups[group].length > 0)
+    .map(group => {
+      let object = `    object ${GROUP_OBJECTS[group]} {\n`;
+      for (const { name, value, reference } of orderForReferences(groups[group])) {
+        const literal = group === 'color'
+          ? formatColor(value)
+          : `${formatNativeSize(value)}.${GROUP_UNITS[group]}`;
+        object += `        val ${name} = ${reference || literal}\n`;
+      }
+      return `${object}    }\n`;
+    });
+
+  kotlin += `object ${objectName} {\n${objects.join('\n')}}\n`;
+
+  return kotlin;
+}
+
+/**
+ * Format RGBA as a Compose Color(0xAARRGGBB) literal
+ */
+function formatColor({ r, g, b, a }) {
+  const hex = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+  return `Color(0x${`${hex(a * 255)}${hex(r)}${hex(g)}${hex(b)}`.toUpperCase()})`;
+}
@@ -2,11 +2,13 @@
  * @chunk 5.05 - CSS Generator
  * 
  * Generates CSS with custom properties from tokens.
- * Supports single theme, multi-theme, and font-face generation.
+ * Supports single theme, multi-theme (with per-mode blocks), and font-face generation.
  */
 
 import { tokenToCssValue, isCompositeTypographyToken, expandCompositeTypographyToken, buildResponsiveTypographyCss } from '../../lib/cssVariableInjector.js';
 import { generateFontFaceCss } from '../../lib/fontLoader.js';
+import { resolveTokenAliases, buildTokenIndex, findAliasTarget, isAliasToken } from '../../lib/tokenAliases.js';
+import { getThemeModes, getModeOverrideTokens, getModeMediaQuery } from '../../lib/tokenModes.js';
 
 /**
  * Generate CSS string from tokens
@@ -17,6 +19,7 @@ import { generateFontFaceCss } from '../../lib/fontLoader.js';
  * @param {boolean} options.includeComments - Include category comments (default: true)
  * @param {string} options.scope - Scope attribute selector (e.g., '[data-theme="dark"]')
  * @param {boolean} options.includeHeader - Include generation header comment (default: true)
+ * @param {boolean} options.outputReferences - Emit alias tokens as var(--target) instead of resolved values (default: false)
  * @returns {string} - Generated CSS string
  */
 export function generateCSS(tokens, options = {}) {
@@ -26,12 +29,16 @@ export function generateCSS(tokens, options = {}) {
     includeComments = true,
     scope = null,
     includeHeader = true,
+    outputReferences = false,
   } = options;
 
   if (!tokens || tokens.length === 0) {
     return `${selector} {\n  /* No tokens defined */\n}\n`;
   }
 
+  const index = buildTokenIndex(tokens);
+  tokens = resolveTokenAliases(tokens).tokens;
+
   const actualSelector = scope || selector;
   const grouped = groupTokensByCategory(tokens);
   
@@ -83,7 +90,9 @@ export function generateCSS(tokens, options = {}) {
         continue;
       }
 
-      const value = tokenToCssValue(token);
+      const value = outputReferences
+        ? getReferenceValue(token, index) ?? tokenToCssValue(token)
+        : tokenToCssValue(token);
       const line = `  ${token.css_variable}: ${value};`;
       css += minify ? line.trim() : line + '\n';
     }
@@ -143,7 +152,10 @@ export function generateCSSWithFontFace(tokens, typefaces, options = {}) {
 
 /**
  * Generate CSS for multiple themes
- * @param {Array} themes - Array of theme objects with tokens, slug, and is_default
+ * Themes with several modes get a `[data-mode="<mode>"]` block per extra mode
+ * (overridden tokens only), plus a `prefers-color-scheme` / `prefers-contrast`
+ * fallback for elements that have not picked a mode explicitly.
+ * @param {Array} themes - Array of theme objects with tokens, slug, is_default and modes
  * @param {Object} options - Generation options (same as generateCSS)
  * @returns {string} - Generated CSS string with all themes
  */
@@ -155,6 +167,8 @@ export function generateMultiThemeCSS(themes, options = {}) {
     const selector = theme.is_default 
       ? ':root' 
       : `[data-theme="${theme.slug}"]`;
+    const modes = getThemeModes(theme);
+    const defaultMode = modes[0];
     
     // Only include header for first theme
     css += generateCSS(theme.tokens || [], { 
@@ -162,6 +176,10 @@ export function generateMultiThemeCSS(themes, options = {}) {
       selector,
       includeHeader: i === 0 && options.includeHeader !== false
     });
+
+    for (const mode of modes.slice(1)) {
+      css += generateModeCSS(theme, selector, mode, defaultMode, options);
+    }
     
     if (i < themes.length - 1) {
       css += '\n';
@@ -171,6 +189,69 @@ export function generateMultiThemeCSS(themes, options = {}) {
   return css;
 }
 
+/**
+ * Generate the override blocks for one non-default mode of a theme
+ * @param {Object} theme - Theme object
+ * @param {string} selector - The theme's base selector
+ * @param {string} mode - Mode slug
+ * @param {string} defaultMode - The theme's default mode
+ * @param {Object} options - Generation options (same as generateCSS)
+ * @returns {string} - CSS for the mode, or '' when nothing changes
+ */
+function generateModeCSS(theme, selector, mode, defaultMode, options) {
+  const { minify = false, outputReferences = false } = options;
+
+  let overrides = getModeOverrideTokens(theme.tokens || [], mode, defaultMode);
+  // With references, aliases follow their target through var() already
+  if (outputReferences) {
+    overrides = overrides.filter(token => !isAliasToken(token));
+  }
+  if (overrides.length === 0) return '';
+
+  const modeOptions = { ...options, includeHeader: false, outputReferences: false };
+  const modeSelector = selector === ':root'
+    ? `[data-mode="${mode}"]`
+    : `${selector}[data-mode="${mode}"]`;
+
+  let css = minify ? '' : '\n';
+  css += generateCSS(overrides, { ...modeOptions, selector: modeSelector });
+
+  const query = getModeMediaQuery(mode);
+  if (query && query !== getModeMediaQuery(defaultMode)) {
+    const block = generateCSS(overrides, { ...modeOptions, selector: `${selector}:not([data-mode])` });
+    css += minify
+      ? `@media ${query}{${block}}`
+      : `\n@media ${query} {\n${indentCss(block)}}\n`;
+  }
+
+  return css;
+}
+
+/**
+ * Indent every non-empty line of a CSS block by two spaces
+ * @param {string} css - CSS string
+ * @returns {string}
+ */
+function indentCss(css) {
+  return css
+    .split('\n')
+    .map(line => (line ? `  ${line}` : line))
+    .join('\n');
+}
+
+/**
+ * Get var(--target) for an alias token
+ * @param {Object} token - Token object
+ * @param {Map} index - Token index from buildTokenIndex
+ * @returns {string|null} - CSS var() reference or null if not a resolvable alias
+ */
+function getReferenceValue(token, index) {
+  if (!isAliasToken(token)) return null;
+  const target = findAliasTarget(index, token.alias_path, token.alias_scope);
+  if (!target?.css_variable) return null;
+  return `var(${target.css_variable})`;
+}
+
 /**
  * Group tokens by category
  * @param {Array} tokens - Flat array of tokens
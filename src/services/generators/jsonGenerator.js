@@ -7,33 +7,65 @@
  * - W3C: Design Tokens Community Group format
  */
 
+import { resolveTokenAliases, buildTokenIndex, findAliasTarget, isAliasToken } from '../../lib/tokenAliases.js';
+
 /**
  * Generate JSON string from tokens
  * @param {Array} tokens - Array of token objects
  * @param {Object} options - Generation options
  * @param {string} options.format - Output format: 'flat' | 'nested' | 'w3c' (default: 'nested')
  * @param {boolean} options.includeMetadata - Include metadata in output (default: false)
+ * @param {boolean} options.outputReferences - Emit alias tokens as {reference} strings instead of resolved values (default: false)
  * @returns {string} - JSON string
  */
 export function generateJSON(tokens, options = {}) {
   const {
     format = 'nested',
     includeMetadata = false,
+    outputReferences = false,
   } = options;
 
   if (!tokens || tokens.length === 0) {
     return JSON.stringify({}, null, 2);
   }
 
+  const index = buildTokenIndex(tokens);
+  const getReference = (token) => {
+    if (!outputReferences || !isAliasToken(token)) return null;
+    const target = findAliasTarget(index, token.alias_path, token.alias_scope);
+    return target ? formatReference(target.path, format) : null;
+  };
+  const resolved = resolveTokenAliases(tokens).tokens;
+
   if (format === 'flat') {
-    return generateFlatJSON(tokens, includeMetadata);
+    return generateFlatJSON(resolved, includeMetadata, getReference);
   }
   
   if (format === 'w3c') {
-    return generateW3CJSON(tokens);
+    return generateW3CJSON(resolved, getReference);
+  }
+
+  return generateNestedJSON(resolved, includeMetadata, getReference);
+}
+
+/**
+ * Format an alias reference matching the key style of each output format
+ * @param {string} path - Target token path
+ * @param {string} format - Output format: 'flat' | 'nested' | 'w3c'
+ * @returns {string} - Reference string, e.g. "{color.brand.500}"
+ */
+function formatReference(path, format) {
+  if (format === 'flat') {
+    return `{${path.replace(/\//g, '-').toLowerCase()}}`;
+  }
+
+  const parts = path.split(/[/-]/).filter(Boolean);
+  if (format === 'w3c') {
+    const groups = parts.slice(0, -1).map(capitalizeKey);
+    return `{${[...groups, parts[parts.length - 1]].join('.')}}`;
   }
 
-  return generateNestedJSON(tokens, includeMetadata);
+  return `{${parts.map(normalizeKey).join('.')}}`;
 }
 
 /**
@@ -41,25 +73,27 @@ export function generateJSON(tokens, options = {}) {
  * Example: { "color-primary-500": "#3b82f6" }
  * @param {Array} tokens - Array of token objects
  * @param {boolean} includeMetadata - Include metadata
+ * @param {Function} getReference - Returns an alias reference for a token, or null
  * @returns {string} - JSON string
  */
-function generateFlatJSON(tokens, includeMetadata) {
+function generateFlatJSON(tokens, includeMetadata, getReference = () => null) {
   const result = {};
   
   for (const token of tokens) {
     // Use path as key, converting slashes to hyphens if needed
     const key = token.path.replace(/\//g, '-').toLowerCase();
+    const value = getReference(token) ?? formatValueForJSON(token);
     
     if (includeMetadata) {
       result[key] = {
-        value: formatValueForJSON(token),
+        value,
         type: token.type,
         category: token.category,
         cssVariable: token.css_variable,
         ...(token.description && { description: token.description }),
       };
     } else {
-      result[key] = formatValueForJSON(token);
+      result[key] = value;
     }
   }
   
@@ -71,9 +105,10 @@ function generateFlatJSON(tokens, includeMetadata) {
  * Example: { color: { primary: { 500: "#3b82f6" } } }
  * @param {Array} tokens - Array of token objects
  * @param {boolean} includeMetadata - Include metadata
+ * @param {Function} getReference - Returns an alias reference for a token, or null
  * @returns {string} - JSON string
  */
-function generateNestedJSON(tokens, includeMetadata) {
+function generateNestedJSON(tokens, includeMetadata, getReference = () => null) {
   const result = {};
   
   for (const token of tokens) {
@@ -92,16 +127,17 @@ function generateNestedJSON(tokens, includeMetadata) {
     
     // Set the final value
     const key = normalizeKey(parts[parts.length - 1]);
+    const value = getReference(token) ?? formatValueForJSON(token);
     if (includeMetadata) {
       current[key] = {
-        value: formatValueForJSON(token),
+        value,
         type: token.type,
         category: token.category,
         cssVariable: token.css_variable,
         ...(token.description && { description: token.description }),
       };
     } else {
-      current[key] = formatValueForJSON(token);
+      current[key] = value;
     }
   }
   
@@ -112,9 +148,10 @@ function generateNestedJSON(tokens, includeMetadata) {
  * Generate W3C Design Tokens Community Group format
  * Example: { Color: { Primary: { "500": { $type: "color", $value: "#3b82f6" } } } }
  * @param {Array} tokens - Array of token objects
+ * @param {Function} getReference - Returns an alias reference for a token, or null
  * @returns {string} - JSON string
  */
-function generateW3CJSON(tokens) {
+function generateW3CJSON(tokens, getReference = () => null) {
   const result = {};
   
   for (const token of tokens) {
@@ -135,7 +172,7 @@ function generateW3CJSON(tokens) {
     const key = parts[parts.length - 1];
     current[key] = {
       $type: mapTypeToW3C(token.type),
-      $value: formatValueForW3C(token),
+      $value: getReference(token) ?? formatValueForW3C(token),
     };
     
     // Add description if present
@@ -0,0 +1,211 @@
+/**
+ * Shared helpers for the native (iOS / Android / Compose) token generators.
+ *
+ * Sorts tokens into the groups native platforms have resources for
+ * (colors, spacing, radius, font sizes), converts CSS dimensions to
+ * points/dp/sp and colors to RGBA, and builds platform identifiers.
+ *
+ * Unit conversion: 1 CSS px = 1 pt (iOS) = 1 dp/sp (Android), and
+ * rem/em are multiplied by the base font size (16 by default).
+ */
+
+import { tokenToCssValue } from '../../lib/cssVariableInjector.js';
+import { parseColor } from '../../lib/colorUtils.js';
+import { resolveTokenAliases, buildTokenIndex, followAliasChain, isAliasToken } from '../../lib/tokenAliases.js';
+
+/**
+ * Native token groups, in output order
+ */
+export const NATIVE_GROUPS = ['color', 'spacing', 'radius', 'fontSize'];
+
+// Leading path segments that repeat the group name
+const GROUP_SEGMENTS = {
+  color: /^colou?rs?$/i,
+  spacing: /^(spacing|space)s?$/i,
+  radius: /^(radius|radii|border-?radius)$/i,
+  fontSize: /^(typography|font-?sizes?)$/i,
+};
+
+/**
+ * Native group for a token, or null when native platforms have no equivalent
+ * @param {Object} token - Resolved token
+ * @returns {string|null} - One of NATIVE_GROUPS
+ */
+export function getNativeGroup(token) {
+  switch (token.category) {
+    case 'color':
+      return 'color';
+    case 'spacing':
+      return 'spacing';
+    case 'radius':
+      return 'radius';
+    case 'typography': {
+      const path = (token.path || '').toLowerCase();
+      return path.includes('size') || token.type === 'dimension' || token.type === 'fontSize'
+        ? 'fontSize'
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a CSS dimension to native units (pt / dp / sp)
+ * @param {string|number} value - CSS value (e.g. '16px', '1.5rem', 8)
+ * @param {number} [baseFontSize=16] - px per rem/em
+ * @returns {number|null} - Size in native units, or null if not convertible (%, vw, calc…)
+ */
+export function toNativeSize(value, baseFontSize = 16) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').trim().match(/^(-?\d*\.?\d+)(px|rem|em|pt|dp|sp)?$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'px').toLowerCase();
+  const size = unit === 'rem' || unit === 'em' ? amount * baseFontSize : amount;
+  return Math.round(size * 100) / 100;
+}
+
+/**
+ * Format a native size without trailing zeros
+ * @param {number} size
+ * @returns {string}
+ */
+export function formatNativeSize(size) {
+  return String(Math.round(size * 100) / 100);
+}
+
+/**
+ * Read a color token as RGBA channels
+ * @param {Object} token - Resolved color token
+ * @returns {{ r: number, g: number, b: number, a: number } | null} - Channels 0-255, alpha 0-1
+ */
+export function tokenToRgba(token) {
+  const css = String(tokenToCssValue(token) || '').trim();
+
+  const hex8 = css.match(/^#([a-f\d]{6})([a-f\d]{2})$/i);
+  if (hex8) {
+    const rgb = parseColor(`#${hex8[1]}`);
+    return { ...rgb, a: Math.round((parseInt(hex8[2], 16) / 255) * 1000) / 1000 };
+  }
+
+  const rgb = parseColor(css);
+  if (!rgb) return null;
+
+  const alpha = css.match(/^(?:rgba|hsla)\s*\(.*,\s*([\d.]+)\s*\)$/i);
+  return { ...rgb, a: alpha ? parseFloat(alpha[1]) : 1 };
+}
+
+/**
+ * Split a token path into name words, without the group segment
+ * ("Color/Primary/500" -> ['primary', '500'], "Typography/FontSize/base" -> ['base'])
+ * @param {Object} token - Token
+ * @param {string} group - Native group
+ * @returns {string[]}
+ */
+export function getNameWords(token, group) {
+  const words = String(token.path || token.name || '')
+    .split('/')
+    .filter((segment, i) => !(i < 2 && GROUP_SEGMENTS[group]?.test(segment.trim())))
+    .flatMap(segment => segment
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .split(/[^a-zA-Z0-9]+/))
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+
+  return words;
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * camelCase identifier prefixed with the group ("colorPrimary500", "spacingMd")
+ */
+export function toCamelName(token, group) {
+  const [first, ...rest] = [...splitGroup(group), ...getNameWords(token, group)];
+  return first + rest.map(capitalize).join('');
+}
+
+/**
+ * snake_case identifier prefixed with the group ("color_primary_500", "font_size_base")
+ */
+export function toSnakeName(token, group) {
+  return [...splitGroup(group), ...getNameWords(token, group)].join('_');
+}
+
+/**
+ * PascalCase identifier without the group ("Primary500", "Md"); falls back to
+ * the group-prefixed name when the words would not form a valid identifier
+ */
+export function toPascalName(token, group) {
+  const words = getNameWords(token, group);
+  const safe = words.length > 0 && /^[a-z]/.test(words[0]) ? words : [...splitGroup(group), ...words];
+  return safe.map(capitalize).join('');
+}
+
+function splitGroup(group) {
+  return group.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(' ');
+}
+
+/**
+ * Collect native token entries grouped for output
+ * @param {Array} tokens - Token rows
+ * @param {Object} [options]
+ * @param {Function} options.toName - (token, group) => identifier
+ * @param {number} [options.baseFontSize=16] - px per rem/em
+ * @param {boolean} [options.outputReferences=false] - Attach `reference` (target entry name) to alias entries
+ * @returns {Object<string, Array<{ token: Object, name: string, value: Object|number, reference: string|null }>>}
+ *   Entries by group; color values are RGBA, dimension values are native sizes
+ */
+export function collectNativeTokens(tokens, { toName, baseFontSize = 16, outputReferences = false } = {}) {
+  const groups = Object.fromEntries(NATIVE_GROUPS.map(group => [group, []]));
+  if (!tokens || tokens.length === 0) return groups;
+
+  const index = buildTokenIndex(tokens);
+  const names = new Set();
+  const byPath = new Map();
+
+  for (const token of resolveTokenAliases(tokens).tokens) {
+    const group = getNativeGroup(token);
+    if (!group) continue;
+
+    const value = group === 'color'
+      ? tokenToRgba(token)
+      : toNativeSize(tokenToCssValue(token), baseFontSize);
+    if (value === null) continue;
+
+    const name = toName(token, group);
+    if (!name || names.has(name)) continue;
+    names.add(name);
+
+    const entry = { token, name, value, reference: null };
+    byPath.set(token.path, { entry, group });
+    groups[group].push(entry);
+  }
+
+  // Aliases reference their target's identifier when it is emitted in the same group
+  if (outputReferences) {
+    for (const [, { entry, group }] of byPath) {
+      if (!isAliasToken(entry.token)) continue;
+      const target = byPath.get(followAliasChain(entry.token, index).target?.path);
+      if (target && target.group === group && target.entry !== entry) {
+        entry.reference = target.entry.name;
+      }
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Order entries so referenced identifiers are declared before their aliases
+ * @param {Array} entries - Entries from collectNativeTokens
+ * @returns {Array}
+ */
+export function orderForReferences(entries) {
+  return [
+    ...entries.filter(entry => !entry.reference),
+    ...entries.filter(entry => entry.reference),
+  ];
+}
@@ -0,0 +1,308 @@
+/**
+ * npm Package Generator
+ *
+ * Turns the Full Package export into an installable library: each
+ * component's source is compiled with the bundled Babel into ESM (.mjs) and
+ * CommonJS (.cjs) builds, an index barrel re-exports them, .d.ts files are
+ * generated from each component's `props` definitions, and package.json
+ * gets `exports`, a `files` whitelist and a React peer dependency.
+ *
+ * Component code is written for the preview sandbox, which provides React,
+ * the common hooks and an `Icon` component as globals; those are turned into
+ * imports so the compiled modules are self-contained.
+ */
+
+import * as Babel from '@babel/standalone';
+import { getComponentScopeNames } from '../../lib/componentSandbox.js';
+import { generatePropsInterface, toComponentName } from './typesGenerator.js';
+
+/** Hooks the preview sandbox puts in scope without an import */
+const SANDBOX_REACT_NAMES = ['useState', 'useEffect', 'useRef', 'useMemo', 'useCallback', 'forwardRef', 'createContext', 'useContext'];
+
+/** Minimum React version (the automatic JSX runtime needs 17+) */
+const REACT_PEER_RANGE = '>=17.0.0';
+
+/**
+ * Icon component shipped with the package when a component uses `Icon`.
+ * Icons are looked up in a registry the app fills with registerIcons().
+ */
+const ICON_SOURCE = `import * as React from 'react';
+
+const registry = new Map();
+
+export function registerIcons(icons) {
+  for (const [name, svg] of Object.entries(icons || {})) registry.set(name, svg);
+}
+
+export function Icon({ name, size = 24, color = 'currentColor', className = '', ...rest }) {
+  const svg = registry.get(name);
+  if (!svg) {
+    return <span className={\`icon icon-placeholder \${className}\`} style={{ display: 'inline-flex', width: size, height: size, color }} title={\`Icon "\${name}" not found\`} {...rest} />;
+  }
+  return <span className={\`icon icon-\${name} \${className}\`} style={{ display: 'inline-flex', width: size, height: size, color }} dangerouslySetInnerHTML={{ __html: svg }} {...rest} />;
+}
+`;
+
+const ICON_TYPES = `import * as React from 'react';
+
+export interface IconProps extends React.HTMLAttributes<HTMLSpanElement> {
+  name: string;
+  size?: number | string;
+  color?: string;
+}
+
+/** Register SVG markup by icon name */
+export declare function registerIcons(icons: Record<string, string>): void;
+export declare function Icon(props: IconProps): React.ReactElement;
+`;
+
+/**
+ * Turn a project name into a valid npm package name
+ * @param {string} projectName - Project name
+ * @returns {string} - Lowercase package name (scoped names are kept)
+ */
+export function toPackageName(projectName) {
+  const name = String(projectName || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9@/._-]+/g, '-')
+    .replace(/^[._-]+|-+$/g, '');
+  return name || 'design-system';
+}
+
+/**
+ * File slug for a component (same as the source file name in the export)
+ * @param {Object} component - Component with slug or name
+ * @returns {string}
+ */
+function componentSlug(component) {
+  return component.slug || component.name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Names imported from 'react' by the source
+ * @param {string} code - Component source
+ * @returns {{ namespace: boolean, names: Set<string> }}
+ */
+function reactImports(code) {
+  const names = new Set();
+  let namespace = false;
+  for (const match of code.matchAll(/import\s+([^;]*?)\s+from\s+['"]react['"]/g)) {
+    const clause = match[1];
+    if (/^\s*(?:\*\s+as\s+)?React\b/.test(clause)) namespace = true;
+    const named = clause.match(/\{([^}]*)\}/);
+    if (named) {
+      named[1].split(',').map(part => part.trim().split(/\s+as\s+/).pop()).filter(Boolean).forEach(n => names.add(n));
+    }
+  }
+  return { namespace, names };
+}
+
+/**
+ * Make sandbox component source a self-contained ES module: import React,
+ * the hooks and Icon when the code relies on them as globals, and make sure
+ * the component is the default export
+ * @param {string} code - Component source
+ * @param {string} componentName - Component display name
+ * @returns {string} - ES module source (imports use the .mjs extension)
+ */
+export function prepareModuleSource(code, componentName) {
+  let source = String(code || '');
+  const { namespace, names } = reactImports(source);
+  const declared = (name) => new RegExp(`(?:function|const|let|var|class)\\s+${name}\\b`).test(source);
+
+  const header = [];
+  if (!namespace) header.push("import * as React from 'react';");
+
+  const hooks = SANDBOX_REACT_NAMES.filter(name =>
+    new RegExp(`(?<![.\\w$])${name}\\s*\\(`).test(source) && !names.has(name) && !declared(name)
+  );
+  if (hooks.length) header.push(`const { ${hooks.join(', ')} } = React;`);
+
+  if (/<Icon\b/.test(source) && !names.has('Icon') && !/import[^;]*\bIcon\b/.test(source) && !declared('Icon')) {
+    header.push("import { Icon } from '../icon.mjs';");
+  }
+
+  if (!/export\s+default\b/.test(source)) {
+    source += `\n\nexport default ${getComponentScopeNames(source, componentName)[0]};\n`;
+  }
+
+  return header.length ? `${header.join('\n')}\n\n${source}` : source;
+}
+
+/**
+ * Compile JSX/TSX module source
+ * @param {string} source - ES module source
+ * @param {'esm'|'cjs'} format - Output module format
+ * @returns {string} - Compiled code
+ * @throws {Error} - On syntax errors
+ */
+export function compileModule(source, format) {
+  const input = format === 'cjs'
+    ? source.replace(/(from\s+|require\(\s*)(['"])(\.{1,2}\/[^'"]+)\.mjs\2/g, '$1$2$3.cjs$2')
+    : source;
+
+  return Babel.transform(input, {
+    filename: 'component.tsx',
+    presets: [
+      ['typescript', { isTSX: true, allExtensions: true }],
+      ['react', { runtime: 'automatic' }],
+    ],
+    plugins: format === 'cjs' ? ['transform-modules-commonjs'] : [],
+    sourceType: 'module',
+    babelrc: false,
+    configFile: false,
+  }).code;
+}
+
+/**
+ * Generate the .d.ts for a component from its props JSON
+ * @param {Object} component - Component with props
+ * @param {string} exportName - Exported component name
+ * @returns {string} - Declaration file content
+ */
+export function generateComponentTypes(component, exportName) {
+  return `import * as React from 'react';
+
+${generatePropsInterface(component, exportName)}
+${component.description ? `/** ${component.description} */\n` : ''}declare function ${exportName}(props: ${exportName}Props): React.ReactElement | null;
+export default ${exportName};
+`;
+}
+
+/**
+ * Build the compiled component library
+ * @param {Array} components - Components with name, slug, code, props
+ * @returns {{ files: Object<string, string>, exported: Array<{ name: string, slug: string }>, failed: Array<{ name: string, error: string }> }}
+ */
+export function generateComponentLibrary(components) {
+  const files = {};
+  const exported = [];
+  const failed = [];
+  const usedNames = new Set();
+  let usesIcon = false;
+
+  for (const component of components) {
+    if (!component.code) continue;
+    const slug = componentSlug(component);
+    let name = toComponentName(component.name);
+    while (usedNames.has(name)) name = `${name}_`;
+
+    try {
+      const source = prepareModuleSource(component.code, component.name);
+      files[`dist/components/${slug}.mjs`] = compileModule(source, 'esm');
+      files[`dist/components/${slug}.cjs`] = compileModule(source, 'cjs');
+      files[`dist/components/${slug}.d.ts`] = generateComponentTypes(component, name);
+      usesIcon = usesIcon || source.includes("from '../icon.mjs'");
+      usedNames.add(name);
+      exported.push({ name, slug });
+    } catch (error) {
+      console.warn(`Failed to compile component ${component.name}:`, error);
+      failed.push({ name: component.name, error: error.message });
+    }
+  }
+
+  if (exported.length === 0) return { files: {}, exported, failed };
+
+  const barrel = exported.map(({ name, slug }) =>
+    `export { default as ${name} } from './components/${slug}.mjs';`
+  );
+  const barrelTypes = exported.map(({ name, slug }) =>
+    `export { default as ${name} } from './components/${slug}';\nexport type { ${name}Props } from './components/${slug}';`
+  );
+
+  if (usesIcon) {
+    files['dist/icon.mjs'] = compileModule(ICON_SOURCE, 'esm');
+    files['dist/icon.cjs'] = compileModule(ICON_SOURCE, 'cjs');
+    files['dist/icon.d.ts'] = ICON_TYPES;
+    barrel.push("export { Icon, registerIcons } from './icon.mjs';");
+    barrelTypes.push("export { Icon, registerIcons } from './icon';\nexport type { IconProps } from './icon';");
+  }
+
+  const barrelSource = `${barrel.join('\n')}\n`;
+  files['dist/index.mjs'] = compileModule(barrelSource, 'esm');
+  files['dist/index.cjs'] = compileModule(barrelSource, 'cjs');
+  files['dist/index.d.ts'] = `${barrelTypes.join('\n')}\n`;
+
+  return { files, exported, failed };
+}
+
+/**
+ * Token files exposed as package subpaths, when present in the export
+ */
+const TOKEN_EXPORTS = {
+  './tokens.css': './dist/tokens.css',
+  './fonts.css': './dist/fonts.css',
+  './tokens.json': './dist/tokens.json',
+  './tokens.flat.json': './dist/tokens.flat.json',
+  './tailwind.config': './dist/tailwind.config.js',
+  // Alias of ./tailwind.config: the file is a v3 preset
+  './tailwind.preset': './dist/tailwind.config.js',
+  './tailwind.css': './dist/tailwind.css',
+  './tokens.scss': './dist/_tokens.scss',
+  './tokens-maps.scss': './dist/_tokens-maps.scss',
+};
+
+/** Top-level paths published to npm, when present in the export */
+const PUBLISHED_PATHS = ['dist', 'fonts', 'LLMS.txt'];
+
+/**
+ * Generate package.json for the export
+ * @param {Object<string, *>} files - Export files map (paths decide exports and files)
+ * @param {Object} options
+ * @param {string} options.projectName - Project name
+ * @param {string} options.version - Version string
+ * @returns {string} - package.json content
+ */
+export function generatePackageJson(files, { projectName, version }) {
+  const paths = Object.keys(files);
+  const hasComponents = paths.includes('dist/index.mjs');
+
+  const exports = {};
+  if (hasComponents) {
+    exports['.'] = {
+      types: './dist/index.d.ts',
+      import: './dist/index.mjs',
+      require: './dist/index.cjs',
+    };
+  }
+  if (paths.includes('dist/tokens.mjs')) {
+    exports['./tokens'] = {
+      types: './dist/tokens.d.ts',
+      import: './dist/tokens.mjs',
+      require: './dist/tokens.cjs',
+    };
+  }
+  for (const [subpath, target] of Object.entries(TOKEN_EXPORTS)) {
+    if (paths.includes(target.slice(2))) exports[subpath] = target;
+  }
+  exports['./package.json'] = './package.json';
+
+  const pkg = {
+    name: toPackageName(projectName),
+    version,
+    description: `${projectName} design system`,
+    ...(hasComponents && {
+      main: './dist/index.cjs',
+      module: './dist/index.mjs',
+      types: './dist/index.d.ts',
+    }),
+    exports,
+    files: PUBLISHED_PATHS.filter(entry => paths.some(path => path === entry || path.startsWith(`${entry}/`))),
+    sideEffects: ['*.css'],
+    ...(hasComponents && {
+      peerDependencies: { react: REACT_PEER_RANGE },
+    }),
+  };
+
+  return JSON.stringify(pkg, null, 2);
+}
+
+export default {
+  generateComponentLibrary,
+  generateComponentTypes,
+  generatePackageJson,
+  prepareModuleSource,
+  compileModule,
+  toPackageName,
+};
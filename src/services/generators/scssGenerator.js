@@ -6,6 +6,7 @@
  */
 
 import { tokenToCssValue } from '../../lib/cssVariableInjector.js';
+import { resolveTokenAliases, buildTokenIndex, findAliasTarget, followAliasChain, isAliasToken } from '../../lib/tokenAliases.js';
 
 /**
  * Generate SCSS string from tokens
@@ -14,6 +15,7 @@ import { tokenToCssValue } from '../../lib/cssVariableInjector.js';
  * @param {boolean} options.useMaps - Include maps for programmatic access (default: true)
  * @param {string} options.prefix - Prefix for variable names (default: '')
  * @param {boolean} options.includeHeader - Include generation header comment (default: true)
+ * @param {boolean} options.outputReferences - Emit alias tokens as $target references instead of resolved values (default: false)
  * @returns {string} - Generated SCSS string
  */
 export function generateSCSS(tokens, options = {}) {
@@ -21,13 +23,22 @@ export function generateSCSS(tokens, options = {}) {
     useMaps = true,
     prefix = '',
     includeHeader = true,
+    outputReferences = false,
   } = options;
 
   if (!tokens || tokens.length === 0) {
     return '// No tokens defined\n';
   }
 
-  const grouped = groupTokensByCategory(tokens);
+  const index = buildTokenIndex(tokens);
+  const resolvedTokens = resolveTokenAliases(tokens).tokens;
+
+  // SCSS variables must be declared before use, so referencing aliases are
+  // emitted in their own section after every concrete variable.
+  const referenceTokens = outputReferences
+    ? resolvedTokens.filter(t => isAliasToken(t) && followAliasChain(t, index).target)
+    : [];
+  const grouped = groupTokensByCategory(resolvedTokens.filter(t => !referenceTokens.includes(t)));
   let scss = '';
 
   // Add header comment
@@ -40,10 +51,14 @@ export function generateSCSS(tokens, options = {}) {
   // Generate flat variables
   scss += generateSCSSVariables(grouped, prefix);
 
+  if (referenceTokens.length > 0) {
+    scss += generateSCSSAliasVariables(referenceTokens, index, prefix);
+  }
+
   // Generate maps if requested
   if (useMaps) {
     scss += '\n// Token Maps (for programmatic access)\n';
-    scss += generateSCSSMaps(grouped, prefix);
+    scss += generateSCSSMaps(groupTokensByCategory(resolvedTokens), prefix);
   }
 
   return scss;
@@ -89,6 +104,30 @@ function generateSCSSVariables(grouped, prefix) {
   return scss;
 }
 
+/**
+ * Generate alias variables that reference their target variables
+ * Ordered by alias depth so every target is declared before it is used.
+ * @param {Array} aliasTokens - Resolvable alias tokens
+ * @param {Map} index - Token index from buildTokenIndex
+ * @param {string} prefix - Prefix for variable names
+ * @returns {string} - SCSS variables string
+ */
+function generateSCSSAliasVariables(aliasTokens, index, prefix) {
+  const depth = (token) => followAliasChain(token, index).chain.length;
+  const sortedTokens = [...aliasTokens].sort((a, b) => depth(a) - depth(b));
+
+  let scss = '// Aliases\n';
+  for (const token of sortedTokens) {
+    const target = findAliasTarget(index, token.alias_path, token.alias_scope);
+    const name = tokenNameToScss(token.path || token.name, prefix, token.category);
+    const targetName = tokenNameToScss(target.path || target.name, prefix, target.category || 'other');
+    scss += `$${name}: $${targetName};\n`;
+  }
+  scss += '\n';
+
+  return scss;
+}
+
 /**
  * Generate SCSS maps that reference the flat variables
  * @param {Object} grouped - Tokens grouped by category
@@ -0,0 +1,386 @@
+/**
+ * Style Dictionary Generator
+ *
+ * Writes a Style Dictionary project for downstream pipelines: token source
+ * files under `tokens/` (one per collection and category) and a `config.json`
+ * with platform definitions.
+ *
+ * Two source formats:
+ * - 'dtcg': `$type` / `$value` / `$description` (Style Dictionary 4+ with usesDtcg)
+ * - 'sd':   classic `value` / `type` / `description` / `attributes`
+ *
+ * Category, exact type, name, collection, CSS variable and mode values go where
+ * tokenParser reads them back (`$extensions` or `attributes`), so merging the
+ * files with mergeTokenFiles and re-importing through parseTokens yields the
+ * same token set.
+ *
+ * A token whose path continues below another token (`Color/Primary` and
+ * `Color/Primary/Hover`) cannot nest inside that token's node. It is written
+ * under a sibling key (`Primary-Hover`) with its original path stored next to
+ * the other extension data; references to it point at the written key.
+ *
+ * Colors that are not written as a hex string come back with the fields the
+ * format implies (`rgb`, and `colorSpace` for DTCG objects). When the stored
+ * value has other fields, they are listed in the extension data
+ * (`colorFields`) and the parser returns exactly those.
+ */
+
+import { pathToReference } from '../../lib/tokenAliases.js';
+import { formatName, generateCssVariable, TOKEN_EXTENSION_KEY } from '../../lib/tokenParser.js';
+
+/**
+ * Map our types to DTCG $type
+ */
+const DTCG_TYPES = {
+  'typography-composite': 'typography',
+};
+
+/**
+ * Fields of a color re-imported from each format's written color object / rgba() string
+ */
+const REIMPORTED_COLOR_FIELDS = {
+  dtcg: ['colorSpace', 'hex', 'opacity', 'rgb'],
+  sd: ['hex', 'opacity', 'rgb'],
+};
+
+/**
+ * Platforms in config.json (Style Dictionary built-in transform groups and formats)
+ */
+const PLATFORMS = {
+  css: {
+    transformGroup: 'css',
+    buildPath: 'build/css/',
+    files: [{ destination: 'variables.css', format: 'css/variables' }],
+  },
+  scss: {
+    transformGroup: 'scss',
+    buildPath: 'build/scss/',
+    files: [{ destination: '_variables.scss', format: 'scss/variables' }],
+  },
+  js: {
+    transformGroup: 'js',
+    buildPath: 'build/js/',
+    files: [{ destination: 'tokens.js', format: 'javascript/es6' }],
+  },
+  ios: {
+    transformGroup: 'ios-swift',
+    buildPath: 'build/ios/',
+    files: [{ destination: 'DesignTokens.swift', format: 'ios-swift/class.swift', options: { className: 'DesignTokens' } }],
+  },
+  android: {
+    transformGroup: 'android',
+    buildPath: 'build/android/',
+    files: [{ destination: 'tokens.xml', format: 'android/resources' }],
+  },
+  compose: {
+    transformGroup: 'compose',
+    buildPath: 'build/compose/',
+    files: [{ destination: 'DesignTokens.kt', format: 'compose/object', options: { className: 'DesignTokens', packageName: 'design.tokens' } }],
+  },
+};
+
+/**
+ * Generate a Style Dictionary project from tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options - Generation options
+ * @param {'dtcg'|'sd'} options.format - Token source format (default: 'dtcg')
+ * @returns {Object<string, string>} - Files map: config.json and tokens/**\/*.json
+ */
+export function generateStyleDictionary(tokens, options = {}) {
+  const { format = 'dtcg' } = options;
+  const dtcg = format !== 'sd';
+  const placed = (tokens || []).filter(token => token.path);
+  const byPath = new Map(placed.map(token => [token.path, token]));
+
+  // Lay out all files as one tree: mergeTokenFiles joins them again on import
+  const layout = Object.create(null);
+  const locations = new Map();
+  for (const token of placed) {
+    if (!locations.has(token.path)) locations.set(token.path, placeToken(layout, token.path));
+  }
+
+  const sources = {};
+  for (const token of placed) {
+    const file = sourceFile(token);
+    sources[file] = sources[file] || {};
+    const location = locations.get(token.path);
+    const relocated = location.join('/') !== token.path.split('/').filter(Boolean).join('/');
+    const node = dtcg
+      ? toDTCGToken(token, byPath, locations, relocated)
+      : toSDToken(token, locations, relocated);
+    setTokenNode(sources[file], location, node);
+  }
+
+  const config = {
+    source: ['tokens/**/*.json'],
+    ...(dtcg && { usesDtcg: true }),
+    platforms: PLATFORMS,
+  };
+
+  const files = { 'config.json': JSON.stringify(config, null, 2) };
+  for (const file of Object.keys(sources).sort()) {
+    files[file] = JSON.stringify(sources[file], null, 2);
+  }
+  return files;
+}
+
+/**
+ * Source file for a token: tokens/<collection>/<category>.json
+ * @param {Object} token - Token object
+ * @returns {string}
+ */
+function sourceFile(token) {
+  const collection = token.metadata?.collection
+    ? `${generateCssVariable(String(token.metadata.collection)).slice(2)}/`
+    : '';
+  return `tokens/${collection}${token.category || 'other'}.json`;
+}
+
+// Marks a token leaf in the layout tree
+const TOKEN_LEAF = Symbol('token');
+
+/**
+ * Reserve a location for a token path in the layout tree. When a token is
+ * already in the way (or the leaf key is taken by a group), the rest of the
+ * path is joined into one sibling key instead.
+ * @param {Object} layout - Layout tree (groups are objects, tokens TOKEN_LEAF)
+ * @param {string} path - Token path (slash separated)
+ * @returns {string[]} - Keys from the root to the token node
+ */
+function placeToken(layout, path) {
+  const parts = path.split('/').filter(Boolean);
+  const location = [];
+  let current = layout;
+
+  for (let i = 0; i < parts.length; i++) {
+    const existing = current[parts[i]];
+    const isLast = i === parts.length - 1;
+
+    if (isLast && existing === undefined) {
+      current[parts[i]] = TOKEN_LEAF;
+      return [...location, parts[i]];
+    }
+    if (!isLast && existing !== TOKEN_LEAF) {
+      current[parts[i]] = existing || Object.create(null);
+      current = current[parts[i]];
+      location.push(parts[i]);
+      continue;
+    }
+
+    const base = parts.slice(i).join('-');
+    let key = base;
+    for (let n = 2; current[key] !== undefined; n++) key = `${base}-${n}`;
+    current[key] = TOKEN_LEAF;
+    return [...location, key];
+  }
+  return location;
+}
+
+/**
+ * Place a token node in a file tree
+ * @param {Object} tree - Source file tree
+ * @param {string[]} location - Keys from placeToken
+ * @param {Object} node - Token node
+ */
+function setTokenNode(tree, location, node) {
+  let current = tree;
+  for (const part of location.slice(0, -1)) {
+    current[part] = current[part] || {};
+    current = current[part];
+  }
+  current[location[location.length - 1]] = node;
+}
+
+/**
+ * Reference to a token at its written location
+ * @param {string} path - Token path
+ * @param {Map<string, string[]>} locations - Token path → location
+ * @returns {string}
+ */
+function referenceTo(path, locations) {
+  return pathToReference(locations.get(path)?.join('/') || path);
+}
+
+/**
+ * Data the formats have no field for
+ * @param {Object} token - Token object
+ * @param {Function} formatValue - Formats a mode value
+ * @param {boolean} relocated - Written under a key other than its path
+ * @returns {Object}
+ */
+function tokenExtension(token, formatValue, relocated, format) {
+  const modes = Object.entries(token.mode_values || {});
+  const colorFields = storedColorFields(token, format);
+  return {
+    category: token.category,
+    type: token.type,
+    ...(relocated && { path: token.path }),
+    ...(colorFields && { colorFields }),
+    ...(token.name && token.name !== formatName(token.path) && { name: token.name }),
+    ...(token.css_variable && token.css_variable !== generateCssVariable(token.path) && { cssVariable: token.css_variable }),
+    ...(token.metadata?.collection && { collection: token.metadata.collection }),
+    ...(modes.length && !token.alias_path && {
+      modes: Object.fromEntries(modes.map(([mode, value]) => [mode, formatValue(value)])),
+    }),
+  };
+}
+
+/**
+ * Build a DTCG token node
+ * @param {Object} token - Token object
+ * @param {Map} byPath - Tokens by path (aliases take their target's type)
+ * @param {Map} locations - Token path → written location
+ * @param {boolean} relocated - Written under a key other than its path
+ * @returns {Object}
+ */
+function toDTCGToken(token, byPath, locations, relocated) {
+  const target = token.alias_path ? byPath.get(token.alias_path) : null;
+  const formatValue = (value) => toDTCGValue(token.type, value);
+
+  return {
+    $type: DTCG_TYPES[(target || token).type] || (target || token).type || 'string',
+    $value: token.alias_path ? referenceTo(token.alias_path, locations) : formatValue(token.value),
+    ...(token.description && { $description: token.description }),
+    $extensions: {
+      ...(token.metadata?.extensions || {}),
+      [TOKEN_EXTENSION_KEY]: tokenExtension(token, formatValue, relocated, 'dtcg'),
+    },
+  };
+}
+
+/**
+ * Build a classic Style Dictionary token node
+ * @param {Object} token - Token object
+ * @param {Map} locations - Token path → written location
+ * @param {boolean} relocated - Written under a key other than its path
+ * @returns {Object}
+ */
+function toSDToken(token, locations, relocated) {
+  const formatValue = (value) => toSDValue(token.type, value);
+  const { category, type, ...attributes } = tokenExtension(token, formatValue, relocated, 'sd');
+
+  return {
+    value: token.alias_path ? referenceTo(token.alias_path, locations) : formatValue(token.value),
+    type,
+    ...(token.description && { description: token.description }),
+    ...(attributes.cssVariable && { cssVariable: attributes.cssVariable }),
+    attributes: {
+      category,
+      ...(attributes.path && { path: attributes.path }),
+      ...(attributes.colorFields && { colorFields: attributes.colorFields }),
+      ...(attributes.name && { name: attributes.name }),
+      ...(attributes.collection && { collection: attributes.collection }),
+      ...(attributes.modes && { modes: attributes.modes }),
+    },
+  };
+}
+
+/**
+ * Fields of a stored color that re-import would not give back as they are
+ * Mode values are expected in the same shape as the token's value.
+ * @param {Object} token - Token object
+ * @param {'dtcg'|'sd'} format - Source format
+ * @returns {string[]|null} - The stored value's fields, or null when re-import restores it exactly
+ */
+function storedColorFields(token, format) {
+  const { value } = token;
+  if (token.type !== 'color' || token.alias_path || !value || typeof value !== 'object') return null;
+  // Written as a hex string, which comes back as { hex, opacity }
+  if (!value.rgb && (value.opacity ?? 1) === 1) return null;
+  const fields = Object.keys(value);
+  return fields.slice().sort().join() === REIMPORTED_COLOR_FIELDS[format].join() ? null : fields;
+}
+
+/**
+ * Format a value for DTCG $value
+ * @param {string} type - Our token type
+ * @param {*} value - Stored value
+ * @returns {*}
+ */
+function toDTCGValue(type, value) {
+  if (value === null || value === undefined) return value;
+
+  if (type === 'color' && typeof value === 'object') {
+    const rgb = value.rgb || hexToRgb(value.hex);
+    const opacity = value.opacity ?? 1;
+    if (!value.rgb && opacity === 1) return value.hex;
+    return {
+      colorSpace: value.colorSpace || 'srgb',
+      components: [rgb.r / 255, rgb.g / 255, rgb.b / 255],
+      alpha: opacity,
+      hex: value.hex,
+    };
+  }
+
+  if (type === 'shadow') {
+    return toShadowList(value);
+  }
+
+  return formatDimension(type, value);
+}
+
+/**
+ * Format a value for a classic Style Dictionary token
+ * @param {string} type - Our token type
+ * @param {*} value - Stored value
+ * @returns {*}
+ */
+function toSDValue(type, value) {
+  if (value === null || value === undefined) return value;
+
+  if (type === 'color' && typeof value === 'object') {
+    const opacity = value.opacity ?? 1;
+    if (!value.rgb && opacity === 1) return value.hex;
+    const { r, g, b } = value.rgb || hexToRgb(value.hex);
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  }
+
+  if (type === 'shadow') {
+    return toShadowList(value);
+  }
+
+  return formatDimension(type, value);
+}
+
+/**
+ * Dimension objects as CSS strings ("16px"); other values unchanged
+ */
+function formatDimension(type, value) {
+  if (type === 'dimension' && typeof value === 'object' && value.value !== undefined) {
+    return `${value.value}${value.unit || 'px'}`;
+  }
+  return value;
+}
+
+/**
+ * Shadows as a list of { offsetX, offsetY, blur, spread, color, inset }
+ */
+function toShadowList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'object') return value;
+  return (value.shadows || [value]).map(s => ({
+    offsetX: s.offsetX ?? s.x ?? 0,
+    offsetY: s.offsetY ?? s.y ?? 0,
+    blur: s.blur ?? 0,
+    spread: s.spread ?? 0,
+    color: s.color,
+    inset: s.inset || false,
+  }));
+}
+
+/**
+ * Parse #rgb / #rrggbb into channels
+ */
+function hexToRgb(hex) {
+  let h = String(hex || '#000000').replace('#', '');
+  if (h.length === 3) h = h.split('').map(c => c + c).join('');
+  return {
+    r: parseInt(h.slice(0, 2), 16) || 0,
+    g: parseInt(h.slice(2, 4), 16) || 0,
+    b: parseInt(h.slice(4, 6), 16) || 0,
+  };
+}
+
+export default {
+  generateStyleDictionary,
+};
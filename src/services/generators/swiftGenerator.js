@@ -0,0 +1,93 @@
+/**
+ * iOS Swift Generator
+ *
+ * Generates a Swift file with `UIColor` and SwiftUI `Color` extensions for
+ * color tokens and `CGFloat` constants for spacing, radius and font sizes.
+ * CSS px map 1:1 to points; rem/em are converted with the base font size.
+ */
+
+import { collectNativeTokens, orderForReferences, toCamelName, formatNativeSize } from './nativeTokenUtils.js';
+
+const GROUP_LABELS = {
+  spacing: 'Spacing',
+  radius: 'Radius',
+  fontSize: 'Font Sizes',
+};
+
+/**
+ * Generate Swift source from tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options - Generation options
+ * @param {string} options.typeName - Enum holding the dimension constants (default: 'DesignTokens')
+ * @param {number} options.baseFontSize - Points per rem/em (default: 16)
+ * @param {boolean} options.includeHeader - Include generation header comment (default: true)
+ * @param {boolean} options.outputReferences - Emit alias tokens as references to their target (default: false)
+ * @returns {string} - Swift source
+ */
+export function generateSwift(tokens, options = {}) {
+  const {
+    typeName = 'DesignTokens',
+    baseFontSize = 16,
+    includeHeader = true,
+    outputReferences = false,
+  } = options;
+
+  const groups = collectNativeTokens(tokens, { toName: toCamelName, baseFontSize, outputReferences });
+  let swift = '';
+
+  if (includeHeader) {
+    const date = new Date().toISOString().split('T')[0];
+    swift += '//\n';
+    swift += `//  ${typeName}.swift\n`;
+    swift += '//  Design System Tokens\n';
+    swift += `//  Generated: ${date}\n`;
+    swift += '//\n\n';
+  }
+
+  swift += 'import UIKit\nimport SwiftUI\n\n';
+
+  const colors = orderForReferences(groups.color);
+  if (colors.length > 0) {
+    swift += 'public extension UIColor {\n';
+    for (const { name, value, reference } of colors) {
+      swift += `    static let ${name} = ${reference ? `UIColor.${reference}` : formatUIColor(value)}\n`;
+    }
+    swift += '}\n\n';
+
+    swift += 'public extension Color {\n';
+    for (const { name, value, reference } of colors) {
+      swift += `    static let ${name} = ${reference ? `Color.${reference}` : formatColor(value)}\n`;
+    }
+    swift += '}\n\n';
+  }
+
+  swift += `public enum ${typeName} {\n`;
+  const sections = Object.keys(GROUP_LABELS)
+    .filter(group => groups[group].length > 0)
+    .map(group => {
+      let section = `    // MARK: - ${GROUP_LABELS[group]}\n`;
+      for (const { name, value, reference } of orderForReferences(groups[group])) {
+        section += `    public static let ${name}: CGFloat = ${reference || formatNativeSize(value)}\n`;
+      }
+      return section;
+    });
+  swift += sections.join('\n');
+  swift += '}\n';
+
+  return swift;
+}
+
+/**
+ * Format a 0-255 channel as a 0-1 Swift literal
+ */
+function channel(value) {
+  return String(Math.round((value / 255) * 1000) / 1000);
+}
+
+function formatUIColor({ r, g, b, a }) {
+  return `UIColor(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}, alpha: ${a})`;
+}
+
+function formatColor({ r, g, b, a }) {
+  return `Color(.sRGB, red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}, opacity: ${a})`;
+}
@@ -1,24 +1,34 @@
 /**
  * @chunk 5.07 - Tailwind Generator
  * 
- * Generates Tailwind config extend object from tokens.
- * Supports CSS variables or direct values.
+ * Generates Tailwind output from tokens:
+ * - v3: a preset (`presets: [require(…)]`) with a theme.extend object,
+ *   using CSS variables or direct values
+ * - v4: a CSS-first `@theme { --color-…; --spacing-…; }` block, with
+ *   per-theme and per-mode overrides of the theme variables
  */
 
-import { tokenToCssValue } from '../../lib/cssVariableInjector.js';
+import { tokenToCssValue, isCompositeTypographyToken, expandCompositeTypographyToken } from '../../lib/cssVariableInjector.js';
+import { resolveTokenAliases, buildTokenIndex, findAliasTarget, isAliasToken } from '../../lib/tokenAliases.js';
+import { getThemeModes, getModeOverrideTokens, getModeMediaQuery } from '../../lib/tokenModes.js';
 
 /**
- * Generate Tailwind config file content from tokens
+ * Generate a Tailwind v3 preset from tokens
+ * The file is a config object meant to be used as `presets: [require(…)]`.
+ * With CSS variables (the default) utilities follow the active theme and mode
+ * of tokens.css, so multi-theme switching works through `data-theme` / `data-mode`.
  * @param {Array} tokens - Array of token objects
  * @param {Object} options - Generation options
  * @param {boolean} options.useCSSVariables - Use CSS variables instead of direct values (default: true)
  * @param {string} options.prefix - Prefix for token names (default: '')
- * @returns {string} - Tailwind config.js file content
+ * @param {boolean} options.outputReferences - With direct values, emit alias tokens as var(--target) (default: false)
+ * @returns {string} - Tailwind preset file content
  */
 export function generateTailwind(tokens, options = {}) {
   const {
     useCSSVariables = true,
     prefix = '',
+    outputReferences = false,
   } = options;
 
   if (!tokens || tokens.length === 0) {
@@ -41,60 +51,48 @@ module.exports = {
     screens: {},
   };
 
-  for (const token of tokens) {
+  const index = buildTokenIndex(tokens);
+  const aliasTarget = (token) => isAliasToken(token) ? findAliasTarget(index, token.alias_path, token.alias_scope) : null;
+
+  for (const token of resolveTokenAliases(tokens).tokens) {
+    const kind = classifyToken(token);
+    if (!kind) continue;
+
     const name = tokenNameToTailwind(token.path || token.name, prefix);
-    let value = useCSSVariables && token.css_variable
-      ? `var(${token.css_variable})`
-      : tokenToCssValue(token);
 
-    switch (token.category) {
-      case 'color':
-        setNestedValue(theme.colors, name, value);
-        break;
-      case 'spacing':
-        theme.spacing[name] = value;
-        break;
-      case 'typography': {
-        const pathLower = (token.path || '').toLowerCase();
-        if (pathLower.includes('size') || pathLower.includes('fontsize') || token.type === 'dimension') {
-          theme.fontSize[name] = value;
-        } else if (pathLower.includes('weight') || pathLower.includes('fontweight') || token.type === 'fontWeight') {
-          theme.fontWeight[name] = value;
-        } else if (pathLower.includes('family') || pathLower.includes('fontfamily') || token.type === 'fontFamily') {
-          // Font family should use actual value (array of font names)
-          // Even with CSS variables, we want the actual font stack
-          const actualValue = tokenToCssValue(token);
-          // Font family should be an array
-          let familyValue;
-          if (Array.isArray(actualValue)) {
-            familyValue = actualValue;
-          } else if (typeof actualValue === 'string') {
-            // If it's a string, it might be a comma-separated list
-            familyValue = actualValue.includes(',')
-              ? actualValue.split(',').map(f => f.trim().replace(/^["']|["']$/g, ''))
-              : [actualValue];
-          } else if (Array.isArray(token.value)) {
-            familyValue = token.value;
-          } else {
-            familyValue = [String(actualValue)];
-          }
-          theme.fontFamily[name] = familyValue;
-        }
-        break;
+    if (kind === 'composite') {
+      const parts = compositeParts(token, useCSSVariables);
+      if (parts.size) {
+        const extras = Object.fromEntries(
+          [['lineHeight', parts.lineHeight], ['letterSpacing', parts.letterSpacing], ['fontWeight', parts.fontWeight]]
+            .filter(([, value]) => value !== undefined)
+        );
+        theme.fontSize[name] = Object.keys(extras).length ? [parts.size, extras] : parts.size;
       }
-      case 'radius':
-        theme.borderRadius[name] = value;
-        break;
-      case 'shadow':
-        theme.boxShadow[name] = value;
-        break;
-      case 'grid': {
-        const gridPathLower = (token.path || '').toLowerCase();
-        if (gridPathLower.includes('breakpoint') || gridPathLower.includes('screen')) {
-          theme.screens[name] = value;
-        }
-        break;
+      if (parts.family) {
+        theme.fontFamily[name] = toFontFamilyList(parts.family);
       }
+      continue;
+    }
+
+    if (kind === 'fontFamily') {
+      // Font family should use actual value (array of font names)
+      // Even with CSS variables, we want the actual font stack
+      theme.fontFamily[name] = Array.isArray(token.value) ? token.value : toFontFamilyList(tokenToCssValue(token));
+      continue;
+    }
+
+    const target = outputReferences ? aliasTarget(token) : null;
+    const value = useCSSVariables && token.css_variable
+      ? `var(${token.css_variable})`
+      : target?.css_variable
+        ? `var(${target.css_variable})`
+        : tokenToCssValue(token);
+
+    if (kind === 'colors') {
+      setNestedValue(theme.colors, name, value);
+    } else {
+      theme[kind][name] = value;
     }
   }
 
@@ -119,7 +117,13 @@ module.exports = {
   
   // Numeric keys should already have quotes from JSON.stringify, keep them
 
-  return `/** @type {import('tailwindcss').Config} */
+  return `/**
+ * Tailwind CSS v3 preset
+ * Usage in tailwind.config.js: presets: [require('./dist/tailwind.config.js')]
+ * Load tokens.css as well; values are CSS variables, so data-theme and
+ * data-mode switch themes and modes.
+ */
+/** @type {import('tailwindcss').Config} */
 module.exports = {
   theme: {
     extend: ${themeStr}
@@ -127,6 +131,201 @@ module.exports = {
 }`;
 }
 
+/**
+ * Generate a Tailwind v4 CSS-first theme from themes
+ * The default theme (or the first one) fills `@theme`, so Tailwind creates
+ * utilities for every token (bg-primary-500, p-md, text-heading, …). Other
+ * themes and non-default modes override the same theme variables under
+ * `[data-theme]` / `[data-mode]`, and utilities switch with them.
+ * @param {Array} themes - Array of theme objects with tokens, slug, is_default and modes
+ * @param {Object} options - Generation options
+ * @param {string} options.prefix - Prefix for token names (default: '')
+ * @param {boolean} options.outputReferences - Emit alias tokens as var(--target) instead of resolved values (default: false)
+ * @returns {string} - CSS to import after tailwindcss
+ */
+export function generateTailwindV4(themes, options = {}) {
+  const { prefix = '', outputReferences = false } = options;
+  const date = new Date().toISOString().split('T')[0];
+
+  let css = `/**
+ * Tailwind CSS v4 theme
+ * Usage: @import "tailwindcss"; @import "./tailwind.css";
+ * Generated: ${date}
+ */
+`;
+
+  const list = (themes || []).filter(Boolean);
+  const base = list.find(theme => theme.is_default) || list[0];
+  if (!base) return `${css}\n@theme {\n}\n`;
+
+  for (const theme of [base, ...list.filter(t => t !== base)]) {
+    const selector = theme === base ? null : `[data-theme="${theme.slug}"]`;
+    const declarations = tailwindVariables(theme.tokens || [], { prefix, outputReferences });
+    css += `\n${selector || '@theme'} {\n${formatDeclarations(declarations)}}\n`;
+
+    const modes = getThemeModes(theme);
+    for (const mode of modes.slice(1)) {
+      let overrides = getModeOverrideTokens(theme.tokens || [], mode, modes[0]);
+      // With references, aliases follow their target through var() already
+      if (outputReferences) {
+        overrides = overrides.filter(token => !isAliasToken(token));
+      }
+      const modeDeclarations = tailwindVariables(overrides, { prefix });
+      if (modeDeclarations.length === 0) continue;
+
+      const body = formatDeclarations(modeDeclarations);
+      css += `\n${selector ? `${selector}[data-mode="${mode}"]` : `[data-mode="${mode}"]`} {\n${body}}\n`;
+
+      const query = getModeMediaQuery(mode);
+      if (query && query !== getModeMediaQuery(modes[0])) {
+        const fallback = selector ? `${selector}:not([data-mode])` : ':root:not([data-mode])';
+        css += `\n@media ${query} {\n  ${fallback} {\n${body.replace(/^/gm, '  ')}  }\n}\n`;
+      }
+    }
+  }
+
+  return css;
+}
+
+/**
+ * Tailwind theme key (v3) for a token, or null when it has no place in the theme
+ * Typography is classified by token type first, then by a path segment that
+ * names the property (e.g. "Typography/FontSize/base"), and composite
+ * typography tokens become font-size tuples.
+ * @param {Object} token - Token object
+ * @returns {string|null} - 'colors' | 'spacing' | 'fontSize' | 'fontWeight' | 'fontFamily' | 'borderRadius' | 'boxShadow' | 'screens' | 'composite'
+ */
+function classifyToken(token) {
+  switch (token.category) {
+    case 'color':
+      return 'colors';
+    case 'spacing':
+      return 'spacing';
+    case 'radius':
+      return 'borderRadius';
+    case 'shadow':
+      return 'boxShadow';
+    case 'grid': {
+      const gridPathLower = (token.path || '').toLowerCase();
+      return gridPathLower.includes('breakpoint') || gridPathLower.includes('screen') ? 'screens' : null;
+    }
+    case 'typography': {
+      if (isCompositeTypographyToken(token)) return 'composite';
+      if (token.type === 'fontFamily') return 'fontFamily';
+      if (token.type === 'fontWeight') return 'fontWeight';
+      if (token.type === 'fontSize' || token.type === 'dimension') return 'fontSize';
+
+      const segments = (token.path || '').toLowerCase().split('/').map(part => part.replace(/[\s_-]/g, ''));
+      if (segments.some(part => ['fontsize', 'size', 'sizes'].includes(part))) return 'fontSize';
+      if (segments.some(part => ['fontweight', 'weight', 'weights'].includes(part))) return 'fontWeight';
+      if (segments.some(part => ['fontfamily', 'family', 'families'].includes(part))) return 'fontFamily';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Values of a composite typography token, as CSS variables or direct values
+ * @param {Object} token - Composite typography token
+ * @param {boolean} useCSSVariables - Reference the expanded variables from tokens.css
+ * @returns {{ size?: string, lineHeight?: string, letterSpacing?: string, fontWeight?: string, family?: string }}
+ */
+function compositeParts(token, useCSSVariables) {
+  const variables = expandCompositeTypographyToken(token);
+  const part = (suffix) => {
+    const name = `${token.css_variable}-${suffix}`;
+    if (!(name in variables)) return undefined;
+    return useCSSVariables ? `var(${name})` : variables[name];
+  };
+
+  return {
+    size: part('size'),
+    lineHeight: part('line-height'),
+    letterSpacing: part('letter-spacing'),
+    fontWeight: part('weight'),
+    // The font stack is always literal (Tailwind needs the list of names)
+    family: variables[`${token.css_variable}-family`],
+  };
+}
+
+/**
+ * Split a CSS font stack into a list of family names
+ * @param {*} value - Font stack string or value
+ * @returns {Array<string>}
+ */
+function toFontFamilyList(value) {
+  if (Array.isArray(value)) return value;
+  const stack = String(value);
+  return stack.includes(',')
+    ? stack.split(',').map(f => f.trim().replace(/^["']|["']$/g, ''))
+    : [stack.replace(/^["']|["']$/g, '')];
+}
+
+/** Tailwind v4 theme variable namespace per theme key */
+const V4_NAMESPACES = {
+  colors: 'color',
+  spacing: 'spacing',
+  fontSize: 'text',
+  fontWeight: 'font-weight',
+  fontFamily: 'font',
+  borderRadius: 'radius',
+  boxShadow: 'shadow',
+  screens: 'breakpoint',
+};
+
+/**
+ * Tailwind v4 theme variables for tokens
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options
+ * @param {string} options.prefix - Prefix for token names
+ * @param {boolean} options.outputReferences - Emit alias tokens as var(--target theme variable)
+ * @returns {Array<[string, string]>} - [variable, value] pairs
+ */
+function tailwindVariables(tokens, { prefix = '', outputReferences = false } = {}) {
+  const index = buildTokenIndex(tokens);
+  const variableName = (token, kind) =>
+    `--${V4_NAMESPACES[kind]}-${tokenNameToTailwind(token.path || token.name, prefix)}`;
+
+  const declarations = [];
+  for (const token of resolveTokenAliases(tokens).tokens) {
+    const kind = classifyToken(token);
+    if (!kind) continue;
+
+    if (kind === 'composite') {
+      const parts = compositeParts(token, false);
+      const name = variableName(token, 'fontSize');
+      if (parts.size) {
+        declarations.push([name, parts.size]);
+        if (parts.lineHeight !== undefined) declarations.push([`${name}--line-height`, parts.lineHeight]);
+        if (parts.letterSpacing !== undefined) declarations.push([`${name}--letter-spacing`, parts.letterSpacing]);
+        if (parts.fontWeight !== undefined) declarations.push([`${name}--font-weight`, parts.fontWeight]);
+      }
+      if (parts.family) declarations.push([variableName(token, 'fontFamily'), parts.family]);
+      continue;
+    }
+
+    const target = outputReferences && isAliasToken(token) ? findAliasTarget(index, token.alias_path, token.alias_scope) : null;
+    const targetKind = target && classifyToken(target);
+    const value = targetKind && targetKind !== 'composite'
+      ? `var(${variableName(target, targetKind)})`
+      : tokenToCssValue(token);
+    declarations.push([variableName(token, kind), value]);
+  }
+
+  return declarations;
+}
+
+/**
+ * Format declarations as indented CSS lines
+ * @param {Array<[string, string]>} declarations - [variable, value] pairs
+ * @returns {string}
+ */
+function formatDeclarations(declarations) {
+  return declarations.map(([name, value]) => `  ${name}: ${value};\n`).join('');
+}
+
 /**
  * Convert token name/path to Tailwind-friendly name
  * Extracts the meaningful parts from the path (e.g., "Color/Primary/500" -> "primary-500")
@@ -134,7 +333,7 @@ module.exports = {
  * @param {string} prefix - Optional prefix
  * @returns {string} - Tailwind-friendly name
  */
-function tokenNameToTailwind(name, prefix) {
+export function tokenNameToTailwind(name, prefix) {
   if (!name) return '';
   
   // Split by / or - and get meaningful parts
@@ -0,0 +1,176 @@
+/**
+ * TypeScript Types Generator
+ *
+ * Generates TypeScript for consumers of the export:
+ * - Tokens: a `TokenPath` union of every token path, a typed `tokens` object
+ *   (path → CSS value) and a `cssVar(path)` helper returning `var(--…)`
+ * - Components: a `ButtonProps`-style interface per component from its
+ *   `props` definitions (types, required flags, descriptions and defaults)
+ *
+ * Composite typography tokens have no single CSS value, so they are expanded
+ * into one path per CSS variable (e.g. `typography/heading/size`), matching
+ * the variables the CSS generator emits.
+ */
+
+import { tokenToCssValue, isCompositeTypographyToken, expandCompositeTypographyToken } from '../../lib/cssVariableInjector.js';
+import { resolveTokenAliases } from '../../lib/tokenAliases.js';
+
+/**
+ * PascalCase identifier for a component (export and interface name prefix)
+ * @param {string} name - Component name
+ * @returns {string}
+ */
+export function toComponentName(name) {
+  const pascal = String(name || '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  if (!pascal) return 'Component';
+  return /^[0-9]/.test(pascal) ? `Component${pascal}` : pascal;
+}
+
+/**
+ * Property key, quoted when it is not a valid identifier
+ * @param {string} name - Key
+ * @returns {string}
+ */
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Path → CSS variable and value for each token, in token order.
+ * The first token with a path wins when several themes share it.
+ * @param {Array} tokens - Token objects
+ * @returns {Array<{ path: string, cssVariable: string, value: string }>}
+ */
+function collectTokenEntries(tokens) {
+  const entries = new Map();
+  const add = (path, cssVariable, value) => {
+    if (!entries.has(path)) entries.set(path, { path, cssVariable, value: String(value) });
+  };
+
+  for (const token of resolveTokenAliases(tokens || []).tokens) {
+    if (!token.path || !token.css_variable) continue;
+
+    if (isCompositeTypographyToken(token)) {
+      for (const [cssVariable, value] of Object.entries(expandCompositeTypographyToken(token))) {
+        add(`${token.path}/${cssVariable.slice(token.css_variable.length + 1)}`, cssVariable, value);
+      }
+    } else {
+      add(token.path, token.css_variable, tokenToCssValue(token));
+    }
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Generate the token types module
+ * @param {Array} tokens - Array of token objects
+ * @param {Object} options - Generation options
+ * @param {boolean} options.declaration - Emit a .d.ts (declarations only) instead of a .ts module (default: false)
+ * @returns {string} - TypeScript source
+ */
+export function generateTokenTypes(tokens, options = {}) {
+  const { declaration = false } = options;
+  const entries = collectTokenEntries(tokens);
+
+  const union = entries.length
+    ? entries.map(entry => `\n  | ${JSON.stringify(entry.path)}`).join('')
+    : ' never';
+
+  const date = new Date().toISOString().split('T')[0];
+  let ts = `/**\n * Design System Token Types\n * Generated: ${date}\n */\n\n`;
+  ts += `/** Every token path in the design system */\nexport type TokenPath =${union};\n\n`;
+
+  if (declaration) {
+    ts += `/** CSS value of each token */\nexport declare const tokens: { readonly [P in TokenPath]: string };\n\n`;
+    ts += `/** CSS variable name of each token */\nexport declare const cssVariables: { readonly [P in TokenPath]: string };\n\n`;
+    ts += `/** \`var(--…)\` reference for a token, with an optional fallback */\nexport declare function cssVar(path: TokenPath, fallback?: string): string;\n`;
+    return ts;
+  }
+
+  const map = (key) => entries.map(entry => `\n  ${JSON.stringify(entry.path)}: ${JSON.stringify(entry[key])},`).join('');
+
+  ts += `/** CSS value of each token */\nexport const tokens: { readonly [P in TokenPath]: string } = {${map('value')}\n};\n\n`;
+  ts += `/** CSS variable name of each token */\nexport const cssVariables: { readonly [P in TokenPath]: string } = {${map('cssVariable')}\n};\n\n`;
+  ts += `/** \`var(--…)\` reference for a token, with an optional fallback */
+export function cssVar(path: TokenPath, fallback?: string): string {
+  const name = cssVariables[path];
+  return fallback === undefined ? \`var(\${name})\` : \`var(\${name}, \${fallback})\`;
+}
+`;
+  return ts;
+}
+
+/**
+ * TypeScript type for a prop definition
+ * @param {Object} prop - Prop definition (type, options)
+ * @returns {string}
+ */
+function propTsType(prop) {
+  switch (prop.type) {
+    case 'string':
+    case 'icon':
+      return 'string';
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'enum':
+      return prop.options?.length
+        ? prop.options.map(option => JSON.stringify(String(option))).join(' | ')
+        : 'string';
+    case 'ReactNode':
+    case 'node':
+      return 'React.ReactNode';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Generate the props interface for a component
+ * @param {Object} component - Component with props
+ * @param {string} name - Component name used as the interface prefix
+ * @returns {string} - `export interface <name>Props { … }`
+ */
+export function generatePropsInterface(component, name) {
+  const members = (component.props || []).filter(prop => prop?.name).map(prop => {
+    const docs = [prop.description, prop.default !== undefined && prop.default !== '' ? `@default ${prop.default}` : '']
+      .filter(Boolean);
+    const comment = docs.length ? `  /** ${docs.join(' — ')} */\n` : '';
+    return `${comment}  ${propertyKey(prop.name)}${prop.required ? '' : '?'}: ${propTsType(prop)};`;
+  });
+
+  return `export interface ${name}Props {\n${members.join('\n')}${members.length ? '\n' : ''}}\n`;
+}
+
+/**
+ * Generate a module with the props interface of every component
+ * @param {Array} components - Components with name, description, props
+ * @returns {string} - TypeScript source
+ */
+export function generateComponentPropTypes(components) {
+  const usedNames = new Set();
+  const interfaces = (components || []).map(component => {
+    let name = toComponentName(component.name);
+    while (usedNames.has(name)) name = `${name}_`;
+    usedNames.add(name);
+
+    const doc = component.description ? `/** ${component.description} */\n` : '';
+    return `${doc}${generatePropsInterface(component, name)}`;
+  });
+
+  const date = new Date().toISOString().split('T')[0];
+  return `/**\n * Component Prop Types\n * Generated: ${date}\n */\n\nimport type * as React from 'react';\n\n${interfaces.join('\n')}`;
+}
+
+export default {
+  generateTokenTypes,
+  generatePropsInterface,
+  generateComponentPropTypes,
+  toComponentName,
+};
@@ -0,0 +1,100 @@
+/**
+ * QA Allowlist Service
+ *
+ * Per-site list of deviations accepted as intentional during issue triage.
+ * Entries are keyed by site (host of the captured URL) and issue fingerprint;
+ * analysis passes a site's fingerprints to the issue generator so accepted
+ * deviations are suppressed in later runs.
+ */
+
+import { supabase } from '../lib/supabase';
+import { issueFingerprint } from '../lib/qa/issues/issueGenerator';
+
+export const qaAllowlistService = {
+  /**
+   * List a site's allowlisted deviations, newest first
+   * @param {string} site - Site key (host)
+   * @returns {Promise<Array>} - qa_allowlist rows
+   */
+  async getEntries(site) {
+    const { data, error } = await supabase
+      .from('qa_allowlist')
+      .select('*')
+      .eq('site', site)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Fingerprints to suppress for a site
+   * @param {string|null} site - Site key (host)
+   * @returns {Promise<string[]>}
+   */
+  async getFingerprints(site) {
+    if (!site) return [];
+    const entries = await this.getEntries(site);
+    return entries.map(entry => entry.fingerprint);
+  },
+
+  /**
+   * Accept an issue's deviation for a site (updates the notes if already listed)
+   * @param {string} site - Site key (host)
+   * @param {Object} issue - Issue
+   * @param {string} [notes] - Why the deviation is intentional
+   * @returns {Promise<Object>} - qa_allowlist row
+   */
+  async addIssue(site, issue, notes = null) {
+    const { data, error } = await supabase
+      .from('qa_allowlist')
+      .upsert(
+        {
+          site,
+          fingerprint: issueFingerprint(issue),
+          type: issue.type,
+          value: issue.source.value,
+          property: issue.property || null,
+          notes: notes || null,
+        },
+        { onConflict: 'site,fingerprint' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Remove an issue's deviation from a site's allowlist
+   * @param {string} site - Site key (host)
+   * @param {Object} issue - Issue
+   * @returns {Promise<void>}
+   */
+  async removeIssue(site, issue) {
+    const { error } = await supabase
+      .from('qa_allowlist')
+      .delete()
+      .eq('site', site)
+      .eq('fingerprint', issueFingerprint(issue));
+
+    if (error) throw error;
+  },
+
+  /**
+   * Delete an allowlist entry
+   * @param {string} id - Entry UUID
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(id) {
+    const { error } = await supabase
+      .from('qa_allowlist')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+};
+
+export default qaAllowlistService;
@@ -0,0 +1,407 @@
+/**
+ * QA Run Service
+ *
+ * Persists Visual QA sessions: the captured asset (screenshot in the
+ * qa-captures bucket), extraction results, generated issues and the theme
+ * they were matched against. Runs of the same URL can be compared to see
+ * which issues are new, resolved or unchanged.
+ */
+
+import { supabase } from '../lib/supabase';
+import { issueFingerprint } from '../lib/qa/issues/issueGenerator';
+
+export { issueFingerprint };
+
+const BUCKET = 'qa-captures';
+
+// Columns for history lists (without the asset / extraction payloads)
+const SUMMARY_COLUMNS =
+  'id, theme_id, input_type, source_url, name, image_path, image_width, image_height, issue_count, fail_count, warn_count, coverage_score, captured_at, created_at, themes(name)';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+/**
+ * Convert an issue to a qa_run_issues row
+ * @param {Object} issue - Issue
+ * @param {string} runId - Run UUID
+ * @returns {Object}
+ */
+export function issueToRow(issue, runId) {
+  return {
+    run_id: runId,
+    number: issue.number,
+    fingerprint: issueFingerprint(issue),
+    type: issue.type,
+    status: issue.status,
+    property: issue.property || null,
+    message: issue.message,
+    source: issue.source,
+    suggestion: issue.suggestion || null,
+    marker: issue.marker,
+    bounds: issue.bounds,
+    ...triageToColumns(issue.triage),
+  };
+}
+
+/**
+ * Triage data as qa_run_issues columns
+ * @param {Object} [triage] - { state, assignee, notes, updatedAt }
+ * @returns {Object}
+ */
+export function triageToColumns(triage) {
+  return {
+    triage_state: triage?.state || 'open',
+    assignee: triage?.assignee || null,
+    notes: triage?.notes || null,
+    triaged_at: triage?.updatedAt || null,
+  };
+}
+
+/**
+ * Convert a qa_run_issues row back to an issue
+ * @param {Object} row - qa_run_issues row
+ * @returns {Object} - Issue
+ */
+export function rowToIssue(row) {
+  const isTriaged = (row.triage_state && row.triage_state !== 'open') || row.assignee || row.notes;
+  return {
+    id: `issue-${row.number}`,
+    number: row.number,
+    type: row.type,
+    status: row.status,
+    ...(row.property && { property: row.property }),
+    message: row.message,
+    marker: row.marker,
+    bounds: row.bounds,
+    source: row.source,
+    ...(row.suggestion && { suggestion: row.suggestion }),
+    ...(isTriaged && {
+      triage: {
+        state: row.triage_state || 'open',
+        ...(row.assignee && { assignee: row.assignee }),
+        ...(row.notes && { notes: row.notes }),
+        ...(row.triaged_at && { updatedAt: row.triaged_at }),
+      },
+    }),
+  };
+}
+
+/**
+ * Compare the issues of two runs. Issues with the same fingerprint are paired
+ * up (nearest marker first when a fingerprint occurs more than once).
+ * @param {Array} previousIssues - Issues of the earlier run
+ * @param {Array} currentIssues - Issues of the later run
+ * @returns {{ new: Array, resolved: Array, unchanged: Array }}
+ */
+export function compareIssues(previousIssues = [], currentIssues = []) {
+  const remaining = new Map();
+  for (const issue of previousIssues) {
+    const key = issueFingerprint(issue);
+    remaining.set(key, [...(remaining.get(key) || []), issue]);
+  }
+
+  const result = { new: [], resolved: [], unchanged: [] };
+
+  for (const issue of currentIssues) {
+    const candidates = remaining.get(issueFingerprint(issue));
+    if (!candidates?.length) {
+      result.new.push(issue);
+      continue;
+    }
+
+    const distance = (other) =>
+      Math.hypot(other.marker.x - issue.marker.x, other.marker.y - issue.marker.y);
+    const nearest = candidates.reduce((best, other) => (distance(other) < distance(best) ? other : best));
+    candidates.splice(candidates.indexOf(nearest), 1);
+    result.unchanged.push(issue);
+  }
+
+  for (const candidates of remaining.values()) {
+    result.resolved.push(...candidates);
+  }
+
+  return result;
+}
+
+/**
+ * Build the qa_runs row for a captured asset (screenshot path is added on save)
+ * @param {Object} asset - CapturedAsset
+ * @param {Object} options
+ * @param {string|null} options.themeId - Theme the run was matched against
+ * @param {Object} options.extraction - { colors, fonts, boxStyles }
+ * @param {Array} options.issues - Generated issues
+ * @param {Object} [options.coverage] - Token coverage report
+ * @returns {Object}
+ */
+export function buildRunRecord(asset, { themeId, extraction, issues, coverage }) {
+  const sourceUrl = asset.inputType === 'url' ? asset.metadata?.source || null : null;
+
+  return {
+    theme_id: themeId || null,
+    input_type: asset.inputType,
+    source_url: sourceUrl,
+    name: asset.metadata?.name || sourceUrl || null,
+    image_width: asset.image?.width || null,
+    image_height: asset.image?.height || null,
+    asset: {
+      ...(asset.domElements && { domElements: asset.domElements }),
+      ...(asset.figmaNodes && { figmaNodes: asset.figmaNodes }),
+      ...(asset.metadata && { metadata: asset.metadata }),
+    },
+    extraction: {
+      colors: extraction?.colors || [],
+      fonts: extraction?.fonts || [],
+      boxStyles: extraction?.boxStyles || [],
+    },
+    issue_count: issues.length,
+    fail_count: issues.filter(i => i.status === 'fail').length,
+    warn_count: issues.filter(i => i.status === 'warn').length,
+    coverage: coverage || null,
+    coverage_score: coverage?.score ?? null,
+    captured_at: new Date(asset.capturedAt || Date.now()).toISOString(),
+  };
+}
+
+/**
+ * Turn a saved run back into a CapturedAsset for the viewer
+ * @param {Object} run - Run with asset payload
+ * @param {string|null} imageUrl - Public URL of the saved screenshot
+ * @returns {Object} - CapturedAsset
+ */
+export function runToAsset(run, imageUrl) {
+  return {
+    id: run.id,
+    inputType: run.input_type,
+    image: {
+      url: imageUrl,
+      width: run.image_width || 0,
+      height: run.image_height || 0,
+    },
+    ...(run.asset?.domElements && { domElements: run.asset.domElements }),
+    ...(run.asset?.figmaNodes && { figmaNodes: run.asset.figmaNodes }),
+    metadata: {
+      ...(run.asset?.metadata || {}),
+      ...(run.source_url && { source: run.source_url }),
+    },
+    capturedAt: new Date(run.captured_at || run.created_at),
+  };
+}
+
+export const qaRunService = {
+  /**
+   * Save a QA run with its screenshot and issues
+   * @param {Object} params
+   * @param {Object} params.asset - CapturedAsset
+   * @param {string|null} params.themeId - Theme used for matching
+   * @param {Object} params.extraction - { colors, fonts, boxStyles }
+   * @param {Array} params.issues - Generated issues
+   * @param {Object} [params.coverage] - Token coverage report
+   * @returns {Promise<Object>} - Saved run with `issues`
+   */
+  async saveRun({ asset, themeId, extraction, issues, coverage }) {
+    const record = buildRunRecord(asset, { themeId, extraction, issues, coverage });
+
+    if (asset.image?.blob) {
+      const extension = IMAGE_EXTENSIONS[asset.image.blob.type] || 'png';
+      const imagePath = `runs/${asset.id}.${extension}`;
+      const { error: uploadError } = await supabase.storage
+        .from(BUCKET)
+        .upload(imagePath, asset.image.blob, {
+          contentType: asset.image.blob.type || 'image/png',
+          upsert: true,
+        });
+
+      if (uploadError) throw uploadError;
+      record.image_path = imagePath;
+    }
+
+    const { data: run, error } = await supabase
+      .from('qa_runs')
+      .insert(record)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (issues.length) {
+      const { error: issuesError } = await supabase
+        .from('qa_run_issues')
+        .insert(issues.map(issue => issueToRow(issue, run.id)));
+
+      if (issuesError) throw issuesError;
+    }
+
+    return { ...run, issues };
+  },
+
+  /**
+   * List saved runs, newest first (without asset / extraction payloads)
+   * @param {Object} [options]
+   * @param {string} [options.sourceUrl] - Only runs of this URL
+   * @param {number} [options.limit=50]
+   * @returns {Promise<Array>}
+   */
+  async getRuns({ sourceUrl, limit = 50 } = {}) {
+    let query = supabase
+      .from('qa_runs')
+      .select(SUMMARY_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (sourceUrl) {
+      query = query.eq('source_url', sourceUrl);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Coverage scores of a URL's runs, oldest first, for the trend line
+   * @param {string} sourceUrl - Captured URL
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Most recent runs to include
+   * @returns {Promise<Array<{ id: string, coverage_score: number, created_at: string }>>}
+   */
+  async getCoverageHistory(sourceUrl, { limit = 20 } = {}) {
+    const { data, error } = await supabase
+      .from('qa_runs')
+      .select('id, coverage_score, created_at')
+      .eq('source_url', sourceUrl)
+      .not('coverage_score', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return [...data].reverse().map(run => ({ ...run, coverage_score: Number(run.coverage_score) }));
+  },
+
+  /**
+   * Get a run with its asset, extraction results and issues
+   * @param {string} id - Run UUID
+   * @returns {Promise<Object|null>} - Run with `issues`, or null if not found
+   */
+  async getRun(id) {
+    const { data, error } = await supabase
+      .from('qa_runs')
+      .select('*, qa_run_issues(*)')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+
+    const { qa_run_issues: rows = [], ...run } = data;
+    return {
+      ...run,
+      issues: [...rows].sort((a, b) => a.number - b.number).map(rowToIssue),
+    };
+  },
+
+  /**
+   * Get the run of the same URL that came before a run
+   * @param {Object} run - Run (needs source_url and created_at)
+   * @returns {Promise<Object|null>} - Previous run with `issues`, or null
+   */
+  async getPreviousRun(run) {
+    if (!run?.source_url) return null;
+
+    const { data, error } = await supabase
+      .from('qa_runs')
+      .select('id')
+      .eq('source_url', run.source_url)
+      .lt('created_at', run.created_at)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data?.length) return null;
+    return this.getRun(data[0].id);
+  },
+
+  /**
+   * Compare a run's issues with the previous run of the same URL
+   * @param {Object} run - Run with `issues`
+   * @returns {Promise<Object|null>} - { previousRun: { id, created_at }, new, resolved, unchanged }
+   */
+  async compareWithPrevious(run) {
+    const previous = await this.getPreviousRun(run);
+    if (!previous) return null;
+
+    return {
+      previousRun: { id: previous.id, created_at: previous.created_at },
+      ...compareIssues(previous.issues, run.issues),
+    };
+  },
+
+  /**
+   * Save the triage state, assignee and notes of a run's issue
+   * @param {string} runId - Run UUID
+   * @param {number} number - Issue number within the run
+   * @param {Object} triage - { state, assignee, notes, updatedAt }
+   * @returns {Promise<Object>} - Updated qa_run_issues row
+   */
+  async updateIssueTriage(runId, number, triage) {
+    const { data, error } = await supabase
+      .from('qa_run_issues')
+      .update(triageToColumns(triage))
+      .eq('run_id', runId)
+      .eq('number', number)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Public URL of a run's saved screenshot
+   * @param {string|null} imagePath - Path in the qa-captures bucket
+   * @returns {string|null}
+   */
+  getImageUrl(imagePath) {
+    if (!imagePath) return null;
+    const { data } = supabase.storage.from(BUCKET).getPublicUrl(imagePath);
+    return data.publicUrl;
+  },
+
+  /**
+   * Delete a run, its issues and its screenshot
+   * @param {string} id - Run UUID
+   * @returns {Promise<void>}
+   */
+  async deleteRun(id) {
+    const { data: run, error: fetchError } = await supabase
+      .from('qa_runs')
+      .select('image_path')
+      .eq('id', id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (run.image_path) {
+      const { error: storageError } = await supabase.storage
+        .from(BUCKET)
+        .remove([run.image_path]);
+
+      if (storageError) throw storageError;
+    }
+
+    const { error } = await supabase
+      .from('qa_runs')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+};
+
+export default qaRunService;
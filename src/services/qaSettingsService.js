@@ -0,0 +1,47 @@
+/**
+ * QA Settings Service
+ *
+ * Reads and saves the Visual QA matching settings stored on a theme
+ * (themes.qa_settings). Settings are normalized on the way in and out, so
+ * callers always get a complete settings object.
+ */
+
+import { supabase } from '../lib/supabase';
+import { normalizeQASettings } from '../lib/qa/qaSettings';
+
+export const qaSettingsService = {
+  /**
+   * Get a theme's QA settings
+   * @param {string} themeId - Theme UUID
+   * @returns {Promise<Object>} - Complete QA settings (defaults when none are saved)
+   */
+  async getSettings(themeId) {
+    const { data, error } = await supabase
+      .from('themes')
+      .select('qa_settings')
+      .eq('id', themeId)
+      .single();
+
+    if (error) throw error;
+    return normalizeQASettings(data?.qa_settings);
+  },
+
+  /**
+   * Save a theme's QA settings
+   * @param {string} themeId - Theme UUID
+   * @param {Object} settings - Settings (missing fields use the defaults)
+   * @returns {Promise<Object>} - Saved settings
+   */
+  async saveSettings(themeId, settings) {
+    const qaSettings = normalizeQASettings(settings);
+    const { error } = await supabase
+      .from('themes')
+      .update({ qa_settings: qaSettings })
+      .eq('id', themeId);
+
+    if (error) throw error;
+    return qaSettings;
+  },
+};
+
+export default qaSettingsService;
@@ -0,0 +1,97 @@
+/**
+ * Release Service
+ *
+ * Semver releases of the export package. A release stores the generated
+ * files (so it can be downloaded again), the manifest the next release is
+ * diffed against, and its classified changes for CHANGELOG.md.
+ */
+
+import { supabase } from '../lib/supabase';
+
+// Columns for release lists (without the files and manifest payloads)
+const LIST_COLUMNS = 'id, version, level, notes, project_name, changes, file_count, created_at';
+
+export const releaseService = {
+  /**
+   * List a project's releases, newest first (without files and manifest)
+   * @param {string} projectName - Package project name
+   * @returns {Promise<Array>} - Release rows { id, version, level, notes, project_name, changes, file_count, created_at }
+   */
+  async getReleases(projectName) {
+    const { data, error } = await supabase
+      .from('releases')
+      .select(LIST_COLUMNS)
+      .eq('project_name', projectName)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get a project's most recent release with its manifest
+   * @param {string} projectName - Package project name
+   * @returns {Promise<Object|null>} - Release row (without files), or null before the first release
+   */
+  async getLatestRelease(projectName) {
+    const { data, error } = await supabase
+      .from('releases')
+      .select(`${LIST_COLUMNS}, manifest`)
+      .eq('project_name', projectName)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  /**
+   * Get a single release with its files
+   * @param {string} id - Release UUID
+   * @returns {Promise<Object>} - Release row
+   */
+  async getRelease(id) {
+    const { data, error } = await supabase
+      .from('releases')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Record a release
+   * @param {Object} release
+   * @param {string} release.version - Semver version (unique per project)
+   * @param {string|null} release.level - Highest change level
+   * @param {string} [release.notes] - Optional release notes
+   * @param {string} release.projectName - Package project name
+   * @param {Array} release.changes - Changes from diffReleaseManifests
+   * @param {Object} release.manifest - Release manifest
+   * @param {Object} release.files - Generated files map
+   * @returns {Promise<Object>} - Created release row
+   */
+  async createRelease({ version, level, notes, projectName, changes, manifest, files }) {
+    const { data, error } = await supabase
+      .from('releases')
+      .insert({
+        version,
+        level: level || null,
+        notes: notes || null,
+        project_name: projectName,
+        changes: changes || [],
+        manifest,
+        files,
+        file_count: Object.keys(files || {}).length,
+      })
+      .select(LIST_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+};
+
+export default releaseService;
@@ -19,6 +19,11 @@ export interface DOMElement {
     fontFamily: string;
     fontSize: string;
     fontWeight: string;
+    padding?: string;
+    margin?: string;
+    gap?: string;
+    borderRadius?: string;
+    boxShadow?: string;
   };
   textContent: string;
 }
@@ -0,0 +1,241 @@
+/**
+ * Theme Snapshot Service
+ *
+ * Immutable theme versions taken on publish. Snapshots store the theme's
+ * tokens, typography roles and typeface metadata as JSON so they can be
+ * diffed, restored over the live rows, or exported instead of the live theme.
+ */
+
+import { supabase } from '../lib/supabase';
+import { isInherited, stripInheritanceFields } from '../lib/themeInheritance';
+
+// Row fields that belong to the live row, not to the snapshot content
+const ROW_ONLY_FIELDS = ['id', 'theme_id', 'created_at', 'updated_at'];
+
+/**
+ * Strip row identity fields from a record
+ * @param {Object} record - Token / typography role / typeface row
+ * @returns {Object}
+ */
+function stripRowFields(record) {
+  const copy = { ...record };
+  for (const field of ROW_ONLY_FIELDS) delete copy[field];
+  return copy;
+}
+
+/**
+ * Build the JSON stored in theme_snapshots.data from a full theme
+ * @param {Object} theme - Theme with tokens, typography_roles and typefaces
+ * @returns {Object} - Snapshot data
+ */
+export function buildSnapshotData(theme) {
+  return {
+    theme: {
+      name: theme.name,
+      slug: theme.slug,
+      description: theme.description ?? null,
+      source: theme.source,
+      ...(theme.modes && { modes: theme.modes }),
+    },
+    tokens: (theme.tokens || []).map(stripRowFields),
+    typography_roles: (theme.typography_roles || []).map(stripRowFields),
+    typefaces: (theme.typefaces || []).map(({ font_files, ...typeface }) => stripRowFields(typeface)),
+  };
+}
+
+/**
+ * Turn a snapshot into a theme-shaped object (same shape as themeService.getTheme)
+ * so generators and diffing can use it in place of the live theme.
+ * Live typefaces are kept when given, because snapshots do not copy font files.
+ * @param {Object} snapshot - Snapshot row (with data)
+ * @param {Object} [liveTheme] - Current theme row, for id/is_default/typefaces
+ * @returns {Object}
+ */
+export function snapshotToTheme(snapshot, liveTheme = null) {
+  const data = snapshot?.data || {};
+  return {
+    ...(liveTheme || {}),
+    ...data.theme,
+    id: snapshot.theme_id,
+    is_default: liveTheme?.is_default ?? false,
+    status: 'published',
+    snapshot_id: snapshot.id,
+    snapshot_version: snapshot.version,
+    tokens: data.tokens || [],
+    typography_roles: data.typography_roles || [],
+    typefaces: liveTheme?.typefaces || data.typefaces || [],
+  };
+}
+
+/**
+ * Fetch a theme's own rows from a table
+ * @param {string} table - 'tokens' or 'typography_roles'
+ * @param {string} themeId - Theme UUID
+ * @returns {Promise<Array>}
+ */
+async function getThemeRows(table, themeId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('theme_id', themeId);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Replace a theme's rows in a table
+ * @param {string} table - 'tokens' or 'typography_roles'
+ * @param {string} themeId - Theme UUID
+ * @param {Array} rows - Rows to write (theme_id is set here)
+ * @returns {Promise<void>}
+ */
+async function replaceThemeRows(table, themeId, rows) {
+  const { error: deleteError } = await supabase
+    .from(table)
+    .delete()
+    .eq('theme_id', themeId);
+  if (deleteError) throw deleteError;
+
+  if (rows.length) {
+    const { error } = await supabase
+      .from(table)
+      .insert(rows.map(row => ({ ...row, theme_id: themeId })));
+    if (error) throw error;
+  }
+}
+
+export const snapshotService = {
+  /**
+   * List snapshots for a theme, newest first (without the data payload)
+   * @param {string} themeId - Theme UUID
+   * @returns {Promise<Array>} - Snapshot rows { id, theme_id, version, note, token_count, created_at }
+   */
+  async getSnapshots(themeId) {
+    const { data, error } = await supabase
+      .from('theme_snapshots')
+      .select('id, theme_id, version, note, token_count, created_at')
+      .eq('theme_id', themeId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get a single snapshot with its data
+   * @param {string} id - Snapshot UUID
+   * @returns {Promise<Object>} - Snapshot row
+   */
+  async getSnapshot(id) {
+    const { data, error } = await supabase
+      .from('theme_snapshots')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get a snapshot as a theme object (for exports and diffing)
+   * @param {string} id - Snapshot UUID
+   * @returns {Promise<Object>} - Theme-shaped object with the snapshot's tokens
+   */
+  async getSnapshotTheme(id) {
+    const snapshot = await this.getSnapshot(id);
+
+    const { data: liveTheme, error } = await supabase
+      .from('themes')
+      .select('*, typefaces(*, font_files(*))')
+      .eq('id', snapshot.theme_id)
+      .single();
+
+    if (error) throw error;
+    return snapshotToTheme(snapshot, liveTheme);
+  },
+
+  /**
+   * Take a snapshot of a theme's current rows
+   * @param {Object} theme - Full theme (as returned by themeService.getTheme)
+   * @param {Object} [options]
+   * @param {string} [options.note] - Optional release note
+   * @returns {Promise<Object>} - Created snapshot row
+   */
+  async createSnapshot(theme, { note } = {}) {
+    const { data: latest, error: latestError } = await supabase
+      .from('theme_snapshots')
+      .select('version')
+      .eq('theme_id', theme.id)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (latestError) throw latestError;
+
+    const snapshotData = buildSnapshotData(theme);
+    const { data, error } = await supabase
+      .from('theme_snapshots')
+      .insert({
+        theme_id: theme.id,
+        version: (latest?.[0]?.version || 0) + 1,
+        note: note || null,
+        token_count: snapshotData.tokens.length,
+        data: snapshotData,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Replace a theme's tokens and typography roles with a snapshot's.
+   * Theme name, slug, status and typefaces are left as they are. For child
+   * themes only the snapshot's own rows are written back; inherited records
+   * keep resolving from the parent. If writing the rows fails, the live
+   * rows are written back before the error is rethrown.
+   * @param {string} id - Snapshot UUID
+   * @returns {Promise<Object>} - The restored snapshot row
+   */
+  async restoreSnapshot(id) {
+    const snapshot = await this.getSnapshot(id);
+    const themeId = snapshot.theme_id;
+    const data = snapshot.data || {};
+    const ownRows = (rows = []) => rows.filter(row => !isInherited(row)).map(stripInheritanceFields);
+    const tokens = ownRows(data.tokens);
+    const typographyRoles = ownRows(data.typography_roles);
+
+    // The two tables can't be replaced in one transaction from the client;
+    // keep the live rows so a failed restore can put them back
+    const liveTokens = await getThemeRows('tokens', themeId);
+    const liveRoles = await getThemeRows('typography_roles', themeId);
+
+    try {
+      await replaceThemeRows('tokens', themeId, tokens);
+      await replaceThemeRows('typography_roles', themeId, typographyRoles);
+    } catch (error) {
+      try {
+        await replaceThemeRows('tokens', themeId, liveTokens);
+        await replaceThemeRows('typography_roles', themeId, liveRoles);
+      } catch (rollbackError) {
+        console.error('Failed to put back the live rows after a failed restore:', rollbackError);
+      }
+      throw error;
+    }
+
+    const themeUpdates = {
+      description: data.theme?.description ?? null,
+      ...(data.theme?.modes && { modes: data.theme.modes }),
+    };
+    const { error: themeError } = await supabase
+      .from('themes')
+      .update(themeUpdates)
+      .eq('id', themeId);
+    if (themeError) throw themeError;
+
+    return snapshot;
+  },
+};
+
+export default snapshotService;
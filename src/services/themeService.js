@@ -3,9 +3,13 @@
  * 
  * Service layer for theme CRUD operations.
  * Handles themes with related tokens, typefaces, and typography roles.
+ * Child themes (parent_theme_id) are returned with their parent chain merged in.
  */
 
 import { supabase } from '../lib/supabase';
+import { snapshotService } from './snapshotService';
+import { mergeThemeChain, isInherited, MAX_INHERITANCE_DEPTH } from '../lib/themeInheritance';
+import { assertThemeContrast, normalizeContrastPairs } from '../lib/contrastAudit';
 
 /**
  * Generate URL-friendly slug from name
@@ -19,6 +23,39 @@ function generateSlug(name) {
     .replace(/^-|-$/g, '');
 }
 
+/**
+ * Merge a theme's parent chain into its tokens, typography roles and typefaces
+ * @param {Object} theme - Theme row with its own relations
+ * @returns {Promise<Object>} - Effective theme (unchanged when it has no parent)
+ */
+async function withInheritance(theme) {
+  if (!theme?.parent_theme_id) return theme;
+
+  const ancestors = [];
+  const seen = new Set([theme.id]);
+  let parentId = theme.parent_theme_id;
+
+  while (parentId && !seen.has(parentId) && ancestors.length < MAX_INHERITANCE_DEPTH) {
+    seen.add(parentId);
+    const { data, error } = await supabase
+      .from('themes')
+      .select(`
+        *,
+        tokens(*),
+        typefaces(*, font_files(*)),
+        typography_roles(*)
+      `)
+      .eq('id', parentId)
+      .single();
+
+    if (error) throw error;
+    ancestors.push(data);
+    parentId = data.parent_theme_id;
+  }
+
+  return mergeThemeChain(theme, ancestors);
+}
+
 export const themeService = {
   /**
    * Get all themes with token counts and color preview tokens
@@ -68,7 +105,7 @@ export const themeService = {
   /**
    * Get single theme with all related data
    * @param {string} id - Theme UUID
-   * @returns {Promise<Object>} - Theme with tokens, typefaces, and typography roles
+   * @returns {Promise<Object>} - Theme with tokens, typefaces, and typography roles (merged with the parent chain)
    */
   async getTheme(id) {
     const { data, error } = await supabase
@@ -83,7 +120,7 @@ export const themeService = {
       .single();
     
     if (error) throw error;
-    return data;
+    return withInheritance(data);
   },
 
   /**
@@ -104,7 +141,7 @@ export const themeService = {
       .single();
     
     if (error) throw error;
-    return data;
+    return withInheritance(data);
   },
 
   /**
@@ -126,7 +163,7 @@ export const themeService = {
     // Return null if no default theme (not an error condition)
     if (error?.code === 'PGRST116') return null;
     if (error) throw error;
-    return data;
+    return withInheritance(data);
   },
 
   /**
@@ -136,9 +173,12 @@ export const themeService = {
    * @param {string} [params.description] - Theme description
    * @param {string} [params.source='manual'] - Theme source (manual, figma, import)
    * @param {string} [params.figma_file_key] - Figma file key if source is 'figma'
+   * @param {string[]} [params.modes] - Mode slugs, default mode first (DB default: ['light'])
+   * @param {string} [params.parent_theme_id] - Parent theme to inherit tokens from
+   * @param {Array} [params.contrast_pairs] - Declared contrast audit pairs
    * @returns {Promise<Object>} - Created theme
    */
-  async createTheme({ name, description, source = 'manual', figma_file_key }) {
+  async createTheme({ name, description, source = 'manual', figma_file_key, modes, parent_theme_id, contrast_pairs }) {
     const slug = generateSlug(name);
     
     const { data, error } = await supabase
@@ -149,6 +189,9 @@ export const themeService = {
         description, 
         source,
         figma_file_key,
+        ...(modes?.length && { modes }),
+        ...(parent_theme_id && { parent_theme_id }),
+        ...(contrast_pairs?.length && { contrast_pairs }),
         status: 'draft'
       })
       .select()
@@ -236,18 +279,28 @@ export const themeService = {
     const newTheme = await this.createTheme({
       name: newName,
       description: sourceTheme.description,
-      source: 'manual'
+      source: 'manual',
+      modes: sourceTheme.modes,
+      parent_theme_id: sourceTheme.parent_theme_id,
+      contrast_pairs: sourceTheme.contrast_pairs
     });
+
+    // A child's copy keeps the same parent, so only its own rows are copied
+    const ownTokens = (sourceTheme.tokens || []).filter(t => !isInherited(t));
+    const ownTypefaces = (sourceTheme.typefaces || []).filter(t => !isInherited(t));
+    const ownRoles = (sourceTheme.typography_roles || []).filter(r => !isInherited(r));
     
     // Copy tokens
-    if (sourceTheme.tokens?.length) {
-      const newTokens = sourceTheme.tokens.map(token => ({
+    if (ownTokens.length) {
+      const newTokens = ownTokens.map(token => ({
         theme_id: newTheme.id,
         name: token.name,
         path: token.path,
         category: token.category,
         type: token.type,
         value: token.value,
+        alias_path: token.alias_path ?? null,
+        mode_values: token.mode_values ?? {},
         css_variable: token.css_variable,
         description: token.description,
         sort_order: token.sort_order
@@ -261,8 +314,8 @@ export const themeService = {
     }
     
     // Copy typefaces
-    if (sourceTheme.typefaces?.length) {
-      const newTypefaces = sourceTheme.typefaces.map(typeface => ({
+    if (ownTypefaces.length) {
+      const newTypefaces = ownTypefaces.map(typeface => ({
         theme_id: newTheme.id,
         role: typeface.role,
         family: typeface.family,
@@ -288,7 +341,7 @@ export const themeService = {
       }
 
       // Copy font files (including storage objects) for each typeface
-      for (const typeface of sourceTheme.typefaces) {
+      for (const typeface of ownTypefaces) {
         if (!typeface.font_files?.length) continue;
         const targetTypeface = typefaceRoleMap[typeface.role];
         if (!targetTypeface) continue;
@@ -322,8 +375,8 @@ export const themeService = {
     }
     
     // Copy typography roles
-    if (sourceTheme.typography_roles?.length) {
-      const newRoles = sourceTheme.typography_roles.map(role => ({
+    if (ownRoles.length) {
+      const newRoles = ownRoles.map(role => ({
         theme_id: newTheme.id,
         role_name: role.role_name,
         typeface_role: role.typeface_role,
@@ -345,12 +398,43 @@ export const themeService = {
   },
 
   /**
-   * Publish a theme (change status to 'published')
+   * Save the foreground/background pairs declared for a theme's contrast audit
    * @param {string} id - Theme UUID
-   * @returns {Promise<Object>} - Updated theme
+   * @param {Array<{ foreground: string, background: string }>} pairs - Token path pairs
+   * @returns {Promise<Array>} - Saved pairs (cleaned up)
    */
-  async publishTheme(id) {
-    return this.updateTheme(id, { status: 'published' });
+  async updateContrastPairs(id, pairs) {
+    const contrastPairs = normalizeContrastPairs(pairs);
+    const { error } = await supabase
+      .from('themes')
+      .update({ contrast_pairs: contrastPairs })
+      .eq('id', id);
+
+    if (error) throw error;
+    return contrastPairs;
+  },
+
+  /**
+   * Publish a theme (change status to 'published') and take an immutable snapshot.
+   * Publishing is refused while foreground/background color pairs (named or
+   * declared in the theme's contrast_pairs) fail the contrast audit, unless
+   * `skipContrastAudit` is set.
+   * @param {string} id - Theme UUID
+   * @param {Object} [options]
+   * @param {string} [options.note] - Release note stored on the snapshot
+   * @param {string} [options.contrastLevel='AA'] - Required WCAG level
+   * @param {boolean} [options.skipContrastAudit=false] - Publish even if pairs fail
+   * @returns {Promise<Object>} - Updated theme with the created `snapshot`
+   * @throws {Error} - With `code` 'CONTRAST_AUDIT_FAILED' and `audit` when pairs fail
+   */
+  async publishTheme(id, { note, contrastLevel = 'AA', skipContrastAudit = false } = {}) {
+    const fullTheme = await this.getTheme(id);
+    if (!skipContrastAudit) {
+      assertThemeContrast(fullTheme, { level: contrastLevel, pairs: normalizeContrastPairs(fullTheme.contrast_pairs) });
+    }
+    const theme = await this.updateTheme(id, { status: 'published' });
+    const snapshot = await snapshotService.createSnapshot(fullTheme, { note });
+    return { ...theme, snapshot };
   },
 
   /**
@@ -3,11 +3,14 @@
  * Zustand store for Visual QA state management
  */
 import { create } from 'zustand';
-import { CapturedAsset, Issue } from '../types/qa';
+import { CapturedAsset, Issue, IssueTriage, QARun, RunComparison } from '../types/qa';
+import { BatchPageResult } from '../lib/qa/batch/batchRunner';
+import { CoverageReport } from '../lib/qa/score/coverageScore';
+import { CorrespondenceResult } from '../lib/qa/comparison/nodeCorrespondence';
 
 interface QAState {
-  mode: 'single' | 'compare';
-  setMode: (mode: 'single' | 'compare') => void;
+  mode: 'single' | 'compare' | 'batch';
+  setMode: (mode: 'single' | 'compare' | 'batch') => void;
 
   // Single mode
   asset: CapturedAsset | null;
@@ -15,10 +18,20 @@ interface QAState {
 
   issues: Issue[];
   setIssues: (issues: Issue[]) => void;
+  setIssueTriage: (issueId: string, triage: IssueTriage) => void;
 
   activeIssueId: string | null;
   setActiveIssue: (id: string | null) => void;
 
+  // Saved run and its comparison with the previous run of the same URL
+  run: QARun | null;
+  runComparison: RunComparison | null;
+  setRun: (run: QARun | null, comparison?: RunComparison | null) => void;
+
+  // Token coverage of the current asset
+  coverage: CoverageReport | null;
+  setCoverage: (coverage: CoverageReport | null) => void;
+
   // Handler registration for cross-component sync
   panToIssueHandler: ((issueId: string) => void) | null;
   setPanToIssueHandler: (handler: ((issueId: string) => void) | null) => void;
@@ -32,6 +45,18 @@ interface QAState {
   setSourceAsset: (asset: CapturedAsset | null) => void;
   setTargetAsset: (asset: CapturedAsset | null) => void;
 
+  // Issues from the pixel diff of source and target
+  diffIssues: Issue[];
+  setDiffIssues: (issues: Issue[]) => void;
+
+  // Figma layer / DOM element pairs when comparing a Figma frame with a page
+  correspondence: CorrespondenceResult | null;
+  setCorrespondence: (correspondence: CorrespondenceResult | null) => void;
+
+  // Batch mode: one result per URL and viewport
+  batchResults: BatchPageResult[];
+  setBatchResults: (results: BatchPageResult[]) => void;
+
   // Analysis state
   isAnalyzing: boolean;
   setIsAnalyzing: (analyzing: boolean) => void;
@@ -46,10 +71,21 @@ export const useQAStore = create<QAState>((set) => ({
 
   issues: [],
   setIssues: (issues) => set({ issues }),
+  setIssueTriage: (issueId, triage) =>
+    set((state) => ({
+      issues: state.issues.map((issue) => (issue.id === issueId ? { ...issue, triage } : issue)),
+    })),
 
   activeIssueId: null,
   setActiveIssue: (id) => set({ activeIssueId: id }),
 
+  run: null,
+  runComparison: null,
+  setRun: (run, comparison = null) => set({ run, runComparison: comparison }),
+
+  coverage: null,
+  setCoverage: (coverage) => set({ coverage }),
+
   panToIssueHandler: null,
   setPanToIssueHandler: (handler) => set({ panToIssueHandler: handler }),
 
@@ -61,6 +97,15 @@ export const useQAStore = create<QAState>((set) => ({
   setSourceAsset: (asset) => set({ sourceAsset: asset }),
   setTargetAsset: (asset) => set({ targetAsset: asset }),
 
+  diffIssues: [],
+  setDiffIssues: (issues) => set({ diffIssues: issues }),
+
+  correspondence: null,
+  setCorrespondence: (correspondence) => set({ correspondence }),
+
+  batchResults: [],
+  setBatchResults: (results) => set({ batchResults: results }),
+
   isAnalyzing: false,
   setIsAnalyzing: (analyzing) => set({ isAnalyzing: analyzing }),
 }));
@@ -40,6 +40,12 @@ export interface DOMElement {
     fontFamily: string;
     fontSize: string;
     fontWeight: string;
+    // Box styles (computed values, e.g. "8px 16px", "rgba(0, 0, 0, 0.1) 0px 1px 2px 0px")
+    padding?: string;
+    margin?: string;
+    gap?: string;
+    borderRadius?: string;
+    boxShadow?: string;
   };
   textContent: string;
 }
@@ -52,8 +58,20 @@ export interface FigmaNode {
   name: string;
   type: string;
   absoluteBoundingBox?: { x: number; y: number; width: number; height: number };
-  fills?: Array<{ type: string; color?: { r: number; g: number; b: number; a: number } }>;
+  fills?: Array<{ type: string; visible?: boolean; opacity?: number; color?: { r: number; g: number; b: number; a: number } }>;
   children?: FigmaNode[];
+  visible?: boolean;
+  /** Text layers */
+  characters?: string;
+  style?: { fontFamily?: string; fontSize?: number; fontWeight?: number };
+  /** Frames and shapes */
+  cornerRadius?: number;
+  /** Auto-layout frames */
+  paddingLeft?: number;
+  paddingRight?: number;
+  paddingTop?: number;
+  paddingBottom?: number;
+  itemSpacing?: number;
 }
 
 /**
@@ -100,14 +118,59 @@ export interface IssueBounds {
   height: number;
 }
 
+/**
+ * Triage state of an issue: still to do, accepted as an intentional
+ * deviation, fixed in source, or deliberately left as is
+ */
+export type TriageState = 'open' | 'accepted' | 'fixed' | 'wont_fix';
+
+export interface IssueTriage {
+  state: TriageState;
+  assignee?: string;
+  notes?: string;
+  updatedAt?: string;
+}
+
 export interface Issue {
   id: string;
   number: number;
-  type: 'color' | 'font' | 'typography' | 'spacing' | 'other';
+  type: 'color' | 'font' | 'typography' | 'spacing' | 'radius' | 'shadow' | 'visual' | 'other';
   status: 'fail' | 'warn' | 'pass';
+  /** CSS property the issue applies to (box style issues, e.g. "padding-top") */
+  property?: string;
   message: string;
   marker: MarkerPosition;
   bounds: IssueBounds;
   source: IssueSource;
   suggestion?: IssueSuggestion;
+  triage?: IssueTriage;
+}
+
+/**
+ * Saved QA run (qa_runs row)
+ */
+export interface QARun {
+  id: string;
+  theme_id: string | null;
+  input_type: InputType;
+  source_url: string | null;
+  name: string | null;
+  image_path: string | null;
+  issue_count: number;
+  fail_count: number;
+  warn_count: number;
+  coverage_score: number | null;
+  captured_at: string | null;
+  created_at: string;
+  issues?: Issue[];
+}
+
+/**
+ * Issues of a run compared with the previous run of the same URL
+ */
+export interface RunComparison {
+  previousRun: { id: string; created_at: string };
+  new: Issue[];
+  resolved: Issue[];
+  unchanged: Issue[];
 }
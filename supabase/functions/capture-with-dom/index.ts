@@ -25,9 +25,15 @@ const EXTRACTION_SCRIPT = `
     const styles = window.getComputedStyle(el);
     const color = styles.color;
     const bg = styles.backgroundColor;
+    const hasBoxStyles =
+      styles.padding !== '0px' ||
+      styles.margin !== '0px' ||
+      (styles.gap !== 'normal' && styles.gap !== '0px') ||
+      styles.borderRadius !== '0px' ||
+      styles.boxShadow !== 'none';
 
-    // Skip if no visible color
-    if (bg === 'rgba(0, 0, 0, 0)' && color === 'rgb(0, 0, 0)') return;
+    // Skip if no visible color and no spacing, radius or shadow to check
+    if (bg === 'rgba(0, 0, 0, 0)' && color === 'rgb(0, 0, 0)' && !hasBoxStyles) return;
 
     const key = \`\${rect.x},\${rect.y},\${rect.width},\${rect.height}\`;
     if (seen.has(key)) return;
@@ -42,6 +48,11 @@ const EXTRACTION_SCRIPT = `
         fontFamily: styles.fontFamily,
         fontSize: styles.fontSize,
         fontWeight: styles.fontWeight,
+        padding: styles.padding,
+        margin: styles.margin,
+        gap: styles.gap,
+        borderRadius: styles.borderRadius,
+        boxShadow: styles.boxShadow,
       },
       textContent: el.textContent?.slice(0, 100) || '',
     });
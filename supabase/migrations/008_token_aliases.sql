@@ -0,0 +1,18 @@
+/**
+ * Token Aliases
+ *
+ * Lets a token reference another token in the same theme instead of holding
+ * its own value (e.g. `button/bg` → `color/brand/500`).
+ * `value` keeps the last resolved value as a fallback for consumers that do
+ * not resolve aliases; the app resolves `alias_path` at read/export time.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE tokens
+  ADD COLUMN IF NOT EXISTS alias_path VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_alias_path ON tokens(theme_id, alias_path)
+  WHERE alias_path IS NOT NULL;
+
+COMMENT ON COLUMN tokens.alias_path IS 'Path of the token this token aliases (same theme), or NULL for concrete tokens';
@@ -0,0 +1,21 @@
+/**
+ * Theme Modes
+ *
+ * A theme can carry several modes (light/dark/high-contrast) over one token
+ * set instead of one token row per mode, which collided on
+ * UNIQUE(theme_id, path) when importing multi-mode Figma collections.
+ * The first entry of `themes.modes` is the default mode and lives in
+ * `tokens.value`; other modes store only their differing values in
+ * `tokens.mode_values`.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE themes
+  ADD COLUMN IF NOT EXISTS modes JSONB NOT NULL DEFAULT '["light"]'::jsonb;
+
+ALTER TABLE tokens
+  ADD COLUMN IF NOT EXISTS mode_values JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN themes.modes IS 'Ordered mode slugs; the first is the default mode stored in tokens.value';
+COMMENT ON COLUMN tokens.mode_values IS 'Map of mode slug → token value for non-default modes that override tokens.value';
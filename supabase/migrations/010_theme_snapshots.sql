@@ -0,0 +1,26 @@
+/**
+ * Theme Snapshots
+ *
+ * Immutable copies of a theme taken every time it is published, so changes
+ * between publishes can be diffed and any published version restored or
+ * exported. `data` holds the theme fields plus its tokens, typography roles
+ * and typeface metadata as they were at publish time (font files are not
+ * copied; snapshots reference the theme's live font storage).
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+CREATE TABLE IF NOT EXISTS theme_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  theme_id UUID NOT NULL REFERENCES themes(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  note TEXT,
+  token_count INTEGER NOT NULL DEFAULT 0,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(theme_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_theme_snapshots_theme ON theme_snapshots(theme_id, version DESC);
+
+COMMENT ON TABLE theme_snapshots IS 'Immutable per-publish copies of a theme (tokens, typography roles, typefaces)';
@@ -0,0 +1,21 @@
+/**
+ * Theme Inheritance
+ *
+ * A child theme points at its parent and stores only the tokens, typography
+ * roles and typefaces it overrides; everything else is resolved from the
+ * parent chain by the app (themeService.getTheme returns the merged set).
+ * Deleting a parent detaches its children, which keep only their overrides.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE themes
+  ADD COLUMN IF NOT EXISTS parent_theme_id UUID REFERENCES themes(id) ON DELETE SET NULL;
+
+ALTER TABLE themes
+  ADD CONSTRAINT themes_parent_not_self CHECK (parent_theme_id IS NULL OR parent_theme_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_themes_parent ON themes(parent_theme_id)
+  WHERE parent_theme_id IS NOT NULL;
+
+COMMENT ON COLUMN themes.parent_theme_id IS 'Theme this theme inherits tokens from; own rows override the parent by path/role';
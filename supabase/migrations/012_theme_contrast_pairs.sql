@@ -0,0 +1,15 @@
+/**
+ * Theme Contrast Pairs
+ *
+ * Foreground/background token pairs declared on a theme for the contrast
+ * audit, in addition to the pairs found from token names. Each entry is
+ * `{ "foreground": "<token path>", "background": "<token path>" }`. Declared
+ * pairs are audited in the theme editor and block publishing when they fail.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE themes
+  ADD COLUMN IF NOT EXISTS contrast_pairs JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN themes.contrast_pairs IS 'Declared foreground/background token path pairs for the contrast audit';
@@ -0,0 +1,78 @@
+/**
+ * Visual QA Runs
+ *
+ * Saved QA sessions so runs survive a reload and repeated captures of the
+ * same URL can be compared. `qa_runs` keeps the captured asset (screenshot in
+ * the qa-captures bucket, DOM elements / Figma nodes as JSON), the extraction
+ * results and the theme the run was matched against; `qa_run_issues` keeps
+ * one row per generated issue. `fingerprint` identifies an issue across runs
+ * (type, property and source value) for new / resolved / unchanged diffs.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+CREATE TABLE IF NOT EXISTS qa_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  theme_id UUID REFERENCES themes(id) ON DELETE SET NULL,
+  input_type TEXT NOT NULL,            -- image, url, figma
+  source_url TEXT,                     -- captured URL (url input only)
+  name TEXT,
+  image_path TEXT,                     -- screenshot in the qa-captures bucket
+  image_width INTEGER,
+  image_height INTEGER,
+  asset JSONB NOT NULL DEFAULT '{}',   -- domElements, figmaNodes, metadata
+  extraction JSONB NOT NULL DEFAULT '{}', -- colors, fonts, boxStyles
+  issue_count INTEGER NOT NULL DEFAULT 0,
+  fail_count INTEGER NOT NULL DEFAULT 0,
+  warn_count INTEGER NOT NULL DEFAULT 0,
+  captured_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS qa_run_issues (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id UUID NOT NULL REFERENCES qa_runs(id) ON DELETE CASCADE,
+  number INTEGER NOT NULL,
+  fingerprint TEXT NOT NULL,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  property TEXT,
+  message TEXT NOT NULL,
+  source JSONB NOT NULL,
+  suggestion JSONB,
+  marker JSONB NOT NULL,
+  bounds JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(run_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_qa_runs_created ON qa_runs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_qa_runs_source_url ON qa_runs(source_url, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_qa_run_issues_run ON qa_run_issues(run_id, number);
+
+COMMENT ON TABLE qa_runs IS 'Saved Visual QA sessions (captured asset, extraction results, theme used)';
+COMMENT ON TABLE qa_run_issues IS 'Issues generated by a Visual QA run';
+COMMENT ON COLUMN qa_run_issues.fingerprint IS 'Stable issue identity across runs: type|property|source value';
+
+-- =============================================================================
+-- Storage Bucket for QA screenshots
+-- =============================================================================
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES
+  ('qa-captures', 'qa-captures', true, 10485760, -- 10MB
+   ARRAY['image/png', 'image/jpeg', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Public read qa captures" ON storage.objects
+  FOR SELECT USING (bucket_id = 'qa-captures');
+
+CREATE POLICY "Public write qa captures" ON storage.objects
+  FOR INSERT WITH CHECK (bucket_id = 'qa-captures');
+
+-- Captures are uploaded with upsert, which needs UPDATE when the path exists
+CREATE POLICY "Public update qa captures" ON storage.objects
+  FOR UPDATE USING (bucket_id = 'qa-captures');
+
+CREATE POLICY "Public delete qa captures" ON storage.objects
+  FOR DELETE USING (bucket_id = 'qa-captures');
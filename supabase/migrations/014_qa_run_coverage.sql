@@ -0,0 +1,13 @@
+/**
+ * QA Run Coverage
+ *
+ * Token coverage of a saved run: the full report (typography, color and box
+ * style coverage, off-system counts, per-region breakdown) as JSON, and the
+ * overall score as a column so the score of a URL can be charted over time
+ * without loading every report.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE qa_runs ADD COLUMN IF NOT EXISTS coverage JSONB;
+ALTER TABLE qa_runs ADD COLUMN IF NOT EXISTS coverage_score NUMERIC(5,2); -- 0-100, null when nothing was measurable
@@ -0,0 +1,30 @@
+/**
+ * QA Issue Triage
+ *
+ * Triage state, assignee and notes per saved issue, and a per-site allowlist
+ * of deviations accepted as intentional. Allowlisted fingerprints (type,
+ * property and source value, as in qa_run_issues) are suppressed when later
+ * runs of the same site generate issues. `site` is the host of the captured
+ * URL.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE qa_run_issues ADD COLUMN IF NOT EXISTS triage_state TEXT NOT NULL DEFAULT 'open'; -- open, accepted, fixed, wont_fix
+ALTER TABLE qa_run_issues ADD COLUMN IF NOT EXISTS assignee TEXT;
+ALTER TABLE qa_run_issues ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE qa_run_issues ADD COLUMN IF NOT EXISTS triaged_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS qa_allowlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,                 -- source value, for display
+  property TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (site, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_qa_allowlist_site ON qa_allowlist(site);
@@ -0,0 +1,14 @@
+/**
+ * Theme QA Settings
+ *
+ * Visual QA matching settings stored per theme: ΔE formula and thresholds,
+ * font-size tolerance, ignored colors and regions, and the minimum color
+ * region size. An empty object means the built-in defaults.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+ALTER TABLE themes
+  ADD COLUMN IF NOT EXISTS qa_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN themes.qa_settings IS 'Visual QA matching settings; missing fields use the defaults';
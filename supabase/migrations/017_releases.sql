@@ -0,0 +1,30 @@
+/**
+ * Releases
+ *
+ * Semantic-versioned exports of the design system. Each release keeps the
+ * generated package files so any previous version can be downloaded again,
+ * the manifest of compared tokens and component props that the next release
+ * is diffed against, and the classified changes used for CHANGELOG.md.
+ * Font files are kept as storage URLs, like in a live export. Each project
+ * name has its own version sequence.
+ *
+ * NOTE: single-user tool; no RLS/auth.
+ */
+
+CREATE TABLE IF NOT EXISTS releases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version TEXT NOT NULL,
+  level TEXT CHECK (level IN ('major', 'minor', 'patch')),
+  notes TEXT,
+  project_name TEXT NOT NULL,
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  manifest JSONB NOT NULL,
+  files JSONB NOT NULL,
+  file_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (project_name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_releases_project_created ON releases(project_name, created_at DESC);
+
+COMMENT ON TABLE releases IS 'Semver releases of the export package (files, manifest and changes)';
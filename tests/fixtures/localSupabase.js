@@ -0,0 +1,49 @@
+/**
+ * Local Supabase client for service tests
+ *
+ * Mock the client module with an in-memory local backend:
+ *
+ *   vi.mock('../../src/lib/supabase', async () => {
+ *     const { createLocalSupabase, QA_TOKENS } = await import('../fixtures/localSupabase');
+ *     return { supabase: await createLocalSupabase({ tokens: QA_TOKENS }) };
+ *   });
+ *
+ * Passing tokens seeds them into theme 'theme-1'; without them the database is empty.
+ */
+
+import { createLocalClient } from '../../src/lib/localDb/localClient';
+import { createMemoryAdapter } from '../../src/lib/localDb/memoryAdapter';
+
+/** Primary brand color */
+export const PRIMARY_TOKEN = {
+  theme_id: 'theme-1', category: 'color', path: 'Color/Primary', name: 'Primary', value: '#2563eb', sort_order: 0,
+};
+
+/** Colors and body text that QA captures are matched against */
+export const QA_TOKENS = [
+  PRIMARY_TOKEN,
+  { theme_id: 'theme-1', category: 'color', path: 'Color/White', name: 'White', value: '#ffffff', sort_order: 1 },
+  {
+    theme_id: 'theme-1',
+    category: 'typography',
+    path: 'Typography/Body',
+    name: 'body',
+    value: { fontFamily: 'Inter', fontSize: '16px', fontWeight: '400' },
+    sort_order: 2,
+  },
+];
+
+/**
+ * Create a local client on a fresh in-memory database
+ * @param {Object} [options]
+ * @param {Array} [options.tokens] - Tokens to seed into theme 'theme-1'
+ * @returns {Promise<Object>} - Supabase-compatible client
+ */
+export async function createLocalSupabase({ tokens } = {}) {
+  const supabase = createLocalClient(createMemoryAdapter());
+  if (tokens) {
+    await supabase.from('themes').insert({ id: 'theme-1', name: 'Theme', slug: 'theme' });
+    await supabase.from('tokens').insert(tokens);
+  }
+  return supabase;
+}
@@ -0,0 +1,144 @@
+/**
+ * ComponentRenderer (sandboxed iframe) Tests
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, waitFor, act } from '@testing-library/react'
+import ComponentRenderer from '../../src/components/components/detail/ComponentRenderer'
+import {
+  SANDBOX_SOURCE,
+  buildSandboxDocument,
+  compileExampleCode,
+  getComponentScopeNames,
+} from '../../src/lib/componentSandbox'
+
+vi.mock('../../src/lib/componentSandbox', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    loadSandboxDocument: () => Promise.resolve('<!DOCTYPE html><html><body></body></html>'),
+  }
+})
+
+const CODE = 'export default function Button({ label }) { return <button>{label}</button> }'
+
+async function renderInSandbox(ui) {
+  const utils = render(ui)
+  const frame = await waitFor(() => {
+    const el = utils.container.querySelector('iframe')
+    expect(el).not.toBeNull()
+    return el
+  })
+  const postMessage = vi.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {})
+  const fromFrame = (data) => act(() => {
+    window.dispatchEvent(new MessageEvent('message', {
+      source: frame.contentWindow,
+      data: { source: SANDBOX_SOURCE, ...data },
+    }))
+  })
+  return { ...utils, frame, postMessage, fromFrame }
+}
+
+describe('ComponentRenderer', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('renders in an iframe sandboxed without same-origin access', async () => {
+    const { frame } = await renderInSandbox(<ComponentRenderer code={CODE} />)
+
+    expect(frame.getAttribute('sandbox')).toBe('allow-scripts')
+  })
+
+  it('sends compiled code, props, CSS variables and icons once the frame is ready', async () => {
+    const icons = [{ id: 'i1', name: 'Star', slug: 'star', svg_text: '<svg></svg>', tags: ['x'] }]
+    const { postMessage, fromFrame } = await renderInSandbox(
+      <ComponentRenderer code={CODE} props={{ label: 'Save' }} cssVariables={{ '--color-primary': '#f00' }} icons={icons} />
+    )
+
+    expect(postMessage).not.toHaveBeenCalled()
+    fromFrame({ type: 'ready' })
+
+    expect(postMessage).toHaveBeenCalledTimes(1)
+    const [message, targetOrigin] = postMessage.mock.calls[0]
+    expect(targetOrigin).toBe('*')
+    expect(message).toMatchObject({
+      source: SANDBOX_SOURCE,
+      type: 'render',
+      props: { label: 'Save' },
+      cssVariables: { '--color-primary': '#f00' },
+      icons: [{ name: 'Star', slug: 'star', svg_text: '<svg></svg>' }],
+    })
+    expect(message.code).toContain('__defaultExport = Button')
+    expect(message.code).not.toContain('<button>')
+  })
+
+  it('shows errors reported by the sandbox and clears them after a successful render', async () => {
+    const { postMessage, fromFrame, rerender } = await renderInSandbox(<ComponentRenderer code={CODE} props={{}} />)
+    fromFrame({ type: 'ready' })
+
+    fromFrame({ type: 'error', id: postMessage.mock.calls[0][0].id, phase: 'runtime', message: 'boom' })
+    expect(screen.getByText('Runtime Error:')).toBeInTheDocument()
+    expect(screen.getByText('boom')).toBeInTheDocument()
+
+    rerender(<ComponentRenderer code={CODE} props={{ label: 'Retry' }} />)
+    expect(postMessage).toHaveBeenCalledTimes(2)
+    fromFrame({ type: 'rendered', id: postMessage.mock.lastCall[0].id })
+    expect(screen.queryByText('boom')).not.toBeInTheDocument()
+  })
+
+  it('ignores protocol messages that do not come from its frame', async () => {
+    const { fromFrame } = await renderInSandbox(<ComponentRenderer code={CODE} />)
+    fromFrame({ type: 'ready' })
+
+    act(() => {
+      window.dispatchEvent(new MessageEvent('message', {
+        source: window,
+        data: { source: SANDBOX_SOURCE, type: 'error', id: 1, phase: 'runtime', message: 'spoofed' },
+      }))
+    })
+
+    expect(screen.queryByText('spoofed')).not.toBeInTheDocument()
+  })
+
+  it('stops a render that does not report back within the timeout', async () => {
+    const { fromFrame, container } = await renderInSandbox(<ComponentRenderer code={CODE} timeout={50} />)
+    const firstFrame = container.querySelector('iframe')
+    fromFrame({ type: 'ready' })
+
+    await waitFor(() => expect(screen.getByText('Render Timeout:')).toBeInTheDocument())
+    expect(container.querySelector('iframe')).not.toBe(firstFrame)
+  })
+
+  it('reports compile errors without sending them to the sandbox', async () => {
+    const { postMessage, fromFrame } = await renderInSandbox(
+      <ComponentRenderer code="export default function Broken() { return <div> }" />
+    )
+    fromFrame({ type: 'ready' })
+
+    expect(screen.getByText('Render Error:')).toBeInTheDocument()
+    expect(postMessage).not.toHaveBeenCalled()
+  })
+})
+
+describe('componentSandbox', () => {
+  it('resolves the identifiers examples use for the component', () => {
+    expect(getComponentScopeNames(CODE, 'Primary Button')).toEqual(['Button', 'PrimaryButton'])
+    expect(getComponentScopeNames('const x = 1', '')).toEqual(['Component'])
+  })
+
+  it('compiles example markup and drops import lines', () => {
+    const compiled = compileExampleCode("import { Button } from './Button';\n<Button label=\"Save\" />")
+
+    expect(compiled).toContain('__defaultExport = function Example()')
+    expect(compiled).toContain('React.createElement(Button')
+    expect(compiled).not.toContain('import')
+  })
+
+  it('builds a locked-down document with the runtime inlined', () => {
+    const doc = buildSandboxDocument({ react: 'var React = {};', reactDom: 'var x = "</script>";' })
+
+    expect(doc).toContain("default-src 'none'")
+    expect(doc).toContain('<\\/script>')
+    expect(doc).toContain(JSON.stringify(SANDBOX_SOURCE))
+  })
+})
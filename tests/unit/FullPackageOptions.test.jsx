@@ -0,0 +1,51 @@
+/**
+ * FullPackageOptions Tests
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+
+vi.mock('../../src/services/releaseService', () => ({
+  releaseService: {
+    getReleases: vi.fn(),
+    getRelease: vi.fn(),
+  },
+}))
+
+vi.mock('../../src/services/exportService', () => ({
+  exportService: {
+    planRelease: vi.fn(),
+  },
+}))
+
+vi.mock('../../src/services/zipService', () => ({ downloadExportZip: vi.fn() }))
+
+import { releaseService } from '../../src/services/releaseService'
+import { exportService } from '../../src/services/exportService'
+import FullPackageOptions from '../../src/components/export/FullPackageOptions'
+
+const release = (version) => ({ id: `r-${version}`, version, project_name: 'design-system', created_at: '2026-10-18T09:00:00Z' })
+
+describe('FullPackageOptions', () => {
+  it('reloads the releases and the suggested version after a release is recorded', async () => {
+    releaseService.getReleases.mockResolvedValueOnce([release('1.0.0')])
+    exportService.planRelease.mockResolvedValueOnce({ version: '1.1.0', previousVersion: '1.0.0', level: 'minor', changes: [{}] })
+
+    const props = { themes: ['theme-1'], options: { release: true } }
+    const { rerender } = render(<FullPackageOptions {...props} />)
+
+    expect(await screen.findByText('v1.0.0')).toBeInTheDocument()
+    expect(await screen.findByText(/Suggested version: v1\.1\.0/)).toBeInTheDocument()
+    expect(releaseService.getReleases).toHaveBeenCalledWith('design-system')
+    expect(exportService.planRelease).toHaveBeenCalledWith(expect.objectContaining({
+      options: expect.objectContaining({ projectName: 'design-system' }),
+    }))
+
+    releaseService.getReleases.mockResolvedValueOnce([release('1.1.0'), release('1.0.0')])
+    exportService.planRelease.mockResolvedValueOnce({ version: '1.1.1', previousVersion: '1.1.0', level: null, changes: [] })
+    rerender(<FullPackageOptions {...props} lastRelease={release('1.1.0')} />)
+
+    expect(await screen.findByText('v1.1.0')).toBeInTheDocument()
+    expect(await screen.findByText(/Suggested version: v1\.1\.1/)).toBeInTheDocument()
+    await waitFor(() => expect(releaseService.getReleases).toHaveBeenCalledTimes(2))
+  })
+})
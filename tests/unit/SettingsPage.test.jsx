@@ -25,6 +25,11 @@ vi.mock('../../src/hooks/useThemes', () => ({
   })),
 }));
 
+// Mock workspace backup section (covered by backupService tests)
+vi.mock('../../src/components/export/WorkspaceBackupSection', () => ({
+  default: () => <section data-testid="workspace-backup" />,
+}));
+
 // Mock lucide-react icons
 vi.mock('lucide-react', () => ({
   Save: () => <span data-testid="icon-save" />,
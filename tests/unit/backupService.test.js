@@ -0,0 +1,215 @@
+/**
+ * Workspace Backup Service Tests
+ * Uses an in-memory mock of the Supabase client.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import JSZip from 'jszip';
+
+vi.mock('../../src/lib/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    storage: { from: vi.fn() },
+  },
+}));
+
+import {
+  backupService,
+  buildBackupFiles,
+  planImport,
+  remapStoragePath,
+  uniqueSlug,
+  BACKUP_FORMAT,
+} from '../../src/services/backupService';
+import { supabase } from '../../src/lib/supabase';
+
+/**
+ * Minimal query builder over in-memory tables: select/range/eq, insert, update, delete
+ */
+function mockDatabase(tables) {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, [...rows]]));
+  const uploads = [];
+
+  supabase.from.mockImplementation((table) => {
+    db[table] = db[table] || [];
+    let op = 'select';
+    let payload = null;
+    const filters = [];
+    const builder = {
+      select: () => builder,
+      range: () => builder,
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      insert: (rows) => { op = 'insert'; payload = [].concat(rows); return builder; },
+      update: (values) => { op = 'update'; payload = values; return builder; },
+      delete: () => { op = 'delete'; return builder; },
+      then: (resolve) => {
+        const matches = (row) => filters.every(f => f(row));
+        if (op === 'insert') db[table].push(...payload);
+        if (op === 'update') db[table].filter(matches).forEach(row => Object.assign(row, payload));
+        if (op === 'delete') db[table] = db[table].filter(row => !matches(row));
+        return Promise.resolve({ data: op === 'select' ? db[table].filter(matches) : null, error: null }).then(resolve);
+      },
+    };
+    return builder;
+  });
+
+  supabase.storage.from.mockImplementation((bucket) => ({
+    upload: vi.fn(async (path, blob, options) => {
+      uploads.push({ bucket, path, options });
+      return { error: null };
+    }),
+    remove: vi.fn(async () => ({ error: null })),
+    getPublicUrl: (path) => ({ data: { publicUrl: `https://cdn.test/${bucket}/${path}` } }),
+  }));
+
+  return { db, uploads };
+}
+
+const archiveData = {
+  themes: [
+    { id: 'th-child', name: 'Child', slug: 'child', parent_theme_id: 'th-brand', is_default: false },
+    { id: 'th-brand', name: 'Brand', slug: 'brand', parent_theme_id: null, is_default: true },
+  ],
+  tokens: [{ id: 't1', theme_id: 'th-brand', path: 'color/primary', value: { hex: '#000000' } }],
+  typefaces: [{ id: 'tf1', theme_id: 'th-brand', role: 'text', family: 'Inter' }],
+  font_files: [{ id: 'ff1', typeface_id: 'tf1', storage_path: 'th-brand/text/inter-400.woff2', format: 'woff2' }],
+  typography_roles: [],
+  components: [{ id: 'c1', name: 'Button', slug: 'button' }],
+  component_examples: [{ id: 'e1', component_id: 'c1', title: 'Basic', code: '<Button />' }],
+  component_images: [{ id: 'i1', component_id: 'c1', storage_path: 'c1/preview.png', format: 'png' }],
+  icons: [{ id: 'ic1', name: 'Star', slug: 'star', source: 'custom', storage_path: 'custom/star.svg', svg_text: '<svg/>' }],
+};
+
+async function buildArchive(data = archiveData) {
+  const zip = new JSZip();
+  zip.file('manifest.json', JSON.stringify({ format: BACKUP_FORMAT, version: 1 }));
+  for (const [table, rows] of Object.entries(data)) {
+    zip.file(`data/${table}.json`, JSON.stringify(rows));
+  }
+  zip.file('storage/fonts/th-brand/text/inter-400.woff2', 'font-bytes');
+  zip.file('storage/component-images/c1/preview.png', 'png-bytes');
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('backupService helpers', () => {
+  it('plans creates, skips, overwrites and renames by slug', () => {
+    const rows = [{ id: 'a', slug: 'brand' }, { id: 'b', slug: 'new' }];
+    const existing = new Map([['brand', 'db-brand'], ['brand-imported', 'db-copy']]);
+    let n = 0;
+    const newId = () => `new-${++n}`;
+
+    const skip = planImport(rows, existing, 'skip', newId);
+    expect(skip.entries.map(e => e.action)).toEqual(['skip', 'create']);
+    expect(skip.idMap.get('a')).toBe('db-brand');
+
+    const overwrite = planImport(rows, existing, 'overwrite', newId);
+    expect(overwrite.entries[0]).toMatchObject({ action: 'overwrite', id: 'db-brand', slug: 'brand' });
+
+    const rename = planImport(rows, existing, 'rename', newId);
+    expect(rename.entries[0]).toMatchObject({ action: 'rename', slug: 'brand-imported-2' });
+    expect(rename.idMap.get('a')).toBe(rename.entries[0].id);
+  });
+
+  it('remaps ID-prefixed storage paths and builds unique slugs', () => {
+    expect(remapStoragePath('old/text/inter.woff2', 'old', 'new')).toBe('new/text/inter.woff2');
+    expect(remapStoragePath('custom/star.svg', 'old', 'new')).toBe('custom/star.svg');
+    expect(uniqueSlug('brand', new Set())).toBe('brand-imported');
+  });
+
+  it('builds a manifest, table files and storage blob entries', () => {
+    const files = buildBackupFiles(archiveData, {
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      getPublicUrl: (bucket, path) => `https://cdn.test/${bucket}/${path}`,
+    });
+
+    const manifest = JSON.parse(files['manifest.json']);
+    expect(manifest).toMatchObject({ format: BACKUP_FORMAT, version: 1 });
+    expect(manifest.counts.tokens).toBe(1);
+    expect(JSON.parse(files['data/themes.json'])).toHaveLength(2);
+    expect(files['storage/fonts/th-brand/text/inter-400.woff2']).toEqual({
+      url: 'https://cdn.test/fonts/th-brand/text/inter-400.woff2',
+      type: 'binary',
+    });
+    expect(files['storage/icons/custom/star.svg']).toBeDefined();
+  });
+});
+
+describe('backupService.importWorkspace', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('rejects archives that are not workspace backups', async () => {
+    const zip = new JSZip();
+    zip.file('README.md', '# export');
+    const file = await zip.generateAsync({ type: 'uint8array' });
+
+    await expect(backupService.importWorkspace(file)).rejects.toThrow('not a workspace backup');
+  });
+
+  it('restores into an empty workspace with new IDs and remapped references', async () => {
+    const { db, uploads } = mockDatabase({});
+
+    const report = await backupService.importWorkspace(await buildArchive());
+
+    expect(report.themes.created).toBe(2);
+    const brand = db.themes.find(t => t.slug === 'brand');
+    const child = db.themes.find(t => t.slug === 'child');
+    expect(brand.id).not.toBe('th-brand');
+    expect(brand.is_default).toBe(true);
+    expect(child.parent_theme_id).toBe(brand.id);
+    expect(db.tokens[0].theme_id).toBe(brand.id);
+
+    const typeface = db.typefaces[0];
+    expect(db.font_files[0]).toMatchObject({
+      typeface_id: typeface.id,
+      storage_path: `${brand.id}/text/inter-400.woff2`,
+    });
+
+    const component = db.components[0];
+    expect(db.component_examples[0].component_id).toBe(component.id);
+    expect(db.component_images[0].storage_path).toBe(`${component.id}/preview.png`);
+
+    expect(uploads.map(u => u.bucket).sort()).toEqual(['component-images', 'fonts', 'icons']);
+    expect(uploads.find(u => u.bucket === 'fonts').options.contentType).toBe('font/woff2');
+    expect(report.files).toEqual({ uploaded: 3, missing: 0 });
+  });
+
+  it('skips existing items and leaves their children untouched', async () => {
+    const { db } = mockDatabase({
+      themes: [{ id: 'db-brand', slug: 'brand', name: 'Live Brand', is_default: true }],
+      tokens: [{ id: 'db-t1', theme_id: 'db-brand', path: 'color/live' }],
+    });
+
+    const report = await backupService.importWorkspace(await buildArchive(), { strategy: 'skip' });
+
+    expect(report.themes).toMatchObject({ created: 1, skipped: 1 });
+    expect(db.tokens).toEqual([{ id: 'db-t1', theme_id: 'db-brand', path: 'color/live' }]);
+    expect(db.themes.find(t => t.slug === 'child').parent_theme_id).toBe('db-brand');
+  });
+
+  it('overwrites existing items in place, replacing their children', async () => {
+    const { db } = mockDatabase({
+      themes: [{ id: 'db-brand', slug: 'brand', name: 'Live Brand', is_default: true }],
+      tokens: [{ id: 'db-t1', theme_id: 'db-brand', path: 'color/live' }],
+    });
+
+    const report = await backupService.importWorkspace(await buildArchive(), { strategy: 'overwrite' });
+
+    expect(report.themes.overwritten).toBe(1);
+    expect(db.themes.find(t => t.id === 'db-brand').name).toBe('Brand');
+    expect(db.tokens.map(t => [t.theme_id, t.path])).toEqual([['db-brand', 'color/primary']]);
+  });
+
+  it('imports renamed copies next to existing items', async () => {
+    const { db } = mockDatabase({
+      components: [{ id: 'db-c1', slug: 'button', name: 'Button' }],
+    });
+
+    const report = await backupService.importWorkspace(await buildArchive(), { strategy: 'rename' });
+
+    expect(report.components.renamed).toBe(1);
+    expect(db.components.map(c => c.slug)).toEqual(['button', 'button-imported']);
+    expect(db.components[1].name).toBe('Button (imported)');
+  });
+});
@@ -0,0 +1,126 @@
+// @vitest-environment node
+/**
+ * Batch QA
+ * URL sources, the capture queue and aggregation, run end to end against the
+ * local capture stand-in.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseSitemap, parseUrlList } from '../../src/lib/qa/batch/urlSources';
+import {
+  VIEWPORT_PRESETS,
+  buildBatchJobs,
+  runWithConcurrency,
+  runBatch,
+  aggregateBatch,
+} from '../../src/lib/qa/batch/batchRunner';
+import { createLocalCapture } from '../../src/lib/qa/batch/localCapture';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase, QA_TOKENS } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase({ tokens: QA_TOKENS }) };
+});
+
+function element(selector, color, backgroundColor, y = 0, fontFamily = 'Inter') {
+  return {
+    selector,
+    bounds: { x: 0, y, width: 200, height: 40 },
+    styles: { color, backgroundColor, fontFamily, fontSize: '16px', fontWeight: '400' },
+    textContent: 'Text',
+  };
+}
+
+const [desktop, , mobile] = VIEWPORT_PRESETS;
+
+describe('batch QA', () => {
+  it('reads URLs from sitemaps and pasted lists', () => {
+    const xml = `<?xml version="1.0"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://example.com/</loc></url>
+        <url><loc> https://example.com/search?q=a&amp;p=2 </loc><lastmod>2026-01-01</lastmod></url>
+        <url><loc>https://example.com/</loc></url>
+      </urlset>`;
+    expect(parseSitemap(xml)).toEqual({
+      urls: ['https://example.com/', 'https://example.com/search?q=a&p=2'],
+      sitemaps: [],
+    });
+
+    const index = '<sitemapindex><sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>';
+    expect(parseSitemap(index).sitemaps).toEqual(['https://example.com/pages.xml']);
+    expect(() => parseSitemap('<html></html>')).toThrow('Not a sitemap');
+
+    expect(parseUrlList('https://a.com\nhttps://b.com, ftp://c.com https://a.com')).toEqual({
+      urls: ['https://a.com', 'https://b.com'],
+      invalid: ['ftp://c.com'],
+    });
+  });
+
+  it('keeps at most `limit` workers in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return n * 10;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+  });
+
+  it('captures every URL at every viewport and aggregates the results', async () => {
+    const capturePage = vi.fn(
+      createLocalCapture({
+        'https://example.com/': [element('.hero', 'rgb(255, 255, 255)', 'rgb(37, 99, 235)')],
+        // Off-token red background and font on every viewport, plus an off-token
+        // green background on wide screens
+        'https://example.com/pricing': (viewport) => [
+          element('.price', 'rgb(255, 255, 255)', 'rgb(220, 38, 38)', 0, 'Comic Sans MS'),
+          ...(viewport.width > 1000 ? [element('.badge', 'rgb(255, 255, 255)', 'rgb(22, 163, 74)', 60)] : []),
+        ],
+      })
+    );
+    const jobs = buildBatchJobs(
+      ['https://example.com/', 'https://example.com/pricing', 'https://example.com/missing'],
+      [desktop, mobile]
+    );
+    const onUpdate = vi.fn();
+
+    const results = await runBatch(jobs, { themeId: 'theme-1', concurrency: 2, capturePage, onUpdate });
+
+    expect(jobs).toHaveLength(6);
+    expect(capturePage).toHaveBeenCalledWith('https://example.com/pricing', { width: 375, height: 812 });
+    expect(results.map((result) => result.status)).toEqual(['done', 'done', 'done', 'done', 'error', 'error']);
+    expect(results[4].error).toMatch(/no local fixture/);
+    expect(results[2].asset.image).toMatchObject({ width: 1440, height: 900 });
+    // running + final status per job
+    expect(onUpdate).toHaveBeenCalledTimes(12);
+
+    const summary = aggregateBatch(results);
+    expect(summary).toMatchObject({ total: 6, done: 4, failed: 2 });
+    expect(summary.worstPages[0].job.id).toBe('https://example.com/pricing@desktop');
+    expect(summary.topColors[0]).toMatchObject({ value: '#dc2626', count: 2, pages: 1 });
+    expect(summary.topColors.map((entry) => entry.value)).toContain('#16a34a');
+    expect(summary.topColors.map((entry) => entry.value)).not.toContain('#2563eb');
+    expect(summary.topFonts).toEqual([expect.objectContaining({ count: 2, pages: 1 })]);
+    expect(summary.topFonts[0].value).toMatch(/^Comic Sans MS/);
+  });
+
+  it('marks jobs not started before cancellation as cancelled', async () => {
+    const controller = new AbortController();
+    const capturePage = createLocalCapture({ 'https://example.com/': [] });
+    const jobs = buildBatchJobs(['https://example.com/', 'https://example.com/a', 'https://example.com/b'], [desktop]);
+
+    const results = await runBatch(jobs, {
+      themeId: 'theme-1',
+      concurrency: 1,
+      capturePage,
+      onUpdate: (result) => result.status !== 'running' && controller.abort(),
+      signal: controller.signal,
+    });
+
+    expect(results.map((result) => result.status)).toEqual(['done', 'cancelled', 'cancelled']);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Visual QA spacing, radius and shadow checks
+ * Covers DOM extraction, token matching, issue generation and fixes.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { extractFromDOM } from '../../src/lib/qa/extraction/domExtractor';
+import {
+  matchBoxStylesSync,
+  toBoxStyleTokens,
+  shadowDistance,
+} from '../../src/lib/qa/matching/boxStyleMatcher';
+import { generateIssues } from '../../src/lib/qa/issues/issueGenerator';
+import { generateFixes } from '../../src/lib/qa/issues/fixGenerator';
+
+const bounds = { x: 0, y: 0, width: 200, height: 100 };
+
+function element(selector, styles) {
+  return {
+    selector,
+    bounds,
+    textContent: '',
+    styles: {
+      color: 'rgb(0, 0, 0)',
+      backgroundColor: 'rgba(0, 0, 0, 0)',
+      fontFamily: 'Inter',
+      fontSize: '16px',
+      fontWeight: '400',
+      ...styles,
+    },
+  };
+}
+
+const tokens = toBoxStyleTokens([
+  { path: 'spacing/sm', category: 'spacing', value: { value: 8, unit: 'px' }, css_variable: '--spacing-sm' },
+  { path: 'spacing/md', category: 'spacing', value: '1rem', css_variable: '--spacing-md' },
+  { path: 'radius/md', category: 'radius', value: { value: 6, unit: 'px' }, css_variable: '--radius-md' },
+  {
+    path: 'shadow/sm',
+    category: 'shadow',
+    value: { x: 0, y: 1, blur: 2, spread: 0, color: 'rgba(0, 0, 0, 0.05)' },
+    css_variable: '--shadow-sm',
+  },
+  { path: 'color/primary', category: 'color', value: '#2563eb', css_variable: '--color-primary' },
+]);
+
+describe('extractFromDOM box styles', () => {
+  it('collapses uniform shorthands and splits mixed ones into longhands', () => {
+    const { boxStyles } = extractFromDOM([
+      element('.card', { padding: '16px', margin: '0px 0px 12px', gap: '8px 4px', borderRadius: '6px' }),
+      element('.card', { padding: '16px' }),
+      element('.pill', { borderRadius: '50%', boxShadow: 'none' }),
+    ]);
+
+    expect(boxStyles.map(({ kind, property, value }) => [kind, property, value])).toEqual([
+      ['spacing', 'padding', '16px'],
+      ['spacing', 'margin-bottom', '12px'],
+      ['spacing', 'row-gap', '8px'],
+      ['spacing', 'column-gap', '4px'],
+      ['radius', 'border-radius', '6px'],
+    ]);
+    expect(boxStyles[0].centroid).toEqual({ x: 100, y: 50 });
+  });
+});
+
+describe('matchBoxStylesSync', () => {
+  it('ignores non box style tokens and resolves token values to CSS', () => {
+    expect(tokens.map(t => [t.category, t.value, t.cssVariable])).toEqual([
+      ['spacing', '8px', 'var(--spacing-sm)'],
+      ['spacing', '1rem', 'var(--spacing-md)'],
+      ['radius', '6px', 'var(--radius-md)'],
+      ['shadow', '0px 1px 2px 0px rgba(0, 0, 0, 0.05)', 'var(--shadow-sm)'],
+    ]);
+  });
+
+  it('grades values by their distance to the nearest token', () => {
+    const { boxStyles } = extractFromDOM([
+      element('.a', { padding: '16px', margin: '-8px', gap: '9px' }),
+      element('.b', { padding: '12px', borderRadius: '4px' }),
+    ]);
+
+    const matches = matchBoxStylesSync(boxStyles, tokens);
+    expect(matches.map(m => [m.source.property, m.source.value, m.status, m.token.path])).toEqual([
+      ['padding', '16px', 'pass', 'spacing/md'],
+      ['margin', '-8px', 'pass', 'spacing/sm'],
+      ['gap', '9px', 'warn', 'spacing/sm'],
+      ['padding', '12px', 'fail', 'spacing/sm'],
+      ['border-radius', '4px', 'warn', 'radius/md'],
+    ]);
+  });
+
+  it('compares shadows in computed order and skips kinds without tokens', () => {
+    expect(shadowDistance('rgba(0, 0, 0, 0.05) 0px 1px 2px 0px', '0px 1px 2px 0px rgba(0, 0, 0, 0.05)')).toBe(0);
+    expect(shadowDistance('rgba(0, 0, 0, 0.2) 0px 1px 2px 0px', '0px 1px 2px 0px rgba(0, 0, 0, 0.05)')).toBe(1);
+    expect(shadowDistance('0px 1px 2px black, 0px 4px 8px black', '0px 1px 2px black')).toBe(Infinity);
+
+    const { boxStyles } = extractFromDOM([
+      element('.modal', { boxShadow: 'rgba(0, 0, 0, 0.25) 0px 20px 40px 0px' }),
+    ]);
+    const [match] = matchBoxStylesSync(boxStyles, tokens);
+    expect(match.status).toBe('fail');
+    expect(matchBoxStylesSync(boxStyles, tokens.filter(t => t.category !== 'shadow'))).toEqual([]);
+  });
+});
+
+describe('box style issues and fixes', () => {
+  it('creates typed issues with nearest-token suggestions and property fixes', () => {
+    const domElements = [
+      element('.a', { padding: '16px 13px', borderRadius: '5px' }),
+      element('.b', { boxShadow: 'rgba(0, 0, 0, 0.05) 0px 1px 3px 0px' }),
+    ];
+    domElements[1].bounds = { x: 0, y: 200, width: 100, height: 40 };
+
+    const matches = matchBoxStylesSync(extractFromDOM(domElements).boxStyles, tokens);
+    const issues = generateIssues([], [], matches);
+
+    expect(issues.map(i => [i.type, i.status, i.property])).toEqual([
+      ['spacing', 'fail', 'padding-right'],
+      ['spacing', 'fail', 'padding-left'],
+      ['radius', 'warn', 'border-radius'],
+      ['shadow', 'warn', 'box-shadow'],
+    ]);
+    expect(issues[0].message).toBe('padding-right 13px is off the spacing scale (nearest: spacing/md 1rem)');
+    expect(issues[0].suggestion).toEqual({ tokenName: 'spacing/md', cssVariable: 'var(--spacing-md)', value: '1rem' });
+
+    const fixes = generateFixes(issues, domElements);
+    expect(fixes.map(f => [f.selector, f.property, f.newValue])).toEqual([
+      ['.a', 'padding-right', 'var(--spacing-md)'],
+      ['.a', 'padding-left', 'var(--spacing-md)'],
+      ['.a', 'border-radius', 'var(--radius-md)'],
+      ['.b', 'box-shadow', 'var(--shadow-sm)'],
+    ]);
+    expect(fixes[3].cssCode).toBe('.b {\n  box-shadow: var(--shadow-sm);\n}');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Color Scale Generator Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rgbToOklch, oklchToRgb, rgbToOklab, isOklchInGamut, getRelativeLuminance } from '../../src/lib/colorUtils';
+import { generateColorScale, scaleToTokens, SCALE_STEPS } from '../../src/lib/colorScale';
+
+describe('OKLab / OKLCH conversions', () => {
+  it('round-trips sRGB colors through OKLCH', () => {
+    for (const rgb of [{ r: 37, g: 99, b: 235 }, { r: 255, g: 0, b: 0 }, { r: 128, g: 128, b: 128 }]) {
+      const { l, c, h } = rgbToOklch(rgb.r, rgb.g, rgb.b);
+      expect(oklchToRgb(l, c, h)).toEqual(rgb);
+    }
+  });
+
+  it('maps white to L = 1 with no chroma and detects out-of-gamut colors', () => {
+    const white = rgbToOklab(255, 255, 255);
+    expect(white.l).toBeCloseTo(1, 5);
+    expect(Math.abs(white.a)).toBeLessThan(1e-4);
+    expect(rgbToOklch(128, 128, 128).h).toBe(0);
+    expect(isOklchInGamut(0.6, 0.1, 250)).toBe(true);
+    expect(isOklchInGamut(0.9, 0.3, 250)).toBe(false);
+  });
+});
+
+describe('generateColorScale', () => {
+  it.each(['oklch', 'hsl'])('builds a light-to-dark ramp in %s that keeps the base color', (space) => {
+    const scale = generateColorScale('#2563eb', { space });
+
+    expect(scale.map(s => s.step)).toEqual(SCALE_STEPS);
+    expect(scale.filter(s => s.isBase)).toEqual([expect.objectContaining({ hex: '#2563eb' })]);
+
+    const luminance = scale.map(s => getRelativeLuminance(s.hex));
+    luminance.slice(1).forEach((l, i) => expect(l).toBeLessThan(luminance[i]));
+  });
+
+  it('labels each step with its contrast against white and black', () => {
+    const [lightest] = generateColorScale('#2563eb');
+    expect(lightest.contrast.black).toBeGreaterThan(lightest.contrast.white);
+    expect(lightest.contrast.black).toBeGreaterThan(15);
+  });
+
+  it('turns the scale into color tokens', () => {
+    const tokens = scaleToTokens(generateColorScale('#2563eb'), 'color/brand/');
+
+    expect(tokens).toHaveLength(SCALE_STEPS.length);
+    expect(tokens[0]).toMatchObject({
+      name: 'brand-50',
+      path: 'color/brand/50',
+      category: 'color',
+      type: 'color',
+      css_variable: '--color-brand-50',
+    });
+    expect(tokens[0].value.hex).toMatch(/^#[0-9a-f]{6}$/);
+  });
+});
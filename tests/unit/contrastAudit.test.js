@@ -0,0 +1,71 @@
+/**
+ * Contrast Audit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getContrastRatio, getApcaContrast } from '../../src/lib/colorUtils';
+import {
+  findContrastPairs,
+  auditContrast,
+  auditThemeContrast,
+  assertThemeContrast,
+  getApcaLevel,
+  CONTRAST_AUDIT_ERROR,
+} from '../../src/lib/contrastAudit';
+
+const color = (id, path, hex, extra = {}) => ({ id, path, category: 'color', value: { hex }, ...extra });
+
+const tokens = [
+  color('1', 'color/background', '#ffffff', { mode_values: { dark: { hex: '#111111' } } }),
+  color('2', 'color/foreground', '#111111', { mode_values: { dark: { hex: '#333333' } } }),
+  color('3', 'color/primary', '#2563eb'),
+  color('4', 'color/primary-foreground', '#ffffff'),
+  color('5', 'color/on-primary', '#93c5fd'),
+  color('6', 'color/accent', '#f59e0b'),
+];
+
+describe('contrast audit', () => {
+  it('computes WCAG ratios and APCA Lc', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 5);
+    expect(getContrastRatio('#ffffff', '#ffffff')).toBe(1);
+    expect(getApcaContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 1);
+    expect(getApcaContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 1);
+    expect(getApcaContrast('#888888', '#ffffff')).toBeCloseTo(63.06, 1);
+    expect(getApcaLevel(-80)).toBe('body');
+    expect(getApcaLevel(20)).toBe('fail');
+  });
+
+  it('pairs tokens by naming convention and declared pairs', () => {
+    const pairs = findContrastPairs(tokens, [{ foreground: 'color/accent', background: 'color/background' }])
+      .map(({ foreground, background }) => `${foreground.path} on ${background.path}`);
+
+    expect(pairs).toEqual([
+      'color/accent on color/background',
+      'color/foreground on color/background',
+      'color/primary-foreground on color/primary',
+      'color/on-primary on color/primary',
+    ]);
+  });
+
+  it('flags pairs below the required level', () => {
+    const results = auditContrast(tokens);
+    const onPrimary = results.find(r => r.foreground === 'color/on-primary');
+    const primaryForeground = results.find(r => r.foreground === 'color/primary-foreground');
+
+    expect(onPrimary.pass).toBe(false);
+    expect(primaryForeground).toMatchObject({ aa: true, aaa: false, pass: true });
+    expect(auditContrast(tokens, { level: 'AAA' }).find(r => r.foreground === 'color/primary-foreground').pass).toBe(false);
+  });
+
+  it('audits every mode and throws when pairs fail', () => {
+    const theme = { modes: ['light', 'dark'], tokens: tokens.filter(t => t.id !== '5') };
+    const audit = auditThemeContrast(theme);
+
+    expect(audit.modes.map(m => m.mode)).toEqual(['light', 'dark']);
+    expect(audit.failures).toEqual([
+      expect.objectContaining({ mode: 'dark', foreground: 'color/foreground', pass: false }),
+    ]);
+    expect(() => assertThemeContrast(theme)).toThrow(expect.objectContaining({ code: CONTRAST_AUDIT_ERROR }));
+    expect(assertThemeContrast({ tokens: theme.tokens }).passed).toBe(true);
+  });
+});
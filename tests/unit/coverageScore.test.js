@@ -0,0 +1,114 @@
+/**
+ * Token Coverage Score
+ * Coverage of a DOM capture (end to end through analyzeAsset), the band
+ * fallback for images, and the score history of saved runs.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { analyzeAsset } from '../../src/lib/qa/analysis';
+import { calculateCoverage } from '../../src/lib/qa/score/coverageScore';
+import { qaRunService } from '../../src/services/qaRunService';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase, QA_TOKENS } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase({ tokens: QA_TOKENS }) };
+});
+
+function element(selector, [x, y, width, height], backgroundColor, text = '', fontFamily = 'Inter') {
+  return {
+    selector,
+    bounds: { x, y, width, height },
+    styles: { color: 'rgb(0, 0, 0)', backgroundColor, fontFamily, fontSize: '16px', fontWeight: '400' },
+    textContent: text,
+  };
+}
+
+function urlAsset(domElements) {
+  return {
+    id: 'qa-coverage',
+    inputType: 'url',
+    image: { url: 'about:blank', width: 1000, height: 1000 },
+    domElements,
+    capturedAt: new Date('2026-03-01T10:00:00Z'),
+    metadata: { source: 'https://example.com/' },
+  };
+}
+
+const PAGE = [
+  element('header', [0, 0, 1000, 100], 'rgb(37, 99, 235)', 'Logo'),
+  element('main', [0, 100, 1000, 800], 'rgb(255, 255, 255)'),
+  element('#promo', [0, 200, 500, 200], 'rgb(255, 0, 170)', 'Sale', 'Comic Sans MS'),
+  element('main > p', [0, 500, 400, 40], 'rgba(0, 0, 0, 0)', 'Body copy'),
+  element('footer', [0, 900, 1000, 100], 'rgb(18, 52, 86)', 'Legal'),
+];
+
+describe('token coverage', () => {
+  it('scores text nodes, painted area and regions of a DOM capture', async () => {
+    const { coverage } = await analyzeAsset(urlAsset(PAGE), 'theme-1');
+
+    expect(coverage.typography).toEqual({ total: 4, onToken: 3, percent: 75 });
+    // header + main backgrounds on token, #promo and footer off: 900k of 1.1M px
+    expect(coverage.color).toEqual({ area: 1100000, tokenArea: 900000, percent: 81.8 });
+    expect(coverage.boxStyles.percent).toBeNull();
+    expect(coverage.score).toBe(78.4);
+    expect(coverage.offSystem).toEqual({ color: 2, font: 1, spacing: 0, radius: 0, shadow: 0, total: 3 });
+    expect(coverage.fontStats.total).toBe(4);
+
+    // Nested regions: #promo takes its own samples, main keeps the rest
+    expect(coverage.regions.map(region => [region.name, region.score, region.offSystem.total])).toEqual([
+      ['header', 100, 0],
+      ['main', 100, 0],
+      ['#promo', 0, 2],
+      ['footer', 50, 1],
+    ]);
+  });
+
+  it('splits image captures into bands by sampled pixel share', () => {
+    const match = (hex, y, percentage, status) => ({
+      source: { hex, rgb: { r: 0, g: 0, b: 0 }, percentage, bounds: { x: 0, y, width: 10, height: 10 }, centroid: { x: 50, y } },
+      deltaE: status === 'pass' ? 0 : 20,
+      status,
+    });
+    const asset = { id: 'img', inputType: 'image', image: { url: '', width: 100, height: 300 }, domElements: null };
+
+    const coverage = calculateCoverage(asset, {
+      colorMatches: [match('#ffffff', 50, 60, 'pass'), match('#ff00aa', 250, 20, 'fail')],
+      fontMatches: [],
+      boxStyleMatches: [],
+    });
+
+    expect(coverage.color.percent).toBe(75);
+    expect(coverage.typography.percent).toBeNull();
+    expect(coverage.score).toBe(75);
+    expect(coverage.regions.map(region => [region.name, region.color.percent])).toEqual([
+      ['Top', 100],
+      ['Bottom', 0],
+    ]);
+  });
+
+  it('saves the score with the run and lists the trend of a URL', async () => {
+    const save = async (elements, capturedAt) => {
+      const asset = { ...urlAsset(elements), id: `qa-${capturedAt}`, capturedAt: new Date(capturedAt) };
+      const { extraction, issues, coverage } = await analyzeAsset(asset, 'theme-1');
+      const run = await qaRunService.saveRun({ asset, themeId: 'theme-1', extraction, issues, coverage });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return run;
+    };
+
+    const first = await save(PAGE, '2026-03-01T10:00:00Z');
+    const fixed = PAGE.filter(el => el.selector !== '#promo' && el.selector !== 'footer');
+    const second = await save(fixed, '2026-03-02T10:00:00Z');
+
+    expect(Number(first.coverage_score)).toBe(78.4);
+    expect(second.coverage.score).toBe(100);
+
+    const history = await qaRunService.getCoverageHistory('https://example.com/');
+    expect(history.map(run => [run.id, run.coverage_score])).toEqual([
+      [first.id, 78.4],
+      [second.id, 100],
+    ]);
+
+    const [summary] = await qaRunService.getRuns({ sourceUrl: 'https://example.com/', limit: 1 });
+    expect(summary.coverage_score).toBe(100);
+  });
+});
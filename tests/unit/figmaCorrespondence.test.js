@@ -0,0 +1,174 @@
+/**
+ * Figma vs. Page Correspondence
+ * A frame built from the plugin test fixtures is served by a mocked Figma API,
+ * flattened into layers, paired with DOM elements and compared.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import simpleComponent from '../../poc/figma-plugin/test-fixtures/simple-component.json';
+import componentWithVariables from '../../poc/figma-plugin/test-fixtures/component-with-variables.json';
+import { FigmaService } from '../../src/services/figmaService';
+import { flattenFigmaNode } from '../../src/lib/qa/comparison/figmaLayers';
+import {
+  textSimilarity,
+  matchNodes,
+  compareFigmaToPage,
+} from '../../src/lib/qa/comparison/nodeCorrespondence';
+
+const FRAME_ORIGIN = { x: 1000, y: 500 };
+const BLUE = { r: 37 / 255, g: 99 / 255, b: 235 / 255, a: 1 };
+const WHITE = { r: 1, g: 1, b: 1, a: 1 };
+const GRAY = { r: 55 / 255, g: 65 / 255, b: 81 / 255, a: 1 };
+
+/**
+ * Turn a plugin fixture's `structure` into a REST API node placed at (x, y)
+ * in the frame; children are stacked at `inset` from the parent's corner.
+ */
+function toApiNode(structure, x, y, extra = {}, inset = 0) {
+  const { width, height, children = [], fills, ...rest } = structure;
+  return {
+    ...rest,
+    absoluteBoundingBox: { x: FRAME_ORIGIN.x + x, y: FRAME_ORIGIN.y + y, width, height },
+    ...(extra[structure.id] || {}),
+    children: children.map(child => toApiNode(child, x + inset, y + inset, extra, inset)),
+  };
+}
+
+function frameDocument() {
+  const label = simpleComponent.properties.find(p => p.name === 'label').defaultValue;
+  const button = toApiNode(simpleComponent.structure, 20, 20, {
+    'component-1': { fills: [{ type: 'SOLID', color: BLUE }], paddingTop: 10, paddingBottom: 10, paddingLeft: 20, paddingRight: 20 },
+    'text-1': { characters: label, fills: [{ type: 'SOLID', color: WHITE }], style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 600 } },
+  }, 20);
+  const card = toApiNode(componentWithVariables.structure, 20, 100, {
+    'component-2': { fills: [{ type: 'SOLID', color: WHITE }] },
+    'text-2': { characters: 'Card title', fills: [{ type: 'SOLID', color: GRAY }], style: { fontFamily: 'Inter', fontSize: 20, fontWeight: 700 } },
+  }, 16);
+  const missing = {
+    id: 'text-9',
+    name: 'Footnote',
+    type: 'TEXT',
+    characters: 'Terms apply',
+    absoluteBoundingBox: { x: FRAME_ORIGIN.x + 20, y: FRAME_ORIGIN.y + 340, width: 120, height: 16 },
+  };
+
+  return {
+    id: '1:2',
+    name: 'Page',
+    type: 'FRAME',
+    absoluteBoundingBox: { ...FRAME_ORIGIN, width: 400, height: 400 },
+    children: [button, card, missing, { ...missing, id: 'hidden', visible: false }],
+  };
+}
+
+function element(selector, [x, y, width, height], styles, textContent = '') {
+  return {
+    selector,
+    bounds: { x, y, width, height },
+    styles: { color: 'rgb(17, 24, 39)', backgroundColor: 'rgba(0, 0, 0, 0)', fontFamily: 'Inter, sans-serif', fontSize: '16px', fontWeight: '400', ...styles },
+    textContent,
+  };
+}
+
+// Page captured at the frame's width (400px)
+const PAGE_ELEMENTS = [
+  element('main', [0, 0, 400, 400], { backgroundColor: 'rgb(249, 250, 251)' }, 'Click me Card title'),
+  element('.btn', [20, 20, 120, 40], { backgroundColor: 'rgb(37, 99, 235)', padding: '10px 16px' }, 'Click me'),
+  element('.btn > span', [40, 40, 80, 20], { color: 'rgb(255, 255, 255)', fontWeight: '600' }, 'Click me'),
+  element('.card', [20, 100, 300, 200], { backgroundColor: 'rgb(255, 255, 255)', borderRadius: '4px' }, 'Card title'),
+  element('.card h3', [36, 116, 200, 24], { fontSize: '18px', fontWeight: '700', fontFamily: '"Roboto", sans-serif' }, 'Card title'),
+];
+
+function scaleElement(el, factor) {
+  const { x, y, width, height } = el.bounds;
+  return { ...el, bounds: { x: x * factor, y: y * factor, width: width * factor, height: height * factor } };
+}
+
+describe('Figma vs. page correspondence', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('flattens a frame fetched from the Figma API into layers', async () => {
+    const fetchMock = vi.fn(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/nodes')
+        ? { nodes: { '1:2': { document: frameDocument() } } }
+        : { images: { '1:2': 'https://figma.example/render.png' } }),
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { node, imageUrl } = await new FigmaService('token').getNodeWithImage('FILE', '1:2');
+    expect(fetchMock.mock.calls[0][1].headers['X-Figma-Token']).toBe('token');
+    expect(imageUrl).toBe('https://figma.example/render.png');
+
+    const layers = flattenFigmaNode(node);
+    expect(layers.map(layer => [layer.id, layer.text])).toEqual([
+      ['component-1', 'Click me'],
+      ['text-1', 'Click me'],
+      ['component-2', 'Card title'],
+      ['text-2', 'Card title'],
+      ['text-9', 'Terms apply'],
+    ]);
+    expect(layers[0]).toMatchObject({
+      bounds: { x: 20, y: 20, width: 120, height: 40 },
+      fill: '#2563eb',
+      padding: { top: 10, right: 20, bottom: 10, left: 20 },
+    });
+    expect(layers[2].cornerRadius).toBe(componentWithVariables.structure.cornerRadius);
+  });
+
+  it('pairs layers with elements by text, position and size', () => {
+    const layers = flattenFigmaNode(frameDocument());
+    const expected = [
+      ['component-1', '.btn'],
+      ['text-1', '.btn > span'],
+      ['component-2', '.card'],
+      ['text-2', '.card h3'],
+    ];
+
+    const pairs = matchNodes(layers, PAGE_ELEMENTS, 1, 400);
+    expect(pairs.map(pair => [pair.layer.id, pair.element.selector])).toEqual(expected);
+    expect(pairs[0].score).toBe(1);
+
+    // Page rendered at twice the frame width: the frame is scaled to match
+    const scaled = matchNodes(layers, PAGE_ELEMENTS.map(el => scaleElement(el, 2)), 2, 800);
+    expect(scaled.map(pair => [pair.layer.id, pair.element.selector])).toEqual(expected);
+
+    expect(textSimilarity('Card  title', 'card title')).toBe(1);
+    expect(textSimilarity('Card title', 'Card subtitle')).toBe(0.5);
+  });
+
+  it('reports discrepancies per pair and missing text as issues', () => {
+    const figmaAsset = { id: 'f', inputType: 'figma', image: { url: '', width: 800, height: 800 }, figmaNodes: [frameDocument()] };
+    const pageAsset = { id: 'p', inputType: 'url', image: { url: '', width: 400, height: 400 }, domElements: PAGE_ELEMENTS };
+
+    const result = compareFigmaToPage(figmaAsset, pageAsset);
+    expect(result.scale).toBe(1);
+    expect(result.unmatchedLayers.map(layer => layer.id)).toEqual(['text-9']);
+    expect(result.unmatchedElements.map(el => el.selector)).toEqual(['main']);
+
+    const byLayer = Object.fromEntries(result.pairs.map(pair => [pair.layer.id, pair.discrepancies]));
+    expect(byLayer['component-1'].map(d => [d.property, d.actual, d.expected, d.status])).toEqual([
+      ['padding-right', '16px', '20px', 'fail'],
+      ['padding-left', '16px', '20px', 'fail'],
+    ]);
+    expect(byLayer['text-1']).toEqual([]);
+    expect(byLayer['component-2'].map(d => [d.property, d.status])).toEqual([['border-radius', 'fail']]);
+    expect(byLayer['text-2'].map(d => [d.property, d.actual, d.status])).toEqual([
+      ['color', '#111827', 'fail'],
+      ['font-family', 'Roboto', 'fail'],
+      ['font-size', '18px', 'warn'],
+    ]);
+
+    expect(result.issues.map(issue => issue.number)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(result.issues.filter(issue => issue.status === 'fail')).toHaveLength(5);
+    const missing = result.issues.find(issue => issue.property === 'content');
+    expect(missing).toMatchObject({ type: 'other', status: 'warn', marker: { x: 80, y: 348 } });
+    expect(result.issues.find(issue => issue.property === 'font-family')).toMatchObject({
+      marker: { x: 136, y: 128 },
+      source: { value: 'Roboto' },
+      message: '.card h3 (Figma "Title"): font-family is Roboto, design has Inter',
+    });
+
+    expect(() => compareFigmaToPage(figmaAsset, { ...pageAsset, domElements: [] })).toThrow('no DOM data');
+  });
+});
@@ -0,0 +1,122 @@
+// @vitest-environment node
+/**
+ * Issue Triage
+ * Allowlist suppression in the issue generators, triage persisted with saved
+ * runs, and triage in the report exports.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { generateIssues, generateAllIssues, issueFingerprint } from '../../src/lib/qa/issues/issueGenerator';
+import { summarizeTriage, siteKey } from '../../src/lib/qa/issues/triage';
+import { analyzeAsset } from '../../src/lib/qa/analysis';
+import { qaRunService } from '../../src/services/qaRunService';
+import { qaAllowlistService } from '../../src/services/qaAllowlistService';
+import { buildQAReport } from '../../src/lib/qa/export/qaReport';
+import { buildSarifReport } from '../../src/lib/qa/export/sarifExport';
+import { buildHtmlReport } from '../../src/lib/qa/export/htmlExport';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase, PRIMARY_TOKEN } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase({ tokens: [PRIMARY_TOKEN] }) };
+});
+
+function colorMatch(hex, status, y = 10) {
+  return {
+    source: {
+      hex,
+      rgb: { r: 0, g: 0, b: 0 },
+      percentage: 10,
+      bounds: { x: 0, y, width: 10, height: 10 },
+      centroid: { x: 5, y: y + 5 },
+    },
+    deltaE: status === 'pass' ? 0 : 30,
+    status,
+  };
+}
+
+function urlAsset(id, backgrounds) {
+  return {
+    id,
+    inputType: 'url',
+    image: { url: 'about:blank', width: 800, height: 600 },
+    domElements: backgrounds.map((backgroundColor, i) => ({
+      selector: `.block-${i}`,
+      bounds: { x: 0, y: i * 100, width: 800, height: 100 },
+      styles: { color: 'rgb(0, 0, 0)', backgroundColor, fontFamily: 'Inter', fontSize: '16px', fontWeight: '400' },
+      textContent: '',
+    })),
+    capturedAt: new Date('2026-04-01T00:00:00Z'),
+    metadata: { source: 'https://Shop.example.com/cart' },
+  };
+}
+
+describe('issue triage', () => {
+  it('suppresses allowlisted fingerprints and renumbers the rest', () => {
+    const matches = [colorMatch('#ff0000', 'fail'), colorMatch('#00ff00', 'fail', 50), colorMatch('#2563eb', 'pass')];
+    const allowlist = [issueFingerprint({ type: 'color', source: { value: '#ff0000' } })];
+
+    const issues = generateIssues(matches, [], [], { allowlist });
+    expect(issues.map(issue => [issue.number, issue.source.value])).toEqual([[1, '#00ff00']]);
+
+    const all = generateAllIssues(matches, [], [], { allowlist });
+    expect(all.map(issue => [issue.id, issue.source.value])).toEqual([
+      ['issue-1', '#00ff00'],
+      ['issue-2', '#2563eb'],
+    ]);
+    expect(generateAllIssues(matches, [])).toHaveLength(3);
+  });
+
+  it('persists triage with the run and suppresses accepted deviations on the next run', async () => {
+    const asset = urlAsset('qa-triage-1', ['rgb(255, 0, 0)', 'rgb(0, 128, 0)']);
+    const { extraction, issues } = await analyzeAsset(asset, 'theme-1');
+    expect(issues.map(issue => issue.source.value).sort()).toEqual(['#008000', '#ff0000']);
+
+    const run = await qaRunService.saveRun({ asset, themeId: 'theme-1', extraction, issues });
+    const red = issues.find(issue => issue.source.value === '#ff0000');
+    const triage = { state: 'accepted', assignee: 'sam', notes: 'Sale banner', updatedAt: '2026-04-01T10:00:00Z' };
+    await qaRunService.updateIssueTriage(run.id, red.number, triage);
+
+    const site = siteKey(asset.metadata.source);
+    expect(site).toBe('shop.example.com');
+    await qaAllowlistService.addIssue(site, red, triage.notes);
+
+    const saved = await qaRunService.getRun(run.id);
+    expect(saved.issues.find(issue => issue.number === red.number).triage).toEqual(triage);
+    expect(saved.issues.find(issue => issue.number !== red.number).triage).toBeUndefined();
+
+    // Another page of the same site: the accepted color is no longer reported
+    const next = urlAsset('qa-triage-2', ['rgb(255, 0, 0)', 'rgb(0, 128, 0)']);
+    next.metadata.source = 'https://shop.example.com/checkout';
+    expect((await analyzeAsset(next, 'theme-1')).issues.map(issue => issue.source.value)).toEqual(['#008000']);
+
+    await qaAllowlistService.removeIssue(site, red);
+    expect(await qaAllowlistService.getFingerprints(site)).toEqual([]);
+    expect((await analyzeAsset(next, 'theme-1')).issues).toHaveLength(2);
+  });
+
+  it('includes triage in the JSON, SARIF and HTML reports', () => {
+    const [accepted, fixed, open] = generateIssues(
+      [colorMatch('#ff0000', 'fail'), colorMatch('#00ff00', 'fail', 50), colorMatch('#0000ff', 'warn', 90)],
+      []
+    );
+    accepted.triage = { state: 'accepted', notes: 'Brand <red>' };
+    fixed.triage = { state: 'fixed', assignee: 'alex' };
+    const asset = { ...urlAsset('qa-report', []), domElements: null };
+
+    const report = buildQAReport(asset, [accepted, fixed, open]);
+    expect(report.summary.triage).toEqual({ open: 1, accepted: 1, fixed: 1, wont_fix: 0 });
+    expect(summarizeTriage(report.issues)).toEqual(report.summary.triage);
+    expect(report.issues[0].triage).toEqual(accepted.triage);
+
+    const [first, second, third] = buildSarifReport(report).runs[0].results;
+    expect(first.suppressions).toEqual([{ kind: 'external', status: 'accepted', justification: 'Brand <red>' }]);
+    expect(second.suppressions).toBeUndefined();
+    expect(second.properties.triage).toEqual({ state: 'fixed', assignee: 'alex' });
+    expect(third.properties.triage).toEqual({ state: 'open' });
+
+    const html = buildHtmlReport(report, null);
+    expect(html).toContain('<th>Triage</th>');
+    expect(html).toContain('Accepted (intentional)<br><em>Brand &lt;red&gt;</em>');
+    expect(html).toContain('Fixed<br>@alex');
+  });
+});
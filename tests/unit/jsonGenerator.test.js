@@ -301,9 +301,27 @@ describe('jsonGenerator', () => {
       expect(parsed['color-rgb']).toMatch(/^#[0-9a-f]{6}$/i);
     });
   });
-});
 
+  describe('Alias tokens', () => {
+    const aliasTokens = [
+      { path: 'Color/Brand/500', value: { hex: '#3b82f6' }, category: 'color', type: 'color', css_variable: '--color-brand-500' },
+      { path: 'Color/Button/Bg', value: { hex: '#000000' }, category: 'color', type: 'color', css_variable: '--color-button-bg', alias_path: 'Color/Brand/500' },
+    ];
 
+    it('should output resolved values by default', () => {
+      const parsed = JSON.parse(generateJSON(aliasTokens, { format: 'flat' }));
 
+      expect(parsed['color-button-bg']).toBe('#3b82f6');
+    });
 
+    it('should output references matching each format when outputReferences is enabled', () => {
+      const flat = JSON.parse(generateJSON(aliasTokens, { format: 'flat', outputReferences: true }));
+      const nested = JSON.parse(generateJSON(aliasTokens, { format: 'nested', outputReferences: true }));
+      const w3c = JSON.parse(generateJSON(aliasTokens, { format: 'w3c', outputReferences: true }));
 
+      expect(flat['color-button-bg']).toBe('{color-brand-500}');
+      expect(nested.color.button.bg).toBe('{color.brand.500}');
+      expect(w3c.Color.Button.Bg.$value).toBe('{Color.Brand.500}');
+    });
+  });
+});
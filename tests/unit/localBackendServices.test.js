@@ -0,0 +1,48 @@
+/**
+ * Services against the local data backend
+ * Runs real service code end to end without a Supabase project.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase() };
+});
+
+import { themeService } from '../../src/services/themeService';
+import { componentService } from '../../src/services/componentService';
+import { iconService } from '../../src/services/iconService';
+
+describe('services on the local backend', () => {
+  it('creates, reads, defaults and deletes themes', async () => {
+    const brand = await themeService.createTheme({ name: 'Brand Local' });
+    const other = await themeService.createTheme({ name: 'Other Local' });
+
+    await themeService.setDefaultTheme(brand.id);
+    await themeService.setDefaultTheme(other.id);
+
+    expect((await themeService.getTheme(brand.id)).is_default).toBe(false);
+    expect((await themeService.getThemeBySlug('other-local')).is_default).toBe(true);
+
+    await themeService.deleteTheme(brand.id);
+    await expect(themeService.getThemeBySlug('brand-local')).rejects.toMatchObject({ code: 'PGRST116' });
+  });
+
+  it('returns components with their examples', async () => {
+    const component = await componentService.createComponent({ name: 'Local Button', category: 'buttons' });
+    await componentService.addExample(component.id, { title: 'Basic', code: '<LocalButton />' });
+
+    const loaded = await componentService.getComponentBySlug('local-button');
+    expect(loaded.component_examples).toEqual([expect.objectContaining({ title: 'Basic' })]);
+    expect(loaded.component_images).toEqual([]);
+  });
+
+  it('stores icon SVGs and rejects duplicate slugs', async () => {
+    const icon = await iconService.createIcon({ name: 'Local Star', tags: ['shape'] }, '<svg viewBox="0 0 24 24"></svg>');
+
+    expect(icon.storage_path).toBe('custom/local-star.svg');
+    expect((await iconService.getIcons({ tags: ['shape'] })).map(i => i.slug)).toEqual(['local-star']);
+    await expect(iconService.createIcon({ name: 'Local Star' }, '<svg></svg>')).rejects.toThrow('already exists');
+  });
+});
@@ -0,0 +1,209 @@
+// @vitest-environment node
+/**
+ * Local Data Backend Tests
+ * The Supabase-compatible query engine over memory and file-system adapters.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLocalClient, parseSelect } from '../../src/lib/localDb/localClient';
+import { createMemoryAdapter } from '../../src/lib/localDb/memoryAdapter';
+import { createFileSystemAdapter } from '../../src/lib/localDb/fileSystemAdapter';
+
+describe('parseSelect', () => {
+  it('parses columns, aliases and nested embeds', () => {
+    expect(parseSelect('*, token_count:tokens(count)')).toEqual([
+      { type: 'star' },
+      { type: 'embed', alias: 'token_count', table: 'tokens', fields: [{ type: 'column', alias: 'count', name: 'count' }] },
+    ]);
+    expect(parseSelect(`
+      *,
+      typefaces(*, font_files(storage_path))
+    `)[1].fields[1]).toMatchObject({ type: 'embed', table: 'font_files' });
+  });
+});
+
+describe('createLocalClient', () => {
+  let supabase;
+  let theme;
+
+  beforeEach(async () => {
+    supabase = createLocalClient(createMemoryAdapter());
+    ({ data: theme } = await supabase
+      .from('themes')
+      .insert({ name: 'Brand', slug: 'brand' })
+      .select()
+      .single());
+  });
+
+  async function insertTokens(rows) {
+    const { error } = await supabase.from('tokens').insert(rows.map(row => ({
+      theme_id: theme.id, category: 'color', type: 'color', value: {}, css_variable: `--${row.path}`, ...row,
+    })));
+    expect(error).toBeNull();
+  }
+
+  it('applies column defaults, ids and timestamps on insert', () => {
+    expect(theme).toMatchObject({ name: 'Brand', status: 'draft', is_default: false, modes: ['light'] });
+    expect(theme.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(theme.created_at).toBe(theme.updated_at);
+  });
+
+  it('embeds related rows and counts', async () => {
+    await insertTokens([{ name: 'A', path: 'a' }, { name: 'B', path: 'b' }]);
+    const { data: typeface } = await supabase
+      .from('typefaces').insert({ theme_id: theme.id, role: 'display', family: 'Inter' }).select().single();
+    await supabase.from('font_files').insert({ typeface_id: typeface.id, storage_path: 'x.woff2', weight: 400 });
+
+    const { data } = await supabase
+      .from('themes')
+      .select('*, token_count:tokens(count), typefaces(*, font_files(storage_path))')
+      .eq('id', theme.id)
+      .single();
+
+    expect(data.token_count).toEqual([{ count: 2 }]);
+    expect(data.typefaces[0].font_files).toEqual([{ storage_path: 'x.woff2' }]);
+  });
+
+  it('supports filters, ordering and ranges', async () => {
+    await insertTokens([
+      { name: 'Primary', path: 'color/primary', sort_order: 2 },
+      { name: 'Secondary', path: 'color/secondary', sort_order: 1 },
+      { name: 'Gap', path: 'spacing/gap', category: 'spacing', sort_order: 3, alias_path: 'spacing/md' },
+    ]);
+    const paths = async (query) => (await query).data.map(row => row.path);
+    const tokens = () => supabase.from('tokens').select('path');
+
+    expect(await paths(tokens().order('sort_order'))).toEqual(['color/secondary', 'color/primary', 'spacing/gap']);
+    expect(await paths(tokens().order('sort_order', { ascending: false }).limit(1))).toEqual(['spacing/gap']);
+    expect(await paths(tokens().order('sort_order').range(1, 1))).toEqual(['color/primary']);
+    expect(await paths(tokens().ilike('name', '%ARY'))).toEqual(['color/primary', 'color/secondary']);
+    expect(await paths(tokens().or('path.ilike.%gap%,name.eq.Primary'))).toEqual(['color/primary', 'spacing/gap']);
+    expect(await paths(tokens().in('category', ['spacing']))).toEqual(['spacing/gap']);
+    expect(await paths(tokens().not('alias_path', 'is', null))).toEqual(['spacing/gap']);
+    expect(await paths(tokens().neq('category', 'color'))).toEqual(['spacing/gap']);
+
+    const { count, data } = await supabase.from('tokens').select('*', { count: 'exact', head: true });
+    expect(count).toBe(3);
+    expect(data).toBeNull();
+  });
+
+  it('matches array columns with contains and overlaps', async () => {
+    await supabase.from('icons').insert([
+      { name: 'Star', slug: 'star', tags: ['shape', 'favorite'] },
+      { name: 'Home', slug: 'home', tags: ['nav'] },
+    ]);
+
+    const { data: overlapping } = await supabase.from('icons').select('slug').overlaps('tags', ['nav', 'x']);
+    const { data: containing } = await supabase.from('icons').select('slug').contains('tags', ['shape']);
+
+    expect(overlapping).toEqual([{ slug: 'home' }]);
+    expect(containing).toEqual([{ slug: 'star' }]);
+  });
+
+  it('returns PGRST116 from single() when no row matches', async () => {
+    const { data, error } = await supabase.from('themes').select('*').eq('slug', 'missing').single();
+    expect(data).toBeNull();
+    expect(error.code).toBe('PGRST116');
+
+    const maybe = await supabase.from('themes').select('*').eq('slug', 'missing').maybeSingle();
+    expect(maybe).toMatchObject({ data: null, error: null });
+  });
+
+  it('enforces unique and foreign key constraints without partial writes', async () => {
+    const duplicate = await supabase.from('themes').insert([{ name: 'X', slug: 'x' }, { name: 'Again', slug: 'brand' }]);
+    expect(duplicate.error.code).toBe('23505');
+    expect((await supabase.from('themes').select('slug')).data).toEqual([{ slug: 'brand' }]);
+
+    const orphan = await supabase.from('tokens').insert({ theme_id: 'nope', name: 'A', path: 'a' });
+    expect(orphan.error.code).toBe('23503');
+  });
+
+  it('upserts on the conflict columns', async () => {
+    await insertTokens([{ name: 'Primary', path: 'color/primary', description: 'old' }]);
+
+    const { data } = await supabase
+      .from('tokens')
+      .upsert([
+        { theme_id: theme.id, path: 'color/primary', description: 'new' },
+        { theme_id: theme.id, path: 'color/accent', name: 'Accent', category: 'color', type: 'color', value: {}, css_variable: '--a' },
+      ], { onConflict: 'theme_id,path' })
+      .select();
+
+    expect(data).toHaveLength(2);
+    const { data: rows } = await supabase.from('tokens').select('path, name, description').order('path');
+    expect(rows).toEqual([
+      { path: 'color/accent', name: 'Accent', description: null },
+      { path: 'color/primary', name: 'Primary', description: 'new' },
+    ]);
+  });
+
+  it('cascades deletes and nulls self references', async () => {
+    await insertTokens([{ name: 'A', path: 'a' }]);
+    const { data: child } = await supabase
+      .from('themes').insert({ name: 'Child', slug: 'child', parent_theme_id: theme.id }).select().single();
+
+    await supabase.from('themes').delete().eq('id', theme.id);
+
+    expect((await supabase.from('tokens').select('*')).data).toEqual([]);
+    const { data: orphaned } = await supabase.from('themes').select('*').eq('id', child.id).single();
+    expect(orphaned.parent_theme_id).toBeNull();
+  });
+
+  it('reports unknown tables like PostgREST', async () => {
+    const { error } = await supabase.from('nope').select('*');
+    expect(error.code).toBe('PGRST205');
+  });
+
+  it('stores, lists and removes bucket files', async () => {
+    const fonts = supabase.storage.from('fonts');
+    await fonts.upload('t1/display/inter.woff2', new Blob(['abc']), { contentType: 'font/woff2' });
+
+    const conflict = await fonts.upload('t1/display/inter.woff2', new Blob(['x']));
+    expect(conflict.error.statusCode).toBe('409');
+
+    expect((await fonts.list('t1')).data).toEqual([expect.objectContaining({ name: 'display', id: null })]);
+    expect((await fonts.list('t1/display')).data[0]).toMatchObject({ name: 'inter.woff2', metadata: { size: 3, mimetype: 'font/woff2' } });
+    expect(await (await fonts.download('t1/display/inter.woff2')).data.text()).toBe('abc');
+    const { publicUrl } = fonts.getPublicUrl('t1/display/inter.woff2').data;
+    expect(publicUrl).toMatch(/^blob:/);
+    expect(fonts.getPublicUrl('t1/display/inter.woff2').data.publicUrl).toBe(publicUrl);
+
+    expect((await fonts.remove(['t1/display/inter.woff2', 'missing'])).data).toHaveLength(1);
+    expect((await fonts.download('t1/display/inter.woff2')).error.statusCode).toBe('404');
+  });
+});
+
+describe('createFileSystemAdapter', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'ds-local-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('persists rows and files across clients', async () => {
+    const first = createLocalClient(createFileSystemAdapter(dir));
+    await first.from('components').insert({ name: 'Button', slug: 'button' });
+    await first.storage.from('icons').upload('custom/star.svg', new Blob(['<svg/>']));
+
+    const second = createLocalClient(createFileSystemAdapter(dir));
+    const { data } = await second.from('components').select('slug, status');
+    const { data: file } = await second.storage.from('icons').download('custom/star.svg');
+
+    expect(data).toEqual([{ slug: 'button', status: 'draft' }]);
+    expect(file.type).toBe('image/svg+xml');
+    expect(await file.text()).toBe('<svg/>');
+    expect(second.storage.from('icons').getPublicUrl('custom/star.svg').data.publicUrl).toMatch(/^file:\/\/.*custom\/star\.svg$/);
+  });
+
+  it('rejects storage paths outside the bucket', async () => {
+    const adapter = createFileSystemAdapter(dir);
+    expect(() => adapter.getPublicUrl('icons', '../../tables/themes.json')).toThrow('Invalid storage path');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Native token generator tests (iOS Swift, Android XML, Jetpack Compose)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateSwift } from '../../src/services/generators/swiftGenerator.js';
+import { generateAndroidResources } from '../../src/services/generators/androidGenerator.js';
+import { generateCompose } from '../../src/services/generators/composeGenerator.js';
+import { toNativeSize, tokenToRgba } from '../../src/services/generators/nativeTokenUtils.js';
+
+const sampleTokens = [
+  { path: 'Color/Primary/500', category: 'color', type: 'color', value: { hex: '#3b82f6' }, css_variable: '--color-primary-500' },
+  { path: 'Color/Action', category: 'color', type: 'color', value: { hex: '#000000' }, css_variable: '--color-action', alias_path: 'Color/Primary/500' },
+  { path: 'Spacing/md', category: 'spacing', type: 'dimension', value: { value: 1, unit: 'rem' }, css_variable: '--spacing-md' },
+  { path: 'Radius/lg', category: 'radius', type: 'dimension', value: { value: 12, unit: 'px' }, css_variable: '--radius-lg' },
+  { path: 'Typography/FontSize/base', category: 'typography', type: 'dimension', value: { value: 0.875, unit: 'rem' }, css_variable: '--font-size-base' },
+  { path: 'Typography/FontWeight/bold', category: 'typography', type: 'fontWeight', value: { value: 700 }, css_variable: '--font-weight-bold' },
+];
+
+describe('nativeTokenUtils', () => {
+  it('converts rem to native units with the base font size and keeps px 1:1', () => {
+    expect(toNativeSize('1.5rem')).toBe(24);
+    expect(toNativeSize('1.5rem', 10)).toBe(15);
+    expect(toNativeSize('12px')).toBe(12);
+    expect(toNativeSize('50%')).toBeNull();
+  });
+
+  it('reads alpha from 8-digit hex and rgba colors', () => {
+    expect(tokenToRgba({ category: 'color', type: 'color', value: { hex: '#ff000080' } }))
+      .toEqual({ r: 255, g: 0, b: 0, a: 0.502 });
+    expect(tokenToRgba({ category: 'color', type: 'color', value: 'rgba(0, 0, 255, 0.5)' }))
+      .toEqual({ r: 0, g: 0, b: 255, a: 0.5 });
+  });
+});
+
+describe('swiftGenerator', () => {
+  it('generates UIColor and SwiftUI Color extensions', () => {
+    const result = generateSwift(sampleTokens, { includeHeader: false });
+
+    expect(result).toContain('import SwiftUI');
+    expect(result).toContain('static let colorPrimary500 = UIColor(red: 0.231, green: 0.51, blue: 0.965, alpha: 1)');
+    expect(result).toContain('static let colorPrimary500 = Color(.sRGB, red: 0.231, green: 0.51, blue: 0.965, opacity: 1)');
+  });
+
+  it('generates CGFloat constants in points', () => {
+    const result = generateSwift(sampleTokens, { includeHeader: false });
+
+    expect(result).toContain('public enum DesignTokens {');
+    expect(result).toContain('public static let spacingMd: CGFloat = 16');
+    expect(result).toContain('public static let radiusLg: CGFloat = 12');
+    expect(result).toContain('public static let fontSizeBase: CGFloat = 14');
+    expect(result).not.toContain('Bold');
+  });
+
+  it('references alias targets with outputReferences', () => {
+    expect(generateSwift(sampleTokens, { outputReferences: true }))
+      .toContain('static let colorAction = UIColor.colorPrimary500');
+    expect(generateSwift(sampleTokens))
+      .toContain('static let colorAction = UIColor(red: 0.231');
+  });
+});
+
+describe('androidGenerator', () => {
+  it('generates #AARRGGBB color resources', () => {
+    const { 'colors.xml': colors } = generateAndroidResources(sampleTokens, { includeHeader: false });
+
+    expect(colors).toContain('<?xml version="1.0" encoding="utf-8"?>');
+    expect(colors).toContain('<color name="color_primary_500">#FF3B82F6</color>');
+  });
+
+  it('generates dimensions in dp and font sizes in sp', () => {
+    const { 'dimens.xml': dimens } = generateAndroidResources(sampleTokens);
+
+    expect(dimens).toContain('<dimen name="spacing_md">16dp</dimen>');
+    expect(dimens).toContain('<dimen name="radius_lg">12dp</dimen>');
+    expect(dimens).toContain('<dimen name="font_size_base">14sp</dimen>');
+  });
+
+  it('emits @color references with outputReferences', () => {
+    const { 'colors.xml': colors } = generateAndroidResources(sampleTokens, { outputReferences: true });
+
+    expect(colors).toContain('<color name="color_action">@color/color_primary_500</color>');
+  });
+});
+
+describe('composeGenerator', () => {
+  it('generates grouped objects with Color, dp and sp values', () => {
+    const result = generateCompose(sampleTokens, { includeHeader: false, packageName: 'com.acme.tokens' });
+
+    expect(result).toContain('package com.acme.tokens');
+    expect(result).toContain('val Primary500 = Color(0xFF3B82F6)');
+    expect(result).toContain('val Md = 16.dp');
+    expect(result).toContain('val Lg = 12.dp');
+    expect(result).toContain('val Base = 14.sp');
+  });
+
+  it('references alias targets with outputReferences', () => {
+    expect(generateCompose(sampleTokens, { outputReferences: true })).toContain('val Action = Primary500');
+  });
+});
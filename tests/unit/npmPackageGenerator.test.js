@@ -0,0 +1,176 @@
+// @vitest-environment node
+/**
+ * npm Package Generator
+ * Components compiled to ESM and CJS, type declarations from props, and a
+ * package.json that installs as a library.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import { renderToStaticMarkup } from 'react-dom/server';
+import {
+  generateComponentLibrary,
+  generateComponentTypes,
+  generatePackageJson,
+  prepareModuleSource,
+  toPackageName,
+} from '../../src/services/generators/npmPackageGenerator';
+
+const nodeRequire = createRequire(import.meta.url);
+
+const BUTTON = {
+  name: 'Primary Button',
+  slug: 'primary-button',
+  description: 'Main call to action',
+  code: `interface ButtonProps { label: string; variant?: 'primary' | 'ghost' }
+
+export default function PrimaryButton({ label, variant = 'primary' }: ButtonProps) {
+  const [count, setCount] = useState(0);
+  return (
+    <button className={\`btn btn-\${variant}\`} onClick={() => setCount(count + 1)}>
+      <Icon name="star" size={16} />
+      {label}
+    </button>
+  );
+}`,
+  props: [
+    { name: 'label', type: 'string', required: true, description: 'Button text', default: '' },
+    { name: 'variant', type: 'enum', required: false, default: 'primary', options: ['primary', 'ghost'] },
+    { name: 'children', type: 'ReactNode', required: false },
+    { name: 'aria-label', type: 'string' },
+  ],
+};
+
+const BADGE = {
+  name: 'Badge',
+  code: `import React from 'react';
+const Badge = ({ text }) => <span className="badge">{text}</span>;`,
+  props: [{ name: 'text', type: 'string' }],
+};
+
+/**
+ * Load a CommonJS module from the generated files map
+ */
+function loadCjs(files, path) {
+  const cache = {};
+  const load = (file) => {
+    if (cache[file]) return cache[file].exports;
+    const module = { exports: {} };
+    cache[file] = module;
+    const dir = file.slice(0, file.lastIndexOf('/'));
+    const localRequire = (specifier) => {
+      if (!specifier.startsWith('.')) return nodeRequire(specifier);
+      const parts = `${dir}/${specifier}`.split('/');
+      const resolved = [];
+      for (const part of parts) {
+        if (part === '..') resolved.pop();
+        else if (part !== '.') resolved.push(part);
+      }
+      return load(resolved.join('/'));
+    };
+    new Function('require', 'module', 'exports', files[file])(localRequire, module, module.exports);
+    return module.exports;
+  };
+  return load(path);
+}
+
+describe('npm package generator', () => {
+  it('compiles components to ESM and CJS with an index barrel', () => {
+    const { files, exported, failed } = generateComponentLibrary([BUTTON, BADGE, { name: 'Broken', code: 'export default () => <div' }]);
+
+    expect(exported).toEqual([
+      { name: 'PrimaryButton', slug: 'primary-button' },
+      { name: 'Badge', slug: 'badge' },
+    ]);
+    expect(failed.map(f => f.name)).toEqual(['Broken']);
+    expect(Object.keys(files).sort()).toEqual([
+      'dist/components/badge.cjs',
+      'dist/components/badge.d.ts',
+      'dist/components/badge.mjs',
+      'dist/components/primary-button.cjs',
+      'dist/components/primary-button.d.ts',
+      'dist/components/primary-button.mjs',
+      'dist/icon.cjs',
+      'dist/icon.d.ts',
+      'dist/icon.mjs',
+      'dist/index.cjs',
+      'dist/index.d.ts',
+      'dist/index.mjs',
+    ]);
+
+    // ESM keeps imports with .mjs paths and uses the automatic JSX runtime
+    expect(files['dist/components/primary-button.mjs']).toContain("from '../icon.mjs'");
+    expect(files['dist/components/primary-button.mjs']).toContain('react/jsx-runtime');
+    expect(files['dist/components/primary-button.mjs']).not.toContain('interface');
+    expect(files['dist/index.mjs']).toContain("export { default as Badge } from './components/badge.mjs'");
+
+    // The CJS build runs and renders in Node
+    const lib = loadCjs(files, 'dist/index.cjs');
+    lib.registerIcons({ star: '<svg></svg>' });
+    const React = nodeRequire('react');
+    expect(renderToStaticMarkup(React.createElement(lib.PrimaryButton, { label: 'Save', variant: 'ghost' })))
+      .toBe('<button class="btn btn-ghost"><span class="icon icon-star " style="display:inline-flex;width:16px;height:16px;color:currentColor"><svg></svg></span>Save</button>');
+    expect(renderToStaticMarkup(React.createElement(lib.Badge, { text: 'New' }))).toBe('<span class="badge">New</span>');
+  });
+
+  it('generates declarations from props and self-contained module source', () => {
+    expect(generateComponentTypes(BUTTON, 'PrimaryButton')).toBe(`import * as React from 'react';
+
+export interface PrimaryButtonProps {
+  /** Button text */
+  label: string;
+  /** @default primary */
+  variant?: "primary" | "ghost";
+  children?: React.ReactNode;
+  "aria-label"?: string;
+}
+
+/** Main call to action */
+declare function PrimaryButton(props: PrimaryButtonProps): React.ReactElement | null;
+export default PrimaryButton;
+`);
+
+    const source = prepareModuleSource(BADGE.code, 'Badge');
+    expect(source.startsWith("import React from 'react'")).toBe(true);
+    expect(source.trim().endsWith('export default Badge;')).toBe(true);
+    expect(prepareModuleSource(BUTTON.code, BUTTON.name).split('\n').slice(0, 3)).toEqual([
+      "import * as React from 'react';",
+      'const { useState } = React;',
+      "import { Icon } from '../icon.mjs';",
+    ]);
+  });
+
+  it('writes package.json with exports, files and a React peer dependency', () => {
+    const { files } = generateComponentLibrary([BADGE]);
+    files['dist/tokens.css'] = ':root {}';
+    files['dist/tailwind.config.js'] = 'module.exports = {}';
+    files['ios/DesignTokens.swift'] = '';
+
+    const pkg = JSON.parse(generatePackageJson(files, { projectName: 'Acme UI', version: '2.1.0' }));
+    expect(pkg).toEqual({
+      name: 'acme-ui',
+      version: '2.1.0',
+      description: 'Acme UI design system',
+      main: './dist/index.cjs',
+      module: './dist/index.mjs',
+      types: './dist/index.d.ts',
+      exports: {
+        '.': { types: './dist/index.d.ts', import: './dist/index.mjs', require: './dist/index.cjs' },
+        './tokens.css': './dist/tokens.css',
+        './tailwind.config': './dist/tailwind.config.js',
+        './tailwind.preset': './dist/tailwind.config.js',
+        './package.json': './package.json',
+      },
+      files: ['dist'],
+      sideEffects: ['*.css'],
+      peerDependencies: { react: '>=17.0.0' },
+    });
+
+    const tokensOnly = JSON.parse(generatePackageJson({ 'dist/tokens.json': '{}' }, { projectName: 'x', version: '1.0.0' }));
+    expect(tokensOnly.main).toBeUndefined();
+    expect(tokensOnly.peerDependencies).toBeUndefined();
+    expect(tokensOnly.exports).toEqual({ './tokens.json': './dist/tokens.json', './package.json': './package.json' });
+
+    expect(toPackageName('@Acme/Design System')).toBe('@acme/design-system');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * QA fix patches
+ * Locating hardcoded values in CSS, inline styles and Tailwind classes, and
+ * the unified diff that swaps them for tokens.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { locateIssueValues, buildPatch, createUnifiedDiff } from '../../src/lib/qa/patches/patchGenerator';
+import { stripCommonRoot, isSourcePath } from '../../src/lib/qa/patches/sourceBundle';
+
+function issue(number, type, value, suggestion, extra = {}) {
+  return {
+    id: `issue-${number}`,
+    number,
+    type,
+    status: 'fail',
+    message: `${type} ${value}`,
+    marker: { x: 0, y: 0 },
+    bounds: { x: 0, y: 0, width: 1, height: 1 },
+    source: { value },
+    suggestion,
+    ...extra,
+  };
+}
+
+const colorIssue = issue(1, 'color', '#2564eb', {
+  tokenName: 'Color/Primary/500',
+  cssVariable: 'var(--color-primary-500)',
+  value: '#2563eb',
+});
+const paddingIssue = issue(
+  2,
+  'spacing',
+  '13px',
+  { tokenName: 'Spacing/md', cssVariable: 'var(--spacing-md)', value: '12px' },
+  { property: 'padding-top' }
+);
+const shadowIssue = issue(
+  3,
+  'shadow',
+  'rgba(0, 0, 0, 0.12) 0px 1px 3px 0px',
+  { tokenName: 'Shadow/sm', cssVariable: 'var(--shadow-sm)', value: '0 1px 2px rgba(0,0,0,0.1)' },
+  { property: 'box-shadow' }
+);
+
+const cssModule = {
+  path: 'src/components/Card.module.css',
+  content: [
+    ':root {',
+    '  --brand: #2564eb;',
+    '}',
+    '',
+    '.card {',
+    '  padding: 13px 8px;',
+    '  gap: 13px;',
+    '  border: 1px solid #2564EB;',
+    '  box-shadow: 0 1px 3px rgba(0,0,0,.12);',
+    '}',
+    '',
+  ].join('\n'),
+};
+
+const component = {
+  path: 'src/components/Button.jsx',
+  content: [
+    'export function Button() {',
+    '  return (',
+    '    <button className="hover:bg-[#2564eb] pt-[13px] -mt-[13px] text-white" style={{ color: \'rgb(37, 100, 235)\' }}>',
+    '      Go',
+    '    </button>',
+    '  );',
+    '}',
+  ].join('\n'),
+};
+
+describe('QA fix patches', () => {
+  it('locates values by file, line and property family', () => {
+    const { edits, unmapped } = locateIssueValues([colorIssue, paddingIssue, shadowIssue], [cssModule, component]);
+
+    expect(unmapped).toEqual([]);
+    expect(edits.map(({ path, line, original, replacement, kind }) => [path.split('/').pop(), line, kind, original, replacement])).toEqual([
+      ['Button.jsx', 3, 'tailwind', 'bg-[#2564eb]', 'bg-primary-500'],
+      ['Button.jsx', 3, 'tailwind', 'pt-[13px]', 'pt-md'],
+      ['Button.jsx', 3, 'style', 'rgb(37, 100, 235)', 'var(--color-primary-500)'],
+      ['Card.module.css', 6, 'css', '13px', 'var(--spacing-md)'],
+      ['Card.module.css', 8, 'css', '#2564EB', 'var(--color-primary-500)'],
+      ['Card.module.css', 9, 'css', '0 1px 3px rgba(0,0,0,.12)', 'var(--shadow-sm)'],
+    ]);
+    // Token definitions, the 13px gap and the negative margin are left alone
+    expect(edits.find((edit) => edit.line === 2)).toBeUndefined();
+    expect(edits.find((edit) => edit.line === 7)).toBeUndefined();
+  });
+
+  it('uses the Tailwind prefix and negative values', () => {
+    const negativeMargin = issue(
+      4,
+      'spacing',
+      '-13px',
+      { tokenName: 'Spacing/md', cssVariable: 'var(--spacing-md)', value: '12px' },
+      { property: 'margin-top' }
+    );
+    const css = { path: 'a.css', content: '.a { margin-top: -13px; }' };
+
+    const { edits } = locateIssueValues([negativeMargin, colorIssue], [component, css], { tailwindPrefix: 'ds' });
+
+    expect(edits.map(({ path, replacement }) => [path, replacement])).toEqual([
+      ['a.css', 'calc(var(--spacing-md) * -1)'],
+      ['src/components/Button.jsx', 'bg-ds-primary-500'],
+      ['src/components/Button.jsx', '-mt-ds-md'],
+      ['src/components/Button.jsx', 'var(--color-primary-500)'],
+    ]);
+  });
+
+  it('builds a unified diff that git can apply', () => {
+    const { edits } = locateIssueValues([colorIssue, paddingIssue, shadowIssue], [cssModule]);
+    const patch = buildPatch([cssModule, component], edits);
+
+    expect(patch).toBe(
+      [
+        'diff --git a/src/components/Card.module.css b/src/components/Card.module.css',
+        '--- a/src/components/Card.module.css',
+        '+++ b/src/components/Card.module.css',
+        '@@ -3,8 +3,8 @@',
+        ' }',
+        ' ',
+        ' .card {',
+        '-  padding: 13px 8px;',
+        '+  padding: var(--spacing-md) 8px;',
+        '   gap: 13px;',
+        '-  border: 1px solid #2564EB;',
+        '-  box-shadow: 0 1px 3px rgba(0,0,0,.12);',
+        '+  border: 1px solid var(--color-primary-500);',
+        '+  box-shadow: var(--shadow-sm);',
+        ' }',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('marks a missing final newline', () => {
+    expect(createUnifiedDiff('a.css', 'a {}\nb { color: red }', 'a {}\nb { color: blue }')).toBe(
+      [
+        'diff --git a/a.css b/a.css',
+        '--- a/a.css',
+        '+++ b/a.css',
+        '@@ -1,2 +1,2 @@',
+        ' a {}',
+        '-b { color: red }',
+        '\\ No newline at end of file',
+        '+b { color: blue }',
+        '\\ No newline at end of file',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('normalizes bundle paths', () => {
+    expect(stripCommonRoot([{ path: 'app/src/a.css', content: '' }, { path: 'app/b.jsx', content: '' }]).map((f) => f.path))
+      .toEqual(['src/a.css', 'b.jsx']);
+    expect(isSourcePath('src/Button.tsx')).toBe(true);
+    expect(isSourcePath('node_modules/x/index.js')).toBe(false);
+    expect(isSourcePath('logo.png')).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Pixel diff for the Compare workspace
+ * Alignment, ΔE2000 diff, heatmap and region clustering on synthetic images.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  alignImages,
+  computePixelDiff,
+  createHeatmap,
+  clusterChangedRegions,
+  diffImages,
+  resizeImage,
+  MISSING_DELTA_E,
+} from '../../src/lib/qa/comparison/pixelDiff';
+
+function solid(width, height, [r, g, b] = [255, 255, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return { data, width, height };
+}
+
+function fillRect(image, x, y, width, height, [r, g, b]) {
+  for (let yy = y; yy < y + height; yy++) {
+    for (let xx = x; xx < x + width; xx++) {
+      const i = (yy * image.width + xx) * 4;
+      image.data[i] = r;
+      image.data[i + 1] = g;
+      image.data[i + 2] = b;
+    }
+  }
+  return image;
+}
+
+describe('pixel diff', () => {
+  it('reports no change for identical images', () => {
+    const image = fillRect(solid(40, 30), 5, 5, 10, 10, [37, 99, 235]);
+    const diff = computePixelDiff(image, image);
+
+    expect(diff.changedPixels).toBe(0);
+    expect(diff.maxDeltaE).toBe(0);
+    expect(clusterChangedRegions(diff)).toEqual([]);
+  });
+
+  it('clusters changed pixels into regions and issues', () => {
+    const source = fillRect(solid(100, 80), 10, 10, 20, 10, [37, 99, 235]);
+    const target = fillRect(solid(100, 80), 10, 10, 20, 10, [220, 38, 38]);
+    fillRect(target, 70, 60, 4, 4, [250, 250, 250]);
+
+    const { diff, regions, issues, heatmap } = diffImages(source, target, { maxShift: 0 });
+
+    expect(diff.changedPixels).toBe(200);
+    expect(regions).toHaveLength(1);
+    expect(regions[0].bounds).toEqual({ x: 10, y: 10, width: 20, height: 10 });
+    expect(regions[0].centroid).toEqual({ x: 20, y: 15 });
+
+    expect(issues).toEqual([
+      expect.objectContaining({ id: 'issue-1', type: 'visual', status: 'fail', bounds: regions[0].bounds }),
+    ]);
+    expect(issues[0].message).toMatch(/^Visual change in 20×10 region \(mean ΔE: \d+\.\d/);
+
+    // Heatmap is transparent where nothing changed
+    expect(heatmap.data[3]).toBe(0);
+    expect(heatmap.data[(12 * 100 + 12) * 4 + 3]).toBeGreaterThan(0);
+    expect(createHeatmap(diff).width).toBe(100);
+  });
+
+  it('scales and shifts the target onto the source', () => {
+    const source = fillRect(solid(60, 40), 20, 10, 12, 12, [0, 0, 0]);
+    // Same content at 2x, drawn 4 source pixels further right and 2 further down
+    const target = fillRect(solid(120, 80), 48, 24, 24, 24, [0, 0, 0]);
+
+    const aligned = alignImages(source, target, { maxShift: 8 });
+
+    expect(aligned.scale).toBe(0.5);
+    expect(aligned.offset).toEqual({ x: -4, y: -2 });
+
+    // Inside the overlap only anti-aliased edges differ; the strips the shifted
+    // target no longer covers count as missing
+    const diff = computePixelDiff(aligned.source, aligned.target);
+    let changedInOverlap = 0;
+    for (let y = 0; y < 38; y++) {
+      for (let x = 0; x < 56; x++) {
+        if (diff.deltas[y * 60 + x] >= diff.threshold) changedInOverlap++;
+      }
+    }
+    expect(changedInOverlap).toBeLessThan(20);
+    expect(diff.deltas[39 * 60 + 59]).toBe(MISSING_DELTA_E);
+  });
+
+  it('marks areas only one image covers as missing', () => {
+    const source = solid(20, 20);
+    const target = solid(20, 10);
+
+    const { aligned, diff, issues } = diffImages(source, target, { maxShift: 0 });
+
+    expect(aligned.target.height).toBe(20);
+    expect(diff.deltas[15 * 20 + 5]).toBe(MISSING_DELTA_E);
+    expect(issues[0].message).toBe('Content missing in 20×10 region');
+  });
+
+  it('resizes with bilinear sampling', () => {
+    const image = solid(4, 4, [100, 100, 100]);
+    expect(resizeImage(image, 2, 2).data.slice(0, 4)).toEqual(new Uint8ClampedArray([100, 100, 100, 255]));
+  });
+});
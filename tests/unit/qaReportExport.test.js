@@ -0,0 +1,114 @@
+/**
+ * QA report exports
+ * Structured report, SARIF log and self-contained HTML built from a capture.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildQAReport, reportFileStem, REPORT_SCHEMA_VERSION } from '../../src/lib/qa/export/qaReport';
+import { buildSarifReport } from '../../src/lib/qa/export/sarifExport';
+import { buildHtmlReport } from '../../src/lib/qa/export/htmlExport';
+
+const asset = {
+  id: 'qa-1',
+  inputType: 'url',
+  image: { url: 'blob:capture', width: 1000, height: 500 },
+  domElements: [
+    {
+      selector: '.hero > .cta',
+      bounds: { x: 100, y: 100, width: 200, height: 50 },
+      styles: { color: 'rgb(37, 100, 235)', backgroundColor: 'rgb(255, 255, 255)' },
+    },
+  ],
+  capturedAt: new Date('2026-03-01T10:00:00Z'),
+  metadata: { source: 'https://example.com/pricing' },
+};
+
+const issues = [
+  {
+    id: 'issue-1',
+    number: 1,
+    type: 'color',
+    status: 'fail',
+    message: 'Color #2564eb is not a design token',
+    marker: { x: 200, y: 125 },
+    bounds: { x: 100, y: 100, width: 200, height: 50 },
+    source: { value: '#2564eb' },
+    suggestion: { cssVariable: 'var(--color-primary)', value: '#2563eb' },
+  },
+  {
+    id: 'issue-2',
+    number: 2,
+    type: 'spacing',
+    status: 'warn',
+    property: 'padding',
+    message: 'Padding 13px <is> off the spacing scale',
+    marker: { x: 900, y: 450 },
+    bounds: { x: 850, y: 400, width: 100, height: 100 },
+    source: { value: '13px' },
+  },
+];
+
+describe('QA report exports', () => {
+  it('builds a structured report with selectors and fixes', () => {
+    const report = buildQAReport(asset, issues);
+
+    expect(report.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+    expect(report.source).toMatchObject({
+      inputType: 'url',
+      url: 'https://example.com/pricing',
+      capturedAt: '2026-03-01T10:00:00.000Z',
+      image: { width: 1000, height: 500 },
+    });
+    expect(report.summary).toMatchObject({ total: 2, fail: 1, warn: 1, byType: { color: 1, spacing: 1 } });
+    expect(report.issues[0].selector).toBe('.hero > .cta');
+    expect(report.issues[0].fix).toMatchObject({ property: 'color', newValue: 'var(--color-primary)' });
+    expect(report.issues[0].fix.issueId).toBeUndefined();
+    // No suggestion, no fix
+    expect(report.issues[1].fix).toBeUndefined();
+    expect(reportFileStem(report)).toMatch(/^qa-report-example-com-pricing-\d{4}-\d{2}-\d{2}$/);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  it('maps issues to SARIF results with selector locations', () => {
+    const sarif = buildSarifReport(buildQAReport(asset, issues));
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual(['qa/color', 'qa/spacing']);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'qa/color',
+      ruleIndex: 0,
+      level: 'error',
+      partialFingerprints: { 'qaIssue/v1': 'color||#2564eb' },
+    });
+    expect(run.results[0].locations[0]).toEqual({
+      physicalLocation: { artifactLocation: { uri: 'https://example.com/pricing', index: 0 } },
+      logicalLocations: [
+        {
+          name: '.hero > .cta',
+          fullyQualifiedName: 'https://example.com/pricing#.hero > .cta',
+          kind: 'element',
+        },
+      ],
+    });
+    expect(run.results[1].level).toBe('warning');
+  });
+
+  it('gives every SARIF rule its own name', () => {
+    const typed = ['font', 'typography'].map((type, index) => ({ ...issues[0], id: `issue-${type}`, number: index + 1, type }));
+    const [run] = buildSarifReport(buildQAReport(asset, typed)).runs;
+
+    expect(run.tool.driver.rules.map((rule) => rule.name)).toEqual(['OffTokenFont', 'OffTokenTypography']);
+  });
+
+  it('renders a self-contained HTML report with markers and an escaped issue table', () => {
+    const html = buildHtmlReport(buildQAReport(asset, issues), 'data:image/png;base64,AAAA');
+
+    expect(html).toContain('<img src="data:image/png;base64,AAAA"');
+    expect(html).toContain('href="#issue-1" style="left:20.000%;top:25.000%');
+    expect(html).toContain('<tr id="issue-2">');
+    expect(html).toContain('Padding 13px &lt;is&gt; off the spacing scale');
+    expect(html).toContain('<code>.hero &gt; .cta</code>');
+    expect(html).not.toMatch(/<(link|script)\b/);
+  });
+});
@@ -0,0 +1,118 @@
+// @vitest-environment node
+/**
+ * QA Run Service Tests
+ * Runs against the in-memory local backend.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase() };
+});
+
+import { qaRunService, compareIssues, runToAsset } from '../../src/services/qaRunService';
+
+function issue(number, type, value, marker = { x: 10, y: 10 }, extra = {}) {
+  return {
+    id: `issue-${number}`,
+    number,
+    type,
+    status: 'fail',
+    message: `${type} ${value}`,
+    marker,
+    bounds: { x: marker.x - 5, y: marker.y - 5, width: 10, height: 10 },
+    source: { value },
+    ...extra,
+  };
+}
+
+function urlAsset(id) {
+  return {
+    id,
+    inputType: 'url',
+    image: { url: 'blob:x', blob: new Blob(['png'], { type: 'image/png' }), width: 1440, height: 900 },
+    domElements: [{ selector: '.card', bounds: { x: 0, y: 0, width: 10, height: 10 }, styles: {}, textContent: '' }],
+    capturedAt: new Date('2026-01-01T00:00:00Z'),
+    metadata: { source: 'https://example.com' },
+  };
+}
+
+describe('compareIssues', () => {
+  it('splits issues into new, resolved and unchanged by fingerprint', () => {
+    const previous = [
+      issue(1, 'color', '#ff0000'),
+      issue(2, 'font', 'Arial 13px', { x: 10, y: 10 }),
+      issue(3, 'font', 'Arial 13px', { x: 10, y: 300 }),
+      issue(4, 'spacing', '13px', undefined, { property: 'padding' }),
+    ];
+    const current = [
+      issue(1, 'font', 'Arial 13px', { x: 12, y: 305 }),
+      issue(2, 'spacing', '13px', undefined, { property: 'margin' }),
+      issue(3, 'color', '#ff0000'),
+    ];
+
+    const result = compareIssues(previous, current);
+
+    expect(result.unchanged.map(i => i.id)).toEqual(['issue-1', 'issue-3']);
+    expect(result.new.map(i => i.message)).toEqual(['spacing 13px']);
+    expect(result.resolved.map(i => i.id)).toEqual(['issue-2', 'issue-4']);
+  });
+});
+
+describe('qaRunService', () => {
+  it('saves runs and compares re-runs of the same URL', async () => {
+    const first = await qaRunService.saveRun({
+      asset: urlAsset('qa-1'),
+      themeId: null,
+      extraction: { colors: [], fonts: [] },
+      issues: [issue(1, 'color', '#ff0000'), issue(2, 'color', '#00ff00')],
+    });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await qaRunService.saveRun({
+      asset: urlAsset('qa-2'),
+      themeId: null,
+      extraction: { colors: [], fonts: [] },
+      issues: [issue(1, 'color', '#00ff00'), issue(2, 'color', '#0000ff')],
+    });
+
+    expect(first).toMatchObject({ source_url: 'https://example.com', issue_count: 2, fail_count: 2, image_path: 'runs/qa-1.png' });
+    expect(await qaRunService.compareWithPrevious(first)).toBeNull();
+
+    const comparison = await qaRunService.compareWithPrevious(second);
+    expect(comparison.previousRun.id).toBe(first.id);
+    expect(comparison.new.map(i => i.source.value)).toEqual(['#0000ff']);
+    expect(comparison.resolved.map(i => i.source.value)).toEqual(['#ff0000']);
+    expect(comparison.unchanged.map(i => i.source.value)).toEqual(['#00ff00']);
+
+    const runs = await qaRunService.getRuns({ sourceUrl: 'https://example.com' });
+    expect(runs.map(r => r.id)).toEqual([second.id, first.id]);
+    expect(runs[0].asset).toBeUndefined();
+  });
+
+  it('restores a saved run as an asset with its issues', async () => {
+    const saved = await qaRunService.saveRun({
+      asset: urlAsset('qa-3'),
+      themeId: null,
+      extraction: { colors: [{ hex: '#ff0000' }], fonts: [], boxStyles: [] },
+      issues: [issue(1, 'spacing', '13px', undefined, { property: 'padding-top', suggestion: { cssVariable: 'var(--spacing-md)', value: '12px' } })],
+    });
+
+    const run = await qaRunService.getRun(saved.id);
+    expect(run.issues).toEqual([saved.issues[0]]);
+    expect(run.extraction.colors).toEqual([{ hex: '#ff0000' }]);
+
+    const asset = runToAsset(run, qaRunService.getImageUrl(run.image_path));
+    expect(asset).toMatchObject({
+      id: saved.id,
+      inputType: 'url',
+      image: { width: 1440, height: 900 },
+      metadata: { source: 'https://example.com' },
+    });
+    expect(asset.image.url).toBeTruthy();
+    expect(asset.domElements).toHaveLength(1);
+
+    await qaRunService.deleteRun(saved.id);
+    expect(await qaRunService.getRun(saved.id)).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+// @vitest-environment node
+/**
+ * QA Settings
+ * ΔE formulas, settings honored by the color and font matchers and the issue
+ * generator, and settings saved per theme applied by analysis.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { deltaE } from '../../src/lib/qa/matching/deltaE';
+import { matchColorsSync } from '../../src/lib/qa/matching/colorMatcher';
+import { matchFontsSync } from '../../src/lib/qa/matching/fontMatcher';
+import { generateIssues } from '../../src/lib/qa/issues/issueGenerator';
+import { normalizeQASettings, DEFAULT_QA_SETTINGS } from '../../src/lib/qa/qaSettings';
+import { analyzeAsset } from '../../src/lib/qa/analysis';
+import { qaSettingsService } from '../../src/services/qaSettingsService';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase, PRIMARY_TOKEN } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase({ tokens: [PRIMARY_TOKEN] }) };
+});
+
+function locatedColor(hex, rgb, centroid = { x: 5, y: 5 }) {
+  return {
+    hex,
+    rgb,
+    percentage: 10,
+    bounds: { x: centroid.x - 5, y: centroid.y - 5, width: 10, height: 10 },
+    centroid,
+  };
+}
+
+function locatedFont(fontSize, y = 10) {
+  return {
+    fontFamily: 'Inter',
+    fontSize,
+    fontWeight: '400',
+    bounds: { x: 0, y, width: 100, height: 20 },
+    centroid: { x: 50, y: y + 10 },
+  };
+}
+
+describe('QA settings', () => {
+  it('calculates ΔE with the CIE76, CIE94 and CIEDE2000 formulas', () => {
+    const lab1 = { L: 50, a: 2.6772, b: -79.7751 };
+    const lab2 = { L: 50, a: 0, b: -82.7485 };
+
+    expect(deltaE(lab1, lab2, '76')).toBeCloseTo(4.0011, 4);
+    expect(deltaE(lab1, lab2, '94')).toBeCloseTo(1.395, 3);
+    expect(deltaE(lab1, lab2, '2000')).toBeCloseTo(2.0425, 4);
+    expect(deltaE(lab1, lab2)).toBe(deltaE(lab1, lab2, '2000'));
+
+    expect(normalizeQASettings()).toEqual(DEFAULT_QA_SETTINGS);
+    expect(normalizeQASettings({
+      deltaEFormula: '99',
+      colorThresholds: { pass: 5, warn: 2 },
+      fontSizeTolerance: { value: '', unit: '%' },
+      ignoredColors: ['#ABC', 'red', '#aabbcc'],
+      ignoredRegions: [{ x: 0, y: 0, width: 10 }],
+    })).toMatchObject({
+      deltaEFormula: '2000',
+      colorThresholds: { pass: 5, warn: 5 },
+      fontSizeTolerance: { value: 2, unit: '%' },
+      ignoredColors: ['#aabbcc'],
+      ignoredRegions: [],
+    });
+  });
+
+  it('applies formula, thresholds, tolerance and ignored colors in the matchers and issues', () => {
+    const tokens = [{ path: 'Color/Primary', hex: '#2563eb', value: '#2563eb' }];
+    const nearBlue = locatedColor('#3b74f5', { r: 59, g: 116, b: 245 });
+    const photo = locatedColor('#7a5c3e', { r: 122, g: 92, b: 62 }, { x: 300, y: 200 });
+
+    const [defaultMatch] = matchColorsSync([nearBlue], tokens);
+    expect(defaultMatch.status).toBe('warn');
+
+    const [strict76] = matchColorsSync([nearBlue], tokens, { deltaEFormula: '76', colorThresholds: { pass: 1, warn: 2 } });
+    expect(strict76.deltaE).toBeGreaterThan(defaultMatch.deltaE);
+    expect(strict76.status).toBe('fail');
+
+    const [lenient] = matchColorsSync([nearBlue], tokens, { colorThresholds: { pass: 7, warn: 10 } });
+    expect(lenient.status).toBe('pass');
+
+    const ignored = { ignoredColors: ['#3B74F5'], ignoredRegions: [{ x: 250, y: 150, width: 100, height: 100 }] };
+    expect(matchColorsSync([nearBlue, photo], tokens, ignored)).toEqual([]);
+
+    const typography = [{ role: 'heading', fontFamily: 'Inter', fontSize: '40px', fontWeight: '400' }];
+    expect(matchFontsSync([locatedFont('43px')], typography)[0].status).toBe('warn');
+    expect(matchFontsSync([locatedFont('43px')], typography, { fontSizeTolerance: { value: 10, unit: '%' } })[0].status).toBe('pass');
+    expect(matchFontsSync([locatedFont('41px')], typography, { fontSizeTolerance: { value: 0, unit: 'px' } })[0].status).toBe('warn');
+
+    // Issues in an ignored region (of any type) and for ignored colors are dropped
+    const fontMatches = matchFontsSync([locatedFont('43px', 190), locatedFont('43px', 10)], typography);
+    const colorMatches = matchColorsSync([nearBlue, photo], tokens);
+    const issues = generateIssues(colorMatches, fontMatches, [], {
+      settings: { ignoredColors: ['#3b74f5'], ignoredRegions: [{ x: 0, y: 150, width: 400, height: 100 }] },
+    });
+    expect(issues.map(issue => [issue.type, issue.marker.y])).toEqual([['font', 20]]);
+  });
+
+  it('saves settings per theme and applies them in analysis', async () => {
+    expect(await qaSettingsService.getSettings('theme-1')).toEqual(DEFAULT_QA_SETTINGS);
+
+    const asset = {
+      id: 'page',
+      inputType: 'url',
+      image: { url: 'about:blank', width: 800, height: 400 },
+      domElements: [
+        { selector: '.hero', bounds: { x: 0, y: 0, width: 800, height: 200 }, styles: { backgroundColor: 'rgb(59, 116, 245)' }, textContent: '' },
+        { selector: '.photo', bounds: { x: 0, y: 200, width: 800, height: 200 }, styles: { backgroundColor: 'rgb(122, 92, 62)' }, textContent: '' },
+      ],
+      capturedAt: new Date('2026-04-01T00:00:00Z'),
+      metadata: { source: 'https://example.com/' },
+    };
+
+    const before = await analyzeAsset(asset, 'theme-1', { allowlist: [] });
+    expect(before.issues.map(issue => [issue.source.value, issue.status])).toEqual([
+      ['#7a5c3e', 'fail'],
+      ['#3b74f5', 'warn'],
+    ]);
+
+    const saved = await qaSettingsService.saveSettings('theme-1', {
+      colorThresholds: { pass: 7, warn: 10 },
+      ignoredRegions: [{ x: 0, y: 200, width: 800, height: 200 }],
+    });
+    expect(saved.deltaEFormula).toBe('2000');
+    expect((await qaSettingsService.getSettings('theme-1')).ignoredRegions).toHaveLength(1);
+
+    const after = await analyzeAsset(asset, 'theme-1', { allowlist: [] });
+    expect(after.issues).toEqual([]);
+
+    // An explicit override wins over the saved settings
+    const override = await analyzeAsset(asset, 'theme-1', { allowlist: [], settings: {} });
+    expect(override.issues).toHaveLength(2);
+  });
+});
@@ -0,0 +1,158 @@
+// @vitest-environment node
+/**
+ * Releases
+ * Change classification, version suggestion, changelog, and releases recorded
+ * by the package builder on the local backend.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildReleaseManifest,
+  diffReleaseManifests,
+  suggestNextVersion,
+  generateChangelog,
+} from '../../src/lib/releaseDiff';
+
+vi.mock('../../src/lib/supabase', async () => {
+  const { createLocalSupabase } = await import('../fixtures/localSupabase');
+  return { supabase: await createLocalSupabase() };
+});
+
+import { supabase } from '../../src/lib/supabase';
+import { exportService } from '../../src/services/exportService';
+import { releaseService } from '../../src/services/releaseService';
+
+const token = (path, hex) => ({ path, type: 'color', value: { hex, opacity: 1 } });
+
+const BEFORE = buildReleaseManifest(
+  [{ slug: 'brand', tokens: [token('color/primary', '#2563eb'), token('color/muted', '#6b7280'), token('color/old', '#000000'), token('color/text', '#111111')] }],
+  [{ slug: 'button', name: 'Button', props: [{ name: 'label', type: 'string' }, { name: 'kind', type: 'enum', options: ['a', 'b'] }, { name: 'icon', type: 'icon' }] }]
+);
+
+describe('release diff', () => {
+  it('classifies removals and renames as major, additions as minor and value changes as patch', () => {
+    const after = buildReleaseManifest(
+      [{ slug: 'brand', tokens: [token('color/primary', '#1d4ed8'), token('color/subtle', '#6b7280'), token('color/text', '#111111'), token('color/accent', '#f59e0b')] }],
+      [{ slug: 'button', name: 'Button', props: [{ name: 'label', type: 'string', required: true }, { name: 'variant', type: 'enum', options: ['a', 'b'] }, { name: 'size', type: 'number' }] }]
+    );
+
+    const { changes, level } = diffReleaseManifests(BEFORE, after);
+
+    expect(level).toBe('major');
+    expect(changes).toEqual([
+      { level: 'major', kind: 'token', action: 'removed', key: 'color/old', scope: 'brand' },
+      { level: 'major', kind: 'token', action: 'renamed', key: 'color/subtle', from: 'color/muted', scope: 'brand' },
+      { level: 'major', kind: 'prop', action: 'removed', key: 'icon', scope: 'Button' },
+      { level: 'major', kind: 'prop', action: 'renamed', key: 'variant', from: 'kind', scope: 'Button' },
+      { level: 'major', kind: 'prop', action: 'changed', key: 'label', scope: 'Button' },
+      { level: 'minor', kind: 'token', action: 'added', key: 'color/accent', scope: 'brand' },
+      { level: 'minor', kind: 'prop', action: 'added', key: 'size', scope: 'Button' },
+      { level: 'patch', kind: 'token', action: 'changed', key: 'color/primary', scope: 'brand' },
+    ]);
+
+    expect(diffReleaseManifests(BEFORE, BEFORE)).toEqual({ changes: [], level: null });
+  });
+
+  it('suggests the next version and writes a changelog', () => {
+    expect(suggestNextVersion(null, 'major')).toBe('1.0.0');
+    expect(suggestNextVersion('1.4.2', 'major')).toBe('2.0.0');
+    expect(suggestNextVersion('1.4.2', 'minor')).toBe('1.5.0');
+    expect(suggestNextVersion('1.4.2', 'patch')).toBe('1.4.3');
+    expect(suggestNextVersion('1.4.2', null)).toBe('1.4.3');
+
+    const changelog = generateChangelog([
+      {
+        version: '2.0.0',
+        created_at: '2026-10-18T09:00:00Z',
+        notes: 'Palette cleanup',
+        changes: [
+          { level: 'major', kind: 'token', action: 'renamed', key: 'color/subtle', from: 'color/muted', scope: 'brand' },
+          { level: 'major', kind: 'prop', action: 'changed', key: 'label', scope: 'Button' },
+          { level: 'minor', kind: 'component', action: 'added', key: 'Card' },
+          { level: 'patch', kind: 'token', action: 'changed', key: 'color/primary', scope: 'brand' },
+        ],
+      },
+      { version: '1.0.0', created_at: '2026-10-01T09:00:00Z', changes: [] },
+    ], { projectName: 'acme' });
+
+    expect(changelog).toBe(`# Changelog
+
+All notable changes to acme. Versions follow [Semantic Versioning](https://semver.org).
+
+## 2.0.0 - 2026-10-18
+
+Palette cleanup
+
+### Breaking changes
+
+- Renamed token \`color/muted\` to \`color/subtle\` (brand)
+- Made prop \`label\` of Button required
+
+### Added
+
+- Added component Card
+
+### Changed
+
+- Changed token \`color/primary\` (brand)
+
+## 1.0.0 - 2026-10-01
+
+Initial release.
+`);
+  });
+});
+
+describe('releases in the package builder', () => {
+  it('records releases, bumps the version from the changes and keeps the files', async () => {
+    await supabase.from('themes').insert({ id: 'theme-1', name: 'Brand', slug: 'brand' });
+    await supabase.from('tokens').insert([
+      { theme_id: 'theme-1', category: 'color', type: 'color', path: 'color/primary', name: 'Primary', value: { hex: '#2563eb', opacity: 1 } },
+    ]);
+    // Releases are ordered by created_at; give each build its own timestamp
+    vi.useFakeTimers({ toFake: ['Date'] });
+    let day = 1;
+    const build = (options) => {
+      vi.setSystemTime(new Date(`2026-10-${String(day++).padStart(2, '0')}T09:00:00Z`));
+      return exportService.buildPackage({ themes: ['theme-1'], components: [], formats: ['json'], options });
+    };
+
+    const first = await build({ release: true, projectName: 'acme' });
+    expect(first.version).toBe('1.0.0');
+    expect(first.release).toMatchObject({ version: '1.0.0', level: null, changes: [] });
+    expect(first.files['CHANGELOG.md']).toContain('## 1.0.0');
+
+    await supabase.from('tokens').insert([
+      { theme_id: 'theme-1', category: 'color', type: 'color', path: 'color/accent', name: 'Accent', value: { hex: '#f59e0b', opacity: 1 } },
+    ]);
+    expect(await exportService.planRelease({ themes: ['theme-1'], components: [], options: { projectName: 'acme' } })).toMatchObject({
+      version: '1.1.0',
+      previousVersion: '1.0.0',
+      level: 'minor',
+    });
+
+    await expect(build({ release: true, version: '1.0.0', projectName: 'acme' })).rejects.toThrow('must be greater than the last release (1.0.0)');
+
+    const second = await build({ release: true, releaseNotes: 'Accent color', projectName: 'acme' });
+    expect(second.version).toBe('1.1.0');
+    expect(second.files['CHANGELOG.md']).toMatch(/## 1\.1\.0[\s\S]*Accent color[\s\S]*- Added token `color\/accent` \(brand\)[\s\S]*## 1\.0\.0/);
+    expect(JSON.parse(second.files['package.json']).version).toBe('1.1.0');
+
+    // A plain export is not recorded
+    await build({ version: '9.9.9' });
+    const releases = await releaseService.getReleases('acme');
+    expect(releases.map(r => r.version)).toEqual(['1.1.0', '1.0.0']);
+
+    const stored = await releaseService.getRelease(releases[1].id);
+    expect(stored.files).toEqual(first.files);
+
+    // Another project starts its own version sequence and changelog
+    const other = await build({ release: true, projectName: 'globex' });
+    expect(other.version).toBe('1.0.0');
+    expect(other.release).toMatchObject({ level: null, changes: [] });
+    expect(other.files['CHANGELOG.md']).not.toContain('## 1.1.0');
+    expect((await releaseService.getReleases('globex')).map(r => r.version)).toEqual(['1.0.0']);
+    expect((await releaseService.getReleases('acme')).map(r => r.version)).toEqual(['1.1.0', '1.0.0']);
+    vi.useRealTimers();
+  });
+});
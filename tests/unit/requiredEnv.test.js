@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { getSupabaseEnvStatus } from '../../src/lib/requiredEnv';
+import { getDataBackend, getSupabaseEnvStatus } from '../../src/lib/requiredEnv';
 
 describe('getSupabaseEnvStatus', () => {
   it('reports missing when both vars are absent', () => {
@@ -22,6 +22,18 @@ describe('getSupabaseEnvStatus', () => {
     expect(status.isMissing).toBe(false);
     expect(status.missingKeys).toEqual([]);
   });
-});
 
+  it('does not require Supabase vars for the local backend', () => {
+    const status = getSupabaseEnvStatus({ VITE_DATA_BACKEND: 'local' });
+    expect(status.isMissing).toBe(false);
+    expect(status.missingKeys).toEqual([]);
+  });
+});
 
+describe('getDataBackend', () => {
+  it('defaults to supabase and accepts local', () => {
+    expect(getDataBackend({})).toBe('supabase');
+    expect(getDataBackend({ VITE_DATA_BACKEND: ' Local ' })).toBe('local');
+    expect(getDataBackend({ VITE_DATA_BACKEND: 'sqlite' })).toBe('supabase');
+  });
+});
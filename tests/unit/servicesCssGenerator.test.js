@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { generateCSS } from '../../src/services/generators/cssGenerator';
+import { generateCSS, generateMultiThemeCSS } from '../../src/services/generators/cssGenerator';
 
 describe('services/generators/cssGenerator', () => {
   it('expands composite typography tokens into -family/-size/-weight/-line-height/-letter-spacing vars (and does not emit the base var)', () => {
@@ -38,3 +38,74 @@ describe('services/generators/cssGenerator', () => {
 
 
 
+
+describe('services/generators/cssGenerator aliases', () => {
+  const tokens = [
+    { category: 'color', path: 'color/brand/500', css_variable: '--color-brand-500', value: { hex: '#3b82f6' } },
+    { category: 'color', path: 'color/button-bg', css_variable: '--color-button-bg', value: { hex: '#000000' }, alias_path: 'color/brand/500' },
+  ];
+
+  it('emits the resolved target value by default', () => {
+    const css = generateCSS(tokens, { includeComments: false, includeHeader: false });
+
+    expect(css).toContain('--color-button-bg: #3b82f6;');
+  });
+
+  it('emits var() references when outputReferences is enabled', () => {
+    const css = generateCSS(tokens, { includeComments: false, includeHeader: false, outputReferences: true });
+
+    expect(css).toContain('--color-button-bg: var(--color-brand-500);');
+    expect(css).toContain('--color-brand-500: #3b82f6;');
+  });
+});
+
+describe('services/generators/cssGenerator modes', () => {
+  const theme = {
+    slug: 'brand',
+    is_default: true,
+    modes: ['light', 'dark'],
+    tokens: [
+      { category: 'color', path: 'color/bg', css_variable: '--color-bg', value: { hex: '#ffffff' }, mode_values: { dark: { hex: '#111111' } } },
+      { category: 'color', path: 'color/accent', css_variable: '--color-accent', value: { hex: '#3b82f6' } },
+      { category: 'color', path: 'color/surface', css_variable: '--color-surface', value: { hex: '#ffffff' }, alias_path: 'color/bg' },
+    ],
+  };
+
+  it('emits the default mode in the base block and overrides in a data-mode block', () => {
+    const css = generateMultiThemeCSS([theme], { includeComments: false, includeHeader: false });
+    const [base, dark] = css.split('[data-mode="dark"]');
+
+    expect(base).toContain(':root {');
+    expect(base).toContain('--color-bg: #ffffff;');
+    expect(dark).toContain('--color-bg: #111111;');
+    expect(dark).toContain('--color-surface: #111111;');
+    expect(dark).not.toContain('--color-accent');
+  });
+
+  it('adds a prefers-color-scheme fallback for a dark mode', () => {
+    const css = generateMultiThemeCSS([theme], { includeComments: false, includeHeader: false });
+
+    expect(css).toContain('@media (prefers-color-scheme: dark) {');
+    expect(css).toContain(':root:not([data-mode]) {');
+  });
+
+  it('scopes mode blocks to non-default themes', () => {
+    const css = generateMultiThemeCSS([{ ...theme, is_default: false }], { includeComments: false, includeHeader: false });
+
+    expect(css).toContain('[data-theme="brand"][data-mode="dark"] {');
+    expect(css).toContain('[data-theme="brand"]:not([data-mode]) {');
+  });
+
+  it('leaves aliases to var() when outputReferences is enabled', () => {
+    const css = generateMultiThemeCSS([theme], { includeComments: false, includeHeader: false, outputReferences: true });
+    const dark = css.split('[data-mode="dark"]')[1];
+
+    expect(dark).not.toContain('--color-surface');
+  });
+
+  it('emits no mode blocks for single-mode themes', () => {
+    const css = generateMultiThemeCSS([{ ...theme, modes: undefined }], { includeHeader: false });
+
+    expect(css).not.toContain('data-mode');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Theme Snapshot Service Tests
+ * Uses mocked Supabase client.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+  },
+}));
+
+import { snapshotService, buildSnapshotData, snapshotToTheme } from '../../src/services/snapshotService';
+import { supabase } from '../../src/lib/supabase';
+
+const theme = {
+  id: 'th1',
+  name: 'Brand',
+  slug: 'brand',
+  modes: ['light', 'dark'],
+  tokens: [{ id: 't1', theme_id: 'th1', path: 'color/primary', value: { hex: '#000000' }, created_at: 'x' }],
+  typography_roles: [{ id: 'r1', theme_id: 'th1', role_name: 'body-md', font_size: '1rem' }],
+  typefaces: [{ id: 'f1', theme_id: 'th1', role: 'text', family: 'Inter', font_files: [{ id: 'ff1' }] }],
+};
+
+describe('snapshotService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('builds snapshot data without row identity fields', () => {
+    const data = buildSnapshotData(theme);
+
+    expect(data.theme).toMatchObject({ name: 'Brand', modes: ['light', 'dark'] });
+    expect(data.tokens[0]).toEqual({ path: 'color/primary', value: { hex: '#000000' } });
+    expect(data.typography_roles[0]).toEqual({ role_name: 'body-md', font_size: '1rem' });
+    expect(data.typefaces[0]).toEqual({ role: 'text', family: 'Inter' });
+  });
+
+  it('turns a snapshot back into a theme object', () => {
+    const snapshot = { id: 's1', theme_id: 'th1', version: 2, data: buildSnapshotData(theme) };
+    const restored = snapshotToTheme(snapshot, { id: 'th1', is_default: true, typefaces: theme.typefaces });
+
+    expect(restored.id).toBe('th1');
+    expect(restored.is_default).toBe(true);
+    expect(restored.snapshot_version).toBe(2);
+    expect(restored.tokens).toHaveLength(1);
+    expect(restored.typefaces).toBe(theme.typefaces);
+  });
+
+  it('restores tokens and typography roles over the live rows', async () => {
+    const snapshot = { id: 's1', theme_id: 'th1', version: 2, data: buildSnapshotData(theme) };
+    const chains = {};
+    supabase.from.mockImplementation((table) => {
+      chains[table] = chains[table] || {
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: snapshot, error: null }),
+        delete: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ error: null }) }),
+        insert: vi.fn().mockResolvedValue({ error: null }),
+        update: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ error: null }) }),
+      };
+      return chains[table];
+    });
+
+    await snapshotService.restoreSnapshot('s1');
+
+    expect(chains.tokens.delete).toHaveBeenCalled();
+    expect(chains.tokens.insert).toHaveBeenCalledWith([
+      { path: 'color/primary', value: { hex: '#000000' }, theme_id: 'th1' },
+    ]);
+    expect(chains.typography_roles.insert).toHaveBeenCalledWith([
+      { role_name: 'body-md', font_size: '1rem', theme_id: 'th1' },
+    ]);
+    expect(chains.themes.update).toHaveBeenCalledWith({ description: null, modes: ['light', 'dark'] });
+  });
+
+  it('puts the live rows back when writing the snapshot rows fails', async () => {
+    const snapshot = { id: 's1', theme_id: 'th1', version: 2, data: buildSnapshotData(theme) };
+    const liveRows = {
+      tokens: [{ id: 't9', theme_id: 'th1', path: 'color/primary', value: { hex: '#ffffff' } }],
+      typography_roles: [{ id: 'r9', theme_id: 'th1', role_name: 'body-md', font_size: '1.125rem' }],
+    };
+    const insertError = { message: 'duplicate key value violates unique constraint' };
+    const chains = {};
+    supabase.from.mockImplementation((table) => {
+      chains[table] = chains[table] || {
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: snapshot, error: null }),
+            then: (resolve) => resolve({ data: liveRows[table], error: null }),
+          }),
+        }),
+        delete: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ error: null }) }),
+        insert: table === 'typography_roles'
+          ? vi.fn()
+            .mockResolvedValueOnce({ error: insertError })
+            .mockResolvedValue({ error: null })
+          : vi.fn().mockResolvedValue({ error: null }),
+        update: vi.fn().mockReturnValue({ eq: vi.fn().mockResolvedValue({ error: null }) }),
+      };
+      return chains[table];
+    });
+
+    await expect(snapshotService.restoreSnapshot('s1')).rejects.toBe(insertError);
+
+    expect(chains.tokens.insert).toHaveBeenLastCalledWith(liveRows.tokens);
+    expect(chains.typography_roles.insert).toHaveBeenLastCalledWith(liveRows.typography_roles);
+    expect(chains.themes).toBeUndefined();
+  });
+});
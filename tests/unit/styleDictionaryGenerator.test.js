@@ -0,0 +1,280 @@
+// @vitest-environment node
+/**
+ * Style Dictionary Generator
+ * Project layout, config platforms, and round-trip through parseTokens.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateStyleDictionary } from '../../src/services/generators/styleDictionaryGenerator';
+import { parseTokens, mergeTokenFiles } from '../../src/lib/tokenParser';
+
+const brand = { hex: '#2563eb', opacity: 1 };
+
+const TOKENS = [
+  {
+    name: 'Brand Primary',
+    path: 'color/brand/primary',
+    category: 'color',
+    type: 'color',
+    value: brand,
+    mode_values: { dark: { hex: '#93c5fd', opacity: 1 } },
+    css_variable: '--color-brand-primary',
+    description: 'Main brand color',
+    metadata: { collection: 'Primitives' },
+  },
+  {
+    name: 'Overlay',
+    path: 'color/overlay',
+    category: 'color',
+    type: 'color',
+    value: { hex: '#000000', rgb: { r: 0, g: 0, b: 0 }, opacity: 0.5 },
+    css_variable: '--color-overlay',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Link',
+    path: 'color/link',
+    category: 'color',
+    type: 'color',
+    value: brand,
+    alias_path: 'color/brand/primary',
+    css_variable: '--color-link',
+    description: '',
+    metadata: { collection: 'Semantic' },
+  },
+  {
+    name: 'Nudge',
+    path: 'spacing/nudge',
+    category: 'spacing',
+    type: 'dimension',
+    value: { value: -4, unit: 'px' },
+    mode_values: { compact: { value: -2, unit: 'px' } },
+    css_variable: '--space-nudge',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Half',
+    path: 'layout/half',
+    category: 'grid',
+    type: 'dimension',
+    value: { value: 50, unit: '%' },
+    css_variable: '--layout-half',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Card',
+    path: 'elevation/card',
+    category: 'shadow',
+    type: 'shadow',
+    value: [{ offsetX: 0, offsetY: 2, blur: 4, spread: 0, color: 'rgba(0,0,0,0.1)', inset: false }],
+    css_variable: '--elevation-card',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Heading',
+    path: 'typography/heading',
+    category: 'typography',
+    type: 'typography-composite',
+    value: { fontFamily: 'Inter', fontSize: { value: 32, unit: 'px' }, fontWeight: 700, lineHeight: 1.2 },
+    css_variable: '--typography-heading',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Sans',
+    path: 'typography/family/sans',
+    category: 'typography',
+    type: 'fontFamily',
+    value: ['Inter', 'sans-serif'],
+    css_variable: '--typography-family-sans',
+    description: '',
+    metadata: {},
+  },
+  {
+    name: 'Ratio',
+    path: 'scale/ratio',
+    category: 'other',
+    type: 'number',
+    value: 1.25,
+    css_variable: '--scale-ratio',
+    description: '',
+    metadata: {},
+  },
+];
+
+const FIELDS = ['name', 'path', 'category', 'type', 'value', 'alias_path', 'mode_values', 'css_variable', 'description'];
+
+/**
+ * The parts of a token that make up the token set
+ */
+function tokenSet(tokens) {
+  return tokens
+    .map(token => ({
+      ...Object.fromEntries(FIELDS.filter(field => token[field] !== undefined).map(field => [field, token[field]])),
+      collection: token.metadata?.collection,
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Re-import the token files of a generated project
+ */
+function reimport(files) {
+  const sources = Object.entries(files)
+    .filter(([path]) => path.startsWith('tokens/'))
+    .map(([, content]) => JSON.parse(content));
+  return parseTokens(mergeTokenFiles(sources));
+}
+
+describe('Style Dictionary generator', () => {
+  it('writes tokens per collection and category with a platform config', () => {
+    const files = generateStyleDictionary(TOKENS);
+
+    expect(Object.keys(files)).toEqual([
+      'config.json',
+      'tokens/color.json',
+      'tokens/grid.json',
+      'tokens/other.json',
+      'tokens/primitives/color.json',
+      'tokens/semantic/color.json',
+      'tokens/shadow.json',
+      'tokens/spacing.json',
+      'tokens/typography.json',
+    ]);
+
+    const config = JSON.parse(files['config.json']);
+    expect(config.source).toEqual(['tokens/**/*.json']);
+    expect(config.usesDtcg).toBe(true);
+    expect(Object.keys(config.platforms)).toEqual(['css', 'scss', 'js', 'ios', 'android', 'compose']);
+    expect(config.platforms.css).toEqual({
+      transformGroup: 'css',
+      buildPath: 'build/css/',
+      files: [{ destination: 'variables.css', format: 'css/variables' }],
+    });
+
+    expect(JSON.parse(files['tokens/primitives/color.json']).color.brand.primary).toEqual({
+      $type: 'color',
+      $value: '#2563eb',
+      $description: 'Main brand color',
+      $extensions: {
+        'com.design-system-admin': {
+          category: 'color',
+          type: 'color',
+          name: 'Brand Primary',
+          collection: 'Primitives',
+          modes: { dark: '#93c5fd' },
+        },
+      },
+    });
+    expect(JSON.parse(files['tokens/semantic/color.json']).color.link.$value).toBe('{color.brand.primary}');
+    expect(JSON.parse(files['tokens/spacing.json']).spacing.nudge.$value).toBe('-4px');
+
+    const sd = generateStyleDictionary(TOKENS, { format: 'sd' });
+    expect(JSON.parse(sd['config.json']).usesDtcg).toBeUndefined();
+    expect(JSON.parse(sd['tokens/color.json']).color.overlay).toEqual({
+      value: 'rgba(0, 0, 0, 0.5)',
+      type: 'color',
+      attributes: { category: 'color' },
+    });
+    expect(JSON.parse(sd['tokens/spacing.json']).spacing.nudge).toEqual({
+      value: '-4px',
+      type: 'dimension',
+      cssVariable: '--space-nudge',
+      attributes: { category: 'spacing', modes: { compact: '-2px' } },
+    });
+  });
+
+  it.each(['dtcg', 'sd'])('round-trips through parseTokens (%s)', (format) => {
+    const result = reimport(generateStyleDictionary(TOKENS, { format }));
+
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(tokenSet(result.tokens)).toEqual(tokenSet(TOKENS));
+  });
+
+  it.each(['dtcg', 'sd'])('round-trips semi-transparent colors stored as hex and opacity (%s)', (format) => {
+    const color = (path, value, extra = {}) => ({
+      name: path.split('/').pop(),
+      path,
+      category: 'color',
+      type: 'color',
+      value,
+      css_variable: `--${path.replace(/\//g, '-')}`,
+      description: '',
+      metadata: {},
+      ...extra,
+    });
+    const tokens = [
+      color('color/scrim', { hex: '#2563eb', opacity: 0.5 }, { mode_values: { dark: { hex: '#93c5fd', opacity: 0.4 } } }),
+      color('color/backdrop', { hex: '#2563eb', opacity: 0.5 }, { alias_path: 'color/scrim' }),
+      color('color/figma', { hex: '#336699', rgb: { r: 51, g: 102, b: 153 }, opacity: 0.8, colorSpace: 'srgb' }),
+    ];
+
+    const files = generateStyleDictionary(tokens, { format });
+    const result = reimport(files);
+
+    expect(result.warnings).toEqual([]);
+    expect(tokenSet(result.tokens)).toEqual(tokenSet(tokens));
+    const scrim = JSON.parse(files['tokens/color.json']).color.scrim;
+    const own = format === 'dtcg' ? scrim.$extensions['com.design-system-admin'] : scrim.attributes;
+    expect(own.colorFields).toEqual(['hex', 'opacity']);
+  });
+
+  it.each(['dtcg', 'sd'])('keeps tokens whose path continues below another token (%s)', (format) => {
+    const color = (path, hex, extra = {}) => ({
+      name: path.split('/').pop(),
+      path,
+      category: 'color',
+      type: 'color',
+      value: { hex, opacity: 1 },
+      css_variable: `--${path.toLowerCase().replace(/\//g, '-')}`,
+      description: '',
+      metadata: {},
+      ...extra,
+    });
+    const tokens = [
+      color('Color/Primary', '#2563eb'),
+      color('Color/Primary/Hover', '#1d4ed8'),
+      // Child written before its parent
+      color('Color/Accent/Hover', '#d97706'),
+      color('Color/Accent', '#f59e0b'),
+      color('Color/Link/Hover', '#1d4ed8', { alias_path: 'Color/Primary/Hover' }),
+    ];
+
+    const files = generateStyleDictionary(tokens, { format });
+    const tree = JSON.parse(files['tokens/color.json']).Color;
+    const valueKey = format === 'dtcg' ? '$value' : 'value';
+    expect(Object.keys(tree)).toEqual(['Primary', 'Primary-Hover', 'Accent', 'Accent-2', 'Link']);
+    expect(tree['Primary-Hover'][valueKey]).toBe('#1d4ed8');
+    expect(tree.Link.Hover[valueKey]).toBe('{Color.Primary-Hover}');
+
+    const result = reimport(files);
+    expect(result.warnings).toEqual([]);
+    expect(tokenSet(result.tokens)).toEqual(tokenSet(tokens));
+    expect(result.tokens.every(token => token.metadata.source_path === undefined)).toBe(true);
+  });
+
+  it('round-trips a Figma variables import', () => {
+    const figma = parseTokens({
+      Color: {
+        Accent: {
+          $type: 'color',
+          $value: { colorSpace: 'srgb', components: [0.2, 0.4, 0.6], alpha: 0.8, hex: '#336699' },
+          $description: 'Accent',
+          $extensions: { 'com.figma.variableId': 'VariableID:1:2' },
+        },
+      },
+      Spacing: { Gap: { $type: 'dimension', $value: '12px' } },
+    });
+
+    const files = generateStyleDictionary(figma.tokens);
+    const result = reimport(files);
+
+    expect(tokenSet(result.tokens)).toEqual(tokenSet(figma.tokens));
+    expect(result.tokens.find(t => t.path === 'Color/Accent').metadata.figma_id).toBe('VariableID:1:2');
+  });
+});
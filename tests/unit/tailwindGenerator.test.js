@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { generateTailwind } from '../../src/services/generators/tailwindGenerator.js';
+import { generateTailwind, generateTailwindV4 } from '../../src/services/generators/tailwindGenerator.js';
 
 describe('tailwindGenerator', () => {
   const sampleTokens = [
@@ -253,9 +253,141 @@ describe('tailwindGenerator', () => {
       expect(config).toContain("fontWeight:");
     });
   });
-});
 
+  describe('alias tokens', () => {
+    const aliasTokens = [
+      { path: 'Color/Brand/500', category: 'color', type: 'color', value: { hex: '#3b82f6' }, css_variable: '--color-brand-500' },
+      { path: 'Color/Action', category: 'color', type: 'color', value: { hex: '#000000' }, css_variable: '--color-action', alias_path: 'Color/Brand/500' },
+    ];
+
+    it('uses the resolved value with direct values', () => {
+      const result = generateTailwind(aliasTokens, { useCSSVariables: false });
+
+      expect(result).toContain("action: '#3b82f6'");
+    });
+
+    it('references the target variable with outputReferences', () => {
+      const result = generateTailwind(aliasTokens, { useCSSVariables: false, outputReferences: true });
+
+      expect(result).toContain("action: 'var(--color-brand-500)'");
+    });
+  });
+
+  describe('typography', () => {
+    const heading = {
+      path: 'Typography/Heading',
+      category: 'typography',
+      type: 'typography-composite',
+      value: {
+        fontFamily: ['Open Sans', 'sans-serif'],
+        fontSize: { value: 32, unit: 'px' },
+        fontWeight: 700,
+        lineHeight: 1.2,
+        letterSpacing: { value: -0.5, unit: 'px' },
+      },
+      css_variable: '--typography-heading',
+    };
+
+    const evaluate = (config) => new Function(config.replace('module.exports =', 'return'))();
+
+    it('maps composite tokens to fontSize tuples', () => {
+      const { theme } = evaluate(generateTailwind([heading]));
+
+      expect(theme.extend.fontSize.heading).toEqual([
+        'var(--typography-heading-size)',
+        {
+          lineHeight: 'var(--typography-heading-line-height)',
+          letterSpacing: 'var(--typography-heading-letter-spacing)',
+          fontWeight: 'var(--typography-heading-weight)',
+        },
+      ]);
+      expect(theme.extend.fontFamily.heading).toEqual(['Open Sans', 'sans-serif']);
+
+      const direct = evaluate(generateTailwind([heading], { useCSSVariables: false }));
+      expect(direct.theme.extend.fontSize.heading).toEqual(['32px', { lineHeight: '1.2', letterSpacing: '-0.5px', fontWeight: '700' }]);
+    });
+
+    it('classifies by token type before the path', () => {
+      const { theme } = evaluate(generateTailwind([
+        { path: 'Typography/Weight/Oversized', category: 'typography', type: 'fontWeight', value: 900, css_variable: '--font-weight-oversized' },
+        { path: 'Typography/Size/lg', category: 'typography', type: 'string', value: '20px', css_variable: '--font-size-lg' },
+        { path: 'Typography/Sizeable', category: 'typography', type: 'string', value: 'x', css_variable: '--typography-sizeable' },
+      ]));
 
+      expect(theme.extend.fontWeight).toEqual({ oversized: 'var(--font-weight-oversized)' });
+      expect(theme.extend.fontSize).toEqual({ lg: 'var(--font-size-lg)' });
+    });
 
+    it('is a v3 preset', () => {
+      const config = generateTailwind(sampleTokens);
+
+      expect(config).toContain("presets: [require('./dist/tailwind.config.js')]");
+      expect(evaluate(config).theme.extend.colors.primary['500']).toBe('var(--color-primary-500)');
+    });
+  });
 
+  describe('generateTailwindV4', () => {
+    const light = {
+      slug: 'light',
+      is_default: true,
+      modes: ['light', 'dark'],
+      tokens: [
+        { ...sampleTokens[0], mode_values: { dark: { hex: '#93c5fd' } } },
+        sampleTokens[2],
+        sampleTokens[5],
+        sampleTokens[6],
+        sampleTokens[7],
+        { path: 'Color/Action', category: 'color', type: 'color', value: { hex: '#000000' }, css_variable: '--color-action', alias_path: 'Color/Primary/500' },
+        {
+          path: 'Typography/Body',
+          category: 'typography',
+          type: 'typography-composite',
+          value: { fontSize: { value: 16, unit: 'px' }, lineHeight: 1.5 },
+          css_variable: '--typography-body',
+        },
+        { path: 'Grid/Breakpoint/md', category: 'grid', type: 'dimension', value: { value: 768, unit: 'px' }, css_variable: '--grid-breakpoint-md' },
+      ],
+    };
+    const brand = {
+      slug: 'brand',
+      tokens: [{ ...sampleTokens[0], value: { hex: '#ef4444' } }],
+    };
+
+    it('emits an @theme block with Tailwind namespaces', () => {
+      const css = generateTailwindV4([brand, light]);
+
+      expect(css).toContain('@import "tailwindcss"; @import "./tailwind.css";');
+      expect(css).toContain(`@theme {
+  --color-primary-500: #3b82f6;
+  --spacing-sm: 8px;
+  --font-weight-bold: 700;
+  --font-primary: Inter, sans-serif;
+  --radius-md: 8px;
+  --color-action: #3b82f6;
+  --text-body: 16px;
+  --text-body--line-height: 1.5;
+  --breakpoint-md: 768px;
+}`);
+    });
 
+    it('switches themes and modes by overriding theme variables', () => {
+      const css = generateTailwindV4([brand, light]);
+
+      expect(css).toContain('[data-mode="dark"] {\n  --color-primary-500: #93c5fd;\n  --color-action: #93c5fd;\n}');
+      expect(css).toContain('@media (prefers-color-scheme: dark) {\n  :root:not([data-mode]) {\n    --color-primary-500: #93c5fd;');
+      expect(css).toContain('[data-theme="brand"] {\n  --color-primary-500: #ef4444;\n}');
+      expect(css.indexOf('@theme')).toBeLessThan(css.indexOf('[data-theme="brand"]'));
+    });
+
+    it('references alias targets with outputReferences', () => {
+      const css = generateTailwindV4([light], { outputReferences: true });
+
+      expect(css).toContain('--color-action: var(--color-primary-500);');
+      expect(css).toContain('[data-mode="dark"] {\n  --color-primary-500: #93c5fd;\n}');
+    });
+
+    it('emits an empty theme without themes', () => {
+      expect(generateTailwindV4([])).toContain('@theme {\n}');
+    });
+  });
+});
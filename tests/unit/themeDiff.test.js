@@ -0,0 +1,59 @@
+/**
+ * Theme Diff Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffThemes, isSameValue } from '../../src/lib/themeDiff';
+
+const before = {
+  tokens: [
+    { id: 'a1', path: 'color/primary', name: 'Primary', value: { hex: '#3b82f6', opacity: 1 } },
+    { id: 'a2', path: 'color/old', name: 'Old', value: { hex: '#000000' } },
+    { id: 'a3', path: 'spacing/md', name: 'Md', value: { value: 16, unit: 'px' }, mode_values: {} },
+  ],
+  typography_roles: [
+    { id: 'r1', role_name: 'body-md', font_size: '1rem', font_weight: 400 },
+  ],
+};
+
+const after = {
+  tokens: [
+    { id: 'b1', path: 'color/primary', name: 'Primary', value: { opacity: 1, hex: '#2563eb' } },
+    { id: 'b3', path: 'spacing/md', name: 'Md', value: { unit: 'px', value: 16 } },
+    { id: 'b4', path: 'color/new', name: 'New', value: { hex: '#ffffff' } },
+  ],
+  typography_roles: [
+    { id: 'r2', role_name: 'body-md', font_size: '1rem', font_weight: 500 },
+    { id: 'r3', role_name: 'heading-xl', font_size: '3rem', font_weight: 700 },
+  ],
+};
+
+describe('diffThemes', () => {
+  it('reports added, removed and changed tokens by path', () => {
+    const diff = diffThemes(before, after);
+
+    expect(diff.tokens.added.map(t => t.path)).toEqual(['color/new']);
+    expect(diff.tokens.removed.map(t => t.path)).toEqual(['color/old']);
+    expect(diff.tokens.changed).toHaveLength(1);
+    expect(diff.tokens.changed[0].key).toBe('color/primary');
+    expect(diff.tokens.changed[0].fields).toEqual(['value']);
+  });
+
+  it('reports typography role changes by role name', () => {
+    const diff = diffThemes(before, after);
+
+    expect(diff.typographyRoles.added.map(r => r.role_name)).toEqual(['heading-xl']);
+    expect(diff.typographyRoles.changed[0].fields).toEqual(['font_weight']);
+    expect(diff.summary).toEqual({ added: 2, removed: 1, changed: 2 });
+  });
+
+  it('reports no changes for identical versions', () => {
+    expect(diffThemes(before, before).hasChanges).toBe(false);
+  });
+
+  it('ignores key order and empty defaults', () => {
+    expect(isSameValue({ a: 1, b: 2 }, { b: 2, a: 1 })).toBe(true);
+    expect(isSameValue({}, undefined)).toBe(true);
+    expect(isSameValue({ a: 1 }, { a: 2 })).toBe(false);
+  });
+});
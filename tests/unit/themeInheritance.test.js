@@ -0,0 +1,81 @@
+/**
+ * Theme Inheritance Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  mergeThemeChain,
+  isInherited,
+  stripInheritanceFields,
+  toOverrideToken,
+} from '../../src/lib/themeInheritance';
+
+const grandparent = {
+  id: 'gp',
+  name: 'Core',
+  modes: ['light', 'dark'],
+  tokens: [
+    { id: 'g1', theme_id: 'gp', path: 'color/bg', value: { hex: '#ffffff' } },
+    { id: 'g2', theme_id: 'gp', path: 'spacing/md', value: { value: 16, unit: 'px' } },
+  ],
+  typography_roles: [{ id: 'gr1', role_name: 'body', font_size: '1rem' }],
+  typefaces: [{ id: 'gf1', role: 'text', family: 'Inter' }],
+};
+
+const parent = {
+  id: 'p',
+  name: 'Brand',
+  modes: ['light'],
+  tokens: [{ id: 'p1', theme_id: 'p', path: 'color/bg', value: { hex: '#fafafa' } }],
+  typography_roles: [],
+  typefaces: [{ id: 'pf1', role: 'text', family: 'Roboto' }],
+};
+
+const child = {
+  id: 'c',
+  name: 'Campaign',
+  modes: ['light', 'contrast'],
+  tokens: [{ id: 'c1', theme_id: 'c', path: 'spacing/md', value: { value: 20, unit: 'px' } }],
+  typography_roles: [],
+  typefaces: [],
+};
+
+describe('theme inheritance', () => {
+  it('returns the theme unchanged without ancestors', () => {
+    expect(mergeThemeChain(child, [])).toBe(child);
+  });
+
+  it('resolves each token from the nearest theme in the chain', () => {
+    const merged = mergeThemeChain(child, [parent, grandparent]);
+    const byPath = Object.fromEntries(merged.tokens.map(t => [t.path, t]));
+
+    expect(merged.tokens).toHaveLength(2);
+    expect(byPath['spacing/md']).toMatchObject({ id: 'c1', overrides_parent: true });
+    expect(isInherited(byPath['spacing/md'])).toBe(false);
+    expect(byPath['color/bg']).toMatchObject({ id: 'p1', inherited: true, inherited_from: 'p' });
+  });
+
+  it('merges typography roles, typefaces, modes and the parent chain', () => {
+    const merged = mergeThemeChain(child, [parent, grandparent]);
+
+    expect(merged.typography_roles).toEqual([
+      expect.objectContaining({ id: 'gr1', inherited: true, inherited_from: 'gp' }),
+    ]);
+    expect(merged.typefaces).toEqual([
+      expect.objectContaining({ id: 'pf1', family: 'Roboto', inherited_from: 'p' }),
+    ]);
+    expect(merged.modes).toEqual(['light', 'dark', 'contrast']);
+    expect(merged.parent_chain).toEqual([
+      { id: 'p', name: 'Brand' },
+      { id: 'gp', name: 'Core' },
+    ]);
+  });
+
+  it('builds override rows without row identity or annotations', () => {
+    const inherited = mergeThemeChain(child, [parent]).tokens.find(t => t.path === 'color/bg');
+    const override = toOverrideToken(inherited, 'c', { value: { hex: '#000000' } });
+
+    expect(override).toEqual({ theme_id: 'c', path: 'color/bg', value: { hex: '#000000' } });
+    expect(stripInheritanceFields(inherited)).not.toHaveProperty('inherited_from');
+  });
+});
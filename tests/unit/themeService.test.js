@@ -88,6 +88,51 @@ describe('themeService', () => {
       expect(result.typefaces).toHaveLength(1);
       expect(result.typography_roles).toHaveLength(1);
     });
+
+    it('merges tokens from the parent theme into a child theme', async () => {
+      const parent = {
+        id: 'p',
+        name: 'Base',
+        parent_theme_id: null,
+        modes: ['light', 'dark'],
+        tokens: [
+          { id: 'p1', path: 'color/primary', value: { hex: '#000000' } },
+          { id: 'p2', path: 'color/accent', value: { hex: '#ff0000' } },
+        ],
+        typefaces: [],
+        typography_roles: [],
+      };
+      const child = {
+        id: 'c',
+        name: 'Brand',
+        parent_theme_id: 'p',
+        modes: ['light'],
+        tokens: [{ id: 'c1', path: 'color/primary', value: { hex: '#0000ff' } }],
+        typefaces: [],
+        typography_roles: [],
+      };
+
+      const themes = { c: child, p: parent };
+      supabase.from.mockImplementation(() => {
+        const chain = {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn((field, value) => {
+            chain.id = value;
+            return chain;
+          }),
+          single: vi.fn(() => Promise.resolve({ data: themes[chain.id], error: null })),
+        };
+        return chain;
+      });
+
+      const result = await themeService.getTheme('c');
+
+      expect(result.parent_chain).toEqual([{ id: 'p', name: 'Base' }]);
+      expect(result.modes).toEqual(['light', 'dark']);
+      expect(result.tokens).toHaveLength(2);
+      expect(result.tokens.find(t => t.path === 'color/primary')).toMatchObject({ id: 'c1', overrides_parent: true });
+      expect(result.tokens.find(t => t.path === 'color/accent')).toMatchObject({ id: 'p2', inherited: true, inherited_from: 'p' });
+    });
   });
 
   describe('getThemeBySlug', () => {
@@ -277,21 +322,125 @@ describe('themeService', () => {
   });
 
   describe('publishTheme', () => {
-    it('updates theme status to published', async () => {
+    it('updates theme status to published and takes a snapshot', async () => {
       const mockTheme = { id: '1', status: 'published' };
+      const fullTheme = {
+        ...mockTheme,
+        name: 'Theme 1',
+        tokens: [{ id: 't1', theme_id: '1', path: 'color/primary', value: { hex: '#000000' } }],
+        typography_roles: [],
+        typefaces: [],
+      };
 
-      const mockChain = {
+      const themeChain = {
         update: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         select: vi.fn().mockReturnThis(),
-        single: vi.fn().mockResolvedValue({ data: mockTheme, error: null }),
+        single: vi.fn()
+          .mockResolvedValueOnce({ data: fullTheme, error: null })
+          .mockResolvedValueOnce({ data: mockTheme, error: null }),
       };
-      supabase.from.mockReturnValue(mockChain);
+      const snapshotChain = {
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        order: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockResolvedValue({ data: [{ version: 2 }], error: null }),
+        insert: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: { id: 's3', version: 3 }, error: null }),
+      };
+      supabase.from.mockImplementation(table => (table === 'theme_snapshots' ? snapshotChain : themeChain));
 
       const result = await themeService.publishTheme('1');
 
-      expect(mockChain.update).toHaveBeenCalledWith({ status: 'published' });
+      expect(themeChain.update).toHaveBeenCalledWith({ status: 'published' });
       expect(result.status).toBe('published');
+      expect(result.snapshot.version).toBe(3);
+
+      const inserted = snapshotChain.insert.mock.calls[0][0];
+      expect(inserted.version).toBe(3);
+      expect(inserted.token_count).toBe(1);
+      expect(inserted.data.tokens[0]).not.toHaveProperty('id');
+      expect(inserted.data.tokens[0].path).toBe('color/primary');
+    });
+
+    it('refuses to publish when color pairs fail the contrast audit', async () => {
+      const fullTheme = {
+        id: '1',
+        name: 'Theme 1',
+        tokens: [
+          { id: 't1', path: 'color/primary', category: 'color', value: { hex: '#777777' } },
+          { id: 't2', path: 'color/primary-foreground', category: 'color', value: { hex: '#888888' } },
+        ],
+        typography_roles: [],
+        typefaces: [],
+      };
+
+      const themeChain = {
+        update: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: fullTheme, error: null }),
+      };
+      supabase.from.mockReturnValue(themeChain);
+
+      await expect(themeService.publishTheme('1')).rejects.toMatchObject({
+        code: 'CONTRAST_AUDIT_FAILED',
+        audit: { passed: false },
+      });
+      expect(themeChain.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses to publish when a declared pair fails the contrast audit', async () => {
+      // Names alone pair nothing here: text on surface is only known from contrast_pairs
+      const tokens = [
+        { id: 't1', path: 'color/surface', category: 'color', value: { hex: '#f5f5f5' } },
+        { id: 't2', path: 'color/text', category: 'color', value: { hex: '#bbbbbb' } },
+      ];
+      const themeChain = {
+        update: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({
+          data: {
+            id: '1',
+            name: 'Theme 1',
+            tokens,
+            typography_roles: [],
+            typefaces: [],
+            contrast_pairs: [{ foreground: 'color/text', background: 'color/surface' }],
+          },
+          error: null,
+        }),
+      };
+      supabase.from.mockReturnValue(themeChain);
+
+      await expect(themeService.publishTheme('1')).rejects.toMatchObject({
+        code: 'CONTRAST_AUDIT_FAILED',
+        audit: {
+          failures: [expect.objectContaining({ foreground: 'color/text', background: 'color/surface' })],
+        },
+      });
+      expect(themeChain.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateContrastPairs', () => {
+    it('saves cleaned-up declared pairs on the theme', async () => {
+      const chain = {
+        update: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockResolvedValue({ error: null }),
+      };
+      supabase.from.mockReturnValue(chain);
+
+      const saved = await themeService.updateContrastPairs('1', [
+        { foreground: 'color/text', background: 'color/surface' },
+        { foreground: 'color/text', background: 'color/surface' },
+        { foreground: 'color/text', background: '' },
+      ]);
+
+      expect(saved).toEqual([{ foreground: 'color/text', background: 'color/surface' }]);
+      expect(chain.update).toHaveBeenCalledWith({ contrast_pairs: saved });
+      expect(chain.eq).toHaveBeenCalledWith('id', '1');
     });
   });
 
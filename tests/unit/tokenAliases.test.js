@@ -0,0 +1,112 @@
+/**
+ * Token Alias Resolution Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isAliasReference,
+  referenceToPath,
+  pathToReference,
+  resolveTokenAliases,
+  buildTokenIndex,
+  findAliasTarget,
+  wouldCreateAliasCycle,
+  getAliasCandidates,
+  getAliasDependents,
+} from '../../src/lib/tokenAliases';
+
+const brand = { id: '1', path: 'color/brand/500', category: 'color', css_variable: '--color-brand-500', value: { hex: '#3b82f6' } };
+const buttonBg = { id: '2', path: 'color/button-bg', category: 'color', css_variable: '--color-button-bg', value: { hex: '#000000' }, alias_path: 'color/brand/500' };
+const buttonHover = { id: '3', path: 'color/button-hover', category: 'color', css_variable: '--color-button-hover', value: null, alias_path: 'color/button-bg' };
+const spacing = { id: '4', path: 'spacing/md', category: 'spacing', css_variable: '--spacing-md', value: { value: 16, unit: 'px' } };
+
+describe('alias references', () => {
+  it('detects DTCG reference strings', () => {
+    expect(isAliasReference('{color.brand.primary}')).toBe(true);
+    expect(isAliasReference(' {color.brand.primary} ')).toBe(true);
+    expect(isAliasReference('#3b82f6')).toBe(false);
+    expect(isAliasReference({ hex: '#fff' })).toBe(false);
+  });
+
+  it('converts between references and paths', () => {
+    expect(referenceToPath('{color.brand.primary}')).toBe('color/brand/primary');
+    expect(referenceToPath('color.brand')).toBeNull();
+    expect(pathToReference('color/brand/primary')).toBe('{color.brand.primary}');
+  });
+});
+
+describe('resolveTokenAliases', () => {
+  it('resolves direct and chained aliases to the concrete value', () => {
+    const { tokens, errors } = resolveTokenAliases([brand, buttonBg, buttonHover]);
+
+    expect(errors).toHaveLength(0);
+    expect(tokens[1].value).toEqual({ hex: '#3b82f6' });
+    expect(tokens[2].value).toEqual({ hex: '#3b82f6' });
+    expect(tokens[0]).toBe(brand);
+  });
+
+  it('matches alias paths case-insensitively with dot or slash separators', () => {
+    const alias = { ...buttonBg, alias_path: 'Color.Brand.500' };
+    const { tokens, errors } = resolveTokenAliases([brand, alias]);
+
+    expect(errors).toHaveLength(0);
+    expect(tokens[1].value).toEqual({ hex: '#3b82f6' });
+  });
+
+  it('reports dangling references and keeps the stored value', () => {
+    const { tokens, errors } = resolveTokenAliases([buttonBg]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ type: 'dangling', path: 'color/button-bg', reference: 'color/brand/500' });
+    expect(tokens[0].value).toEqual({ hex: '#000000' });
+  });
+
+  it('reports cycles', () => {
+    const a = { path: 'color/a', category: 'color', value: null, alias_path: 'color/b' };
+    const b = { path: 'color/b', category: 'color', value: null, alias_path: 'color/a' };
+    const { errors } = resolveTokenAliases([a, b]);
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0].type).toBe('cycle');
+    expect(errors[0].message).toContain('color/a → color/b → color/a');
+  });
+
+  it('resolves aliases within their own theme when themes are combined', () => {
+    const light = [{ ...brand, alias_scope: 'light' }, { ...buttonBg, alias_scope: 'light' }];
+    const dark = [
+      { ...brand, id: '5', value: { hex: '#1e3a8a' }, alias_scope: 'dark' },
+      { ...buttonBg, id: '6', alias_scope: 'dark' },
+    ];
+    const { tokens, errors } = resolveTokenAliases([...light, ...dark]);
+
+    expect(errors).toEqual([]);
+    expect(tokens.find(t => t.id === '2').value).toEqual({ hex: '#3b82f6' });
+    expect(tokens.find(t => t.id === '6').value).toEqual({ hex: '#1e3a8a' });
+
+    const index = buildTokenIndex([...light, ...dark]);
+    expect(findAliasTarget(index, 'color/brand/500', 'light').value).toEqual({ hex: '#3b82f6' });
+    expect(findAliasTarget(index, 'color/brand/500', 'other')).toBeNull();
+  });
+});
+
+describe('alias editing helpers', () => {
+  const tokens = [brand, buttonBg, buttonHover, spacing];
+
+  it('detects cycles before they are created', () => {
+    expect(wouldCreateAliasCycle(tokens, 'color/brand/500', 'color/button-hover')).toBe(true);
+    expect(wouldCreateAliasCycle(tokens, 'color/brand/500', 'color/brand/500')).toBe(true);
+    expect(wouldCreateAliasCycle(tokens, 'color/button-hover', 'color/brand/500')).toBe(false);
+  });
+
+  it('offers same-category candidates that would not create a cycle', () => {
+    const candidates = getAliasCandidates(tokens, brand).map(t => t.path);
+
+    expect(candidates).not.toContain('color/brand/500');
+    expect(candidates).not.toContain('color/button-bg');
+    expect(candidates).not.toContain('spacing/md');
+  });
+
+  it('lists direct dependents of a token', () => {
+    expect(getAliasDependents(tokens, brand).map(t => t.path)).toEqual(['color/button-bg']);
+  });
+});
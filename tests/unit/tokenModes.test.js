@@ -0,0 +1,79 @@
+/**
+ * Token Modes Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeModeName,
+  getThemeModes,
+  getTokenValueForMode,
+  applyTokenMode,
+  getModeOverrideTokens,
+  toModeUpdates,
+  clearModeValue,
+  getModeMediaQuery,
+} from '../../src/lib/tokenModes';
+
+const bg = { id: '1', path: 'color/bg', category: 'color', value: { hex: '#ffffff' }, mode_values: { dark: { hex: '#111111' } } };
+const accent = { id: '2', path: 'color/accent', category: 'color', value: { hex: '#3b82f6' } };
+const surface = { id: '3', path: 'color/surface', category: 'color', value: { hex: '#ffffff' }, alias_path: 'color/bg' };
+
+describe('theme modes', () => {
+  it('normalizes mode names to slugs', () => {
+    expect(normalizeModeName('High Contrast')).toBe('high-contrast');
+    expect(normalizeModeName('  Dark ')).toBe('dark');
+    expect(normalizeModeName('***')).toBe('');
+  });
+
+  it('falls back to a single light mode', () => {
+    expect(getThemeModes({})).toEqual(['light']);
+    expect(getThemeModes({ modes: [] })).toEqual(['light']);
+    expect(getThemeModes({ modes: ['Light', 'Dark', 'dark'] })).toEqual(['light', 'dark']);
+  });
+});
+
+describe('mode values', () => {
+  it('returns the mode value or the default value', () => {
+    expect(getTokenValueForMode(bg, 'dark', 'light')).toEqual({ hex: '#111111' });
+    expect(getTokenValueForMode(bg, 'light', 'light')).toEqual({ hex: '#ffffff' });
+    expect(getTokenValueForMode(accent, 'dark', 'light')).toEqual({ hex: '#3b82f6' });
+  });
+
+  it('applies a mode and resolves aliases against it', () => {
+    const tokens = applyTokenMode([bg, accent, surface], 'dark', 'light');
+
+    expect(tokens.find(t => t.id === '1').value.hex).toBe('#111111');
+    expect(tokens.find(t => t.id === '3').value.hex).toBe('#111111');
+    expect(tokens.find(t => t.id === '2').value.hex).toBe('#3b82f6');
+  });
+
+  it('lists only tokens that change in a mode', () => {
+    const overrides = getModeOverrideTokens([bg, accent, surface], 'dark', 'light');
+
+    expect(overrides.map(t => t.id)).toEqual(['1', '3']);
+    expect(getModeOverrideTokens([bg, accent], 'light', 'light')).toEqual([]);
+  });
+});
+
+describe('mode edits', () => {
+  it('writes value edits in a non-default mode to mode_values', () => {
+    const updates = toModeUpdates(bg, { value: { hex: '#000000' }, name: 'Bg' }, 'dark', 'light');
+
+    expect(updates).toEqual({ name: 'Bg', mode_values: { dark: { hex: '#000000' } } });
+  });
+
+  it('keeps value edits in the default mode as-is', () => {
+    const updates = { value: { hex: '#000000' } };
+    expect(toModeUpdates(bg, updates, 'light', 'light')).toBe(updates);
+  });
+
+  it('clears a mode override', () => {
+    expect(clearModeValue(bg, 'dark')).toEqual({ mode_values: {} });
+  });
+
+  it('maps modes to media queries', () => {
+    expect(getModeMediaQuery('dark')).toBe('(prefers-color-scheme: dark)');
+    expect(getModeMediaQuery('high-contrast')).toBe('(prefers-contrast: more)');
+    expect(getModeMediaQuery('brand')).toBeNull();
+  });
+});
@@ -125,13 +125,23 @@ describe('parseTokens - Style Dictionary format', () => {
     expect(result.metadata.format).toBe('style-dictionary');
   });
 
-  it('parses tokens from multiple modes', () => {
-    // Should have tokens from both Default and Dark modes
-    const defaultTokens = result.tokens.filter(t => t.metadata.mode === 'Default');
-    const darkTokens = result.tokens.filter(t => t.metadata.mode === 'Dark');
-    
-    expect(defaultTokens.length).toBeGreaterThan(0);
-    expect(darkTokens.length).toBeGreaterThan(0);
+  it('merges multiple modes into one token per path', () => {
+    const paths = result.tokens.map(t => t.path);
+    expect(new Set(paths).size).toBe(paths.length);
+
+    const primary = result.tokens.find(t => t.path === 'color/primary');
+    expect(primary.metadata.mode).toBe('Default');
+    expect(primary.mode_values.dark.hex).toMatch(/^#[0-9a-fA-F]{6}$/);
+    expect(primary.mode_values.dark.hex).not.toBe(primary.value.hex);
+  });
+
+  it('reports the modes found in metadata', () => {
+    expect(result.metadata.modes).toEqual(['default', 'dark']);
+  });
+
+  it('does not add mode values for tokens missing from later modes', () => {
+    const spacing = result.tokens.find(t => t.path === 'spacing/base');
+    expect(spacing.mode_values).toBeUndefined();
   });
 
   it('converts Figma COLOR type correctly', () => {
@@ -526,3 +536,51 @@ describe('integration', () => {
 });
 
 
+
+// =============================================================================
+// Alias Reference Tests
+// =============================================================================
+
+describe('alias references', () => {
+  it('keeps DTCG references as alias_path and resolves the value', () => {
+    const result = parseTokens({
+      color: {
+        brand: { primary: { $type: 'color', $value: '#3b82f6' } },
+        button: { bg: { $type: 'color', $value: '{color.brand.primary}' } }
+      }
+    });
+
+    const alias = result.tokens.find(t => t.path === 'color/button/bg');
+    expect(result.errors).toHaveLength(0);
+    expect(alias.alias_path).toBe('color/brand/primary');
+    expect(alias.value).toEqual({ hex: '#3b82f6', opacity: 1 });
+    expect(alias.metadata.reference).toBe('{color.brand.primary}');
+  });
+
+  it('gives flat-format aliases the type and category of their target', () => {
+    const result = parseTokens({
+      spacing: { md: { value: '16px' } },
+      layout: { gutter: { value: '{spacing.md}' } }
+    });
+
+    const alias = result.tokens.find(t => t.path === 'layout/gutter');
+    expect(alias.alias_path).toBe('spacing/md');
+    expect(alias.type).toBe('dimension');
+    expect(alias.value).toEqual({ value: 16, unit: 'px' });
+  });
+
+  it('skips dangling and circular references with warnings', () => {
+    const result = parseTokens({
+      color: {
+        a: { value: '{color.b}' },
+        b: { value: '{color.a}' },
+        c: { value: '{color.missing}' },
+        d: { value: '#ffffff' }
+      }
+    });
+
+    expect(result.tokens.map(t => t.path)).toEqual(['color/d']);
+    expect(result.warnings.filter(w => w.includes('Circular reference'))).toHaveLength(2);
+    expect(result.warnings.some(w => w.includes('color/missing'))).toBe(true);
+  });
+});
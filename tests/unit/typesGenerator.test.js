@@ -0,0 +1,207 @@
+// @vitest-environment node
+/**
+ * TypeScript Types Generator
+ * Token path union, typed tokens and cssVar(), and props interfaces.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateTokenTypes,
+  generateComponentPropTypes,
+  generatePropsInterface,
+  toComponentName,
+} from '../../src/services/generators/typesGenerator';
+import { compileModule } from '../../src/services/generators/npmPackageGenerator';
+
+const TOKENS = [
+  { path: 'color/primary', name: 'Primary', category: 'color', type: 'color', value: '#2563eb', css_variable: '--color-primary' },
+  { path: 'color/accent', name: 'Accent', category: 'color', type: 'color', value: '{color/primary}', alias_path: 'color/primary', css_variable: '--color-accent' },
+  { path: 'spacing/md', name: 'md', category: 'spacing', type: 'dimension', value: { value: 16, unit: 'px' }, css_variable: '--spacing-md' },
+  {
+    path: 'typography/heading',
+    name: 'Heading',
+    category: 'typography',
+    type: 'typography-composite',
+    value: { fontFamily: 'Inter', fontSize: { value: 32, unit: 'px' } },
+    css_variable: '--typography-heading',
+  },
+  // Same path in a second theme: the first one wins
+  { path: 'spacing/md', name: 'md', category: 'spacing', type: 'dimension', value: { value: 24, unit: 'px' }, css_variable: '--spacing-md' },
+];
+
+/**
+ * Evaluate a compiled CommonJS module
+ */
+function evaluate(code) {
+  const module = { exports: {} };
+  new Function('module', 'exports', code)(module, module.exports);
+  return module.exports;
+}
+
+describe('types generator', () => {
+  it('emits a TokenPath union, typed tokens and a cssVar helper', () => {
+    const source = generateTokenTypes(TOKENS);
+    expect(source).toContain(`export type TokenPath =
+  | "color/primary"
+  | "color/accent"
+  | "spacing/md"
+  | "typography/heading/family"
+  | "typography/heading/size";`);
+    expect(source).toContain('export function cssVar(path: TokenPath, fallback?: string): string {');
+
+    const { tokens, cssVariables, cssVar } = evaluate(compileModule(source, 'cjs'));
+    expect(tokens).toEqual({
+      'color/primary': '#2563eb',
+      'color/accent': '#2563eb',
+      'spacing/md': '16px',
+      'typography/heading/family': 'Inter',
+      'typography/heading/size': '32px',
+    });
+    expect(cssVariables['typography/heading/size']).toBe('--typography-heading-size');
+    expect(cssVar('color/accent')).toBe('var(--color-accent)');
+    expect(cssVar('spacing/md', '1rem')).toBe('var(--spacing-md, 1rem)');
+
+    const declaration = generateTokenTypes(TOKENS, { declaration: true });
+    expect(declaration).toContain('export declare const tokens: { readonly [P in TokenPath]: string };');
+    expect(declaration).toContain('export declare function cssVar(path: TokenPath, fallback?: string): string;');
+    expect(declaration).not.toContain('#2563eb');
+
+    expect(generateTokenTypes([])).toContain('export type TokenPath = never;');
+  });
+
+  it('emits a props interface per component', () => {
+    const button = {
+      name: 'Button',
+      description: 'Clickable action',
+      props: [
+        { name: 'label', type: 'string', required: true, description: 'Visible text' },
+        { name: 'variant', type: 'enum', options: ['primary', 'secondary'], default: 'primary' },
+        { name: 'disabled', type: 'boolean', default: false },
+        { name: 'size', type: 'number', default: 40, description: 'Height in px' },
+        { name: 'icon', type: 'icon' },
+        { name: 'data-testid', type: 'string' },
+      ],
+    };
+
+    expect(generatePropsInterface(button, 'Button')).toBe(`export interface ButtonProps {
+  /** Visible text */
+  label: string;
+  /** @default primary */
+  variant?: "primary" | "secondary";
+  /** @default false */
+  disabled?: boolean;
+  /** Height in px — @default 40 */
+  size?: number;
+  icon?: string;
+  "data-testid"?: string;
+}
+`);
+
+    const module = generateComponentPropTypes([button, { name: 'card header', props: [] }, { name: 'Button' }]);
+    expect(module).toContain("import type * as React from 'react';");
+    expect(module).toContain('/** Clickable action */\nexport interface ButtonProps {');
+    expect(module).toContain('export interface CardHeaderProps {\n}');
+    expect(module).toContain('export interface Button_Props {\n}');
+    // Type-only module: nothing is left after compiling
+    expect(compileModule(module, 'esm').replace(/\/\*[\s\S]*?\*\//, '').trim()).toBe('export {};');
+  });
+
+  it('expands every part of a composite typography token', () => {
+    const display = {
+      path: 'typography/display',
+      category: 'typography',
+      type: 'typography-composite',
+      value: {
+        fontFamily: ['Inter', 'Helvetica Neue'],
+        fontSize: { value: 48, unit: 'px' },
+        fontWeight: 700,
+        lineHeight: 1.1,
+        letterSpacing: { value: -0.02, unit: 'em' },
+      },
+      css_variable: '--typography-display',
+    };
+
+    const { tokens, cssVariables } = evaluate(compileModule(generateTokenTypes([display]), 'cjs'));
+    expect(tokens).toEqual({
+      'typography/display/family': 'Inter, "Helvetica Neue"',
+      'typography/display/size': '48px',
+      'typography/display/weight': '700',
+      'typography/display/line-height': '1.1',
+      'typography/display/letter-spacing': '-0.02em',
+    });
+    expect(cssVariables['typography/display/line-height']).toBe('--typography-display-line-height');
+  });
+
+  it('types multi-mode tokens by their base value', () => {
+    const surface = {
+      path: 'color/surface',
+      category: 'color',
+      type: 'color',
+      value: { hex: '#ffffff', opacity: 1 },
+      mode_values: { dark: { hex: '#0f172a', opacity: 1 } },
+      css_variable: '--color-surface',
+    };
+
+    const source = generateTokenTypes([surface]);
+    expect(source).toContain('export type TokenPath =\n  | "color/surface";');
+    expect(evaluate(compileModule(source, 'cjs')).tokens).toEqual({ 'color/surface': '#ffffff' });
+  });
+
+  it('resolves alias chains and keeps the stored value of dangling aliases', () => {
+    const base = { path: 'color/blue', category: 'color', type: 'color', value: '#2563eb', css_variable: '--color-blue' };
+    const primary = { path: 'color/primary', category: 'color', type: 'color', value: null, alias_path: 'color/blue', css_variable: '--color-primary' };
+    const link = { path: 'color/link', category: 'color', type: 'color', value: null, alias_path: 'color/primary', css_variable: '--color-link' };
+    const stale = { path: 'color/stale', category: 'color', type: 'color', value: '#000000', alias_path: 'color/missing', css_variable: '--color-stale' };
+
+    const { tokens, cssVar } = evaluate(compileModule(generateTokenTypes([link, primary, base, stale]), 'cjs'));
+    expect(tokens).toEqual({
+      'color/link': '#2563eb',
+      'color/primary': '#2563eb',
+      'color/blue': '#2563eb',
+      'color/stale': '#000000',
+    });
+    // Aliases keep their own variable
+    expect(cssVar('color/link')).toBe('var(--color-link)');
+  });
+
+  it('types enum, node and unknown props and marks only required props as mandatory', () => {
+    const card = {
+      name: 'Card',
+      props: [
+        { name: 'tone', type: 'enum', options: ['info', 'warning'], required: true },
+        { name: 'layout', type: 'enum', options: [] },
+        { name: 'level', type: 'enum', options: [1, 2] },
+        { name: 'children', type: 'ReactNode', required: true },
+        { name: 'footer', type: 'node' },
+        { name: 'config', type: 'json', default: '' },
+        { name: 'title', type: 'string', description: 'Heading text' },
+        { type: 'string' },
+      ],
+    };
+
+    expect(generatePropsInterface(card, 'Card')).toBe(`export interface CardProps {
+  tone: "info" | "warning";
+  layout?: string;
+  level?: "1" | "2";
+  children: React.ReactNode;
+  footer?: React.ReactNode;
+  config?: unknown;
+  /** Heading text */
+  title?: string;
+}
+`);
+    expect(generatePropsInterface({ name: 'Empty' }, 'Empty')).toBe('export interface EmptyProps {\n}\n');
+  });
+
+  it.each([
+    ['Button', 'Button'],
+    ['icon button', 'IconButton'],
+    ['nav-bar_item', 'NavBarItem'],
+    ['iconButton', 'IconButton'],
+    ['3d card', 'Component3dCard'],
+    ['!!!', 'Component'],
+    [undefined, 'Component'],
+  ])('turns component name %j into %s', (name, expected) => {
+    expect(toComponentName(name)).toBe(expected);
+  });
+});
@@ -8,6 +8,9 @@ export default defineConfig({
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
+      // UMD builds inlined into the component preview sandbox (not in the packages' exports map)
+      'react-umd': path.resolve(__dirname, './node_modules/react/umd'),
+      'react-dom-umd': path.resolve(__dirname, './node_modules/react-dom/umd'),
     },
   },
   server: {
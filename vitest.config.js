@@ -24,6 +24,8 @@ export default defineConfig({
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
+      'react-umd': path.resolve(__dirname, './node_modules/react/umd'),
+      'react-dom-umd': path.resolve(__dirname, './node_modules/react-dom/umd'),
     },
   },
 })